@@ -1406,8 +1406,46 @@ class AdminApp {
             case 'low-stock':
                 await this.loadLowStock();
                 break;
+            case 'stock-alerts':
+                await this.loadStockAlertDemand();
+                break;
+            case 'inventory-lots':
+                await this.loadExpiringLots();
+                break;
+            case 'inventory-counts':
+                if (window.AdminInventoryCounts) {
+                    window.AdminInventoryCounts.init();
+                }
+                break;
+            case 'shelf-labels':
+                if (window.AdminShelfLabels) {
+                    window.AdminShelfLabels.init();
+                }
+                break;
+            case 'commissions':
+                if (window.AdminCommissions) {
+                    window.AdminCommissions.init();
+                }
+                break;
+            case 'reviews':
+                await this.loadProductReviews();
+                break;
+            case 'returns':
+                await this.loadReturns();
+                break;
+            case 'search-synonyms':
+                await this.loadSearchSynonyms();
+                break;
             case 'edsa':
                 await this.loadEDSABookings();
+                if (window.AdminEdsaWaitlist) {
+                    window.AdminEdsaWaitlist.init();
+                }
+                break;
+            case 'edsa-services':
+                if (window.AdminEdsaServices) {
+                    window.AdminEdsaServices.init();
+                }
                 break;
             case 'customers':
                 if (typeof this.loadCustomers === 'function') {
@@ -1427,6 +1465,9 @@ class AdminApp {
             case 'marketing':
                 await this.loadMarketingHub();
                 break;
+            case 'abandoned-carts':
+                await this.loadAbandonedCartReport();
+                break;
             case 'personnel':
                 await this.loadAdminTeam();
                 if (window.AdminPersonnelPos) {
@@ -1869,6 +1910,7 @@ class AdminApp {
             pos_receipt_auto_print: 'Auto-open print dialog after each sale',
             pos_receipt_copy_count: 'Number of receipt copies to print (1â€“3)',
             pos_receipt_show_order_barcode: 'Show order number as barcode on receipts',
+            pos_receipt_show_digital_qr: 'Print a QR code linking to the digital receipt',
             pos_receipt_return_policy: 'Return policy line printed on POS receipts (text only)',
             pos_session_timeout_minutes: 'Minutes before POS employee must re-enter PIN',
             pos_pin_max_attempts: 'Failed PIN attempts before lockout',
@@ -2706,6 +2748,7 @@ class AdminApp {
             'pos_receipt_show_cash_savings',
             'pos_receipt_auto_print',
             'pos_receipt_show_order_barcode',
+            'pos_receipt_show_digital_qr',
         ];
         for (const key of receiptBools) {
             const el = form.querySelector(`[name="${key}"]`);
@@ -7256,6 +7299,840 @@ class AdminApp {
         }
     }
 
+    async loadAbandonedCartReport() {
+        const container = document.getElementById('abandonedCartsTable');
+        if (!container) return;
+
+        container.innerHTML = '<div class="loading"><div class="spinner"></div>Loading abandoned carts...</div>';
+
+        if (!this.authToken) {
+            container.innerHTML = '<div style="text-align: center; padding: 2rem; color: var(--gray-500);"><p>Please log in to view abandoned carts.</p></div>';
+            return;
+        }
+
+        try {
+            const params = new URLSearchParams();
+            const from = document.getElementById('abandonedCartsFrom')?.value || '';
+            const to = document.getElementById('abandonedCartsTo')?.value || '';
+            const status = document.getElementById('abandonedCartsStatus')?.value || '';
+            if (from) params.set('from', from);
+            if (to) params.set('to', to);
+            if (status) params.set('status', status);
+            const data = await this.apiRequest(`/admin/abandoned-carts/report${params.toString() ? `?${params.toString()}` : ''}`);
+            if (!data) {
+                container.innerHTML = '<div style="text-align: center; padding: 2rem; color: var(--gray-500);"><p>Please log in to view abandoned carts.</p></div>';
+                return;
+            }
+
+            const settings = data.settings || {};
+            const note = document.getElementById('abandonedCartsSettingsNote');
+            if (note && Array.isArray(settings.reminderHours)) {
+                const promo = Number(settings.promoPercent) > 0
+                    ? ` A one-time ${Number(settings.promoPercent)}% code is included from reminder ${Number(settings.promoFromReminder)}.`
+                    : ' No promo code is attached.';
+                note.textContent = `Reminders go out after ${settings.reminderHours.join(', ')} hours idle.${promo} Orders within ${Number(settings.attributionDays) || 0} days of the last reminder count as recovered.`;
+            }
+
+            const totals = data.totals || {};
+            const money = (v) => `$${(Number(v) || 0).toFixed(2)}`;
+            const summary = `
+                <p style="margin: 0 0 1rem; font-size: 0.875rem; color: var(--gray-600);">
+                    <span class="badge badge-secondary">${Number(totals.remindedCarts) || 0} carts reminded (${money(totals.remindedValue)})</span>
+                    <span class="badge badge-secondary">${Number(totals.remindersSent) || 0} emails sent</span>
+                    <span class="badge badge-warning">${Number(totals.restoredCarts) || 0} restored</span>
+                    <span class="badge badge-success">${Number(totals.recoveredCarts) || 0} recovered &mdash; ${money(totals.recoveredRevenue)}</span>
+                    <span class="badge badge-secondary">${Number(totals.recoveryRate) || 0}% recovery rate</span>
+                </p>`;
+
+            const items = Array.isArray(data.items) ? data.items : [];
+            if (!items.length) {
+                container.innerHTML = `${summary}<div style="text-align: center; padding: 2rem; color: var(--gray-500);"><p>No cart reminders in this range.</p></div>`;
+                return;
+            }
+
+            const statusBadge = {
+                active: '<span class="badge badge-warning">Awaiting order</span>',
+                recovered: '<span class="badge badge-success">Recovered</span>',
+                closed: '<span class="badge badge-secondary">Closed</span>'
+            };
+            container.innerHTML = `
+                ${summary}
+                <div class="table-container">
+                    <table class="table">
+                        <thead>
+                            <tr>
+                                <th>Email</th>
+                                <th>Cart value</th>
+                                <th>Reminders</th>
+                                <th>Last reminder</th>
+                                <th>Promo code</th>
+                                <th>Status</th>
+                                <th>Recovered</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${items.map((item) => `
+                            <tr>
+                                <td>${this.escapeHtml(item.email || '')}</td>
+                                <td>${money(item.cartSubtotal)}</td>
+                                <td>${Number(item.remindersSent) || 0}${item.restoredAt ? ' <span class="badge badge-warning">link opened</span>' : ''}</td>
+                                <td>${item.lastReminderAt ? new Date(item.lastReminderAt).toLocaleString() : '&mdash;'}</td>
+                                <td>${item.promoCode ? `<code>${this.escapeHtml(item.promoCode)}</code>` : '&mdash;'}</td>
+                                <td>${statusBadge[item.status] || this.escapeHtml(item.status || '')}</td>
+                                <td>${item.status === 'recovered'
+                                    ? `${money(item.recoveredRevenue)}${item.orderNumber ? ` &middot; #${this.escapeHtml(item.orderNumber)}` : ''}`
+                                    : '&mdash;'}</td>
+                            </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+        } catch (error) {
+            container.innerHTML = `<div style="text-align: center; padding: 2rem; color: var(--error);"><p>Failed to load abandoned carts: ${this.escapeHtml(error.message)}</p></div>`;
+        }
+    }
+
+    async loadStockAlertDemand() {
+        const container = document.getElementById('stockAlertsTable');
+        if (!container) return;
+
+        container.innerHTML = '<div class="loading"><div class="spinner"></div>Loading alert demand...</div>';
+
+        if (!this.authToken) {
+            container.innerHTML = '<div style="text-align: center; padding: 2rem; color: var(--gray-500);"><p>Please log in to view alert demand.</p></div>';
+            return;
+        }
+
+        try {
+            const params = new URLSearchParams();
+            const type = document.getElementById('stockAlertsTypeFilter')?.value || '';
+            const search = (document.getElementById('stockAlertsSearch')?.value || '').trim();
+            if (type) params.set('type', type);
+            if (search) params.set('search', search);
+            const data = await this.apiRequest(`/admin/stock-alerts/demand${params.toString() ? `?${params.toString()}` : ''}`);
+            if (!data) {
+                container.innerHTML = '<div style="text-align: center; padding: 2rem; color: var(--gray-500);"><p>Please log in to view alert demand.</p></div>';
+                return;
+            }
+
+            const totals = data.totals || {};
+            const summary = `
+                <p style="margin: 0 0 1rem; font-size: 0.875rem; color: var(--gray-600);">
+                    <span class="badge badge-warning">${Number(totals.active) || 0} waiting</span>
+                    <span class="badge badge-success">${Number(totals.notifiedLast30Days) || 0} notified (30 days)</span>
+                    <span class="badge badge-secondary">${Number(totals.unsubscribed) || 0} unsubscribed</span>
+                </p>`;
+
+            const items = Array.isArray(data.items) ? data.items : [];
+            if (!items.length) {
+                container.innerHTML = `${summary}<div style="text-align: center; padding: 2rem; color: var(--gray-500);"><p>No shoppers are waiting on alerts.</p></div>`;
+                return;
+            }
+
+            container.innerHTML = `
+                ${summary}
+                <div class="table-container">
+                    <table class="table">
+                        <thead>
+                            <tr>
+                                <th>SKU</th>
+                                <th>Product</th>
+                                <th>On hand</th>
+                                <th>Back in stock</th>
+                                <th>Price drop</th>
+                                <th>Waiting since</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${items.map((item) => `
+                            <tr>
+                                <td><code>${this.escapeHtml(item.sku || '')}</code></td>
+                                <td>${this.escapeHtml(item.name || '')}</td>
+                                <td><span class="badge ${Number(item.inventory) <= 0 ? 'badge-danger' : 'badge-success'}">${Number(item.inventory) || 0}</span></td>
+                                <td>${Number(item.backInStockCount) || 0}</td>
+                                <td>${Number(item.priceDropCount) || 0}</td>
+                                <td>${item.oldestRequest ? new Date(item.oldestRequest).toLocaleDateString() : '&mdash;'}</td>
+                                <td>
+                                    <button type="button" class="btn btn-sm btn-secondary" onclick="editProduct(${Number(item.productId)})">
+                                        <i class="fas fa-edit"></i> Edit
+                                    </button>
+                                </td>
+                            </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+        } catch (error) {
+            container.innerHTML = `<div style="text-align: center; padding: 2rem; color: var(--error);"><p>Failed to load alert demand: ${this.escapeHtml(error.message)}</p></div>`;
+        }
+    }
+
+    async loadExpiringLots() {
+        const container = document.getElementById('expiringLotsTable');
+        if (!container) return;
+
+        container.innerHTML = '<div class="loading"><div class="spinner"></div>Loading expiring stock...</div>';
+
+        if (!this.authToken) {
+            container.innerHTML = '<div style="text-align: center; padding: 2rem; color: var(--gray-500);"><p>Please log in to view expiring stock.</p></div>';
+            return;
+        }
+
+        try {
+            const params = new URLSearchParams();
+            params.set('days', document.getElementById('expiringLotsDays')?.value || '90');
+            const search = (document.getElementById('expiringLotsSearch')?.value || '').trim();
+            if (search) params.set('search', search);
+            const data = await this.apiRequest(`/admin/inventory-lots/expiring?${params.toString()}`);
+            if (!data) {
+                container.innerHTML = '<div style="text-align: center; padding: 2rem; color: var(--gray-500);"><p>Please log in to view expiring stock.</p></div>';
+                return;
+            }
+
+            const totals = data.totals || {};
+            const summary = `
+                <p style="margin: 0 0 1rem; font-size: 0.875rem; color: var(--gray-600);">
+                    <span class="badge badge-warning">${Number(totals.units) || 0} units in ${Number(totals.lots) || 0} lots</span>
+                    <span class="badge badge-danger">${Number(totals.expiredUnits) || 0} already expired</span>
+                    <span class="badge badge-secondary">$${Number(totals.valueAtCost || 0).toFixed(2)} at cost</span>
+                </p>`;
+
+            const lots = Array.isArray(data.lots) ? data.lots : [];
+            if (!lots.length) {
+                container.innerHTML = `${summary}<div style="text-align: center; padding: 2rem; color: var(--gray-500);"><p>Nothing on hand expires within ${Number(data.days) || 0} days.</p></div>`;
+                return;
+            }
+
+            container.innerHTML = `
+                ${summary}
+                <div class="table-container">
+                    <table class="table">
+                        <thead>
+                            <tr>
+                                <th>Expires</th>
+                                <th>SKU</th>
+                                <th>Product</th>
+                                <th>Lot</th>
+                                <th>On hand</th>
+                                <th>Value at cost</th>
+                                <th>PO</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${lots.map((lot) => {
+                                const badge = lot.expired ? 'badge-danger' : Number(lot.daysLeft) <= 30 ? 'badge-warning' : 'badge-info';
+                                const label = lot.expired ? `Expired ${Math.abs(Number(lot.daysLeft))}d ago` : `${Number(lot.daysLeft)}d`;
+                                return `
+                            <tr>
+                                <td>${this.escapeHtml(lot.expirationDate || '')} <span class="badge ${badge}">${label}</span></td>
+                                <td><code>${this.escapeHtml(lot.sku || '')}</code></td>
+                                <td>${this.escapeHtml(lot.productName || '')}</td>
+                                <td><a href="#" onclick="window.adminApp.runRecallLookup(${this.escapeHtml(JSON.stringify(lot.lotNumber || ''))}); return false;">${this.escapeHtml(lot.lotNumber || '')}</a></td>
+                                <td>${Number(lot.quantityRemaining) || 0} / ${Number(lot.quantityReceived) || 0}</td>
+                                <td>${lot.valueAtCost != null ? `$${Number(lot.valueAtCost).toFixed(2)}` : '&mdash;'}</td>
+                                <td>${lot.poNumber ? this.escapeHtml(lot.poNumber) : '&mdash;'}</td>
+                                <td>
+                                    <button type="button" class="btn btn-sm btn-secondary" onclick="editProduct(${Number(lot.productId)})">
+                                        <i class="fas fa-edit"></i> Edit
+                                    </button>
+                                </td>
+                            </tr>`;
+                            }).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+        } catch (error) {
+            container.innerHTML = `<div style="text-align: center; padding: 2rem; color: var(--error);"><p>Failed to load expiring stock: ${this.escapeHtml(error.message)}</p></div>`;
+        }
+    }
+
+    async runRecallLookup(lotNumber) {
+        const input = document.getElementById('recallLotNumber');
+        const container = document.getElementById('recallResults');
+        if (!container) return;
+        if (typeof lotNumber === 'string' && input) input.value = lotNumber;
+        const lot = (input?.value || '').trim();
+        if (!lot) {
+            this.showNotification('Enter a lot number', 'error');
+            return;
+        }
+
+        container.innerHTML = '<div class="loading"><div class="spinner"></div>Searching orders...</div>';
+        if (input) input.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+        try {
+            const data = await this.apiRequest(`/admin/inventory-lots/recall?lot=${encodeURIComponent(lot)}`);
+            if (!data) return;
+            const lots = Array.isArray(data.lots) ? data.lots : [];
+            const orders = Array.isArray(data.orders) ? data.orders : [];
+            if (!lots.length) {
+                container.innerHTML = `<div style="text-align: center; padding: 2rem; color: var(--gray-500);"><p>No received lot matches &ldquo;${this.escapeHtml(lot)}&rdquo;.</p></div>`;
+                return;
+            }
+
+            const lotSummary = lots.map((l) => `
+                <li>${this.escapeHtml(l.productName || '')} <code>${this.escapeHtml(l.sku || '')}</code>
+                    &mdash; received ${Number(l.quantityReceived) || 0}, ${Number(l.quantityRemaining) || 0} on hand${l.expirationDate ? `, expires ${this.escapeHtml(l.expirationDate)}` : ''}${l.poNumber ? ` (PO ${this.escapeHtml(l.poNumber)})` : ''}</li>`).join('');
+
+            container.innerHTML = `
+                <ul style="margin: 0 0 1rem 1.25rem; font-size: 0.875rem;">${lotSummary}</ul>
+                <p style="margin: 0 0 1rem; font-size: 0.875rem; color: var(--gray-600);">
+                    <span class="badge badge-warning">${Number(data.totals?.orders) || 0} orders</span>
+                    <span class="badge badge-secondary">${Number(data.totals?.units) || 0} units with customers</span>
+                </p>
+                ${orders.length ? `
+                <div class="table-container">
+                    <table class="table">
+                        <thead>
+                            <tr>
+                                <th>Order</th>
+                                <th>Date</th>
+                                <th>Channel</th>
+                                <th>Customer</th>
+                                <th>Contact</th>
+                                <th>Qty</th>
+                                <th>Status</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${orders.map((o) => `
+                            <tr>
+                                <td><code>${this.escapeHtml(o.orderNumber || String(o.orderId))}</code></td>
+                                <td>${o.orderedAt ? new Date(o.orderedAt).toLocaleDateString() : '&mdash;'}</td>
+                                <td><span class="badge ${o.channel === 'pos' ? 'badge-info' : 'badge-secondary'}">${o.channel === 'pos' ? 'POS' : 'Web'}</span></td>
+                                <td>${this.escapeHtml(o.customer?.name || 'Walk-in')}</td>
+                                <td>${[o.customer?.email, o.customer?.phone].filter(Boolean).map((v) => this.escapeHtml(v)).join('<br>') || '&mdash;'}</td>
+                                <td>${Number(o.quantity) || 0}${Number(o.quantityReturned) ? ` <small>(${Number(o.quantityReturned)} returned)</small>` : ''}</td>
+                                <td>${this.escapeHtml(o.status || '')}</td>
+                            </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>` : '<div style="text-align: center; padding: 2rem; color: var(--gray-500);"><p>No orders have drawn from this lot yet.</p></div>'}
+            `;
+        } catch (error) {
+            container.innerHTML = `<div style="text-align: center; padding: 2rem; color: var(--error);"><p>Recall lookup failed: ${this.escapeHtml(error.message)}</p></div>`;
+        }
+    }
+
+    async loadProductReviews(page) {
+        const container = document.getElementById('reviewsQueue');
+        if (!container) return;
+
+        if (page) this._reviewsPage = page;
+        const currentPage = this._reviewsPage || 1;
+        const status = document.getElementById('reviewsStatusFilter')?.value || 'pending';
+        const search = (document.getElementById('reviewsSearch')?.value || '').trim();
+
+        container.innerHTML = '<div class="loading"><div class="spinner"></div>Loading reviews...</div>';
+
+        if (!this.authToken) {
+            container.innerHTML = '<div style="text-align: center; padding: 2rem; color: var(--gray-500);"><p>Please log in to view reviews.</p></div>';
+            return;
+        }
+
+        try {
+            const params = new URLSearchParams({ status, page: String(currentPage), limit: '25' });
+            if (search) params.set('search', search);
+            const data = await this.apiRequest(`/admin/product-reviews?${params.toString()}`);
+            if (!data) {
+                container.innerHTML = '<div style="text-align: center; padding: 2rem; color: var(--gray-500);"><p>Please log in to view reviews.</p></div>';
+                return;
+            }
+
+            const counts = data.counts || {};
+            const summary = `
+                <p style="margin: 0 0 1rem; font-size: 0.875rem; color: var(--gray-600);">
+                    <span class="badge badge-warning">${Number(counts.pending) || 0} pending</span>
+                    <span class="badge badge-success">${Number(counts.approved) || 0} approved</span>
+                    <span class="badge badge-danger">${Number(counts.rejected) || 0} rejected</span>
+                </p>`;
+
+            const reviews = Array.isArray(data.reviews) ? data.reviews : [];
+            if (!reviews.length) {
+                container.innerHTML = `${summary}<div style="text-align: center; padding: 2rem; color: var(--gray-500);"><p>No ${status === 'all' ? '' : this.escapeHtml(status) + ' '}reviews.</p></div>`;
+                return;
+            }
+
+            const pagination = data.pagination || {};
+            const totalPages = Number(pagination.totalPages) || 1;
+            container.innerHTML = `
+                ${summary}
+                <div class="review-moderation-list">
+                    ${reviews.map((r) => this.renderProductReviewCard(r)).join('')}
+                </div>
+                ${totalPages > 1 ? `
+                <div style="display: flex; gap: 0.5rem; align-items: center; justify-content: flex-end; margin-top: 1rem;">
+                    <button type="button" class="btn btn-sm btn-secondary" ${currentPage <= 1 ? 'disabled' : ''} onclick="window.adminApp.loadProductReviews(${currentPage - 1})">Previous</button>
+                    <span style="font-size: 0.875rem; color: var(--gray-600);">Page ${currentPage} of ${totalPages}</span>
+                    <button type="button" class="btn btn-sm btn-secondary" ${currentPage >= totalPages ? 'disabled' : ''} onclick="window.adminApp.loadProductReviews(${currentPage + 1})">Next</button>
+                </div>` : ''}
+            `;
+        } catch (error) {
+            container.innerHTML = `<div style="text-align: center; padding: 2rem; color: var(--error);"><p>Failed to load reviews: ${this.escapeHtml(error.message)}</p></div>`;
+        }
+    }
+
+    renderProductReviewCard(review) {
+        const id = Number(review.id);
+        const stars = '★'.repeat(Number(review.rating) || 0) + '☆'.repeat(5 - (Number(review.rating) || 0));
+        const statusBadge = {
+            pending: 'badge-warning',
+            approved: 'badge-success',
+            rejected: 'badge-danger'
+        }[review.status] || 'badge-secondary';
+        const created = review.createdAt ? new Date(review.createdAt).toLocaleDateString() : '';
+        const productLink = review.productSlug
+            ? `<a href="product.html?slug=${encodeURIComponent(review.productSlug)}" target="_blank" rel="noopener">${this.escapeHtml(review.productName)}</a>`
+            : this.escapeHtml(review.productName);
+
+        return `
+            <div class="card" id="review-card-${id}" style="margin-bottom: 1rem; border: 1px solid var(--gray-200);">
+                <div class="card-content">
+                    <div style="display: flex; justify-content: space-between; gap: 1rem; flex-wrap: wrap;">
+                        <div>
+                            <div style="font-weight: 600;">${productLink} <code style="font-weight: 400;">${this.escapeHtml(review.productSku)}</code></div>
+                            <div style="color: #d69e2e; font-size: 1.1rem; letter-spacing: 0.1em;" aria-label="${Number(review.rating)} out of 5 stars">${stars}</div>
+                        </div>
+                        <div style="text-align: right; font-size: 0.875rem; color: var(--gray-600);">
+                            <span class="badge ${statusBadge}">${this.escapeHtml(review.status)}</span><br>
+                            ${this.escapeHtml(review.author)} &lt;${this.escapeHtml(review.email)}&gt;<br>
+                            ${created}${review.orderNumber ? ` &middot; Order ${this.escapeHtml(review.orderNumber)}` : ''}
+                        </div>
+                    </div>
+                    ${review.title ? `<h4 style="margin: 0.75rem 0 0.25rem;">${this.escapeHtml(review.title)}</h4>` : ''}
+                    <p style="margin: 0.5rem 0; white-space: pre-line;">${this.escapeHtml(review.text || '(No written review)')}</p>
+                    ${review.moderationNote ? `<p style="margin: 0.5rem 0; font-size: 0.875rem; color: var(--gray-600);"><strong>Moderation note:</strong> ${this.escapeHtml(review.moderationNote)}${review.moderatedBy ? ` &mdash; ${this.escapeHtml(review.moderatedBy)}` : ''}</p>` : ''}
+                    <div class="form-group" style="margin: 0.75rem 0 0;">
+                        <label for="review-reply-${id}" style="font-size: 0.875rem;">Public reply${review.replyBy ? ` (last by ${this.escapeHtml(review.replyBy)})` : ''}</label>
+                        <textarea id="review-reply-${id}" class="form-input" rows="2" maxlength="2000" placeholder="Optional reply shown under the review">${this.escapeHtml(review.reply?.text || '')}</textarea>
+                    </div>
+                    <div class="button-group" style="margin-top: 0.75rem; display: flex; gap: 0.5rem; flex-wrap: wrap;">
+                        ${review.status !== 'approved' ? `<button type="button" class="btn btn-sm btn-primary" onclick="window.adminApp.moderateProductReview(${id}, 'approved')"><i class="fas fa-check"></i> Approve</button>` : ''}
+                        ${review.status !== 'rejected' ? `<button type="button" class="btn btn-sm btn-secondary" onclick="window.adminApp.moderateProductReview(${id}, 'rejected')"><i class="fas fa-ban"></i> Reject</button>` : ''}
+                        <button type="button" class="btn btn-sm btn-secondary" onclick="window.adminApp.saveProductReviewReply(${id})"><i class="fas fa-reply"></i> Save reply</button>
+                        <button type="button" class="btn btn-sm btn-danger" onclick="window.adminApp.deleteProductReview(${id})"><i class="fas fa-trash"></i> Delete</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    async moderateProductReview(reviewId, status) {
+        let note = null;
+        if (status === 'rejected') {
+            const result = await this.showAdminInputModal({
+                title: 'Reject review',
+                message: 'The review will be hidden from the product page. Add an internal note (optional).',
+                inputs: [{ key: 'note', label: 'Reason', placeholder: 'e.g. Medical claim, off-topic' }],
+                submitLabel: 'Reject review'
+            });
+            if (!result) return;
+            note = result.note || null;
+        }
+        try {
+            await this.apiRequest(`/admin/product-reviews/${reviewId}/status`, {
+                method: 'PUT',
+                body: JSON.stringify({ status, note })
+            });
+            this.showNotification(status === 'approved' ? 'Review approved' : 'Review rejected', 'success');
+            await this.loadProductReviews();
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to update review', 'error');
+        }
+    }
+
+    async saveProductReviewReply(reviewId) {
+        const field = document.getElementById(`review-reply-${reviewId}`);
+        if (!field) return;
+        try {
+            await this.apiRequest(`/admin/product-reviews/${reviewId}/reply`, {
+                method: 'PUT',
+                body: JSON.stringify({ reply: field.value })
+            });
+            this.showNotification(field.value.trim() ? 'Reply saved' : 'Reply removed', 'success');
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to save reply', 'error');
+        }
+    }
+
+    async deleteProductReview(reviewId) {
+        const confirmed = await this.showAdminConfirm({
+            title: 'Delete review',
+            message: 'Permanently delete this review? The customer will be able to submit a new one.',
+            confirmLabel: 'Delete',
+            danger: true
+        });
+        if (!confirmed) return;
+        try {
+            await this.apiRequest(`/admin/product-reviews/${reviewId}`, { method: 'DELETE' });
+            this.showNotification('Review deleted', 'success');
+            await this.loadProductReviews();
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to delete review', 'error');
+        }
+    }
+
+    async loadSearchSynonyms() {
+        const container = document.getElementById('searchSynonymsTable');
+        if (!container) return;
+
+        container.innerHTML = '<div class="loading"><div class="spinner"></div>Loading synonym groups...</div>';
+
+        if (!this.authToken) {
+            container.innerHTML = '<div style="text-align: center; padding: 2rem; color: var(--gray-500);"><p>Please log in to manage search synonyms.</p></div>';
+            return;
+        }
+
+        try {
+            const data = await this.apiRequest('/admin/search-synonyms');
+            if (!data) {
+                container.innerHTML = '<div style="text-align: center; padding: 2rem; color: var(--gray-500);"><p>Please log in to manage search synonyms.</p></div>';
+                return;
+            }
+
+            const groups = Array.isArray(data.groups) ? data.groups : [];
+            this.searchSynonymGroups = groups;
+            if (!groups.length) {
+                container.innerHTML = '<div style="text-align: center; padding: 2rem; color: var(--gray-500);"><p>No synonym groups yet. Add one so searches like &ldquo;b12&rdquo; also find &ldquo;cobalamin&rdquo;.</p></div>';
+                return;
+            }
+
+            container.innerHTML = `
+                <div class="table-container">
+                    <table class="table">
+                        <thead>
+                            <tr>
+                                <th>Terms</th>
+                                <th>Status</th>
+                                <th>Updated</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${groups.map((group) => {
+                                const id = Number(group.id);
+                                return `
+                            <tr>
+                                <td>${(group.terms || []).map((term) => `<span class="badge badge-secondary">${this.escapeHtml(term)}</span>`).join(' ')}</td>
+                                <td>${group.isActive ? '<span class="badge badge-success">Active</span>' : '<span class="badge badge-warning">Paused</span>'}</td>
+                                <td>${group.updatedAt ? new Date(group.updatedAt).toLocaleDateString() : '&mdash;'}</td>
+                                <td>
+                                    <button type="button" class="btn btn-sm btn-secondary" onclick="window.adminApp.editSearchSynonymGroup(${id})"><i class="fas fa-edit"></i> Edit</button>
+                                    <button type="button" class="btn btn-sm btn-secondary" onclick="window.adminApp.toggleSearchSynonymGroup(${id})">${group.isActive ? 'Pause' : 'Activate'}</button>
+                                    <button type="button" class="btn btn-sm btn-danger" onclick="window.adminApp.deleteSearchSynonymGroup(${id})"><i class="fas fa-trash"></i> Delete</button>
+                                </td>
+                            </tr>`;
+                            }).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+        } catch (error) {
+            container.innerHTML = `<div style="text-align: center; padding: 2rem; color: var(--error);"><p>Failed to load synonym groups: ${this.escapeHtml(error.message)}</p></div>`;
+        }
+    }
+
+    async editSearchSynonymGroup(groupId) {
+        const existing = groupId ? (this.searchSynonymGroups || []).find((g) => Number(g.id) === Number(groupId)) : null;
+        const result = await this.showAdminInputModal({
+            title: existing ? 'Edit synonym group' : 'Add synonym group',
+            message: 'Comma-separated words or phrases that should find the same products, e.g. "b12, cobalamin, methylcobalamin".',
+            inputs: [{
+                key: 'terms',
+                label: 'Terms',
+                placeholder: 'b12, cobalamin',
+                value: existing ? (existing.terms || []).join(', ') : '',
+                required: true
+            }],
+            submitLabel: existing ? 'Save' : 'Add group'
+        });
+        if (!result) return;
+        try {
+            await this.apiRequest(existing ? `/admin/search-synonyms/${existing.id}` : '/admin/search-synonyms', {
+                method: existing ? 'PUT' : 'POST',
+                body: JSON.stringify({ terms: result.terms, isActive: existing ? existing.isActive : true })
+            });
+            this.showNotification(existing ? 'Synonym group updated' : 'Synonym group added', 'success');
+            await this.loadSearchSynonyms();
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to save synonym group', 'error');
+        }
+    }
+
+    async toggleSearchSynonymGroup(groupId) {
+        const group = (this.searchSynonymGroups || []).find((g) => Number(g.id) === Number(groupId));
+        if (!group) return;
+        try {
+            await this.apiRequest(`/admin/search-synonyms/${group.id}`, {
+                method: 'PUT',
+                body: JSON.stringify({ terms: group.terms, isActive: !group.isActive })
+            });
+            this.showNotification(group.isActive ? 'Synonym group paused' : 'Synonym group activated', 'success');
+            await this.loadSearchSynonyms();
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to update synonym group', 'error');
+        }
+    }
+
+    async deleteSearchSynonymGroup(groupId) {
+        const confirmed = await this.showAdminConfirm({
+            title: 'Delete synonym group',
+            message: 'Delete this synonym group? Storefront search stops treating these terms as equivalent.',
+            confirmLabel: 'Delete',
+            danger: true
+        });
+        if (!confirmed) return;
+        try {
+            await this.apiRequest(`/admin/search-synonyms/${groupId}`, { method: 'DELETE' });
+            this.showNotification('Synonym group deleted', 'success');
+            await this.loadSearchSynonyms();
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to delete synonym group', 'error');
+        }
+    }
+
+    async loadReturns(page) {
+        const container = document.getElementById('returnsQueue');
+        if (!container) return;
+
+        if (page) this._returnsPage = page;
+        const currentPage = this._returnsPage || 1;
+        const status = document.getElementById('returnsStatusFilter')?.value || 'requested';
+        const search = (document.getElementById('returnsSearch')?.value || '').trim();
+
+        container.innerHTML = '<div class="loading"><div class="spinner"></div>Loading returns...</div>';
+
+        if (!this.authToken) {
+            container.innerHTML = '<div style="text-align: center; padding: 2rem; color: var(--gray-500);"><p>Please log in to view returns.</p></div>';
+            return;
+        }
+
+        try {
+            const params = new URLSearchParams({ page: String(currentPage), limit: '25' });
+            if (status !== 'all') params.set('status', status);
+            if (search) params.set('search', search);
+            const data = await this.apiRequest(`/admin/returns?${params.toString()}`);
+            if (!data) {
+                container.innerHTML = '<div style="text-align: center; padding: 2rem; color: var(--gray-500);"><p>Please log in to view returns.</p></div>';
+                return;
+            }
+
+            const counts = data.counts || {};
+            const summary = `
+                <p style="margin: 0 0 1rem; font-size: 0.875rem; color: var(--gray-600);">
+                    <span class="badge badge-warning">${Number(counts.requested) || 0} requested</span>
+                    <span class="badge badge-info">${Number(counts.approved) || 0} awaiting parcel</span>
+                    <span class="badge badge-secondary">${Number(counts.received) || 0} to refund</span>
+                    <span class="badge badge-success">${Number(counts.refunded) || 0} refunded</span>
+                </p>`;
+
+            const list = Array.isArray(data.returns) ? data.returns : [];
+            if (!list.length) {
+                container.innerHTML = `${summary}<div style="text-align: center; padding: 2rem; color: var(--gray-500);"><p>No ${status === 'all' ? '' : this.escapeHtml(status) + ' '}returns.</p></div>`;
+                return;
+            }
+
+            const totalPages = Number(data.pagination?.totalPages) || 1;
+            container.innerHTML = `
+                ${summary}
+                ${list.map((r) => this.renderReturnCard(r)).join('')}
+                ${totalPages > 1 ? `
+                <div style="display: flex; gap: 0.5rem; align-items: center; justify-content: flex-end; margin-top: 1rem;">
+                    <button type="button" class="btn btn-sm btn-secondary" ${currentPage <= 1 ? 'disabled' : ''} onclick="window.adminApp.loadReturns(${currentPage - 1})">Previous</button>
+                    <span style="font-size: 0.875rem; color: var(--gray-600);">Page ${currentPage} of ${totalPages}</span>
+                    <button type="button" class="btn btn-sm btn-secondary" ${currentPage >= totalPages ? 'disabled' : ''} onclick="window.adminApp.loadReturns(${currentPage + 1})">Next</button>
+                </div>` : ''}
+            `;
+        } catch (error) {
+            container.innerHTML = `<div style="text-align: center; padding: 2rem; color: var(--error);"><p>Failed to load returns: ${this.escapeHtml(error.message)}</p></div>`;
+        }
+    }
+
+    renderReturnCard(ret) {
+        const id = Number(ret.id);
+        const money = (v) => `$${(Number(v) || 0).toFixed(2)}`;
+        const statusBadge = {
+            requested: 'badge-warning',
+            approved: 'badge-info',
+            received: 'badge-secondary',
+            refunding: 'badge-info',
+            refunded: 'badge-success',
+            rejected: 'badge-danger',
+            cancelled: 'badge-secondary'
+        }[ret.status] || 'badge-secondary';
+        const created = ret.createdAt ? new Date(ret.createdAt).toLocaleDateString() : '';
+        const itemsHtml = (ret.items || []).map((i) => `
+            <tr>
+                <td>${this.escapeHtml(i.name)}${i.sku ? ` <code>${this.escapeHtml(i.sku)}</code>` : ''}</td>
+                <td style="text-align: center;">${Number(i.quantity)}</td>
+                <td style="text-align: center;">${i.condition ? `${Number(i.restockQuantity)} restocked (${this.escapeHtml(i.condition)})` : '&mdash;'}</td>
+                <td style="text-align: right;">${money(i.refundAmount)}</td>
+            </tr>`).join('');
+
+        const actions = [];
+        if (ret.status === 'requested') {
+            actions.push(`<button type="button" class="btn btn-sm btn-primary" onclick="window.adminApp.approveReturn(${id})"><i class="fas fa-check"></i> Approve &amp; create label</button>`);
+            actions.push(`<button type="button" class="btn btn-sm btn-secondary" onclick="window.adminApp.approveReturn(${id}, false)">Approve without label</button>`);
+        }
+        if (ret.status === 'requested' || ret.status === 'approved') {
+            actions.push(`<button type="button" class="btn btn-sm btn-secondary" onclick="window.adminApp.rejectReturn(${id})"><i class="fas fa-ban"></i> Reject</button>`);
+        }
+        if (ret.status === 'approved') {
+            actions.push(`<button type="button" class="btn btn-sm btn-primary" onclick="window.adminApp.receiveReturn(${id})"><i class="fas fa-box-open"></i> Mark received</button>`);
+        }
+        if (ret.status === 'received') {
+            actions.push(`<button type="button" class="btn btn-sm btn-primary" onclick="window.adminApp.refundReturn(${id})"><i class="fas fa-undo"></i> Issue refund</button>`);
+        }
+
+        return `
+            <div class="card" style="margin-bottom: 1rem; border: 1px solid var(--gray-200);">
+                <div class="card-content">
+                    <div style="display: flex; justify-content: space-between; gap: 1rem; flex-wrap: wrap;">
+                        <div>
+                            <div style="font-weight: 600;">${this.escapeHtml(ret.rmaNumber)} &middot; Order ${this.escapeHtml(ret.orderNumber || `#${ret.orderId}`)}</div>
+                            <div style="font-size: 0.875rem; color: var(--gray-600);">${this.escapeHtml(ret.reasonLabel)}</div>
+                        </div>
+                        <div style="text-align: right; font-size: 0.875rem; color: var(--gray-600);">
+                            <span class="badge ${statusBadge}">${this.escapeHtml(ret.status)}</span><br>
+                            ${this.escapeHtml(ret.customer?.name || '')} &lt;${this.escapeHtml(ret.customer?.email || '')}&gt;<br>
+                            ${created}
+                        </div>
+                    </div>
+                    ${ret.customerNotes ? `<p style="margin: 0.75rem 0; white-space: pre-line;">${this.escapeHtml(ret.customerNotes)}</p>` : ''}
+                    <div class="table-container" style="margin-top: 0.75rem;">
+                        <table class="table">
+                            <thead><tr><th>Item</th><th style="text-align: center;">Qty</th><th style="text-align: center;">Received</th><th style="text-align: right;">Refund</th></tr></thead>
+                            <tbody>${itemsHtml}</tbody>
+                        </table>
+                    </div>
+                    <p style="margin: 0.5rem 0; font-size: 0.875rem;">
+                        ${ret.refundAmount != null ? `<strong>Refunded ${money(ret.refundAmount)}</strong>` : `Estimated refund ${money(ret.refundEstimate)}`}
+                        ${ret.label?.url ? ` &middot; <a href="${this.escapeHtml(ret.label.url)}" target="_blank" rel="noopener">Return label</a>` : ''}
+                        ${ret.label?.trackingUrl ? ` &middot; <a href="${this.escapeHtml(ret.label.trackingUrl)}" target="_blank" rel="noopener">Track ${this.escapeHtml(ret.label.trackingNumber || '')}</a>` : ''}
+                    </p>
+                    ${ret.adminNotes ? `<p style="margin: 0.5rem 0; font-size: 0.875rem; color: var(--gray-600);"><strong>Note:</strong> ${this.escapeHtml(ret.adminNotes)}</p>` : ''}
+                    ${actions.length ? `<div class="button-group" style="margin-top: 0.75rem; display: flex; gap: 0.5rem; flex-wrap: wrap;">${actions.join('')}</div>` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    async approveReturn(returnId, generateLabel = true) {
+        const result = await this.showAdminInputModal({
+            title: generateLabel ? 'Approve return & buy label' : 'Approve return',
+            message: generateLabel
+                ? 'The cheapest carrier rate is purchased and the label is emailed to the customer. Leave the weight blank to use catalog weights.'
+                : 'The customer is emailed to ship the items back on their own.',
+            inputs: [
+                ...(generateLabel ? [{ key: 'packageWeightOz', label: 'Package weight (oz, optional)', inputType: 'number' }] : []),
+                { key: 'notes', label: 'Internal note (optional)' }
+            ],
+            submitLabel: 'Approve'
+        });
+        if (!result) return;
+        try {
+            await this.apiRequest(`/admin/returns/${returnId}/approve`, {
+                method: 'POST',
+                body: JSON.stringify({ generateLabel, packageWeightOz: result.packageWeightOz, notes: result.notes })
+            });
+            this.showNotification('Return approved', 'success');
+            await this.loadReturns();
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to approve return', 'error');
+        }
+    }
+
+    async rejectReturn(returnId) {
+        const result = await this.showAdminInputModal({
+            title: 'Reject return',
+            message: 'The reason is emailed to the customer.',
+            inputs: [{ key: 'notes', label: 'Reason', required: true, placeholder: 'e.g. Outside the return window' }],
+            submitLabel: 'Reject return'
+        });
+        if (!result) return;
+        try {
+            await this.apiRequest(`/admin/returns/${returnId}/reject`, {
+                method: 'POST',
+                body: JSON.stringify({ notes: result.notes })
+            });
+            this.showNotification('Return rejected', 'success');
+            await this.loadReturns();
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to reject return', 'error');
+        }
+    }
+
+    async receiveReturn(returnId) {
+        try {
+            const detail = await this.apiRequest(`/admin/returns/${returnId}`);
+            if (!detail) return;
+            const items = detail.items || [];
+            const result = await this.showAdminInputModal({
+                title: `Receive ${detail.rmaNumber}`,
+                message: 'Enter how many units of each item go back on the shelf. Anything less than the returned quantity is logged as damaged.',
+                inputs: items.map((i) => ({
+                    key: `item_${i.id}`,
+                    label: `${i.name} (returned ${i.quantity})`,
+                    inputType: 'number',
+                    value: String(i.quantity),
+                    required: true
+                })),
+                submitLabel: 'Mark received'
+            });
+            if (!result) return;
+            const payload = items.map((i) => {
+                const restockQuantity = Math.max(0, Math.min(i.quantity, parseInt(result[`item_${i.id}`], 10) || 0));
+                return { id: i.id, restockQuantity, condition: restockQuantity < i.quantity ? 'damaged' : 'resellable' };
+            });
+            await this.apiRequest(`/admin/returns/${returnId}/receive`, {
+                method: 'POST',
+                body: JSON.stringify({ items: payload })
+            });
+            this.showNotification('Return received and inventory restocked', 'success');
+            await this.loadReturns();
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to receive return', 'error');
+        }
+    }
+
+    async refundReturn(returnId) {
+        try {
+            const detail = await this.apiRequest(`/admin/returns/${returnId}`);
+            if (!detail) return;
+            const tenderLabels = {
+                card_terminal: 'card',
+                gift_card: 'gift card',
+                loyalty_cash: 'store credit',
+                loyalty_points: 'points'
+            };
+            const preview = detail.refundPreview || {};
+            const split = (preview.allocations || [])
+                .map((a) => `$${Number(a.amount).toFixed(2)} to ${tenderLabels[a.type] || a.type}`)
+                .join(', ');
+            const result = await this.showAdminInputModal({
+                title: `Refund ${detail.rmaNumber}`,
+                message: `Suggested refund $${Number(preview.amount || 0).toFixed(2)}${split ? ` (${split})` : ''}. Lower it for a restocking fee or damaged items; the card is refunded first.`,
+                inputs: [{ key: 'amount', label: 'Refund amount ($)', inputType: 'number', value: String(preview.amount || 0), required: true }],
+                submitLabel: 'Issue refund'
+            });
+            if (!result) return;
+            await this.apiRequest(`/admin/returns/${returnId}/refund`, {
+                method: 'POST',
+                body: JSON.stringify({ amount: Number(result.amount) })
+            });
+            this.showNotification('Refund issued', 'success');
+            await this.loadReturns();
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to issue refund', 'error');
+        }
+    }
+
     renderOrdersTable(orders) {
         return `
             <div class="table-container">
@@ -7383,6 +8260,47 @@ class AdminApp {
         return `<span class="badge badge-warning">${this.escapeHtml(text)}</span>`;
     }
 
+    edsaAppointmentHasStarted(booking) {
+        const ymd = this.formatEdsaDateInput(booking.preferred_date);
+        if (!ymd || !booking.preferred_time) return false;
+        const start = new Date(`${ymd}T${String(booking.preferred_time).slice(0, 5)}:00`);
+        return !Number.isNaN(start.getTime()) && start.getTime() <= Date.now();
+    }
+
+    renderEdsaPolicyFee(booking) {
+        if (!booking.policy_fee_status) return '';
+        const label = booking.policy_fee_type === 'late_cancel' ? 'Late-cancel fee' : 'No-show fee';
+        const amount = `$${Number(booking.policy_fee_amount || 0).toFixed(2)}`;
+        if (booking.policy_fee_status === 'charged') {
+            return `<span class="badge badge-info">${label} ${amount} charged</span>`;
+        }
+        if (booking.policy_fee_status === 'waived') {
+            return `<span class="badge badge-secondary">${label} waived</span>`;
+        }
+        if (booking.policy_fee_status === 'charging') {
+            return `<span class="badge badge-warning">${label} ${amount} being charged</span>`;
+        }
+        return `<span class="badge badge-danger" title="${this.escapeHtml(booking.policy_fee_error || '')}">${label} ${amount} declined</span>`;
+    }
+
+    renderEdsaAttendance(booking) {
+        const parts = [];
+        if (booking.attendance === 'attended') {
+            parts.push('<span class="badge badge-success">Attended</span>');
+        } else if (booking.attendance === 'no_show') {
+            parts.push('<span class="badge badge-danger">No-show</span>');
+        } else if (booking.status === 'confirmed' && this.edsaAppointmentHasStarted(booking)) {
+            parts.push(`
+                <button type="button" class="btn btn-sm btn-secondary" data-edsa-attendance-id="${booking.id}" data-edsa-attendance="attended">Attended</button>
+                <button type="button" class="btn btn-sm btn-secondary" data-edsa-attendance-id="${booking.id}" data-edsa-attendance="no_show">No-show</button>`);
+        } else if (booking.customer_confirmed_at) {
+            parts.push('<span class="badge badge-success" title="Confirmed from a reminder">Customer confirmed</span>');
+        }
+        const fee = this.renderEdsaPolicyFee(booking);
+        if (fee) parts.push(fee);
+        return parts.length ? parts.join(' ') : '<span class="text-muted">â€”</span>';
+    }
+
     renderEDSABookingsTable(bookings) {
         return `
             <div class="table-container">
@@ -7396,6 +8314,7 @@ class AdminApp {
                             <th>Time</th>
                             <th>Status</th>
                             <th>Customer request</th>
+                            <th>Attendance</th>
                             <th>Created</th>
                             <th>Actions</th>
                         </tr>
@@ -7414,6 +8333,7 @@ class AdminApp {
                                     </span>
                                 </td>
                                 <td>${this.renderEdsaCustomerRequest(booking)}</td>
+                                <td>${this.renderEdsaAttendance(booking)}</td>
                                 <td>${new Date(booking.created_at).toLocaleDateString()}</td>
                                 <td>
                                     <button type="button" class="btn btn-sm btn-secondary" data-edsa-edit-id="${booking.id}" aria-label="Edit booking #${booking.id}">
@@ -7466,6 +8386,49 @@ class AdminApp {
                 }
             });
         });
+        root.querySelectorAll('[data-edsa-attendance-id]').forEach((btn) => {
+            if (btn.dataset.edsaAttendanceBound === '1') return;
+            btn.dataset.edsaAttendanceBound = '1';
+            btn.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                const id = Number(btn.getAttribute('data-edsa-attendance-id'));
+                if (Number.isFinite(id)) {
+                    void this.markEdsaAttendance(id, btn.getAttribute('data-edsa-attendance'));
+                }
+            });
+        });
+    }
+
+    async markEdsaAttendance(bookingId, attendance) {
+        const booking = this._edsaBookingsById.get(Number(bookingId));
+        if (!booking) return;
+        const name = `${booking.first_name || ''} ${booking.last_name || ''}`.trim() || `booking #${booking.id}`;
+        let chargeFee = true;
+        if (attendance === 'no_show') {
+            if (!confirm(`Mark ${name} as a no-show?`)) return;
+            if (Number(booking.has_fee_card)) {
+                chargeFee = confirm(
+                    `Charge the no-show fee to the card ending ${booking.fee_card_last4 || 'on file'}?\n\nOK charges the fee. Cancel waives it.`
+                );
+            }
+        }
+        try {
+            const result = await this.apiRequest(`/admin/edsa/bookings/${booking.id}/attendance`, {
+                method: 'POST',
+                body: JSON.stringify({ attendance, charge_fee: chargeFee })
+            });
+            if (result?.fee?.status === 'failed') {
+                this.showToast(`Marked as a no-show, but the fee was declined: ${result.fee.error || 'card declined'}`, 'error');
+            } else if (result?.fee?.status === 'charged') {
+                this.showToast(`Marked as a no-show. $${Number(result.fee.amount).toFixed(2)} charged.`, 'success');
+            } else {
+                this.showToast(result?.message || 'Attendance saved', 'success');
+            }
+            await this.loadEDSABookings();
+        } catch (err) {
+            this.showToast(err.message || 'Could not save attendance', 'error');
+        }
     }
 
     openEdsaBookingModal(bookingId) {
@@ -7486,6 +8449,8 @@ class AdminApp {
             </div>
             <div class="modal-body" style="padding:1.5rem;">
                 <p style="margin:0 0 1rem;color:var(--gray-600);">${this.escapeHtml(name)} Â· ${this.escapeHtml(booking.email)}</p>
+                ${booking.attendance || booking.policy_fee_status || booking.customer_confirmed_at ? `<p style="margin:-0.5rem 0 1rem;">${this.renderEdsaAttendance({ ...booking, status: null })}</p>` : ''}
+                ${booking.service_name ? `<p style="margin:-0.5rem 0 1rem;color:var(--gray-600);">${this.escapeHtml(booking.service_name)}${booking.practitioner_name ? ` with ${this.escapeHtml(booking.practitioner_name)}` : ''}${booking.duration_minutes ? ` Â· ${Number(booking.duration_minutes)} min` : ''}${Number(booking.balance_due) > 0 ? ` Â· $${Number(booking.balance_due).toFixed(2)} due at visit` : ''}</p>` : ''}
                 <div class="form-group">
                     <label for="edsa-edit-status">Status</label>
                     <select id="edsa-edit-status" class="form-control">
@@ -7516,6 +8481,7 @@ class AdminApp {
                 </p>
             </div>
             <div class="modal-footer" style="display:flex;gap:0.5rem;justify-content:flex-end;padding:1rem 1.5rem;border-top:1px solid var(--gray-200);">
+                ${this.currentUser?.role !== 'assistant_manager' && window.AdminEdsaSession ? '<button type="button" class="btn btn-secondary" id="edsa-edit-session" style="margin-right:auto;">Session notes</button>' : ''}
                 <button type="button" class="btn btn-secondary" id="edsa-edit-cancel">Close</button>
                 <button type="button" class="btn btn-primary" id="edsa-edit-save">Save changes</button>
             </div>`);
@@ -7532,6 +8498,10 @@ class AdminApp {
         modal.addEventListener('click', (e) => {
             if (e.target === modal) close();
         });
+        modal.querySelector('#edsa-edit-session')?.addEventListener('click', () => {
+            close();
+            void window.AdminEdsaSession.open(booking);
+        });
 
         modal.querySelector('#edsa-edit-save')?.addEventListener('click', async () => {
             const btn = modal.querySelector('#edsa-edit-save');
@@ -10390,6 +11360,7 @@ class AdminApp {
                 input.name = inp.key;
                 input.type = inp.inputType || 'text';
                 input.placeholder = inp.placeholder || '';
+                input.value = inp.value || '';
                 input.required = !!inp.required;
                 wrap.appendChild(lab);
                 wrap.appendChild(input);
@@ -10859,7 +11830,8 @@ function createProductModal(title, formId, isEdit = false) {
         { type: 'input', label: 'SKU / Barcode', id: `${isEdit ? 'edit' : 'add'}-sku`, name: 'sku', inputType: 'text', required: false },
         { type: 'input', label: 'Product Name *', id: `${isEdit ? 'edit' : 'add'}-name`, name: 'name', inputType: 'text', required: true },
         { type: 'textarea', label: 'Short Description', id: `${isEdit ? 'edit' : 'add'}-short-description`, name: 'short_description', rows: 2 },
-        { type: 'textarea', label: 'Long Description', id: `${isEdit ? 'edit' : 'add'}-long-description`, name: 'long_description', rows: 4 }
+        { type: 'textarea', label: 'Long Description', id: `${isEdit ? 'edit' : 'add'}-long-description`, name: 'long_description', rows: 4 },
+        { type: 'textarea', label: 'Ingredients', id: `${isEdit ? 'edit' : 'add'}-ingredients`, name: 'ingredients', rows: 2 }
     ];
 
     // Add brand and category selects for add modal only
@@ -10950,7 +11922,7 @@ function createProductModal(title, formId, isEdit = false) {
     fields.forEach((field) => {
         const isBasicInfo = field.name === 'sku' || field.name === 'name' ||
             field.name === 'short_description' || field.name === 'long_description' ||
-            field.name === 'health_categories';
+            field.name === 'ingredients' || field.name === 'health_categories';
         const isPricing = field.name === 'price' || field.name === 'compare_price' || field.name === 'cost_price' ||
             field.name === 'inventory_quantity' || field.name === 'low_stock_threshold' ||
             field.name === 'brand_id' || field.name === 'category_id' ||
@@ -11007,6 +11979,15 @@ function createProductModal(title, formId, isEdit = false) {
             if (field.rows) textarea.setAttribute('rows', field.rows.toString());
             formGroup.appendChild(textarea);
 
+            if (field.name === 'ingredients') {
+                const hint = document.createElement('div');
+                hint.textContent = 'Key ingredients, comma separated — used by storefront search.';
+                hint.style.fontSize = '0.8rem';
+                hint.style.color = 'var(--gray-500)';
+                hint.style.marginTop = '0.35rem';
+                formGroup.appendChild(hint);
+            }
+
             if (field.name === 'long_description') {
                 const hint = document.createElement('div');
                 hint.textContent = 'Plain text only — headings and paragraphs are formatted automatically on the storefront.';
@@ -11746,6 +12727,11 @@ function createProductModal(title, formId, isEdit = false) {
         window.HMProductVariantsEditor.mountVariantEditor(form, isEdit ? 'edit' : 'add');
     }
 
+    // Bundle / kit components
+    if (window.HMProductBundleEditor) {
+        window.HMProductBundleEditor.mountBundleEditor(form, isEdit ? 'edit' : 'add');
+    }
+
     if (window.HMProductSkuField) {
         window.HMProductSkuField.enhanceProductForm(form, isEdit ? 'edit' : 'add', modal);
     }
@@ -12031,6 +13017,8 @@ async function loadProductForEdit(productId) {
                     longDescEl._hmSyncLongDescPreview();
                 }
             }
+            const ingredientsEl = document.getElementById('edit-ingredients');
+            if (ingredientsEl) ingredientsEl.value = product.ingredients || '';
             document.getElementById('edit-price').value = product.price || '';
             const costEl = document.getElementById('edit-cost-price');
             if (costEl) costEl.value = product.cost_price != null ? product.cost_price : '';
@@ -12113,6 +13101,9 @@ async function loadProductForEdit(productId) {
             if (editForm?._hmVariantEditor) {
                 editForm._hmVariantEditor.load(product);
             }
+            if (editForm?._hmBundleEditor) {
+                editForm._hmBundleEditor.load(product);
+            }
         } else {
             window.adminApp.showNotification('Failed to load product data', 'error');
         }
@@ -12171,6 +13162,9 @@ async function updateProduct(productId, formData, formElement) {
         if (window.HMProductVariantsEditor) {
             window.HMProductVariantsEditor.attachVariantPayload(productData, formElement);
         }
+        if (window.HMProductBundleEditor) {
+            window.HMProductBundleEditor.attachBundlePayload(productData, formElement);
+        }
 
         const app = window.adminApp;
         const response = await fetch(`${app.apiBaseUrl}/admin/products/${productId}`, {
@@ -12261,6 +13255,9 @@ async function createProduct(formData, formElement) {
         if (window.HMProductVariantsEditor) {
             window.HMProductVariantsEditor.attachVariantPayload(productData, formElement);
         }
+        if (window.HMProductBundleEditor) {
+            window.HMProductBundleEditor.attachBundlePayload(productData, formElement);
+        }
 
         const app = window.adminApp;
         const response = await fetch(`${app.apiBaseUrl}/admin/products`, {
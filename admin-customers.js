@@ -331,7 +331,7 @@
             </div>
 
             <div style="border-bottom:1px solid var(--gray-200);padding:0 1.5rem;display:flex;gap:0;overflow-x:auto;">
-                ${['profile','addresses','orders','gift-cards','loyalty','communications'].map((tab, i) => `
+                ${['profile','addresses','orders','gift-cards','loyalty','appointments','communications'].map((tab, i) => `
                     <button class="cust-tab" data-tab="${tab}" style="background:none;border:none;padding:1rem 1.25rem;cursor:pointer;font-weight:500;color:${i===0?'var(--primary-green)':'var(--gray-600)'};border-bottom:3px solid ${i===0?'var(--primary-green)':'transparent'};text-transform:capitalize;white-space:nowrap;">${tab.replace('-',' ')}</button>
                 `).join('')}
             </div>
@@ -541,6 +541,45 @@
                     }).join('')}</tbody>
                 </table></div>` : ''}`;
         }
+        if (tab === 'appointments') {
+            const edsa = data.edsa || { bookings: [], packages: [], clinical_access: false };
+            const packagesHtml = this._edsaPackagesHtml(edsa.packages || []);
+            if (!edsa.bookings.length) return `${packagesHtml}<p style="color:var(--gray-500);">No EDSA appointments.</p>`;
+            const restricted = edsa.clinical_access ? '' : `
+                <p style="margin:0 0 1rem;color:var(--gray-500);font-size:0.9rem;"><i class="fas fa-lock" aria-hidden="true"></i> Intake answers and session notes are visible to Managers and up.</p>`;
+            const intakeHtml = (forms) => forms.map(f => `
+                <div style="margin-bottom:0.75rem;">
+                    <strong>${esc(f.title)}</strong> <small style="color:var(--gray-500);">${fmtDateTime(f.submittedAt)}</small>
+                    <dl style="margin:0.35rem 0 0;display:grid;grid-template-columns:minmax(10rem,auto) 1fr;gap:0.25rem 0.75rem;">
+                        ${f.items.map(item => `<dt style="color:var(--gray-600);">${esc(item.label)}</dt><dd style="margin:0;white-space:pre-wrap;">${esc(item.answer || '—')}</dd>`).join('')}
+                    </dl>
+                </div>`).join('');
+            const notesHtml = (n) => `
+                <div style="margin-bottom:0.5rem;">
+                    <strong>Session notes</strong> <small style="color:var(--gray-500);">${fmtDateTime(n.updatedAt)}${n.updatedBy ? ` · ${esc(n.updatedBy)}` : ''}</small>
+                    <p style="margin:0.35rem 0;white-space:pre-wrap;">${esc(n.notes || '—')}</p>
+                    ${n.recommendations.length ? `<ul style="margin:0;padding-left:1.25rem;">${n.recommendations.map(r => `
+                        <li>${esc(r.name)} × ${Number(r.quantity)}${r.instructions ? ` — ${esc(r.instructions)}` : ''}</li>`).join('')}</ul>` : ''}
+                </div>`;
+            return `${packagesHtml}${restricted}
+                <div class="table-container"><table class="table">
+                    <thead><tr><th>Date</th><th>Service</th><th>Status</th><th>Intake</th><th>Notes</th>${edsa.clinical_access ? '<th></th>' : ''}</tr></thead>
+                    <tbody>${edsa.bookings.map(b => `
+                        <tr>
+                            <td>${fmtDate(b.preferred_date)} ${esc(String(b.preferred_time || '').slice(0, 5))}</td>
+                            <td>${esc(b.service_name || 'EDSA session')}${b.practitioner_name ? `<br><small>${esc(b.practitioner_name)}</small>` : ''}${b.customer_package_id ? '<br><small>Prepaid package</small>' : ''}</td>
+                            <td><span style="text-transform:capitalize;">${esc(b.status)}</span>${b.attendance ? `<br><small>${esc(String(b.attendance).replace('_', ' '))}</small>` : ''}</td>
+                            <td>${b.intake_count ? `${b.intake_count} form${b.intake_count === 1 ? '' : 's'}` : '—'}</td>
+                            <td>${b.has_session_notes ? '<i class="fas fa-check" style="color:var(--success);"></i>' : '—'}</td>
+                            ${edsa.clinical_access ? `<td><button type="button" class="btn btn-sm btn-secondary" data-action="edsa-session" data-id="${b.id}">Session notes</button></td>` : ''}
+                        </tr>
+                        ${edsa.clinical_access && (b.intake?.length || b.session_notes) ? `
+                        <tr><td colspan="6" style="background:var(--gray-50, #f9fafb);">
+                            ${intakeHtml(b.intake || [])}
+                            ${b.session_notes ? notesHtml(b.session_notes) : ''}
+                        </td></tr>` : ''}`).join('')}</tbody>
+                </table></div>`;
+        }
         if (tab === 'communications') {
             return data.communications.length ? `
                 <div class="table-container"><table class="table">
@@ -558,6 +597,85 @@
         return '';
     };
 
+    /** Prepaid EDSA packages on the Appointments tab; Managers and up can refund or change expiry. */
+    AdminApp.prototype._edsaPackagesHtml = function (packages) {
+        if (!packages.length) return '';
+        const canEdit = this.currentUser?.role !== 'assistant_manager';
+        const statusLabels = { active: 'Active', used: 'Used up', expired: 'Expired', refunded: 'Refunded', cancelled: 'Cancelled' };
+        return `
+            <h4 style="margin:0 0 0.5rem;">Prepaid packages</h4>
+            <div class="table-container" style="margin-bottom:1.5rem;"><table class="table">
+                <thead><tr><th>Package</th><th>Sessions left</th><th>Paid</th><th>Expires</th><th>Status</th><th>Order</th>${canEdit ? '<th></th>' : ''}</tr></thead>
+                <tbody>${packages.map(p => `
+                    <tr>
+                        <td><strong>${esc(p.name)}</strong>${p.serviceName ? `<br><small>${esc(p.serviceName)}</small>` : ''}</td>
+                        <td>${p.sessionsRemaining} of ${p.sessionsTotal}${p.sessionsRefunded ? `<br><small>${p.sessionsRefunded} refunded</small>` : ''}</td>
+                        <td>${fmtMoney(p.amountPaid)}</td>
+                        <td>${p.expiresOn ? fmtDate(`${p.expiresOn}T00:00:00`) : 'Never'}</td>
+                        <td>${esc(statusLabels[p.status] || p.status)}${p.refundAmount != null ? `<br><small>${fmtMoney(p.refundAmount)} · ${esc(String(p.refundMethod || '').replace('_', ' '))}</small>` : ''}</td>
+                        <td>${p.orderNumber ? esc(p.orderNumber) : '—'}</td>
+                        ${canEdit ? `<td style="white-space:nowrap;">${['active', 'expired'].includes(p.status) ? `
+                            <button type="button" class="btn btn-sm btn-secondary" data-action="edsa-package-expiry" data-id="${p.id}">Expiry</button>
+                            <button type="button" class="btn btn-sm btn-secondary" data-action="edsa-package-refund" data-id="${p.id}">Refund unused</button>` : ''}</td>` : ''}
+                    </tr>`).join('')}</tbody>
+            </table></div>`;
+    };
+
+    AdminApp.prototype._edsaPackagePrompt = function (customerId, pkg, mode) {
+        const prorated = pkg.sessionsTotal ? Math.round((pkg.amountPaid * pkg.sessionsRemaining / pkg.sessionsTotal) * 100) / 100 : 0;
+        const fields = mode === 'refund' ? `
+            <p style="margin:0 0 1rem;">${pkg.sessionsRemaining} unused session${pkg.sessionsRemaining === 1 ? '' : 's'} of ${pkg.sessionsTotal}. Sessions already booked stay with their appointments.</p>
+            <div class="form-group"><label for="edsaPkgRefundMethod">Refund to</label>
+                <select class="form-input" id="edsaPkgRefundMethod" name="method">
+                    <option value="card">Original card</option>
+                    <option value="store_credit">Store credit</option>
+                    <option value="other">Paid out another way (record only)</option>
+                </select></div>
+            <div class="form-group"><label for="edsaPkgRefundAmount">Amount ($)</label>
+                <input class="form-input" id="edsaPkgRefundAmount" name="amount" type="number" min="0" max="${pkg.amountPaid}" step="0.01" value="${prorated.toFixed(2)}">
+                <small class="form-help">Defaults to the unused share of ${fmtMoney(pkg.amountPaid)}.</small></div>` : `
+            <div class="form-group"><label for="edsaPkgExpiresOn">Use by</label>
+                <input class="form-input" id="edsaPkgExpiresOn" name="expiresOn" type="date" value="${esc(pkg.expiresOn || '')}">
+                <small class="form-help">Leave empty for no expiry.</small></div>`;
+        const modal = openModal(`
+            <div style="padding:1.5rem;">
+                <h3 style="margin-top:0;">${mode === 'refund' ? 'Refund unused sessions' : 'Package expiry'} — ${esc(pkg.name)}</h3>
+                <form id="edsaPkgForm">
+                    ${fields}
+                    <div style="display:flex;gap:0.5rem;justify-content:flex-end;">
+                        <button type="button" class="btn btn-secondary" onclick="this.closest('.modal').remove()">Cancel</button>
+                        <button type="submit" class="btn btn-primary">${mode === 'refund' ? 'Refund' : 'Save'}</button>
+                    </div>
+                </form>
+            </div>`);
+        modal.querySelector('#edsaPkgForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const fd = new FormData(e.target);
+            const submitBtn = e.target.querySelector('[type="submit"]');
+            submitBtn.disabled = true;
+            try {
+                if (mode === 'refund') {
+                    await this.apiRequest(`/admin/edsa-services/customer-packages/${pkg.id}/refund`, {
+                        method: 'POST',
+                        body: JSON.stringify({ method: fd.get('method'), amount: fd.get('amount') })
+                    });
+                    this.showToast('Unused sessions refunded', 'success');
+                } else {
+                    await this.apiRequest(`/admin/edsa-services/customer-packages/${pkg.id}`, {
+                        method: 'PUT',
+                        body: JSON.stringify({ expiresOn: fd.get('expiresOn') || null })
+                    });
+                    this.showToast('Package expiry updated', 'success');
+                }
+                modal.remove();
+                this.showCustomerProfile(customerId);
+            } catch (err) {
+                submitBtn.disabled = false;
+                this.showToast(err.message || 'Could not update the package', 'error');
+            }
+        });
+    };
+
     AdminApp.prototype.deleteCustomerAccount = async function (customerId, email) {
         if (!this.isFullAdmin) {
             this.showToast('Only an Admin can delete customer accounts', 'error');
@@ -681,6 +799,27 @@
                 });
             });
         }
+        if (tab === 'appointments') {
+            content.querySelectorAll('[data-action="edsa-package-refund"], [data-action="edsa-package-expiry"]').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    const pkg = (data.edsa?.packages || []).find(p => Number(p.id) === Number(btn.dataset.id));
+                    if (pkg) this._edsaPackagePrompt(cId, pkg, btn.dataset.action === 'edsa-package-refund' ? 'refund' : 'expiry');
+                });
+            });
+            content.querySelectorAll('[data-action="edsa-session"]').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    const b = (data.edsa?.bookings || []).find(x => Number(x.id) === Number(btn.dataset.id));
+                    if (!b || !window.AdminEdsaSession) return;
+                    closeAllModals();
+                    void window.AdminEdsaSession.open({
+                        ...b,
+                        first_name: data.customer.first_name,
+                        last_name: data.customer.last_name,
+                        email: data.customer.email
+                    });
+                });
+            });
+        }
         if (tab === 'gift-cards') {
             content.querySelector('[data-action="issue-card-for-customer"]')?.addEventListener('click', () => {
                 closeAllModals();
@@ -116,8 +116,12 @@
         const name = `${booking.first_name || ''} ${booking.last_name || ''}`.trim() || 'Guest';
         const time = formatTimeDisplay(parseBookingTimeHm(booking));
         const req = booking.customer_request_type && booking.customer_request_type !== 'none';
-        const label = compact ? `${time} ${name.split(' ')[0]}` : `${time} — ${name}`;
-        return `<button type="button" class="edsa-cal-event ${statusClass(booking.status)}${req ? ' edsa-ev-request' : ''}" data-edsa-id="${booking.id}" title="${app.escapeHtml(name)} · ${app.escapeHtml(booking.email || '')}">${app.escapeHtml(label)}</button>`;
+        const service = [booking.service_name, booking.practitioner_name].filter(Boolean).join(' with ');
+        const label = compact
+            ? `${time} ${name.split(' ')[0]}`
+            : `${time} — ${name}${booking.service_name ? ` (${booking.service_name})` : ''}`;
+        const title = [name, service, booking.email].filter(Boolean).join(' · ');
+        return `<button type="button" class="edsa-cal-event ${statusClass(booking.status)}${req ? ' edsa-ev-request' : ''}" data-edsa-id="${booking.id}" title="${app.escapeHtml(title)}">${app.escapeHtml(label)}</button>`;
     }
 
     const calendarMixin = {
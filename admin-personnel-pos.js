@@ -28,17 +28,158 @@
         return window.adminApp.apiRequest('/admin/personnel' + path, opts);
     }
 
-    async function loadShiftEmployeeSelect() {
-        const sel = document.getElementById('pos-shift-employee');
+    const FLAG_BADGES = {
+        missing_clock_out: ['badge-danger', 'Missing clock-out'],
+        overlap: ['badge-danger', 'Overlaps another punch'],
+        long_shift: ['badge-warning', 'Long shift'],
+        edited: ['badge-info', 'Edited'],
+        open: ['badge-success', 'On the clock'],
+    };
+
+    let timesheetReport = null;
+
+    function fmtHours(minutes) {
+        return ((Number(minutes) || 0) / 60).toFixed(2);
+    }
+
+    function timesheetPeriod() {
+        return {
+            from: document.getElementById('pos-timesheet-from')?.value || '',
+            to: document.getElementById('pos-timesheet-to')?.value || '',
+        };
+    }
+
+    function approvalBadge(e) {
+        if (e.approval?.current) {
+            return `<span class="badge badge-success">Approved</span>${e.approval.approvedBy ? ` <small>by ${esc(e.approval.approvedBy)}</small>` : ''}`;
+        }
+        if (e.approval) return '<span class="badge badge-warning">Changed since approval</span>';
+        return '<span class="badge badge-secondary">Not approved</span>';
+    }
+
+    function renderTimesheetEmployee(e) {
+        const missingIns = e.missingClockIns.length
+            ? `<p style="margin:0.5rem 0 0;color:#b45309;font-size:0.88rem;">No punches for scheduled shift(s): ${e.missingClockIns
+                  .map((s) => `${fmtDt(s.startsAt)} – ${fmtDt(s.endsAt)}`)
+                  .join('; ')}</p>`
+            : '';
+        const canApprove = e.workedMinutes > 0 && !e.blocking && !e.openEntries;
+        return `<div class="card" style="margin-bottom:1rem;"><div class="card-content">
+            <div style="display:flex;justify-content:space-between;align-items:flex-start;gap:0.75rem;flex-wrap:wrap;">
+                <div>
+                    <strong>${esc(e.employeeCode)} — ${esc(e.name)}</strong>
+                    <div style="font-size:0.88rem;color:var(--gray-600);margin-top:0.25rem;">
+                        Regular ${fmtHours(e.regularMinutes)} h · Overtime ${fmtHours(e.overtimeMinutes)} h · Unpaid breaks ${fmtHours(e.breakMinutes)} h
+                        ${e.grossPay != null ? ` · Gross ${fmtMoney(e.grossPay)}` : ' · No hourly rate set'}
+                    </div>
+                </div>
+                <div style="display:flex;gap:0.5rem;align-items:center;">
+                    ${approvalBadge(e)}
+                    ${e.approval?.current
+                        ? `<button type="button" class="btn btn-sm btn-secondary" data-timesheet-unapprove="${e.employeeId}">Reopen</button>`
+                        : `<button type="button" class="btn btn-sm btn-primary" data-timesheet-approve="${e.employeeId}"${canApprove ? '' : ' disabled title="Fix flagged punches first"'}>Approve</button>`}
+                </div>
+            </div>
+            ${missingIns}
+            ${e.entries.length ? `<table class="table" style="margin-top:0.75rem;"><thead><tr><th>Day</th><th>Clock in</th><th>Clock out</th><th>Paid h</th><th>Break</th><th>Flags</th><th></th></tr></thead><tbody>${e.entries
+                .map(
+                    (t) => `<tr>
+                    <td>${esc(t.workDate)}</td>
+                    <td>${fmtDt(t.clockIn)}</td>
+                    <td>${fmtDt(t.clockOut)}</td>
+                    <td>${fmtHours(t.paidMinutes)}</td>
+                    <td>${t.breakMinutes ? `${t.breakMinutes} min` : '—'}</td>
+                    <td>${t.flags.map((f) => `<span class="badge ${FLAG_BADGES[f]?.[0] || 'badge-secondary'}">${esc(FLAG_BADGES[f]?.[1] || f)}</span>`).join(' ')}${t.source === 'admin' ? ' <small>added by admin</small>' : ''}</td>
+                    <td style="white-space:nowrap;">
+                        <button type="button" class="btn btn-sm btn-secondary" data-time-entry-edit="${t.id}">Edit</button>
+                        <button type="button" class="btn btn-sm btn-secondary" data-time-entry-history="${t.id}">History</button>
+                        <button type="button" class="btn btn-sm btn-danger" data-time-entry-void="${t.id}">Remove</button>
+                    </td>
+                </tr>`
+                )
+                .join('')}</tbody></table>` : ''}
+        </div></div>`;
+    }
+
+    async function loadTimesheets() {
+        const mount = document.getElementById('pos-timesheets-list');
+        if (!mount) return;
+        const summary = document.getElementById('pos-timesheets-summary');
+        const { from, to } = timesheetPeriod();
+        mount.innerHTML = '<p class="form-help">Loading…</p>';
+        try {
+            const qs = new URLSearchParams();
+            if (from) qs.set('from', from);
+            if (to) qs.set('to', to);
+            const res = await api('/timesheets/report?' + qs.toString());
+            timesheetReport = res;
+            const t = res.totals || {};
+            if (summary) {
+                summary.innerHTML = `${esc(res.from)} to ${esc(res.to)} · Regular ${fmtHours(t.regularMinutes)} h · Overtime ${fmtHours(t.overtimeMinutes)} h · Gross ${fmtMoney(t.grossPay)}${
+                    t.flagged ? ` · <span style="color:var(--error);">${t.flagged} with missing punches</span>` : ''
+                }${t.awaitingApproval ? ` · ${t.awaitingApproval} awaiting approval` : ''}`;
+            }
+            const rows = res.employees || [];
+            mount.innerHTML = rows.length
+                ? rows.map(renderTimesheetEmployee).join('')
+                : '<p style="color:var(--gray-500);">No punches in this pay period.</p>';
+            mount.querySelectorAll('[data-timesheet-approve]').forEach((btn) => {
+                btn.addEventListener('click', () => approveTimesheet(btn.getAttribute('data-timesheet-approve')));
+            });
+            mount.querySelectorAll('[data-timesheet-unapprove]').forEach((btn) => {
+                btn.addEventListener('click', () => reopenTimesheet(btn.getAttribute('data-timesheet-unapprove')));
+            });
+            mount.querySelectorAll('[data-time-entry-edit]').forEach((btn) => {
+                btn.addEventListener('click', () => editTimeEntry(Number(btn.getAttribute('data-time-entry-edit'))));
+            });
+            mount.querySelectorAll('[data-time-entry-history]').forEach((btn) => {
+                btn.addEventListener('click', () => showTimeEntryHistory(btn.getAttribute('data-time-entry-history')));
+            });
+            mount.querySelectorAll('[data-time-entry-void]').forEach((btn) => {
+                btn.addEventListener('click', () => voidTimeEntry(btn.getAttribute('data-time-entry-void')));
+            });
+        } catch (err) {
+            mount.innerHTML = `<p style="color:var(--error);">${esc(err.message)}</p>`;
+        }
+    }
+
+    async function approveTimesheet(employeeId) {
+        const { from, to } = timesheetReport || timesheetPeriod();
+        try {
+            await api('/timesheets/approvals', {
+                method: 'POST',
+                body: JSON.stringify({ employeeId: Number(employeeId), from, to }),
+            });
+            window.adminApp.showToast('Timesheet approved', 'success');
+            loadTimesheets();
+        } catch (err) {
+            window.adminApp.showToast(err.message || 'Approval failed', 'error');
+        }
+    }
+
+    async function reopenTimesheet(employeeId) {
+        const { from, to } = timesheetReport || timesheetPeriod();
+        try {
+            await api('/timesheets/approvals', {
+                method: 'DELETE',
+                body: JSON.stringify({ employeeId: Number(employeeId), from, to }),
+            });
+            window.adminApp.showToast('Timesheet reopened', 'success');
+            loadTimesheets();
+        } catch (err) {
+            window.adminApp.showToast(err.message || 'Could not reopen timesheet', 'error');
+        }
+    }
+
+    async function loadTimeEntryEmployees() {
+        const sel = document.getElementById('pos-time-entry-employee');
         if (!sel) return;
         try {
             const res = await api('/employees');
-            const rows = res.employees || [];
-            sel.innerHTML = rows
-                .filter((e) => e.isActive)
+            sel.innerHTML = (res.employees || [])
                 .map(
                     (e) =>
-                        `<option value="${e.id}">${esc(e.employeeCode)} — ${esc(e.firstName)} ${esc(e.lastName)}</option>`
+                        `<option value="${e.id}">${esc(e.employeeCode)} — ${esc(e.firstName)} ${esc(e.lastName)}${e.isActive ? '' : ' (inactive)'}</option>`
                 )
                 .join('');
         } catch {
@@ -46,35 +187,152 @@
         }
     }
 
-    async function loadTimesheets() {
-        const mount = document.getElementById('pos-timesheets-list');
+    function resetTimeEntryForm() {
+        const form = document.getElementById('pos-time-entry-form');
+        form?.reset();
+        document.getElementById('pos-time-entry-id').value = '';
+        document.getElementById('pos-time-entry-employee').disabled = false;
+        document.getElementById('pos-time-entry-form-title').textContent = 'Add a missed punch';
+        document.getElementById('pos-time-entry-save').textContent = 'Add punch';
+        document.getElementById('pos-time-entry-cancel').style.display = 'none';
+    }
+
+    function editTimeEntry(id) {
+        const employee = (timesheetReport?.employees || []).find((e) => e.entries.some((t) => t.id === id));
+        const entry = employee?.entries.find((t) => t.id === id);
+        if (!entry) return;
+        document.getElementById('pos-time-entry-id').value = String(id);
+        const sel = document.getElementById('pos-time-entry-employee');
+        sel.value = String(employee.employeeId);
+        sel.disabled = true;
+        document.getElementById('pos-time-entry-in').value = entry.clockInLocal || '';
+        document.getElementById('pos-time-entry-out').value = entry.clockOutLocal || '';
+        document.getElementById('pos-time-entry-reason').value = '';
+        document.getElementById('pos-time-entry-form-title').textContent = `Correct punch for ${employee.name}`;
+        document.getElementById('pos-time-entry-save').textContent = 'Save correction';
+        document.getElementById('pos-time-entry-cancel').style.display = '';
+        document.getElementById('pos-time-entry-reason').focus();
+    }
+
+    async function saveTimeEntry(form) {
+        const fd = new FormData(form);
+        const id = fd.get('id');
+        const body = {
+            employeeId: Number(document.getElementById('pos-time-entry-employee').value),
+            clockIn: fd.get('clockIn'),
+            clockOut: fd.get('clockOut') || null,
+            reason: fd.get('reason'),
+        };
+        try {
+            await api(id ? `/timesheets/entries/${Number(id)}` : '/timesheets/entries', {
+                method: id ? 'PUT' : 'POST',
+                body: JSON.stringify(body),
+            });
+            window.adminApp.showToast(id ? 'Punch corrected' : 'Punch added', 'success');
+            resetTimeEntryForm();
+            loadTimesheets();
+        } catch (err) {
+            window.adminApp.showToast(err.message || 'Could not save punch', 'error');
+        }
+    }
+
+    async function voidTimeEntry(id) {
+        const reason = window.prompt('Why is this punch being removed? (kept in the punch history)');
+        if (!reason || !reason.trim()) return;
+        try {
+            await api(`/timesheets/entries/${Number(id)}`, {
+                method: 'DELETE',
+                body: JSON.stringify({ reason: reason.trim() }),
+            });
+            window.adminApp.showToast('Punch removed', 'success');
+            loadTimesheets();
+        } catch (err) {
+            window.adminApp.showToast(err.message || 'Could not remove punch', 'error');
+        }
+    }
+
+    async function showTimeEntryHistory(id) {
+        const mount = document.getElementById('pos-time-entry-history');
         if (!mount) return;
-        const from = document.getElementById('pos-report-from')?.value;
-        const to = document.getElementById('pos-report-to')?.value;
         mount.innerHTML = '<p class="form-help">Loading…</p>';
         try {
-            const qs = new URLSearchParams();
-            if (from) qs.set('from', from);
-            if (to) qs.set('to', to + 'T23:59:59');
-            const res = await api('/timesheets?' + qs.toString());
-            const rows = res.entries || [];
-            mount.innerHTML = rows.length
-                ? `<table class="table"><thead><tr><th>Employee</th><th>Clock in</th><th>Clock out</th><th>Source</th></tr></thead><tbody>${rows
-                      .map(
-                          (t) => `<tr>
-                        <td>${esc(t.employee_code)} — ${esc(t.first_name)} ${esc(t.last_name)}</td>
-                        <td>${fmtDt(t.clock_in)}</td>
-                        <td>${fmtDt(t.clock_out)}</td>
-                        <td>${esc(t.source)}</td>
-                    </tr>`
-                      )
-                      .join('')}</tbody></table>`
-                : '<p style="color:var(--gray-500);">No entries in range.</p>';
+            const res = await api(`/timesheets/entries/${Number(id)}/history`);
+            const e = res.entry;
+            const edits = res.edits || [];
+            mount.innerHTML = `<h4 style="margin:0 0 0.5rem;">Punch history — ${esc(e.name)}, ${fmtDt(e.clockIn)}</h4>
+                ${edits.length
+                    ? `<table class="table"><thead><tr><th>When</th><th>Change</th><th>Before</th><th>After</th><th>Reason</th><th>By</th></tr></thead><tbody>${edits
+                          .map(
+                              (x) => `<tr>
+                            <td>${fmtDt(x.createdAt)}</td>
+                            <td>${esc(x.action)}</td>
+                            <td>${x.previousClockIn ? `${fmtDt(x.previousClockIn)} – ${fmtDt(x.previousClockOut)}` : '—'}</td>
+                            <td>${x.newClockIn ? `${fmtDt(x.newClockIn)} – ${fmtDt(x.newClockOut)}` : '—'}</td>
+                            <td>${esc(x.reason)}</td>
+                            <td>${esc(x.editedBy || '')}</td>
+                        </tr>`
+                          )
+                          .join('')}</tbody></table>`
+                    : `<p style="color:var(--gray-500);margin:0;">Recorded at the register (${esc(e.source)}); never edited.</p>`}`;
         } catch (err) {
             mount.innerHTML = `<p style="color:var(--error);">${esc(err.message)}</p>`;
         }
     }
 
+    async function downloadTimesheetExport(kind) {
+        const app = window.adminApp;
+        const { from, to } = timesheetPeriod();
+        const qs = new URLSearchParams();
+        if (from) qs.set('from', from);
+        if (to) qs.set('to', to);
+        try {
+            const response = await fetch(`${app.apiBaseUrl}/admin/personnel/timesheets/export.${kind}?${qs}`, {
+                headers: { Authorization: `Bearer ${app.authToken}` },
+            });
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || `Export failed (${response.status})`);
+            }
+            const blob = await response.blob();
+            const match = (response.headers.get('Content-Disposition') || '').match(/filename="([^"]+)"/);
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = match ? match[1] : `timesheets.${kind}`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            app.showToast(err.message || 'Export failed', 'error');
+        }
+    }
+
+    async function loadTimesheetRules() {
+        const form = document.getElementById('pos-timesheet-rules-form');
+        if (!form) return;
+        try {
+            const res = await api('/timesheets/settings');
+            Object.entries(res.settings || {}).forEach(([key, value]) => {
+                if (form.elements[key]) form.elements[key].value = String(value);
+            });
+        } catch {
+            /* rules form keeps its blanks */
+        }
+    }
+
+    async function saveTimesheetRules(form) {
+        const body = Object.fromEntries(new FormData(form).entries());
+        try {
+            await api('/timesheets/settings', { method: 'PUT', body: JSON.stringify(body) });
+            window.adminApp.showToast('Timesheet rules saved', 'success');
+            loadTimesheetRules();
+            loadTimesheets();
+        } catch (err) {
+            window.adminApp.showToast(err.message || 'Could not save rules', 'error');
+        }
+    }
+
     async function loadShiftSessions() {
         const mount = document.getElementById('pos-shift-sessions-list');
         if (!mount) return;
@@ -173,30 +431,6 @@
         }
     }
 
-    async function loadScheduledShifts() {
-        const mount = document.getElementById('pos-scheduled-shifts-list');
-        if (!mount) return;
-        mount.innerHTML = '<p class="form-help">Loading…</p>';
-        try {
-            const res = await api('/shifts/scheduled');
-            const rows = res.shifts || [];
-            mount.innerHTML = rows.length
-                ? `<table class="table"><thead><tr><th>Employee</th><th>Start</th><th>End</th><th>Notes</th></tr></thead><tbody>${rows
-                      .map(
-                          (s) => `<tr>
-                        <td>${esc(s.employee_code)} — ${esc(s.first_name)} ${esc(s.last_name)}</td>
-                        <td>${fmtDt(s.starts_at)}</td>
-                        <td>${fmtDt(s.ends_at)}</td>
-                        <td>${esc(s.notes || '')}</td>
-                    </tr>`
-                      )
-                      .join('')}</tbody></table>`
-                : '<p style="color:var(--gray-500);">No scheduled shifts.</p>';
-        } catch (err) {
-            mount.innerHTML = `<p style="color:var(--error);">${esc(err.message)}</p>`;
-        }
-    }
-
     let personnelTabsBound = false;
 
     function bindPersonnelTabs() {
@@ -211,45 +445,37 @@
                 document.querySelectorAll('[data-personnel-panel]').forEach((p) => {
                     p.style.display = p.getAttribute('data-personnel-panel') === tab ? '' : 'none';
                 });
-                if (tab === 'timesheets') loadTimesheets();
+                if (tab === 'timesheets') {
+                    loadTimesheets();
+                    loadTimeEntryEmployees();
+                    loadTimesheetRules();
+                }
+                if (tab === 'schedule' && window.AdminPersonnelSchedule) {
+                    window.AdminPersonnelSchedule.load();
+                }
                 if (tab === 'shifts') {
-                    loadShiftEmployeeSelect();
-                    loadScheduledShifts();
                     loadShiftSessions();
                 }
             });
         });
 
-        const shiftForm = document.getElementById('pos-schedule-shift-form');
-        if (shiftForm && !shiftForm.dataset.bound) {
-            shiftForm.dataset.bound = '1';
-            shiftForm.addEventListener('submit', async (e) => {
-                e.preventDefault();
-                const fd = new FormData(shiftForm);
-                try {
-                    await api('/shifts/scheduled', {
-                        method: 'POST',
-                        body: JSON.stringify({
-                            employeeId: Number(fd.get('employeeId')),
-                            startsAt: fd.get('startsAt'),
-                            endsAt: fd.get('endsAt'),
-                            notes: fd.get('notes'),
-                        }),
-                    });
-                    window.adminApp.showToast('Shift scheduled', 'success');
-                    loadScheduledShifts();
-                } catch (err) {
-                    window.adminApp.showToast(err.message || 'Failed', 'error');
-                }
-            });
-        }
-
         document.getElementById('pos-reports-refresh')?.addEventListener('click', () => {
             loadTimesheets();
             loadShiftSessions();
         });
         document.getElementById('pos-shift-sessions-refresh')?.addEventListener('click', loadShiftSessions);
         document.getElementById('pos-timesheets-refresh')?.addEventListener('click', loadTimesheets);
+        document.getElementById('pos-timesheets-csv')?.addEventListener('click', () => downloadTimesheetExport('csv'));
+        document.getElementById('pos-timesheets-pdf')?.addEventListener('click', () => downloadTimesheetExport('pdf'));
+        document.getElementById('pos-time-entry-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            saveTimeEntry(e.currentTarget);
+        });
+        document.getElementById('pos-time-entry-cancel')?.addEventListener('click', resetTimeEntryForm);
+        document.getElementById('pos-timesheet-rules-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            saveTimesheetRules(e.currentTarget);
+        });
         document.getElementById('pos-day-summary-btn')?.addEventListener('click', loadDaySummary);
         document.getElementById('pos-send-daily-sales-btn')?.addEventListener('click', sendTestDailySalesEmail);
     }
@@ -265,10 +491,12 @@
             if (fromEl && !fromEl.value) fromEl.value = weekAgo.toISOString().slice(0, 10);
             if (toEl && !toEl.value) toEl.value = today.toISOString().slice(0, 10);
             if (dayEl && !dayEl.value) dayEl.value = today.toISOString().slice(0, 10);
+            const tsFromEl = document.getElementById('pos-timesheet-from');
+            const tsToEl = document.getElementById('pos-timesheet-to');
+            if (tsFromEl && !tsFromEl.value) tsFromEl.value = new Date(Date.now() - 13 * 86400000).toISOString().slice(0, 10);
+            if (tsToEl && !tsToEl.value) tsToEl.value = today.toISOString().slice(0, 10);
         },
         loadTimesheets,
         loadShiftSessions,
-        loadScheduledShifts,
-        loadShiftEmployeeSelect,
     };
 })();
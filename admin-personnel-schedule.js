@@ -0,0 +1,555 @@
+/**
+ * Admin Personnel — weekly schedule builder, templates, time off and labor coverage
+ */
+(function () {
+    'use strict';
+
+    const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+    let weekStart = null;
+    let week = null;
+    let coverage = null;
+    let coverageDay = 0;
+    let bound = false;
+
+    function esc(s) {
+        return String(s ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function fmtMoney(n) {
+        return '$' + (Number(n) || 0).toFixed(2);
+    }
+
+    function fmtHours(minutes) {
+        return ((Number(minutes) || 0) / 60).toFixed(1);
+    }
+
+    function fmtTime(hm) {
+        if (!hm) return '';
+        const [h, m] = hm.split(':').map(Number);
+        const suffix = h >= 12 ? 'p' : 'a';
+        return `${h % 12 || 12}${m ? ':' + String(m).padStart(2, '0') : ''}${suffix}`;
+    }
+
+    function fmtDay(ymd) {
+        const d = new Date(`${ymd}T12:00:00Z`);
+        return `${DAY_NAMES[d.getUTCDay()]} ${d.getUTCMonth() + 1}/${d.getUTCDate()}`;
+    }
+
+    function addDays(ymd, days) {
+        return new Date(Date.parse(`${ymd}T12:00:00Z`) + days * 86400000).toISOString().slice(0, 10);
+    }
+
+    function fmtLocal(local) {
+        if (!local) return '—';
+        return `${fmtDay(local.slice(0, 10))} ${fmtTime(local.slice(11, 16))}`;
+    }
+
+    async function api(path, opts) {
+        return window.adminApp.apiRequest('/admin/personnel' + path, opts);
+    }
+
+    function toast(message, type) {
+        window.adminApp.showToast(message, type);
+    }
+
+    function conflictBadges(shift) {
+        return (shift.conflicts || [])
+            .map((c) => {
+                if (c.type === 'overlap') return '<span class="badge badge-danger">Overlap</span>';
+                return c.status === 'approved'
+                    ? '<span class="badge badge-danger">Time off</span>'
+                    : '<span class="badge badge-warning">Time off requested</span>';
+            })
+            .join(' ');
+    }
+
+    function renderWeek() {
+        const mount = document.getElementById('pos-schedule-grid');
+        const title = document.getElementById('pos-schedule-title');
+        if (!mount || !week) return;
+        if (title) title.textContent = `Week of ${fmtDay(week.weekStart)} – ${fmtDay(week.weekEnd)}`;
+
+        const timeOffByEmployee = new Map();
+        for (const r of week.timeOff) {
+            const list = timeOffByEmployee.get(r.employeeId) || [];
+            list.push(r);
+            timeOffByEmployee.set(r.employeeId, list);
+        }
+        const cell = (employee, day) => {
+            const shifts = week.shifts.filter((s) => s.employeeId === employee.id && s.date === day);
+            const off = (timeOffByEmployee.get(employee.id) || []).filter(
+                (r) => r.startsLocal.slice(0, 10) <= day && r.endsLocal.slice(0, 10) >= day
+            );
+            return `<td style="vertical-align:top;min-width:7rem;">
+                ${off
+                    .map(
+                        (r) =>
+                            `<div class="badge ${r.status === 'approved' ? 'badge-secondary' : 'badge-warning'}" style="display:block;margin-bottom:0.25rem;" title="${esc(r.reason || '')}">Off${r.status === 'pending' ? ' (requested)' : ''}</div>`
+                    )
+                    .join('')}
+                ${shifts
+                    .map(
+                        (s) => `<button type="button" class="btn btn-secondary btn-sm" data-schedule-shift="${s.id}" style="display:block;width:100%;margin-bottom:0.25rem;text-align:left;" title="${esc(s.notes || '')}">
+                        ${esc(fmtTime(s.start))}–${esc(fmtTime(s.end))} ${conflictBadges(s)}
+                    </button>`
+                    )
+                    .join('')}
+                <button type="button" class="btn btn-link btn-sm" data-schedule-add="${employee.id}" data-schedule-date="${day}" aria-label="Add shift">+</button>
+            </td>`;
+        };
+
+        const daily = week.days.map((day) =>
+            week.shifts.filter((s) => s.date === day).reduce((sum, s) => sum + s.minutes, 0)
+        );
+        mount.innerHTML = week.employees.length
+            ? `<div style="overflow-x:auto;"><table class="table">
+                <thead><tr><th>Employee</th>${week.days.map((d) => `<th>${esc(fmtDay(d))}</th>`).join('')}<th>Hours</th><th>Est. cost</th></tr></thead>
+                <tbody>${week.employees
+                    .map(
+                        (e) => `<tr>
+                        <td>${esc(e.employeeCode)} — ${esc(e.name)}${e.isActive ? '' : ' <span class="badge badge-secondary">Inactive</span>'}</td>
+                        ${week.days.map((d) => cell(e, d)).join('')}
+                        <td>${fmtHours(e.scheduledMinutes)}${e.overtimeMinutes ? ` <span class="badge badge-warning">${fmtHours(e.overtimeMinutes)} OT</span>` : ''}</td>
+                        <td>${e.estimatedCost == null ? (e.scheduledMinutes ? '<span class="form-help">No rate</span>' : '—') : fmtMoney(e.estimatedCost)}</td>
+                    </tr>`
+                    )
+                    .join('')}</tbody>
+                <tfoot><tr><th>Total</th>${daily.map((m) => `<th>${fmtHours(m)} h</th>`).join('')}
+                    <th>${fmtHours(week.totals.scheduledMinutes)}</th><th>${fmtMoney(week.totals.estimatedCost)}${week.totals.unratedEmployees ? ` <span class="form-help">(${week.totals.unratedEmployees} without a rate)</span>` : ''}</th></tr></tfoot>
+            </table></div>`
+            : '<p style="color:var(--gray-500);">Add register employees under Employees to build a schedule.</p>';
+    }
+
+    function fillEmployeeSelect(id) {
+        const sel = document.getElementById(id);
+        if (!sel || !week) return;
+        const current = sel.value;
+        sel.innerHTML = week.employees
+            .filter((e) => e.isActive)
+            .map((e) => `<option value="${e.id}">${esc(e.employeeCode)} — ${esc(e.name)}</option>`)
+            .join('');
+        if (current) sel.value = current;
+    }
+
+    async function loadWeek() {
+        const mount = document.getElementById('pos-schedule-grid');
+        try {
+            week = await api(`/schedule/week${weekStart ? `?weekStart=${encodeURIComponent(weekStart)}` : ''}`);
+            weekStart = week.weekStart;
+            renderWeek();
+            fillEmployeeSelect('pos-schedule-employee');
+            fillEmployeeSelect('pos-time-off-employee');
+            const dateEl = document.getElementById('pos-schedule-date');
+            if (dateEl && (!dateEl.value || dateEl.value < week.weekStart || dateEl.value > week.weekEnd)) {
+                dateEl.value = week.weekStart;
+            }
+        } catch (err) {
+            if (mount) mount.innerHTML = `<p style="color:var(--error);">${esc(err.message)}</p>`;
+        }
+        loadCoverage();
+    }
+
+    async function loadCoverage() {
+        const mount = document.getElementById('pos-schedule-coverage');
+        if (!mount || !weekStart) return;
+        try {
+            coverage = await api(`/schedule/coverage?weekStart=${encodeURIComponent(weekStart)}`);
+            renderCoverage();
+        } catch (err) {
+            mount.innerHTML = `<p style="color:var(--error);">${esc(err.message)}</p>`;
+        }
+    }
+
+    /** Bars: scheduled labor hours; solid line: sales; dashed line: typical sales. */
+    function coverageSvg(day) {
+        const active = day.hours.filter((h) => h.scheduledHours || h.sales || h.typicalSales);
+        if (!active.length) return '<p style="color:var(--gray-500);">No scheduled labor or sales this day.</p>';
+        const first = Math.max(0, active[0].hour - 1);
+        const last = Math.min(23, active[active.length - 1].hour + 1);
+        const hours = day.hours.slice(first, last + 1);
+        const width = 720;
+        const height = 220;
+        const pad = { left: 44, right: 56, top: 12, bottom: 28 };
+        const plotW = width - pad.left - pad.right;
+        const plotH = height - pad.top - pad.bottom;
+        const step = plotW / hours.length;
+        const maxLabor = Math.max(1, ...hours.map((h) => h.scheduledHours));
+        const maxSales = Math.max(1, ...hours.map((h) => Math.max(h.sales, h.typicalSales)));
+        const y = (v, max) => pad.top + plotH - (v / max) * plotH;
+        const line = (key) =>
+            hours.map((h, i) => `${(pad.left + step * i + step / 2).toFixed(1)},${y(h[key], maxSales).toFixed(1)}`).join(' ');
+        const label = (hour) => `${hour % 12 || 12}${hour >= 12 ? 'p' : 'a'}`;
+
+        return `<svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Labor coverage for ${esc(fmtDay(day.date))}" style="width:100%;max-width:${width}px;height:auto;">
+            <line x1="${pad.left}" y1="${pad.top + plotH}" x2="${width - pad.right}" y2="${pad.top + plotH}" stroke="#d1d5db"/>
+            ${hours
+                .map((h, i) => {
+                    const x = pad.left + step * i;
+                    const top = y(h.scheduledHours, maxLabor);
+                    return `<rect x="${(x + step * 0.15).toFixed(1)}" y="${top.toFixed(1)}" width="${(step * 0.7).toFixed(1)}" height="${(pad.top + plotH - top).toFixed(1)}" fill="#93c5fd">
+                        <title>${label(h.hour)}: ${h.scheduledHours} labor h (${fmtMoney(h.laborCost)}) · sales ${fmtMoney(h.sales)} · typical ${fmtMoney(h.typicalSales)}</title></rect>
+                    <text x="${(x + step / 2).toFixed(1)}" y="${height - 10}" font-size="11" text-anchor="middle" fill="#6b7280">${label(h.hour)}</text>`;
+                })
+                .join('')}
+            <polyline points="${line('typicalSales')}" fill="none" stroke="#9ca3af" stroke-width="2" stroke-dasharray="5 4"/>
+            <polyline points="${line('sales')}" fill="none" stroke="#059669" stroke-width="2"/>
+            <text x="${pad.left - 6}" y="${pad.top + 10}" font-size="11" text-anchor="end" fill="#2563eb">${maxLabor.toFixed(1)}h</text>
+            <text x="${width - pad.right + 6}" y="${pad.top + 10}" font-size="11" fill="#059669">${esc(fmtMoney(maxSales))}</text>
+        </svg>`;
+    }
+
+    function renderCoverage() {
+        const mount = document.getElementById('pos-schedule-coverage');
+        if (!mount || !coverage) return;
+        const t = coverage.totals;
+        const day = coverage.days[coverageDay] || coverage.days[0];
+        const pct = (labor, sales) => (sales > 0 ? `${((labor / sales) * 100).toFixed(1)}%` : '—');
+        mount.innerHTML = `
+            <div style="display:flex;gap:0.35rem;flex-wrap:wrap;margin-bottom:0.75rem;">
+                ${coverage.days
+                    .map(
+                        (d, i) =>
+                            `<button type="button" class="btn btn-secondary btn-sm${i === coverageDay ? ' active' : ''}" data-coverage-day="${i}">${esc(fmtDay(d.date))}</button>`
+                    )
+                    .join('')}
+            </div>
+            ${coverageSvg(day)}
+            <p class="form-help" style="margin:0.25rem 0 1rem;">
+                <span style="color:#2563eb;">■</span> Scheduled labor hours ·
+                <span style="color:#059669;">━</span> In-store sales ·
+                <span style="color:#6b7280;">┅</span> Typical sales (${coverage.typicalWeeks}-week average)
+            </p>
+            <table class="table">
+                <thead><tr><th>Day</th><th>Labor hours</th><th>Labor cost</th><th>Sales</th><th>Typical sales</th><th>Labor %</th></tr></thead>
+                <tbody>${coverage.days
+                    .map(
+                        (d) => `<tr>
+                        <td>${esc(fmtDay(d.date))}</td>
+                        <td>${d.scheduledHours.toFixed(1)}</td>
+                        <td>${fmtMoney(d.laborCost)}</td>
+                        <td>${fmtMoney(d.sales)}</td>
+                        <td>${fmtMoney(d.typicalSales)}</td>
+                        <td>${pct(d.laborCost, d.sales || d.typicalSales)}</td>
+                    </tr>`
+                    )
+                    .join('')}</tbody>
+                <tfoot><tr><th>Week</th><th>${t.scheduledHours.toFixed(1)}</th><th>${fmtMoney(t.laborCost)}</th><th>${fmtMoney(t.sales)}</th><th>${fmtMoney(t.typicalSales)}</th>
+                    <th>${t.laborPercent == null ? '—' : `${t.laborPercent}%`}</th></tr></tfoot>
+            </table>`;
+    }
+
+    function resetShiftForm() {
+        const form = document.getElementById('pos-schedule-form');
+        if (!form) return;
+        form.reset();
+        form.elements.id.value = '';
+        document.getElementById('pos-schedule-form-title').textContent = 'Add shift';
+        document.getElementById('pos-schedule-form-delete').style.display = 'none';
+        if (week) form.elements.date.value = week.weekStart;
+    }
+
+    function editShift(id) {
+        const shift = week?.shifts.find((s) => s.id === id);
+        const form = document.getElementById('pos-schedule-form');
+        if (!shift || !form) return;
+        form.elements.id.value = shift.id;
+        form.elements.employeeId.value = shift.employeeId;
+        form.elements.date.value = shift.date;
+        form.elements.start.value = shift.start;
+        form.elements.end.value = shift.end;
+        form.elements.notes.value = shift.notes || '';
+        document.getElementById('pos-schedule-form-title').textContent = `Edit shift — ${shift.employeeName}`;
+        document.getElementById('pos-schedule-form-delete').style.display = '';
+        form.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    function startShift(employeeId, date) {
+        resetShiftForm();
+        const form = document.getElementById('pos-schedule-form');
+        form.elements.employeeId.value = employeeId;
+        form.elements.date.value = date;
+        form.elements.start.focus();
+        form.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    async function saveShift(form, override = false) {
+        const fd = new FormData(form);
+        const id = fd.get('id');
+        const body = {
+            employeeId: Number(fd.get('employeeId')),
+            date: fd.get('date'),
+            start: fd.get('start'),
+            end: fd.get('end'),
+            notes: fd.get('notes'),
+            override,
+        };
+        try {
+            const res = await api(id ? `/schedule/shifts/${id}` : '/schedule/shifts', {
+                method: id ? 'PUT' : 'POST',
+                body: JSON.stringify(body),
+            });
+            const pending = (res.warnings || []).some((w) => w.type === 'time_off' && w.status === 'pending');
+            toast(pending ? 'Shift saved — the employee has a pending time-off request then' : 'Shift saved', pending ? 'warning' : 'success');
+            resetShiftForm();
+            loadWeek();
+        } catch (err) {
+            if (err.code === 'TIME_OFF_CONFLICT') {
+                if (window.confirm(`${err.message}. Schedule the shift anyway?`)) return saveShift(form, true);
+                return;
+            }
+            toast(err.message || 'Shift not saved', 'error');
+        }
+    }
+
+    async function deleteShift() {
+        const form = document.getElementById('pos-schedule-form');
+        const id = form?.elements.id.value;
+        if (!id || !window.confirm('Remove this shift from the schedule?')) return;
+        try {
+            await api(`/schedule/shifts/${id}`, { method: 'DELETE' });
+            toast('Shift removed', 'success');
+            resetShiftForm();
+            loadWeek();
+        } catch (err) {
+            toast(err.message || 'Shift not removed', 'error');
+        }
+    }
+
+    function skippedSummary(res) {
+        const skipped = res.skipped || [];
+        if (!skipped.length) return '';
+        return ` (${skipped.length} skipped: ${skipped
+            .slice(0, 3)
+            .map((s) => `${s.employeeName || 'employee'} — ${s.reason.toLowerCase()}`)
+            .join('; ')}${skipped.length > 3 ? '…' : ''})`;
+    }
+
+    async function copyLastWeek() {
+        if (!weekStart) return;
+        if (!window.confirm(`Copy the week of ${fmtDay(addDays(weekStart, -7))} into this week?`)) return;
+        try {
+            const res = await api('/schedule/copy-week', {
+                method: 'POST',
+                body: JSON.stringify({ fromWeekStart: addDays(weekStart, -7), toWeekStart: weekStart }),
+            });
+            toast(`${res.created} shift(s) copied${skippedSummary(res)}`, res.skipped?.length ? 'warning' : 'success');
+            loadWeek();
+        } catch (err) {
+            toast(err.message || 'Week not copied', 'error');
+        }
+    }
+
+    async function loadTemplates() {
+        const mount = document.getElementById('pos-schedule-templates');
+        const sel = document.getElementById('pos-schedule-template-select');
+        try {
+            const res = await api('/schedule/templates');
+            const rows = res.templates || [];
+            if (sel) {
+                sel.innerHTML =
+                    '<option value="">Template…</option>' + rows.map((t) => `<option value="${t.id}">${esc(t.name)}</option>`).join('');
+            }
+            if (mount) {
+                mount.innerHTML = rows.length
+                    ? `<table class="table"><thead><tr><th>Name</th><th>Shifts</th><th>Employees</th><th></th></tr></thead><tbody>${rows
+                          .map(
+                              (t) => `<tr>
+                            <td>${esc(t.name)}</td>
+                            <td>${t.shiftCount}</td>
+                            <td>${t.employeeCount}</td>
+                            <td><button type="button" class="btn btn-danger btn-sm" data-template-delete="${t.id}">Delete</button></td>
+                        </tr>`
+                          )
+                          .join('')}</tbody></table>`
+                    : '<p style="color:var(--gray-500);">No templates yet.</p>';
+            }
+        } catch (err) {
+            if (mount) mount.innerHTML = `<p style="color:var(--error);">${esc(err.message)}</p>`;
+        }
+    }
+
+    async function applyTemplate() {
+        const id = document.getElementById('pos-schedule-template-select')?.value;
+        const weeks = Number(document.getElementById('pos-schedule-template-weeks')?.value) || 1;
+        if (!id) {
+            toast('Pick a template to apply', 'error');
+            return;
+        }
+        try {
+            const res = await api(`/schedule/templates/${id}/apply`, {
+                method: 'POST',
+                body: JSON.stringify({ weekStart, weeks }),
+            });
+            toast(`${res.created} shift(s) added from ${res.template}${skippedSummary(res)}`, res.skipped?.length ? 'warning' : 'success');
+            loadWeek();
+        } catch (err) {
+            toast(err.message || 'Template not applied', 'error');
+        }
+    }
+
+    async function saveTemplate(form) {
+        try {
+            await api('/schedule/templates', {
+                method: 'POST',
+                body: JSON.stringify({ name: new FormData(form).get('name'), weekStart }),
+            });
+            toast('Template saved', 'success');
+            form.reset();
+            loadTemplates();
+        } catch (err) {
+            toast(err.message || 'Template not saved', 'error');
+        }
+    }
+
+    async function deleteTemplate(id) {
+        if (!window.confirm('Delete this template? Shifts already scheduled from it stay.')) return;
+        try {
+            await api(`/schedule/templates/${id}`, { method: 'DELETE' });
+            loadTemplates();
+        } catch (err) {
+            toast(err.message || 'Template not deleted', 'error');
+        }
+    }
+
+    async function loadTimeOff() {
+        const mount = document.getElementById('pos-time-off-list');
+        if (!mount) return;
+        const status = document.getElementById('pos-time-off-status')?.value || '';
+        try {
+            const res = await api(`/schedule/time-off?${new URLSearchParams({ status, from: addDays(weekStart || new Date().toISOString().slice(0, 10), -7) })}`);
+            const rows = res.requests || [];
+            mount.innerHTML = rows.length
+                ? `<table class="table"><thead><tr><th>Employee</th><th>From</th><th>Until</th><th>Reason</th><th>Status</th><th></th></tr></thead><tbody>${rows
+                      .map(
+                          (r) => `<tr>
+                        <td>${esc(r.employeeCode)} — ${esc(r.employeeName)}</td>
+                        <td>${esc(fmtLocal(r.startsLocal))}</td>
+                        <td>${esc(fmtLocal(r.endsLocal))}</td>
+                        <td>${esc(r.reason || '')}</td>
+                        <td>${esc(r.status)}${r.source === 'pos' ? ' <span class="form-help">(register)</span>' : ''}${r.reviewedBy ? `<br><span class="form-help">${esc(r.reviewedBy)}${r.reviewNote ? ` — ${esc(r.reviewNote)}` : ''}</span>` : ''}</td>
+                        <td style="white-space:nowrap;">${
+                            r.status === 'pending'
+                                ? `<button type="button" class="btn btn-primary btn-sm" data-time-off-review="approved" data-id="${r.id}">Approve</button>
+                                   <button type="button" class="btn btn-secondary btn-sm" data-time-off-review="denied" data-id="${r.id}">Deny</button>`
+                                : r.status === 'approved'
+                                  ? `<button type="button" class="btn btn-secondary btn-sm" data-time-off-review="denied" data-id="${r.id}">Revoke</button>`
+                                  : ''
+                        }</td>
+                    </tr>`
+                      )
+                      .join('')}</tbody></table>`
+                : '<p style="color:var(--gray-500);">No time-off requests.</p>';
+        } catch (err) {
+            mount.innerHTML = `<p style="color:var(--error);">${esc(err.message)}</p>`;
+        }
+    }
+
+    async function reviewTimeOff(id, status) {
+        const note = status === 'denied' ? window.prompt('Note for the employee (optional)') : '';
+        if (note === null) return;
+        try {
+            const res = await api(`/schedule/time-off/${id}/review`, {
+                method: 'POST',
+                body: JSON.stringify({ status, note }),
+            });
+            const clashes = res.request?.conflictingShifts?.length || 0;
+            toast(
+                clashes ? `Approved — ${clashes} scheduled shift(s) now fall in this time off` : `Request ${status}`,
+                clashes ? 'warning' : 'success'
+            );
+            loadTimeOff();
+            loadWeek();
+        } catch (err) {
+            toast(err.message || 'Request not updated', 'error');
+        }
+    }
+
+    async function addTimeOff(form) {
+        const fd = new FormData(form);
+        try {
+            await api('/schedule/time-off', {
+                method: 'POST',
+                body: JSON.stringify({
+                    employeeId: Number(fd.get('employeeId')),
+                    startsAt: fd.get('startsAt'),
+                    endsAt: fd.get('endsAt'),
+                    reason: fd.get('reason'),
+                }),
+            });
+            toast('Time off added', 'success');
+            form.reset();
+            loadTimeOff();
+            loadWeek();
+        } catch (err) {
+            toast(err.message || 'Time off not added', 'error');
+        }
+    }
+
+    function bind() {
+        if (bound) return;
+        bound = true;
+        document.getElementById('pos-schedule-prev')?.addEventListener('click', () => {
+            weekStart = addDays(weekStart, -7);
+            loadWeek();
+        });
+        document.getElementById('pos-schedule-next')?.addEventListener('click', () => {
+            weekStart = addDays(weekStart, 7);
+            loadWeek();
+        });
+        document.getElementById('pos-schedule-today')?.addEventListener('click', () => {
+            weekStart = null;
+            loadWeek();
+        });
+        document.getElementById('pos-schedule-copy')?.addEventListener('click', copyLastWeek);
+        document.getElementById('pos-schedule-apply')?.addEventListener('click', applyTemplate);
+        document.getElementById('pos-schedule-grid')?.addEventListener('click', (e) => {
+            const shiftBtn = e.target.closest('[data-schedule-shift]');
+            if (shiftBtn) return editShift(Number(shiftBtn.dataset.scheduleShift));
+            const addBtn = e.target.closest('[data-schedule-add]');
+            if (addBtn) startShift(addBtn.dataset.scheduleAdd, addBtn.dataset.scheduleDate);
+        });
+        document.getElementById('pos-schedule-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            saveShift(e.currentTarget);
+        });
+        document.getElementById('pos-schedule-form-cancel')?.addEventListener('click', resetShiftForm);
+        document.getElementById('pos-schedule-form-delete')?.addEventListener('click', deleteShift);
+        document.getElementById('pos-schedule-coverage')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-coverage-day]');
+            if (!btn) return;
+            coverageDay = Number(btn.dataset.coverageDay);
+            renderCoverage();
+        });
+        document.getElementById('pos-schedule-template-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            saveTemplate(e.currentTarget);
+        });
+        document.getElementById('pos-schedule-templates')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-template-delete]');
+            if (btn) deleteTemplate(btn.dataset.templateDelete);
+        });
+        document.getElementById('pos-time-off-status')?.addEventListener('change', loadTimeOff);
+        document.getElementById('pos-time-off-list')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-time-off-review]');
+            if (btn) reviewTimeOff(btn.dataset.id, btn.dataset.timeOffReview);
+        });
+        document.getElementById('pos-time-off-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            addTimeOff(e.currentTarget);
+        });
+    }
+
+    window.AdminPersonnelSchedule = {
+        async load() {
+            bind();
+            await loadWeek();
+            loadTemplates();
+            loadTimeOff();
+        },
+    };
+})();
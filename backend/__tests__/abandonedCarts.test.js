@@ -0,0 +1,118 @@
+'use strict';
+
+jest.mock('../utils/mailTransporter', () => ({
+    sendMail: jest.fn(async () => ({ sent: true }))
+}));
+
+const { sendMail } = require('../utils/mailTransporter');
+const {
+    parseReminderHours,
+    loadRecoverySettings,
+    nextReminderIndex,
+    signRestoreToken,
+    verifyRestoreToken,
+    sendContactConfirmation,
+    confirmCartContact
+} = require('../services/abandonedCarts');
+const { shouldRunRecoveryPass } = require('../services/abandonedCartScheduler');
+
+describe('parseReminderHours', () => {
+    it('sorts and de-duplicates configured intervals', () => {
+        expect(parseReminderHours('72, 1,24,24')).toEqual([1, 24, 72]);
+    });
+
+    it('falls back to the default sequence', () => {
+        expect(parseReminderHours('')).toEqual([1, 24, 72]);
+        expect(parseReminderHours('soon')).toEqual([1, 24, 72]);
+    });
+});
+
+describe('loadRecoverySettings', () => {
+    it('defaults the promo to off and to the last reminder', () => {
+        const settings = loadRecoverySettings({ ABANDONED_CART_REMINDER_HOURS: '2,48' });
+        expect(settings).toMatchObject({ reminderHours: [2, 48], promoPercent: 0, promoFromReminder: 2 });
+    });
+
+    it('clamps the promo reminder to the sequence length', () => {
+        const settings = loadRecoverySettings({ ABANDONED_CART_PROMO_PERCENT: '10', ABANDONED_CART_PROMO_FROM_REMINDER: '9' });
+        expect(settings).toMatchObject({ promoPercent: 10, promoFromReminder: 3 });
+    });
+});
+
+describe('nextReminderIndex', () => {
+    const hours = [1, 24, 72];
+
+    it('waits for the first interval', () => {
+        expect(nextReminderIndex(0, 59, hours)).toBe(-1);
+        expect(nextReminderIndex(0, 60, hours)).toBe(0);
+    });
+
+    it('only ever returns the next reminder in the sequence', () => {
+        expect(nextReminderIndex(1, 5000, hours)).toBe(1);
+        expect(nextReminderIndex(2, 24 * 60, hours)).toBe(-1);
+    });
+
+    it('stops after the last reminder', () => {
+        expect(nextReminderIndex(3, 10000, hours)).toBe(-1);
+    });
+});
+
+describe('restore tokens', () => {
+    const prevSecret = process.env.JWT_SECRET;
+    beforeAll(() => {
+        process.env.JWT_SECRET = 'test-secret';
+    });
+    afterAll(() => {
+        process.env.JWT_SECRET = prevSecret;
+    });
+
+    it('round-trips the cart and recovery ids', () => {
+        expect(verifyRestoreToken(signRestoreToken(12, 34, 14))).toEqual({ cartId: 12, recoveryId: 34 });
+    });
+
+    it('rejects tampered tokens', () => {
+        expect(() => verifyRestoreToken(`${signRestoreToken(12, 34, 14)}x`)).toThrow(
+            expect.objectContaining({ status: 400, code: 'INVALID_RESTORE_LINK' })
+        );
+    });
+});
+
+describe('guest contact double opt-in', () => {
+    const prevSecret = process.env.JWT_SECRET;
+    beforeAll(() => {
+        process.env.JWT_SECRET = 'test-secret';
+    });
+    afterAll(() => {
+        process.env.JWT_SECRET = prevSecret;
+    });
+
+    it('confirms the emailed address for that cart only', async () => {
+        await sendContactConfirmation(12, 'guest@example.com');
+        const { to, text } = sendMail.mock.calls[0][0];
+        expect(to).toBe('guest@example.com');
+        const token = decodeURIComponent(text.match(/confirmCartEmail=([^\s]+)/)[1]);
+
+        const pool = { execute: jest.fn(async () => [{ affectedRows: 1 }]) };
+        await expect(confirmCartContact(pool, token)).resolves.toEqual({ cartId: 12 });
+        expect(pool.execute.mock.calls[0][1]).toEqual([12, 'guest@example.com']);
+    });
+
+    it('does not accept restore links or an email the cart no longer has', async () => {
+        const pool = { execute: jest.fn(async () => [{ affectedRows: 0 }]) };
+        await expect(confirmCartContact(pool, signRestoreToken(12, 34, 14))).rejects.toMatchObject({
+            code: 'INVALID_CONFIRM_LINK'
+        });
+        await sendContactConfirmation(12, 'guest@example.com');
+        const token = decodeURIComponent(sendMail.mock.calls.at(-1)[0].text.match(/confirmCartEmail=([^\s]+)/)[1]);
+        await expect(confirmCartContact(pool, token)).rejects.toMatchObject({ status: 400 });
+    });
+});
+
+describe('shouldRunRecoveryPass', () => {
+    it('runs immediately, then once per interval', () => {
+        const now = new Date('2026-10-19T12:00:00');
+        expect(shouldRunRecoveryPass(now, null, 15)).toBe(true);
+        expect(shouldRunRecoveryPass(now, new Date('2026-10-19T11:50:00'), 15)).toBe(false);
+        expect(shouldRunRecoveryPass(now, new Date('2026-10-19T11:45:00'), 15)).toBe(true);
+    });
+});
@@ -0,0 +1,56 @@
+'use strict';
+
+const {
+    loadAutoshipSettings,
+    parseIntervalDays,
+    normalizeIntervalDays,
+    nextOrderDateAfterRun,
+    addDays,
+    autoshipIntervalFromMetadata,
+    hasAutoshipLines
+} = require('../services/autoship');
+
+describe('loadAutoshipSettings', () => {
+    it('defaults to 10% off with 30/45/60/90 day choices', () => {
+        const settings = loadAutoshipSettings({});
+        expect(settings.discountPercent).toBe(10);
+        expect(settings.intervalDays).toEqual([30, 45, 60, 90]);
+        expect(settings.reminderDays).toBe(3);
+        expect(settings.maxChargeAttempts).toBe(3);
+    });
+
+    it('allows the discount to be turned off and ignores out-of-range intervals', () => {
+        const settings = loadAutoshipSettings({ AUTOSHIP_DISCOUNT_PERCENT: '0', AUTOSHIP_INTERVAL_DAYS: '60, 3, 14,14, 900' });
+        expect(settings.discountPercent).toBe(0);
+        expect(settings.intervalDays).toEqual([14, 60]);
+        expect(parseIntervalDays('weekly')).toEqual([30, 45, 60, 90]);
+    });
+});
+
+describe('normalizeIntervalDays', () => {
+    it('accepts only the configured choices', () => {
+        const settings = loadAutoshipSettings({});
+        expect(normalizeIntervalDays('45', settings)).toBe(45);
+        expect(() => normalizeIntervalDays(31, settings)).toThrow(
+            expect.objectContaining({ status: 400, code: 'INVALID_INTERVAL' })
+        );
+    });
+});
+
+describe('nextOrderDateAfterRun', () => {
+    it('keeps the cadence when the run is on time and restarts it from today when late', () => {
+        expect(addDays('2026-12-20', 30)).toBe('2027-01-19');
+        expect(nextOrderDateAfterRun('2026-10-19', 30, '2026-10-19')).toBe('2026-11-18');
+        expect(nextOrderDateAfterRun('2026-08-01', 30, '2026-10-19')).toBe('2026-11-18');
+    });
+});
+
+describe('autoship line metadata', () => {
+    it('reads the interval from JSON or object metadata', () => {
+        expect(autoshipIntervalFromMetadata('{"autoship":{"intervalDays":60}}')).toBe(60);
+        expect(autoshipIntervalFromMetadata({ giftCard: { cardType: 'digital' } })).toBeNull();
+        expect(autoshipIntervalFromMetadata('not json')).toBeNull();
+        expect(hasAutoshipLines([{ metadata: null }, { metadata: { autoship: { intervalDays: 30 } } }])).toBe(true);
+        expect(hasAutoshipLines([])).toBe(false);
+    });
+});
@@ -0,0 +1,208 @@
+'use strict';
+
+jest.mock('../services/nmiVaultCards', () => ({
+    chargeVaultReference: jest.fn()
+}));
+jest.mock('../services/posParkedSales', () => ({
+    parkSale: jest.fn(async () => ({ id: 42, status: 'parked' })),
+    getParkedSale: jest.fn(async () => null)
+}));
+jest.mock('../services/edsaAppointmentEmail', () => ({
+    sendRecommendationsEmail: jest.fn(async () => true)
+}));
+
+const { parkSale, getParkedSale } = require('../services/posParkedSales');
+const {
+    normalizeQuestions,
+    validateAnswers,
+    formatAnswer,
+    isIntakeOpen,
+    loadIntakeForBooking
+} = require('../services/edsaIntake');
+const {
+    normalizeRecommendations,
+    sendRecommendationsToPos,
+    createRecommendationCartLink,
+    loadRecommendationCart
+} = require('../services/edsaSessionNotes');
+
+const QUESTIONS = [
+    { key: 'allergies', label: 'Allergies?', type: 'yes_no', required: true, options: [] },
+    { key: 'goals', label: 'Goals', type: 'multi_choice', required: false, options: ['Sleep', 'Energy', 'Digestion'] },
+    { key: 'last_visit', label: 'Last visit', type: 'date', required: false, options: [] }
+];
+
+describe('normalizeQuestions', () => {
+    it('fills in keys that do not clash with the ones already used', () => {
+        const questions = normalizeQuestions([
+            { label: 'Name', type: 'text' },
+            { key: 'q1', label: 'Existing', type: 'long_text', required: true },
+            { label: 'Pick', type: 'choice', options: 'A\nB\n\nA' }
+        ]);
+        expect(questions.map((q) => q.key)).toEqual(['q2', 'q1', 'q3']);
+        expect(questions[2].options).toEqual(['A', 'B']);
+        expect(questions[1].required).toBe(true);
+    });
+
+    it('rejects empty forms, unknown types and choices without options', () => {
+        expect(() => normalizeQuestions([])).toThrow(/at least one/);
+        expect(() => normalizeQuestions([{ label: 'X', type: 'slider' }])).toThrow(/unknown type/);
+        expect(() => normalizeQuestions([{ label: 'X', type: 'choice', options: ['Only'] }])).toThrow(/options/);
+        expect(() => normalizeQuestions([{ key: 'a', label: 'X' }, { key: 'A', label: 'Y' }])).toThrow(/repeats/);
+    });
+});
+
+describe('validateAnswers', () => {
+    it('keeps known answers in option order and drops unknown keys', () => {
+        const answers = validateAnswers(QUESTIONS, {
+            allergies: 'no',
+            goals: ['Digestion', 'Sleep'],
+            last_visit: '2026-09-01',
+            extra: 'ignored'
+        });
+        expect(answers).toEqual({ allergies: 'no', goals: ['Sleep', 'Digestion'], last_visit: '2026-09-01' });
+    });
+
+    it('lists unanswered required questions and rejects invalid choices', () => {
+        expect.assertions(3);
+        try {
+            validateAnswers(QUESTIONS, { goals: [] });
+        } catch (err) {
+            expect(err.code).toBe('INTAKE_INCOMPLETE');
+            expect(err.fields).toEqual(['allergies']);
+        }
+        expect(() => validateAnswers(QUESTIONS, { allergies: 'yes', goals: ['Strength'] })).toThrow(/options/);
+    });
+
+    it('formats answers for staff', () => {
+        expect(formatAnswer(QUESTIONS[0], 'yes')).toBe('Yes');
+        expect(formatAnswer(QUESTIONS[1], ['Sleep', 'Energy'])).toBe('Sleep, Energy');
+        expect(formatAnswer(QUESTIONS[2], '')).toBe('');
+    });
+});
+
+describe('isIntakeOpen', () => {
+    it('closes once the appointment starts or the booking is no longer active', () => {
+        const booking = { status: 'confirmed', preferred_date: '2026-10-21', preferred_time: '14:00:00' };
+        const before = Date.UTC(2026, 9, 19, 12);
+        const after = Date.UTC(2026, 9, 23, 12);
+        expect(isIntakeOpen(booking, before)).toBe(true);
+        expect(isIntakeOpen(booking, after)).toBe(false);
+        expect(isIntakeOpen({ ...booking, status: 'cancelled' }, before)).toBe(false);
+    });
+});
+
+describe('loadIntakeForBooking', () => {
+    it('tells the customer which forms were submitted without returning the answers', async () => {
+        const pool = {
+            execute: jest.fn(async () => [
+                [
+                    { id: 1, title: 'Health history', questions_json: JSON.stringify(QUESTIONS), is_active: 1 },
+                    { id: 2, title: 'Consent', questions_json: JSON.stringify(QUESTIONS.slice(0, 1)), is_active: 1 }
+                ]
+            ]),
+            query: jest.fn(async () => [
+                [{ form_id: 1, answers_json: JSON.stringify({ allergies: 'yes' }), submitted_at: '2026-10-18 10:00:00' }]
+            ])
+        };
+        const forms = await loadIntakeForBooking(pool, { id: 9, service_id: 3 });
+        expect(forms.map((f) => [f.id, f.submitted])).toEqual([
+            [1, true],
+            [2, false]
+        ]);
+        expect(forms.every((f) => !('answers' in f))).toBe(true);
+    });
+});
+
+describe('normalizeRecommendations', () => {
+    it('merges repeated products and validates quantities', () => {
+        expect(
+            normalizeRecommendations([
+                { productId: 5, quantity: 1 },
+                { product_id: '5', quantity: 2, instructions: ' Twice daily ' }
+            ])
+        ).toEqual([{ productId: 5, quantity: 2, instructions: 'Twice daily' }]);
+        expect(() => normalizeRecommendations([{ productId: 5, quantity: 0 }])).toThrow(/between 1 and 99/);
+        expect(() => normalizeRecommendations([{ quantity: 1 }])).toThrow(/needs a product/);
+    });
+});
+
+describe('recommendation delivery', () => {
+    const booking = {
+        id: 9,
+        user_id: 3,
+        first_name: 'Ada',
+        last_name: 'Lovelace',
+        email: 'ada@example.com',
+        practitioner_name: 'Dr. Green'
+    };
+    const products = [
+        { id: 5, name: 'Ginger', slug: 'ginger', sku: 'G1', price: '12.50', is_active: 1, on_web: 1, image_url: null },
+        { id: 6, name: 'In-store tea', slug: 'tea', sku: 'T1', price: '4.00', is_active: 1, on_web: 0, image_url: null }
+    ];
+
+    function mockPool(noteOverrides = {}) {
+        const note = {
+            booking_id: 9,
+            notes: 'Follow up in a month',
+            recommendations_json: JSON.stringify([
+                { productId: 5, quantity: 2, instructions: null },
+                { productId: 6, quantity: 1, instructions: null }
+            ]),
+            pos_parked_sale_id: null,
+            ...noteOverrides
+        };
+        return {
+            execute: jest.fn(async (sql) => {
+                if (sql.includes('FROM edsa_bookings b')) return [[booking]];
+                if (sql.includes('FROM edsa_session_notes n')) return [[note]];
+                return [{ affectedRows: 1 }];
+            }),
+            query: jest.fn(async () => [products])
+        };
+    }
+
+    const OLD_SECRET = process.env.JWT_SECRET;
+    beforeAll(() => {
+        process.env.JWT_SECRET = 'test-secret';
+    });
+    afterAll(() => {
+        if (OLD_SECRET === undefined) delete process.env.JWT_SECRET;
+        else process.env.JWT_SECRET = OLD_SECRET;
+    });
+    beforeEach(() => parkSale.mockClear());
+
+    it('parks the recommendations as a register ticket for the customer', async () => {
+        const pool = mockPool();
+        const sale = await sendRecommendationsToPos(pool, 9);
+        expect(sale.id).toBe(42);
+        const { cart } = parkSale.mock.calls[0][1];
+        expect(cart.items).toEqual([
+            { productId: 5, quantity: 2 },
+            { productId: 6, quantity: 1 }
+        ]);
+        expect(cart).toMatchObject({ customerId: 3, customerName: 'Ada Lovelace', note: 'Recommended by Dr. Green' });
+        expect(pool.execute.mock.calls.some(([sql, params]) => sql.includes('SET pos_parked_sale_id') && params[0] === 42)).toBe(
+            true
+        );
+    });
+
+    it('does not park the same recommendations twice', async () => {
+        getParkedSale.mockResolvedValueOnce({ id: 41, status: 'parked' });
+        await expect(sendRecommendationsToPos(mockPool({ pos_parked_sale_id: 41 }), 9)).rejects.toMatchObject({
+            status: 409,
+            code: 'ALREADY_PARKED'
+        });
+        expect(parkSale).not.toHaveBeenCalled();
+    });
+
+    it('signs a checkout link that restores only products sold online', async () => {
+        const pool = mockPool();
+        const { url, emailed } = await createRecommendationCartLink(pool, 9);
+        expect(emailed).toBe(false);
+        const token = decodeURIComponent(new URL(url).searchParams.get('edsaCart'));
+        const { items } = await loadRecommendationCart(pool, token);
+        expect(items).toEqual([expect.objectContaining({ id: 5, name: 'Ginger', price: 12.5, quantity: 2 })]);
+        await expect(loadRecommendationCart(pool, 'not-a-token')).rejects.toMatchObject({ code: 'INVALID_CART_LINK' });
+    });
+});
@@ -0,0 +1,190 @@
+'use strict';
+
+jest.mock('../utils/storeTimezone', () => ({
+    ...jest.requireActual('../utils/storeTimezone'),
+    getStoreTodayYmd: () => '2026-10-19'
+}));
+jest.mock('../services/nmiGateway', () => ({
+    nmiRefund: jest.fn(async () => ({ ok: true, transactionId: 'R1' }))
+}));
+jest.mock('../services/customerLoyalty', () => ({
+    adjustLoyaltyCash: jest.fn(async () => ({}))
+}));
+
+const { adjustLoyaltyCash } = require('../services/customerLoyalty');
+const {
+    validatePackageInput,
+    fulfillEdsaPackagesForOrder,
+    packageStatus,
+    proratedRefund,
+    reserveSession,
+    reclaimSession,
+    sessionForfeitedOnCancel,
+    refundUnusedSessions
+} = require('../services/edsaPackages');
+
+const PACKAGE_ROW = {
+    id: 7,
+    user_id: 3,
+    email: 'ada@example.com',
+    order_id: 11,
+    package_name: '3 scans',
+    sessions_total: 3,
+    sessions_used: 1,
+    sessions_refunded: 0,
+    amount_paid: '150.00',
+    expires_on: '2026-12-31',
+    status: 'active',
+    payment_reference: 'web:abc'
+};
+
+describe('validatePackageInput', () => {
+    it('requires a product, a session count and a sensible validity', () => {
+        expect(validatePackageInput({ name: ' 3 scans ', sessionCount: '3', productId: '12', validityDays: '' })).toMatchObject({
+            name: '3 scans',
+            sessionCount: 3,
+            productId: 12,
+            validityDays: null,
+            serviceId: null
+        });
+        expect(() => validatePackageInput({ name: 'X', sessionCount: 0, productId: 1 })).toThrow(/between 1 and/);
+        expect(() => validatePackageInput({ name: 'X', sessionCount: 2 })).toThrow(/product/);
+        expect(() => validatePackageInput({ name: 'X', sessionCount: 2, productId: 1, validityDays: 1.5 })).toThrow(/Validity/);
+    });
+});
+
+describe('package balance', () => {
+    it('reports used up, expired and closed packages', () => {
+        expect(packageStatus(PACKAGE_ROW, '2026-10-19')).toBe('active');
+        expect(packageStatus(PACKAGE_ROW, '2027-01-01')).toBe('expired');
+        expect(packageStatus({ ...PACKAGE_ROW, sessions_used: 2, sessions_refunded: 1 }, '2026-10-19')).toBe('used');
+        expect(packageStatus({ ...PACKAGE_ROW, status: 'refunded' }, '2026-10-19')).toBe('refunded');
+    });
+
+    it('prorates the refund over the unused sessions', () => {
+        expect(proratedRefund(PACKAGE_ROW)).toBe(100);
+        expect(proratedRefund({ ...PACKAGE_ROW, amount_paid: '100.00' })).toBe(66.67);
+    });
+
+    it('keeps the session on a late cancellation only when the policy charges a late fee', () => {
+        const booking = { customer_package_id: 7, preferred_date: '2026-10-20', preferred_time: '10:00:00' };
+        const policy = { lateCancelFee: 25, lateCancelHours: 24 };
+        const twoHoursBefore = Date.UTC(2026, 9, 20, 6);
+        const daysBefore = Date.UTC(2026, 9, 15, 12);
+        expect(sessionForfeitedOnCancel(policy, booking, twoHoursBefore)).toBe(true);
+        expect(sessionForfeitedOnCancel(policy, booking, daysBefore)).toBe(false);
+        expect(sessionForfeitedOnCancel({ ...policy, lateCancelFee: 0 }, booking, twoHoursBefore)).toBe(false);
+        expect(sessionForfeitedOnCancel(policy, { ...booking, customer_package_id: null }, twoHoursBefore)).toBe(false);
+    });
+
+    it('keeps the session once the appointment has started, whatever the fee setting', () => {
+        const booking = { customer_package_id: 7, preferred_date: '2026-10-20', preferred_time: '10:00:00' };
+        const dayAfter = Date.UTC(2026, 9, 21, 12);
+        expect(sessionForfeitedOnCancel({ lateCancelFee: 0, lateCancelHours: 24 }, booking, dayAfter)).toBe(true);
+        expect(sessionForfeitedOnCancel({ lateCancelFee: 0, lateCancelHours: 0 }, booking, dayAfter)).toBe(true);
+    });
+});
+
+describe('reserveSession', () => {
+    it('rejects a package with no usable session left', async () => {
+        const db = { execute: jest.fn(async () => [{ affectedRows: 0 }]) };
+        await expect(
+            reserveSession(db, { customerPackageId: 7, userId: 3, email: 'ada@example.com', serviceId: 2, dateYmd: '2026-11-01' })
+        ).rejects.toMatchObject({ status: 409, code: 'PACKAGE_UNAVAILABLE' });
+        await expect(reserveSession(db, { customerPackageId: 7, userId: null })).rejects.toMatchObject({ status: 401 });
+    });
+
+    it('spends one session for the signed-in customer', async () => {
+        const db = { execute: jest.fn(async () => [{ affectedRows: 1 }]) };
+        await expect(
+            reserveSession(db, { customerPackageId: '7', userId: 3, email: 'Ada@Example.com', serviceId: 2, dateYmd: '2026-11-01' })
+        ).resolves.toBe(7);
+        expect(db.execute.mock.calls[0][1]).toEqual([3, 7, 3, 'ada@example.com', 2, '2026-11-01']);
+    });
+});
+
+describe('reclaimSession', () => {
+    it('refuses to restore a booking once the package has no session left for its date', async () => {
+        const db = { execute: jest.fn(async () => [{ affectedRows: 0 }]) };
+        await expect(reclaimSession(db, 7, '2026-11-01')).rejects.toMatchObject({ status: 409, code: 'PACKAGE_UNAVAILABLE' });
+        expect(db.execute.mock.calls[0][1]).toEqual([7, '2026-11-01']);
+    });
+});
+
+describe('fulfillEdsaPackagesForOrder', () => {
+    function mockPool({ existing = 0 } = {}) {
+        return {
+            execute: jest.fn(async (sql) => {
+                if (sql.includes('FROM order_items oi')) {
+                    return [
+                        [
+                            {
+                                order_item_id: 5,
+                                quantity: 2,
+                                price: '150.00',
+                                package_id: 1,
+                                name: '3 scans',
+                                service_id: null,
+                                session_count: 3,
+                                validity_days: 90,
+                                user_id: 3,
+                                email: 'Ada@Example.com'
+                            }
+                        ]
+                    ];
+                }
+                if (sql.includes('COUNT(*)')) return [[{ n: existing }]];
+                return [{ affectedRows: 1 }];
+            })
+        };
+    }
+
+    it('issues one balance per package bought, expiring after the validity period', async () => {
+        const pool = mockPool();
+        await expect(fulfillEdsaPackagesForOrder(pool, 11)).resolves.toEqual({ issued: 2 });
+        const inserts = pool.execute.mock.calls.filter(([sql]) => sql.includes('INSERT INTO edsa_customer_packages'));
+        expect(inserts).toHaveLength(2);
+        expect(inserts[0][1]).toEqual([1, 3, 'ada@example.com', 11, 5, '3 scans', null, 3, 150, '2027-01-17']);
+    });
+
+    it('does not issue sessions twice for the same order', async () => {
+        const pool = mockPool({ existing: 2 });
+        await expect(fulfillEdsaPackagesForOrder(pool, 11)).resolves.toMatchObject({ issued: 0, skipped: true });
+        expect(pool.execute.mock.calls.some(([sql]) => sql.includes('INSERT'))).toBe(false);
+    });
+});
+
+describe('refundUnusedSessions', () => {
+    function mockPool(row, claimRows = 1) {
+        return {
+            execute: jest.fn(async (sql) => {
+                if (sql.includes('FROM edsa_customer_packages cp')) return [[row]];
+                if (sql.includes("SET status = 'refunded'")) return [{ affectedRows: claimRows }];
+                return [{ affectedRows: 1 }];
+            })
+        };
+    }
+
+    beforeEach(() => adjustLoyaltyCash.mockClear());
+
+    it('credits the prorated amount to store credit', async () => {
+        const pool = mockPool(PACKAGE_ROW);
+        await refundUnusedSessions(pool, 7, { method: 'store_credit', adminId: 1 });
+        expect(adjustLoyaltyCash).toHaveBeenCalledWith(pool, 3, 100, expect.objectContaining({ source: 'manual', orderId: 11 }));
+    });
+
+    it('refuses card refunds for orders not paid by card and reopens the package', async () => {
+        const pool = mockPool(PACKAGE_ROW);
+        await expect(refundUnusedSessions(pool, 7, { method: 'card' })).rejects.toMatchObject({ code: 'CARD_REFERENCE_MISSING' });
+        expect(pool.execute.mock.calls.some(([sql]) => sql.includes("SET status = 'active'"))).toBe(true);
+    });
+
+    it('does not refund a package that changed underneath it', async () => {
+        await expect(refundUnusedSessions(mockPool(PACKAGE_ROW, 0), 7, { method: 'other' })).rejects.toMatchObject({
+            code: 'PACKAGE_CHANGED'
+        });
+        await expect(
+            refundUnusedSessions(mockPool({ ...PACKAGE_ROW, status: 'refunded' }), 7, { method: 'other' })
+        ).rejects.toMatchObject({ code: 'PACKAGE_CLOSED' });
+    });
+});
@@ -0,0 +1,190 @@
+'use strict';
+
+jest.mock('../services/nmiVaultCards', () => ({
+    chargeVaultReference: jest.fn()
+}));
+
+const nmiVaultCards = require('../services/nmiVaultCards');
+const { dueReminderHours } = require('../services/edsaReminders');
+const {
+    parseReminderHours,
+    validatePolicyInput,
+    lateCancelFeeFor,
+    appointmentStartMs,
+    customerCanCancel,
+    markAttendance
+} = require('../services/edsaAppointmentPolicy');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function bookingRow(overrides = {}) {
+    return {
+        id: 7,
+        preferred_date: '2026-10-20',
+        preferred_time: '14:00:00',
+        status: 'confirmed',
+        attendance: null,
+        fee_vault_customer_id: 'cv_1',
+        fee_vault_billing_id: 'b_1',
+        fee_card_last4: '4242',
+        policy_fee_status: null,
+        ...overrides
+    };
+}
+
+function mockPool(row, settings = { edsa_no_show_fee: '25.00' }) {
+    return {
+        execute: jest.fn(async (sql) => {
+            if (sql.includes('FROM edsa_bookings WHERE id = ?')) return [row ? [row] : []];
+            if (sql.includes('FROM settings')) {
+                return [Object.entries(settings).map(([key_name, value]) => ({ key_name, value }))];
+            }
+            return [{ affectedRows: 1 }];
+        })
+    };
+}
+
+describe('dueReminderHours', () => {
+    it('sends the nearest open window once', () => {
+        expect(dueReminderHours([24, 2], 20, 72)).toBe(24);
+        expect(dueReminderHours([24, 2], 20, 72, new Set([24]))).toBeNull();
+        expect(dueReminderHours([24, 2], 1.5, 72, new Set([24]))).toBe(2);
+    });
+
+    it('skips windows that had already opened at booking time', () => {
+        expect(dueReminderHours([24, 2], 10, 12)).toBeNull();
+        expect(dueReminderHours([24, 2], 1, 12)).toBe(2);
+    });
+
+    it('sends only the closest reminder after downtime, and nothing once the appointment starts', () => {
+        expect(dueReminderHours([24, 2], 1, 72)).toBe(2);
+        expect(dueReminderHours([24, 2], -0.5, 72)).toBeNull();
+    });
+});
+
+describe('policy input', () => {
+    it('parses reminder hours largest first and drops junk', () => {
+        expect(parseReminderHours('2, 24,24, x, 0')).toEqual([24, 2]);
+        expect(parseReminderHours('')).toEqual([]);
+    });
+
+    it('validates fees and the late-cancel window', () => {
+        expect(validatePolicyInput({ reminderHours: '48, 2', noShowFee: '25', lateCancelFee: '', lateCancelHours: 12 })).toEqual({
+            reminderHours: [48, 2],
+            smsReminders: true,
+            noShowFee: 25,
+            lateCancelFee: 0,
+            lateCancelHours: 12
+        });
+        expect(() => validatePolicyInput({ reminderHours: '1.5' })).toThrow(expect.objectContaining({ status: 400 }));
+        expect(() => validatePolicyInput({ reminderHours: '24', lateCancelHours: -1 })).toThrow(/late-cancel/);
+    });
+});
+
+describe('lateCancelFeeFor', () => {
+    const policy = { lateCancelFee: 15, lateCancelHours: 24 };
+
+    it('charges inside the window only when a card was kept at booking', () => {
+        const row = bookingRow();
+        const startMs = appointmentStartMs(row);
+        expect(lateCancelFeeFor(policy, row, startMs - 2 * HOUR_MS)).toBe(15);
+        expect(lateCancelFeeFor(policy, row, startMs - 48 * HOUR_MS)).toBe(0);
+        expect(lateCancelFeeFor(policy, bookingRow({ fee_vault_customer_id: null }), startMs - 2 * HOUR_MS)).toBe(0);
+        expect(lateCancelFeeFor({ ...policy, lateCancelFee: 0 }, row, startMs - 2 * HOUR_MS)).toBe(0);
+    });
+});
+
+describe('customerCanCancel', () => {
+    it('refuses an appointment that has already started', () => {
+        const row = bookingRow();
+        const startMs = appointmentStartMs(row);
+        expect(customerCanCancel(row, startMs - HOUR_MS)).toBe(true);
+        expect(customerCanCancel(row, startMs)).toBe(false);
+        expect(customerCanCancel(row, startMs + HOUR_MS)).toBe(false);
+    });
+
+    it('refuses an appointment whose attendance was already marked', () => {
+        const row = bookingRow({ attendance: 'no_show' });
+        expect(customerCanCancel(row, appointmentStartMs(row) - 48 * HOUR_MS)).toBe(false);
+    });
+});
+
+describe('markAttendance', () => {
+    beforeEach(() => nmiVaultCards.chargeVaultReference.mockReset());
+
+    it('charges the no-show fee to the vaulted card', async () => {
+        nmiVaultCards.chargeVaultReference.mockResolvedValue({ ok: true, transactionId: 'tx-9' });
+        const row = bookingRow();
+        const pool = mockPool(row);
+        const result = await markAttendance(pool, 7, { attendance: 'no_show', adminId: 3 }, appointmentStartMs(row) + HOUR_MS);
+
+        expect(nmiVaultCards.chargeVaultReference).toHaveBeenCalledWith({ customerVaultId: 'cv_1', billingId: 'b_1' }, 25);
+        expect(result.fee).toMatchObject({ type: 'no_show', amount: 25, status: 'charged', reference: 'tx-9', last4: '4242' });
+        expect(pool.execute).toHaveBeenCalledWith(
+            expect.stringContaining('policy_fee_status = ?'),
+            ['no_show', 25, 'charged', 'tx-9', null, 7]
+        );
+    });
+
+    it('does not charge a fee another request already claimed', async () => {
+        const row = bookingRow();
+        const pool = mockPool(row);
+        pool.execute.mockImplementation(async (sql) => {
+            if (sql.includes('FROM edsa_bookings WHERE id = ?')) return [[row]];
+            if (sql.includes('FROM settings')) return [[{ key_name: 'edsa_no_show_fee', value: '25.00' }]];
+            if (sql.includes("policy_fee_status = 'charging'") && sql.includes('policy_fee_status IS NULL')) {
+                return [{ affectedRows: 0 }];
+            }
+            return [{ affectedRows: 1 }];
+        });
+        await expect(
+            markAttendance(pool, 7, { attendance: 'no_show' }, appointmentStartMs(row) + HOUR_MS)
+        ).rejects.toMatchObject({ status: 409, code: 'FEE_ALREADY_CHARGED' });
+        expect(nmiVaultCards.chargeVaultReference).not.toHaveBeenCalled();
+        expect(pool.execute.mock.calls.some(([sql]) => sql.includes('SET attendance = ?'))).toBe(false);
+    });
+
+    it('records a waived fee without charging', async () => {
+        const row = bookingRow();
+        const pool = mockPool(row);
+        const result = await markAttendance(pool, 7, { attendance: 'no_show', chargeFee: false }, appointmentStartMs(row) + HOUR_MS);
+        expect(nmiVaultCards.chargeVaultReference).not.toHaveBeenCalled();
+        expect(result.fee.status).toBe('waived');
+    });
+
+    it('does not save attendance when the fee was settled by another request before the waiver', async () => {
+        const row = bookingRow();
+        const pool = mockPool(row);
+        pool.execute.mockImplementation(async (sql) => {
+            if (sql.includes('FROM edsa_bookings WHERE id = ?')) return [[row]];
+            if (sql.includes('FROM settings')) return [[{ key_name: 'edsa_no_show_fee', value: '25.00' }]];
+            if (sql.includes("policy_fee_status = 'waived'")) return [{ affectedRows: 0 }];
+            return [{ affectedRows: 1 }];
+        });
+        await expect(
+            markAttendance(pool, 7, { attendance: 'no_show', chargeFee: false }, appointmentStartMs(row) + HOUR_MS)
+        ).rejects.toMatchObject({ status: 409, code: 'FEE_ALREADY_CHARGED' });
+        expect(pool.execute.mock.calls.some(([sql]) => sql.includes('SET attendance = ?'))).toBe(false);
+    });
+
+    it('records a decline instead of throwing', async () => {
+        nmiVaultCards.chargeVaultReference.mockResolvedValue({ ok: false, responseText: 'DECLINE' });
+        const row = bookingRow();
+        const result = await markAttendance(mockPool(row), 7, { attendance: 'no_show' }, appointmentStartMs(row) + HOUR_MS);
+        expect(result.fee).toMatchObject({ status: 'failed', error: 'DECLINE' });
+    });
+
+    it('marks attended without a fee and refuses appointments that have not started', async () => {
+        const row = bookingRow();
+        const attended = await markAttendance(mockPool(row), 7, { attendance: 'attended' }, appointmentStartMs(row) + HOUR_MS);
+        expect(attended.fee).toBeNull();
+
+        await expect(
+            markAttendance(mockPool(row), 7, { attendance: 'no_show' }, appointmentStartMs(row) - HOUR_MS)
+        ).rejects.toMatchObject({ status: 409, code: 'APPOINTMENT_NOT_STARTED' });
+        await expect(markAttendance(mockPool(row), 7, { attendance: 'late' })).rejects.toMatchObject({ status: 400 });
+        await expect(
+            markAttendance(mockPool(bookingRow({ status: 'cancelled' })), 7, { attendance: 'no_show' })
+        ).rejects.toMatchObject({ code: 'BOOKING_NOT_CONFIRMED' });
+    });
+});
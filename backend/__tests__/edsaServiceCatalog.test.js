@@ -0,0 +1,100 @@
+'use strict';
+
+const {
+    amountDueAtBooking,
+    generateServiceSlots,
+    weekdayOf,
+    validateServiceInput,
+    validatePractitionerInput
+} = require('../services/edsaServiceCatalog');
+
+const MONDAY = 1;
+
+function practitioner(id, start = '09:00', end = '12:00', weekday = MONDAY) {
+    return { id, hours: [{ weekday, start, end }] };
+}
+
+describe('amountDueAtBooking', () => {
+    it('charges the deposit only when it is below the price', () => {
+        expect(amountDueAtBooking({ price: 120, depositAmount: 30 })).toBe(30);
+        expect(amountDueAtBooking({ price: 120, depositAmount: null })).toBe(120);
+        expect(amountDueAtBooking({ price: 120, depositAmount: 0 })).toBe(120);
+        expect(amountDueAtBooking({ price: 120, depositAmount: 120 })).toBe(120);
+    });
+});
+
+describe('generateServiceSlots', () => {
+    it('offers starts where the whole appointment fits the working window', () => {
+        const slots = generateServiceSlots({ weekday: MONDAY, durationMinutes: 90, practitioners: [practitioner(1)] });
+        expect(slots.map((s) => s.time)).toEqual(['09:00', '09:30', '10:00', '10:30']);
+        expect(slots.every((s) => s.available)).toBe(true);
+    });
+
+    it('returns nothing on a day the practitioner does not work', () => {
+        expect(generateServiceSlots({ weekday: 2, durationMinutes: 60, practitioners: [practitioner(1)] })).toEqual([]);
+    });
+
+    it('keeps the buffer clear of the next booking', () => {
+        const slots = generateServiceSlots({
+            weekday: MONDAY,
+            durationMinutes: 60,
+            bufferMinutes: 15,
+            practitioners: [practitioner(1)],
+            busyByPractitioner: new Map([[1, [{ start: 11 * 60, end: 12 * 60 }]]])
+        });
+        const open = slots.filter((s) => s.available).map((s) => s.time);
+        expect(open).toEqual(['09:00', '09:30']);
+        expect(slots.find((s) => s.time === '10:00')).toMatchObject({ available: false, practitionerIds: [] });
+    });
+
+    it('merges practitioners and lists who is free at each start', () => {
+        const slots = generateServiceSlots({
+            weekday: MONDAY,
+            durationMinutes: 60,
+            practitioners: [practitioner(1), practitioner(2, '10:00', '13:00')],
+            busyByPractitioner: new Map([[1, [{ start: 9 * 60, end: 10 * 60 }]]])
+        });
+        expect(slots.find((s) => s.time === '09:00')).toMatchObject({ available: false });
+        expect(slots.find((s) => s.time === '10:00').practitionerIds).toEqual([1, 2]);
+        expect(slots.find((s) => s.time === '12:00').practitionerIds).toEqual([2]);
+    });
+
+    it('blocks every practitioner for shared busy time', () => {
+        const slots = generateServiceSlots({
+            weekday: MONDAY,
+            durationMinutes: 30,
+            practitioners: [practitioner(1), practitioner(2)],
+            sharedBusy: [{ start: 9 * 60, end: 10 * 60 }]
+        });
+        expect(slots.filter((s) => s.available)[0].time).toBe('10:00');
+    });
+});
+
+describe('weekdayOf', () => {
+    it('maps calendar dates to 0 = Sunday', () => {
+        expect(weekdayOf('2026-10-18')).toBe(0);
+        expect(weekdayOf('2026-10-19')).toBe(1);
+        expect(weekdayOf('not-a-date')).toBeNull();
+    });
+});
+
+describe('catalog input validation', () => {
+    it('normalizes a service and rejects a deposit above the price', () => {
+        expect(
+            validateServiceInput({ name: ' Consult ', durationMinutes: '45', price: '80', depositAmount: '20', practitionerIds: [2, '2', 3] })
+        ).toMatchObject({ name: 'Consult', durationMinutes: 45, bufferMinutes: 0, price: 80, depositAmount: 20, practitionerIds: [2, 3] });
+        expect(() => validateServiceInput({ name: 'Consult', durationMinutes: 45, price: 50, depositAmount: 60 })).toThrow(
+            /Deposit/
+        );
+        expect(() => validateServiceInput({ name: 'Consult', durationMinutes: 2, price: 50 })).toThrow(/Duration/);
+    });
+
+    it('requires working-hours rows to start before they end', () => {
+        expect(validatePractitionerInput({ name: 'Dana', hours: [{ weekday: 1, start: '09:00', end: '17:00' }] }).hours).toEqual([
+            { weekday: 1, start: '09:00', end: '17:00' }
+        ]);
+        expect(() => validatePractitionerInput({ name: 'Dana', hours: [{ weekday: 1, start: '17:00', end: '09:00' }] })).toThrow(
+            expect.objectContaining({ status: 400, code: 'INVALID_PRACTITIONER' })
+        );
+    });
+});
@@ -0,0 +1,137 @@
+'use strict';
+
+jest.mock('../services/edsaAppointmentEmail', () => ({
+    sendWaitlistJoinedEmail: jest.fn(async () => true),
+    sendWaitlistOfferEmail: jest.fn(async () => true)
+}));
+
+const { sendWaitlistOfferEmail } = require('../services/edsaAppointmentEmail');
+const { storeWallClockToUtcMs } = require('../utils/storeTimezone');
+const {
+    matchesTimeOfDay,
+    validateWaitlistInput,
+    holdMinutesFor,
+    offerFreedSlot,
+    releaseSlotToWaitlist
+} = require('../services/edsaWaitlist');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function waitlistRow(overrides = {}) {
+    return {
+        id: 3,
+        first_name: 'Ada',
+        last_name: 'Lovelace',
+        email: 'ada@example.com',
+        time_of_day: 'any',
+        service_id: null,
+        practitioner_id: null,
+        ...overrides
+    };
+}
+
+function busyRow(overrides = {}) {
+    return { practitioner_id: 5, preferred_time: '14:00:00', duration_minutes: 60, buffer_minutes: 0, ...overrides };
+}
+
+function mockPool({ busy = [], waiting = [waitlistRow()], holdMinutes = '120' } = {}) {
+    return {
+        execute: jest.fn(async (sql) => {
+            if (sql.includes('FROM settings')) return [[{ value: holdMinutes }]];
+            if (sql.includes('UNION ALL')) return [busy];
+            if (sql.includes('FROM edsa_waitlist w')) return [waiting];
+            if (sql.includes('INSERT INTO edsa_waitlist_offers')) return [{ insertId: 11 }];
+            if (sql.startsWith('SELECT name')) return [[{ name: 'Scan' }]];
+            return [{ affectedRows: 1 }];
+        })
+    };
+}
+
+describe('matchesTimeOfDay', () => {
+    it('splits the day at noon', () => {
+        expect(matchesTimeOfDay('morning', '11:30')).toBe(true);
+        expect(matchesTimeOfDay('morning', '12:00')).toBe(false);
+        expect(matchesTimeOfDay('afternoon', '12:00:00')).toBe(true);
+        expect(matchesTimeOfDay('any', '08:00')).toBe(true);
+    });
+});
+
+describe('validateWaitlistInput', () => {
+    const base = { firstName: ' Ada ', lastName: 'Lovelace', email: 'ada@example.com', dateFrom: '2026-10-20' };
+
+    it('defaults to a single day at any time', () => {
+        const entry = validateWaitlistInput(base, '2026-10-19');
+        expect(entry).toMatchObject({ firstName: 'Ada', dateFrom: '2026-10-20', dateTo: '2026-10-20', timeOfDay: 'any' });
+        expect(entry.serviceId).toBeNull();
+    });
+
+    it('rejects past, reversed and overly long ranges', () => {
+        expect(() => validateWaitlistInput({ ...base, dateFrom: '2026-10-18' }, '2026-10-19')).toThrow(/past/);
+        expect(() => validateWaitlistInput({ ...base, dateTo: '2026-10-19' }, '2026-10-19')).toThrow(/on or after/);
+        expect(() => validateWaitlistInput({ ...base, dateTo: '2027-01-30' }, '2026-10-19')).toThrow(/at most/);
+        expect(() => validateWaitlistInput({ ...base, timeOfDay: 'evening' }, '2026-10-19')).toThrow(/Time of day/);
+    });
+});
+
+describe('holdMinutesFor', () => {
+    it('ends the hold an hour before the appointment', () => {
+        const now = Date.UTC(2026, 9, 19, 12);
+        expect(holdMinutesFor(120, now + 10 * HOUR_MS, now)).toBe(120);
+        expect(holdMinutesFor(120, now + 2 * HOUR_MS, now)).toBe(60);
+        expect(holdMinutesFor(120, now + HOUR_MS + 10 * 60000, now)).toBeNull();
+    });
+});
+
+describe('offerFreedSlot', () => {
+    const slot = { dateYmd: '2026-10-21', timeHm: '14:00', serviceId: 2, practitionerId: 5 };
+    const nowMs = storeWallClockToUtcMs('2026-10-20', '09:00');
+
+    beforeEach(() => sendWaitlistOfferEmail.mockClear());
+
+    it('holds the slot for the first customer whose time of day fits', async () => {
+        const pool = mockPool({ waiting: [waitlistRow({ id: 1, time_of_day: 'morning' }), waitlistRow({ id: 2 })] });
+        const offer = await offerFreedSlot(pool, slot, nowMs);
+
+        expect(offer).toMatchObject({ id: 11, waitlistId: 2, slotDate: '2026-10-21', slotTime: '14:00', serviceName: 'Scan' });
+        expect(offer.token).toMatch(/^[a-f0-9]{48}$/);
+        const insert = pool.execute.mock.calls.find(([sql]) => sql.includes('INSERT INTO edsa_waitlist_offers'));
+        expect(insert[1][0]).toBe(2);
+        expect(insert[1][8]).toBe(120);
+        expect(pool.execute.mock.calls.some(([sql, params]) => sql.includes("SET status = 'offered'") && params[0] === 2)).toBe(true);
+        expect(sendWaitlistOfferEmail).toHaveBeenCalledWith(expect.objectContaining({ email: 'ada@example.com' }));
+    });
+
+    it('does nothing when the slot was taken again or nobody fits', async () => {
+        expect(await offerFreedSlot(mockPool({ busy: [busyRow()] }), slot, nowMs)).toBeNull();
+        expect(await offerFreedSlot(mockPool({ waiting: [waitlistRow({ time_of_day: 'morning' })] }), slot, nowMs)).toBeNull();
+        expect(sendWaitlistOfferEmail).not.toHaveBeenCalled();
+    });
+
+    it('treats a booking starting inside the slot as taking it, but not one for another practitioner', async () => {
+        const freed = { ...slot, durationMinutes: 60, bufferMinutes: 15 };
+        expect(await offerFreedSlot(mockPool({ busy: [busyRow({ preferred_time: '14:30:00' })] }), freed, nowMs)).toBeNull();
+        expect(await offerFreedSlot(mockPool({ busy: [busyRow({ preferred_time: '15:10:00' })] }), freed, nowMs)).toBeNull();
+        expect(await offerFreedSlot(mockPool({ busy: [busyRow({ preferred_time: '15:15:00' })] }), freed, nowMs)).not.toBeNull();
+        expect(
+            await offerFreedSlot(mockPool({ busy: [busyRow({ preferred_time: '14:30:00', practitioner_id: 6 })] }), freed, nowMs)
+        ).not.toBeNull();
+    });
+
+    it('does not offer a slot that starts too soon', async () => {
+        const pool = mockPool();
+        const soon = storeWallClockToUtcMs('2026-10-21', '13:30');
+        expect(await offerFreedSlot(pool, slot, soon)).toBeNull();
+        expect(pool.execute.mock.calls.some(([sql]) => sql.includes('INSERT'))).toBe(false);
+    });
+});
+
+describe('releaseSlotToWaitlist', () => {
+    it('only releases confirmed bookings and never throws', async () => {
+        const pool = { execute: jest.fn(async () => Promise.reject(new Error('db down'))) };
+        expect(await releaseSlotToWaitlist(pool, { id: 1, status: 'cancelled' })).toBeNull();
+        expect(pool.execute).not.toHaveBeenCalled();
+        await expect(
+            releaseSlotToWaitlist(pool, { id: 1, status: 'confirmed', preferred_date: '2099-01-05', preferred_time: '10:00:00' })
+        ).resolves.toBeNull();
+    });
+});
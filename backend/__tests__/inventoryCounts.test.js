@@ -0,0 +1,38 @@
+'use strict';
+
+const { countVariance, summarizeCountLines } = require('../services/inventoryCounts');
+
+describe('countVariance', () => {
+    it('is counted minus system with cost impact at unit cost', () => {
+        expect(countVariance(10, 7, 4.25)).toEqual({ variance: -3, costImpact: -12.75 });
+        expect(countVariance(2, 5, 1.1)).toEqual({ variance: 3, costImpact: 3.3 });
+    });
+
+    it('has no variance until the line is counted, and no cost impact without a cost', () => {
+        expect(countVariance(4, null, 3)).toEqual({ variance: null, costImpact: null });
+        expect(countVariance(4, 6, null)).toEqual({ variance: 2, costImpact: null });
+    });
+});
+
+describe('summarizeCountLines', () => {
+    it('totals progress, over/short units and cost impact, including approved lines', () => {
+        const lines = [
+            { countedQuantity: null, variance: null, costImpact: null, reviewStatus: 'pending' },
+            { countedQuantity: 5, variance: 0, costImpact: 0, reviewStatus: 'pending' },
+            { countedQuantity: 3, variance: -2, costImpact: -8.5, reviewStatus: 'approved' },
+            { countedQuantity: 9, variance: 4, costImpact: 6, reviewStatus: 'pending' },
+            { countedQuantity: 1, variance: -1, costImpact: null, reviewStatus: 'rejected' }
+        ];
+        expect(summarizeCountLines(lines)).toEqual({
+            lines: 5,
+            counted: 4,
+            uncounted: 1,
+            withVariance: 3,
+            unitsOver: 4,
+            unitsShort: 3,
+            costImpact: -2.5,
+            approved: 1,
+            approvedCostImpact: -8.5
+        });
+    });
+});
@@ -0,0 +1,108 @@
+'use strict';
+
+const { planFefo, parseExpirationDate, normalizeLotNumber, consumeLots } = require('../services/inventoryLots');
+const { planLineLots } = require('../services/vendor-receiving');
+
+describe('planFefo', () => {
+    const lots = [
+        { id: 1, expiration_date: '2027-06-30', received_at: '2026-01-01', quantity_remaining: 5 },
+        { id: 2, expiration_date: null, received_at: '2025-01-01', quantity_remaining: 10 },
+        { id: 3, expiration_date: '2027-01-31', received_at: '2026-03-01', quantity_remaining: 3 },
+        { id: 4, expiration_date: '2027-01-31', received_at: '2026-02-01', quantity_remaining: 2 }
+    ];
+
+    it('draws the earliest-expiring lots first, oldest receipt breaking ties', () => {
+        expect(planFefo(lots, 7)).toEqual({
+            draws: [
+                { lotId: 4, quantity: 2 },
+                { lotId: 3, quantity: 3 },
+                { lotId: 1, quantity: 2 }
+            ],
+            unallocated: 0
+        });
+    });
+
+    it('uses undated lots last and reports what no lot could cover', () => {
+        const plan = planFefo(lots, 25);
+        expect(plan.draws.map((d) => d.lotId)).toEqual([4, 3, 1, 2]);
+        expect(plan.unallocated).toBe(5);
+    });
+
+    it('skips empty lots', () => {
+        expect(planFefo([{ id: 9, expiration_date: '2026-01-01', quantity_remaining: 0 }], 2)).toEqual({
+            draws: [],
+            unallocated: 2
+        });
+    });
+});
+
+describe('parseExpirationDate', () => {
+    it('accepts ISO, US and month/year best-by formats', () => {
+        expect(parseExpirationDate('2027-03-05')).toBe('2027-03-05');
+        expect(parseExpirationDate('3/5/2027')).toBe('2027-03-05');
+        expect(parseExpirationDate('02/2028')).toBe('2028-02-29');
+        expect(parseExpirationDate('')).toBeNull();
+    });
+
+    it('rejects impossible dates with a validation error', () => {
+        expect(() => parseExpirationDate('2027-02-30')).toThrow(expect.objectContaining({ status: 400, code: 'VALIDATION' }));
+        expect(() => parseExpirationDate('soon')).toThrow(expect.objectContaining({ code: 'VALIDATION' }));
+    });
+});
+
+describe('normalizeLotNumber', () => {
+    it('trims and collapses whitespace, null when blank', () => {
+        expect(normalizeLotNumber('  L24  117A ')).toBe('L24 117A');
+        expect(normalizeLotNumber('   ')).toBeNull();
+    });
+});
+
+describe('consumeLots', () => {
+    it('decrements the chosen lots and records an allocation per draw', async () => {
+        const calls = [];
+        const connection = {
+            query: jest.fn(async (sql, params) => {
+                calls.push([sql.replace(/\s+/g, ' ').trim(), params]);
+                if (sql.includes('FOR UPDATE')) {
+                    return [[
+                        { id: 1, expiration_date: '2027-06-30', quantity_remaining: 4 },
+                        { id: 2, expiration_date: '2027-01-31', quantity_remaining: 1 }
+                    ]];
+                }
+                return [{ affectedRows: 1 }];
+            })
+        };
+        const draws = await consumeLots(connection, { productId: 7, quantity: 3, referenceType: 'order', referenceId: 55 });
+        expect(draws).toEqual([{ lotId: 2, quantity: 1 }, { lotId: 1, quantity: 2 }]);
+        const allocations = calls.filter(([sql]) => sql.startsWith('INSERT INTO inventory_lot_allocations'));
+        expect(allocations.map(([, params]) => params)).toEqual([
+            [2, 7, null, 1, 'order', 55],
+            [1, 7, null, 2, 'order', 55]
+        ]);
+    });
+
+    it('is a no-op before the lot tables exist', async () => {
+        const connection = {
+            query: jest.fn().mockRejectedValue(Object.assign(new Error('missing'), { code: 'ER_NO_SUCH_TABLE' }))
+        };
+        await expect(consumeLots(connection, { productId: 7, quantity: 1, referenceType: 'order', referenceId: 1 })).resolves.toEqual([]);
+    });
+});
+
+describe('planLineLots', () => {
+    it('splits received units between scanned lots and the line default lot', () => {
+        const line = { qtyReceived: 10, lotNumber: 'B2', expirationDate: '2027-09-30' };
+        const events = [
+            { lot_number: 'A1', expiration_date: '2027-03-31', qty: '4.000' },
+            { lot_number: 'B2', expiration_date: '2027-09-30', qty: '2.000' }
+        ];
+        expect(planLineLots(line, events)).toEqual([
+            { lotNumber: 'A1', expirationDate: '2027-03-31', quantity: 4 },
+            { lotNumber: 'B2', expirationDate: '2027-09-30', quantity: 6 }
+        ]);
+    });
+
+    it('leaves units without any lot untracked', () => {
+        expect(planLineLots({ qtyReceived: 5, lotNumber: null }, [])).toEqual([]);
+    });
+});
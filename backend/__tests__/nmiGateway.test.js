@@ -6,7 +6,7 @@ jest.mock('../utils/nmiEnv', () => ({
 }));
 
 const axios = require('axios');
-const { nmiSale, parseNmiBody } = require('../services/nmiGateway');
+const { nmiSale, nmiRefund, parseNmiBody } = require('../services/nmiGateway');
 
 describe('parseNmiBody', () => {
     it('parses ampersand-separated gateway body', () => {
@@ -55,3 +55,26 @@ describe('nmiSale', () => {
         expect(r.responseText).toContain('Declined');
     });
 });
+
+describe('nmiRefund', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('posts a partial refund against the original transaction', async () => {
+        axios.post.mockResolvedValue({ data: 'response=1&responsetext=SUCCESS&transactionid=777' });
+        const r = await nmiRefund({ securityKey: 'test-key', transactionId: '12345', amount: '4.50' });
+        expect(r.ok).toBe(true);
+        expect(r.transactionId).toBe('777');
+        const sent = new URLSearchParams(axios.post.mock.calls[0][1]);
+        expect(sent.get('type')).toBe('refund');
+        expect(sent.get('transactionid')).toBe('12345');
+        expect(sent.get('amount')).toBe('4.50');
+    });
+
+    it('does not call the gateway without a transaction id', async () => {
+        const r = await nmiRefund({ securityKey: 'test-key', amount: '1.00' });
+        expect(r.ok).toBe(false);
+        expect(axios.post).not.toHaveBeenCalled();
+    });
+});
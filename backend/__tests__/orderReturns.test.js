@@ -0,0 +1,135 @@
+'use strict';
+
+jest.mock('../services/finalizePaidOrder', () => ({ recalcUserOrderAggregates: jest.fn() }));
+jest.mock('../services/nmiGateway', () => ({
+    nmiRefund: jest.fn(async () => ({ ok: true, transactionId: 'R1' })),
+    nmiVoid: jest.fn()
+}));
+
+jest.mock('../services/storePaymentProcessor', () => ({
+    loadStorePaymentProcessor: jest.fn(async () => ({})),
+    resolveProcessorCredentials: jest.fn(() => ({ privateKey: 'key' }))
+}));
+
+const { nmiRefund } = require('../services/nmiGateway');
+const {
+    returnWindowDays,
+    returnEligibility,
+    lineRefundAmount,
+    allocateRefund,
+    refundReturn
+} = require('../services/orderReturns');
+
+describe('returnEligibility', () => {
+    const shipped = {
+        status: 'delivered',
+        payment_status: 'paid',
+        sales_channel: 'online',
+        delivered_at: '2026-10-01T12:00:00Z'
+    };
+
+    it('opens the window from delivery and closes it after RETURN_WINDOW_DAYS', () => {
+        expect(returnWindowDays({})).toBe(30);
+        expect(returnWindowDays({ RETURN_WINDOW_DAYS: '14' })).toBe(14);
+        expect(returnEligibility(shipped, { windowDays: 30, now: new Date('2026-10-19T00:00:00Z') }).eligible).toBe(true);
+        const late = returnEligibility(shipped, { windowDays: 14, now: new Date('2026-10-19T00:00:00Z') });
+        expect(late.eligible).toBe(false);
+        expect(late.message).toMatch(/14-day/);
+    });
+
+    it('refuses unshipped and in-store orders', () => {
+        expect(returnEligibility({ ...shipped, status: 'processing' }).eligible).toBe(false);
+        expect(returnEligibility({ ...shipped, sales_channel: 'in_store' }).eligible).toBe(false);
+    });
+});
+
+describe('lineRefundAmount', () => {
+    it('takes off the line share of the discount and adds back its tax share', () => {
+        const order = { subtotal: 100, discount_amount: 10, tax_amount: 8 };
+        // Line is 40% of the subtotal: 40 - 4 + 3.2 = 39.2 for both units.
+        expect(lineRefundAmount(order, { quantity: 2, total: 40 }, 2)).toBe(39.2);
+        expect(lineRefundAmount(order, { quantity: 2, total: 40 }, 1)).toBe(19.6);
+        expect(lineRefundAmount(order, { quantity: 2, price: 20 }, 5)).toBe(39.2);
+        expect(lineRefundAmount({ subtotal: 0 }, { quantity: 1, total: 0 }, 1)).toBe(0);
+    });
+});
+
+describe('allocateRefund', () => {
+    it('refunds the card first, then wallet tenders, net of earlier refunds', () => {
+        const { allocations, unallocated } = allocateRefund(50, [
+            { type: 'loyalty_cash', amount: 20, refunded: 0 },
+            { type: 'gift_card', giftCardId: 7, amount: 15, refunded: 5 },
+            { type: 'card_terminal', amount: 30, refunded: 0 }
+        ]);
+        expect(allocations.map((a) => [a.type, a.refund])).toEqual([
+            ['card_terminal', 30],
+            ['gift_card', 10],
+            ['loyalty_cash', 10]
+        ]);
+        expect(unallocated).toBe(0);
+    });
+
+    it('reports what no tender can cover', () => {
+        const { allocations, unallocated } = allocateRefund(25, [{ type: 'card_terminal', amount: 20, refunded: 0 }]);
+        expect(allocations).toHaveLength(1);
+        expect(unallocated).toBe(5);
+    });
+});
+
+describe('refundReturn', () => {
+    it('does not touch the card when another request already claimed the refund', async () => {
+        const pool = {
+            execute: jest.fn(async (sql) => {
+                if (sql.includes('FROM order_returns r')) {
+                    return [[{ id: 4, order_id: 9, rma_number: 'RMA-4', status: 'received' }]];
+                }
+                if (sql.includes('FROM orders')) return [[{ id: 9, total_amount: 30, shipping_amount: 0 }]];
+                if (sql.includes('FROM order_return_items')) {
+                    return [[{ id: 1, return_id: 4, order_item_id: 2, product_name: 'Tea', quantity: 1, refund_amount: 30 }]];
+                }
+                if (sql.includes("SET status = 'refunding'")) return [{ affectedRows: 0 }];
+                return [[]];
+            })
+        };
+        await expect(refundReturn(pool, 4, { adminId: 1 })).rejects.toMatchObject({ status: 409, code: 'INVALID_STATUS' });
+        expect(nmiRefund).not.toHaveBeenCalled();
+    });
+
+    it('keeps the claim once the card was refunded so a retry cannot refund it again', async () => {
+        nmiRefund.mockClear();
+        let status = 'received';
+        const pool = {
+            execute: jest.fn(async (sql) => {
+                if (sql.includes('FROM order_returns r')) {
+                    return [[{ id: 4, order_id: 9, rma_number: 'RMA-4', status }]];
+                }
+                if (sql.includes('FROM orders')) return [[{ id: 9, total_amount: 30, shipping_amount: 0 }]];
+                if (sql.includes('FROM order_return_items')) {
+                    return [[{ id: 1, return_id: 4, order_item_id: 2, product_name: 'Tea', quantity: 1, refund_amount: 30 }]];
+                }
+                if (sql.includes('FROM order_payment_tenders')) {
+                    return [[{ tender_type: 'card_terminal', amount: 30, payment_reference: 'tx-1' }]];
+                }
+                if (sql.includes('FROM order_return_refunds')) return [[]];
+                if (sql.includes('INSERT INTO order_return_refunds')) throw new Error('connection lost');
+                if (sql.includes("SET status = 'refunding'")) {
+                    if (status !== 'received') return [{ affectedRows: 0 }];
+                    status = 'refunding';
+                    return [{ affectedRows: 1 }];
+                }
+                if (sql.includes("SET status = 'received'")) {
+                    status = 'received';
+                    return [{ affectedRows: 1 }];
+                }
+                return [{ affectedRows: 1 }];
+            })
+        };
+
+        await expect(refundReturn(pool, 4, { adminId: 1 })).rejects.toThrow('connection lost');
+        expect(nmiRefund).toHaveBeenCalledTimes(1);
+        expect(status).toBe('refunding');
+
+        await expect(refundReturn(pool, 4, { adminId: 1 })).rejects.toMatchObject({ status: 409 });
+        expect(nmiRefund).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,130 @@
+'use strict';
+
+const {
+    normalizeCommissionRule,
+    pickCommissionRule,
+    computeCommissionLines,
+    normalizeReportPeriod,
+    commissionReportCsv
+} = require('../services/posCommissions');
+
+function rule(overrides) {
+    return { id: 1, name: 'Store', scope: 'all', ratePercent: 0, flatPerUnit: 0, startsOn: null, endsOn: null, isActive: true, ...overrides };
+}
+
+describe('normalizeCommissionRule', () => {
+    it('keeps only the target id matching the scope', () => {
+        expect(
+            normalizeCommissionRule({ name: ' House brand ', scope: 'brand', brand_id: '7', categoryId: 3, rate_percent: '2.5' })
+        ).toEqual(
+            expect.objectContaining({ name: 'House brand', scope: 'brand', brandId: 7, categoryId: null, productId: null, ratePercent: 2.5, isActive: true })
+        );
+    });
+
+    it('requires a target, an amount and a sensible date window', () => {
+        expect(() => normalizeCommissionRule({ name: 'x', scope: 'category', ratePercent: 1 })).toThrow('Pick the category');
+        expect(() => normalizeCommissionRule({ name: 'x', scope: 'product', ratePercent: 1 })).toThrow('Enter the product SKU');
+        expect(() => normalizeCommissionRule({ name: 'x', scope: 'all' })).toThrow('Set a rate');
+        expect(() => normalizeCommissionRule({ name: 'x', scope: 'all', ratePercent: 150 })).toThrow(expect.objectContaining({ status: 400 }));
+        expect(() =>
+            normalizeCommissionRule({ name: 'x', scope: 'all', flatPerUnit: 1, startsOn: '2026-10-10', endsOn: '2026-10-01' })
+        ).toThrow('End date is before the start date');
+    });
+
+    it('accepts a product SKU in place of an id', () => {
+        expect(normalizeCommissionRule({ name: 'Spiff', scope: 'product', productSku: 'SKU-1', flatPerUnit: '1.5', isActive: '0' })).toEqual(
+            expect.objectContaining({ productId: null, productSku: 'SKU-1', flatPerUnit: 1.5, isActive: false })
+        );
+    });
+});
+
+describe('pickCommissionRule', () => {
+    const line = { productId: 10, brandId: 4, categoryId: 2, saleDate: '2026-10-15' };
+
+    it('prefers product over brand over category over store-wide', () => {
+        const rules = [
+            rule({ id: 1, scope: 'all' }),
+            rule({ id: 2, scope: 'category', categoryId: 2 }),
+            rule({ id: 3, scope: 'brand', brandId: 4 }),
+            rule({ id: 4, scope: 'product', productId: 10 })
+        ];
+        expect(pickCommissionRule(line, rules).id).toBe(4);
+        expect(pickCommissionRule(line, rules.slice(0, 3)).id).toBe(3);
+        expect(pickCommissionRule(line, rules.slice(0, 2)).id).toBe(2);
+    });
+
+    it('skips inactive and out-of-window rules and lets the newest equal rule win', () => {
+        const rules = [
+            rule({ id: 1, scope: 'brand', brandId: 4 }),
+            rule({ id: 5, scope: 'brand', brandId: 4 }),
+            rule({ id: 9, scope: 'product', productId: 10, isActive: false }),
+            rule({ id: 8, scope: 'product', productId: 10, endsOn: '2026-10-14' })
+        ];
+        expect(pickCommissionRule(line, rules).id).toBe(5);
+        expect(pickCommissionRule({ ...line, brandId: 99 }, rules)).toBeNull();
+    });
+});
+
+describe('computeCommissionLines', () => {
+    it('spreads the order discount over lines and drops exchanged units', () => {
+        const rows = [
+            {
+                id: 1,
+                order_number: 'POS-1',
+                created_at: '2026-10-15T18:00:00Z',
+                employee_id: 3,
+                product_id: 10,
+                brand_id: 4,
+                category_id: 2,
+                product_name: 'Vitamin C',
+                quantity: 4,
+                total: 80,
+                discount_amount: 10,
+                order_items_total: 100,
+                exchanged_quantity: 1
+            }
+        ];
+        const [out] = computeCommissionLines(rows, [rule({ id: 2, name: 'Brand', scope: 'brand', brandId: 4, ratePercent: 10, flatPerUnit: 0.5 })]);
+        // 80 less 8 discount share = 72, three of four units kept = 54
+        expect(out).toEqual(
+            expect.objectContaining({ orderItemId: 1, employeeId: 3, netQuantity: 3, netSales: 54, ruleId: 2, ruleName: 'Brand', commission: 6.9 })
+        );
+    });
+
+    it('earns nothing when no rule applies', () => {
+        const [out] = computeCommissionLines(
+            [{ id: 2, created_at: '2026-10-15T18:00:00Z', quantity: 1, total: 20, discount_amount: 0, order_items_total: 20 }],
+            []
+        );
+        expect(out).toEqual(expect.objectContaining({ netSales: 20, ruleId: null, commission: 0 }));
+    });
+});
+
+describe('normalizeReportPeriod', () => {
+    it('defaults to two weeks ending on the given day and rejects long or reversed periods', () => {
+        expect(normalizeReportPeriod({ to: '2026-10-14' })).toEqual({ from: '2026-10-01', to: '2026-10-14' });
+        expect(() => normalizeReportPeriod({ from: '2026-10-10', to: '2026-10-01' })).toThrow(expect.objectContaining({ status: 400 }));
+        expect(() => normalizeReportPeriod({ from: '2024-01-01', to: '2026-10-01' })).toThrow('a year or less');
+    });
+});
+
+describe('commissionReportCsv', () => {
+    const report = {
+        from: '2026-10-01',
+        to: '2026-10-14',
+        employees: [{ employeeCode: 'E1', name: 'Ana, B', orders: 2, units: 3, netSales: 54, commission: 6.9 }],
+        lines: [
+            { saleDate: '2026-10-02', orderNumber: 'POS-1', employeeCode: 'E1', employeeName: 'Ana', productName: 'Vit', netQuantity: 3, netSales: 54, ruleName: null, commission: 0 }
+        ]
+    };
+
+    it('writes one payroll row per employee', () => {
+        expect(commissionReportCsv(report).split('\n')[1]).toBe('E1,"Ana, B",2026-10-01,2026-10-14,2,3,54.00,6.90');
+    });
+
+    it('writes one row per sale line with detail', () => {
+        const csv = commissionReportCsv(report, { detail: true }).split('\n');
+        expect(csv[0]).toMatch(/^Date,Order,/);
+        expect(csv[1]).toBe('2026-10-02,POS-1,E1,Ana,Vit,3,54.00,,0.00');
+    });
+});
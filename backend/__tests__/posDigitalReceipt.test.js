@@ -0,0 +1,67 @@
+'use strict';
+
+jest.mock('../services/finalizePaidOrder', () => ({ recalcUserOrderAggregates: jest.fn() }));
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const jwt = require('jsonwebtoken');
+const { encodeReceipt } = require('../services/posEscposPrint');
+const { signReceiptToken, verifyReceiptToken, claimState, CLAIM_WINDOW_DAYS } = require('../services/posDigitalReceipt');
+
+describe('encodeReceipt', () => {
+    it('prints text only when there is no barcode or QR', () => {
+        const hex = encodeReceipt(['Hello']).toString('hex');
+        expect(hex).not.toContain('1d6b49');
+        expect(hex).not.toContain('1d286b');
+    });
+
+    it('adds a Code 128 of the order number with doubled braces', () => {
+        const buf = encodeReceipt(['Hello'], { barcode: 'POS-1{2' });
+        const at = buf.indexOf(Buffer.from([0x1d, 0x6b, 73]));
+        expect(at).toBeGreaterThan(0);
+        const len = buf[at + 3];
+        expect(buf.slice(at + 4, at + 4 + len).toString('ascii')).toBe('{BPOS-1{{2');
+    });
+
+    it('stores the QR payload with its length and prints it', () => {
+        const url = 'https://shop.example/receipt.html?t=abc';
+        const buf = encodeReceipt(['Hello'], { qrUrl: url, qrCaption: 'Scan me' });
+        const store = buf.indexOf(Buffer.from([0x31, 0x50, 0x30]));
+        expect(buf[store - 2] + buf[store - 1] * 256).toBe(url.length + 3);
+        expect(buf.slice(store + 3, store + 3 + url.length).toString('ascii')).toBe(url);
+        expect(buf.includes(Buffer.from([0x1d, 0x28, 0x6b, 3, 0, 0x31, 0x51, 0x30]))).toBe(true);
+        expect(buf.toString('ascii')).toContain('Scan me');
+    });
+});
+
+describe('receipt tokens', () => {
+    it('round-trips the order number', () => {
+        expect(verifyReceiptToken(signReceiptToken('POS-20261019-0042'))).toBe('POS-20261019-0042');
+    });
+
+    it('rejects tampered tokens and tokens signed for something else', () => {
+        const token = signReceiptToken('POS-1');
+        expect(() => verifyReceiptToken(`${token}x`)).toThrow(expect.objectContaining({ code: 'INVALID_RECEIPT_LINK' }));
+        const other = jwt.sign({ purpose: 'cart_restore', orderNumber: 'POS-1' }, process.env.JWT_SECRET);
+        expect(() => verifyReceiptToken(other)).toThrow(expect.objectContaining({ status: 404 }));
+    });
+});
+
+describe('claimState', () => {
+    const createdAt = new Date('2026-10-01T15:00:00Z');
+    const now = createdAt.getTime() + 86400000;
+
+    it('lets anyone claim an unattached paid sale inside the window', () => {
+        const state = claimState({ user_id: null, payment_status: 'paid', created_at: createdAt }, 7, now);
+        expect(state).toMatchObject({ claimed: false, claimedByYou: false, claimable: true, windowDays: CLAIM_WINDOW_DAYS });
+    });
+
+    it('closes after the window and for refunded or attached sales', () => {
+        const late = createdAt.getTime() + (CLAIM_WINDOW_DAYS + 1) * 86400000;
+        expect(claimState({ user_id: null, payment_status: 'paid', created_at: createdAt }, 7, late).claimable).toBe(false);
+        expect(claimState({ user_id: null, payment_status: 'refunded', created_at: createdAt }, 7, now).claimable).toBe(false);
+        const mine = claimState({ user_id: 7, payment_status: 'paid', created_at: createdAt }, 7, now);
+        expect(mine).toMatchObject({ claimed: true, claimedByYou: true, claimable: false });
+        expect(claimState({ user_id: 9, payment_status: 'paid', created_at: createdAt }, 7, now).claimedByYou).toBe(false);
+    });
+});
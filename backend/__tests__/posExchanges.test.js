@@ -0,0 +1,104 @@
+'use strict';
+
+jest.mock('../services/posPersonnel', () => ({ verifyRefundPin: jest.fn(), addCashDrawerEvent: jest.fn() }));
+jest.mock('../services/orderReturns', () => ({ lineRefundAmount: jest.fn() }));
+
+const {
+    normalizeExchangeReturns,
+    allocateExchangeRefund,
+    buildExchangeReceiptLines
+} = require('../services/posExchanges');
+
+describe('normalizeExchangeReturns', () => {
+    it('merges repeated order lines and keeps restock off when any row says so', () => {
+        expect(
+            normalizeExchangeReturns([
+                { orderItemId: 5, quantity: 1 },
+                { order_item_id: '5', quantity: 2, restock: false },
+                { orderItemId: 8 }
+            ])
+        ).toEqual([
+            { orderItemId: 5, quantity: 3, restock: false },
+            { orderItemId: 8, quantity: 1, restock: true }
+        ]);
+    });
+
+    it('rejects empty lists, bad line ids and fractional quantities', () => {
+        expect(() => normalizeExchangeReturns([])).toThrow(expect.objectContaining({ code: 'EXCHANGE_RETURNS_REQUIRED' }));
+        expect(() => normalizeExchangeReturns([{ quantity: 1 }])).toThrow(expect.objectContaining({ code: 'INVALID_EXCHANGE_LINE' }));
+        expect(() => normalizeExchangeReturns([{ orderItemId: 2, quantity: 1.5 }])).toThrow(
+            expect.objectContaining({ code: 'INVALID_EXCHANGE_LINE' })
+        );
+    });
+});
+
+describe('allocateExchangeRefund', () => {
+    const tenders = [
+        { type: 'gift_card', giftCardId: 3, amount: 10 },
+        { type: 'cash', amount: 15, refunded: 5 },
+        { type: 'card_terminal', amount: 8 }
+    ];
+
+    it('refunds the card first, then cash, then wallet tenders', () => {
+        const { allocations, unallocated } = allocateExchangeRefund(20, tenders);
+        expect(allocations.map((a) => [a.type, a.refund])).toEqual([
+            ['card_terminal', 8],
+            ['cash', 10],
+            ['gift_card', 2]
+        ]);
+        expect(unallocated).toBe(0);
+    });
+
+    it('reports what the original tenders cannot cover', () => {
+        expect(allocateExchangeRefund(30, tenders).unallocated).toBe(2);
+    });
+});
+
+describe('buildExchangeReceiptLines', () => {
+    const exchange = {
+        originalOrderNumber: 'POS-100',
+        returnCredit: 21.6,
+        cashierName: 'Sam Lee',
+        authorizedBy: 'Jo Park',
+        createdAt: '2026-10-19T15:00:00Z',
+        returnedItems: [{ name: 'Chamomile tea', quantity: 2, credit: 21.6, restocked: true }],
+        refunds: [{ type: 'card_terminal', amount: 5.4 }]
+    };
+    const sale = {
+        orderNumber: 'POS-200',
+        receiptSnapshot: {
+            lines: [{ name: 'Peppermint tea', sku: 'TEA-2', quantity: 1, price: 15 }],
+            totals: { subtotal: 15, taxAmount: 1.2, total: 16.2, discountAmount: 0 }
+        },
+        payment: { paymentTenders: [{ type: 'exchange_credit', amount: 16.2 }] }
+    };
+
+    it('prints both sides of the exchange and the refund due on one receipt', () => {
+        const lines = buildExchangeReceiptLines(exchange, sale, { storeName: 'Herb Shop', footerText: 'Thanks!' });
+        expect(lines[0]).toBe('Herb Shop');
+        expect(lines).toContain('RETURNED');
+        expect(lines).toContain('NEW ITEMS');
+        expect(lines.some((l) => l.startsWith('2 x Chamomile tea') && l.endsWith('-$21.60'))).toBe(true);
+        expect(lines.some((l) => l.startsWith('REFUND DUE') && l.endsWith('$5.40'))).toBe(true);
+        expect(lines.some((l) => l.includes('Refund to card'))).toBe(true);
+        expect(lines.every((l) => l.length <= 32)).toBe(true);
+        expect(lines[lines.length - 1]).toBe('Thanks!');
+    });
+
+    it('shows the balance paid when the new items cost more', () => {
+        const lines = buildExchangeReceiptLines(
+            { ...exchange, returnCredit: 10, refunds: [] },
+            {
+                ...sale,
+                payment: {
+                    paymentTenders: [
+                        { type: 'exchange_credit', amount: 10 },
+                        { type: 'cash', amount: 6.2, cashChange: 3.8 }
+                    ]
+                }
+            }
+        );
+        expect(lines.some((l) => l.startsWith('BALANCE DUE') && l.endsWith('$6.20'))).toBe(true);
+        expect(lines.some((l) => l.trim().startsWith('Change') && l.endsWith('$3.80'))).toBe(true);
+    });
+});
@@ -0,0 +1,73 @@
+'use strict';
+
+jest.mock('../services/posStoreOrder', () => ({ loadCatalogLines: jest.fn() }));
+jest.mock('../services/posCartQuote', () => ({ quotePosCart: jest.fn() }));
+
+const {
+    loadParkedSaleSettings,
+    normalizeParkedCart,
+    diffParkedPrices
+} = require('../services/posParkedSales');
+
+describe('loadParkedSaleSettings', () => {
+    it('defaults to 12 hours and caps at a week', () => {
+        expect(loadParkedSaleSettings({})).toEqual({ expiryHours: 12 });
+        expect(loadParkedSaleSettings({ POS_PARKED_SALE_EXPIRY_HOURS: '4' })).toEqual({ expiryHours: 4 });
+        expect(loadParkedSaleSettings({ POS_PARKED_SALE_EXPIRY_HOURS: '900' })).toEqual({ expiryHours: 168 });
+        expect(loadParkedSaleSettings({ POS_PARKED_SALE_EXPIRY_HOURS: 'soon' })).toEqual({ expiryHours: 12 });
+    });
+});
+
+describe('normalizeParkedCart', () => {
+    it('keeps line identity, discounts, customer and tax-exempt flag', () => {
+        const cart = normalizeParkedCart({
+            items: [
+                { product_id: '12', quantity: 2, lineDiscountPercent: 150, unitPrice: '9.999', extra: 'x' },
+                { sku: ' ABC-1 ', variantId: 40, quantity: 1, salespersonEmployeeId: '3' }
+            ],
+            customer_id: 7,
+            customerName: 'Pat Doe',
+            cartDiscountPercent: -5,
+            tax_exempt: 1,
+            label: 'Blue jacket'
+        });
+        expect(cart).toEqual({
+            items: [
+                { productId: 12, variantId: null, sku: null, name: null, quantity: 2, lineDiscountPercent: 100, unitPrice: 10, salespersonEmployeeId: null },
+                { productId: null, variantId: 40, sku: 'ABC-1', name: null, quantity: 1, lineDiscountPercent: 0, unitPrice: null, salespersonEmployeeId: 3 }
+            ],
+            customerId: 7,
+            customerName: 'Pat Doe',
+            cartDiscountPercent: 0,
+            taxExempt: true,
+            note: null,
+            label: 'Blue jacket'
+        });
+    });
+
+    it('rejects empty carts and lines without a quantity or product', () => {
+        expect(() => normalizeParkedCart({ items: [] })).toThrow(expect.objectContaining({ code: 'EMPTY_CART', status: 400 }));
+        expect(() => normalizeParkedCart({ items: [{ sku: 'A', quantity: 0 }] })).toThrow(
+            expect.objectContaining({ code: 'INVALID_LINE_QUANTITY' })
+        );
+        expect(() => normalizeParkedCart({ items: [{ quantity: 1 }] })).toThrow(expect.objectContaining({ code: 'INVALID_LINE' }));
+    });
+});
+
+describe('diffParkedPrices', () => {
+    it('reports only lines whose unit price moved since parking', () => {
+        const parked = [
+            { productId: 1, unitPrice: 10 },
+            { productId: 2, unitPrice: 5 },
+            { productId: 3, unitPrice: null }
+        ];
+        const quoted = [
+            { productId: 1, variantId: null, sku: 'A', name: 'Tea', quantity: 2, unitPrice: 12.5 },
+            { productId: 2, variantId: null, sku: 'B', name: 'Honey', quantity: 1, unitPrice: 5 },
+            { productId: 3, variantId: null, sku: 'C', name: 'Jar', quantity: 1, unitPrice: 3 }
+        ];
+        expect(diffParkedPrices(parked, quoted)).toEqual([
+            { productId: 1, variantId: null, sku: 'A', name: 'Tea', quantity: 2, parkedUnitPrice: 10, unitPrice: 12.5, difference: 2.5 }
+        ]);
+    });
+});
@@ -0,0 +1,105 @@
+'use strict';
+
+jest.mock('../services/finalizePaidOrder', () => ({ recalcUserOrderAggregates: jest.fn() }));
+jest.mock('../services/posCustomerService', () => ({
+    resolveCustomerUser: jest.fn(),
+    saveCustomerReceiptPhone: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    maskEmail,
+    maskPhone,
+    normalizeReceiptEmail,
+    normalizeSmsNumber,
+    buildReceiptEmail,
+    buildReceiptSms
+} = require('../services/posReceiptDelivery');
+const { registerSmsProvider, getSmsProvider, sendSms } = require('../utils/smsTransport');
+
+const view = {
+    receipt: {
+        orderNumber: 'POS-20261019-0007',
+        createdAt: '2026-10-19T15:00:00Z',
+        lines: [
+            { name: 'Elderberry Syrup', sku: 'ELD-8', quantity: 2, price: 12.5 },
+            { name: 'Chamomile <Tea>', quantity: 1, price: 6 }
+        ],
+        totals: { subtotal: 31, taxAmount: 2.17, total: 33.17 },
+        taxExempt: false,
+        tenders: [{ label: 'Card', amount: 33.17, lastFour: '4242' }]
+    },
+    store: { name: 'HM Herbs', returnPolicy: 'Returns within 30 days.', footerText: null }
+};
+
+describe('contact helpers', () => {
+    it('validates and masks addresses', () => {
+        expect(normalizeReceiptEmail('  Jane.Doe@Example.com ')).toBe('jane.doe@example.com');
+        expect(normalizeReceiptEmail('jane@')).toBeNull();
+        expect(maskEmail('jane.doe@example.com')).toBe('j******@example.com');
+        expect(maskEmail('al@example.com')).toBe('a**@example.com');
+    });
+
+    it('turns US numbers into E.164 and masks them', () => {
+        expect(normalizeSmsNumber('(555) 555-0100')).toBe('+15555550100');
+        expect(normalizeSmsNumber('1-555-555-0100')).toBe('+15555550100');
+        expect(normalizeSmsNumber('555-0100')).toBeNull();
+        expect(maskPhone('+15555550100')).toBe('(***) ***-0100');
+    });
+});
+
+describe('receipt messages', () => {
+    it('builds an escaped HTML receipt with the online link', () => {
+        const mail = buildReceiptEmail(view, { receiptUrl: 'https://shop.example/receipt.html?t=abc', firstName: 'Jane' });
+        expect(mail.subject).toBe('Your receipt from HM Herbs — $33.17');
+        expect(mail.html).toContain('Hi Jane,');
+        expect(mail.html).toContain('Chamomile &lt;Tea&gt;');
+        expect(mail.html).toContain('ending 4242');
+        expect(mail.html).toContain('https://shop.example/receipt.html?t=abc');
+        expect(mail.html).toContain('Returns within 30 days.');
+        expect(mail.text).toContain('Elderberry Syrup x2  $25.00');
+    });
+
+    it('keeps the text receipt short', () => {
+        expect(buildReceiptSms(view, { receiptUrl: 'https://s.example/r' })).toBe(
+            'HM Herbs: thanks for your purchase! Receipt POS-20261019-0007, 3 items, $33.17. View it here: https://s.example/r'
+        );
+        expect(buildReceiptSms(view)).not.toContain('View it here');
+    });
+});
+
+describe('smsTransport', () => {
+    const saved = { ...process.env };
+    afterEach(() => {
+        process.env = { ...saved };
+    });
+
+    it('logs messages to a file outside production', async () => {
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'sms-')), 'outbox.log');
+        delete process.env.SMS_PROVIDER;
+        process.env.NODE_ENV = 'test';
+        process.env.SMS_LOG_FILE = file;
+        const result = await sendSms({ to: '+15555550100', body: 'Hello' });
+        expect(result).toMatchObject({ sent: true, provider: 'log' });
+        expect(JSON.parse(fs.readFileSync(file, 'utf8').trim())).toMatchObject({ to: '+15555550100', body: 'Hello' });
+    });
+
+    it('is off in production until a provider is chosen, and uses registered providers', async () => {
+        delete process.env.SMS_PROVIDER;
+        process.env.NODE_ENV = 'production';
+        expect(getSmsProvider()).toBeNull();
+        expect(await sendSms({ to: '+15555550100', body: 'x' })).toMatchObject({ sent: false });
+
+        const send = jest.fn().mockResolvedValue({ id: 'm1' });
+        registerSmsProvider('fake', () => ({ name: 'fake', send }));
+        process.env.SMS_PROVIDER = 'fake';
+        expect(await sendSms({ to: '+15555550100', body: 'x' })).toEqual({ sent: true, provider: 'fake', id: 'm1' });
+        expect(send).toHaveBeenCalledWith({ to: '+15555550100', body: 'x' });
+
+        process.env.SMS_PROVIDER = 'twilio';
+        delete process.env.TWILIO_ACCOUNT_SID;
+        expect(getSmsProvider()).toBeNull();
+    });
+});
@@ -0,0 +1,175 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+const {
+    formatSseEvent,
+    parseEventId,
+    publishRegisterEvent,
+    notifyCatalogChanged,
+    notifyLicenseState,
+    openRegisterEventStream,
+    disconnectRegisterStreams,
+    countOpenStreams
+} = require('../services/posRegisterEvents');
+
+/** In-memory pos_register_events for the handful of statements the service runs. */
+function fakePool(initial = []) {
+    const rows = initial.map((r) => ({ ...r }));
+    let nextId = rows.length ? Math.max(...rows.map((r) => r.id)) + 1 : 1;
+    return {
+        rows,
+        async execute(sql, params = []) {
+            if (/^INSERT INTO pos_register_events/.test(sql)) {
+                const [event_type, device_id, payload] = params;
+                rows.push({ id: nextId, event_type, device_id, payload });
+                return [{ insertId: nextId++ }];
+            }
+            if (/MAX\(id\)/.test(sql)) return [[{ latest: rows.length ? Math.max(...rows.map((r) => r.id)) : null }]];
+            if (/MIN\(id\)/.test(sql)) return [[{ oldest: rows.length ? Math.min(...rows.map((r) => r.id)) : null }]];
+            if (/WHERE id > \?/.test(sql)) {
+                const [after, through, device] = params;
+                return [rows.filter((r) => r.id > after && r.id <= through && (r.device_id == null || r.device_id === device))];
+            }
+            if (/event_type = 'license.state'/.test(sql)) {
+                return [rows.filter((r) => r.event_type === 'license.state').slice(-1)];
+            }
+            return [[]];
+        }
+    };
+}
+
+function openStream(pool, { deviceRecordId = 1, lastEventId } = {}) {
+    const req = new EventEmitter();
+    Object.assign(req, {
+        pool,
+        posDeviceId: `register-${deviceRecordId}`,
+        posDeviceRecordId: deviceRecordId,
+        query: {},
+        get: (name) => (name === 'last-event-id' ? lastEventId : undefined),
+        setTimeout: jest.fn()
+    });
+    const res = {
+        chunks: [],
+        headers: {},
+        writableEnded: false,
+        status: jest.fn(),
+        setHeader(name, value) {
+            this.headers[name] = value;
+        },
+        write(chunk) {
+            this.chunks.push(chunk);
+        },
+        end() {
+            this.writableEnded = true;
+        },
+        text() {
+            return this.chunks.join('');
+        }
+    };
+    return { req, res, done: openRegisterEventStream(req, res) };
+}
+
+afterEach(() => {
+    for (let id = 1; id <= 3; id += 1) disconnectRegisterStreams(id);
+});
+
+describe('SSE framing', () => {
+    it('writes id, event and JSON data lines', () => {
+        expect(formatSseEvent({ id: 7, type: 'catalog.changed', data: { productIds: [1] } })).toBe(
+            'id: 7\nevent: catalog.changed\ndata: {"productIds":[1]}\n\n'
+        );
+        expect(formatSseEvent({ type: 'resync', data: {} })).toBe('event: resync\ndata: {}\n\n');
+    });
+
+    it('accepts only whole-number event ids', () => {
+        expect(parseEventId('42')).toBe(42);
+        expect(parseEventId(' 0 ')).toBe(0);
+        expect(parseEventId('')).toBeNull();
+        expect(parseEventId('4e2')).toBeNull();
+        expect(parseEventId(undefined)).toBeNull();
+    });
+});
+
+describe('register event stream', () => {
+    it('pushes live events to the targeted register only', async () => {
+        const pool = fakePool();
+        const a = openStream(pool, { deviceRecordId: 1 });
+        const b = openStream(pool, { deviceRecordId: 2 });
+        await Promise.all([a.done, b.done]);
+        expect(a.res.headers['Content-Type']).toBe('text/event-stream');
+        expect(countOpenStreams()).toBe(2);
+
+        await notifyCatalogChanged(pool, ['5', 5, 9], 'updated');
+        await publishRegisterEvent(pool, 'support.requested', { sessionId: 3 }, { deviceRecordId: 2 });
+
+        expect(a.res.text()).toContain('event: catalog.changed\ndata: {"productIds":[5,9],"reason":"updated"');
+        expect(a.res.text()).not.toContain('event: support.requested');
+        expect(b.res.text()).toContain('id: 2\nevent: support.requested');
+
+        b.req.emit('close');
+        expect(countOpenStreams()).toBe(1);
+    });
+
+    it('replays missed events after Last-Event-ID, then marks the stream ready', async () => {
+        const pool = fakePool([
+            { id: 1, event_type: 'settings.changed', device_id: null, payload: '{"section":"pos"}' },
+            { id: 2, event_type: 'display.updated', device_id: null, payload: '{"reason":"ad_created"}' },
+            { id: 3, event_type: 'support.requested', device_id: 2, payload: '{"sessionId":1}' }
+        ]);
+        const { res, done } = openStream(pool, { deviceRecordId: 1, lastEventId: '1' });
+        await done;
+        const text = res.text();
+        expect(text).not.toContain('event: settings.changed');
+        expect(text).toContain('id: 2\nevent: display.updated');
+        expect(text).not.toContain('event: support.requested');
+        expect(text.indexOf('event: display.updated')).toBeLessThan(text.indexOf('event: ready'));
+        expect(text).toContain('id: 3\nevent: ready');
+    });
+
+    it('delivers events published while a fresh stream is still connecting', async () => {
+        const pool = fakePool();
+        const execute = pool.execute;
+        let published = false;
+        pool.execute = async (sql, params) => {
+            if (/MAX\(id\)/.test(sql) && !published) {
+                published = true;
+                await publishRegisterEvent(pool, 'support.requested', { sessionId: 4 }, { deviceRecordId: 1 });
+            }
+            return execute(sql, params);
+        };
+        const { res, done } = openStream(pool, { deviceRecordId: 1 });
+        await done;
+        const text = res.text();
+        expect(text).toContain('id: 1\nevent: support.requested');
+        expect(text.indexOf('event: ready')).toBeLessThan(text.indexOf('event: support.requested'));
+    });
+
+    it('asks for a full resync when the cursor predates the retained log', async () => {
+        const pool = fakePool([{ id: 40, event_type: 'settings.changed', device_id: null, payload: '{}' }]);
+        const { res, done } = openStream(pool, { lastEventId: '12' });
+        await done;
+        expect(res.text()).toContain('event: resync');
+        expect(res.text()).not.toContain('event: settings.changed');
+    });
+
+    it('ends the streams of a revoked register', async () => {
+        const pool = fakePool();
+        const { res, done } = openStream(pool, { deviceRecordId: 3 });
+        await done;
+        expect(disconnectRegisterStreams(3)).toBe(1);
+        expect(res.writableEnded).toBe(true);
+        expect(countOpenStreams()).toBe(0);
+    });
+});
+
+describe('license.state', () => {
+    it('publishes only when the register-facing summary changes', async () => {
+        const pool = fakePool();
+        const license = { status: 'active', writable: true, inGracePeriod: false, warningMessage: null };
+        expect(await notifyLicenseState(pool, license)).toMatchObject({ type: 'license.state' });
+        expect(await notifyLicenseState(pool, { ...license, monthlyFormatted: '$59.00' })).toBeNull();
+        const pastDue = { ...license, status: 'past_due', inGracePeriod: true, warningMessage: 'Payment is past due.' };
+        expect((await notifyLicenseState(pool, pastDue)).data).toMatchObject({ status: 'past_due', writable: true });
+        expect(pool.rows.filter((r) => r.event_type === 'license.state')).toHaveLength(2);
+    });
+});
@@ -0,0 +1,83 @@
+'use strict';
+
+const { shiftWindow, findShiftConflicts, minutesByStoreHour, buildCoverageGrid } = require('../services/posScheduling');
+
+// Week of Sunday 2026-10-11; the store is on Eastern daylight time (UTC-4).
+
+describe('shiftWindow', () => {
+    it('converts store wall clock to UTC and runs an early end into the next day', () => {
+        expect(shiftWindow('2026-10-12', '09:00', '17:30')).toEqual({
+            startsAt: new Date('2026-10-12T13:00:00Z'),
+            endsAt: new Date('2026-10-12T21:30:00Z')
+        });
+        expect(shiftWindow('2026-10-12', '22:00', '02:00').endsAt).toEqual(new Date('2026-10-13T06:00:00Z'));
+    });
+
+    it('rejects missing times and shifts over 16 hours', () => {
+        expect(() => shiftWindow('2026-10-12', '', '17:00')).toThrow(expect.objectContaining({ status: 400 }));
+        expect(() => shiftWindow('2026-10-12', '06:00', '23:00')).toThrow('longer than 16 hours');
+    });
+});
+
+describe('findShiftConflicts', () => {
+    const shift = { id: 1, employeeId: 3, startsAt: '2026-10-12T13:00:00Z', endsAt: '2026-10-12T21:00:00Z' };
+
+    it('reports overlapping shifts and pending or approved time off for the same employee only', () => {
+        const conflicts = findShiftConflicts(shift, {
+            shifts: [
+                shift,
+                { id: 2, employeeId: 3, startsAt: '2026-10-12T20:00:00Z', endsAt: '2026-10-13T01:00:00Z' },
+                { id: 3, employeeId: 3, startsAt: '2026-10-12T21:00:00Z', endsAt: '2026-10-13T01:00:00Z' },
+                { id: 4, employeeId: 9, startsAt: '2026-10-12T13:00:00Z', endsAt: '2026-10-12T21:00:00Z' }
+            ],
+            timeOff: [
+                { id: 5, employeeId: 3, status: 'pending', startsAt: '2026-10-12T04:00:00Z', endsAt: '2026-10-13T04:00:00Z' },
+                { id: 6, employeeId: 3, status: 'denied', startsAt: '2026-10-12T04:00:00Z', endsAt: '2026-10-13T04:00:00Z' },
+                { id: 7, employeeId: 9, status: 'approved', startsAt: '2026-10-12T04:00:00Z', endsAt: '2026-10-13T04:00:00Z' }
+            ]
+        });
+        expect(conflicts).toEqual([
+            { type: 'overlap', shiftId: 2 },
+            { type: 'time_off', timeOffId: 5, status: 'pending' }
+        ]);
+    });
+});
+
+describe('minutesByStoreHour', () => {
+    it('splits a shift into store-local hour buckets', () => {
+        const buckets = minutesByStoreHour(Date.parse('2026-10-12T13:30:00Z'), Date.parse('2026-10-12T15:15:00Z'));
+        expect([...buckets]).toEqual([
+            ['2026-10-12T09', 30],
+            ['2026-10-12T10', 60],
+            ['2026-10-12T11', 15]
+        ]);
+    });
+});
+
+describe('buildCoverageGrid', () => {
+    it('overlays scheduled labor and cost on hourly sales and the typical sales of past weeks', () => {
+        const grid = buildCoverageGrid({
+            weekStart: '2026-10-11',
+            shifts: [
+                { employeeId: 1, startsAt: '2026-10-12T13:00:00Z', endsAt: '2026-10-12T15:00:00Z' },
+                { employeeId: 2, startsAt: '2026-10-12T14:00:00Z', endsAt: '2026-10-12T15:00:00Z' }
+            ],
+            rates: new Map([[1, 20]]),
+            sales: [
+                { createdAt: '2026-10-12T14:10:00Z', total: '30.00' },
+                { createdAt: '2026-10-12T14:50:00Z', total: 10 },
+                { createdAt: '2026-10-19T14:00:00Z', total: 99 }
+            ],
+            pastSales: [
+                { createdAt: '2026-10-05T14:20:00Z', total: 40 },
+                { createdAt: '2026-09-28T14:20:00Z', total: 40 }
+            ],
+            pastWeeks: 4
+        });
+        const monday = grid.days[1];
+        expect(monday.date).toBe('2026-10-12');
+        expect(monday.hours[9]).toEqual({ hour: 9, scheduledHours: 1, laborCost: 20, sales: 0, orders: 0, typicalSales: 0 });
+        expect(monday.hours[10]).toEqual({ hour: 10, scheduledHours: 2, laborCost: 20, sales: 40, orders: 2, typicalSales: 20 });
+        expect(grid.totals).toEqual({ scheduledHours: 3, laborCost: 40, sales: 40, typicalSales: 20, laborPercent: 100 });
+    });
+});
@@ -0,0 +1,57 @@
+'use strict';
+
+jest.mock('../services/posCustomerService', () => ({ resolveCustomerUser: jest.fn() }));
+jest.mock('../services/posPersonnel', () => ({ verifyRefundPin: jest.fn(), getOpenShiftSession: jest.fn() }));
+
+const { normalizeSpecialOrderInput, allocateReceivedQuantity } = require('../services/posSpecialOrders');
+
+describe('normalizeSpecialOrderInput', () => {
+    it('accepts camelCase and snake_case fields and rounds money', () => {
+        const input = normalizeSpecialOrderInput({
+            customer_email: ' pat@example.com ',
+            customerName: 'Pat Doe',
+            description: ' Elderberry syrup 32oz ',
+            quantity: 2,
+            deposit_amount: '10.005',
+            quotedUnitPrice: '24.5',
+            vendor_id: '3'
+        });
+        expect(input).toMatchObject({
+            customerEmail: 'pat@example.com',
+            customerName: 'Pat Doe',
+            description: 'Elderberry syrup 32oz',
+            quantity: 2,
+            depositAmount: 10.01,
+            quotedUnitPrice: 24.5,
+            vendorId: 3,
+            productId: null
+        });
+    });
+
+    it('rejects missing deposits, bad quantities and unidentified items', () => {
+        expect(() => normalizeSpecialOrderInput({ description: 'Tea', depositAmount: 0 })).toThrow(/deposit/);
+        expect(() => normalizeSpecialOrderInput({ description: 'Tea', depositAmount: 5, quantity: 1.5 })).toThrow(/Quantity/);
+        expect(() => normalizeSpecialOrderInput({ depositAmount: 5 })).toThrow(/Describe the item/);
+        expect(() =>
+            normalizeSpecialOrderInput({ sku: 'X', depositAmount: 5, customerEmail: 'not-an-email' })
+        ).toThrow(/valid customer email/);
+    });
+});
+
+describe('allocateReceivedQuantity', () => {
+    const orders = [
+        { id: 9, quantity: 1 },
+        { id: 4, quantity: 2 },
+        { id: 12, quantity: 1 }
+    ];
+
+    it('covers the oldest special orders first with whole quantities', () => {
+        expect(allocateReceivedQuantity(3, orders)).toEqual([4, 9]);
+        expect(allocateReceivedQuantity(4, orders)).toEqual([4, 9, 12]);
+    });
+
+    it('stops at the first order the received quantity cannot fill', () => {
+        expect(allocateReceivedQuantity(1, orders)).toEqual([]);
+        expect(allocateReceivedQuantity(0, orders)).toEqual([]);
+    });
+});
@@ -0,0 +1,146 @@
+'use strict';
+
+const {
+    DEFAULT_SETTINGS,
+    normalizeTimesheetSettings,
+    weekStartYmd,
+    computeEmployeeTimesheet,
+    assertPayrollReady,
+    timesheetPayrollCsv
+} = require('../services/posTimesheets');
+
+// Week of Sunday 2026-10-11; the store is on Eastern daylight time (UTC-4).
+const NOW = Date.parse('2026-10-17T20:00:00Z');
+const WEEKDAYS = ['2026-10-12', '2026-10-13', '2026-10-14', '2026-10-15', '2026-10-16'];
+
+function nineToSix(date, id) {
+    return { id, clockIn: `${date}T13:00:00Z`, clockOut: `${date}T22:00:00Z` };
+}
+
+describe('normalizeTimesheetSettings', () => {
+    it('falls back to defaults and clamps out-of-range values', () => {
+        expect(normalizeTimesheetSettings({})).toEqual(DEFAULT_SETTINGS);
+        expect(normalizeTimesheetSettings({ overtimeMultiplier: '9', breakMinutes: '-5', weekStartDay: '1', dailyOvertimeHours: 'x' })).toEqual(
+            expect.objectContaining({ overtimeMultiplier: 3, breakMinutes: 0, weekStartDay: 1, dailyOvertimeHours: 0 })
+        );
+    });
+});
+
+describe('weekStartYmd', () => {
+    it('walks back to the configured first day of the week', () => {
+        expect(weekStartYmd('2026-10-15', 0)).toBe('2026-10-11');
+        expect(weekStartYmd('2026-10-15', 1)).toBe('2026-10-12');
+        expect(weekStartYmd('2026-10-11', 1)).toBe('2026-10-05');
+    });
+});
+
+describe('computeEmployeeTimesheet', () => {
+    const entries = WEEKDAYS.map((d, i) => nineToSix(d, i + 1));
+
+    it('deducts unpaid breaks and pays weekly overtime on the hours past the threshold', () => {
+        const sheet = computeEmployeeTimesheet(entries, DEFAULT_SETTINGS, { from: '2026-10-11', to: '2026-10-17', now: NOW });
+        expect(sheet).toEqual(
+            expect.objectContaining({ workedMinutes: 2550, breakMinutes: 150, regularMinutes: 2400, overtimeMinutes: 150, blocking: false })
+        );
+        expect(sheet.days[4]).toEqual(expect.objectContaining({ date: '2026-10-16', regularMinutes: 360, overtimeMinutes: 150 }));
+        expect(sheet.entries[0]).toEqual(expect.objectContaining({ workDate: '2026-10-12', clockInLocal: '2026-10-12T09:00', paidMinutes: 510, flags: [] }));
+    });
+
+    it('does not count daily overtime toward the weekly threshold', () => {
+        const settings = { ...DEFAULT_SETTINGS, dailyOvertimeHours: 8 };
+        const sheet = computeEmployeeTimesheet(entries, settings, { from: '2026-10-11', to: '2026-10-17', now: NOW });
+        expect(sheet.regularMinutes).toBe(2400);
+        expect(sheet.overtimeMinutes).toBe(150);
+        expect(sheet.days.every((d) => d.overtimeMinutes === 30)).toBe(true);
+    });
+
+    it('counts earlier days of the week when the pay period starts mid-week', () => {
+        const sheet = computeEmployeeTimesheet(entries, DEFAULT_SETTINGS, { from: '2026-10-15', to: '2026-10-17', now: NOW });
+        expect(sheet.entries.map((e) => e.id)).toEqual([4, 5]);
+        expect(sheet.regularMinutes).toBe(870);
+        expect(sheet.overtimeMinutes).toBe(150);
+    });
+
+    it('flags missing clock-outs, overlaps, long shifts and scheduled shifts without punches', () => {
+        const sheet = computeEmployeeTimesheet(
+            [
+                { id: 1, clockIn: '2026-10-13T13:00:00Z', clockOut: null },
+                { id: 2, clockIn: '2026-10-14T12:00:00Z', clockOut: '2026-10-15T03:00:00Z', editCount: 2 },
+                { id: 3, clockIn: '2026-10-17T14:00:00Z', clockOut: null }
+            ],
+            DEFAULT_SETTINGS,
+            {
+                from: '2026-10-11',
+                to: '2026-10-17',
+                now: NOW,
+                scheduledShifts: [
+                    { id: 7, startsAt: '2026-10-16T13:00:00Z', endsAt: '2026-10-16T21:00:00Z' },
+                    { id: 8, startsAt: '2026-10-14T13:00:00Z', endsAt: '2026-10-14T21:00:00Z' }
+                ]
+            }
+        );
+        expect(sheet.entries.map((e) => e.flags)).toEqual([
+            ['missing_clock_out', 'overlap'],
+            ['long_shift', 'overlap', 'edited'],
+            ['open']
+        ]);
+        expect(sheet.blocking).toBe(true);
+        expect(sheet.openEntries).toBe(1);
+        expect(sheet.missingClockIns.map((s) => s.scheduledShiftId)).toEqual([7]);
+        expect(sheet.workedMinutes).toBe(870);
+    });
+});
+
+describe('payroll export', () => {
+    const report = {
+        from: '2026-10-11',
+        to: '2026-10-24',
+        settings: DEFAULT_SETTINGS,
+        employees: [
+            {
+                employeeId: 1,
+                employeeCode: 'E1',
+                firstName: 'Ana',
+                lastName: 'Ruiz',
+                name: 'Ana Ruiz',
+                workedMinutes: 2550,
+                regularMinutes: 2400,
+                overtimeMinutes: 150,
+                hourlyRate: 15,
+                regularPay: 600,
+                overtimePay: 56.25,
+                approval: { current: true }
+            },
+            {
+                employeeId: 2,
+                employeeCode: 'E2',
+                firstName: 'Bo',
+                lastName: 'Li',
+                name: 'Bo Li',
+                workedMinutes: 90,
+                regularMinutes: 90,
+                overtimeMinutes: 0,
+                hourlyRate: null,
+                regularPay: null,
+                overtimePay: null,
+                approval: null
+            }
+        ]
+    };
+
+    it('writes one row per employee and earning code', () => {
+        expect(timesheetPayrollCsv(report).trim().split('\n')).toEqual([
+            'Employee ID,Last name,First name,Period start,Period end,Earning code,Hours,Rate,Amount',
+            'E1,Ruiz,Ana,2026-10-11,2026-10-24,REG,40.00,15.00,600.00',
+            'E1,Ruiz,Ana,2026-10-11,2026-10-24,OT,2.50,22.50,56.25',
+            'E2,Li,Bo,2026-10-11,2026-10-24,REG,1.50,,'
+        ]);
+    });
+
+    it('refuses payroll until every timesheet with hours is approved', () => {
+        expect(() => assertPayrollReady(report)).toThrow(
+            expect.objectContaining({ status: 409, code: 'TIMESHEETS_NOT_APPROVED', employees: [2] })
+        );
+        expect(() => assertPayrollReady({ ...report, employees: report.employees.slice(0, 1) })).not.toThrow();
+    });
+});
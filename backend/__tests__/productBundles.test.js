@@ -0,0 +1,84 @@
+'use strict';
+
+const {
+    bundleAvailableQuantity,
+    bundleComputedPrice,
+    bundleComputedCost,
+    normalizeComponentInput,
+    expandBundleItems
+} = require('../services/productBundles');
+
+const component = (overrides) => ({ quantity: 1, tracked: true, active: true, stock: 10, price: 10, cost: 4, ...overrides });
+
+describe('bundleAvailableQuantity', () => {
+    it('is the number of complete kits the scarcest component allows', () => {
+        expect(bundleAvailableQuantity([component({ stock: 9, quantity: 2 }), component({ stock: 7 })])).toBe(4);
+        expect(bundleAvailableQuantity([component({ stock: 1, quantity: 2 }), component()])).toBe(0);
+    });
+
+    it('ignores untracked components and zeroes out inactive ones', () => {
+        expect(bundleAvailableQuantity([component({ tracked: false, stock: 0 }), component({ stock: 3 })])).toBe(3);
+        expect(bundleAvailableQuantity([component({ tracked: false })])).toBeNull();
+        expect(bundleAvailableQuantity([component({ active: false })])).toBe(0);
+        expect(bundleAvailableQuantity([])).toBe(0);
+    });
+});
+
+describe('bundle pricing', () => {
+    it('sums component prices less the bundle discount', () => {
+        const components = [component({ price: 19.99, quantity: 2 }), component({ price: 12.5 })];
+        expect(bundleComputedPrice(components)).toBe(52.48);
+        expect(bundleComputedPrice(components, 10)).toBe(47.23);
+        expect(bundleComputedCost(components)).toBe(12);
+        expect(bundleComputedCost([component({ cost: null })])).toBeNull();
+    });
+});
+
+describe('normalizeComponentInput', () => {
+    it('merges duplicate components and rejects self-reference and bad quantities', () => {
+        expect(normalizeComponentInput(5, [
+            { productId: 1, quantity: 1 },
+            { productId: '1', quantity: '2' },
+            { product_id: 2, variant_id: 8, quantity: 1 }
+        ])).toEqual([
+            { productId: 1, variantId: null, quantity: 3 },
+            { productId: 2, variantId: 8, quantity: 1 }
+        ]);
+        expect(() => normalizeComponentInput(5, [])).toThrow(expect.objectContaining({ code: 'BUNDLE_EMPTY' }));
+        expect(() => normalizeComponentInput(5, [{ productId: 5, quantity: 1 }])).toThrow(/itself/);
+        expect(() => normalizeComponentInput(5, [{ productId: 1, quantity: 0 }])).toThrow(
+            expect.objectContaining({ status: 400, code: 'INVALID_COMPONENT' })
+        );
+    });
+});
+
+describe('expandBundleItems', () => {
+    it('replaces bundle lines with their components times the kits sold', async () => {
+        const db = {
+            query: jest.fn(async (sql) => {
+                if (/FROM products WHERE is_bundle = 1/.test(sql)) {
+                    return [[{ id: 10, sku: 'KIT-1', allow_backorder: 0 }]];
+                }
+                return [[
+                    { bundle_product_id: 10, component_product_id: 1, component_variant_id: null, quantity: 2, track_inventory: 1, is_active: 1, inventory_quantity: 5, price: 3 },
+                    { bundle_product_id: 10, component_product_id: 2, component_variant_id: 7, quantity: 1, track_inventory: 1, is_active: 1, variant_is_active: 1, variant_inventory: 4, variant_price: 6 }
+                ]];
+            })
+        };
+        const items = await expandBundleItems(db, [
+            { productId: 10, variantId: null, quantity: 3 },
+            { productId: 4, variantId: null, quantity: 1 }
+        ]);
+        expect(items).toEqual([
+            expect.objectContaining({ productId: 1, variantId: null, quantity: 6, bundleSku: 'KIT-1', allowOversell: false }),
+            expect.objectContaining({ productId: 2, variantId: 7, quantity: 3, bundleProductId: 10 }),
+            { productId: 4, variantId: null, quantity: 1 }
+        ]);
+    });
+
+    it('passes lines through when the bundle tables are missing', async () => {
+        const db = { query: jest.fn().mockRejectedValue(Object.assign(new Error('no table'), { code: 'ER_BAD_FIELD_ERROR' })) };
+        const items = [{ productId: 4, variantId: null, quantity: 1 }];
+        expect(await expandBundleItems(db, items)).toBe(items);
+    });
+});
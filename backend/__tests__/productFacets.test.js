@@ -0,0 +1,81 @@
+'use strict';
+
+const { parseListingFilters, buildFacetConditions, loadFacetCounts } = require('../services/productFacets');
+
+describe('parseListingFilters', () => {
+    it('accepts repeated and comma-separated values and drops unknown price buckets', () => {
+        const filters = parseListingFilters({
+            brand: ['NOW-Foods', 'jarrow,now-foods'],
+            price: '10-25,cheap',
+            inStock: '1',
+            cbd: '1,2',
+            minRating: '9'
+        });
+        expect(filters.brand).toEqual(['now-foods', 'jarrow']);
+        expect(filters.price).toEqual(['10-25']);
+        expect(filters.inStock).toBe(true);
+        expect(filters.cbd).toEqual(['1']);
+        expect(filters.coa).toBe(false);
+        expect(filters.minRating).toBe(5);
+    });
+});
+
+describe('buildFacetConditions', () => {
+    it('ORs values within a facet and tags each fragment with its facet key', () => {
+        const conditions = buildFacetConditions(
+            parseListingFilters({ category: 'vitamins,herbs', price: 'under-10,100-plus', coa: 'true' })
+        );
+        expect(conditions.map((c) => c.key)).toEqual(['category', 'price', 'coa']);
+        expect(conditions[0]).toEqual({ key: 'category', sql: 'pc.slug IN (?, ?)', params: ['vitamins', 'herbs'] });
+        expect(conditions[1].sql).toBe('((p.price < 10) OR (p.price >= 100))');
+    });
+
+    it('treats identical category and healthCategory lists as either taxonomy', () => {
+        const [condition] = buildFacetConditions(parseListingFilters({ category: 'sleep', healthCategory: 'sleep' }));
+        expect(condition.key).toBe('taxonomy');
+        expect(condition.sql).toBe('(pc.slug IN (?) OR hc.slug IN (?))');
+        expect(condition.params).toEqual(['sleep', 'sleep']);
+    });
+
+    it('keeps partial matching for a single legacy brand only', () => {
+        const [single] = buildFacetConditions(parseListingFilters({ brand: 'Now Foods' }));
+        expect(single.params).toContain('%nowfoods%');
+        const [multi] = buildFacetConditions(parseListingFilters({ brand: 'now-foods,jarrow' }));
+        expect(multi.params.some((p) => String(p).includes('%'))).toBe(false);
+    });
+});
+
+describe('loadFacetCounts', () => {
+    it('leaves a facet\'s own selection out of its counts', async () => {
+        const calls = [];
+        const pool = {
+            query: jest.fn(async (sql, params) => {
+                calls.push({ sql, params });
+                if (/GROUP BY b\.id/.test(sql)) {
+                    return [[{ value: 'jarrow', label: 'Jarrow', count: 3 }, { value: 'now-foods', label: 'NOW Foods', count: 7 }]];
+                }
+                if (/GROUP BY/.test(sql)) return [[]];
+                return [[{ f0_0: 2, f0_1: 5 }]];
+            })
+        };
+        const filters = parseListingFilters({ brand: 'jarrow,now-foods', inStock: '1' });
+        const facets = await loadFacetCounts(pool, {
+            baseConditions: ['p.is_active = 1'],
+            baseParams: [],
+            facetConditions: buildFacetConditions(filters),
+            filters
+        });
+
+        const brandCall = calls.find((c) => /GROUP BY b\.id/.test(c.sql));
+        expect(brandCall.sql).not.toMatch(/LOWER\(b\.slug\)/);
+        expect(brandCall.sql).toMatch(/p\.inventory_quantity > 0/);
+        expect(facets.brand).toEqual([
+            { value: 'jarrow', label: 'Jarrow', count: 3, selected: true },
+            { value: 'now-foods', label: 'NOW Foods', count: 7, selected: true }
+        ]);
+        expect(facets.inStock[0]).toMatchObject({ value: '1', selected: true });
+        expect(Object.keys(facets).sort()).toEqual(
+            ['brand', 'category', 'cbd', 'coa', 'healthCategory', 'inStock', 'price', 'rating'].sort()
+        );
+    });
+});
@@ -0,0 +1,47 @@
+'use strict';
+
+const {
+    normalizeReviewInput,
+    summarizeRatingRows,
+    reviewerDisplayName
+} = require('../services/productReviews');
+
+describe('normalizeReviewInput', () => {
+    it('accepts a rating with optional title and text', () => {
+        expect(normalizeReviewInput({ rating: '4', title: '  Great  ', text: ' Works well ' })).toEqual({
+            rating: 4,
+            title: 'Great',
+            text: 'Works well'
+        });
+    });
+
+    it('rejects ratings outside 1-5', () => {
+        expect(() => normalizeReviewInput({ rating: 0 })).toThrow(expect.objectContaining({ status: 400, code: 'INVALID_RATING' }));
+        expect(() => normalizeReviewInput({ rating: 6 })).toThrow(expect.objectContaining({ code: 'INVALID_RATING' }));
+    });
+
+    it('rejects overly long review text', () => {
+        expect(() => normalizeReviewInput({ rating: 5, text: 'x'.repeat(5001) }))
+            .toThrow(expect.objectContaining({ code: 'REVIEW_TOO_LONG' }));
+    });
+});
+
+describe('summarizeRatingRows', () => {
+    it('computes average, count and distribution from grouped rows', () => {
+        expect(summarizeRatingRows([{ rating: 5, c: 3 }, { rating: 4, c: 1 }, { rating: 2, c: '1' }])).toEqual({
+            average: 4.2,
+            count: 5,
+            distribution: { 1: 0, 2: 1, 3: 0, 4: 1, 5: 3 }
+        });
+    });
+
+    it('returns zeros when there are no reviews', () => {
+        expect(summarizeRatingRows([])).toMatchObject({ average: 0, count: 0 });
+    });
+});
+
+describe('reviewerDisplayName', () => {
+    it('shows first name and last initial', () => {
+        expect(reviewerDisplayName({ first_name: 'Jane', last_name: 'Doe' })).toBe('Jane D.');
+    });
+});
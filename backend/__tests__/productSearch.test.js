@@ -0,0 +1,112 @@
+'use strict';
+
+const {
+    tokenize,
+    stem,
+    editDistance,
+    parseSynonymTerms,
+    buildIndex,
+    searchIndex
+} = require('../services/productSearch');
+
+const ROWS = [
+    {
+        id: 1,
+        name: 'Ashwagandha Root 500mg',
+        brand_name: 'Herb Pharm',
+        sku: 'HP-ASH-500',
+        ingredients: 'ashwagandha root extract',
+        short_description: 'Adaptogen for stress support'
+    },
+    {
+        id: 2,
+        name: 'Vitamin D3 5000 IU',
+        brand_name: 'NOW Foods',
+        sku: 'NOW-D3-5K',
+        short_description: 'Sunshine vitamin softgels'
+    },
+    {
+        id: 3,
+        name: 'Methylcobalamin Lozenges',
+        brand_name: 'Jarrow',
+        sku: 'JAR-MB12',
+        ingredients: 'methylcobalamin, mannitol'
+    },
+    {
+        id: 4,
+        name: 'Vitamin C Buffered',
+        brand_name: 'NOW Foods',
+        sku: 'NOW-C-1000',
+        long_description: '<p>Gentle vitamin C with calcium ascorbate.</p>'
+    },
+    {
+        id: 5,
+        name: 'Stress Relief Tea',
+        brand_name: 'Traditional Medicinals',
+        sku: 'TM-STRESS',
+        ingredients: 'chamomile, ashwagandha, lemon balm'
+    }
+];
+
+const SYNONYMS = [['b12', 'cobalamin', 'methylcobalamin']];
+
+function idsFor(query) {
+    return searchIndex(buildIndex(ROWS, SYNONYMS), query).ids;
+}
+
+describe('tokenize / stem', () => {
+    it('lowercases and strips markup, entities and accents', () => {
+        expect(tokenize('<b>Café</b> Échinacea &amp; Goldenseal')).toEqual(['cafe', 'echinacea', 'goldenseal']);
+    });
+
+    it('folds simple plurals', () => {
+        expect(stem('capsules')).toBe(stem('capsule'));
+        expect(stem('berries')).toBe(stem('berry'));
+    });
+});
+
+describe('editDistance', () => {
+    it('counts a transposition as one edit', () => {
+        expect(editDistance('vitmain', 'vitamin')).toBe(1);
+        expect(editDistance('ashwaganda', 'ashwagandha')).toBe(1);
+    });
+
+    it('stops early once the bound is exceeded', () => {
+        expect(editDistance('turmeric', 'magnesium', 2)).toBeGreaterThan(2);
+    });
+});
+
+describe('parseSynonymTerms', () => {
+    it('normalizes and de-duplicates comma separated phrases', () => {
+        expect(parseSynonymTerms('B12, cobalamin ,  b12\nVitamin B-12')).toEqual(['b12', 'cobalamin', 'vitamin b 12']);
+    });
+});
+
+describe('searchIndex', () => {
+    it('ranks a name match above an ingredient-only match', () => {
+        expect(idsFor('ashwagandha')).toEqual([1, 5]);
+    });
+
+    it('tolerates typos', () => {
+        expect(idsFor('ashwaganda')[0]).toBe(1);
+        expect(idsFor('vitamn c')[0]).toBe(4);
+    });
+
+    it('expands synonym groups', () => {
+        expect(idsFor('b12')).toEqual([3]);
+        expect(idsFor('cobalamin')).toEqual([3]);
+    });
+
+    it('matches joined potency forms and exact SKUs', () => {
+        expect(idsFor('d3 5000')[0]).toBe(2);
+        expect(idsFor('now-c-1000')[0]).toBe(4);
+    });
+
+    it('treats the last word as a prefix while typing', () => {
+        expect(idsFor('methylcob')).toEqual([3]);
+    });
+
+    it('returns nothing for unrelated text', () => {
+        expect(idsFor('zzqx')).toEqual([]);
+    });
+});
@@ -0,0 +1,130 @@
+'use strict';
+
+const { upcCheckDigit, normalizeUpcA, encodeUpcA, code128Values, encodeCode128, pickSymbology } = require('../utils/barcode');
+const {
+    LABEL_TEMPLATES,
+    DEFAULT_SETTINGS,
+    normalizeLabelSettings,
+    normalizeLabelItems,
+    buildLabelZpl,
+    diffPrices
+} = require('../services/shelfLabels');
+
+describe('UPC-A', () => {
+    it('computes the check digit and validates 12-digit codes', () => {
+        expect(upcCheckDigit('03600029145')).toBe(2);
+        expect(normalizeUpcA('03600029145')).toBe('036000291452');
+        expect(normalizeUpcA('036000291452')).toBe('036000291452');
+        expect(normalizeUpcA('036000291453')).toBeNull();
+        expect(normalizeUpcA('ABC-123')).toBeNull();
+    });
+
+    it('encodes 95 modules with guard bars', () => {
+        const modules = encodeUpcA('036000291452');
+        expect(modules).toHaveLength(95);
+        expect(modules.startsWith('101')).toBe(true);
+        expect(modules.endsWith('101')).toBe(true);
+        expect(modules.slice(45, 50)).toBe('01010');
+    });
+});
+
+describe('Code 128', () => {
+    it('uses code set C for numeric data and code set B otherwise', () => {
+        expect(code128Values('123456')).toEqual([105, 12, 34, 56, 44, 106]);
+        const values = code128Values('AB-1');
+        expect(values[0]).toBe(104);
+        expect(values.slice(1, 5)).toEqual([33, 34, 13, 17]);
+        expect(values[values.length - 1]).toBe(106);
+    });
+
+    it('switches to code set B for an odd trailing digit', () => {
+        expect(code128Values('12345').slice(0, 5)).toEqual([105, 12, 34, 100, 21]);
+    });
+
+    it('rejects non-printable input', () => {
+        expect(() => code128Values('bad\ncode')).toThrow(/printable ASCII/);
+        expect(() => code128Values('')).toThrow();
+    });
+
+    it('encodes 11 modules per symbol plus a 13-module stop', () => {
+        const modules = encodeCode128('123456');
+        expect(modules).toHaveLength(5 * 11 + 13);
+    });
+});
+
+describe('pickSymbology', () => {
+    it('keeps valid UPCs as UPC-A unless Code 128 is forced', () => {
+        expect(pickSymbology('036000291452')).toEqual({ type: 'upca', data: '036000291452' });
+        expect(pickSymbology('036000291452', 'code128')).toEqual({ type: 'code128', data: '036000291452' });
+        expect(pickSymbology('CBD-OIL-30')).toEqual({ type: 'code128', data: 'CBD-OIL-30' });
+        expect(() => pickSymbology('CBD-OIL-30', 'upca')).toThrow(/not a valid UPC-A/);
+    });
+});
+
+describe('normalizeLabelSettings', () => {
+    it('falls back to defaults for unknown values', () => {
+        const settings = normalizeLabelSettings({ defaultTemplate: 'poster', printerDpi: 150, symbology: 'qr' });
+        expect(settings.defaultTemplate).toBe(DEFAULT_SETTINGS.defaultTemplate);
+        expect(settings.printerDpi).toBe(DEFAULT_SETTINGS.printerDpi);
+        expect(settings.symbology).toBe(DEFAULT_SETTINGS.symbology);
+    });
+});
+
+describe('normalizeLabelItems', () => {
+    it('clamps copies and drops empty rows', () => {
+        const items = normalizeLabelItems([{ productId: 4, quantity: 500 }, {}, { sku: ' SKU-1 ' }]);
+        expect(items).toEqual([
+            { productId: 4, variantId: null, sku: null, quantity: 100, promotionId: null },
+            { productId: null, variantId: null, sku: 'SKU-1', quantity: 1, promotionId: null }
+        ]);
+    });
+
+    it('rejects empty batches and oversize runs', () => {
+        expect(() => normalizeLabelItems([])).toThrow(expect.objectContaining({ code: 'LABEL_ITEMS_REQUIRED' }));
+        const big = Array.from({ length: 6 }, (_, i) => ({ productId: i + 1, quantity: 100 }));
+        expect(() => normalizeLabelItems(big)).toThrow(expect.objectContaining({ code: 'TOO_MANY_LABELS' }));
+    });
+});
+
+describe('buildLabelZpl', () => {
+    const settings = normalizeLabelSettings({});
+
+    it('prints UPC-A with the 11 data digits and repeats with ^PQ', () => {
+        const zpl = buildLabelZpl(
+            [{ name: 'Hemp Balm', brand: 'Acme', sku: '036000291452', price: 12.5, comparePrice: null, quantity: 3 }],
+            LABEL_TEMPLATES.shelf_tag,
+            settings,
+            { today: '2026-10-19' }
+        );
+        expect(zpl).toContain('^XA');
+        expect(zpl).toContain('^BUN');
+        expect(zpl).toContain('^FD03600029145^FS');
+        expect(zpl).toContain('^PQ3');
+        expect(zpl).toContain('$12.50');
+    });
+
+    it('escapes the ZPL subset-switch character in Code 128 data', () => {
+        const zpl = buildLabelZpl(
+            [{ name: 'Odd SKU', brand: '', sku: 'A>B', price: 5, comparePrice: null, quantity: 1 }],
+            LABEL_TEMPLATES.barcode_sticker,
+            settings,
+            { today: '2026-10-19' }
+        );
+        expect(zpl).toContain('^BC');
+        expect(zpl).toContain('A><B');
+    });
+});
+
+describe('diffPrices', () => {
+    it('reports only prices that moved', () => {
+        const before = new Map([
+            ['1:0', { productId: 1, variantId: null, price: 20 }],
+            ['2:5', { productId: 2, variantId: 5, price: 9.99 }]
+        ]);
+        const after = new Map([
+            ['1:0', { productId: 1, variantId: null, price: 18 }],
+            ['2:5', { productId: 2, variantId: 5, price: 9.99 }]
+        ]);
+        expect(diffPrices(before, after)).toEqual([{ productId: 1, variantId: null, oldPrice: 20, newPrice: 18 }]);
+    });
+});
@@ -0,0 +1,46 @@
+'use strict';
+
+const { filterRestocked, diffStockState, normalizeAlertType } = require('../services/stockAlerts');
+
+describe('filterRestocked', () => {
+    it('keeps only changes that move stock from zero (or below) to positive', () => {
+        const changes = [
+            { productId: 1, variantId: null, quantityBefore: 0, quantityAfter: 5 },
+            { productId: 2, variantId: 7, quantityBefore: -2, quantityAfter: 1 },
+            { productId: 3, variantId: null, quantityBefore: 4, quantityAfter: 9 },
+            { productId: 4, variantId: null, quantityBefore: 0, quantityAfter: 0 },
+            { productId: 5, variantId: null, skipped: true }
+        ];
+        expect(filterRestocked(changes).map((c) => c.productId)).toEqual([1, 2]);
+    });
+});
+
+describe('diffStockState', () => {
+    it('reports restocks and price drops between snapshots', () => {
+        const before = new Map([
+            ['1:0', { productId: 1, variantId: null, quantity: 0, price: 20 }],
+            ['1:3', { productId: 1, variantId: 3, quantity: 2, price: 25 }]
+        ]);
+        const after = new Map([
+            ['1:0', { productId: 1, variantId: null, quantity: 12, price: 20 }],
+            ['1:3', { productId: 1, variantId: 3, quantity: 2, price: 19.5 }]
+        ]);
+        const { restocked, priceDrops } = diffStockState(before, after);
+        expect(restocked).toEqual([{ productId: 1, variantId: null, quantityBefore: 0, quantityAfter: 12 }]);
+        expect(priceDrops).toEqual([{ productId: 1, variantId: 3, priceBefore: 25, priceAfter: 19.5 }]);
+    });
+
+    it('ignores rows that disappeared and price increases', () => {
+        const before = new Map([['2:0', { productId: 2, variantId: null, quantity: 0, price: 10 }]]);
+        const after = new Map([['9:0', { productId: 9, variantId: null, quantity: 5, price: 8 }]]);
+        expect(diffStockState(before, after)).toEqual({ restocked: [], priceDrops: [] });
+    });
+});
+
+describe('normalizeAlertType', () => {
+    it('accepts hyphenated input and rejects unknown types', () => {
+        expect(normalizeAlertType('price-drop')).toBe('price_drop');
+        expect(normalizeAlertType(undefined)).toBe('back_in_stock');
+        expect(normalizeAlertType('restock')).toBeNull();
+    });
+});
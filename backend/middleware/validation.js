@@ -317,6 +317,58 @@ const edsaBookingValidation = [
   handleValidationErrors
 ];
 
+const edsaWaitlistValidation = [
+  body('firstName')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('First name must be between 1 and 50 characters')
+    .matches(/^[a-zA-Z\s'-]+$/)
+    .withMessage('First name can only contain letters, spaces, hyphens, and apostrophes')
+    .escape(),
+
+  body('lastName')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Last name must be between 1 and 50 characters')
+    .matches(/^[a-zA-Z\s'-]+$/)
+    .withMessage('Last name can only contain letters, spaces, hyphens, and apostrophes')
+    .escape(),
+
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+
+  body('phone')
+    .optional({ checkFalsy: true })
+    .trim()
+    .custom((value) => {
+      if (!isUsPhoneDisplay(value)) {
+        throw new Error('Phone must be formatted as (555) 123-4567');
+      }
+      return true;
+    }),
+
+  body('dateFrom')
+    .custom((value) => {
+      if (!normalizeDateYmd(value)) {
+        throw new Error('First date must be in YYYY-MM-DD format');
+      }
+      return true;
+    }),
+
+  body('dateTo')
+    .optional({ checkFalsy: true })
+    .custom((value) => {
+      if (!normalizeDateYmd(value)) {
+        throw new Error('Last date must be in YYYY-MM-DD format');
+      }
+      return true;
+    }),
+
+  handleValidationErrors
+];
+
 const edsaCustomerEmailValidation = [
   body('email')
     .isEmail()
@@ -615,6 +667,7 @@ module.exports = {
   edsaRequestChangeValidation,
   edsaCustomerEmailValidation,
   edsaCustomerRescheduleValidation,
+  edsaWaitlistValidation,
   emailCampaignValidation,
   idParamValidation,
   paginationValidation,
@@ -2,6 +2,7 @@
 
 const express = require('express');
 const { ensureVendorReceivingSchema } = require('./utils/ensureVendorReceivingSchema');
+const { ensureInventoryLotSchema } = require('./utils/ensureInventoryLotSchema');
 const { createPosReceivingRouter } = require('./routes/pos-receiving');
 const { createAdminVendorReceivingRouter } = require('./routes/admin-vendor-receiving');
 const { createPosVendorOrderingRouter } = require('./routes/pos-vendor-ordering');
@@ -31,6 +32,7 @@ function mountVendorReceivingRoutes(app, { pool, posEmployeeAuth, requireAdmin }
 
 async function ensureVendorReceivingReady(pool) {
     await ensureVendorReceivingSchema(pool);
+    await ensureInventoryLotSchema(pool);
 }
 
 /** @deprecated use mountVendorReceivingRoutes + ensureVendorReceivingReady */
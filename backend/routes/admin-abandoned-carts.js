@@ -0,0 +1,43 @@
+'use strict';
+
+/**
+ * Admin abandoned-cart recovery report — mounted at /api/admin/abandoned-carts.
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { authenticateAdmin, requirePermission } = require('../middleware/adminAuth');
+const { getRecoveryReport, loadRecoverySettings } = require('../services/abandonedCarts');
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+router.use(authenticateAdmin, requirePermission('assistant_manager'));
+
+router.get('/report', async (req, res) => {
+    try {
+        const from = DATE_RE.test(String(req.query.from || '')) ? String(req.query.from) : null;
+        const to = DATE_RE.test(String(req.query.to || '')) ? String(req.query.to) : null;
+        const report = await getRecoveryReport(req.pool, {
+            from,
+            to,
+            status: req.query.status,
+            limit: req.query.limit
+        });
+        const settings = loadRecoverySettings();
+        res.json({
+            ...report,
+            settings: {
+                reminderHours: settings.reminderHours,
+                promoPercent: settings.promoPercent,
+                promoFromReminder: settings.promoFromReminder,
+                attributionDays: settings.attributionDays
+            }
+        });
+    } catch (error) {
+        logger.error('Abandoned cart report error:', error);
+        res.status(500).json({ error: 'Failed to load abandoned cart report' });
+    }
+});
+
+module.exports = router;
@@ -6,6 +6,7 @@
 //   - Full customer profile (addresses, orders, loyalty, gift cards, notes)
 //   - Loyalty point adjustments
 //   - Customer notes / tags / status
+//   - EDSA appointment history (intake answers and session notes for Manager and up)
 
 const express = require('express');
 const bcrypt = require('bcrypt');
@@ -14,6 +15,9 @@ const logger = require('../utils/logger');
 const { jsonSafeDeep } = require('../utils/jsonSafeMysql');
 const { normalizeAdminRole, hasMinAdminRole } = require('../utils/adminRoles');
 const { normalizeCustomerType, VALID_CUSTOMER_TYPES } = require('../services/employeeDiscount');
+const { intakeResponsesByBooking } = require('../services/edsaIntake');
+const { sessionNotesByBooking } = require('../services/edsaSessionNotes');
+const { listCustomerPackages } = require('../services/edsaPackages');
 
 const router = express.Router();
 
@@ -85,6 +89,58 @@ async function syncUserCustomerGroups(pool, userId, groupIds) {
     }
 }
 
+/**
+ * EDSA appointments booked under the account or its email, plus their prepaid packages. Intake
+ * answers and practitioner notes are health information: roles below Manager only see whether they exist.
+ */
+async function loadEdsaHistory(pool, customer, role) {
+    let bookings;
+    try {
+        [bookings] = await pool.execute(
+            `SELECT b.id, b.preferred_date, b.preferred_time, b.status, b.attendance, b.service_name,
+                    b.customer_package_id, p.name AS practitioner_name
+               FROM edsa_bookings b
+               LEFT JOIN edsa_practitioners p ON p.id = b.practitioner_id
+              WHERE b.user_id = ? OR LOWER(b.email) = LOWER(?)
+              ORDER BY b.preferred_date DESC, b.preferred_time DESC
+              LIMIT 50`,
+            [customer.id, customer.email || '']
+        );
+    } catch (err) {
+        logger.warn('EDSA history lookup skipped', { error: err.message });
+        return { bookings: [], packages: [], clinical_access: false };
+    }
+    const ids = bookings.map((b) => b.id);
+    let intake = new Map();
+    let notes = new Map();
+    try {
+        [intake, notes] = await Promise.all([intakeResponsesByBooking(pool, ids), sessionNotesByBooking(pool, ids)]);
+    } catch (err) {
+        logger.warn('EDSA intake / session notes lookup skipped', { error: err.message });
+    }
+    let packages = [];
+    try {
+        packages = await listCustomerPackages(pool, { userId: customer.id, email: customer.email });
+    } catch (err) {
+        logger.warn('EDSA packages lookup skipped', { error: err.message });
+    }
+    const clinicalAccess = hasMinAdminRole(role, 'manager');
+    return {
+        clinical_access: clinicalAccess,
+        packages,
+        bookings: bookings.map((b) => {
+            const forms = intake.get(Number(b.id)) || [];
+            const note = notes.get(Number(b.id)) || null;
+            return {
+                ...b,
+                intake_count: forms.length,
+                has_session_notes: Boolean(note),
+                ...(clinicalAccess ? { intake: forms, session_notes: note } : {})
+            };
+        })
+    };
+}
+
 const {
     adjustLoyaltyPoints,
     adjustLoyaltyCash,
@@ -411,6 +467,8 @@ router.get('/:id', async (req, res) => {
             logger.warn('Customer groups lookup skipped', { error: groupErr.message });
         }
 
+        const edsa = await loadEdsaHistory(req.pool, customer, req.admin.role);
+
         res.json({
             customer,
             addresses,
@@ -421,6 +479,7 @@ router.get('/:id', async (req, res) => {
             notes,
             communications,
             customer_groups,
+            edsa,
         });
     } catch (err) {
         logger.error('Get customer profile error', { error: err.message });
@@ -0,0 +1,225 @@
+'use strict';
+
+/**
+ * EDSA service catalog — mounted at /api/admin/edsa-services (assistant managers can view;
+ * Manager and up edit). Services carry duration, buffer, price and deposit; practitioners carry
+ * weekly working hours, an optional Google calendar and the services they perform. /policy holds the
+ * reminder schedule and the late-cancel / no-show fees (edsaAppointmentPolicy); /intake-forms the
+ * questionnaires customers answer before their visit (edsaIntake); /packages the prepaid session
+ * packages and /customer-packages the balances customers bought (edsaPackages).
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { authenticateAdmin, requirePermission } = require('../middleware/adminAuth');
+const edsaServiceCatalog = require('../services/edsaServiceCatalog');
+const edsaPolicy = require('../services/edsaAppointmentPolicy');
+const edsaIntake = require('../services/edsaIntake');
+const edsaPackages = require('../services/edsaPackages');
+const { isSmsConfigured } = require('../utils/smsTransport');
+
+router.use(authenticateAdmin, requirePermission('assistant_manager'));
+
+const canEdit = requirePermission('manager');
+
+function sendCatalogError(res, error, fallback) {
+    if (error.status && error.status < 500) {
+        return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    logger.error(`${fallback}:`, error);
+    return res.status(500).json({ error: fallback });
+}
+
+router.get('/', async (req, res) => {
+    try {
+        const [services, practitioners] = await Promise.all([
+            edsaServiceCatalog.listServices(req.pool, { includeInactive: true }),
+            edsaServiceCatalog.listPractitioners(req.pool, { includeInactive: true })
+        ]);
+        res.json({ services, practitioners, slotStepMinutes: edsaServiceCatalog.SLOT_STEP_MINUTES });
+    } catch (error) {
+        sendCatalogError(res, error, 'Failed to load EDSA services');
+    }
+});
+
+router.post('/services', canEdit, async (req, res) => {
+    try {
+        const service = await edsaServiceCatalog.saveService(req.pool, null, req.body || {});
+        res.status(201).json({ message: 'Service created', service });
+    } catch (error) {
+        sendCatalogError(res, error, 'Failed to create service');
+    }
+});
+
+router.put('/services/:id', canEdit, async (req, res) => {
+    try {
+        const service = await edsaServiceCatalog.saveService(req.pool, req.params.id, req.body || {});
+        res.json({ message: 'Service updated', service });
+    } catch (error) {
+        sendCatalogError(res, error, 'Failed to update service');
+    }
+});
+
+router.delete('/services/:id', canEdit, async (req, res) => {
+    try {
+        const result = await edsaServiceCatalog.deleteService(req.pool, req.params.id);
+        res.json({
+            message: result.deleted ? 'Service deleted' : 'Service has bookings, so it was deactivated instead',
+            ...result
+        });
+    } catch (error) {
+        sendCatalogError(res, error, 'Failed to delete service');
+    }
+});
+
+router.post('/practitioners', canEdit, async (req, res) => {
+    try {
+        const practitioner = await edsaServiceCatalog.savePractitioner(req.pool, null, req.body || {});
+        res.status(201).json({ message: 'Practitioner created', practitioner });
+    } catch (error) {
+        sendCatalogError(res, error, 'Failed to create practitioner');
+    }
+});
+
+router.put('/practitioners/:id', canEdit, async (req, res) => {
+    try {
+        const practitioner = await edsaServiceCatalog.savePractitioner(req.pool, req.params.id, req.body || {});
+        res.json({ message: 'Practitioner updated', practitioner });
+    } catch (error) {
+        sendCatalogError(res, error, 'Failed to update practitioner');
+    }
+});
+
+router.delete('/practitioners/:id', canEdit, async (req, res) => {
+    try {
+        const result = await edsaServiceCatalog.deletePractitioner(req.pool, req.params.id);
+        res.json({
+            message: result.deleted ? 'Practitioner deleted' : 'Practitioner has bookings, so they were deactivated instead',
+            ...result
+        });
+    } catch (error) {
+        sendCatalogError(res, error, 'Failed to delete practitioner');
+    }
+});
+
+router.get('/policy', async (req, res) => {
+    try {
+        const policy = await edsaPolicy.loadAppointmentPolicy(req.pool);
+        res.json({ policy, smsConfigured: isSmsConfigured() });
+    } catch (error) {
+        sendCatalogError(res, error, 'Failed to load reminder policy');
+    }
+});
+
+router.put('/policy', canEdit, async (req, res) => {
+    try {
+        const policy = await edsaPolicy.saveAppointmentPolicy(req.pool, req.body || {});
+        res.json({ message: 'Reminder and fee policy saved', policy, smsConfigured: isSmsConfigured() });
+    } catch (error) {
+        sendCatalogError(res, error, 'Failed to save reminder policy');
+    }
+});
+
+router.get('/intake-forms', async (req, res) => {
+    try {
+        const forms = await edsaIntake.listIntakeForms(req.pool, { includeInactive: true });
+        res.json({ forms, questionTypes: edsaIntake.QUESTION_TYPES });
+    } catch (error) {
+        sendCatalogError(res, error, 'Failed to load intake forms');
+    }
+});
+
+router.post('/intake-forms', canEdit, async (req, res) => {
+    try {
+        const form = await edsaIntake.saveIntakeForm(req.pool, null, req.body || {});
+        res.status(201).json({ message: 'Intake form created', form });
+    } catch (error) {
+        sendCatalogError(res, error, 'Failed to create intake form');
+    }
+});
+
+router.put('/intake-forms/:id', canEdit, async (req, res) => {
+    try {
+        const form = await edsaIntake.saveIntakeForm(req.pool, req.params.id, req.body || {});
+        res.json({ message: 'Intake form updated', form });
+    } catch (error) {
+        sendCatalogError(res, error, 'Failed to update intake form');
+    }
+});
+
+router.delete('/intake-forms/:id', canEdit, async (req, res) => {
+    try {
+        const result = await edsaIntake.deleteIntakeForm(req.pool, req.params.id);
+        res.json({
+            message: result.deleted ? 'Intake form deleted' : 'Customers have answered this form, so it was deactivated instead',
+            ...result
+        });
+    } catch (error) {
+        sendCatalogError(res, error, 'Failed to delete intake form');
+    }
+});
+
+router.get('/packages', async (req, res) => {
+    try {
+        const packages = await edsaPackages.listPackages(req.pool, { includeInactive: true });
+        res.json({ packages });
+    } catch (error) {
+        sendCatalogError(res, error, 'Failed to load packages');
+    }
+});
+
+router.post('/packages', canEdit, async (req, res) => {
+    try {
+        const pkg = await edsaPackages.savePackage(req.pool, null, req.body || {});
+        res.status(201).json({ message: 'Package created', package: pkg });
+    } catch (error) {
+        sendCatalogError(res, error, 'Failed to create package');
+    }
+});
+
+router.put('/packages/:id', canEdit, async (req, res) => {
+    try {
+        const pkg = await edsaPackages.savePackage(req.pool, req.params.id, req.body || {});
+        res.json({ message: 'Package updated', package: pkg });
+    } catch (error) {
+        sendCatalogError(res, error, 'Failed to update package');
+    }
+});
+
+router.delete('/packages/:id', canEdit, async (req, res) => {
+    try {
+        const result = await edsaPackages.deletePackage(req.pool, req.params.id);
+        res.json({
+            message: result.deleted ? 'Package deleted' : 'Customers have bought this package, so it was deactivated instead',
+            ...result
+        });
+    } catch (error) {
+        sendCatalogError(res, error, 'Failed to delete package');
+    }
+});
+
+router.post('/customer-packages/:id/refund', canEdit, async (req, res) => {
+    try {
+        const { method, amount } = req.body || {};
+        const pkg = await edsaPackages.refundUnusedSessions(req.pool, req.params.id, {
+            method,
+            amount: amount == null || amount === '' ? null : Number(amount),
+            adminId: req.admin.id
+        });
+        res.json({ message: 'Unused sessions refunded', package: pkg });
+    } catch (error) {
+        sendCatalogError(res, error, 'Failed to refund package');
+    }
+});
+
+router.put('/customer-packages/:id', canEdit, async (req, res) => {
+    try {
+        const pkg = await edsaPackages.setPackageExpiry(req.pool, req.params.id, req.body?.expiresOn ?? null);
+        res.json({ message: 'Package expiry updated', package: pkg });
+    } catch (error) {
+        sendCatalogError(res, error, 'Failed to update package');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,135 @@
+'use strict';
+
+/**
+ * Physical inventory / cycle count sessions — mounted at /api/admin/inventory-counts.
+ * Counting is open to assistant managers; approving and posting variances needs a manager.
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { authenticateAdmin, requirePermission } = require('../middleware/adminAuth');
+const inventoryCounts = require('../services/inventoryCounts');
+
+router.use(authenticateAdmin, requirePermission('assistant_manager'));
+
+function sendCountError(res, error, fallback) {
+    if (error.status && error.status < 500) {
+        return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    logger.error(`${fallback}:`, error);
+    return res.status(500).json({ error: fallback });
+}
+
+function sessionId(req) {
+    return parseInt(req.params.id, 10) || 0;
+}
+
+router.get('/', async (req, res) => {
+    try {
+        const sessions = await inventoryCounts.listSessions(req.pool, {
+            status: req.query.status,
+            limit: req.query.limit
+        });
+        res.json({ sessions });
+    } catch (error) {
+        sendCountError(res, error, 'Failed to load count sessions');
+    }
+});
+
+router.post('/', async (req, res) => {
+    try {
+        const result = await inventoryCounts.createSession(req.pool, {
+            name: req.body?.name,
+            scopeType: req.body?.scopeType,
+            scopeId: req.body?.scopeId,
+            notes: req.body?.notes,
+            adminId: req.admin.id
+        });
+        res.status(201).json(result);
+    } catch (error) {
+        sendCountError(res, error, 'Failed to start count session');
+    }
+});
+
+router.get('/:id', async (req, res) => {
+    try {
+        const result = await inventoryCounts.getSession(req.pool, sessionId(req), {
+            filter: req.query.filter,
+            search: req.query.search
+        });
+        if (!result) return res.status(404).json({ error: 'Count session not found' });
+        res.json(result);
+    } catch (error) {
+        sendCountError(res, error, 'Failed to load count session');
+    }
+});
+
+router.get('/:id/scans', async (req, res) => {
+    try {
+        const scans = await inventoryCounts.listScans(req.pool, sessionId(req), { limit: req.query.limit });
+        res.json({ scans });
+    } catch (error) {
+        sendCountError(res, error, 'Failed to load scans');
+    }
+});
+
+router.post('/:id/scan', async (req, res) => {
+    try {
+        const result = await inventoryCounts.recordScan(req.pool, sessionId(req), {
+            code: req.body?.code,
+            quantity: req.body?.quantity != null ? req.body.quantity : 1,
+            mode: req.body?.mode,
+            source: 'admin',
+            adminId: req.admin.id
+        });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendCountError(res, error, 'Failed to record scan');
+    }
+});
+
+router.put('/:id/lines/:lineId', async (req, res) => {
+    try {
+        const result = await inventoryCounts.setLineCount(req.pool, sessionId(req), parseInt(req.params.lineId, 10) || 0, {
+            countedQuantity: req.body?.countedQuantity,
+            adminId: req.admin.id
+        });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendCountError(res, error, 'Failed to update count');
+    }
+});
+
+router.post('/:id/review', requirePermission('manager'), async (req, res) => {
+    try {
+        const result = await inventoryCounts.reviewLines(req.pool, sessionId(req), {
+            lineIds: req.body?.lineIds,
+            decision: req.body?.decision,
+            adminId: req.admin.id
+        });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendCountError(res, error, 'Failed to review count lines');
+    }
+});
+
+router.post('/:id/post', requirePermission('manager'), async (req, res) => {
+    try {
+        const result = await inventoryCounts.postSession(req.pool, sessionId(req), { adminId: req.admin.id });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendCountError(res, error, 'Failed to post count variances');
+    }
+});
+
+router.post('/:id/cancel', requirePermission('manager'), async (req, res) => {
+    try {
+        const result = await inventoryCounts.cancelSession(req.pool, sessionId(req));
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendCountError(res, error, 'Failed to cancel count session');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,59 @@
+'use strict';
+
+/**
+ * Lot / expiration reports — mounted at /api/admin/inventory-lots.
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { authenticateAdmin, requirePermission } = require('../middleware/adminAuth');
+const inventoryLots = require('../services/inventoryLots');
+
+router.use(authenticateAdmin, requirePermission('assistant_manager'));
+
+function sendLotError(res, error, fallback) {
+    if (error.status && error.status < 500) {
+        return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    logger.error(`${fallback}:`, error);
+    return res.status(500).json({ error: fallback });
+}
+
+router.get('/expiring', async (req, res) => {
+    try {
+        const report = await inventoryLots.getExpiringLots(req.pool, {
+            days: req.query.days != null ? req.query.days : 90,
+            search: req.query.search
+        });
+        res.json(report);
+    } catch (error) {
+        sendLotError(res, error, 'Failed to load expiring stock');
+    }
+});
+
+router.get('/recall', async (req, res) => {
+    try {
+        const result = await inventoryLots.recallLookup(req.pool, {
+            lotNumber: req.query.lot,
+            productId: req.query.productId
+        });
+        res.json(result);
+    } catch (error) {
+        sendLotError(res, error, 'Failed to run recall lookup');
+    }
+});
+
+router.get('/products/:productId', async (req, res) => {
+    try {
+        const productId = parseInt(req.params.productId, 10);
+        if (!productId) return res.status(400).json({ error: 'Invalid product id' });
+        const variantId = parseInt(req.query.variantId, 10) || null;
+        const lots = await inventoryLots.listProductLots(req.pool, productId, variantId);
+        res.json({ lots });
+    } catch (error) {
+        sendLotError(res, error, 'Failed to load product lots');
+    }
+});
+
+module.exports = router;
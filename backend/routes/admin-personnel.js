@@ -5,6 +5,8 @@ const jwt = require('jsonwebtoken');
 const router = express.Router();
 const logger = require('../utils/logger');
 const personnel = require('../services/posPersonnel');
+const posTimesheets = require('../services/posTimesheets');
+const posScheduling = require('../services/posScheduling');
 const { hasMinAdminRole, normalizeAdminRole } = require('../utils/adminRoles');
 
 async function authenticateAdmin(req, res, next) {
@@ -39,6 +41,30 @@ function requireManager(req, res, next) {
     next();
 }
 
+/** Timesheet sign-off and payroll rules are for Manager and up (assistant managers may fix punches). */
+function requirePayrollApprover(req, res, next) {
+    if (!hasMinAdminRole(req.admin?.role, 'manager')) {
+        return res.status(403).json({ error: 'Manager access required' });
+    }
+    next();
+}
+
+function sendTimesheetError(res, e, fallback) {
+    if (e.status && e.status < 500) {
+        return res.status(e.status).json({ error: e.message, code: e.code, employees: e.employees, timeEntryId: e.timeEntryId });
+    }
+    logger.error(`${fallback}:`, e);
+    return res.status(500).json({ error: fallback });
+}
+
+function sendScheduleError(res, e, fallback) {
+    if (e.status && e.status < 500) {
+        return res.status(e.status).json({ error: e.message, code: e.code, conflicts: e.conflicts });
+    }
+    logger.error(`${fallback}:`, e);
+    return res.status(500).json({ error: fallback });
+}
+
 function assertCanChangeRestrictedRegisterPermission(req, body, fieldNames, label) {
     const touched = fieldNames.some((key) => body?.[key] != null);
     if (!touched) return;
@@ -252,19 +278,150 @@ router.get('/shifts/scheduled', async (req, res) => {
 
 router.post('/shifts/scheduled', requireManager, async (req, res) => {
     try {
-        const id = await personnel.createScheduledShift(
+        const result = await posScheduling.createShift(req.pool, req.body || {}, { adminId: req.admin.id });
+        res.status(201).json(result);
+    } catch (e) {
+        sendScheduleError(res, e, 'Failed to schedule shift');
+    }
+});
+
+router.get('/schedule/week', requireManager, async (req, res) => {
+    try {
+        res.json(await posScheduling.getScheduleWeek(req.pool, { weekStart: req.query.weekStart }));
+    } catch (e) {
+        sendScheduleError(res, e, 'Failed to load schedule');
+    }
+});
+
+router.post('/schedule/shifts', requireManager, async (req, res) => {
+    try {
+        const result = await posScheduling.createShift(req.pool, req.body || {}, { adminId: req.admin.id });
+        res.status(201).json({ success: true, ...result });
+    } catch (e) {
+        sendScheduleError(res, e, 'Failed to schedule shift');
+    }
+});
+
+router.put('/schedule/shifts/:id', requireManager, async (req, res) => {
+    try {
+        const result = await posScheduling.updateShift(req.pool, Number(req.params.id), req.body || {});
+        res.json({ success: true, ...result });
+    } catch (e) {
+        sendScheduleError(res, e, 'Failed to update shift');
+    }
+});
+
+router.delete('/schedule/shifts/:id', requireManager, async (req, res) => {
+    try {
+        await posScheduling.deleteShift(req.pool, Number(req.params.id));
+        res.json({ success: true });
+    } catch (e) {
+        sendScheduleError(res, e, 'Failed to remove shift');
+    }
+});
+
+router.post('/schedule/copy-week', requireManager, async (req, res) => {
+    try {
+        const result = await posScheduling.copyWeek(
             req.pool,
-            {
-                employeeId: Number(req.body.employeeId),
-                startsAt: req.body.startsAt,
-                endsAt: req.body.endsAt,
-                notes: req.body.notes
-            },
-            req.admin.id
+            { fromWeekStart: req.body?.fromWeekStart, toWeekStart: req.body?.toWeekStart },
+            { adminId: req.admin.id }
         );
-        res.status(201).json({ id });
+        res.json({ success: true, ...result });
+    } catch (e) {
+        sendScheduleError(res, e, 'Failed to copy week');
+    }
+});
+
+router.get('/schedule/templates', requireManager, async (req, res) => {
+    try {
+        res.json({ templates: await posScheduling.listTemplates(req.pool) });
+    } catch (e) {
+        sendScheduleError(res, e, 'Failed to load schedule templates');
+    }
+});
+
+router.post('/schedule/templates', requireManager, async (req, res) => {
+    try {
+        const result = await posScheduling.saveWeekAsTemplate(
+            req.pool,
+            { name: req.body?.name, weekStart: req.body?.weekStart },
+            { adminId: req.admin.id }
+        );
+        res.status(201).json({ success: true, ...result });
+    } catch (e) {
+        sendScheduleError(res, e, 'Failed to save schedule template');
+    }
+});
+
+router.delete('/schedule/templates/:id', requireManager, async (req, res) => {
+    try {
+        await posScheduling.deleteTemplate(req.pool, Number(req.params.id));
+        res.json({ success: true });
+    } catch (e) {
+        sendScheduleError(res, e, 'Failed to delete schedule template');
+    }
+});
+
+router.post('/schedule/templates/:id/apply', requireManager, async (req, res) => {
+    try {
+        const result = await posScheduling.applyTemplate(
+            req.pool,
+            Number(req.params.id),
+            { weekStart: req.body?.weekStart, weeks: req.body?.weeks },
+            { adminId: req.admin.id }
+        );
+        res.json({ success: true, ...result });
+    } catch (e) {
+        sendScheduleError(res, e, 'Failed to apply schedule template');
+    }
+});
+
+router.get('/schedule/time-off', requireManager, async (req, res) => {
+    try {
+        const requests = await posScheduling.listTimeOffRequests(req.pool, {
+            status: req.query.status,
+            employeeId: req.query.employeeId,
+            from: req.query.from,
+            to: req.query.to
+        });
+        res.json({ requests });
+    } catch (e) {
+        sendScheduleError(res, e, 'Failed to load time-off requests');
+    }
+});
+
+router.post('/schedule/time-off', requireManager, async (req, res) => {
+    try {
+        const request = await posScheduling.createTimeOffRequest(req.pool, req.body?.employeeId, req.body || {}, {
+            source: 'admin',
+            adminId: req.admin.id
+        });
+        res.status(201).json({ success: true, request });
     } catch (e) {
-        res.status(400).json({ error: e.message });
+        sendScheduleError(res, e, 'Failed to add time off');
+    }
+});
+
+router.post('/schedule/time-off/:id/review', requireManager, async (req, res) => {
+    try {
+        const request = await posScheduling.reviewTimeOffRequest(
+            req.pool,
+            Number(req.params.id),
+            { status: req.body?.status, note: req.body?.note },
+            { adminId: req.admin.id }
+        );
+        res.json({ success: true, request });
+    } catch (e) {
+        sendScheduleError(res, e, 'Failed to review time-off request');
+    }
+});
+
+router.get('/schedule/coverage', requireManager, async (req, res) => {
+    try {
+        res.json(await posScheduling.getCoverage(req.pool, { weekStart: req.query.weekStart }));
+    } catch (e) {
+        sendScheduleError(res, e, 'Failed to load labor coverage');
     }
 });
 
@@ -281,6 +438,121 @@ router.get('/timesheets', async (req, res) => {
     }
 });
 
+router.get('/timesheets/report', requireManager, async (req, res) => {
+    try {
+        const report = await posTimesheets.buildTimesheetReport(req.pool, {
+            from: req.query.from,
+            to: req.query.to,
+            employeeId: req.query.employeeId
+        });
+        res.json(report);
+    } catch (e) {
+        sendTimesheetError(res, e, 'Failed to build timesheets');
+    }
+});
+
+router.get('/timesheets/settings', requireManager, async (req, res) => {
+    try {
+        res.json({ settings: await posTimesheets.loadTimesheetSettings(req.pool) });
+    } catch (e) {
+        sendTimesheetError(res, e, 'Failed to load timesheet rules');
+    }
+});
+
+router.put('/timesheets/settings', requirePayrollApprover, async (req, res) => {
+    try {
+        const settings = await posTimesheets.saveTimesheetSettings(req.pool, req.body || {});
+        res.json({ success: true, settings });
+    } catch (e) {
+        sendTimesheetError(res, e, 'Failed to save timesheet rules');
+    }
+});
+
+router.post('/timesheets/entries', requireManager, async (req, res) => {
+    try {
+        const entry = await posTimesheets.createTimeEntry(req.pool, req.body || {}, { adminId: req.admin.id });
+        res.status(201).json({ success: true, entry });
+    } catch (e) {
+        sendTimesheetError(res, e, 'Failed to add time entry');
+    }
+});
+
+router.put('/timesheets/entries/:id', requireManager, async (req, res) => {
+    try {
+        const entry = await posTimesheets.updateTimeEntry(req.pool, Number(req.params.id), req.body || {}, {
+            adminId: req.admin.id
+        });
+        res.json({ success: true, entry });
+    } catch (e) {
+        sendTimesheetError(res, e, 'Failed to update time entry');
+    }
+});
+
+router.delete('/timesheets/entries/:id', requireManager, async (req, res) => {
+    try {
+        await posTimesheets.voidTimeEntry(req.pool, Number(req.params.id), {
+            reason: req.body?.reason || req.query.reason,
+            adminId: req.admin.id
+        });
+        res.json({ success: true });
+    } catch (e) {
+        sendTimesheetError(res, e, 'Failed to remove time entry');
+    }
+});
+
+router.get('/timesheets/entries/:id/history', requireManager, async (req, res) => {
+    try {
+        res.json(await posTimesheets.getTimeEntryHistory(req.pool, Number(req.params.id)));
+    } catch (e) {
+        sendTimesheetError(res, e, 'Failed to load time entry history');
+    }
+});
+
+router.post('/timesheets/approvals', requirePayrollApprover, async (req, res) => {
+    try {
+        const approval = await posTimesheets.approveTimesheet(req.pool, req.body || {}, { adminId: req.admin.id });
+        res.json({ success: true, approval });
+    } catch (e) {
+        sendTimesheetError(res, e, 'Failed to approve timesheet');
+    }
+});
+
+router.delete('/timesheets/approvals', requirePayrollApprover, async (req, res) => {
+    try {
+        await posTimesheets.revokeTimesheetApproval(req.pool, { ...req.query, ...(req.body || {}) });
+        res.json({ success: true });
+    } catch (e) {
+        sendTimesheetError(res, e, 'Failed to revoke approval');
+    }
+});
+
+router.get('/timesheets/export.csv', requireManager, async (req, res) => {
+    try {
+        const report = await posTimesheets.buildTimesheetReport(req.pool, { from: req.query.from, to: req.query.to });
+        posTimesheets.assertPayrollReady(report);
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="payroll-${report.from}-to-${report.to}.csv"`);
+        res.send(posTimesheets.timesheetPayrollCsv(report));
+    } catch (e) {
+        sendTimesheetError(res, e, 'Failed to export payroll');
+    }
+});
+
+router.get('/timesheets/export.pdf', requireManager, async (req, res) => {
+    try {
+        const { htmlToPdfBuffer } = require('../services/posShiftReportEmail');
+        const { loadPosStoreConfig } = require('../services/posStoreConfig');
+        const report = await posTimesheets.buildTimesheetReport(req.pool, { from: req.query.from, to: req.query.to });
+        const store = await loadPosStoreConfig(req.pool);
+        const pdf = await htmlToPdfBuffer(posTimesheets.buildTimesheetSummaryHtml(report, store.storeName || 'Store'));
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="timesheets-${report.from}-to-${report.to}.pdf"`);
+        res.send(Buffer.from(pdf));
+    } catch (e) {
+        sendTimesheetError(res, e, 'Failed to build timesheet PDF');
+    }
+});
+
 router.get('/shift-sessions', async (req, res) => {
     try {
         let sql = `
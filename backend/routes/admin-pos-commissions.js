@@ -0,0 +1,101 @@
+'use strict';
+
+/**
+ * Salesperson commissions — mounted at /api/admin/pos-commissions (managers and up).
+ * Rules by brand / category / product, and the per-employee report with CSV export for payroll.
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { authenticateAdmin, requirePermission } = require('../middleware/adminAuth');
+const posCommissions = require('../services/posCommissions');
+
+router.use(authenticateAdmin, requirePermission('manager'));
+
+function sendCommissionError(res, error, fallback) {
+    if (error.status && error.status < 500) {
+        return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    logger.error(`${fallback}:`, error);
+    return res.status(500).json({ error: fallback });
+}
+
+function reportOptions(req) {
+    return {
+        from: req.query.from,
+        to: req.query.to,
+        employeeId: req.query.employeeId,
+        detail: req.query.detail === '1' || req.query.detail === 'true'
+    };
+}
+
+router.get('/rules', async (req, res) => {
+    try {
+        const rules = await posCommissions.listCommissionRules(req.pool);
+        res.json({ rules });
+    } catch (error) {
+        sendCommissionError(res, error, 'Failed to load commission rules');
+    }
+});
+
+router.post('/rules', async (req, res) => {
+    try {
+        const rule = await posCommissions.createCommissionRule(req.pool, req.body || {}, { adminId: req.admin.id });
+        res.status(201).json({ success: true, rule });
+    } catch (error) {
+        sendCommissionError(res, error, 'Failed to save commission rule');
+    }
+});
+
+router.put('/rules/:id', async (req, res) => {
+    try {
+        const rule = await posCommissions.updateCommissionRule(req.pool, parseInt(req.params.id, 10) || 0, req.body || {});
+        res.json({ success: true, rule });
+    } catch (error) {
+        sendCommissionError(res, error, 'Failed to save commission rule');
+    }
+});
+
+router.delete('/rules/:id', async (req, res) => {
+    try {
+        await posCommissions.deleteCommissionRule(req.pool, parseInt(req.params.id, 10) || 0);
+        res.json({ success: true });
+    } catch (error) {
+        sendCommissionError(res, error, 'Failed to delete commission rule');
+    }
+});
+
+router.get('/salespeople', async (req, res) => {
+    try {
+        const salespeople = await posCommissions.listSalespeople(req.pool);
+        res.json({ salespeople });
+    } catch (error) {
+        sendCommissionError(res, error, 'Failed to load employees');
+    }
+});
+
+router.get('/report', async (req, res) => {
+    try {
+        const report = await posCommissions.buildCommissionReport(req.pool, reportOptions(req));
+        res.json(report);
+    } catch (error) {
+        sendCommissionError(res, error, 'Failed to build commission report');
+    }
+});
+
+router.get('/report.csv', async (req, res) => {
+    try {
+        const options = reportOptions(req);
+        const report = await posCommissions.buildCommissionReport(req.pool, options);
+        const csv = posCommissions.commissionReportCsv(report, { detail: options.detail });
+        const name = `commissions-${options.detail ? 'detail-' : ''}${report.from}-to-${report.to}.csv`;
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${name}"`);
+        res.send(csv);
+    } catch (error) {
+        sendCommissionError(res, error, 'Failed to export commission report');
+    }
+});
+
+module.exports = router;
@@ -38,6 +38,7 @@ const {
 } = require('../services/posMerchantLicense');
 const { FAILOVER_INCLUDED_GB, FAILOVER_OVERAGE_PER_GB } = require('../services/posBillingPricing');
 const { scheduleSupportSessionSync } = require('../services/posPlatformSupportSync');
+const registerEvents = require('../services/posRegisterEvents');
 const { isPlatformHubEnabled } = require('../utils/platformSupportEnv');
 const {
     listDisplayAds,
@@ -191,6 +192,7 @@ router.put('/settings', async (req, res) => {
         } finally {
             connection.release();
         }
+        registerEvents.notifySettingsChanged(req.pool, 'pos', filtered.map((s) => s.key_name));
         res.json({ success: true });
     } catch (e) {
         logger.error('POS settings save error:', e);
@@ -264,6 +266,7 @@ router.delete('/devices/:id', async (req, res) => {
     try {
         const ok = await revokeDevice(req.pool, Number(req.params.id));
         if (!ok) return res.status(404).json({ error: 'Register not found' });
+        registerEvents.disconnectRegisterStreams(Number(req.params.id));
         res.json({ success: true });
     } catch (e) {
         res.status(500).json({ error: 'Failed to revoke register' });
@@ -303,6 +306,7 @@ router.get('/equipment', async (req, res) => {
 router.post('/equipment', async (req, res) => {
     try {
         const equipment = await createEquipment(req.pool, req.body);
+        registerEvents.notifySettingsChanged(req.pool, 'equipment');
         res.status(201).json({ equipment });
     } catch (e) {
         const status = e.code === 'NOT_FOUND' ? 404 : e.code ? 400 : 500;
@@ -313,6 +317,7 @@ router.post('/equipment', async (req, res) => {
 router.put('/equipment/:id', async (req, res) => {
     try {
         const equipment = await updateEquipment(req.pool, req.params.id, req.body);
+        registerEvents.notifySettingsChanged(req.pool, 'equipment');
         res.json({ equipment });
     } catch (e) {
         const status = e.code === 'NOT_FOUND' ? 404 : e.code ? 400 : 500;
@@ -324,6 +329,7 @@ router.delete('/equipment/:id', async (req, res) => {
     try {
         const ok = await deleteEquipment(req.pool, Number(req.params.id));
         if (!ok) return res.status(404).json({ error: 'Equipment not found' });
+        registerEvents.notifySettingsChanged(req.pool, 'equipment');
         res.json({ success: true });
     } catch (e) {
         res.status(500).json({ error: 'Failed to delete equipment' });
@@ -863,6 +869,7 @@ router.post('/support/registers/:deviceId/session', async (req, res) => {
         scheduleSupportSessionSync(req.pool, session.id, {
             claimedBy: `${req.admin.first_name || ''} ${req.admin.last_name || ''}`.trim() || req.admin.email
         });
+        registerEvents.notifySupportRequested(req.pool, deviceId, session);
         const base = String(process.env.FRONTEND_URL || '').trim().replace(/\/+$/, '');
         res.json({
             session,
@@ -881,6 +888,7 @@ router.post('/support/sessions/:id/join', async (req, res) => {
         scheduleSupportSessionSync(req.pool, session.id, {
             claimedBy: `${req.admin.first_name || ''} ${req.admin.last_name || ''}`.trim() || req.admin.email
         });
+        registerEvents.notifySupportRequested(req.pool, session.posDeviceId, session);
         res.json({ session });
     } catch (e) {
         const status = e.code === 'SESSION_UNAVAILABLE' || e.code === 'SESSION_EXPIRED' ? 400 : 500;
@@ -990,6 +998,7 @@ router.post('/display-ads/upload-image', (req, res, next) => {
 router.post('/display-ads', async (req, res) => {
     try {
         const ad = await createDisplayAd(req.pool, req.body, req.admin.id);
+        registerEvents.notifyDisplayUpdated(req.pool, { reason: 'ad_created', adId: ad?.id });
         res.status(201).json({ ad });
     } catch (e) {
         const status = e.code === 'IMAGE_REQUIRED' ? 400 : 500;
@@ -1000,6 +1009,7 @@ router.post('/display-ads', async (req, res) => {
 router.put('/display-ads/:id', async (req, res) => {
     try {
         const ad = await updateDisplayAd(req.pool, req.params.id, req.body);
+        registerEvents.notifyDisplayUpdated(req.pool, { reason: 'ad_updated', adId: ad?.id });
         res.json({ ad });
     } catch (e) {
         const status = e.code === 'NOT_FOUND' ? 404 : e.code === 'IMAGE_REQUIRED' ? 400 : 500;
@@ -1011,6 +1021,7 @@ router.delete('/display-ads/:id', async (req, res) => {
     try {
         const ok = await deleteDisplayAd(req.pool, req.params.id);
         if (!ok) return res.status(404).json({ error: 'Ad not found' });
+        registerEvents.notifyDisplayUpdated(req.pool, { reason: 'ad_deleted', adId: Number(req.params.id) });
         res.json({ success: true });
     } catch (e) {
         res.status(500).json({ error: 'Failed to delete ad' });
@@ -1042,6 +1053,10 @@ router.put('/front-displays/:equipmentId/ads', async (req, res) => {
     try {
         const adIds = Array.isArray(req.body?.adIds) ? req.body.adIds : req.body?.ad_ids || [];
         const display = await setDisplayAdAssignments(req.pool, req.params.equipmentId, adIds);
+        registerEvents.notifyDisplayUpdated(req.pool, {
+            reason: 'assignments_changed',
+            equipmentId: Number(req.params.equipmentId)
+        });
         res.json({ display });
     } catch (e) {
         const status =
@@ -0,0 +1,90 @@
+'use strict';
+
+/**
+ * Admin review moderation queue — mounted at /api/admin/product-reviews.
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { authenticateAdmin, requirePermission } = require('../middleware/adminAuth');
+const reviews = require('../services/productReviews');
+
+router.use(authenticateAdmin, requirePermission('assistant_manager'));
+
+function parseReviewId(req, res) {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isInteger(id) || id <= 0) {
+        res.status(400).json({ error: 'Invalid review id' });
+        return null;
+    }
+    return id;
+}
+
+function sendReviewError(res, error, fallback) {
+    if (error.status && error.status < 500) {
+        return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    logger.error(`${fallback}:`, error);
+    return res.status(500).json({ error: fallback });
+}
+
+router.get('/', async (req, res) => {
+    try {
+        const status = req.query.status === 'all' ? null : req.query.status || 'pending';
+        const result = await reviews.listModerationQueue(req.pool, {
+            status,
+            search: req.query.search,
+            page: req.query.page,
+            limit: req.query.limit
+        });
+        res.json(result);
+    } catch (error) {
+        sendReviewError(res, error, 'Failed to load reviews');
+    }
+});
+
+router.put('/:id/status', async (req, res) => {
+    const id = parseReviewId(req, res);
+    if (!id) return;
+    try {
+        const { status, note } = req.body || {};
+        const result = await reviews.setReviewStatus(req.pool, id, {
+            status,
+            note,
+            adminId: req.admin.id
+        });
+        logger.info('Product review moderated', { reviewId: id, status, adminId: req.admin.id });
+        res.json(result);
+    } catch (error) {
+        sendReviewError(res, error, 'Failed to update review');
+    }
+});
+
+router.put('/:id/reply', async (req, res) => {
+    const id = parseReviewId(req, res);
+    if (!id) return;
+    try {
+        const result = await reviews.setReviewReply(req.pool, id, {
+            reply: req.body?.reply,
+            adminId: req.admin.id
+        });
+        res.json(result);
+    } catch (error) {
+        sendReviewError(res, error, 'Failed to save reply');
+    }
+});
+
+router.delete('/:id', requirePermission('manager'), async (req, res) => {
+    const id = parseReviewId(req, res);
+    if (!id) return;
+    try {
+        await reviews.deleteReview(req.pool, id);
+        logger.info('Product review deleted', { reviewId: id, adminId: req.admin.id });
+        res.json({ success: true });
+    } catch (error) {
+        sendReviewError(res, error, 'Failed to delete review');
+    }
+});
+
+module.exports = router;
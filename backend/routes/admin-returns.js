@@ -0,0 +1,115 @@
+'use strict';
+
+/**
+ * Admin returns (RMA) queue — mounted at /api/admin/returns.
+ *
+ *   GET  /                 list { status?, search?, page?, limit? } with per-status counts
+ *   GET  /:id              detail with tenders and the refund split preview
+ *   POST /:id/approve      { generateLabel?, packageWeightOz?, notes? } buys and emails the Shippo return label
+ *   POST /:id/reject       { notes } emailed to the customer
+ *   POST /:id/receive      { items: [{ id, restockQuantity?, condition? }] } restocks inventory
+ *   POST /:id/refund       { amount? } refunds card / gift card / store credit / points (manager+)
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { authenticateAdmin, requirePermission } = require('../middleware/adminAuth');
+const returns = require('../services/orderReturns');
+
+router.use(authenticateAdmin, requirePermission('assistant_manager'));
+
+const STATUSES = ['requested', 'approved', 'rejected', 'received', 'refunding', 'refunded', 'cancelled'];
+
+function parseReturnId(req, res) {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isInteger(id) || id <= 0) {
+        res.status(400).json({ error: 'Invalid return id' });
+        return null;
+    }
+    return id;
+}
+
+function sendReturnError(res, error, fallback) {
+    if (error.status && error.status < 500) {
+        return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    logger.error(`${fallback}:`, error);
+    // Gateway and carrier failures (502 / 503) carry a message the admin can act on.
+    if (error.status && error.code) {
+        return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    return res.status(500).json({ error: fallback });
+}
+
+router.get('/', async (req, res) => {
+    try {
+        const status = STATUSES.includes(req.query.status) ? req.query.status : null;
+        res.json(await returns.listReturns(req.pool, {
+            status,
+            search: req.query.search,
+            page: req.query.page,
+            limit: req.query.limit
+        }));
+    } catch (error) {
+        sendReturnError(res, error, 'Failed to load returns');
+    }
+});
+
+router.get('/:id', async (req, res) => {
+    const id = parseReturnId(req, res);
+    if (!id) return;
+    try {
+        res.json(await returns.getReturn(req.pool, id));
+    } catch (error) {
+        sendReturnError(res, error, 'Failed to load return');
+    }
+});
+
+router.post('/:id/approve', async (req, res) => {
+    const id = parseReturnId(req, res);
+    if (!id) return;
+    try {
+        const { generateLabel, packageWeightOz, notes } = req.body || {};
+        res.json(await returns.approveReturn(req.pool, id, {
+            adminId: req.admin.id,
+            generateLabel: generateLabel !== false,
+            packageWeightOz,
+            notes
+        }));
+    } catch (error) {
+        sendReturnError(res, error, 'Failed to approve return');
+    }
+});
+
+router.post('/:id/reject', async (req, res) => {
+    const id = parseReturnId(req, res);
+    if (!id) return;
+    try {
+        res.json(await returns.rejectReturn(req.pool, id, { adminId: req.admin.id, notes: req.body?.notes }));
+    } catch (error) {
+        sendReturnError(res, error, 'Failed to reject return');
+    }
+});
+
+router.post('/:id/receive', async (req, res) => {
+    const id = parseReturnId(req, res);
+    if (!id) return;
+    try {
+        res.json(await returns.receiveReturn(req.pool, id, { adminId: req.admin.id, items: req.body?.items }));
+    } catch (error) {
+        sendReturnError(res, error, 'Failed to receive return');
+    }
+});
+
+router.post('/:id/refund', requirePermission('manager'), async (req, res) => {
+    const id = parseReturnId(req, res);
+    if (!id) return;
+    try {
+        res.json(await returns.refundReturn(req.pool, id, { adminId: req.admin.id, amount: req.body?.amount }));
+    } catch (error) {
+        sendReturnError(res, error, 'Failed to refund return');
+    }
+});
+
+module.exports = router;
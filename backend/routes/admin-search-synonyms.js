@@ -0,0 +1,76 @@
+'use strict';
+
+/**
+ * Admin search synonym groups — mounted at /api/admin/search-synonyms.
+ * Each group is a comma-separated list of terms the storefront search treats as equivalent.
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { authenticateAdmin, requirePermission } = require('../middleware/adminAuth');
+const productSearch = require('../services/productSearch');
+
+router.use(authenticateAdmin, requirePermission('manager'));
+
+function parseGroupId(req, res) {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isInteger(id) || id <= 0) {
+        res.status(400).json({ error: 'Invalid synonym group id' });
+        return null;
+    }
+    return id;
+}
+
+function sendSynonymError(res, error, fallback) {
+    if (error.status && error.status < 500) {
+        return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    logger.error(`${fallback}:`, error);
+    return res.status(500).json({ error: fallback });
+}
+
+router.get('/', async (req, res) => {
+    try {
+        const groups = await productSearch.listSynonymGroups(req.pool);
+        res.json({ groups });
+    } catch (error) {
+        sendSynonymError(res, error, 'Failed to load synonym groups');
+    }
+});
+
+router.post('/', async (req, res) => {
+    try {
+        const group = await productSearch.createSynonymGroup(req.pool, req.body || {});
+        logger.info('Search synonym group created', { groupId: group.id, adminId: req.admin.id });
+        res.status(201).json(group);
+    } catch (error) {
+        sendSynonymError(res, error, 'Failed to create synonym group');
+    }
+});
+
+router.put('/:id', async (req, res) => {
+    const id = parseGroupId(req, res);
+    if (!id) return;
+    try {
+        const group = await productSearch.updateSynonymGroup(req.pool, id, req.body || {});
+        logger.info('Search synonym group updated', { groupId: id, adminId: req.admin.id });
+        res.json(group);
+    } catch (error) {
+        sendSynonymError(res, error, 'Failed to update synonym group');
+    }
+});
+
+router.delete('/:id', async (req, res) => {
+    const id = parseGroupId(req, res);
+    if (!id) return;
+    try {
+        await productSearch.deleteSynonymGroup(req.pool, id);
+        logger.info('Search synonym group deleted', { groupId: id, adminId: req.admin.id });
+        res.json({ message: 'Synonym group deleted' });
+    } catch (error) {
+        sendSynonymError(res, error, 'Failed to delete synonym group');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,104 @@
+'use strict';
+
+/**
+ * Shelf tags and barcode labels — mounted at /api/admin/shelf-labels (assistant managers and up;
+ * label settings are Manager and up). Labels print as ZPL to a network label printer or download as
+ * a PDF sheet or .zpl file; the queue lists products whose price changed since a date.
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { authenticateAdmin, requirePermission } = require('../middleware/adminAuth');
+const shelfLabels = require('../services/shelfLabels');
+
+router.use(authenticateAdmin, requirePermission('assistant_manager'));
+
+function sendLabelError(res, error, fallback) {
+    if ((error.status && error.status < 500) || error.code === 'LABEL_PRINT_FAILED') {
+        return res.status(error.status).json({ error: error.message, code: error.code, missing: error.missing });
+    }
+    logger.error(`${fallback}:`, error);
+    return res.status(500).json({ error: fallback });
+}
+
+router.get('/settings', async (req, res) => {
+    try {
+        const [settings, printers] = await Promise.all([
+            shelfLabels.loadLabelSettings(req.pool),
+            shelfLabels.listLabelPrinters(req.pool)
+        ]);
+        res.json({ settings, templates: shelfLabels.listTemplates(), printers });
+    } catch (error) {
+        sendLabelError(res, error, 'Failed to load label settings');
+    }
+});
+
+router.put('/settings', requirePermission('manager'), async (req, res) => {
+    try {
+        const settings = await shelfLabels.saveLabelSettings(req.pool, req.body || {});
+        res.json({ success: true, settings });
+    } catch (error) {
+        sendLabelError(res, error, 'Failed to save label settings');
+    }
+});
+
+router.get('/products', async (req, res) => {
+    try {
+        const products = await shelfLabels.searchLabelProducts(req.pool, req.query.q);
+        res.json({ products });
+    } catch (error) {
+        sendLabelError(res, error, 'Failed to search products');
+    }
+});
+
+router.get('/queue', async (req, res) => {
+    try {
+        const queue = await shelfLabels.getLabelQueue(req.pool, {
+            since: req.query.since,
+            includePrinted: req.query.includePrinted === '1' || req.query.includePrinted === 'true',
+            includePromotions: req.query.includePromotions !== '0' && req.query.includePromotions !== 'false'
+        });
+        res.json(queue);
+    } catch (error) {
+        sendLabelError(res, error, 'Failed to load label queue');
+    }
+});
+
+router.post('/print', async (req, res) => {
+    try {
+        const result = await shelfLabels.printLabels(req.pool, req.body || {}, {
+            printerId: req.body?.printerId,
+            adminId: req.admin.id
+        });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendLabelError(res, error, 'Failed to print labels');
+    }
+});
+
+router.post('/export.pdf', async (req, res) => {
+    try {
+        const { pdfBuffer, filename, missing } = await shelfLabels.generateLabelPdf(req.pool, req.body || {}, { adminId: req.admin.id });
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        if (missing.length) res.setHeader('X-Labels-Missing', missing.join(',').slice(0, 500));
+        res.send(pdfBuffer);
+    } catch (error) {
+        sendLabelError(res, error, 'Failed to build label sheet');
+    }
+});
+
+router.post('/export.zpl', async (req, res) => {
+    try {
+        const { zpl, missing } = await shelfLabels.generateLabelZpl(req.pool, req.body || {}, { adminId: req.admin.id });
+        res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+        res.setHeader('Content-Disposition', 'attachment; filename="labels.zpl"');
+        if (missing.length) res.setHeader('X-Labels-Missing', missing.join(',').slice(0, 500));
+        res.send(zpl);
+    } catch (error) {
+        sendLabelError(res, error, 'Failed to build label file');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,31 @@
+'use strict';
+
+/**
+ * Admin demand report for "notify me" alerts — mounted at /api/admin/stock-alerts.
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { authenticateAdmin, requirePermission } = require('../middleware/adminAuth');
+const stockAlerts = require('../services/stockAlerts');
+
+router.use(authenticateAdmin, requirePermission('assistant_manager'));
+
+router.get('/demand', async (req, res) => {
+    try {
+        const [items, totals] = await Promise.all([
+            stockAlerts.getDemandReport(req.pool, {
+                alertType: req.query.type,
+                search: req.query.search
+            }),
+            stockAlerts.getAlertTotals(req.pool)
+        ]);
+        res.json({ items, totals });
+    } catch (error) {
+        logger.error('Stock alert demand report error:', error);
+        res.status(500).json({ error: 'Failed to load alert demand' });
+    }
+});
+
+module.exports = router;
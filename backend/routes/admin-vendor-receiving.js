@@ -2,6 +2,7 @@
 
 const express = require('express');
 const { VendorReceivingService } = require('../services/vendor-receiving');
+const { listSpecialOrders } = require('../services/posSpecialOrders');
 
 /**
  * Admin routes for vendor purchase orders (package slip setup).
@@ -52,7 +53,7 @@ function createAdminVendorReceivingRouter(pool, { requireAdmin } = {}) {
             const order = await service.createOrder(req.body, req.admin?.id || req.adminUser?.id || null);
             res.status(201).json({ order });
         } catch (err) {
-            const status = err.code === 'DUPLICATE_PO' ? 409 : err.code === 'VALIDATION' ? 400 : 500;
+            const status = err.code === 'DUPLICATE_PO' ? 409 : err.code === 'VALIDATION' ? 400 : err.status || 500;
             res.status(status).json({ error: err.message, code: err.code });
         }
     });
@@ -68,6 +69,31 @@ function createAdminVendorReceivingRouter(pool, { requireAdmin } = {}) {
         }
     });
 
+    router.get('/special-orders', async (req, res) => {
+        try {
+            const specialOrders = await listSpecialOrders(pool, {
+                status: req.query.status || 'open,ordered,received',
+                unlinked: req.query.unlinked === '1' || req.query.unlinked === 'true',
+                search: req.query.search,
+                limit: req.query.limit
+            });
+            res.json({ specialOrders });
+        } catch (err) {
+            res.status(500).json({ error: err.message || 'Failed to list special orders' });
+        }
+    });
+
+    router.post('/orders/:id/lines/:lineId/special-orders', async (req, res) => {
+        try {
+            const specialOrderId = Number(req.body?.specialOrderId);
+            if (!specialOrderId) return res.status(400).json({ error: 'specialOrderId is required', code: 'VALIDATION' });
+            const order = await service.linkSpecialOrder(Number(req.params.id), Number(req.params.lineId), specialOrderId);
+            res.json({ order });
+        } catch (err) {
+            res.status(err.status || 500).json({ error: err.message, code: err.code });
+        }
+    });
+
     router.post('/orders/:id/open', async (req, res) => {
         try {
             const order = await service.openOrder(Number(req.params.id));
@@ -11,6 +11,7 @@ const path = require('path');
 const fs = require('fs').promises;
 const logger = require('../utils/logger');
 const { saveProductVariants } = require('../utils/saveProductVariants');
+const productBundles = require('../services/productBundles');
 const { sanitizeLegacyProductImageUrl } = require('../utils/catalogOverrides');
 const { normalizeScannedSku, generateUniqueProductSku, skuExists } = require('../utils/generateProductSku');
 
@@ -26,8 +27,14 @@ function parseJsonField(value, fallback = null) {
 const {
     sendAdminResolutionEmail,
     sendStaffCancelledCustomerEmail,
-    sendStaffRescheduledCustomerEmail
+    sendStaffRescheduledCustomerEmail,
+    sendPolicyFeeChargedEmail
 } = require('../services/edsaAppointmentEmail');
+const { markAttendance } = require('../services/edsaAppointmentPolicy');
+const edsaWaitlist = require('../services/edsaWaitlist');
+const edsaIntake = require('../services/edsaIntake');
+const edsaSessionNotes = require('../services/edsaSessionNotes');
+const edsaPackages = require('../services/edsaPackages');
 const {
     loadBookingRowById,
     deleteBookingCalendarEvent,
@@ -187,6 +194,10 @@ const activeScrapeJobs = require('../utils/activeScrapeJobs');
 const ProductImporter = require('../scripts/import-products');
 const ProductCategoryMatcher = require('../scripts/match-products-to-categories');
 const InventoryService = require('../services/inventory');
+const stockAlerts = require('../services/stockAlerts');
+const shelfLabels = require('../services/shelfLabels');
+const registerEvents = require('../services/posRegisterEvents');
+const { invalidateSearchIndex } = require('../services/productSearch');
 const VendorService = require('../services/vendor');
 const POSService = require('../services/pos');
 const POSGiftCardService = require('../services/pos-giftcard');
@@ -1084,11 +1095,24 @@ router.post('/products/bulk', ...adminAuth, requirePermission('manager'), async
 
         await validateProductReferences(req.pool, applied);
 
+        const touchesStockOrPrice = 'inventory_quantity' in applied || 'price' in applied;
+        const stockBefore = touchesStockOrPrice
+            ? await stockAlerts.snapshotStockState(req.pool, productIds)
+            : null;
+
         setParts.push('updated_at = CURRENT_TIMESTAMP');
         const [result] = await req.pool.execute(
             `UPDATE products SET ${setParts.join(', ')} WHERE id IN (${placeholders})`,
             [...setValues, ...productIds]
         );
+        if (touchesStockOrPrice) {
+            await productBundles.syncBundleProducts(req.pool, productIds);
+            await productBundles.syncBundlesForComponents(req.pool, productIds);
+        }
+        stockAlerts.queueStockStateAlerts(req.pool, stockBefore);
+        await shelfLabels.recordPriceChanges(req.pool, stockBefore, { source: 'bulk_edit', adminId: req.admin?.id });
+        invalidateSearchIndex();
+        registerEvents.notifyCatalogChanged(req.pool, productIds, 'bulk_edit');
 
         res.json({
             message: `Updated ${result.affectedRows} product(s).`,
@@ -1109,7 +1133,7 @@ router.post('/products', ...adminAuth, requirePermission('manager'), productVali
             sku, name, short_description, long_description, brand_id, category_id,
             price, compare_price, cost_price, weight, inventory_quantity, low_stock_threshold,
             is_active, is_featured, show_on_web, is_cannabis, coa_url, coa_updated_at,
-            health_categories, images, variants, variant_option_groups
+            ingredients, health_categories, images, variants, variant_option_groups, bundle
         } = req.body;
 
         // Validate required fields (SKU may be auto-generated)
@@ -1172,8 +1196,8 @@ router.post('/products', ...adminAuth, requirePermission('manager'), productVali
                     sku, name, slug, short_description, long_description,
                     brand_id, category_id, price, compare_price, cost_price, weight,
                     inventory_quantity, low_stock_threshold, is_active, is_featured, show_on_web,
-                    is_cannabis, coa_url, coa_updated_at
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                    is_cannabis, coa_url, coa_updated_at, ingredients
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             `, [
                 finalSku,
                 name,
@@ -1193,7 +1217,8 @@ router.post('/products', ...adminAuth, requirePermission('manager'), productVali
                 showOnWeb,
                 isCannabis,
                 coaUrlValue,
-                coaDateValue
+                coaDateValue,
+                ingredients ? String(ingredients).trim().slice(0, 2000) || null : null
             ]);
 
             const productId = result.insertId;
@@ -1252,7 +1277,13 @@ router.post('/products', ...adminAuth, requirePermission('manager'), productVali
                 );
             }
 
+            if (bundle) {
+                await productBundles.saveBundle(connection, productId, bundle);
+            }
+
             await connection.commit();
+            invalidateSearchIndex();
+            registerEvents.notifyCatalogChanged(req.pool, [productId], 'created');
 
             res.status(201).json({
                 message: 'Product created successfully',
@@ -1267,6 +1298,9 @@ router.post('/products', ...adminAuth, requirePermission('manager'), productVali
         }
 
     } catch (error) {
+        if (error.status === 400 && error.code) {
+            return res.status(400).json({ error: error.message, code: error.code });
+        }
         logger.error('Product creation error:', error);
         if (error.code === 'VARIANT_SKU_EXISTS' || (error.code === 'ER_DUP_ENTRY' && /product_variants\.sku/i.test(error.message || ''))) {
             const skuMatch = (error.message || '').match(/Duplicate entry '([^']+)'/);
@@ -1561,7 +1595,7 @@ router.get('/products/:id', ...adminAuth, async (req, res) => {
                 p.price, p.compare_price, p.cost_price, p.cost_synced_at,
                 p.weight, p.inventory_quantity, p.low_stock_threshold,
                 p.is_active, p.is_featured, p.show_on_web, p.is_cannabis, p.coa_url, p.coa_updated_at,
-                p.gift_card_type,
+                p.ingredients, p.gift_card_type,
                 p.variant_option_groups,
                 p.created_at, p.updated_at,
                 p.brand_id, p.category_id,
@@ -1579,6 +1613,7 @@ router.get('/products/:id', ...adminAuth, async (req, res) => {
 
         const product = products[0];
         product.variant_option_groups = parseJsonField(product.variant_option_groups, []);
+        product.bundle = await productBundles.getBundle(req.pool, product.id);
 
         // Get product images - handle gracefully if table doesn't exist
         try {
@@ -1674,6 +1709,7 @@ router.put('/products/:id', ...adminAuth, requirePermission('manager'), async (r
             updateData.sku = newSku;
         }
 
+        const stockBefore = await stockAlerts.snapshotStockState(req.pool, [id]);
         const connection = await req.pool.getConnection();
 
         try {
@@ -1754,7 +1790,20 @@ router.put('/products/:id', ...adminAuth, requirePermission('manager'), async (r
                 );
             }
 
+            // Bundle definition (null turns a bundle back into a single product); a price or stock
+            // edit on a component re-derives the bundles that contain it
+            if (updateData.bundle !== undefined) {
+                await productBundles.saveBundle(connection, id, updateData.bundle);
+            } else {
+                await productBundles.syncBundleProducts(connection, [id]);
+            }
+            await productBundles.syncBundlesForComponents(connection, [id]);
+
             await connection.commit();
+            stockAlerts.queueStockStateAlerts(req.pool, stockBefore);
+            await shelfLabels.recordPriceChanges(req.pool, stockBefore, { source: 'product_edit', adminId: req.admin?.id });
+            invalidateSearchIndex();
+            registerEvents.notifyCatalogChanged(req.pool, [id], 'updated');
 
             res.json({ message: 'Product updated successfully' });
 
@@ -1766,6 +1815,9 @@ router.put('/products/:id', ...adminAuth, requirePermission('manager'), async (r
         }
 
     } catch (error) {
+        if (error.status === 400 && error.code) {
+            return res.status(400).json({ error: error.message, code: error.code });
+        }
         logger.error('Product update error:', error);
         if (error.code === 'VARIANT_SKU_EXISTS' || (error.code === 'ER_DUP_ENTRY' && /product_variants\.sku/i.test(error.message || ''))) {
             const skuMatch = (error.message || '').match(/Duplicate entry '([^']+)'/);
@@ -1798,8 +1850,13 @@ router.delete('/products/:id', ...adminAuth, requirePermission('admin'), async (
             return res.status(404).json({ error: 'Product not found' });
         }
 
+        invalidateSearchIndex();
+        registerEvents.notifyCatalogChanged(req.pool, [id], 'deleted');
         res.json({ message: 'Product deleted successfully' });
     } catch (error) {
+        if (error.code === 'ER_ROW_IS_REFERENCED_2' && /product_bundle_components/.test(error.message || '')) {
+            return res.status(409).json({ error: 'This product is part of a bundle — remove it from the bundle first' });
+        }
         logger.error('Product deletion error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
@@ -2490,7 +2547,13 @@ router.get('/edsa/bookings', ...adminAuth, async (req, res) => {
                 preferred_date, preferred_time, alternative_date, alternative_time,
                 confirmed_date, confirmed_time, status, notes, admin_notes, created_at,
                 customer_request_type, customer_request_notes,
-                requested_date, requested_time, customer_request_at
+                requested_date, requested_time, customer_request_at,
+                service_id, service_name, duration_minutes, practitioner_id,
+                (SELECT name FROM edsa_practitioners p WHERE p.id = edsa_bookings.practitioner_id) AS practitioner_name,
+                amount_charged, balance_due,
+                customer_confirmed_at, attendance, attendance_marked_at,
+                fee_vault_customer_id IS NOT NULL AS has_fee_card, fee_card_last4,
+                policy_fee_type, policy_fee_amount, policy_fee_status, policy_fee_error
             FROM edsa_bookings
             ${whereClause}
             ORDER BY preferred_date ASC, preferred_time ASC
@@ -2548,48 +2611,78 @@ router.put('/edsa/bookings/:id', ...adminAuth, async (req, res) => {
 
         const clearCalendarOnCancel = nowCancelled && !wasCancelled;
 
-        await req.pool.execute(
-            `UPDATE edsa_bookings
-                SET status = ?,
-                    preferred_date = ?,
-                    preferred_time = ?,
-                    confirmed_date = ?,
-                    confirmed_time = ?,
-                    admin_notes = ?,
-                    google_calendar_event_id = CASE WHEN ? THEN NULL ELSE google_calendar_event_id END,
-                    customer_request_type = 'none',
-                    customer_request_notes = NULL,
-                    requested_date = NULL,
-                    requested_time = NULL,
-                    customer_request_at = NULL,
-                    updated_at = CURRENT_TIMESTAMP
-              WHERE id = ?`,
-            [
-                nextStatus,
-                nextDate,
-                nextTime,
-                confirmed_date != null
-                    ? normalizeDateYmd(confirmed_date) || confirmed_date
-                    : nextStatus === 'confirmed'
-                      ? nextDate
-                      : before.confirmed_date,
-                confirmed_time != null
-                    ? String(confirmed_time).slice(0, 5)
-                    : nextStatus === 'confirmed'
-                      ? nextTime
-                      : before.confirmed_time,
-                admin_notes != null ? admin_notes : before.admin_notes,
-                clearCalendarOnCancel ? 1 : 0,
-                bookingId
-            ]
-        );
+        // Restoring a cancelled package booking spends its session again (it was returned on cancel);
+        // the reclaim and the status change commit together so a failed restore never keeps the session.
+        const reclaimPackageSession = wasCancelled && !nowCancelled && Boolean(before.customer_package_id);
+        const connection = await req.pool.getConnection();
+        try {
+            await connection.beginTransaction();
+            if (reclaimPackageSession) {
+                await edsaPackages.reclaimSession(connection, before.customer_package_id, nextDate);
+            }
+
+            const [updated] = await connection.execute(
+                `UPDATE edsa_bookings
+                    SET status = ?,
+                        preferred_date = ?,
+                        preferred_time = ?,
+                        confirmed_date = ?,
+                        confirmed_time = ?,
+                        admin_notes = ?,
+                        google_calendar_event_id = CASE WHEN ? THEN NULL ELSE google_calendar_event_id END,
+                        cancelled_at = CASE WHEN ? THEN CURRENT_TIMESTAMP ELSE cancelled_at END,
+                        customer_request_type = 'none',
+                        customer_request_notes = NULL,
+                        requested_date = NULL,
+                        requested_time = NULL,
+                        customer_request_at = NULL,
+                        updated_at = CURRENT_TIMESTAMP
+                  WHERE id = ? AND status = ?`,
+                [
+                    nextStatus,
+                    nextDate,
+                    nextTime,
+                    confirmed_date != null
+                        ? normalizeDateYmd(confirmed_date) || confirmed_date
+                        : nextStatus === 'confirmed'
+                          ? nextDate
+                          : before.confirmed_date,
+                    confirmed_time != null
+                        ? String(confirmed_time).slice(0, 5)
+                        : nextStatus === 'confirmed'
+                          ? nextTime
+                          : before.confirmed_time,
+                    admin_notes != null ? admin_notes : before.admin_notes,
+                    clearCalendarOnCancel ? 1 : 0,
+                    clearCalendarOnCancel ? 1 : 0,
+                    bookingId,
+                    before.status
+                ]
+            );
+            // Another update changed the status first; bail out so a session is not returned (or taken) twice.
+            if (updated.affectedRows === 0) {
+                await connection.rollback();
+                return res.status(409).json({ error: 'This booking was just changed by someone else. Reload and try again.' });
+            }
+            await connection.commit();
+        } catch (err) {
+            await connection.rollback();
+            if (err.status === 409) return res.status(409).json({ error: err.message, code: err.code });
+            throw err;
+        } finally {
+            connection.release();
+        }
 
         const after = await loadBookingRowById(req.pool, bookingId);
         const emailPayload = bookingEmailPayload(after || before);
 
         if (nowCancelled) {
             if (before.google_calendar_event_id) {
-                await deleteBookingCalendarEvent(req.pool, before.google_calendar_event_id);
+                await deleteBookingCalendarEvent(
+                    req.pool,
+                    before.google_calendar_event_id,
+                    before.google_calendar_id
+                );
             }
             if (notifyCustomer && !wasCancelled) {
                 void sendStaffCancelledCustomerEmail(emailPayload);
@@ -2617,6 +2710,16 @@ router.put('/edsa/bookings/:id', ...adminAuth, async (req, res) => {
             }
         }
 
+        // Staff cancellations give a package session back.
+        if (nowCancelled && !wasCancelled && before.customer_package_id) {
+            await edsaPackages.releaseSession(req.pool, before.customer_package_id);
+        }
+
+        // The old time is free again: offer it to the waitlist.
+        if ((nowCancelled && !wasCancelled) || timeChanged) {
+            void edsaWaitlist.releaseSlotToWaitlist(req.pool, before);
+        }
+
         res.json({
             message: 'Booking updated successfully',
             booking: after,
@@ -2628,6 +2731,115 @@ router.put('/edsa/bookings/:id', ...adminAuth, async (req, res) => {
     }
 });
 
+// Mark an EDSA appointment attended or a no-show (a no-show charges the policy fee unless waived)
+router.post('/edsa/bookings/:id/attendance', ...adminAuth, async (req, res) => {
+    try {
+        const { attendance, charge_fee: chargeFee = true } = req.body || {};
+        const result = await markAttendance(req.pool, req.params.id, {
+            attendance,
+            chargeFee: chargeFee !== false,
+            adminId: req.admin?.id || null
+        });
+        if (result.fee?.status === 'charged') {
+            void sendPolicyFeeChargedEmail(bookingEmailPayload(result.booking), result.fee);
+        }
+        res.json({
+            message: result.attendance === 'attended' ? 'Marked attended' : 'Marked as a no-show',
+            attendance: result.attendance,
+            fee: result.fee
+        });
+    } catch (error) {
+        if (error.status && error.status < 500) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        logger.error('EDSA attendance error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+function sendEdsaSessionError(res, error, logLabel) {
+    if (error.status && error.status < 500) {
+        return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    logger.error(`${logLabel}:`, error);
+    return res.status(500).json({ error: 'Internal server error' });
+}
+
+// Intake answers and practitioner notes hold health information, so they are Manager and up only
+router.get('/edsa/bookings/:id/session', ...adminAuth, requirePermission('manager'), async (req, res) => {
+    try {
+        const bookingId = Number(req.params.id);
+        const [intake, note] = await Promise.all([
+            edsaIntake.intakeResponsesByBooking(req.pool, [bookingId]),
+            edsaSessionNotes.getSessionNote(req.pool, bookingId)
+        ]);
+        res.json({ intake: intake.get(bookingId) || [], note });
+    } catch (error) {
+        sendEdsaSessionError(res, error, 'EDSA session load error');
+    }
+});
+
+router.put('/edsa/bookings/:id/session', ...adminAuth, requirePermission('manager'), async (req, res) => {
+    try {
+        const note = await edsaSessionNotes.saveSessionNote(req.pool, req.params.id, req.body || {}, req.admin?.id || null);
+        res.json({ message: 'Session notes saved', note });
+    } catch (error) {
+        sendEdsaSessionError(res, error, 'EDSA session notes save error');
+    }
+});
+
+// Park the recommended products as a register ticket for the customer
+router.post('/edsa/bookings/:id/session/pos-ticket', ...adminAuth, requirePermission('manager'), async (req, res) => {
+    try {
+        const parkedSale = await edsaSessionNotes.sendRecommendationsToPos(req.pool, req.params.id);
+        res.status(201).json({ message: `Sent to the register as ticket #${parkedSale.id}`, parkedSale });
+    } catch (error) {
+        sendEdsaSessionError(res, error, 'EDSA recommendations POS ticket error');
+    }
+});
+
+// Checkout link that fills the customer's web cart with the recommendations (optionally emailed)
+router.post('/edsa/bookings/:id/session/cart-link', ...adminAuth, requirePermission('manager'), async (req, res) => {
+    try {
+        const result = await edsaSessionNotes.createRecommendationCartLink(req.pool, req.params.id, {
+            email: req.body?.email === true
+        });
+        res.json({
+            message: result.emailed ? 'Cart link emailed to the customer' : 'Cart link created',
+            ...result
+        });
+    } catch (error) {
+        sendEdsaSessionError(res, error, 'EDSA recommendations cart link error');
+    }
+});
+
+// EDSA waitlist demand per day, plus the entries behind it
+router.get('/edsa/waitlist', ...adminAuth, async (req, res) => {
+    try {
+        res.json(await edsaWaitlist.listWaitlistDemand(req.pool, req.query.from, req.query.to));
+    } catch (error) {
+        if (error.status && error.status < 500) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        logger.error('EDSA waitlist fetch error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Remove a customer from the waitlist (a slot held for them moves to the next customer)
+router.delete('/edsa/waitlist/:id', ...adminAuth, async (req, res) => {
+    try {
+        const result = await edsaWaitlist.cancelWaitlistEntry(req.pool, req.params.id);
+        res.json({ message: 'Removed from the waitlist', ...result });
+    } catch (error) {
+        if (error.status && error.status < 500) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        logger.error('EDSA waitlist remove error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // EDSA blocked dates (staff closes calendar days to online booking)
 router.get('/edsa/blocked-dates', ...adminAuth, async (req, res) => {
     try {
@@ -2733,6 +2945,7 @@ router.put('/settings', ...adminAuth, requirePermission('manager'), settingsVali
             }
 
             await connection.commit();
+            registerEvents.notifySettingsChanged(req.pool, 'store', updatedKeyNames);
 
             const googleBusinessSync = await tryAutoSyncGoogleBusinessHours(req, updatedKeyNames);
 
@@ -3102,6 +3315,7 @@ router.delete('/settings/pos-devices/:id', ...adminAuth, requirePermission('mana
         const { revokeDevice } = require('../services/posDeviceRegistry');
         const ok = await revokeDevice(req.pool, Number(req.params.id));
         if (!ok) return res.status(404).json({ error: 'Device not found' });
+        registerEvents.disconnectRegisterStreams(Number(req.params.id));
         res.json({ success: true });
     } catch (e) {
         res.status(500).json({ error: 'Failed to revoke device' });
@@ -3318,6 +3532,8 @@ router.post('/import-products', ...adminAuth, requirePermission('manager'), (req
 
         const importer = new ProductImporter(req.pool);
         const stats = await importer.importFromBuffer(req.file.buffer);
+        invalidateSearchIndex();
+        registerEvents.notifyCatalogChanged(req.pool, null, 'import');
 
         res.json({
             message: 'Product import completed',
@@ -3403,6 +3619,9 @@ router.post('/inventory/adjust', ...adminAuth, requirePermission('manager'), asy
             result
         });
     } catch (error) {
+        if (error.code === 'BUNDLE_STOCK_DERIVED') {
+            return res.status(400).json({ error: error.message, code: error.code });
+        }
         logger.error('Inventory adjustment error:', error);
         res.status(500).json({ error: 'Failed to adjust inventory: ' + error.message });
     }
@@ -0,0 +1,130 @@
+'use strict';
+
+/**
+ * Customer autoship (subscribe-and-save) — mounted at /api/autoship.
+ *
+ *   GET    /settings         public: discount percent and the delivery intervals customers may pick
+ *   GET    /                 the signed-in customer's subscriptions
+ *   POST   /                 subscribe to a line from order history { orderItemId, intervalDays, quantity?, paymentCardId? }
+ *   PATCH  /:id              change { quantity?, intervalDays?, paymentCardId? }
+ *   POST   /:id/skip         skip the next delivery
+ *   POST   /:id/pause        pause
+ *   POST   /:id/resume       resume
+ *   DELETE /:id              cancel
+ *
+ * Checkout enrollment happens when the order is paid (order_items.metadata.autoship).
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { getAuthenticatedUserFromRequest } = require('../utils/orderAccess');
+const autoship = require('../services/autoship');
+
+async function requireCustomer(req, res, next) {
+    const user = await getAuthenticatedUserFromRequest(req);
+    if (!user) return res.status(401).json({ error: 'Sign in to manage autoship' });
+    req.customer = user;
+    next();
+}
+
+function parseSubscriptionId(req, res) {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isInteger(id) || id <= 0) {
+        res.status(400).json({ error: 'Invalid subscription id' });
+        return null;
+    }
+    return id;
+}
+
+function sendAutoshipError(res, error, fallback) {
+    if (error.status && error.status < 500) {
+        return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    logger.error(`${fallback}:`, error);
+    return res.status(500).json({ error: fallback });
+}
+
+router.get('/settings', (req, res) => {
+    const { discountPercent, intervalDays } = autoship.loadAutoshipSettings();
+    res.json({ discountPercent, intervalDays });
+});
+
+router.get('/', requireCustomer, async (req, res) => {
+    try {
+        const subscriptions = await autoship.listSubscriptions(req.pool, req.customer.id);
+        const { discountPercent, intervalDays } = autoship.loadAutoshipSettings();
+        res.json({ subscriptions, settings: { discountPercent, intervalDays } });
+    } catch (error) {
+        sendAutoshipError(res, error, 'Failed to load autoship subscriptions');
+    }
+});
+
+router.post('/', requireCustomer, async (req, res) => {
+    const { orderItemId, intervalDays, quantity, paymentCardId } = req.body || {};
+    const itemId = parseInt(orderItemId, 10);
+    if (!Number.isInteger(itemId) || itemId <= 0) {
+        return res.status(400).json({ error: 'orderItemId is required' });
+    }
+    try {
+        const subscription = await autoship.subscribeFromOrderItem(req.pool, req.customer.id, {
+            orderItemId: itemId,
+            intervalDays,
+            quantity,
+            paymentCardId
+        });
+        logger.info('Autoship subscription created from order history', {
+            subscriptionId: subscription.id,
+            userId: req.customer.id
+        });
+        res.status(201).json(subscription);
+    } catch (error) {
+        sendAutoshipError(res, error, 'Failed to start autoship');
+    }
+});
+
+router.patch('/:id', requireCustomer, async (req, res) => {
+    const id = parseSubscriptionId(req, res);
+    if (!id) return;
+    try {
+        const { quantity, intervalDays, paymentCardId } = req.body || {};
+        const subscription = await autoship.updateSubscription(req.pool, req.customer.id, id, {
+            quantity,
+            intervalDays,
+            paymentCardId
+        });
+        res.json(subscription);
+    } catch (error) {
+        sendAutoshipError(res, error, 'Failed to update autoship');
+    }
+});
+
+const ACTIONS = {
+    skip: autoship.skipNextDelivery,
+    pause: autoship.pauseSubscription,
+    resume: autoship.resumeSubscription
+};
+
+router.post('/:id/:action(skip|pause|resume)', requireCustomer, async (req, res) => {
+    const id = parseSubscriptionId(req, res);
+    if (!id) return;
+    try {
+        const subscription = await ACTIONS[req.params.action](req.pool, req.customer.id, id);
+        res.json(subscription);
+    } catch (error) {
+        sendAutoshipError(res, error, `Failed to ${req.params.action} autoship`);
+    }
+});
+
+router.delete('/:id', requireCustomer, async (req, res) => {
+    const id = parseSubscriptionId(req, res);
+    if (!id) return;
+    try {
+        await autoship.cancelSubscription(req.pool, req.customer.id, id);
+        res.json({ message: 'Autoship cancelled' });
+    } catch (error) {
+        sendAutoshipError(res, error, 'Failed to cancel autoship');
+    }
+});
+
+module.exports = router;
@@ -8,6 +8,20 @@ const { cartLookupBinds } = require('../utils/cartSession');
 const { loadInventorySettings, canFulfillQuantity } = require('../utils/inventorySettings');
 const { STOREFRONT_VISIBLE_WHERE } = require('../utils/storefrontProductVisibility');
 const { loadStoreTaxRate } = require('../utils/storeTaxRate');
+const { getAuthenticatedUserFromRequest } = require('../utils/orderAccess');
+const { restoreCartFromToken, sendContactConfirmation, confirmCartContact } = require('../services/abandonedCarts');
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_SYNC_LINES = 100;
+
+// Signed-in shoppers own their cart by user id; guests fall back to the session id.
+router.use(async (req, res, next) => {
+    if (!req.user) {
+        const authUser = await getAuthenticatedUserFromRequest(req);
+        if (authUser) req.user = authUser;
+    }
+    next();
+});
 
 // Get or create cart for user/session
 const getOrCreateCart = async (pool, userId, sessionId) => {
@@ -201,7 +215,7 @@ router.put('/items/:itemId', updateCartValidation, async (req, res) => {
 
         // Verify item belongs to user's cart
         const [items] = await req.pool.execute(`
-            SELECT ci.id, ci.product_id, ci.variant_id, p.track_inventory, p.allow_backorder, p.inventory_quantity, pv.inventory_quantity as variant_inventory
+            SELECT ci.id, ci.cart_id, ci.product_id, ci.variant_id, p.track_inventory, p.allow_backorder, p.inventory_quantity, pv.inventory_quantity as variant_inventory
             FROM cart_items ci
             JOIN shopping_carts sc ON ci.cart_id = sc.id
             JOIN products p ON ci.product_id = p.id
@@ -237,6 +251,11 @@ router.put('/items/:itemId', updateCartValidation, async (req, res) => {
             );
         }
 
+        await req.pool.execute(
+            'UPDATE shopping_carts SET updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [item.cart_id]
+        );
+
         res.json({ message: 'Cart updated successfully' });
     } catch (error) {
         logger.error('Cart update error:', error);
@@ -253,7 +272,7 @@ router.delete('/items/:itemId', async (req, res) => {
 
         // Verify item belongs to user's cart
         const [items] = await req.pool.execute(`
-            SELECT ci.id
+            SELECT ci.id, ci.cart_id
             FROM cart_items ci
             JOIN shopping_carts sc ON ci.cart_id = sc.id
             WHERE ci.id = ? AND (sc.user_id = ? OR sc.session_id = ?)
@@ -264,6 +283,10 @@ router.delete('/items/:itemId', async (req, res) => {
         }
 
         await req.pool.execute('DELETE FROM cart_items WHERE id = ?', [itemId]);
+        await req.pool.execute(
+            'UPDATE shopping_carts SET updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [items[0].cart_id]
+        );
 
         res.json({ message: 'Item removed from cart' });
     } catch (error) {
@@ -291,4 +314,129 @@ router.delete('/clear', async (req, res) => {
     }
 });
 
+// Replace the server-side cart with the storefront (localStorage) cart so abandoned-cart
+// reminders see what the shopper actually has. Prices come from the catalog, not the client.
+router.put('/sync', async (req, res) => {
+    try {
+        const userId = req.user?.id || null;
+        const sessionId = req.headers['x-session-id'] || req.sessionID;
+        if (!userId && !sessionId) {
+            return res.status(400).json({ error: 'Cart session required' });
+        }
+
+        const rawItems = Array.isArray(req.body?.items) ? req.body.items.slice(0, MAX_SYNC_LINES) : [];
+        const emailRaw = String(req.body?.email || '').trim().toLowerCase();
+        const contactEmail = !userId && EMAIL_RE.test(emailRaw) && emailRaw.length <= 255 ? emailRaw : null;
+
+        const wanted = new Map();
+        for (const raw of rawItems) {
+            const productId = Number(raw?.productId ?? raw?.id);
+            const variantId = raw?.variantId ?? raw?.variant_id;
+            const quantity = Math.floor(Number(raw?.quantity));
+            if (!Number.isInteger(productId) || productId < 1 || !(quantity > 0)) continue;
+            const vid = Number(variantId) > 0 ? Number(variantId) : null;
+            const key = `${productId}:${vid || 0}`;
+            const prev = wanted.get(key);
+            wanted.set(key, { productId, variantId: vid, quantity: Math.min((prev?.quantity || 0) + quantity, 999) });
+        }
+
+        const cartId = await getOrCreateCart(req.pool, userId, sessionId);
+        const [existing] = await req.pool.execute(
+            'SELECT product_id, variant_id, quantity FROM cart_items WHERE cart_id = ?',
+            [cartId]
+        );
+        const [[cartRow]] = await req.pool.execute('SELECT contact_email FROM shopping_carts WHERE id = ?', [cartId]);
+
+        const unchanged =
+            existing.length === wanted.size &&
+            existing.every((row) => {
+                const line = wanted.get(`${row.product_id}:${row.variant_id || 0}`);
+                return line && line.quantity === Number(row.quantity);
+            });
+        const emailChanged = contactEmail && contactEmail !== cartRow?.contact_email;
+
+        // Page loads re-send the same cart; only real changes count as activity.
+        if (unchanged && !emailChanged) {
+            return res.json({ synced: true, changed: false, itemCount: existing.length });
+        }
+
+        const connection = await req.pool.getConnection();
+        try {
+            await connection.beginTransaction();
+            if (!unchanged) {
+                await connection.execute('DELETE FROM cart_items WHERE cart_id = ?', [cartId]);
+                for (const line of wanted.values()) {
+                    const [rows] = await connection.execute(
+                        `SELECT COALESCE(pv.price, p.price) AS price
+                           FROM products p
+                           LEFT JOIN product_variants pv ON pv.id = ? AND pv.product_id = p.id AND pv.is_active = 1
+                          WHERE p.id = ? AND p.is_active = 1 AND ${STOREFRONT_VISIBLE_WHERE}
+                            AND (? IS NULL OR pv.id IS NOT NULL)`,
+                        [line.variantId, line.productId, line.variantId]
+                    );
+                    if (!rows.length) continue;
+                    await connection.execute(
+                        'INSERT INTO cart_items (cart_id, product_id, variant_id, quantity, price) VALUES (?, ?, ?, ?, ?)',
+                        [cartId, line.productId, line.variantId, line.quantity, rows[0].price]
+                    );
+                }
+            }
+            // A new guest email waits for the double opt-in link before any reminder goes to it.
+            await connection.execute(
+                `UPDATE shopping_carts
+                    SET contact_email = COALESCE(?, contact_email),
+                        contact_email_confirmed_at = CASE WHEN ? THEN NULL ELSE contact_email_confirmed_at END,
+                        updated_at = CURRENT_TIMESTAMP
+                  WHERE id = ?`,
+                [contactEmail, emailChanged ? 1 : 0, cartId]
+            );
+            await connection.commit();
+        } catch (txErr) {
+            await connection.rollback();
+            throw txErr;
+        } finally {
+            connection.release();
+        }
+
+        if (emailChanged) {
+            void sendContactConfirmation(cartId, contactEmail).catch((err) =>
+                logger.warn(`[abandoned-carts] confirm email for cart ${cartId} failed: ${err.message}`)
+            );
+        }
+
+        res.json({ synced: true, changed: true, itemCount: wanted.size });
+    } catch (error) {
+        logger.error('Cart sync error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Restore a saved cart from a signed reminder-email link
+router.get('/restore/:token', async (req, res) => {
+    try {
+        const result = await restoreCartFromToken(req.pool, req.params.token);
+        res.json({ items: result.items, promoCode: result.promoCode });
+    } catch (error) {
+        if (error.status && error.status < 500) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        logger.error('Cart restore error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Double opt-in for guest cart reminders (link in the confirmation email)
+router.post('/contact/confirm', async (req, res) => {
+    try {
+        await confirmCartContact(req.pool, req.body?.token);
+        res.json({ confirmed: true });
+    } catch (error) {
+        if (error.status && error.status < 500) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        logger.error('Cart contact confirm error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 module.exports = router;
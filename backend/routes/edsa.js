@@ -6,7 +6,8 @@ const logger = require('../utils/logger');
 const {
     edsaBookingValidation,
     edsaCustomerEmailValidation,
-    edsaCustomerRescheduleValidation
+    edsaCustomerRescheduleValidation,
+    edsaWaitlistValidation
 } = require('../middleware/validation');
 const googleCalendar = require('../services/google-calendar');
 const { isUsPhoneDisplay } = require('../utils/usPhoneDisplay');
@@ -16,8 +17,14 @@ const {
     sendAppointmentCancelledEmail,
     sendAppointmentCancelledStoreEmail,
     sendAppointmentRescheduledEmail,
-    sendAppointmentRescheduledStoreEmail
+    sendAppointmentRescheduledStoreEmail,
+    sendPolicyFeeChargedEmail
 } = require('../services/edsaAppointmentEmail');
+const edsaPolicy = require('../services/edsaAppointmentPolicy');
+const edsaWaitlist = require('../services/edsaWaitlist');
+const edsaIntake = require('../services/edsaIntake');
+const edsaPackages = require('../services/edsaPackages');
+const { loadRecommendationCart } = require('../services/edsaSessionNotes');
 const {
     isStoreDateTimeInFuture,
     normalizeDateYmd,
@@ -31,6 +38,7 @@ const {
     slotsForBlockedDay
 } = require('../utils/edsaAvailability');
 const { listBlockedDates, blockedDateSet } = require('../services/edsaBlockedDates');
+const edsaServiceCatalog = require('../services/edsaServiceCatalog');
 const { nmiSale, nmiVoid } = require('../services/nmiGateway');
 const nmiVaultCards = require('../services/nmiVaultCards');
 const {
@@ -81,8 +89,11 @@ function finalizeSlotAvailability(dateYmd, slots, blockedSet) {
     return applyPastTimeFilter(dateYmd, slots);
 }
 
-/** HH:MM times held by paid, confirmed website bookings only (unpaid attempts do not reserve slots). */
-async function getActiveBookedTimesForDate(pool, dateStr, excludeBookingId = null) {
+/**
+ * HH:MM times held by paid, confirmed website bookings (unpaid attempts do not reserve slots) and
+ * by live waitlist offers, except the offer being claimed.
+ */
+async function getActiveBookedTimesForDate(pool, dateStr, excludeBookingId = null, excludeOfferId = null) {
     const excludeId = Number(excludeBookingId);
     const hasExclude = Number.isFinite(excludeId) && excludeId > 0;
     const excludeSql = hasExclude ? ' AND id <> ?' : '';
@@ -92,8 +103,12 @@ async function getActiveBookedTimesForDate(pool, dateStr, excludeBookingId = nul
         `SELECT preferred_time AS slot_time
            FROM edsa_bookings
           WHERE preferred_date = ?
-            AND status = 'confirmed'${excludeSql}`,
-        params
+            AND status = 'confirmed'${excludeSql}
+         UNION ALL
+         SELECT slot_time
+           FROM edsa_waitlist_offers
+          WHERE slot_date = ? AND status = 'pending' AND expires_at > NOW() AND id <> ?`,
+        [...params, dateStr, Number(excludeOfferId) || 0]
     );
     const times = new Set();
     for (const row of rows) {
@@ -126,6 +141,14 @@ function formatBookingRow(booking) {
             ? String(booking.requested_time).slice(0, 5)
             : null,
         customerRequestAt: booking.customer_request_at || null,
+        serviceId: booking.service_id || null,
+        serviceName: booking.service_name || null,
+        durationMinutes: booking.duration_minutes || null,
+        practitionerId: booking.practitioner_id || null,
+        practitionerName: booking.practitioner_name || null,
+        balanceDue: booking.balance_due != null ? Number(booking.balance_due) : null,
+        customerConfirmedAt: booking.customer_confirmed_at || null,
+        attendance: booking.attendance || null,
         canChange,
         hasPendingRequest: false,
     };
@@ -141,12 +164,18 @@ async function loadBookingForCustomer(pool, bookingId, email) {
     }
 
     const [rows] = await pool.execute(
-        `SELECT id, first_name, last_name, email, phone,
-                preferred_date, preferred_time, status, notes, created_at,
-                google_calendar_event_id,
-                customer_request_type, customer_request_notes,
-                requested_date, requested_time, customer_request_at
-           FROM edsa_bookings WHERE id = ? LIMIT 1`,
+        `SELECT b.id, b.user_id, b.first_name, b.last_name, b.email, b.phone,
+                b.preferred_date, b.preferred_time, b.status, b.notes, b.created_at,
+                b.google_calendar_event_id, b.google_calendar_id,
+                b.customer_request_type, b.customer_request_notes,
+                b.requested_date, b.requested_time, b.customer_request_at,
+                b.service_id, b.service_name, b.duration_minutes, b.buffer_minutes,
+                b.practitioner_id, b.balance_due, p.name AS practitioner_name,
+                b.customer_confirmed_at, b.attendance, b.fee_vault_customer_id, b.fee_vault_billing_id,
+                b.fee_card_last4, b.policy_fee_status, b.customer_package_id
+           FROM edsa_bookings b
+           LEFT JOIN edsa_practitioners p ON p.id = b.practitioner_id
+          WHERE b.id = ? LIMIT 1`,
         [id]
     );
     if (!rows.length) return null;
@@ -162,14 +191,16 @@ async function loadBookingRowById(pool, bookingId) {
     if (!Number.isFinite(id) || id < 1) return null;
     const [rows] = await pool.execute(
         `SELECT id, first_name, last_name, email, phone,
-                preferred_date, preferred_time, status, notes, google_calendar_event_id
+                preferred_date, preferred_time, status, notes,
+                google_calendar_event_id, google_calendar_id,
+                service_id, service_name, duration_minutes, buffer_minutes, practitioner_id
            FROM edsa_bookings WHERE id = ? LIMIT 1`,
         [id]
     );
     return rows.length ? rows[0] : null;
 }
 
-async function isSlotAvailable(pool, dateStr, timeHm, excludeBookingId = null) {
+async function isSlotAvailable(pool, dateStr, timeHm, excludeBookingId = null, excludeOfferId = null) {
     const dateYmd = normalizeDateYmd(dateStr);
     const normalizedTime = String(timeHm).slice(0, 5);
 
@@ -186,7 +217,7 @@ async function isSlotAvailable(pool, dateStr, timeHm, excludeBookingId = null) {
         return false;
     }
 
-    const dbBooked = await getActiveBookedTimesForDate(pool, dateYmd, excludeBookingId);
+    const dbBooked = await getActiveBookedTimesForDate(pool, dateYmd, excludeBookingId, excludeOfferId);
     if (dbBooked.has(normalizedTime)) {
         return false;
     }
@@ -212,12 +243,46 @@ async function isSlotAvailable(pool, dateStr, timeHm, excludeBookingId = null) {
     return true;
 }
 
-async function deleteBookingCalendarEvent(pool, eventId) {
+/**
+ * Availability for a catalog service. Resolves to the practitioner who would take the booking
+ * (the one asked for, or the first free eligible one), or null when the time cannot be booked.
+ */
+async function findServiceSlotPractitioner(
+    pool,
+    { dateYmd, timeHm, serviceId, practitionerId = null, excludeBookingId = null, excludeOfferId = null }
+) {
+    if (!dateYmd || isDateBeforeStoreToday(dateYmd) || !isStoreDateTimeInFuture(dateYmd, timeHm)) {
+        return null;
+    }
+    const blocked = await blockedDateSet(pool, dateYmd, dateYmd);
+    if (isDateBlocked(dateYmd, blocked)) {
+        return null;
+    }
+    const { practitioner } = await edsaServiceCatalog.findAvailablePractitioner(pool, {
+        dateYmd,
+        timeHm,
+        serviceId,
+        practitionerId,
+        excludeBookingId,
+        excludeOfferId
+    });
+    return practitioner;
+}
+
+function sendCatalogError(res, error, logLabel, publicMessage = 'Internal server error') {
+    if (error.status && error.status < 500) {
+        return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    logger.error(`${logLabel}:`, error);
+    return res.status(500).json({ error: publicMessage });
+}
+
+async function deleteBookingCalendarEvent(pool, eventId, calendarId = null) {
     if (!eventId) return;
     try {
         await googleCalendar.ensureInitialized(pool);
         if (googleCalendar.isAvailable()) {
-            await googleCalendar.deleteEvent(eventId, pool);
+            await googleCalendar.deleteEvent(eventId, pool, calendarId);
         }
     } catch (err) {
         logger.warn('Could not delete calendar event:', err.message);
@@ -238,7 +303,8 @@ async function syncBookingCalendarEvent(pool, row) {
         preferredDate: normalizeDateYmd(row.preferred_date) || row.preferred_date,
         preferredTime: String(row.preferred_time || '').slice(0, 5),
         notes: row.notes,
-        bookingId
+        bookingId,
+        ...(await edsaServiceCatalog.bookingCalendarDetails(pool, row))
     };
 
     await googleCalendar.ensureInitialized(pool);
@@ -252,8 +318,8 @@ async function syncBookingCalendarEvent(pool, row) {
         const created = await googleCalendar.createEvent(payload, pool);
         if (created?.eventId) {
             await pool.execute(
-                'UPDATE edsa_bookings SET google_calendar_event_id = ? WHERE id = ?',
-                [created.eventId, bookingId]
+                'UPDATE edsa_bookings SET google_calendar_event_id = ?, google_calendar_id = ? WHERE id = ?',
+                [created.eventId, payload.calendarId || null, bookingId]
             );
         }
     } catch (err) {
@@ -276,7 +342,12 @@ async function finalizeEdsaBookingAfterInsert(pool, bookingId, payload) {
         phone,
         preferredDate,
         preferredTime,
-        notes
+        notes,
+        serviceId = null,
+        serviceName = null,
+        practitionerName = null,
+        durationMinutes = null,
+        calendarId = null
     } = payload;
 
     try {
@@ -292,7 +363,11 @@ async function finalizeEdsaBookingAfterInsert(pool, bookingId, payload) {
                         preferredDate,
                         preferredTime,
                         notes: notes || null,
-                        bookingId
+                        bookingId,
+                        serviceName,
+                        practitionerName,
+                        durationMinutes,
+                        calendarId
                     },
                     pool
                 ),
@@ -303,8 +378,8 @@ async function finalizeEdsaBookingAfterInsert(pool, bookingId, payload) {
             if (calendarEvent?.eventId) {
                 try {
                     await pool.execute(
-                        'UPDATE edsa_bookings SET google_calendar_event_id = ? WHERE id = ?',
-                        [calendarEvent.eventId, bookingId]
+                        'UPDATE edsa_bookings SET google_calendar_event_id = ?, google_calendar_id = ? WHERE id = ?',
+                        [calendarEvent.eventId, calendarId, bookingId]
                     );
                 } catch (dbError) {
                     logger.warn(
@@ -327,7 +402,10 @@ async function finalizeEdsaBookingAfterInsert(pool, bookingId, payload) {
                 phone,
                 preferredDate,
                 preferredTime,
-                notes: notes || null
+                notes: notes || null,
+                serviceName,
+                practitionerName,
+                intakeRequired: await edsaIntake.hasIntakeForms(pool, serviceId)
             }),
             15000,
             'EDSA confirmation email'
@@ -345,7 +423,10 @@ async function sendEdsaBookingConfirmations(bookingId, emailFields) {
         email: emailFields.email,
         phone: emailFields.phone,
         preferredDate: emailFields.preferredDate,
-        preferredTime: emailFields.preferredTime
+        preferredTime: emailFields.preferredTime,
+        serviceName: emailFields.serviceName || null,
+        practitionerName: emailFields.practitionerName || null,
+        intakeRequired: Boolean(emailFields.intakeRequired)
     };
     try {
         await Promise.all([
@@ -366,7 +447,9 @@ function bookingEmailPayload(row) {
         phone: row.phone,
         preferredDate: normalizeDateYmd(row.preferred_date) || row.preferred_date,
         preferredTime: String(row.preferred_time || '').slice(0, 5),
-        notes: row.notes
+        notes: row.notes,
+        serviceName: row.service_name || null,
+        practitionerName: row.practitioner_name || null
     };
 }
 
@@ -434,15 +517,30 @@ router.get('/booking-context', async (req, res) => {
         const to = normalizeDateYmd(req.query.to) || from;
         const blocked = await listBlockedDates(req.pool, from, to);
         const price = await getEdsaServicePrice(req.pool);
+        let services = [];
+        try {
+            if (await edsaServiceCatalog.hasServiceCatalog(req.pool)) {
+                services = await edsaServiceCatalog.listBookableServices(req.pool);
+            }
+        } catch (catalogErr) {
+            logger.warn('EDSA booking-context services:', catalogErr.message);
+        }
         const paymentConfigured = isEdsaPaymentConfigured();
+        const policy = await edsaPolicy.loadAppointmentPolicy(req.pool);
         const authUser = await getAuthenticatedUserFromRequest(req);
         let savedCards = [];
+        let packages = [];
         if (authUser) {
             try {
                 savedCards = await nmiVaultCards.listUserVaultCards(req.pool, authUser.id);
             } catch (cardErr) {
                 logger.warn('EDSA booking-context saved cards:', cardErr.message);
             }
+            try {
+                packages = await edsaPackages.usablePackages(req.pool, { userId: authUser.id, email: authUser.email });
+            } catch (packageErr) {
+                logger.warn('EDSA booking-context packages:', packageErr.message);
+            }
         }
 
         res.set('Cache-Control', 'no-store, no-cache, must-revalidate');
@@ -451,10 +549,20 @@ router.get('/booking-context', async (req, res) => {
             todayYmd: getStoreTodayYmd(),
             blockedDates: blocked.map((b) => b.date),
             price,
+            services,
+            cancellationPolicy: paymentConfigured ? edsaPolicy.publicPolicy(policy) : null,
             paymentRequired: paymentConfigured,
             paymentEnabled: paymentConfigured,
             isLoggedIn: Boolean(authUser),
             savedCards,
+            packages: packages.map((pkg) => ({
+                id: pkg.id,
+                name: pkg.name,
+                serviceId: pkg.serviceId,
+                serviceName: pkg.serviceName,
+                sessionsRemaining: pkg.sessionsRemaining,
+                expiresOn: pkg.expiresOn
+            })),
             paymentConfig: paymentConfigured
                 ? {
                       tokenizationKey: getNmiPublicTokenizationKey(),
@@ -474,6 +582,11 @@ router.get('/booking-context', async (req, res) => {
 router.get('/available-slots', async (req, res) => {
     try {
         const { date, excludeBookingId } = req.query;
+        let serviceId = req.query.serviceId || null;
+        let practitionerId = req.query.practitionerId || null;
+        // A waitlist claim link sees its own held slot as open.
+        const claimOffer = req.query.claim ? await edsaWaitlist.loadOffer(req.pool, req.query.claim) : null;
+        const excludeOfferId = claimOffer && claimOffer.status === 'pending' ? claimOffer.id : null;
 
         if (!date) {
             return res.status(400).json({ error: 'Date parameter is required (YYYY-MM-DD)' });
@@ -495,10 +608,32 @@ router.get('/available-slots', async (req, res) => {
             return res.json({ slots: [] });
         }
 
+        if (!serviceId && excludeBookingId) {
+            // Rescheduling a service booking: same service, same practitioner.
+            const booking = await loadBookingRowById(req.pool, excludeBookingId);
+            if (booking?.service_id) {
+                serviceId = booking.service_id;
+                practitionerId = booking.practitioner_id;
+            }
+        }
+
+        if (serviceId) {
+            const { slots } = await edsaServiceCatalog.getServiceSlots(req.pool, {
+                dateYmd,
+                serviceId,
+                practitionerId,
+                excludeBookingId: excludeBookingId || null,
+                excludeOfferId
+            });
+            res.set('Cache-Control', 'no-store, no-cache, must-revalidate');
+            return res.json({ slots: finalizeSlotAvailability(dateYmd, slots, blocked) });
+        }
+
         const dbBooked = await getActiveBookedTimesForDate(
             req.pool,
             dateYmd,
-            excludeBookingId || null
+            excludeBookingId || null,
+            excludeOfferId
         );
 
         await googleCalendar.ensureInitialized(req.pool);
@@ -515,8 +650,7 @@ router.get('/available-slots', async (req, res) => {
             slots: finalizeSlotAvailability(dateYmd, merged, blocked),
         });
     } catch (error) {
-        logger.error('Available slots error:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        sendCatalogError(res, error, 'Available slots error');
     }
 });
 
@@ -534,16 +668,31 @@ router.post('/book', edsaBookingValidation, async (req, res) => {
             alternativeTime,
             notes,
             payment_token: paymentTokenRaw,
-            savedCardId: savedCardIdRaw
+            savedCardId: savedCardIdRaw,
+            serviceId: serviceIdRaw,
+            packageId: packageIdRaw,
+            waitlistClaim
         } = req.body;
+        let practitionerIdRaw = req.body.practitionerId;
 
         const paymentRequired = isEdsaPaymentConfigured();
         const payment_token = String(paymentTokenRaw || '').trim();
         const savedCardId =
             savedCardIdRaw != null && savedCardIdRaw !== '' ? Number(savedCardIdRaw) : null;
         const authUser = await getAuthenticatedUserFromRequest(req);
+        // A prepaid package session replaces the card payment.
+        const customerPackageId =
+            packageIdRaw != null && packageIdRaw !== '' ? Number(packageIdRaw) : null;
+        const usePackage = Number.isInteger(customerPackageId) && customerPackageId > 0;
+
+        if (usePackage && !authUser) {
+            return res.status(401).json({
+                error: 'Sign in to book with your appointment package.',
+                code: 'AUTH_REQUIRED'
+            });
+        }
 
-        if (paymentRequired) {
+        if (paymentRequired && !usePackage) {
             const hasSavedCard = Number.isFinite(savedCardId) && savedCardId > 0;
             if (!payment_token && !hasSavedCard) {
                 return res.status(400).json({
@@ -605,20 +754,79 @@ router.post('/book', edsaBookingValidation, async (req, res) => {
         }
 
         const normalizedTime = String(preferredTime).slice(0, 5);
-        if (!(await isSlotAvailable(req.pool, preferredDate, normalizedTime))) {
+
+        // A waitlist claim books the held slot exactly as offered, ignoring its own hold.
+        let claimOffer = null;
+        if (waitlistClaim) {
+            claimOffer = await edsaWaitlist.loadClaimableOffer(req.pool, waitlistClaim);
+            const offered = edsaWaitlist.formatOffer(claimOffer);
+            if (
+                offered.slotDate !== normalizeDateYmd(preferredDate) ||
+                offered.slotTime !== normalizedTime ||
+                (offered.serviceId && Number(serviceIdRaw) !== offered.serviceId)
+            ) {
+                return res.status(409).json({
+                    error: 'Your waitlist offer is for a different time. Please book the time in your email.',
+                    code: 'OFFER_MISMATCH'
+                });
+            }
+            practitionerIdRaw = offered.practitionerId;
+        }
+
+        // With a service catalog the customer books a service (and optionally a practitioner);
+        // otherwise the single EDSA session at edsa_service_price.
+        let service = null;
+        let practitioner = null;
+        if (await edsaServiceCatalog.hasServiceCatalog(req.pool)) {
+            if (!serviceIdRaw) {
+                return res.status(400).json({ error: 'Please choose a service.', code: 'SERVICE_REQUIRED' });
+            }
+            service = await edsaServiceCatalog.loadBookableService(req.pool, serviceIdRaw);
+        }
+        const excludeOfferId = claimOffer ? claimOffer.id : null;
+        const slotOpen = async (practitionerId) => {
+            if (!service) return isSlotAvailable(req.pool, preferredDate, normalizedTime, null, excludeOfferId);
+            return findServiceSlotPractitioner(req.pool, {
+                dateYmd: preferredDate,
+                timeHm: normalizedTime,
+                serviceId: service.id,
+                practitionerId,
+                excludeOfferId
+            });
+        };
+
+        const openSlot = await slotOpen(practitionerIdRaw || null);
+        if (!openSlot) {
             return res.status(409).json({
                 error:
                     'That time is no longer available. Please choose another slot.',
                 code: 'SLOT_TAKEN',
             });
         }
+        if (service) practitioner = openSlot;
 
-        const servicePrice = await getEdsaServicePrice(req.pool);
-        const amountStr = servicePrice.toFixed(2);
+        const servicePrice = service ? service.price : await getEdsaServicePrice(req.pool);
+        const amountDue = service ? edsaServiceCatalog.amountDueAtBooking(service) : servicePrice;
+        const amountStr = amountDue.toFixed(2);
+        let balanceDue = service ? Math.round((servicePrice - amountDue) * 100) / 100 : null;
         let paymentReference = null;
-        let amountCharged = servicePrice;
-
-        if (paymentRequired) {
+        let amountCharged = amountDue;
+        // With a late-cancel or no-show fee in place, the card stays in the NMI vault so the fee can be charged later.
+        let feeCard = null;
+
+        if (usePackage) {
+            await edsaPackages.reserveSession(req.pool, {
+                customerPackageId,
+                userId: authUser.id,
+                email: authUser.email,
+                serviceId: service ? service.id : null,
+                dateYmd: normalizeDateYmd(preferredDate) || preferredDate
+            });
+            amountCharged = 0;
+            balanceDue = service ? 0 : null;
+            paymentReference = `package:${customerPackageId}`;
+        } else if (paymentRequired) {
+            const keepCardForFees = edsaPolicy.policyHasFees(await edsaPolicy.loadAppointmentPolicy(req.pool));
             let pay;
             if (Number.isFinite(savedCardId) && savedCardId > 0) {
                 pay = await nmiVaultCards.chargeVaultCard(
@@ -627,6 +835,12 @@ router.post('/book', edsaBookingValidation, async (req, res) => {
                     savedCardId,
                     amountStr
                 );
+                if (pay.ok && keepCardForFees) {
+                    feeCard = await nmiVaultCards.loadVaultCardReference(req.pool, authUser.id, savedCardId);
+                }
+            } else if (keepCardForFees) {
+                pay = await nmiVaultCards.saleAndVaultCard(payment_token, amountStr);
+                feeCard = pay.vault;
             } else {
                 pay = await nmiSale({
                     securityKey: getNmiPrivateApiKey(),
@@ -644,7 +858,7 @@ router.post('/book', edsaBookingValidation, async (req, res) => {
 
             paymentReference = pay.transactionId || null;
 
-            if (!(await isSlotAvailable(req.pool, preferredDate, normalizedTime))) {
+            if (!(await slotOpen(practitioner ? practitioner.id : null))) {
                 if (paymentReference) {
                     const voidResult = await nmiVoid({
                         securityKey: getNmiPrivateApiKey(),
@@ -670,12 +884,14 @@ router.post('/book', edsaBookingValidation, async (req, res) => {
             }
         }
 
-        const [result] = await req.pool.execute(`
+        const insertBooking = () => req.pool.execute(`
             INSERT INTO edsa_bookings (
                 user_id, first_name, last_name, email, phone,
                 preferred_date, preferred_time, alternative_date, alternative_time, notes,
-                status, confirmed_date, confirmed_time, payment_status, amount_charged, payment_reference
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                status, confirmed_date, confirmed_time, payment_status, amount_charged, payment_reference,
+                service_id, practitioner_id, service_name, duration_minutes, buffer_minutes, balance_due,
+                fee_vault_customer_id, fee_vault_billing_id, fee_card_last4, customer_package_id
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `, [
             authUser?.id || null,
             firstName,
@@ -692,10 +908,30 @@ router.post('/book', edsaBookingValidation, async (req, res) => {
             normalizedTime,
             'paid',
             amountCharged,
-            paymentReference
+            paymentReference,
+            service ? service.id : null,
+            practitioner ? practitioner.id : null,
+            service ? service.name : null,
+            service ? service.durationMinutes : null,
+            service ? service.bufferMinutes : null,
+            balanceDue,
+            feeCard ? feeCard.customerVaultId : null,
+            feeCard ? feeCard.billingId : null,
+            feeCard ? feeCard.last4 : null,
+            usePackage ? customerPackageId : null
         ]);
+        let result;
+        try {
+            [result] = await insertBooking();
+        } catch (insertErr) {
+            if (usePackage) await edsaPackages.releaseSession(req.pool, customerPackageId);
+            throw insertErr;
+        }
 
         const bookingId = Number(result.insertId);
+        if (claimOffer) {
+            await edsaWaitlist.markOfferClaimed(req.pool, claimOffer, bookingId);
+        }
 
         const shouldFinalize = !paymentRequired || Boolean(paymentReference);
 
@@ -705,6 +941,10 @@ router.post('/book', edsaBookingValidation, async (req, res) => {
             status: 'confirmed',
             paymentStatus: 'paid',
             amountCharged,
+            balanceDue,
+            packageId: usePackage ? customerPackageId : null,
+            serviceName: service ? service.name : null,
+            practitionerName: practitioner ? practitioner.name : null,
             firstName,
             lastName,
             email,
@@ -726,12 +966,107 @@ router.post('/book', edsaBookingValidation, async (req, res) => {
                 phone,
                 preferredDate,
                 preferredTime: normalizedTime,
-                notes: notes || null
+                notes: notes || null,
+                serviceId: service ? service.id : null,
+                serviceName: service ? service.name : null,
+                practitionerName: practitioner ? practitioner.name : null,
+                durationMinutes: service ? service.durationMinutes : null,
+                calendarId: practitioner ? practitioner.calendarId : null
             });
         }
     } catch (error) {
-        logger.error('EDSA booking error:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        sendCatalogError(res, error, 'EDSA booking error');
+    }
+});
+
+// Join the waitlist for a date range when the calendar is full
+router.post('/waitlist', edsaWaitlistValidation, async (req, res) => {
+    try {
+        const authUser = await getAuthenticatedUserFromRequest(req);
+        const entry = await edsaWaitlist.joinWaitlist(req.pool, req.body, authUser?.id || null);
+        res.status(201).json({
+            message: "You're on the waitlist. We'll email you as soon as a time opens up.",
+            waitlistId: entry.id,
+            dateFrom: entry.dateFrom,
+            dateTo: entry.dateTo,
+            timeOfDay: entry.timeOfDay
+        });
+    } catch (error) {
+        sendCatalogError(res, error, 'EDSA waitlist join error', 'Failed to join the waitlist');
+    }
+});
+
+// Waitlist offer behind a claim link (prefills the booking window)
+router.get('/waitlist/offers/:token', async (req, res) => {
+    try {
+        const offer = await edsaWaitlist.loadOffer(req.pool, req.params.token);
+        if (!offer) {
+            return res.status(404).json({ error: 'That waitlist offer was not found', code: 'OFFER_NOT_FOUND' });
+        }
+        res.set('Cache-Control', 'no-store, no-cache, must-revalidate');
+        res.json({ offer: edsaWaitlist.formatOffer(offer) });
+    } catch (error) {
+        sendCatalogError(res, error, 'EDSA waitlist offer error');
+    }
+});
+
+// "Not this time": releases the held slot to the next customer (optionally leaving the waitlist)
+router.post('/waitlist/offers/:token/decline', async (req, res) => {
+    try {
+        const result = await edsaWaitlist.declineOffer(req.pool, req.params.token, {
+            leaveWaitlist: req.body?.leaveWaitlist === true
+        });
+        res.json({
+            message: result.leftWaitlist
+                ? 'No problem — you have been removed from the waitlist.'
+                : "No problem — we'll let you know when another time opens up.",
+            ...result
+        });
+    } catch (error) {
+        sendCatalogError(res, error, 'EDSA waitlist decline error', 'Failed to release the offer');
+    }
+});
+
+// Intake questionnaires for an appointment (link in the confirmation email; email must match booking)
+router.get('/bookings/:id/intake', async (req, res) => {
+    try {
+        const booking = await loadBookingForCustomer(req.pool, req.params.id, req.query.email);
+        if (!booking) {
+            return res.status(404).json({ error: 'Appointment not found' });
+        }
+        res.set('Cache-Control', 'no-store, no-cache, must-revalidate');
+        res.json({
+            booking: formatBookingRow(booking),
+            open: edsaIntake.isIntakeOpen(booking),
+            forms: await edsaIntake.loadIntakeForBooking(req.pool, booking)
+        });
+    } catch (error) {
+        sendCatalogError(res, error, 'EDSA intake load error', 'Failed to load intake forms');
+    }
+});
+
+router.post('/bookings/:id/intake', edsaCustomerEmailValidation, async (req, res) => {
+    try {
+        const booking = await loadBookingForCustomer(req.pool, req.params.id, req.body.email);
+        if (!booking) {
+            return res.status(404).json({ error: 'Appointment not found' });
+        }
+        const result = await edsaIntake.submitIntakeResponse(req.pool, booking, req.body.formId, req.body.answers);
+        res.json({ message: 'Thank you — your answers were saved.', ...result });
+    } catch (error) {
+        if (error.fields) {
+            return res.status(400).json({ error: error.message, code: error.code, fields: error.fields });
+        }
+        sendCatalogError(res, error, 'EDSA intake submit error', 'Failed to save your answers');
+    }
+});
+
+// Practitioner recommendations behind a signed cart link (checkout.html?edsaCart=…)
+router.get('/recommendations/:token', async (req, res) => {
+    try {
+        res.json(await loadRecommendationCart(req.pool, req.params.token));
+    } catch (error) {
+        sendCatalogError(res, error, 'EDSA recommendation cart error');
     }
 });
 
@@ -793,14 +1128,44 @@ router.get('/bookings/:id/manage', async (req, res) => {
         if (!booking) {
             return res.status(404).json({ error: 'Appointment not found' });
         }
-        res.json(formatBookingRow(booking));
+        const policy = await edsaPolicy.loadAppointmentPolicy(req.pool);
+        res.json({
+            ...formatBookingRow(booking),
+            cancellationPolicy: edsaPolicy.publicPolicy(policy),
+            lateCancelFee: edsaPolicy.lateCancelFeeFor(policy, booking),
+            cardLast4: booking.fee_card_last4 || null
+        });
     } catch (error) {
         logger.error('EDSA manage booking error:', error);
         res.status(500).json({ error: 'Failed to load appointment' });
     }
 });
 
-// Customer self-service cancel (immediate)
+// Customer confirms they will attend (one-click link in the reminder email / text)
+router.post('/bookings/:id/confirm-attendance', edsaCustomerEmailValidation, async (req, res) => {
+    try {
+        const bookingId = Number(req.params.id);
+        const booking = await loadBookingForCustomer(req.pool, bookingId, req.body.email);
+        if (!booking) {
+            return res.status(404).json({ error: 'Appointment not found' });
+        }
+        if (booking.status !== 'confirmed') {
+            return res.status(400).json({ error: 'This appointment is no longer scheduled. Please call the store.' });
+        }
+        if (!booking.customer_confirmed_at) {
+            await req.pool.execute(
+                'UPDATE edsa_bookings SET customer_confirmed_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [bookingId]
+            );
+        }
+        res.json({ message: 'Thanks — you are confirmed. See you soon!', bookingId, confirmed: true });
+    } catch (error) {
+        logger.error('EDSA confirm attendance error:', error);
+        res.status(500).json({ error: 'Failed to confirm appointment' });
+    }
+});
+
+// Customer self-service cancel (immediate; a late cancel is charged the policy fee, or keeps the package session)
 router.post('/bookings/:id/cancel-appointment', edsaCustomerEmailValidation, async (req, res) => {
     try {
         const bookingId = Number(req.params.id);
@@ -817,11 +1182,22 @@ router.post('/bookings/:id/cancel-appointment', edsaCustomerEmailValidation, asy
             });
         }
 
+        if (!edsaPolicy.customerCanCancel(booking)) {
+            return res.status(409).json({
+                error: 'This appointment has already taken place and can no longer be cancelled.',
+                code: 'APPOINTMENT_PAST'
+            });
+        }
+
         const prevPayload = bookingEmailPayload(booking);
+        const policy = await edsaPolicy.loadAppointmentPolicy(req.pool);
+        const lateFee = edsaPolicy.lateCancelFeeFor(policy, booking);
+        const sessionForfeited = edsaPackages.sessionForfeitedOnCancel(policy, booking);
 
-        await req.pool.execute(
+        const [cancelled] = await req.pool.execute(
             `UPDATE edsa_bookings
                 SET status = 'cancelled',
+                    cancelled_at = CURRENT_TIMESTAMP,
                     google_calendar_event_id = NULL,
                     customer_request_type = 'none',
                     customer_request_notes = NULL,
@@ -829,12 +1205,22 @@ router.post('/bookings/:id/cancel-appointment', edsaCustomerEmailValidation, asy
                     requested_time = NULL,
                     customer_request_at = NULL,
                     updated_at = CURRENT_TIMESTAMP
-              WHERE id = ?`,
+              WHERE id = ? AND status IN ('pending', 'confirmed') AND attendance IS NULL`,
             [bookingId]
         );
+        // A repeated or concurrent submit already cancelled it: no second fee, package session or waitlist offer.
+        if (cancelled.affectedRows === 0) {
+            return res.status(400).json({
+                error: 'This appointment can no longer be cancelled online. Please call the store.',
+            });
+        }
 
         if (booking.google_calendar_event_id) {
-            await deleteBookingCalendarEvent(req.pool, booking.google_calendar_event_id);
+            await deleteBookingCalendarEvent(
+                req.pool,
+                booking.google_calendar_event_id,
+                booking.google_calendar_id
+            );
         }
 
         try {
@@ -846,10 +1232,36 @@ router.post('/bookings/:id/cancel-appointment', edsaCustomerEmailValidation, asy
             logger.error('EDSA cancellation email error (cancel saved):', emailErr);
         }
 
+        void edsaWaitlist.releaseSlotToWaitlist(req.pool, booking);
+
+        let sessionReturned = false;
+        if (booking.customer_package_id && !sessionForfeited) {
+            sessionReturned = await edsaPackages.releaseSession(req.pool, booking.customer_package_id);
+        }
+
+        let fee = null;
+        if (lateFee > 0) {
+            fee = await edsaPolicy.chargePolicyFee(req.pool, booking, 'late_cancel', lateFee);
+            if (fee.status === 'charged') {
+                void sendPolicyFeeChargedEmail(prevPayload, fee);
+            }
+        }
+
+        let message = 'Your appointment has been cancelled.';
+        if (fee?.status === 'charged') {
+            message = `Your appointment has been cancelled. A $${lateFee.toFixed(2)} late-cancellation fee was charged.`;
+        } else if (sessionForfeited) {
+            message = `Your appointment has been cancelled. Because it was within ${policy.lateCancelHours} hours, the package session was used.`;
+        } else if (sessionReturned) {
+            message = 'Your appointment has been cancelled and the session was returned to your package.';
+        }
+
         res.json({
-            message: 'Your appointment has been cancelled.',
+            message,
             bookingId,
             status: 'cancelled',
+            lateCancelFee: fee ? { amount: fee.amount, status: fee.status } : null,
+            packageSessionReturned: sessionReturned
         });
     } catch (error) {
         logger.error('EDSA customer cancel error:', error);
@@ -889,7 +1301,26 @@ router.post('/bookings/:id/reschedule-appointment', edsaCustomerRescheduleValida
             });
         }
 
-        if (!(await isSlotAvailable(req.pool, dateYmd, normalizedTime, bookingId))) {
+        if (
+            booking.customer_package_id &&
+            !(await edsaPackages.packageCoversDate(req.pool, booking.customer_package_id, dateYmd))
+        ) {
+            return res.status(400).json({
+                error: 'Your appointment package expires before that date. Please choose an earlier date.',
+                code: 'PACKAGE_EXPIRED'
+            });
+        }
+
+        const slotOpen = booking.service_id
+            ? await findServiceSlotPractitioner(req.pool, {
+                  dateYmd,
+                  timeHm: normalizedTime,
+                  serviceId: booking.service_id,
+                  practitionerId: booking.practitioner_id,
+                  excludeBookingId: bookingId
+              })
+            : await isSlotAvailable(req.pool, dateYmd, normalizedTime, bookingId);
+        if (!slotOpen) {
             return res.status(409).json({
                 error: 'That time is no longer available. Please choose another slot.',
                 code: 'SLOT_TAKEN',
@@ -920,6 +1351,7 @@ router.post('/bookings/:id/reschedule-appointment', edsaCustomerRescheduleValida
         if (updated) {
             await syncBookingCalendarEvent(req.pool, updated);
         }
+        void edsaWaitlist.releaseSlotToWaitlist(req.pool, booking);
 
         const emailPayload = bookingEmailPayload(updated || booking);
         try {
@@ -945,8 +1377,7 @@ router.post('/bookings/:id/reschedule-appointment', edsaCustomerRescheduleValida
             ),
         });
     } catch (error) {
-        logger.error('EDSA customer reschedule error:', error);
-        res.status(500).json({ error: 'Failed to reschedule appointment' });
+        sendCatalogError(res, error, 'EDSA customer reschedule error', 'Failed to reschedule appointment');
     }
 });
 
@@ -996,13 +1427,16 @@ router.put('/bookings/:id/cancel', async (req, res) => {
             return res.status(404).json({ error: 'Booking not found or cannot be cancelled' });
         }
 
+        const [booking] = await req.pool.execute(
+            'SELECT google_calendar_event_id, customer_package_id FROM edsa_bookings WHERE id = ?',
+            [id]
+        );
+        if (booking.length > 0 && booking[0].customer_package_id) {
+            await edsaPackages.releaseSession(req.pool, booking[0].customer_package_id);
+        }
+
         // Delete calendar event if it exists
         try {
-            const [booking] = await req.pool.execute(
-                'SELECT google_calendar_event_id FROM edsa_bookings WHERE id = ?',
-                [id]
-            );
-            
             if (booking.length > 0 && booking[0].google_calendar_event_id) {
                 await googleCalendar.ensureInitialized(req.pool);
                 if (googleCalendar.isAvailable()) {
@@ -7,6 +7,7 @@ const promoEngine = require('../services/webPromotionEngine');
 const { nmiSale, nmiVoid } = require('../services/nmiGateway');
 const nmiVaultCards = require('../services/nmiVaultCards');
 const { finalizePaidOrder } = require('../services/finalizePaidOrder');
+const { hasAutoshipLines } = require('../services/autoship');
 const { getCardAmountDueForOrder, persistOrderTenders, applyPendingStoreTendersAtCapture, loadLoyaltyProgramSettings } = require('../services/webCheckoutPayments');
 const { cartLookupBinds, hasCartIdentity } = require('../utils/cartSession');
 const {
@@ -304,7 +305,7 @@ router.post('/process-payment', async (req, res) => {
         }
 
         const [items] = await req.pool.execute(
-            'SELECT product_id, variant_id, quantity, price FROM order_items WHERE order_id = ?',
+            'SELECT product_id, variant_id, quantity, price, metadata FROM order_items WHERE order_id = ?',
             [oid]
         );
         const normalized = items.map((oi) => ({
@@ -359,6 +360,10 @@ router.post('/process-payment', async (req, res) => {
         const amountStr = chargeTotal.toFixed(2);
         const authUser = await getAuthenticatedUserFromRequest(req);
 
+        // Autoship lines need a vaulted card for the scheduled orders, so a new card is always saved.
+        const autoshipOrder = Boolean(authUser) && hasAutoshipLines(items);
+        let autoshipCardId = vaultCardId || null;
+
         let sale;
         if (vaultCardId) {
             if (!authUser) return res.status(401).json({ error: 'Sign in to use a saved card' });
@@ -376,13 +381,19 @@ router.post('/process-payment', async (req, res) => {
                 amount: amountStr,
                 paymentToken: payment_token
             });
-            if (sale.ok && saveCard && authUser) {
-                void nmiVaultCards
+            if (sale.ok && (saveCard || autoshipOrder) && authUser) {
+                const saving = nmiVaultCards
                     .saveVaultCard(req.pool, authUser.id, {
                         paymentToken: payment_token,
                         setAsDefault: Boolean(req.body?.setAsDefault)
                     })
-                    .catch((vaultErr) => logger.warn('Save card after checkout failed', { err: vaultErr.message }));
+                    .catch((vaultErr) => {
+                        logger.warn('Save card after checkout failed', { err: vaultErr.message });
+                        return null;
+                    });
+                if (autoshipOrder) {
+                    autoshipCardId = (await saving)?.id || null;
+                }
             }
         }
 
@@ -486,7 +497,8 @@ router.post('/process-payment', async (req, res) => {
             finalizeResult = await finalizePaidOrder(req.pool, {
                 orderId: oid,
                 paymentId: String(payId),
-                paymentStatus: 'paid'
+                paymentStatus: 'paid',
+                autoshipPaymentCardId: autoshipCardId
             });
         } catch (e) {
             if (e.code === 'ORDER_NOT_PENDING') {
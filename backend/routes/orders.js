@@ -26,6 +26,7 @@ const {
 const { reverseOrderFinancials } = require('../services/orderTenderReversal');
 const { nmiVoid } = require('../services/nmiGateway');
 const { loadStorePaymentProcessor, resolveProcessorCredentials } = require('../services/storePaymentProcessor');
+const { loadAutoshipSettings, normalizeIntervalDays } = require('../services/autoship');
 
 function mapCheckoutPromoHttpError(err) {
     const code = err && err.code ? String(err.code) : '';
@@ -141,12 +142,14 @@ function normalizeCartItems(cartItems = []) {
             const quantity = Number(item.quantity);
             const price = Number(item.price);
             const giftCard = item.giftCard || item.gift_card || null;
+            const autoshipDays = Number(item.autoshipIntervalDays ?? item.autoship_interval_days);
             return {
                 product_id: Number(item.product_id ?? item.productId ?? item.id ?? 0),
                 variant_id: item.variant_id ?? item.variantId ?? null,
                 quantity: Number.isFinite(quantity) ? quantity : 0,
                 price: Number.isFinite(price) ? price : 0,
-                giftCard: giftCard && typeof giftCard === 'object' ? giftCard : null
+                giftCard: giftCard && typeof giftCard === 'object' ? giftCard : null,
+                autoshipIntervalDays: autoshipDays > 0 && !giftCard ? autoshipDays : null
             };
         })
         .filter((item) => item.product_id > 0 && item.quantity > 0 && item.price >= 0);
@@ -194,6 +197,25 @@ router.post('/', async (req, res) => {
             throw giftErr;
         }
 
+        if (normalizedItems.some((item) => item.autoshipIntervalDays)) {
+            if (!userId) {
+                return res.status(401).json({
+                    error: 'Sign in to set up autoship.',
+                    code: 'AUTOSHIP_SIGN_IN_REQUIRED'
+                });
+            }
+            try {
+                const autoshipSettings = loadAutoshipSettings();
+                for (const item of normalizedItems) {
+                    if (item.autoshipIntervalDays) {
+                        item.autoshipIntervalDays = normalizeIntervalDays(item.autoshipIntervalDays, autoshipSettings);
+                    }
+                }
+            } catch (autoshipErr) {
+                return res.status(400).json({ error: autoshipErr.message, code: autoshipErr.code });
+            }
+        }
+
         const phoneTrim = String(normalizedCustomer.phone || '').trim();
         if (!phoneTrim || !isUsPhoneDisplay(phoneTrim)) {
             return res.status(400).json({
@@ -395,10 +417,15 @@ router.post('/', async (req, res) => {
 
             const orderId = orderResult.insertId;
 
-            // Add order items (server catalog price)
-            for (const line of checkout.enrichment) {
+            // Add order items (server catalog price); enrichment keeps the cart line order
+            for (const [index, line] of checkout.enrichment.entries()) {
                 const lineTotal = promoEngine.roundMoney(line.unitPrice * line.quantity);
-                const lineMeta = line.giftCard ? JSON.stringify({ giftCard: line.giftCard }) : null;
+                const autoshipDays = normalizedItems[index]?.autoshipIntervalDays;
+                const lineMeta = line.giftCard
+                    ? JSON.stringify({ giftCard: line.giftCard })
+                    : autoshipDays
+                      ? JSON.stringify({ autoship: { intervalDays: autoshipDays } })
+                      : null;
                 await connection.execute(
                     `
                     INSERT INTO order_items (
@@ -0,0 +1,60 @@
+'use strict';
+
+const express = require('express');
+const inventoryCounts = require('../services/inventoryCounts');
+
+/**
+ * Creates POS cycle count routes for /api/pos/v1/inventory-counts/*
+ *
+ * Expected middleware on parent router:
+ * - posDeviceAuth (validates X-POS-API-Key + X-POS-Device-Id)
+ */
+function createPosInventoryCountRouter(pool, { posEmployeeAuth } = {}) {
+    const router = express.Router();
+
+    if (posEmployeeAuth) {
+        router.use(posEmployeeAuth);
+    }
+
+    router.get('/', async (req, res) => {
+        try {
+            const sessions = await inventoryCounts.listSessions(pool, { status: 'counting', limit: req.query.limit });
+            res.json({ sessions });
+        } catch (err) {
+            res.status(500).json({ error: err.message || 'Failed to list count sessions' });
+        }
+    });
+
+    router.get('/:id', async (req, res) => {
+        try {
+            const result = await inventoryCounts.getSession(pool, Number(req.params.id), {
+                filter: req.query.filter || 'counted',
+                search: req.query.search
+            });
+            if (!result) return res.status(404).json({ error: 'Count session not found', code: 'NOT_FOUND' });
+            res.json(result);
+        } catch (err) {
+            res.status(500).json({ error: err.message || 'Failed to load count session' });
+        }
+    });
+
+    router.post('/:id/scan', async (req, res) => {
+        try {
+            const result = await inventoryCounts.recordScan(pool, Number(req.params.id), {
+                code: req.body?.code || req.body?.scan || req.body?.barcode,
+                quantity: req.body?.qty != null ? Number(req.body.qty) : req.body?.quantity != null ? Number(req.body.quantity) : 1,
+                mode: req.body?.mode,
+                source: 'pos',
+                employeeId: req.posEmployee?.id || null,
+                deviceId: req.headers['x-pos-device-id'] || null
+            });
+            res.json({ success: true, ...result });
+        } catch (err) {
+            res.status(err.status || 400).json({ error: err.message, code: err.code });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createPosInventoryCountRouter };
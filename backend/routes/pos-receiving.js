@@ -1,7 +1,9 @@
 'use strict';
 
 const express = require('express');
+const logger = require('../utils/logger');
 const { VendorReceivingService } = require('../services/vendor-receiving');
+const { markReceivedForPurchaseOrder } = require('../services/posSpecialOrders');
 
 /**
  * Creates POS receiving routes for /api/pos/v1/receiving/*
@@ -62,6 +64,8 @@ function createPosReceivingRouter(pool, { posEmployeeAuth } = {}) {
                 code,
                 qty,
                 allowOverReceive,
+                lotNumber: req.body?.lotNumber ?? req.body?.lot ?? null,
+                expirationDate: req.body?.expirationDate ?? req.body?.expiresOn ?? null,
                 employeeId: req.posEmployee?.id || null,
                 deviceId: req.headers['x-pos-device-id'] || null
             });
@@ -73,6 +77,20 @@ function createPosReceivingRouter(pool, { posEmployeeAuth } = {}) {
         }
     });
 
+    /** Default lot / expiration for units on a line whose scans did not carry one. */
+    router.post('/orders/:id/lines/:lineId/lot', async (req, res) => {
+        try {
+            const result = await service.setLineLot(Number(req.params.id), Number(req.params.lineId), {
+                lotNumber: req.body?.lotNumber ?? req.body?.lot ?? null,
+                expirationDate: req.body?.expirationDate ?? req.body?.expiresOn ?? null
+            });
+            res.json({ success: true, ...result });
+        } catch (err) {
+            const status = err.code === 'LINE_NOT_FOUND' ? 404 : 400;
+            res.status(status).json({ error: err.message, code: err.code });
+        }
+    });
+
     router.post('/orders/:id/complete', async (req, res) => {
         try {
             const orderId = Number(req.params.id);
@@ -82,7 +100,13 @@ function createPosReceivingRouter(pool, { posEmployeeAuth } = {}) {
                 employeeId: req.posEmployee?.id || null,
                 deviceId: req.headers['x-pos-device-id'] || null
             });
-            res.json({ success: true, order });
+            let specialOrdersReceived = [];
+            try {
+                specialOrdersReceived = await markReceivedForPurchaseOrder(pool, order);
+            } catch (soErr) {
+                logger.warn(`[pos-receiving] special order update failed for PO ${orderId}: ${soErr.message}`);
+            }
+            res.json({ success: true, order, specialOrdersReceived });
         } catch (err) {
             const status = err.code === 'NOT_FOUND' ? 404 : err.code === 'OVER_RECEIVE' ? 409 : 400;
             res.status(status).json({ error: err.message, code: err.code, lines: err.lines });
@@ -0,0 +1,85 @@
+'use strict';
+
+const express = require('express');
+const logger = require('../utils/logger');
+const personnel = require('../services/posPersonnel');
+const specialOrders = require('../services/posSpecialOrders');
+
+const PIN_ERROR_CODES = new Set(['MANAGER_PIN_REQUIRED', 'INVALID_PIN', 'INVALID_MANAGER_PIN', 'NOT_AUTHORIZED_REFUND', 'PIN_LOCKED']);
+
+function sendSpecialOrderError(res, err, fallback) {
+    const status = err.status || (PIN_ERROR_CODES.has(err.code) ? 403 : err.code ? 400 : 500);
+    if (status >= 500) logger.error(`[pos-special-orders] ${fallback}:`, err);
+    res.status(status).json({ error: status >= 500 ? fallback : err.message, code: err.code });
+}
+
+/**
+ * Creates POS special order routes for /api/pos/v1/special-orders/*
+ *
+ * Expected middleware on parent router:
+ * - posDeviceAuth (validates X-POS-API-Key + X-POS-Device-Id)
+ */
+function createPosSpecialOrderRouter(pool, { posEmployeeAuth } = {}) {
+    const router = express.Router();
+
+    if (posEmployeeAuth) {
+        router.use(posEmployeeAuth);
+    }
+
+    router.get('/', async (req, res) => {
+        try {
+            const orders = await specialOrders.listSpecialOrders(pool, {
+                status: req.query.status || specialOrders.OPEN_STATUSES.join(','),
+                search: req.query.search || req.query.q,
+                limit: req.query.limit
+            });
+            res.json({ specialOrders: orders });
+        } catch (err) {
+            sendSpecialOrderError(res, err, 'Failed to list special orders');
+        }
+    });
+
+    router.get('/:id', async (req, res) => {
+        try {
+            const specialOrder = await specialOrders.getSpecialOrder(pool, Number(req.params.id));
+            if (!specialOrder) return res.status(404).json({ error: 'Special order not found', code: 'NOT_FOUND' });
+            res.json({ specialOrder });
+        } catch (err) {
+            sendSpecialOrderError(res, err, 'Failed to load special order');
+        }
+    });
+
+    /** Take the deposit and record the special order. Ring up the balance later via POST /orders with specialOrderId. */
+    router.post('/', async (req, res) => {
+        try {
+            const shift = await personnel.getOpenShiftSession(pool, req.posEmployee.id, req.posDeviceId);
+            const result = await specialOrders.createSpecialOrder(pool, req.body || {}, {
+                employee: req.posEmployee,
+                deviceId: req.posDeviceId,
+                shiftSessionId: shift?.id || null
+            });
+            res.status(201).json({ success: true, ...result });
+        } catch (err) {
+            sendSpecialOrderError(res, err, 'Failed to create special order');
+        }
+    });
+
+    router.post('/:id/cancel', async (req, res) => {
+        try {
+            const result = await specialOrders.cancelSpecialOrder(pool, Number(req.params.id), {
+                managerPin: req.body?.managerPin ?? req.body?.manager_pin,
+                reason: req.body?.reason,
+                employee: req.posEmployee,
+                deviceId: req.posDeviceId,
+                ip: req.ip
+            });
+            res.json({ success: true, ...result });
+        } catch (err) {
+            sendSpecialOrderError(res, err, 'Failed to cancel special order');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createPosSpecialOrderRouter };
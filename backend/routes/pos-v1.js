@@ -11,14 +11,16 @@ const {
     createInStorePosOrder,
     syncPosOrderBatch,
     refundInStorePosOrder,
-    loadCatalogLines,
     ALLOWED_PAYMENT_METHODS
 } = require('../services/posStoreOrder');
-const { pricePosCart } = require('../services/posPromotionPricing');
-const { merchandiseSubtotal, applyCartDiscountToEnriched, computeDualPricing } = require('../services/posCashDiscount');
-const { resolveCustomerUser } = require('../services/posCustomerService');
+const { quotePosCart } = require('../services/posCartQuote');
+const posParkedSales = require('../services/posParkedSales');
+const posExchanges = require('../services/posExchanges');
+const posScheduling = require('../services/posScheduling');
+const { listSalespeople } = require('../services/posCommissions');
 const { listInStorePosSales, getInStorePosOrderReceipt } = require('../services/posOrderHistory');
 const { loadStoreTaxRate } = require('../utils/storeTaxRate');
+const { getStoreTodayYmd } = require('../utils/storeTimezone');
 const { loadCashDiscountSettings } = require('../services/posCashDiscount');
 const { loadPosPaymentMethodsSettings } = require('../services/posPaymentMethodsSettings');
 const { loadPosStoreConfig } = require('../services/posStoreConfig');
@@ -37,6 +39,10 @@ const { requireActivePosLicense } = require('../middleware/posLicenseGate');
 const { listEquipmentForRegister } = require('../services/posEquipment');
 const { buildRegisterHardwareProfile } = require('../services/posRegisterHardware');
 const { printEscposReceipt } = require('../services/posEscposPrint');
+const { receiptPrintExtras, digitalReceiptUrl } = require('../services/posDigitalReceipt');
+const posReceiptDelivery = require('../services/posReceiptDelivery');
+const { openRegisterEventStream } = require('../services/posRegisterEvents');
+const shelfLabels = require('../services/shelfLabels');
 const {
     createCheckoutIntent,
     getCheckoutIntent,
@@ -53,6 +59,7 @@ const {
 } = require('../utils/nmiEnv');
 const { createHandoffCode } = require('../services/posAdminHandoff');
 const { storefrontPrimaryImageFromFields } = require('../utils/catalogOverrides');
+const { attachBundleStock } = require('../services/productBundles');
 const { loadLoyaltyProgramSettings } = require('../services/customerLoyalty');
 const posCustomerService = require('../services/posCustomerService');
 const { buildRegisterTroubleshootReport } = require('../services/posRegisterTroubleshoot');
@@ -91,6 +98,17 @@ router.get('/health', (req, res) => {
     });
 });
 
+/** Server-sent register events (catalog.changed, settings.changed, …); resumes from Last-Event-ID. */
+router.get('/events', async (req, res) => {
+    try {
+        await openRegisterEventStream(req, res);
+    } catch (e) {
+        logger.error('POS event stream error:', e);
+        if (!res.headersSent) return res.status(500).json({ error: 'Failed to open event stream' });
+        res.end();
+    }
+});
+
 router.put('/network/report', async (req, res) => {
     try {
         const localIp = req.body?.localIp ?? req.body?.reportedIp ?? req.body?.ip;
@@ -309,6 +327,14 @@ router.get('/catalog', attachOptionalPosEmployee, async (req, res) => {
             where += ' AND p.updated_at >= ?';
             params.push(sinceValid);
         }
+        // ?ids=1,2,3 — refetch the products named in a catalog.changed event
+        const ids = [...new Set(String(req.query.ids || '').split(',').map((v) => parseInt(v, 10)))]
+            .filter((n) => Number.isInteger(n) && n > 0)
+            .slice(0, 500);
+        if (ids.length) {
+            where += ` AND p.id IN (${ids.map(() => '?').join(', ')})`;
+            params.push(...ids);
+        }
 
         const [countRows] = await req.pool.execute(
             `SELECT COUNT(DISTINCT p.id) AS total
@@ -323,7 +349,7 @@ router.get('/catalog', attachOptionalPosEmployee, async (req, res) => {
         const offsetNum = Number(offset);
         const [products] = await req.pool.execute(
             `SELECT p.id, p.sku, p.name, p.slug, p.price, p.cost_price, p.inventory_quantity, p.track_inventory,
-                    p.is_taxable, p.updated_at, p.category_id,
+                    p.is_taxable, p.updated_at, p.category_id, p.is_bundle,
                     pc.name AS category_name,
                     pi.image_url AS primary_image_url
              FROM products p
@@ -335,6 +361,8 @@ router.get('/catalog', attachOptionalPosEmployee, async (req, res) => {
              LIMIT ${limitNum} OFFSET ${offsetNum}`,
             sinceValid ? [sinceValid] : []
         );
+        // Bundle stock is live kit count from component stock
+        await attachBundleStock(req.pool, products, { withComponents: true });
 
         const productIds = products.map((p) => p.id);
         let variants = [];
@@ -388,6 +416,18 @@ router.get('/catalog', attachOptionalPosEmployee, async (req, res) => {
                         primaryImageUrl: p.primary_image_url
                     }) || null,
                 variants: variantsByProduct[p.id] || [],
+                isBundle: Boolean(Number(p.is_bundle)),
+                ...(p.bundle_components
+                    ? {
+                        bundleComponents: p.bundle_components.map((c) => ({
+                            productId: c.productId,
+                            variantId: c.variantId,
+                            sku: c.sku,
+                            name: c.name,
+                            quantity: c.quantity
+                        }))
+                    }
+                    : {}),
                 ...withPosCost(includeCost, p.cost_price)
             }))
         });
@@ -555,85 +595,63 @@ router.get('/products/lookup', attachOptionalPosEmployee, async (req, res) => {
 
 router.post('/cart/pricing', authenticatePosEmployee, async (req, res) => {
     try {
-        const body = req.body || {};
-        const lineItems = Array.isArray(body.items) ? body.items : [];
-        if (!lineItems.length) {
-            return res.json({
-                ok: true,
-                lines: [],
-                totals: { subtotal: 0, cartDiscountAmount: 0, taxAmount: 0, total: 0 },
-                appliedPromotions: [],
-                allowManualDiscounts: false
-            });
-        }
+        res.json(await quotePosCart(req.pool, req.body || {}, req.posEmployee));
+    } catch (error) {
+        logger.error('POS cart pricing error:', error);
+        res.status(500).json({ error: error.message || 'Cart pricing failed' });
+    }
+});
 
-        const allowManualDiscounts = Boolean(req.posEmployee?.allowManualDiscounts);
-        const manualCartDiscountPercent = allowManualDiscounts
-            ? Math.min(100, Math.max(0, Number(body.cartDiscountPercent ?? body.cart_discount_percent) || 0))
-            : 0;
-
-        const customerId = Number(body.customerId ?? body.customer_id ?? body.userId ?? body.user_id);
-        const customerUser =
-            Number.isInteger(customerId) && customerId > 0
-                ? await resolveCustomerUser(req.pool, customerId)
-                : null;
-
-        const taxExempt = Boolean(body.taxExempt || body.tax_exempt || customerUser?.tax_exempt);
-        const taxRate = taxExempt ? 0 : await loadStoreTaxRate(req.pool);
-
-        const catalogLines = await loadCatalogLines(req.pool, lineItems);
-        const preCartSubtotal = merchandiseSubtotal(catalogLines);
-        const promoPricing = await pricePosCart(req.pool, {
-            catalogLines,
-            customerUser,
-            taxExempt,
-            taxRate,
-            allowManualDiscounts,
-            manualCartDiscountPercent
+// --- Parked sales (hold a cart on one register, recall it on any other) ---
+
+router.post('/parked-sales', authenticatePosEmployee, async (req, res) => {
+    try {
+        const shift = await personnel.getOpenShiftSession(req.pool, req.posEmployee.id, req.posDeviceId);
+        const parkedSale = await posParkedSales.parkSale(req.pool, {
+            cart: req.body || {},
+            employee: req.posEmployee,
+            deviceId: req.posDeviceId,
+            shiftSessionId: shift?.id || null
         });
+        res.status(201).json({ success: true, parkedSale });
+    } catch (e) {
+        if (!e.status) logger.error('POS park sale error:', e);
+        res.status(e.status || 500).json({ error: e.message || 'Failed to park sale', code: e.code });
+    }
+});
 
-        let effectivePct = 0;
-        if (preCartSubtotal > 0 && promoPricing.cartDiscountAmount > 0) {
-            effectivePct = Math.min(100, (promoPricing.cartDiscountAmount / preCartSubtotal) * 100);
-        }
+router.get('/parked-sales', authenticatePosEmployee, async (req, res) => {
+    try {
+        const parkedSales = await posParkedSales.listParkedSales(req.pool, { search: req.query.search });
+        res.json({ parkedSales });
+    } catch (e) {
+        logger.error('POS parked sales list error:', e);
+        res.status(500).json({ error: 'Failed to load parked sales' });
+    }
+});
 
-        const cashSettings = await loadCashDiscountSettings(req.pool);
-        const pricedLines = applyCartDiscountToEnriched(catalogLines, effectivePct);
-        const pricing = computeDualPricing(
-            pricedLines,
-            taxRate,
-            cashSettings.enabled ? cashSettings.percent : 0
-        );
+router.post('/parked-sales/:id/recall', authenticatePosEmployee, async (req, res) => {
+    try {
+        const result = await posParkedSales.recallParkedSale(req.pool, Number(req.params.id), {
+            employee: req.posEmployee,
+            deviceId: req.posDeviceId
+        });
+        res.json({ success: true, ...result });
+    } catch (e) {
+        if (!e.status || e.status >= 500) logger.error('POS recall parked sale error:', e);
+        res.status(e.status || 500).json({ error: e.message || 'Failed to recall parked sale', code: e.code });
+    }
+});
 
-        res.json({
-            ok: true,
-            allowManualDiscounts,
-            appliedPromotions: promoPricing.appliedPromotions || [],
-            discountLabel: promoPricing.cartDiscountLabel || null,
-            promoCode: promoPricing.promotion?.code || null,
-            lines: catalogLines.map((line) => ({
-                productId: line.product_id,
-                variantId: line.variant_id,
-                sku: line.sku,
-                name: line.name,
-                quantity: line.quantity,
-                catalogUnitPrice: line.catalogUnitPrice,
-                unitPrice: line.unitPrice,
-                lineDiscountPercent: line.lineDiscountPercent || 0
-            })),
-            totals: {
-                preCartSubtotal,
-                subtotal: pricing.card.subtotal,
-                cartDiscountPercent: effectivePct,
-                cartDiscountAmount: promoPricing.cartDiscountAmount,
-                taxAmount: pricing.card.taxAmount,
-                total: pricing.card.totalAmount,
-                cashTotal: pricing.cash?.totalAmount ?? pricing.card.totalAmount
-            }
+router.post('/parked-sales/:id/void', authenticatePosEmployee, async (req, res) => {
+    try {
+        const result = await posParkedSales.voidParkedSale(req.pool, Number(req.params.id), {
+            employee: req.posEmployee,
+            reason: req.body?.reason
         });
-    } catch (error) {
-        logger.error('POS cart pricing error:', error);
-        res.status(500).json({ error: error.message || 'Cart pricing failed' });
+        res.json({ success: true, ...result });
+    } catch (e) {
+        res.status(e.status || 500).json({ error: e.message || 'Failed to void parked sale', code: e.code });
     }
 });
 
@@ -731,6 +749,21 @@ router.post('/customers/gift-cards/check', authenticatePosEmployee, async (req,
     }
 });
 
+/** Printer runtime for this register, or null when it prints through the browser / Elo driver. */
+async function loadNetworkPrinterRuntime(req) {
+    const [experience, cardCheckout] = await Promise.all([
+        loadPosRegisterExperienceSettings(req.pool),
+        loadPosCardCheckoutSettings(req.pool)
+    ]);
+    const hardware = await buildRegisterHardwareProfile(req.pool, req.posDeviceRecordId, {
+        globalCheckout: cardCheckout,
+        globalPrinter: experience.hardwarePrinter
+    });
+    const runtime = hardware?.runtime || {};
+    const driver = String(runtime.printerDriver || 'browser').toLowerCase();
+    return driver === 'browser' || driver === 'elo_star' ? null : runtime;
+}
+
 router.post('/print/receipt', authenticatePosEmployee, async (req, res) => {
     try {
         const lines = req.body?.lines;
@@ -740,29 +773,23 @@ router.post('/print/receipt', authenticatePosEmployee, async (req, res) => {
             return res.status(400).json({ error: 'Receipt lines are required', code: 'PRINT_LINES_REQUIRED' });
         }
 
-        const [experience, cardCheckout] = await Promise.all([
-            loadPosRegisterExperienceSettings(req.pool),
-            loadPosCardCheckoutSettings(req.pool)
-        ]);
-        const hardware = await buildRegisterHardwareProfile(req.pool, req.posDeviceRecordId, {
-            globalCheckout: cardCheckout,
-            globalPrinter: experience.hardwarePrinter
-        });
-        const runtime = hardware?.runtime || {};
-        const driver = String(runtime.printerDriver || 'browser').toLowerCase();
-        if (driver === 'browser' || driver === 'elo_star') {
+        const runtime = await loadNetworkPrinterRuntime(req);
+        if (!runtime) {
             return res.status(400).json({
                 error: 'This register is not configured for network receipt printing.',
                 code: 'PRINTER_NOT_NETWORK'
             });
         }
 
+        // With the sale's order number the receipt also gets its scan-to-refund barcode and digital receipt QR.
+        const extras = Array.isArray(lines) && lines.length ? await receiptPrintExtras(req.pool, req.body?.orderNumber) : {};
         const result = await printEscposReceipt({
             host: runtime.printerAddress,
             port: runtime.printerPort,
             lines: Array.isArray(lines) ? lines : [],
             copyCount: openDrawer && !lines?.length ? 0 : copyCount,
-            openDrawer
+            openDrawer,
+            ...extras
         });
         res.json({ ok: true, ...result, method: 'network' });
     } catch (e) {
@@ -774,6 +801,57 @@ router.post('/print/receipt', authenticatePosEmployee, async (req, res) => {
     }
 });
 
+function sendLabelError(res, e, fallback) {
+    if ((e.status && e.status < 500) || e.code === 'LABEL_PRINT_FAILED') {
+        return res.status(e.status).json({ error: e.message, code: e.code, missing: e.missing });
+    }
+    logger.error(`${fallback}:`, e);
+    return res.status(500).json({ error: fallback });
+}
+
+router.get('/labels/templates', authenticatePosEmployee, async (req, res) => {
+    try {
+        const settings = await shelfLabels.loadLabelSettings(req.pool);
+        res.json({ templates: shelfLabels.listTemplates(), defaultTemplate: settings.defaultTemplate });
+    } catch (e) {
+        sendLabelError(res, e, 'Failed to load label templates');
+    }
+});
+
+router.get('/labels/queue', authenticatePosEmployee, async (req, res) => {
+    try {
+        res.json(await shelfLabels.getLabelQueue(req.pool, { since: req.query.since }));
+    } catch (e) {
+        sendLabelError(res, e, 'Failed to load label queue');
+    }
+});
+
+/** Shelf tags / barcode stickers to this register's label printer (or the store default). */
+router.post('/labels/print', authenticatePosEmployee, async (req, res) => {
+    try {
+        const result = await shelfLabels.printLabels(req.pool, req.body || {}, {
+            posDeviceRecordId: req.posDeviceRecordId,
+            employeeId: req.posEmployee.id
+        });
+        res.json({ success: true, ...result });
+    } catch (e) {
+        sendLabelError(res, e, 'Failed to print labels');
+    }
+});
+
+router.post('/labels/pdf', authenticatePosEmployee, async (req, res) => {
+    try {
+        const { pdfBuffer, filename } = await shelfLabels.generateLabelPdf(req.pool, req.body || {}, {
+            employeeId: req.posEmployee.id
+        });
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+        res.send(pdfBuffer);
+    } catch (e) {
+        sendLabelError(res, e, 'Failed to build label sheet');
+    }
+});
+
 router.post('/orders', authenticatePosEmployee, requireActivePosLicense, async (req, res) => {
     try {
         const result = await createInStorePosOrder(req.pool, req.body, req.posDeviceId, req.posEmployee.id);
@@ -819,7 +897,23 @@ router.post('/orders', authenticatePosEmployee, requireActivePosLicense, async (
             ORDER_NOT_FOUND: 404,
             ORDER_NOT_POS: 400,
             ORDER_ALREADY_REFUNDED: 409,
-            ORDER_NOT_REFUNDABLE: 400
+            ORDER_NOT_REFUNDABLE: 400,
+            SPECIAL_ORDER_NOT_FOUND: 404,
+            SPECIAL_ORDER_CLOSED: 409,
+            SPECIAL_ORDER_ITEM_MISSING: 400,
+            DEPOSIT_EXCEEDS_SALE: 400,
+            NOT_AUTHORIZED_REFUND: 403,
+            INVALID_PIN: 403,
+            PIN_LOCKED: 429,
+            EXCHANGE_NOT_ALLOWED: 400,
+            EXCHANGE_REASON_REQUIRED: 400,
+            EXCHANGE_RETURNS_REQUIRED: 400,
+            INVALID_EXCHANGE_LINE: 400,
+            ORDER_NUMBER_REQUIRED: 400,
+            ORDER_NOT_EXCHANGEABLE: 400,
+            EXCHANGE_QUANTITY_EXCEEDED: 409,
+            EXCHANGE_REFUND_EXCEEDS_PAYMENTS: 409,
+            SALESPERSON_NOT_FOUND: 400
         };
         res.status(statusMap[code] || 500).json({
             error: error.message || 'Failed to create order',
@@ -846,7 +940,13 @@ async function handleListPosSales(req, res) {
 async function handlePosOrderReceipt(req, res) {
     try {
         const receipt = await getInStorePosOrderReceipt(req.pool, req.params.orderNumber);
-        res.json({ success: true, receipt });
+        let digitalUrl = null;
+        try {
+            digitalUrl = digitalReceiptUrl(receipt.orderNumber);
+        } catch (err) {
+            logger.warn(`POS digital receipt link skipped: ${err.message}`);
+        }
+        res.json({ success: true, receipt, digitalReceiptUrl: digitalUrl });
     } catch (error) {
         const code = error.code || 'RECEIPT_FAILED';
         const statusMap = {
@@ -872,6 +972,50 @@ router.get('/sales/:orderNumber/receipt', ...posOrderReceiptRoute);
 /** @deprecated use GET /sales/:orderNumber/receipt */
 router.get('/orders/:orderNumber/receipt', ...posOrderReceiptRoute);
 
+function sendReceiptDeliveryError(res, e, fallback) {
+    if (e.status && e.status !== 500) {
+        return res.status(e.status).json({ error: e.message, code: e.code });
+    }
+    logger.error(`${fallback}:`, e);
+    return res.status(500).json({ error: fallback });
+}
+
+router.get('/sales/:orderNumber/receipt/delivery', authenticatePosEmployee, requireActivePosLicense, async (req, res) => {
+    try {
+        res.json(await posReceiptDelivery.getReceiptDeliveryOptions(req.pool, req.params.orderNumber));
+    } catch (e) {
+        sendReceiptDeliveryError(res, e, 'Failed to load receipt options');
+    }
+});
+
+router.post('/sales/:orderNumber/receipt/send', authenticatePosEmployee, requireActivePosLicense, async (req, res) => {
+    try {
+        const body = req.body || {};
+        const result = await posReceiptDelivery.deliverReceipt(req.pool, req.params.orderNumber, {
+            method: body.method,
+            email: body.email,
+            phone: body.phone,
+            saveToCustomer: body.saveToCustomer === true,
+            via: 'register',
+            employeeId: req.posEmployee?.id,
+            deviceRecordId: req.posDeviceRecordId
+        });
+        res.json({ success: true, ...result });
+    } catch (e) {
+        sendReceiptDeliveryError(res, e, 'Failed to send receipt');
+    }
+});
+
+/** Hands the email / text / no receipt choice to this register's customer display. */
+router.post('/sales/:orderNumber/receipt/display-prompt', authenticatePosEmployee, requireActivePosLicense, async (req, res) => {
+    try {
+        const checkout = await posReceiptDelivery.promptReceiptOnDisplay(req.pool, req.posDeviceId, req.params.orderNumber);
+        res.json({ success: true, checkout });
+    } catch (e) {
+        sendReceiptDeliveryError(res, e, 'Failed to show receipt options on the display');
+    }
+});
+
 router.post('/sync', authenticatePosEmployee, requireActivePosLicense, async (req, res) => {
     try {
         const sales = Array.isArray(req.body?.sales) ? req.body.sales : [];
@@ -996,7 +1140,8 @@ router.post('/orders/:orderNumber/refund', authenticatePosEmployee, requireActiv
             ORDER_NOT_FOUND: 404,
             ORDER_NOT_POS: 400,
             ORDER_ALREADY_REFUNDED: 409,
-            ORDER_NOT_REFUNDABLE: 400
+            ORDER_NOT_REFUNDABLE: 400,
+            ORDER_HAS_EXCHANGES: 409
         };
         res.status(statusMap[code] || 500).json({
             error: error.message || 'Failed to process refund',
@@ -1005,6 +1150,86 @@ router.post('/orders/:orderNumber/refund', authenticatePosEmployee, requireActiv
     }
 });
 
+/**
+ * Exchanges are rung up through POST /orders with an `exchange` block
+ * ({ originalOrderNumber, returns: [{ orderItemId, quantity, restock }], reason, managerPin }).
+ */
+router.get('/exchanges/lookup/:orderNumber', authenticatePosEmployee, requireActivePosLicense, async (req, res) => {
+    try {
+        const order = await posExchanges.getExchangeableOrder(req.pool, req.params.orderNumber);
+        res.json({ success: true, order });
+    } catch (error) {
+        const code = error.code || 'EXCHANGE_LOOKUP_FAILED';
+        const statusMap = { ORDER_NUMBER_REQUIRED: 400, ORDER_NOT_FOUND: 404, ORDER_NOT_POS: 400, ORDER_NOT_EXCHANGEABLE: 400 };
+        if (!statusMap[code]) logger.error('POS exchange lookup error:', error);
+        res.status(statusMap[code] || 500).json({ error: error.message || 'Failed to load sale', code });
+    }
+});
+
+async function loadExchangeReceipt(req) {
+    const exchange = await posExchanges.getExchange(req.pool, Number(req.params.id));
+    const [sale, receiptSettings, storeConfig] = await Promise.all([
+        getInStorePosOrderReceipt(req.pool, exchange.newOrderNumber),
+        loadPosReceiptSettings(req.pool),
+        loadPosStoreConfig(req.pool)
+    ]);
+    const lines = posExchanges.buildExchangeReceiptLines(exchange, sale, {
+        ...receiptSettings,
+        storeName: storeConfig.storeName,
+        storeAddress: receiptSettings.showAddress ? receiptSettings.storeAddress : null,
+        storePhone: receiptSettings.showPhone ? receiptSettings.storePhone : null
+    });
+    return { exchange, sale, lines, copyCount: receiptSettings.copyCount, receiptSettings };
+}
+
+router.get('/exchanges/:id', authenticatePosEmployee, requireActivePosLicense, async (req, res) => {
+    try {
+        const { exchange, sale, lines } = await loadExchangeReceipt(req);
+        res.json({ success: true, exchange, receipt: sale, receiptLines: lines });
+    } catch (error) {
+        if (error.code === 'EXCHANGE_NOT_FOUND') return res.status(404).json({ error: error.message, code: error.code });
+        logger.error('POS exchange load error:', error);
+        res.status(500).json({ error: 'Failed to load exchange' });
+    }
+});
+
+router.post('/exchanges/:id/print', authenticatePosEmployee, async (req, res) => {
+    try {
+        const { sale, lines, copyCount, receiptSettings } = await loadExchangeReceipt(req);
+        const runtime = await loadNetworkPrinterRuntime(req);
+        if (!runtime) {
+            return res.status(400).json({
+                error: 'This register is not configured for network receipt printing.',
+                code: 'PRINTER_NOT_NETWORK'
+            });
+        }
+        const result = await printEscposReceipt({
+            host: runtime.printerAddress,
+            port: runtime.printerPort,
+            lines,
+            copyCount: Math.min(3, Math.max(1, parseInt(req.body?.copyCount, 10) || copyCount)),
+            openDrawer: Boolean(req.body?.openDrawer),
+            ...(await receiptPrintExtras(req.pool, sale.orderNumber, receiptSettings))
+        });
+        res.json({ ok: true, ...result, method: 'network' });
+    } catch (error) {
+        if (error.code === 'EXCHANGE_NOT_FOUND') return res.status(404).json({ error: error.message, code: error.code });
+        logger.error('POS exchange receipt print error:', error);
+        res.status(502).json({ error: error.message || 'Could not print receipt', code: 'PRINT_FAILED' });
+    }
+});
+
+/** Active employees a sale line can be credited to (defaults to the signed-in employee). */
+router.get('/employees/salespeople', authenticatePosEmployee, async (req, res) => {
+    try {
+        const salespeople = await listSalespeople(req.pool);
+        res.json({ success: true, salespeople, defaultEmployeeId: req.posEmployee.id });
+    } catch (error) {
+        logger.error('POS salespeople list error:', error);
+        res.status(500).json({ error: 'Failed to load salespeople' });
+    }
+});
+
 router.get('/employees/me', authenticatePosEmployee, async (req, res) => {
     try {
         const employee = await personnel.getEmployeeById(req.pool, req.posEmployee.id);
@@ -1124,6 +1349,7 @@ router.post('/shift/close', authenticatePosEmployee, async (req, res) => {
         });
         await personnel.clockOut(req.pool, req.posEmployee.id).catch(() => {});
         const report = await personnel.getShiftReport(req.pool, shift.id);
+        if (report) report.parkedSales = await posParkedSales.getShiftParkedSummary(req.pool, shift.id);
         res.json({ success: true, shift, report });
     } catch (e) {
         res.status(400).json({ error: e.message, code: e.code });
@@ -1143,12 +1369,62 @@ router.get('/shifts/scheduled', authenticatePosEmployee, async (req, res) => {
     }
 });
 
+/** The signed-in employee's upcoming shifts and time off (default: today through three weeks out). */
+router.get('/schedule', authenticatePosEmployee, async (req, res) => {
+    try {
+        const schedule = await posScheduling.getEmployeeSchedule(req.pool, req.posEmployee.id, {
+            from: req.query.from,
+            to: req.query.to
+        });
+        res.json(schedule);
+    } catch (e) {
+        sendPosScheduleError(res, e, 'Failed to load the schedule');
+    }
+});
+
+router.get('/time-off', authenticatePosEmployee, async (req, res) => {
+    try {
+        const requests = await posScheduling.listTimeOffRequests(req.pool, {
+            employeeId: req.posEmployee.id,
+            from: req.query.from || getStoreTodayYmd()
+        });
+        res.json({ requests });
+    } catch (e) {
+        sendPosScheduleError(res, e, 'Failed to load time-off requests');
+    }
+});
+
+router.post('/time-off', authenticatePosEmployee, async (req, res) => {
+    try {
+        const request = await posScheduling.createTimeOffRequest(req.pool, req.posEmployee.id, req.body || {}, { source: 'pos' });
+        res.status(201).json({ success: true, request });
+    } catch (e) {
+        sendPosScheduleError(res, e, 'Failed to request time off');
+    }
+});
+
+router.delete('/time-off/:id', authenticatePosEmployee, async (req, res) => {
+    try {
+        const request = await posScheduling.cancelTimeOffRequest(req.pool, Number(req.params.id), req.posEmployee.id);
+        res.json({ success: true, request });
+    } catch (e) {
+        sendPosScheduleError(res, e, 'Failed to withdraw time-off request');
+    }
+});
+
+function sendPosScheduleError(res, e, fallback) {
+    if (e.status && e.status < 500) return res.status(e.status).json({ error: e.message, code: e.code });
+    logger.error(`${fallback}:`, e);
+    return res.status(500).json({ error: fallback });
+}
+
 router.get('/reports/shift/:id', authenticatePosEmployee, async (req, res) => {
     try {
         const report = await personnel.getShiftReport(req.pool, Number(req.params.id), {
             employeeId: req.posEmployee.id
         });
         if (!report) return res.status(404).json({ error: 'Shift not found' });
+        report.parkedSales = await posParkedSales.getShiftParkedSummary(req.pool, report.shift.id);
         res.json(report);
     } catch (e) {
         res.status(500).json({ error: 'Failed to load shift report' });
@@ -1281,6 +1557,22 @@ router.get('/display', async (req, res) => {
     }
 });
 
+/** Customer display answer to the receipt prompt (no employee session — the customer is tapping). */
+router.post('/display/receipt-choice', async (req, res) => {
+    try {
+        const body = req.body || {};
+        const result = await posReceiptDelivery.submitDisplayReceiptChoice(req.pool, req.posDeviceId, req.posDeviceRecordId, {
+            orderNumber: body.orderNumber,
+            method: body.method,
+            email: body.email,
+            phone: body.phone
+        });
+        res.json({ success: true, ...result });
+    } catch (e) {
+        sendReceiptDeliveryError(res, e, 'Failed to send receipt');
+    }
+});
+
 router.get('/display/ads', async (req, res) => {
     try {
         const ads = await listDisplayAdsForRegister(req.pool, req.posDeviceRecordId);
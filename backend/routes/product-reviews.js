@@ -0,0 +1,68 @@
+'use strict';
+
+/**
+ * Storefront product reviews — mounted at /api/products.
+ *
+ *   GET  /:slug/reviews  approved reviews + rating summary (+ viewer eligibility when signed in)
+ *   POST /:slug/reviews  signed-in verified purchaser submits a review (lands in moderation)
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { getAuthenticatedUserFromRequest } = require('../utils/orderAccess');
+const reviews = require('../services/productReviews');
+
+router.get('/:slug/reviews', async (req, res) => {
+    try {
+        const product = await reviews.findProductForReviews(req.pool, req.params.slug);
+        if (!product) return res.status(404).json({ error: 'Product not found' });
+
+        const result = await reviews.listPublishedReviews(req.pool, product.id, {
+            page: req.query.page,
+            limit: req.query.limit,
+            sort: req.query.sort
+        });
+
+        const user = await getAuthenticatedUserFromRequest(req);
+        const viewer = await reviews.getReviewerStatus(req.pool, user, product.id);
+
+        res.json({ productId: product.id, ...result, viewer });
+    } catch (error) {
+        logger.error('Product reviews fetch error:', error);
+        res.status(500).json({ error: 'Failed to load reviews' });
+    }
+});
+
+router.post('/:slug/reviews', async (req, res) => {
+    try {
+        const user = await getAuthenticatedUserFromRequest(req);
+        if (!user) {
+            return res.status(401).json({ error: 'Sign in to review this product', code: 'SIGN_IN_REQUIRED' });
+        }
+
+        const product = await reviews.findProductForReviews(req.pool, req.params.slug);
+        if (!product) return res.status(404).json({ error: 'Product not found' });
+
+        const review = await reviews.submitReview(req.pool, {
+            user,
+            productId: product.id,
+            body: req.body
+        });
+        res.status(201).json({
+            review,
+            message: 'Thanks! Your review will appear once it has been approved.'
+        });
+    } catch (error) {
+        if (error.status && error.status < 500) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'You have already reviewed this product', code: 'ALREADY_REVIEWED' });
+        }
+        logger.error('Product review submit error:', error);
+        res.status(500).json({ error: 'Failed to submit review' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,55 @@
+'use strict';
+
+/**
+ * Digital receipts for in-store sales — mounted at /api/receipts. The token comes from the QR code on
+ * the printed receipt (see services/posDigitalReceipt).
+ *
+ *   GET  /:token         receipt, store header/footer and whether it can be added to an account
+ *   POST /:token/claim   signed-in customer adds the purchase to their account (earns loyalty)
+ */
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { getAuthenticatedUserFromRequest } = require('../utils/orderAccess');
+const digitalReceipt = require('../services/posDigitalReceipt');
+
+const claimLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 20,
+    message: { error: 'Too many attempts. Please try again later.' },
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
+function sendReceiptError(res, error, fallback) {
+    if (error.status && error.status < 500) {
+        return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    logger.error(`${fallback}:`, error);
+    return res.status(500).json({ error: fallback });
+}
+
+router.get('/:token', async (req, res) => {
+    try {
+        const user = await getAuthenticatedUserFromRequest(req);
+        res.set('Cache-Control', 'no-store');
+        res.json(await digitalReceipt.getDigitalReceipt(req.pool, req.params.token, { userId: user?.id || null }));
+    } catch (error) {
+        sendReceiptError(res, error, 'Failed to load receipt');
+    }
+});
+
+router.post('/:token/claim', claimLimiter, async (req, res) => {
+    try {
+        const user = await getAuthenticatedUserFromRequest(req);
+        if (!user) return res.status(401).json({ error: 'Sign in to add this purchase to your account', code: 'SIGN_IN_REQUIRED' });
+        const result = await digitalReceipt.claimDigitalReceipt(req.pool, req.params.token, user.id);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendReceiptError(res, error, 'Failed to add purchase to your account');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,100 @@
+'use strict';
+
+/**
+ * Customer returns (RMA) — mounted at /api/returns.
+ *
+ *   GET  /                     the signed-in customer's return requests
+ *   GET  /orders/:orderId      return window, returnable lines and earlier returns for one order
+ *   POST /                     request a return { orderId, items: [{ orderItemId, quantity }], reason, notes? }
+ *   GET  /:id                  one return (status, label, refund)
+ *   POST /:id/cancel           withdraw a request that has not been approved yet
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { getAuthenticatedUserFromRequest } = require('../utils/orderAccess');
+const returns = require('../services/orderReturns');
+
+async function requireCustomer(req, res, next) {
+    const user = await getAuthenticatedUserFromRequest(req);
+    if (!user) return res.status(401).json({ error: 'Sign in to manage returns' });
+    req.customer = user;
+    next();
+}
+
+function parsePositiveId(value, res, label) {
+    const id = parseInt(value, 10);
+    if (!Number.isInteger(id) || id <= 0) {
+        res.status(400).json({ error: `Invalid ${label}` });
+        return null;
+    }
+    return id;
+}
+
+function sendReturnError(res, error, fallback) {
+    if (error.status && error.status < 500) {
+        return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    logger.error(`${fallback}:`, error);
+    return res.status(500).json({ error: fallback });
+}
+
+router.use(requireCustomer);
+
+router.get('/', async (req, res) => {
+    try {
+        res.json({ returns: await returns.listCustomerReturns(req.pool, req.customer.id) });
+    } catch (error) {
+        sendReturnError(res, error, 'Failed to load returns');
+    }
+});
+
+router.get('/orders/:orderId', async (req, res) => {
+    const orderId = parsePositiveId(req.params.orderId, res, 'order id');
+    if (!orderId) return;
+    try {
+        res.json(await returns.getReturnOptions(req.pool, req.customer.id, orderId));
+    } catch (error) {
+        sendReturnError(res, error, 'Failed to load return options');
+    }
+});
+
+router.post('/', async (req, res) => {
+    const { orderId, items, reason, notes } = req.body || {};
+    const id = parsePositiveId(orderId, res, 'order id');
+    if (!id) return;
+    try {
+        const created = await returns.createReturnRequest(req.pool, req.customer.id, {
+            orderId: id,
+            items,
+            reason,
+            notes
+        });
+        res.status(201).json(created);
+    } catch (error) {
+        sendReturnError(res, error, 'Failed to request return');
+    }
+});
+
+router.get('/:id', async (req, res) => {
+    const id = parsePositiveId(req.params.id, res, 'return id');
+    if (!id) return;
+    try {
+        res.json(await returns.getCustomerReturn(req.pool, req.customer.id, id));
+    } catch (error) {
+        sendReturnError(res, error, 'Failed to load return');
+    }
+});
+
+router.post('/:id/cancel', async (req, res) => {
+    const id = parsePositiveId(req.params.id, res, 'return id');
+    if (!id) return;
+    try {
+        res.json(await returns.cancelReturnRequest(req.pool, req.customer.id, id));
+    } catch (error) {
+        sendReturnError(res, error, 'Failed to cancel return');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,76 @@
+'use strict';
+
+/**
+ * Storefront "notify me" alerts — mounted at /api/stock-alerts.
+ *
+ *   POST /              subscribe (guest email or signed-in customer) to back-in-stock / price-drop
+ *   POST /unsubscribe   one-click unsubscribe with the token from the alert email
+ */
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { getAuthenticatedUserFromRequest } = require('../utils/orderAccess');
+const stockAlerts = require('../services/stockAlerts');
+
+const subscribeLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 20,
+    message: { error: 'Too many alert sign-ups. Please try again later.' },
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
+router.post('/', subscribeLimiter, async (req, res) => {
+    try {
+        const { productId, variantId, email, type } = req.body || {};
+        const pid = parseInt(productId, 10);
+        if (!Number.isInteger(pid) || pid <= 0) {
+            return res.status(400).json({ error: 'productId is required' });
+        }
+        const vid = variantId != null && variantId !== '' ? parseInt(variantId, 10) : null;
+        if (vid !== null && (!Number.isInteger(vid) || vid <= 0)) {
+            return res.status(400).json({ error: 'Invalid variantId' });
+        }
+
+        const user = await getAuthenticatedUserFromRequest(req);
+        const result = await stockAlerts.subscribe(req.pool, {
+            productId: pid,
+            variantId: vid,
+            email: email || user?.email,
+            userId: user?.id || null,
+            alertType: type
+        });
+
+        res.status(result.created ? 201 : 200).json({
+            success: true,
+            alertType: result.alertType,
+            message: result.alertType === 'price_drop'
+                ? "We'll email you if the price drops."
+                : "We'll email you as soon as it's back in stock."
+        });
+    } catch (error) {
+        if (error.status && error.status < 500) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        logger.error('Stock alert subscribe error:', error);
+        res.status(500).json({ error: 'Failed to save alert' });
+    }
+});
+
+router.post('/unsubscribe', async (req, res) => {
+    try {
+        const removed = await stockAlerts.unsubscribe(req.pool, req.body?.token);
+        res.json({
+            success: true,
+            removed,
+            message: removed ? 'You have been unsubscribed from this alert.' : 'This alert is no longer active.'
+        });
+    } catch (error) {
+        logger.error('Stock alert unsubscribe error:', error);
+        res.status(500).json({ error: 'Failed to unsubscribe' });
+    }
+});
+
+module.exports = router;
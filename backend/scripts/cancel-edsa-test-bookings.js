@@ -36,7 +36,7 @@ async function main() {
                 continue;
             }
             if (row.google_calendar_event_id) {
-                await deleteBookingCalendarEvent(pool, row.google_calendar_event_id);
+                await deleteBookingCalendarEvent(pool, row.google_calendar_event_id, row.google_calendar_id);
             }
             await pool.execute(
                 `UPDATE edsa_bookings
@@ -48,6 +48,38 @@ const { ensureCustomerGroupSchema } = require('./utils/ensureCustomerGroupSchema
 const { ensureUserPasswordResetSchema } = require('./utils/ensureUserPasswordResetSchema');
 const { ensureEdsaBookingSchema } = require('./utils/ensureEdsaBookingSchema');
 const { ensureEdsaBlockedDatesTable } = require('./services/edsaBlockedDates');
+const { ensureProductReviewSchema } = require('./utils/ensureProductReviewSchema');
+const { ensureStockAlertSchema } = require('./utils/ensureStockAlertSchema');
+const { ensureAbandonedCartSchema } = require('./utils/ensureAbandonedCartSchema');
+const { ensureProductSearchSchema } = require('./utils/ensureProductSearchSchema');
+const { ensureAutoshipSchema } = require('./utils/ensureAutoshipSchema');
+const { ensureOrderReturnsSchema } = require('./utils/ensureOrderReturnsSchema');
+const { ensureProductBundleSchema } = require('./utils/ensureProductBundleSchema');
+const { ensureInventoryCountSchema } = require('./utils/ensureInventoryCountSchema');
+const { ensurePosParkedSalesSchema } = require('./utils/ensurePosParkedSalesSchema');
+const { ensurePosSpecialOrdersSchema } = require('./utils/ensurePosSpecialOrdersSchema');
+const { ensurePosExchangesSchema } = require('./utils/ensurePosExchangesSchema');
+const { ensurePosCommissionsSchema } = require('./utils/ensurePosCommissionsSchema');
+const { ensurePosTimesheetsSchema } = require('./utils/ensurePosTimesheetsSchema');
+const { ensurePosSchedulingSchema } = require('./utils/ensurePosSchedulingSchema');
+const { ensureShelfLabelsSchema } = require('./utils/ensureShelfLabelsSchema');
+const { ensurePosReceiptDeliverySchema } = require('./utils/ensurePosReceiptDeliverySchema');
+const { ensurePosRegisterEventsSchema } = require('./utils/ensurePosRegisterEventsSchema');
+const { ensureEdsaServiceCatalogSchema } = require('./utils/ensureEdsaServiceCatalogSchema');
+const { ensureEdsaReminderSchema } = require('./utils/ensureEdsaReminderSchema');
+const { ensureEdsaWaitlistSchema } = require('./utils/ensureEdsaWaitlistSchema');
+const { ensureEdsaIntakeSchema } = require('./utils/ensureEdsaIntakeSchema');
+const { ensureEdsaPackagesSchema } = require('./utils/ensureEdsaPackagesSchema');
+const { RATING_SUMMARY_JOIN } = require('./services/productReviews');
+const productSearch = require('./services/productSearch');
+const { attachBundleStock } = require('./services/productBundles');
+const {
+    IN_STOCK_SQL,
+    LISTING_FROM_SQL,
+    parseListingFilters,
+    buildFacetConditions,
+    loadFacetCounts
+} = require('./services/productFacets');
 const {
     findCustomerByEmailAnyStatus,
     reactivateCustomerForLocalSignup,
@@ -63,6 +95,12 @@ const { startPlatformBillingScheduler } = require('./services/platformBillingSch
 const { ensurePlatformBillingSchema } = require('./utils/ensurePlatformBillingSchema');
 const { startTaxAccountantScheduler } = require('./services/taxAccountantScheduler');
 const { startPosDailySalesScheduler } = require('./services/posDailySalesScheduler');
+const { startAbandonedCartScheduler } = require('./services/abandonedCartScheduler');
+const { startAutoshipScheduler } = require('./services/autoshipScheduler');
+const { startPosParkedSaleScheduler } = require('./services/posParkedSaleScheduler');
+const { startEdsaReminderScheduler } = require('./services/edsaReminderScheduler');
+const { startEdsaWaitlistScheduler } = require('./services/edsaWaitlistScheduler');
+const { listCustomerPackages } = require('./services/edsaPackages');
 const { ensureSocialOAuthSchema } = require('./utils/ensureSocialOAuthSchema');
 const { createCustomerGoogleRoutes, createAdminGoogleRoutes } = require('./routes/socialAuth');
 const secureLogger = require('./utils/secure-logger');
@@ -1213,6 +1251,17 @@ app.get('/api/user/gift-cards', authenticateToken, async (req, res) => {
     }
 });
 
+// Customer-facing prepaid EDSA appointment packages and their remaining sessions
+app.get('/api/user/edsa-packages', authenticateToken, async (req, res) => {
+    try {
+        const packages = await listCustomerPackages(pool, { userId: req.user.id, email: req.user.email });
+        res.json({ packages });
+    } catch (error) {
+        logger.error('Get user EDSA packages error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Customer-facing gift card balance check (PIN required when card has a PIN)
 const giftCardBalanceLimiter = rateLimit({
     windowMs: 60 * 1000,
@@ -1291,12 +1340,7 @@ app.get('/api/products', async (req, res) => {
         const {
             page = 1,
             limit = 20,
-            category,
-            brand,
-            healthCategory,
             search,
-            minPrice,
-            maxPrice,
             sortBy = 'name',
             sortOrder = 'ASC',
             featured
@@ -1306,57 +1350,28 @@ app.get('/api/products', async (req, res) => {
         let whereConditions = ['p.is_active = 1', STOREFRONT_VISIBLE_WHERE];
         let queryParams = [];
 
-        const catRaw = category != null && category !== '' ? (Array.isArray(category) ? category[0] : category) : '';
-        const hcRaw =
-            healthCategory != null && healthCategory !== ''
-                ? Array.isArray(healthCategory)
-                    ? healthCategory[0]
-                    : healthCategory
-                : '';
-        const cat = String(catRaw || '').trim();
-        const hc = String(hcRaw || '').trim();
-
-        // Build WHERE conditions for category / health category
-        // products.js sends BOTH category=X and healthCategory=X with the same slug so either taxonomy
-        // can match. Using AND would require a product to satisfy pc.slug AND hc.slug simultaneously
-        // (usually impossible), which hid the entire catalog.
-        if (cat && hc && cat === hc) {
-            whereConditions.push('(pc.slug = ? OR hc.slug = ?)');
-            queryParams.push(cat, hc);
-        } else {
-            if (cat) {
-                whereConditions.push('pc.slug = ?');
-                queryParams.push(cat);
-            }
-            if (hc) {
-                whereConditions.push('hc.slug = ?');
-                queryParams.push(hc);
-            }
-        }
-
-        if (brand) {
-            const cleanBrand = brand.toLowerCase().replace(/[^a-z0-9]/g, '');
+        // Brand / category / health category / price / stock / CBD / COA / rating — multi-value facets
+        const listingFilters = parseListingFilters(req.query);
+        const facetConditions = buildFacetConditions(listingFilters);
 
-            whereConditions.push(`(
-                LOWER(b.slug) = ? OR 
-                LOWER(b.name) = ? OR 
-                REPLACE(REPLACE(LOWER(b.slug), '-', ''), ' ', '') = ? OR
-                REPLACE(REPLACE(LOWER(b.name), '-', ''), ' ', '') = ? OR
-                LOWER(b.slug) LIKE ? OR 
-                LOWER(b.name) LIKE ?
-            )`);
-
-            queryParams.push(
-                brand.toLowerCase(),
-                brand.toLowerCase(),
-                cleanBrand,
-                cleanBrand,
-                `%${cleanBrand}%`,
-                `%${cleanBrand}%`
-            );
+        // Ranked ids from the search index (null = no search, or index unavailable → LIKE fallback)
+        let relevanceIds = null;
+        if (search) {
+            try {
+                relevanceIds = (await productSearch.searchProducts(pool, String(search))).ids;
+            } catch (searchErr) {
+                logger.warn(`Product search index unavailable, using LIKE search — ${logger.formatMysqlError(searchErr)}`);
+            }
         }
 
-        if (search) {
+        if (relevanceIds) {
+            if (relevanceIds.length) {
+                whereConditions.push(`p.id IN (${relevanceIds.map(() => '?').join(', ')})`);
+                queryParams.push(...relevanceIds);
+            } else {
+                whereConditions.push('1 = 0');
+            }
+        } else if (search) {
             const searchTerm = `%${search}%`;
             const cleanSearch = String(search).toLowerCase().replace(/[^a-z0-9]/g, '');
             whereConditions.push(`(
@@ -1377,16 +1392,6 @@ app.get('/api/products', async (req, res) => {
             );
         }
 
-        if (minPrice) {
-            whereConditions.push('p.price >= ?');
-            queryParams.push(parseFloat(minPrice));
-        }
-
-        if (maxPrice) {
-            whereConditions.push('p.price <= ?');
-            queryParams.push(parseFloat(maxPrice));
-        }
-
         if (featured === 'true') {
             whereConditions.push('p.is_featured = 1');
             // Also ensure active products only for featured
@@ -1418,23 +1423,39 @@ app.get('/api/products', async (req, res) => {
         });
 
         // Gift card products appear on gift-cards.html / category=gift-cards only
-        if (!cat && !hc) {
+        if (!listingFilters.category.length && !listingFilters.healthCategory.length) {
             whereConditions.push('(p.gift_card_type IS NULL)');
         }
 
         const inventorySettings = await loadInventorySettings(pool);
         if (inventorySettings.hideOutOfStock) {
-            whereConditions.push(
-                '(p.track_inventory = 0 OR p.track_inventory IS NULL OR p.inventory_quantity > 0)'
-            );
-        }
-
-        // Build ORDER BY clause
-        const allowedSortFields = ['name', 'price', 'created_at'];
-        const sortField = allowedSortFields.includes(sortBy) ? sortBy : 'name';
+            whereConditions.push(IN_STOCK_SQL);
+        }
+
+        // Build ORDER BY clause (rating sorts on the approved-review summary, most reviews breaking ties;
+        // relevance follows the search index ranking and is the default for searches)
+        const sortColumns = {
+            name: 'p.name',
+            price: 'p.price',
+            created_at: 'p.created_at',
+            rating: 'rating_average',
+            relevance: null
+        };
+        const requestedSort = req.query.sortBy == null && relevanceIds ? 'relevance' : sortBy;
+        let sortField = Object.prototype.hasOwnProperty.call(sortColumns, requestedSort) ? requestedSort : 'name';
+        if (sortField === 'relevance' && !(relevanceIds && relevanceIds.length)) sortField = 'name';
         const order = sortOrder.toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+        let orderByClause = `${sortColumns[sortField]} ${order}`;
+        if (sortField === 'rating') {
+            orderByClause = `rating_average ${order}, review_count ${order}, p.name ASC`;
+        } else if (sortField === 'relevance') {
+            // Ids come from the index (integers), so they are inlined rather than bound.
+            orderByClause = `FIELD(p.id, ${relevanceIds.map((id) => Number(id)).join(', ')})`;
+        }
 
-        const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+        const allConditions = [...whereConditions, ...facetConditions.map((c) => c.sql)];
+        const allParams = [...queryParams, ...facetConditions.flatMap((c) => c.params)];
+        const whereClause = allConditions.length > 0 ? `WHERE ${allConditions.join(' AND ')}` : '';
 
         // Ensure limit and offset are integers
         const limitInt = parseInt(limit) || 20;
@@ -1454,6 +1475,7 @@ app.get('/api/products', async (req, res) => {
                 p.track_inventory,
                 p.allow_backorder,
                 p.low_stock_threshold,
+                p.is_bundle,
                 p.is_featured,
                 p.is_cannabis,
                 p.coa_url,
@@ -1463,22 +1485,28 @@ app.get('/api/products', async (req, res) => {
                 pc.name as category_name,
                 pc.slug as category_slug,
                 pi.image_url,
-                pi.alt_text
+                pi.alt_text,
+                COALESCE(rs.rating_average, 0) as rating_average,
+                COALESCE(rs.review_count, 0) as review_count
             FROM products p
             LEFT JOIN brands b ON p.brand_id = b.id
             LEFT JOIN product_categories pc ON p.category_id = pc.id
             LEFT JOIN product_health_categories phc ON p.id = phc.product_id
             LEFT JOIN health_categories hc ON phc.health_category_id = hc.id
             LEFT JOIN product_images pi ON p.id = pi.product_id AND pi.is_primary = 1
+            LEFT JOIN ${RATING_SUMMARY_JOIN} rs ON rs.product_id = p.id
             ${whereClause}
-            ORDER BY p.${sortField} ${order}
+            ORDER BY ${orderByClause}
             LIMIT ${limitInt} OFFSET ${offsetInt}
         `;
 
         // Use query() instead of execute() since we're embedding LIMIT/OFFSET directly
-        const [products] = await pool.query(query, queryParams);
+        const [products] = await pool.query(query, allParams);
+        await attachBundleStock(pool, products);
 
         products.forEach((p) => {
+            p.rating_average = Number(p.rating_average) || 0;
+            p.review_count = Number(p.review_count) || 0;
             applyCatalogPriceFix(p);
             const catalog = catalogPrimaryImageForProduct(p);
             if (catalog) {
@@ -1500,18 +1528,25 @@ app.get('/api/products', async (req, res) => {
         // Get total count for pagination
         const countQuery = `
             SELECT COUNT(DISTINCT p.id) as total
-            FROM products p
-            LEFT JOIN brands b ON p.brand_id = b.id
-            LEFT JOIN product_categories pc ON p.category_id = pc.id
-            LEFT JOIN product_health_categories phc ON p.id = phc.product_id
-            LEFT JOIN health_categories hc ON phc.health_category_id = hc.id
+            ${LISTING_FROM_SQL}
             ${whereClause}
         `;
 
-        const [countRows] = await pool.query(countQuery, queryParams);
+        const [countRows] = await pool.query(countQuery, allParams);
         const totalProducts = countRows[0] ? Number(countRows[0].total) : 0;
         const totalPages = Math.ceil(totalProducts / limit);
 
+        // Facet option counts are opt-in (products.html asks for them; widgets and feeds do not)
+        const facets =
+            req.query.facets === '1' || req.query.facets === 'true'
+                ? await loadFacetCounts(pool, {
+                    baseConditions: whereConditions,
+                    baseParams: queryParams,
+                    facetConditions,
+                    filters: listingFilters
+                })
+                : undefined;
+
         res.json({
             products,
             pagination: {
@@ -1520,7 +1555,8 @@ app.get('/api/products', async (req, res) => {
                 totalProducts,
                 hasNextPage: page < totalPages,
                 hasPrevPage: page > 1
-            }
+            },
+            ...(facets ? { facets } : {})
         });
     } catch (error) {
         // Rate limit database connection error logging to prevent console spam
@@ -1561,6 +1597,23 @@ app.get('/api/products', async (req, res) => {
     }
 });
 
+// Ranked product ids for storefront search (products.js filters its loaded catalog with these)
+app.get('/api/products/search', async (req, res) => {
+    const q = String(req.query.q || '').trim().slice(0, 200);
+    if (!q) return res.json({ results: [], expandedTerms: [] });
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 500, 1), 1000);
+        const { ids, scores, expandedTerms } = await productSearch.searchProducts(pool, q, { limit });
+        res.json({
+            results: ids.map((id) => ({ id, score: Math.round(scores.get(id) * 100) / 100 })),
+            expandedTerms
+        });
+    } catch (error) {
+        logger.error(`Product search error: ${logger.formatMysqlError(error)}`);
+        res.status(503).json({ error: 'Search is temporarily unavailable' });
+    }
+});
+
 // Get single product
 app.get('/api/products/:slug', async (req, res) => {
     try {
@@ -1576,10 +1629,13 @@ app.get('/api/products/:slug', async (req, res) => {
                 b.slug as brand_slug,
                 b.description as brand_description,
                 pc.name as category_name,
-                pc.slug as category_slug
+                pc.slug as category_slug,
+                COALESCE(rs.rating_average, 0) as rating_average,
+                COALESCE(rs.review_count, 0) as review_count
             FROM products p
             LEFT JOIN brands b ON p.brand_id = b.id
             LEFT JOIN product_categories pc ON p.category_id = pc.id
+            LEFT JOIN ${RATING_SUMMARY_JOIN} rs ON rs.product_id = p.id
             WHERE p.is_active = 1 AND ${STOREFRONT_VISIBLE_WHERE} AND (p.slug = ? OR p.id = ?)
         `, [raw, idParam]);
 
@@ -1588,6 +1644,8 @@ app.get('/api/products/:slug', async (req, res) => {
         }
 
         const product = products[0];
+        product.rating_average = Number(product.rating_average) || 0;
+        product.review_count = Number(product.review_count) || 0;
         applyCatalogPriceFix(product);
 
         // Get product images
@@ -1661,6 +1719,9 @@ app.get('/api/products/:slug', async (req, res) => {
         });
         product.health_categories = healthCategories;
 
+        // Bundles: kits buildable from component stock, plus what is in the box
+        await attachBundleStock(pool, [product], { withComponents: true });
+
         const inventorySettings = await loadInventorySettings(pool);
         enrichProductRow(product, inventorySettings);
         product.variants = product.variants.map((variant) => {
@@ -1842,7 +1903,21 @@ app.post('/api/analytics', express.json(), (req, res) => {
 // Mount routes
 app.use('/api/auth', createCustomerGoogleRoutes(pool, logger, authenticateToken));
 app.use('/api/admin/auth', createAdminGoogleRoutes(pool, logger));
+// Guest cart sync can attach a contact email (and sends its opt-in email), so cap it per IP.
+const cartSyncLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    max: 20,
+    message: { error: 'Too many cart updates. Please wait a moment and try again.' },
+    standardHeaders: true,
+    legacyHeaders: false
+});
+app.use('/api/cart/sync', cartSyncLimiter);
 app.use('/api/cart', cartRoutes);
+app.use('/api/products', require('./routes/product-reviews'));
+app.use('/api/stock-alerts', require('./routes/stock-alerts'));
+app.use('/api/autoship', require('./routes/autoship'));
+app.use('/api/returns', require('./routes/returns'));
+app.use('/api/receipts', require('./routes/receipts'));
 app.use('/api/promotions', require('./routes/promotions'));
 app.use('/api/payments', require('./routes/nmi-payments'));
 app.use('/api/orders', require('./routes/orders'));
@@ -1853,6 +1928,16 @@ app.use('/api/business-one', require('./routes/business-one-contact'));
 app.use('/api/business-one/pos', require('./routes/business-one-pos'));
 app.use('/api/admin/customers', require('./routes/admin-customers'));
 app.use('/api/admin/customer-groups', require('./routes/admin-customer-groups'));
+app.use('/api/admin/product-reviews', require('./routes/admin-product-reviews'));
+app.use('/api/admin/stock-alerts', require('./routes/admin-stock-alerts'));
+app.use('/api/admin/inventory-lots', require('./routes/admin-inventory-lots'));
+app.use('/api/admin/inventory-counts', require('./routes/admin-inventory-counts'));
+app.use('/api/admin/pos-commissions', require('./routes/admin-pos-commissions'));
+app.use('/api/admin/shelf-labels', require('./routes/admin-shelf-labels'));
+app.use('/api/admin/edsa-services', require('./routes/admin-edsa-services'));
+app.use('/api/admin/abandoned-carts', require('./routes/admin-abandoned-carts'));
+app.use('/api/admin/returns', require('./routes/admin-returns'));
+app.use('/api/admin/search-synonyms', require('./routes/admin-search-synonyms'));
 app.use('/api/admin/gift-cards', require('./routes/admin-gift-cards'));
 app.use('/api/admin/dev-tools', require('./routes/admin-dev-tools'));
 app.use('/api/admin/personnel', require('./routes/admin-personnel'));
@@ -1864,6 +1949,19 @@ mountVendorReceivingRoutes(app, {
     posEmployeeAuth: authenticatePosEmployee,
     requireAdmin: authenticateAdmin
 });
+const { createPosInventoryCountRouter } = require('./routes/pos-inventory-counts');
+const { authenticatePosDevice } = require('./middleware/posDeviceAuth');
+app.use(
+    '/api/pos/v1/inventory-counts',
+    authenticatePosDevice,
+    createPosInventoryCountRouter(pool, { posEmployeeAuth: authenticatePosEmployee })
+);
+const { createPosSpecialOrderRouter } = require('./routes/pos-special-orders');
+app.use(
+    '/api/pos/v1/special-orders',
+    authenticatePosDevice,
+    createPosSpecialOrderRouter(pool, { posEmployeeAuth: authenticatePosEmployee })
+);
 app.use('/api/admin', adminRoutes);
 app.use('/api/payment-cards', paymentCardsRoutes);
 app.use('/api/pos-billing', require('./routes/pos-billing'));
@@ -1978,6 +2076,138 @@ app.use('/api/*', (req, res) => {
         logger.error(`ensureEdsaBlockedDatesTable failed: ${logger.formatMysqlError(e)}`);
     }
 
+    try {
+        await ensureProductReviewSchema(pool);
+    } catch (e) {
+        logger.error(`ensureProductReviewSchema failed: ${logger.formatMysqlError(e)}`);
+    }
+
+    try {
+        await ensureStockAlertSchema(pool);
+    } catch (e) {
+        logger.error(`ensureStockAlertSchema failed: ${logger.formatMysqlError(e)}`);
+    }
+
+    try {
+        await ensureAbandonedCartSchema(pool);
+    } catch (e) {
+        logger.error(`ensureAbandonedCartSchema failed: ${logger.formatMysqlError(e)}`);
+    }
+
+    try {
+        await ensureProductSearchSchema(pool);
+    } catch (e) {
+        logger.error(`ensureProductSearchSchema failed: ${logger.formatMysqlError(e)}`);
+    }
+
+    try {
+        await ensureAutoshipSchema(pool);
+    } catch (e) {
+        logger.error(`ensureAutoshipSchema failed: ${logger.formatMysqlError(e)}`);
+    }
+
+    try {
+        await ensureOrderReturnsSchema(pool);
+    } catch (e) {
+        logger.error(`ensureOrderReturnsSchema failed: ${logger.formatMysqlError(e)}`);
+    }
+
+    try {
+        await ensureProductBundleSchema(pool);
+    } catch (e) {
+        logger.error(`ensureProductBundleSchema failed: ${logger.formatMysqlError(e)}`);
+    }
+
+    try {
+        await ensureInventoryCountSchema(pool);
+    } catch (e) {
+        logger.error(`ensureInventoryCountSchema failed: ${logger.formatMysqlError(e)}`);
+    }
+
+    try {
+        await ensurePosParkedSalesSchema(pool);
+    } catch (e) {
+        logger.error(`ensurePosParkedSalesSchema failed: ${logger.formatMysqlError(e)}`);
+    }
+
+    try {
+        await ensurePosSpecialOrdersSchema(pool);
+    } catch (e) {
+        logger.error(`ensurePosSpecialOrdersSchema failed: ${logger.formatMysqlError(e)}`);
+    }
+
+    try {
+        await ensurePosExchangesSchema(pool);
+    } catch (e) {
+        logger.error(`ensurePosExchangesSchema failed: ${logger.formatMysqlError(e)}`);
+    }
+
+    try {
+        await ensurePosCommissionsSchema(pool);
+    } catch (e) {
+        logger.error(`ensurePosCommissionsSchema failed: ${logger.formatMysqlError(e)}`);
+    }
+
+    try {
+        await ensurePosTimesheetsSchema(pool);
+    } catch (e) {
+        logger.error(`ensurePosTimesheetsSchema failed: ${logger.formatMysqlError(e)}`);
+    }
+
+    try {
+        await ensurePosSchedulingSchema(pool);
+    } catch (e) {
+        logger.error(`ensurePosSchedulingSchema failed: ${logger.formatMysqlError(e)}`);
+    }
+
+    try {
+        await ensureShelfLabelsSchema(pool);
+    } catch (e) {
+        logger.error(`ensureShelfLabelsSchema failed: ${logger.formatMysqlError(e)}`);
+    }
+
+    try {
+        await ensurePosReceiptDeliverySchema(pool);
+    } catch (e) {
+        logger.error(`ensurePosReceiptDeliverySchema failed: ${logger.formatMysqlError(e)}`);
+    }
+
+    try {
+        await ensurePosRegisterEventsSchema(pool);
+    } catch (e) {
+        logger.error(`ensurePosRegisterEventsSchema failed: ${logger.formatMysqlError(e)}`);
+    }
+
+    try {
+        await ensureEdsaServiceCatalogSchema(pool);
+    } catch (e) {
+        logger.error(`ensureEdsaServiceCatalogSchema failed: ${logger.formatMysqlError(e)}`);
+    }
+
+    try {
+        await ensureEdsaReminderSchema(pool);
+    } catch (e) {
+        logger.error(`ensureEdsaReminderSchema failed: ${logger.formatMysqlError(e)}`);
+    }
+
+    try {
+        await ensureEdsaWaitlistSchema(pool);
+    } catch (e) {
+        logger.error(`ensureEdsaWaitlistSchema failed: ${logger.formatMysqlError(e)}`);
+    }
+
+    try {
+        await ensureEdsaIntakeSchema(pool);
+    } catch (e) {
+        logger.error(`ensureEdsaIntakeSchema failed: ${logger.formatMysqlError(e)}`);
+    }
+
+    try {
+        await ensureEdsaPackagesSchema(pool);
+    } catch (e) {
+        logger.error(`ensureEdsaPackagesSchema failed: ${logger.formatMysqlError(e)}`);
+    }
+
     try {
         await fs.mkdir(uploadsDir, { recursive: true });
     } catch (e) {
@@ -1999,6 +2229,11 @@ app.use('/api/*', (req, res) => {
     const stopTaxReserveScheduler = startTaxReserveScheduler(pool);
     const stopTaxAccountantScheduler = startTaxAccountantScheduler(pool);
     const stopPosDailySalesScheduler = startPosDailySalesScheduler(pool);
+    const stopAbandonedCartScheduler = startAbandonedCartScheduler(pool);
+    const stopAutoshipScheduler = startAutoshipScheduler(pool);
+    const stopPosParkedSaleScheduler = startPosParkedSaleScheduler(pool);
+    const stopEdsaReminderScheduler = startEdsaReminderScheduler(pool);
+    const stopEdsaWaitlistScheduler = startEdsaWaitlistScheduler(pool);
     const stopPosBillingScheduler = startPosBillingScheduler(pool);
     const stopPlatformBillingScheduler = startPlatformBillingScheduler(pool);
 
@@ -2045,6 +2280,26 @@ app.use('/api/*', (req, res) => {
             process.on('SIGTERM', () => stopPosDailySalesScheduler());
             process.on('SIGINT', () => stopPosDailySalesScheduler());
         }
+        if (typeof stopAbandonedCartScheduler === 'function') {
+            process.on('SIGTERM', () => stopAbandonedCartScheduler());
+            process.on('SIGINT', () => stopAbandonedCartScheduler());
+        }
+        if (typeof stopAutoshipScheduler === 'function') {
+            process.on('SIGTERM', () => stopAutoshipScheduler());
+            process.on('SIGINT', () => stopAutoshipScheduler());
+        }
+        if (typeof stopPosParkedSaleScheduler === 'function') {
+            process.on('SIGTERM', () => stopPosParkedSaleScheduler());
+            process.on('SIGINT', () => stopPosParkedSaleScheduler());
+        }
+        if (typeof stopEdsaReminderScheduler === 'function') {
+            process.on('SIGTERM', () => stopEdsaReminderScheduler());
+            process.on('SIGINT', () => stopEdsaReminderScheduler());
+        }
+        if (typeof stopEdsaWaitlistScheduler === 'function') {
+            process.on('SIGTERM', () => stopEdsaWaitlistScheduler());
+            process.on('SIGINT', () => stopEdsaWaitlistScheduler());
+        }
         if (typeof stopPosBillingScheduler === 'function') {
             process.on('SIGTERM', () => stopPosBillingScheduler());
             process.on('SIGINT', () => stopPosBillingScheduler());
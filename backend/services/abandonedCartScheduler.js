@@ -0,0 +1,58 @@
+'use strict';
+
+const logger = require('../utils/logger');
+const { loadRecoverySettings, sendDueReminders } = require('./abandonedCarts');
+
+const CHECK_INTERVAL_MINUTES = Math.max(1, Number(process.env.ABANDONED_CART_CHECK_MINUTES || 15));
+
+function isEnabled() {
+    return process.env.ABANDONED_CART_EMAILS_ENABLED !== 'false';
+}
+
+/** True when at least `intervalMinutes` have passed since the last completed run. */
+function shouldRunRecoveryPass(now, lastRunAt, intervalMinutes = CHECK_INTERVAL_MINUTES) {
+    if (!lastRunAt) return true;
+    return now.getTime() - lastRunAt.getTime() >= intervalMinutes * 60 * 1000;
+}
+
+function startAbandonedCartScheduler(pool) {
+    if (!isEnabled()) {
+        logger.info('[abandoned-carts] Reminder scheduler disabled (ABANDONED_CART_EMAILS_ENABLED=false)');
+        return () => {};
+    }
+
+    let running = false;
+    let lastRunAt = null;
+
+    const tick = async (source = 'interval') => {
+        const now = new Date();
+        if (running || !shouldRunRecoveryPass(now, lastRunAt)) return;
+
+        running = true;
+        try {
+            const settings = loadRecoverySettings();
+            const result = await sendDueReminders(pool, settings);
+            lastRunAt = now;
+            if (result.sent) {
+                logger.info('[abandoned-carts] Reminder pass completed', { source, ...result });
+            }
+        } catch (error) {
+            logger.error('[abandoned-carts] Reminder pass failed', { message: error.message, source });
+        } finally {
+            running = false;
+        }
+    };
+
+    const { reminderHours } = loadRecoverySettings();
+    logger.info(
+        `[abandoned-carts] Scheduler enabled (every ${CHECK_INTERVAL_MINUTES} min; reminders at ${reminderHours.join(', ')} h idle)`
+    );
+    const intervalId = setInterval(() => tick('interval'), 60 * 1000);
+    setTimeout(() => tick('startup'), 45 * 1000);
+    return () => clearInterval(intervalId);
+}
+
+module.exports = {
+    startAbandonedCartScheduler,
+    shouldRunRecoveryPass
+};
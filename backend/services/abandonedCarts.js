@@ -0,0 +1,579 @@
+'use strict';
+
+/**
+ * Abandoned cart recovery for shopping_carts / cart_items.
+ *
+ * A cart qualifies once it has items, an email (signed-in owner, or a guest contact_email
+ * confirmed through the emailed double opt-in link) and has been idle for the first configured interval. Each interval sends one reminder
+ * with a signed restore link; an optional single-use promo code (webPromotionEngine) is
+ * attached from the configured reminder onward. Any change to the cart restarts the
+ * sequence. When a reminded shopper places an order within the attribution window, the
+ * recovery row records the order and its total as recovered revenue.
+ *
+ * Settings (env):
+ *   ABANDONED_CART_REMINDER_HOURS       idle hours per reminder, e.g. "1,24,72"
+ *   ABANDONED_CART_PROMO_PERCENT        percent off for the one-time code (0 = no code)
+ *   ABANDONED_CART_PROMO_FROM_REMINDER  first reminder (1-based) that carries the code
+ *   ABANDONED_CART_PROMO_VALID_DAYS     code lifetime
+ *   ABANDONED_CART_RESTORE_LINK_DAYS    restore-link JWT lifetime
+ *   ABANDONED_CART_ATTRIBUTION_DAYS     order window after the last reminder
+ */
+
+const jwt = require('jsonwebtoken');
+const logger = require('../utils/logger');
+const { sendMail } = require('../utils/mailTransporter');
+const { getStorefrontPublicBaseUrl } = require('../utils/storefrontUrl');
+const { storefrontPrimaryImageFromFields } = require('../utils/catalogOverrides');
+const { STOREFRONT_VISIBLE_WHERE } = require('../utils/storefrontProductVisibility');
+const { wrapHmHerbsEmail, BRAND } = require('./giftCardDeliveryEmail');
+const { createOneTimePromotion, roundMoney } = require('./webPromotionEngine');
+
+const DEFAULT_REMINDER_HOURS = [1, 24, 72];
+const RESTORE_PURPOSE = 'cart_restore';
+const CONTACT_PURPOSE = 'cart_contact_confirm';
+const CONTACT_LINK_DAYS = 7;
+const DUE_BATCH_LIMIT = 200;
+
+function recoveryError(message, status, code) {
+    return Object.assign(new Error(message), { status, code });
+}
+
+function requireJwtSecret() {
+    const secret = process.env.JWT_SECRET;
+    if (!secret) {
+        const err = new Error('Server configuration error');
+        err.code = 'SERVER_CONFIG';
+        throw err;
+    }
+    return secret;
+}
+
+function escapeHtml(str) {
+    return String(str || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function formatMoney(value) {
+    return `$${(Number(value) || 0).toFixed(2)}`;
+}
+
+function positiveNumber(raw, fallback) {
+    const n = Number(raw);
+    return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+/** "1, 24,72" → [1, 24, 72] (sorted, de-duplicated); falls back to the default sequence. */
+function parseReminderHours(raw) {
+    const hours = String(raw || '')
+        .split(',')
+        .map((s) => Number(s.trim()))
+        .filter((n) => Number.isFinite(n) && n > 0);
+    if (!hours.length) return [...DEFAULT_REMINDER_HOURS];
+    return [...new Set(hours)].sort((a, b) => a - b);
+}
+
+function loadRecoverySettings(env = process.env) {
+    const reminderHours = parseReminderHours(env.ABANDONED_CART_REMINDER_HOURS);
+    const promoPercent = Number(env.ABANDONED_CART_PROMO_PERCENT || 0);
+    const promoFrom = Math.floor(positiveNumber(env.ABANDONED_CART_PROMO_FROM_REMINDER, reminderHours.length));
+    return {
+        reminderHours,
+        promoPercent: Number.isFinite(promoPercent) && promoPercent > 0 && promoPercent <= 100 ? promoPercent : 0,
+        promoFromReminder: Math.min(Math.max(promoFrom, 1), reminderHours.length),
+        promoValidDays: positiveNumber(env.ABANDONED_CART_PROMO_VALID_DAYS, 7),
+        restoreLinkDays: positiveNumber(env.ABANDONED_CART_RESTORE_LINK_DAYS, 14),
+        attributionDays: positiveNumber(env.ABANDONED_CART_ATTRIBUTION_DAYS, 7)
+    };
+}
+
+/**
+ * Index of the reminder that is due now, or -1.
+ * Only the next reminder in the sequence is ever due — a cart idle past several
+ * intervals (e.g. after downtime) gets one email per tick, not a burst.
+ */
+function nextReminderIndex(remindersSent, idleMinutes, reminderHours) {
+    const sent = Math.max(0, Number(remindersSent) || 0);
+    if (sent >= reminderHours.length) return -1;
+    return Number(idleMinutes) >= reminderHours[sent] * 60 ? sent : -1;
+}
+
+function sameTimestamp(a, b) {
+    if (!a || !b) return false;
+    return new Date(a).getTime() === new Date(b).getTime();
+}
+
+function signRestoreToken(cartId, recoveryId, days) {
+    return jwt.sign({ purpose: RESTORE_PURPOSE, cartId, recoveryId }, requireJwtSecret(), {
+        expiresIn: `${days}d`
+    });
+}
+
+function verifyRestoreToken(token) {
+    let decoded;
+    try {
+        decoded = jwt.verify(String(token || ''), requireJwtSecret());
+    } catch (err) {
+        if (err.code === 'SERVER_CONFIG') throw err;
+        throw recoveryError('This cart link is invalid or has expired', 400, 'INVALID_RESTORE_LINK');
+    }
+    if (decoded?.purpose !== RESTORE_PURPOSE || !Number(decoded.cartId)) {
+        throw recoveryError('This cart link is invalid or has expired', 400, 'INVALID_RESTORE_LINK');
+    }
+    return { cartId: Number(decoded.cartId), recoveryId: Number(decoded.recoveryId) || null };
+}
+
+function invalidContactLink() {
+    return recoveryError('This confirmation link is invalid or has expired', 400, 'INVALID_CONFIRM_LINK');
+}
+
+/**
+ * Emails a guest asking them to confirm cart reminders for the address typed at checkout.
+ * Nothing is sent to that address again until the link is used.
+ */
+async function sendContactConfirmation(cartId, email) {
+    const token = jwt.sign({ purpose: CONTACT_PURPOSE, cartId, email }, requireJwtSecret(), {
+        expiresIn: `${CONTACT_LINK_DAYS}d`
+    });
+    const confirmUrl = `${getStorefrontPublicBaseUrl()}/checkout.html?confirmCartEmail=${encodeURIComponent(token)}`;
+    const subject = 'Save your H&M Herbs cart?';
+    const bodyHtml = `
+        <p>Hi there,</p>
+        <p>Someone entered this address at checkout. Confirm below and we will email you a link back to your
+           cart if you do not finish your order. If it was not you, ignore this email and you will not hear from us.</p>
+        <p style="text-align:center;margin:24px 0;">
+            <a href="${escapeHtml(confirmUrl)}" style="background:${BRAND.primary};color:#fff;padding:12px 24px;border-radius:6px;text-decoration:none;font-weight:bold;">Yes, save my cart</a>
+        </p>`;
+    const text = [
+        'Someone entered this address at checkout.',
+        `Confirm to get a link back to your cart if you do not finish your order: ${confirmUrl}`,
+        '',
+        'If it was not you, ignore this email and you will not hear from us.'
+    ].join('\n');
+    return sendMail({
+        to: email,
+        subject,
+        html: wrapHmHerbsEmail({ headline: 'Save your cart?', bodyHtml, preheader: subject }),
+        text,
+        logTag: 'Abandoned cart confirm email'
+    });
+}
+
+/** Marks a guest cart's contact email as confirmed from the double opt-in link. */
+async function confirmCartContact(pool, token) {
+    let decoded;
+    try {
+        decoded = jwt.verify(String(token || ''), requireJwtSecret());
+    } catch (err) {
+        if (err.code === 'SERVER_CONFIG') throw err;
+        throw invalidContactLink();
+    }
+    if (decoded?.purpose !== CONTACT_PURPOSE || !Number(decoded.cartId) || !decoded.email) {
+        throw invalidContactLink();
+    }
+    // updated_at is left alone so confirming does not count as cart activity.
+    const [result] = await pool.execute(
+        `UPDATE shopping_carts
+            SET contact_email_confirmed_at = COALESCE(contact_email_confirmed_at, NOW()), updated_at = updated_at
+          WHERE id = ? AND contact_email = ?`,
+        [Number(decoded.cartId), String(decoded.email)]
+    );
+    if (!result.affectedRows) throw invalidContactLink();
+    return { cartId: Number(decoded.cartId) };
+}
+
+/** Visible cart lines with current catalog prices, shaped for the storefront cart. */
+async function loadCartLines(pool, cartId) {
+    const [rows] = await pool.execute(
+        `SELECT ci.quantity, p.id AS product_id, p.name, p.slug, p.sku, p.price AS product_price,
+                pv.id AS variant_id, pv.name AS variant_name, pv.price AS variant_price,
+                pi.image_url
+           FROM cart_items ci
+           JOIN products p ON ci.product_id = p.id
+           LEFT JOIN product_variants pv ON ci.variant_id = pv.id AND pv.is_active = 1
+           LEFT JOIN product_images pi ON p.id = pi.product_id AND pi.is_primary = 1
+          WHERE ci.cart_id = ? AND p.is_active = 1 AND ${STOREFRONT_VISIBLE_WHERE}
+          ORDER BY ci.created_at ASC`,
+        [cartId]
+    );
+    return rows.map((r) => {
+        const image =
+            storefrontPrimaryImageFromFields({ slug: r.slug, sku: r.sku, primaryImageUrl: r.image_url }) ||
+            r.image_url ||
+            null;
+        const price = r.variant_id && r.variant_price != null ? r.variant_price : r.product_price;
+        return {
+            id: r.product_id,
+            variant_id: r.variant_id || null,
+            variant_name: r.variant_name || null,
+            name: r.name,
+            slug: r.slug,
+            price: roundMoney(price),
+            image,
+            quantity: Number(r.quantity)
+        };
+    });
+}
+
+// Guest emails only count once the shopper confirmed them (see sendContactConfirmation).
+const CONFIRMED_CONTACT_EMAIL = 'IF(sc.contact_email_confirmed_at IS NULL, NULL, sc.contact_email)';
+
+/** Carts with items and an email, idle within the reminder window, with a reminder possibly due. */
+async function findIdleCarts(pool, settings) {
+    const minMinutes = Math.round(settings.reminderHours[0] * 60);
+    // Carts idle well past the last interval (e.g. from before recovery was enabled) are left alone.
+    const maxMinutes = Math.round((settings.reminderHours[settings.reminderHours.length - 1] + 24) * 60);
+    const [rows] = await pool.execute(
+        `SELECT sc.id AS cart_id, sc.user_id, u.first_name,
+                COALESCE(NULLIF(u.email, ''), ${CONFIRMED_CONTACT_EMAIL}) AS email,
+                GREATEST(sc.updated_at, MAX(COALESCE(ci.updated_at, ci.created_at))) AS activity_at,
+                TIMESTAMPDIFF(MINUTE, GREATEST(sc.updated_at, MAX(COALESCE(ci.updated_at, ci.created_at))), NOW())
+                    AS idle_minutes,
+                SUM(ci.quantity * ci.price) AS subtotal,
+                acr.id AS recovery_id, acr.status, acr.reminders_sent, acr.cart_activity_at,
+                acr.promotion_id, acr.promo_code
+           FROM shopping_carts sc
+           JOIN cart_items ci ON ci.cart_id = sc.id
+           LEFT JOIN users u ON u.id = sc.user_id
+           LEFT JOIN abandoned_cart_recoveries acr ON acr.cart_id = sc.id
+          WHERE COALESCE(NULLIF(u.email, ''), ${CONFIRMED_CONTACT_EMAIL}) IS NOT NULL
+          GROUP BY sc.id, sc.user_id, u.first_name, u.email, sc.contact_email, sc.contact_email_confirmed_at, sc.updated_at,
+                   acr.id, acr.status, acr.reminders_sent, acr.cart_activity_at, acr.promotion_id, acr.promo_code
+         HAVING idle_minutes BETWEEN ? AND ?
+            AND (recovery_id IS NULL OR cart_activity_at <> activity_at
+                 OR (status = 'active' AND reminders_sent < ?))
+          ORDER BY activity_at ASC
+          LIMIT ${DUE_BATCH_LIMIT}`,
+        [minMinutes, maxMinutes, settings.reminderHours.length]
+    );
+    return rows;
+}
+
+/**
+ * Starts (or restarts, when the cart changed since the last sequence) the recovery row.
+ * Returns the row state the reminder decision should use, or null when the sequence ended.
+ */
+async function syncRecoveryRow(pool, cart) {
+    if (!cart.recovery_id) {
+        const [ins] = await pool.execute(
+            `INSERT INTO abandoned_cart_recoveries (cart_id, email, user_id, cart_activity_at, cart_subtotal)
+             VALUES (?, ?, ?, ?, ?)`,
+            [cart.cart_id, cart.email, cart.user_id || null, cart.activity_at, roundMoney(cart.subtotal)]
+        );
+        return { id: ins.insertId, remindersSent: 0, promotionId: null, promoCode: null };
+    }
+    if (!sameTimestamp(cart.cart_activity_at, cart.activity_at)) {
+        await pool.execute(
+            `UPDATE abandoned_cart_recoveries
+                SET status = 'active', reminders_sent = 0, last_reminder_at = NULL, restored_at = NULL,
+                    recovered_order_id = NULL, recovered_revenue = NULL, recovered_at = NULL,
+                    email = ?, user_id = ?, cart_activity_at = ?, cart_subtotal = ?
+              WHERE id = ?`,
+            [cart.email, cart.user_id || null, cart.activity_at, roundMoney(cart.subtotal), cart.recovery_id]
+        );
+        return { id: cart.recovery_id, remindersSent: 0, promotionId: cart.promotion_id, promoCode: cart.promo_code };
+    }
+    if (cart.status !== 'active') return null;
+    return {
+        id: cart.recovery_id,
+        remindersSent: Number(cart.reminders_sent) || 0,
+        promotionId: cart.promotion_id,
+        promoCode: cart.promo_code
+    };
+}
+
+async function ensureRecoveryPromotion(pool, recovery, cart, settings) {
+    if (recovery.promoCode) return recovery.promoCode;
+    const promo = await createOneTimePromotion(pool, {
+        prefix: 'COMEBACK',
+        percentOff: settings.promoPercent,
+        validDays: settings.promoValidDays,
+        description: `Abandoned cart reminder — cart #${cart.cart_id} (${cart.email})`
+    });
+    await pool.execute('UPDATE abandoned_cart_recoveries SET promotion_id = ?, promo_code = ? WHERE id = ?', [
+        promo.id,
+        promo.code,
+        recovery.id
+    ]);
+    return promo.code;
+}
+
+function buildReminderEmail({ cart, lines, reminderIndex, restoreUrl, promoCode, settings }) {
+    const first = reminderIndex === 0;
+    const subject = promoCode
+        ? `Your cart is waiting — take ${settings.promoPercent}% off`
+        : first
+            ? 'You left something in your cart at H&M Herbs'
+            : `Still thinking it over? Your cart is saved`;
+    const greeting = cart.first_name ? `Hi ${escapeHtml(cart.first_name)},` : 'Hi there,';
+    const subtotal = lines.reduce((sum, l) => sum + l.price * l.quantity, 0);
+
+    const rows = lines
+        .map((l) => {
+            const label = l.variant_name ? `${l.name} — ${l.variant_name}` : l.name;
+            return `<tr>
+                <td style="padding:6px 0;color:${BRAND.text};">${escapeHtml(label)} &times; ${l.quantity}</td>
+                <td style="padding:6px 0;text-align:right;color:${BRAND.text};">${formatMoney(l.price * l.quantity)}</td>
+            </tr>`;
+        })
+        .join('');
+    const promoHtml = promoCode
+        ? `<p style="margin:16px 0;padding:12px;border:1px dashed ${BRAND.primary};text-align:center;">
+               Use code <strong>${escapeHtml(promoCode)}</strong> for ${settings.promoPercent}% off this order.
+               One use, expires in ${settings.promoValidDays} day${settings.promoValidDays === 1 ? '' : 's'}.
+           </p>`
+        : '';
+    const bodyHtml = `
+        <p>${greeting}</p>
+        <p>We saved the items in your cart so you can pick up right where you left off.</p>
+        <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="margin:12px 0;">
+            ${rows}
+            <tr><td style="padding-top:8px;border-top:1px solid ${BRAND.border};"><strong>Subtotal</strong></td>
+                <td style="padding-top:8px;border-top:1px solid ${BRAND.border};text-align:right;"><strong>${formatMoney(subtotal)}</strong></td></tr>
+        </table>
+        ${promoHtml}
+        <p style="text-align:center;margin:24px 0;">
+            <a href="${escapeHtml(restoreUrl)}" style="background:${BRAND.primary};color:#fff;padding:12px 24px;border-radius:6px;text-decoration:none;font-weight:bold;">Return to my cart</a>
+        </p>`;
+
+    const textLines = lines.map((l) => `- ${l.name}${l.variant_name ? ` (${l.variant_name})` : ''} x${l.quantity}`);
+    const text = [
+        cart.first_name ? `Hi ${cart.first_name},` : 'Hi there,',
+        '',
+        'We saved the items in your cart:',
+        ...textLines,
+        `Subtotal: ${formatMoney(subtotal)}`,
+        promoCode ? `\nUse code ${promoCode} for ${settings.promoPercent}% off (one use).` : '',
+        '',
+        `Return to your cart: ${restoreUrl}`
+    ].join('\n');
+
+    return {
+        subject,
+        html: wrapHmHerbsEmail({ headline: 'Your cart is saved', bodyHtml, preheader: subject }),
+        text
+    };
+}
+
+/**
+ * One scheduler pass: sends whichever reminder is due for each idle cart.
+ * @returns {Promise<{ checked: number, sent: number }>}
+ */
+async function sendDueReminders(pool, settings = loadRecoverySettings()) {
+    const carts = await findIdleCarts(pool, settings);
+    let sent = 0;
+    for (const cart of carts) {
+        try {
+            const recovery = await syncRecoveryRow(pool, cart);
+            if (!recovery) continue;
+            const index = nextReminderIndex(recovery.remindersSent, cart.idle_minutes, settings.reminderHours);
+            if (index < 0) continue;
+
+            const lines = await loadCartLines(pool, cart.cart_id);
+            if (!lines.length) continue;
+
+            const promoCode =
+                settings.promoPercent > 0 && index + 1 >= settings.promoFromReminder
+                    ? await ensureRecoveryPromotion(pool, recovery, cart, settings)
+                    : null;
+            const token = signRestoreToken(cart.cart_id, recovery.id, settings.restoreLinkDays);
+            const restoreUrl = `${getStorefrontPublicBaseUrl()}/checkout.html?restoreCart=${encodeURIComponent(token)}`;
+            const { subject, html, text } = buildReminderEmail({
+                cart,
+                lines,
+                reminderIndex: index,
+                restoreUrl,
+                promoCode,
+                settings
+            });
+            const result = await sendMail({ to: cart.email, subject, html, text, logTag: 'Abandoned cart email' });
+            if (!result.sent) break;
+
+            await pool.execute(
+                `UPDATE abandoned_cart_recoveries
+                    SET reminders_sent = ?, last_reminder_at = NOW()
+                  WHERE id = ?`,
+                [index + 1, recovery.id]
+            );
+            sent += 1;
+        } catch (err) {
+            logger.warn(`[abandoned-carts] reminder failed for cart ${cart.cart_id}: ${err.message}`);
+        }
+    }
+    return { checked: carts.length, sent };
+}
+
+/**
+ * Resolves a restore link to cart lines at current prices (and the promo code, if any).
+ * Marks the recovery row as restored the first time the link is used.
+ */
+async function restoreCartFromToken(pool, token) {
+    const { cartId, recoveryId } = verifyRestoreToken(token);
+    const lines = await loadCartLines(pool, cartId);
+    if (!lines.length) {
+        throw recoveryError('This cart is empty or has already been checked out', 404, 'CART_EMPTY');
+    }
+    let promoCode = null;
+    if (recoveryId) {
+        const [rows] = await pool.execute(
+            'SELECT promo_code FROM abandoned_cart_recoveries WHERE id = ? AND cart_id = ? LIMIT 1',
+            [recoveryId, cartId]
+        );
+        promoCode = rows[0]?.promo_code || null;
+        await pool.execute(
+            'UPDATE abandoned_cart_recoveries SET restored_at = COALESCE(restored_at, NOW()) WHERE id = ?',
+            [recoveryId]
+        );
+    }
+    return { cartId, items: lines, promoCode };
+}
+
+/**
+ * Called after a web order is paid. Attributes the order to the shopper's most recent
+ * reminded cart (within the attribution window, or when the reminder's code was used)
+ * and empties the shopper's saved carts so no further reminders go out.
+ */
+async function recordOrderConversion(pool, order, settings = loadRecoverySettings()) {
+    const email = String(order?.email || '').trim().toLowerCase();
+    const userId = Number(order?.user_id) || null;
+    if (!email && !userId) return null;
+
+    const [candidates] = await pool.execute(
+        `SELECT id, cart_id, promo_code, last_reminder_at
+           FROM abandoned_cart_recoveries
+          WHERE status = 'active' AND reminders_sent > 0
+            AND (LOWER(email) = ? OR (user_id IS NOT NULL AND user_id = ?))
+            AND (last_reminder_at >= NOW() - INTERVAL ? DAY OR (promo_code IS NOT NULL AND promo_code = ?))
+          ORDER BY last_reminder_at DESC`,
+        [email, userId, Math.round(settings.attributionDays), String(order.promo_code || '')]
+    );
+
+    let recovered = null;
+    if (candidates.length) {
+        recovered = candidates[0];
+        await pool.execute(
+            `UPDATE abandoned_cart_recoveries
+                SET status = 'recovered', recovered_order_id = ?, recovered_revenue = ?, recovered_at = NOW()
+              WHERE id = ?`,
+            [order.id, roundMoney(order.total_amount), recovered.id]
+        );
+        const others = candidates.slice(1).map((c) => c.id);
+        if (others.length) {
+            await pool.query("UPDATE abandoned_cart_recoveries SET status = 'closed' WHERE id IN (?)", [others]);
+        }
+    }
+
+    await pool.execute(
+        `DELETE ci FROM cart_items ci
+           JOIN shopping_carts sc ON ci.cart_id = sc.id
+          WHERE (sc.user_id IS NOT NULL AND sc.user_id = ?) OR LOWER(sc.contact_email) = ?`,
+        [userId, email]
+    );
+    return recovered ? { recoveryId: recovered.id, cartId: recovered.cart_id } : null;
+}
+
+/** Fire-and-forget wrapper for finalizePaidOrder (runs after the order commits). */
+function queueOrderConversion(pool, order) {
+    if (!pool || !order) return;
+    setImmediate(() => {
+        recordOrderConversion(pool, order).catch((err) => {
+            logger.warn(`[abandoned-carts] conversion tracking failed — ${logger.formatMysqlError(err)}`);
+        });
+    });
+}
+
+/** Recovered-revenue totals for reminders sent in [from, to] (YYYY-MM-DD, inclusive). */
+async function getRecoveryReport(pool, { from, to, status, limit = 100 } = {}) {
+    const where = ['acr.reminders_sent > 0'];
+    const params = [];
+    if (from) {
+        where.push('acr.last_reminder_at >= ?');
+        params.push(`${from} 00:00:00`);
+    }
+    if (to) {
+        where.push('acr.last_reminder_at <= ?');
+        params.push(`${to} 23:59:59`);
+    }
+    const whereSql = where.join(' AND ');
+
+    const [[totals]] = await pool.execute(
+        `SELECT COUNT(*) AS reminded_carts,
+                COALESCE(SUM(acr.reminders_sent), 0) AS reminders_sent,
+                COALESCE(SUM(acr.cart_subtotal), 0) AS reminded_value,
+                SUM(acr.restored_at IS NOT NULL) AS restored_carts,
+                SUM(acr.status = 'recovered') AS recovered_carts,
+                COALESCE(SUM(CASE WHEN acr.status = 'recovered' THEN acr.recovered_revenue END), 0) AS recovered_revenue,
+                SUM(acr.status = 'recovered' AND acr.promo_code IS NOT NULL) AS recovered_with_promo
+           FROM abandoned_cart_recoveries acr
+          WHERE ${whereSql}`,
+        params
+    );
+
+    const listWhere = [...where];
+    const listParams = [...params];
+    if (['active', 'recovered', 'closed'].includes(status)) {
+        listWhere.push('acr.status = ?');
+        listParams.push(status);
+    }
+    const lim = Math.min(Math.max(Number(limit) || 100, 1), 500);
+    const [items] = await pool.execute(
+        `SELECT acr.id, acr.cart_id, acr.email, acr.cart_subtotal, acr.reminders_sent, acr.last_reminder_at,
+                acr.promo_code, acr.status, acr.restored_at, acr.recovered_revenue, acr.recovered_at,
+                o.id AS order_id, o.order_number
+           FROM abandoned_cart_recoveries acr
+           LEFT JOIN orders o ON o.id = acr.recovered_order_id
+          WHERE ${listWhere.join(' AND ')}
+          ORDER BY acr.last_reminder_at DESC
+          LIMIT ${lim}`,
+        listParams
+    );
+
+    const remindedCarts = Number(totals.reminded_carts) || 0;
+    const recoveredCarts = Number(totals.recovered_carts) || 0;
+    return {
+        totals: {
+            remindedCarts,
+            remindersSent: Number(totals.reminders_sent) || 0,
+            remindedValue: roundMoney(totals.reminded_value),
+            restoredCarts: Number(totals.restored_carts) || 0,
+            recoveredCarts,
+            recoveredRevenue: roundMoney(totals.recovered_revenue),
+            recoveredWithPromo: Number(totals.recovered_with_promo) || 0,
+            recoveryRate: remindedCarts ? Math.round((recoveredCarts / remindedCarts) * 1000) / 10 : 0
+        },
+        items: items.map((r) => ({
+            id: r.id,
+            cartId: r.cart_id,
+            email: r.email,
+            cartSubtotal: roundMoney(r.cart_subtotal),
+            remindersSent: Number(r.reminders_sent),
+            lastReminderAt: r.last_reminder_at,
+            promoCode: r.promo_code,
+            status: r.status,
+            restoredAt: r.restored_at,
+            recoveredRevenue: r.recovered_revenue != null ? roundMoney(r.recovered_revenue) : null,
+            recoveredAt: r.recovered_at,
+            orderId: r.order_id || null,
+            orderNumber: r.order_number || null
+        }))
+    };
+}
+
+module.exports = {
+    DEFAULT_REMINDER_HOURS,
+    parseReminderHours,
+    loadRecoverySettings,
+    nextReminderIndex,
+    signRestoreToken,
+    verifyRestoreToken,
+    loadCartLines,
+    sendContactConfirmation,
+    confirmCartContact,
+    sendDueReminders,
+    restoreCartFromToken,
+    recordOrderConversion,
+    queueOrderConversion,
+    getRecoveryReport
+};
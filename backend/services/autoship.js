@@ -0,0 +1,629 @@
+'use strict';
+
+/**
+ * Subscribe-and-save autoship for signed-in customers.
+ *
+ * A subscription is one product / variant line with a quantity, a delivery interval, a
+ * vaulted NMI card (nmiVaultCards) and a ship-to snapshot. Lines are enrolled from checkout
+ * (order_items.metadata.autoship.intervalDays, created once the order is paid) or later from
+ * order history. The scheduler sends a reminder a few days before each charge; autoshipRunner.js
+ * then places, prices (webPromotionEngine, subscription percent off) and charges the orders.
+ * Customers skip, pause, resume, change quantity or interval and cancel from the account page.
+ *
+ * Settings (env):
+ *   AUTOSHIP_DISCOUNT_PERCENT      percent off every autoship order (0 disables the discount)
+ *   AUTOSHIP_INTERVAL_DAYS         intervals customers may choose, e.g. "30,45,60,90"
+ *   AUTOSHIP_REMINDER_DAYS         days before the charge the reminder email goes out
+ *   AUTOSHIP_MAX_CHARGE_ATTEMPTS   failed charges in a row before the subscription pauses
+ */
+
+const logger = require('../utils/logger');
+const { sendMail } = require('../utils/mailTransporter');
+const { getStorefrontPublicBaseUrl } = require('../utils/storefrontUrl');
+const { storefrontPrimaryImageFromFields } = require('../utils/catalogOverrides');
+const { wrapHmHerbsEmail, BRAND } = require('./giftCardDeliveryEmail');
+const promoEngine = require('./webPromotionEngine');
+const nmiVaultCards = require('./nmiVaultCards');
+
+const DEFAULT_INTERVAL_DAYS = [30, 45, 60, 90];
+const MAX_QUANTITY = 99;
+const DUE_BATCH_LIMIT = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function autoshipError(message, status, code) {
+    return Object.assign(new Error(message), { status, code });
+}
+
+function escapeHtml(str) {
+    return String(str || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function formatMoney(value) {
+    return `$${(Number(value) || 0).toFixed(2)}`;
+}
+
+function positiveNumber(raw, fallback) {
+    const n = Number(raw);
+    return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+/** "30, 60,90" → [30, 60, 90] (sorted, de-duplicated, whole days); falls back to the defaults. */
+function parseIntervalDays(raw) {
+    const days = String(raw || '')
+        .split(',')
+        .map((s) => Math.floor(Number(s.trim())))
+        .filter((n) => Number.isFinite(n) && n >= 7 && n <= 365);
+    if (!days.length) return [...DEFAULT_INTERVAL_DAYS];
+    return [...new Set(days)].sort((a, b) => a - b);
+}
+
+function loadAutoshipSettings(env = process.env) {
+    const discount = env.AUTOSHIP_DISCOUNT_PERCENT == null || env.AUTOSHIP_DISCOUNT_PERCENT === ''
+        ? 10
+        : Number(env.AUTOSHIP_DISCOUNT_PERCENT);
+    return {
+        discountPercent: Number.isFinite(discount) && discount > 0 && discount <= 100 ? discount : 0,
+        intervalDays: parseIntervalDays(env.AUTOSHIP_INTERVAL_DAYS),
+        reminderDays: Math.floor(positiveNumber(env.AUTOSHIP_REMINDER_DAYS, 3)),
+        maxChargeAttempts: Math.floor(positiveNumber(env.AUTOSHIP_MAX_CHARGE_ATTEMPTS, 3))
+    };
+}
+
+/** Validated interval (one of the configured choices) or a 400. */
+function normalizeIntervalDays(raw, settings = loadAutoshipSettings()) {
+    const days = Math.floor(Number(raw));
+    if (!settings.intervalDays.includes(days)) {
+        throw autoshipError(
+            `Choose a delivery interval of ${settings.intervalDays.join(', ')} days`,
+            400,
+            'INVALID_INTERVAL'
+        );
+    }
+    return days;
+}
+
+function normalizeQuantity(raw) {
+    const qty = Math.floor(Number(raw));
+    if (!Number.isFinite(qty) || qty < 1 || qty > MAX_QUANTITY) {
+        throw autoshipError(`Quantity must be between 1 and ${MAX_QUANTITY}`, 400, 'INVALID_QUANTITY');
+    }
+    return qty;
+}
+
+/** Calendar date as YYYY-MM-DD (mysql2 returns DATE columns as local-midnight Dates). */
+function toDateOnly(value) {
+    if (!value) return null;
+    if (typeof value === 'string') return value.slice(0, 10);
+    const d = new Date(value);
+    if (Number.isNaN(d.getTime())) return null;
+    return [d.getFullYear(), String(d.getMonth() + 1).padStart(2, '0'), String(d.getDate()).padStart(2, '0')].join('-');
+}
+
+function addDays(dateOnly, days) {
+    const [y, m, d] = String(dateOnly).split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1, d) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Next delivery after a successful run: one interval after the scheduled date, or one interval
+ * from today when the run happened late enough (retries, downtime) that the date is already past.
+ */
+function nextOrderDateAfterRun(scheduledDate, intervalDays, today) {
+    const next = addDays(scheduledDate, intervalDays);
+    return next > today ? next : addDays(today, intervalDays);
+}
+
+function parseJson(value) {
+    if (!value) return null;
+    if (typeof value === 'object') return value;
+    try {
+        return JSON.parse(value);
+    } catch {
+        return null;
+    }
+}
+
+/** Interval stored on a checkout line (order_items.metadata), or null. */
+function autoshipIntervalFromMetadata(metadata) {
+    const days = Number(parseJson(metadata)?.autoship?.intervalDays);
+    return Number.isInteger(days) && days > 0 ? days : null;
+}
+
+function hasAutoshipLines(orderItems) {
+    return (orderItems || []).some((item) => autoshipIntervalFromMetadata(item.metadata) != null);
+}
+
+function shippingSnapshotFromOrder(order) {
+    if (!order?.shipping_address_line_1 || !order?.shipping_city) return null;
+    return {
+        firstName: order.shipping_first_name || '',
+        lastName: order.shipping_last_name || '',
+        line1: order.shipping_address_line_1,
+        line2: order.shipping_address_line_2 || null,
+        city: order.shipping_city,
+        state: order.shipping_state || '',
+        postalCode: order.shipping_postal_code || '',
+        country: order.shipping_country || 'United States'
+    };
+}
+
+async function defaultShippingSnapshot(pool, userId) {
+    const [rows] = await pool.execute(
+        `SELECT first_name, last_name, address_line_1, address_line_2, city, state, postal_code, country
+           FROM user_addresses
+          WHERE user_id = ? AND type = 'shipping'
+          ORDER BY is_default DESC, id ASC
+          LIMIT 1`,
+        [userId]
+    );
+    const a = rows[0];
+    if (!a) return null;
+    return {
+        firstName: a.first_name || '',
+        lastName: a.last_name || '',
+        line1: a.address_line_1,
+        line2: a.address_line_2 || null,
+        city: a.city,
+        state: a.state || '',
+        postalCode: a.postal_code || '',
+        country: a.country || 'United States'
+    };
+}
+
+async function assertOwnedCard(pool, userId, cardId) {
+    if (cardId == null || cardId === '') return null;
+    const id = Number(cardId);
+    const cards = await nmiVaultCards.listUserVaultCards(pool, userId);
+    if (!cards.some((c) => Number(c.id) === id)) {
+        throw autoshipError('Saved card not found', 400, 'CARD_NOT_FOUND');
+    }
+    return id;
+}
+
+async function insertSubscription(pool, sub) {
+    const [result] = await pool.execute(
+        `INSERT INTO autoship_subscriptions
+            (user_id, product_id, variant_id, quantity, interval_days, payment_card_id,
+             shipping_address, next_order_date, source_order_id, source_order_item_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            sub.userId,
+            sub.productId,
+            sub.variantId || null,
+            sub.quantity,
+            sub.intervalDays,
+            sub.paymentCardId || null,
+            sub.shippingAddress ? JSON.stringify(sub.shippingAddress) : null,
+            sub.nextOrderDate,
+            sub.sourceOrderId || null,
+            sub.sourceOrderItemId || null
+        ]
+    );
+    return result.insertId;
+}
+
+/**
+ * Creates subscriptions for the autoship lines of a paid web order (idempotent per order line).
+ * The first delivery is one interval after the order.
+ * @returns {Promise<number[]>} new subscription ids
+ */
+async function createSubscriptionsFromOrder(pool, { orderId, paymentCardId = null }, settings = loadAutoshipSettings()) {
+    const [[order]] = await pool.execute('SELECT * FROM orders WHERE id = ? LIMIT 1', [orderId]);
+    if (!order?.user_id) return [];
+    const [items] = await pool.execute(
+        'SELECT id, product_id, variant_id, quantity, metadata FROM order_items WHERE order_id = ?',
+        [orderId]
+    );
+    const shippingAddress =
+        shippingSnapshotFromOrder(order) || (await defaultShippingSnapshot(pool, order.user_id));
+    const today = toDateOnly(new Date());
+
+    const created = [];
+    for (const item of items) {
+        const days = autoshipIntervalFromMetadata(item.metadata);
+        if (days == null) continue;
+        if (!settings.intervalDays.includes(days)) {
+            logger.warn(`[autoship] order ${orderId} line ${item.id} has unsupported interval ${days}; skipped`);
+            continue;
+        }
+        try {
+            const id = await insertSubscription(pool, {
+                userId: order.user_id,
+                productId: item.product_id,
+                variantId: item.variant_id,
+                quantity: Math.min(Number(item.quantity) || 1, MAX_QUANTITY),
+                intervalDays: days,
+                paymentCardId,
+                shippingAddress,
+                nextOrderDate: addDays(today, days),
+                sourceOrderId: order.id,
+                sourceOrderItemId: item.id
+            });
+            created.push(id);
+        } catch (err) {
+            if (err.code !== 'ER_DUP_ENTRY') throw err;
+        }
+    }
+    if (created.length) {
+        logger.info('[autoship] subscriptions created from checkout', { orderId, subscriptionIds: created });
+    }
+    return created;
+}
+
+/** Fire-and-forget enrollment after a web order is paid (see finalizePaidOrder). */
+function queueAutoshipEnrollment(pool, orderRow, { paymentCardId = null } = {}) {
+    if (!orderRow?.user_id) return;
+    void createSubscriptionsFromOrder(pool, { orderId: orderRow.id, paymentCardId }).catch((err) => {
+        logger.error(`[autoship] enrollment failed for order ${orderRow.id}: ${err.message}`);
+    });
+}
+
+/**
+ * Starts a subscription from a line in the customer's order history
+ * (web or in-store; in-store orders ship to the customer's saved shipping address).
+ */
+async function subscribeFromOrderItem(pool, userId, { orderItemId, intervalDays, quantity, paymentCardId }) {
+    const settings = loadAutoshipSettings();
+    const days = normalizeIntervalDays(intervalDays, settings);
+    const [[line]] = await pool.execute(
+        `SELECT oi.id, oi.product_id, oi.variant_id, oi.quantity, o.*,
+                p.is_active AS product_active, p.gift_card_type
+           FROM order_items oi
+           JOIN orders o ON o.id = oi.order_id
+           JOIN products p ON p.id = oi.product_id
+          WHERE oi.id = ? AND o.user_id = ?
+          LIMIT 1`,
+        [orderItemId, userId]
+    );
+    if (!line) throw autoshipError('Order item not found', 404, 'NOT_FOUND');
+    if (line.gift_card_type) throw autoshipError('Gift cards cannot be put on autoship', 400, 'NOT_ELIGIBLE');
+    if (!Number(line.product_active)) {
+        throw autoshipError('This product is no longer available', 400, 'PRODUCT_UNAVAILABLE');
+    }
+
+    const shippingAddress =
+        shippingSnapshotFromOrder(line) || (await defaultShippingSnapshot(pool, userId));
+    if (!shippingAddress) {
+        throw autoshipError('Add a shipping address to your account first', 400, 'ADDRESS_REQUIRED');
+    }
+    const cardId = await assertOwnedCard(pool, userId, paymentCardId);
+
+    let id;
+    try {
+        id = await insertSubscription(pool, {
+            userId,
+            productId: line.product_id,
+            variantId: line.variant_id,
+            quantity: normalizeQuantity(quantity ?? line.quantity),
+            intervalDays: days,
+            paymentCardId: cardId,
+            shippingAddress,
+            nextOrderDate: addDays(toDateOnly(new Date()), days),
+            sourceOrderId: line.order_id,
+            sourceOrderItemId: line.id
+        });
+    } catch (err) {
+        if (err.code === 'ER_DUP_ENTRY') {
+            throw autoshipError('This item is already on autoship', 409, 'ALREADY_SUBSCRIBED');
+        }
+        throw err;
+    }
+    return getSubscription(pool, userId, id);
+}
+
+const SUBSCRIPTION_SELECT = `
+    SELECT s.*, p.name AS product_name, p.slug, p.sku, p.price AS product_price, p.is_active AS product_active,
+           pv.name AS variant_name, pv.price AS variant_price, pi.image_url,
+           pc.last4 AS card_last4, pc.brand AS card_brand
+      FROM autoship_subscriptions s
+      JOIN products p ON p.id = s.product_id
+      LEFT JOIN product_variants pv ON pv.id = s.variant_id
+      LEFT JOIN product_images pi ON pi.product_id = p.id AND pi.is_primary = 1
+      LEFT JOIN payment_cards pc ON pc.id = s.payment_card_id AND pc.is_active = 1 AND pc.deleted_at IS NULL`;
+
+function mapSubscription(row, settings = loadAutoshipSettings()) {
+    const unitPrice = promoEngine.roundMoney(
+        row.variant_id && row.variant_price != null ? row.variant_price : row.product_price
+    );
+    return {
+        id: row.id,
+        productId: row.product_id,
+        variantId: row.variant_id || null,
+        name: row.product_name,
+        variantName: row.variant_name || null,
+        slug: row.slug,
+        image:
+            storefrontPrimaryImageFromFields({ slug: row.slug, sku: row.sku, primaryImageUrl: row.image_url }) ||
+            row.image_url ||
+            null,
+        available: Boolean(Number(row.product_active)),
+        quantity: Number(row.quantity),
+        intervalDays: Number(row.interval_days),
+        status: row.status,
+        nextOrderDate: toDateOnly(row.next_order_date),
+        unitPrice,
+        subscriptionUnitPrice: promoEngine.roundMoney(unitPrice * (1 - settings.discountPercent / 100)),
+        card: row.card_last4 ? { id: row.payment_card_id, last4: row.card_last4, brand: row.card_brand } : null,
+        shippingAddress: parseJson(row.shipping_address),
+        lastOrderId: row.last_order_id || null,
+        lastOrderAt: row.last_order_at || null,
+        failedAttempts: Number(row.failed_attempts) || 0,
+        lastError: row.last_error || null
+    };
+}
+
+async function listSubscriptions(pool, userId) {
+    const settings = loadAutoshipSettings();
+    const [rows] = await pool.execute(
+        `${SUBSCRIPTION_SELECT}
+          WHERE s.user_id = ? AND s.status <> 'cancelled'
+          ORDER BY s.status = 'paused', s.next_order_date ASC, s.id ASC`,
+        [userId]
+    );
+    return rows.map((r) => mapSubscription(r, settings));
+}
+
+async function getSubscription(pool, userId, id) {
+    const [rows] = await pool.execute(`${SUBSCRIPTION_SELECT} WHERE s.id = ? AND s.user_id = ? LIMIT 1`, [id, userId]);
+    if (!rows.length) throw autoshipError('Subscription not found', 404, 'NOT_FOUND');
+    return mapSubscription(rows[0]);
+}
+
+async function loadOwnedSubscription(pool, userId, id) {
+    const [rows] = await pool.execute('SELECT * FROM autoship_subscriptions WHERE id = ? AND user_id = ? LIMIT 1', [
+        id,
+        userId
+    ]);
+    const sub = rows[0];
+    if (!sub || sub.status === 'cancelled') throw autoshipError('Subscription not found', 404, 'NOT_FOUND');
+    return sub;
+}
+
+/**
+ * Changes quantity, interval and/or card. A new interval re-dates the next delivery from the
+ * last autoship order (or the sign-up date), never earlier than tomorrow.
+ */
+async function updateSubscription(pool, userId, id, { quantity, intervalDays, paymentCardId } = {}) {
+    const sub = await loadOwnedSubscription(pool, userId, id);
+    const sets = [];
+    const params = [];
+    if (quantity !== undefined) {
+        sets.push('quantity = ?');
+        params.push(normalizeQuantity(quantity));
+    }
+    if (intervalDays !== undefined) {
+        const days = normalizeIntervalDays(intervalDays);
+        if (days !== Number(sub.interval_days)) {
+            const today = toDateOnly(new Date());
+            const base = toDateOnly(sub.last_order_at || sub.created_at || new Date());
+            const redated = addDays(base, days);
+            sets.push('interval_days = ?', 'next_order_date = ?');
+            params.push(days, redated > today ? redated : addDays(today, 1));
+        }
+    }
+    if (paymentCardId !== undefined) {
+        sets.push('payment_card_id = ?', 'failed_attempts = 0', 'last_error = NULL');
+        params.push(await assertOwnedCard(pool, userId, paymentCardId));
+    }
+    if (sets.length) {
+        await pool.execute(`UPDATE autoship_subscriptions SET ${sets.join(', ')} WHERE id = ?`, [...params, sub.id]);
+    }
+    return getSubscription(pool, userId, sub.id);
+}
+
+/** Pushes the next delivery back by one interval. */
+async function skipNextDelivery(pool, userId, id) {
+    const sub = await loadOwnedSubscription(pool, userId, id);
+    if (sub.status !== 'active') throw autoshipError('Only active subscriptions can be skipped', 400, 'NOT_ACTIVE');
+    await pool.execute('UPDATE autoship_subscriptions SET next_order_date = ? WHERE id = ?', [
+        addDays(toDateOnly(sub.next_order_date), Number(sub.interval_days)),
+        sub.id
+    ]);
+    return getSubscription(pool, userId, sub.id);
+}
+
+async function pauseSubscription(pool, userId, id) {
+    const sub = await loadOwnedSubscription(pool, userId, id);
+    if (sub.status !== 'paused') {
+        await pool.execute("UPDATE autoship_subscriptions SET status = 'paused', paused_at = NOW() WHERE id = ?", [
+            sub.id
+        ]);
+    }
+    return getSubscription(pool, userId, sub.id);
+}
+
+/** Resumes on the original schedule, or tomorrow when that date already passed while paused. */
+async function resumeSubscription(pool, userId, id) {
+    const sub = await loadOwnedSubscription(pool, userId, id);
+    if (sub.status === 'paused') {
+        const today = toDateOnly(new Date());
+        const next = toDateOnly(sub.next_order_date);
+        await pool.execute(
+            `UPDATE autoship_subscriptions
+                SET status = 'active', paused_at = NULL, failed_attempts = 0, last_error = NULL, next_order_date = ?
+              WHERE id = ?`,
+            [next > today ? next : addDays(today, 1), sub.id]
+        );
+    }
+    return getSubscription(pool, userId, sub.id);
+}
+
+async function cancelSubscription(pool, userId, id) {
+    const sub = await loadOwnedSubscription(pool, userId, id);
+    await pool.execute("UPDATE autoship_subscriptions SET status = 'cancelled', cancelled_at = NOW() WHERE id = ?", [
+        sub.id
+    ]);
+    logger.info('[autoship] subscription cancelled by customer', { subscriptionId: sub.id, userId });
+}
+
+// ---------------------------------------------------------------------------
+// Pre-charge reminders (scheduled orders themselves: autoshipRunner.js)
+// ---------------------------------------------------------------------------
+
+function lineLabel(row) {
+    return row.variant_name ? `${row.product_name} — ${row.variant_name}` : row.product_name;
+}
+
+function buildReminderEmail({ user, rows, nextOrderDate, estimate, settings }) {
+    const when = new Date(`${nextOrderDate}T12:00:00`).toLocaleDateString('en-US', {
+        weekday: 'long',
+        month: 'long',
+        day: 'numeric'
+    });
+    const manageUrl = `${getStorefrontPublicBaseUrl()}/account.html#autoship`;
+    const subject = `Your autoship order ships ${when}`;
+    const greeting = user.first_name ? `Hi ${escapeHtml(user.first_name)},` : 'Hi there,';
+    const itemRows = rows
+        .map(
+            (r) => `<tr>
+                <td style="padding:6px 0;color:${BRAND.text};">${escapeHtml(lineLabel(r))} &times; ${Number(r.quantity)}</td>
+                <td style="padding:6px 0;text-align:right;color:${BRAND.textMuted};">every ${Number(r.interval_days)} days</td>
+            </tr>`
+        )
+        .join('');
+    const estimateHtml = estimate
+        ? `<tr><td style="padding-top:8px;border-top:1px solid ${BRAND.border};"><strong>Estimated total</strong></td>
+               <td style="padding-top:8px;border-top:1px solid ${BRAND.border};text-align:right;"><strong>${formatMoney(estimate.totalAmount)}</strong></td></tr>`
+        : '';
+    const savingsHtml = estimate && estimate.merchandiseDiscount > 0
+        ? `<p>Your subscribe-and-save discount of ${settings.discountPercent}% saves you ${formatMoney(estimate.merchandiseDiscount)} on this order.</p>`
+        : '';
+    const bodyHtml = `
+        <p>${greeting}</p>
+        <p>Your next autoship order will be placed and charged to your saved card on <strong>${escapeHtml(when)}</strong>.</p>
+        <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="margin:12px 0;">
+            ${itemRows}
+            ${estimateHtml}
+        </table>
+        ${savingsHtml}
+        <p>Need to skip this delivery, change the quantity or pause? You can make changes until the order is placed.</p>
+        <p style="text-align:center;margin:24px 0;">
+            <a href="${escapeHtml(manageUrl)}" style="background:${BRAND.primary};color:#fff;padding:12px 24px;border-radius:6px;text-decoration:none;font-weight:bold;">Manage autoship</a>
+        </p>`;
+    const text = [
+        user.first_name ? `Hi ${user.first_name},` : 'Hi there,',
+        '',
+        `Your next autoship order will be placed and charged on ${when}:`,
+        ...rows.map((r) => `- ${lineLabel(r)} x${Number(r.quantity)} (every ${Number(r.interval_days)} days)`),
+        estimate ? `Estimated total: ${formatMoney(estimate.totalAmount)}` : '',
+        '',
+        `Skip, pause or change it here: ${manageUrl}`
+    ].join('\n');
+    return {
+        subject,
+        html: wrapHmHerbsEmail({ headline: 'Your autoship order is coming up', bodyHtml, preheader: subject }),
+        text
+    };
+}
+
+async function loadCustomer(pool, userId) {
+    const [[user]] = await pool.execute(
+        `SELECT id, email, first_name, last_name, phone, tax_exempt, tax_exempt_id, customer_type
+           FROM users WHERE id = ? LIMIT 1`,
+        [userId]
+    );
+    return user || null;
+}
+
+function pricingOptionsForCustomer(user, rows, settings) {
+    const hasTaxExemptProof = Boolean(user.tax_exempt_id && String(user.tax_exempt_id).trim().length >= 3);
+    return {
+        cartItems: rows.map((r) => ({
+            product_id: r.product_id,
+            variant_id: r.variant_id,
+            quantity: Number(r.quantity),
+            price: 0
+        })),
+        promoCode: '',
+        email: user.email,
+        applyTaxExemption: Boolean(user.tax_exempt) && hasTaxExemptProof,
+        customerType: user.customer_type,
+        userId: user.id,
+        subscriptionDiscountPercent: settings.discountPercent
+    };
+}
+
+/** Reminder emails for active subscriptions charging within the reminder window. */
+async function sendDueReminders(pool, settings = loadAutoshipSettings()) {
+    const [rows] = await pool.execute(
+        `SELECT s.*, p.name AS product_name, pv.name AS variant_name
+           FROM autoship_subscriptions s
+           JOIN products p ON p.id = s.product_id
+           LEFT JOIN product_variants pv ON pv.id = s.variant_id
+          WHERE s.status = 'active'
+            AND s.next_order_date > CURDATE()
+            AND s.next_order_date <= CURDATE() + INTERVAL ? DAY
+            AND (s.reminder_sent_for IS NULL OR s.reminder_sent_for <> s.next_order_date)
+          ORDER BY s.user_id, s.next_order_date
+          LIMIT ${DUE_BATCH_LIMIT}`,
+        [settings.reminderDays]
+    );
+
+    const byCustomerDate = new Map();
+    for (const row of rows) {
+        const key = `${row.user_id}|${toDateOnly(row.next_order_date)}`;
+        if (!byCustomerDate.has(key)) byCustomerDate.set(key, []);
+        byCustomerDate.get(key).push(row);
+    }
+
+    let sent = 0;
+    for (const group of byCustomerDate.values()) {
+        const first = group[0];
+        try {
+            const user = await loadCustomer(pool, first.user_id);
+            if (!user?.email) continue;
+            let estimate = null;
+            try {
+                const preview = await promoEngine.previewOrApplyTotals(
+                    pool,
+                    pricingOptionsForCustomer(user, group, settings)
+                );
+                estimate = preview.totals;
+            } catch (priceErr) {
+                logger.warn(`[autoship] reminder estimate unavailable for user ${user.id}: ${priceErr.code || priceErr.message}`);
+            }
+            const nextOrderDate = toDateOnly(first.next_order_date);
+            const { subject, html, text } = buildReminderEmail({ user, rows: group, nextOrderDate, estimate, settings });
+            const result = await sendMail({ to: user.email, subject, html, text, logTag: 'Autoship reminder email' });
+            if (!result.sent) break;
+            await pool.query('UPDATE autoship_subscriptions SET reminder_sent_for = next_order_date WHERE id IN (?)', [
+                group.map((r) => r.id)
+            ]);
+            sent += 1;
+        } catch (err) {
+            logger.warn(`[autoship] reminder failed for user ${first.user_id}: ${err.message}`);
+        }
+    }
+    return { checked: rows.length, sent };
+}
+
+module.exports = {
+    loadAutoshipSettings,
+    parseIntervalDays,
+    normalizeIntervalDays,
+    addDays,
+    toDateOnly,
+    nextOrderDateAfterRun,
+    autoshipIntervalFromMetadata,
+    hasAutoshipLines,
+    createSubscriptionsFromOrder,
+    queueAutoshipEnrollment,
+    subscribeFromOrderItem,
+    listSubscriptions,
+    getSubscription,
+    updateSubscription,
+    skipNextDelivery,
+    pauseSubscription,
+    resumeSubscription,
+    cancelSubscription,
+    sendDueReminders,
+    loadCustomer,
+    pricingOptionsForCustomer,
+    defaultShippingSnapshot,
+    parseJson,
+    lineLabel
+};
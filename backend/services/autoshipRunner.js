@@ -0,0 +1,397 @@
+'use strict';
+
+/**
+ * Scheduled autoship orders (see autoship.js for subscriptions and reminders).
+ *
+ * Each pass groups the active subscriptions due today by customer, card and ship-to, and for
+ * each group creates a pending web order priced by webPromotionEngine with the subscription
+ * discount, charges the vaulted card (nmiVaultCards) and finalizes it like any paid web order.
+ * A declined card retries the next day and pauses the subscriptions after
+ * AUTOSHIP_MAX_CHARGE_ATTEMPTS; a missing card, address or product pauses them at once.
+ * Every attempt is logged in autoship_runs.
+ */
+
+const logger = require('../utils/logger');
+const { sendMail } = require('../utils/mailTransporter');
+const { getStorefrontPublicBaseUrl } = require('../utils/storefrontUrl');
+const { wrapHmHerbsEmail, BRAND } = require('./giftCardDeliveryEmail');
+const promoEngine = require('./webPromotionEngine');
+const nmiVaultCards = require('./nmiVaultCards');
+const { nmiVoid } = require('./nmiGateway');
+const { persistOrderTenders } = require('./webCheckoutPayments');
+const { finalizePaidOrder } = require('./finalizePaidOrder');
+const {
+    loadAutoshipSettings,
+    loadCustomer,
+    pricingOptionsForCustomer,
+    defaultShippingSnapshot,
+    parseJson,
+    lineLabel,
+    addDays,
+    toDateOnly,
+    nextOrderDateAfterRun
+} = require('./autoship');
+
+const DUE_BATCH_LIMIT = 200;
+
+function escapeHtml(str) {
+    return String(str || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/** Due subscriptions share an order when customer, card and ship-to match. */
+function groupDueSubscriptions(rows) {
+    const groups = new Map();
+    for (const row of rows) {
+        const address = JSON.stringify(parseJson(row.shipping_address) || {});
+        const key = `${row.user_id}|${row.payment_card_id || 'default'}|${address}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+    }
+    return [...groups.values()];
+}
+
+function buildRunFailedEmail({ user, rows, paused, message, settings }) {
+    const manageUrl = `${getStorefrontPublicBaseUrl()}/account.html#autoship`;
+    const subject = paused ? 'Your autoship is paused' : 'We could not place your autoship order';
+    const greeting = user.first_name ? `Hi ${escapeHtml(user.first_name)},` : 'Hi there,';
+    const next = paused
+        ? 'We paused these items. Check your saved card and shipping address, then resume them from your account.'
+        : `We will try again tomorrow (up to ${settings.maxChargeAttempts} attempts). You can update your card from your account.`;
+    const bodyHtml = `
+        <p>${greeting}</p>
+        <p>We were not able to place your autoship order for:</p>
+        <ul>${rows.map((r) => `<li>${escapeHtml(lineLabel(r))} &times; ${Number(r.quantity)}</li>`).join('')}</ul>
+        <p style="color:${BRAND.textMuted};">Reason: ${escapeHtml(message)}</p>
+        <p>${next}</p>
+        <p style="text-align:center;margin:24px 0;">
+            <a href="${escapeHtml(manageUrl)}" style="background:${BRAND.primary};color:#fff;padding:12px 24px;border-radius:6px;text-decoration:none;font-weight:bold;">Manage autoship</a>
+        </p>`;
+    const text = [
+        user.first_name ? `Hi ${user.first_name},` : 'Hi there,',
+        '',
+        'We were not able to place your autoship order for:',
+        ...rows.map((r) => `- ${lineLabel(r)} x${Number(r.quantity)}`),
+        `Reason: ${message}`,
+        '',
+        next,
+        manageUrl
+    ].join('\n');
+    return {
+        subject,
+        html: wrapHmHerbsEmail({ headline: 'Autoship order not placed', bodyHtml, preheader: subject }),
+        text
+    };
+}
+
+/** Card on the subscription, else the customer's default (or only) saved card. */
+async function resolveChargeCard(pool, userId, preferredCardId) {
+    const cards = await nmiVaultCards.listUserVaultCards(pool, userId);
+    if (preferredCardId) {
+        const preferred = cards.find((c) => Number(c.id) === Number(preferredCardId));
+        if (preferred) return preferred;
+    }
+    return cards.find((c) => c.isDefault) || cards[0] || null;
+}
+
+/** Same HMYYYYMMDD-#### shape as storefront checkout orders. */
+function generateOrderNumber() {
+    const seq = String(Math.floor(Math.random() * 10000)).padStart(4, '0');
+    return `HM${toDateOnly(new Date()).replace(/-/g, '')}-${seq}`;
+}
+
+async function insertAutoshipOrder(pool, { user, rows, checkout, address }) {
+    const t = checkout.totals;
+    const orderNumber = generateOrderNumber();
+    const firstName = address.firstName || user.first_name || '';
+    const lastName = address.lastName || user.last_name || '';
+    const notes = `Autoship order (subscription${rows.length > 1 ? 's' : ''} #${rows.map((r) => r.id).join(', #')})`;
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [orderResult] = await connection.execute(
+            `INSERT INTO orders (
+                order_number, user_id, email, status, payment_status,
+                subtotal, tax_amount, shipping_amount, discount_amount, total_amount,
+                shipping_first_name, shipping_last_name, shipping_address_line_1, shipping_address_line_2,
+                shipping_city, shipping_state, shipping_postal_code, shipping_country,
+                billing_first_name, billing_last_name, billing_address_line_1, billing_address_line_2,
+                billing_city, billing_state, billing_postal_code, billing_country,
+                notes, payment_method, sales_channel
+            ) VALUES (?, ?, ?, 'pending', 'pending', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'credit_card', 'online')`,
+            [
+                orderNumber,
+                user.id,
+                user.email,
+                Number(t.merchandiseSubtotal) || 0,
+                Number(t.taxAmount) || 0,
+                Number(t.shippingAfter) || 0,
+                Number(t.totalDiscountAmount) || 0,
+                Number(t.totalAmount) || 0,
+                firstName,
+                lastName,
+                address.line1,
+                address.line2 || null,
+                address.city,
+                address.state,
+                address.postalCode,
+                address.country,
+                firstName,
+                lastName,
+                address.line1,
+                address.line2 || null,
+                address.city,
+                address.state,
+                address.postalCode,
+                address.country,
+                notes
+            ]
+        );
+        const orderId = orderResult.insertId;
+
+        for (let i = 0; i < checkout.enrichment.length; i += 1) {
+            const line = checkout.enrichment[i];
+            await connection.execute(
+                `INSERT INTO order_items (
+                    order_id, product_id, variant_id, product_name, product_sku,
+                    variant_name, quantity, price, total, metadata
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    orderId,
+                    line.product_id,
+                    line.variant_id,
+                    line.name,
+                    line.sku || null,
+                    rows[i]?.variant_name || null,
+                    line.quantity,
+                    line.unitPrice,
+                    promoEngine.roundMoney(line.unitPrice * line.quantity),
+                    JSON.stringify({ autoshipSubscriptionId: rows[i]?.id || null })
+                ]
+            );
+        }
+        await connection.commit();
+        return { orderId, orderNumber };
+    } catch (err) {
+        await connection.rollback();
+        throw err;
+    } finally {
+        connection.release();
+    }
+}
+
+async function recordRun(pool, { userId, rows, orderId, totals, status, transactionId, errorMessage }) {
+    await pool.execute(
+        `INSERT INTO autoship_runs
+            (user_id, subscription_ids, order_id, amount, discount_amount, status, transaction_id, error_message)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            userId,
+            rows.map((r) => r.id).join(',').slice(0, 255),
+            orderId || null,
+            Number(totals?.totalAmount) || 0,
+            Number(totals?.merchandiseDiscount) || 0,
+            status,
+            transactionId || null,
+            errorMessage ? String(errorMessage).slice(0, 255) : null
+        ]
+    );
+}
+
+/**
+ * Records a failed run: the subscriptions retry tomorrow, or pause after the last attempt.
+ * Unavailable products and missing cards pause immediately — retrying would not help.
+ */
+async function handleRunFailure(pool, { user, rows, settings, message, orderId = null, totals = null, retryable = false }) {
+    if (orderId) {
+        await pool.execute(
+            "UPDATE orders SET status = 'cancelled', payment_status = 'failed' WHERE id = ? AND status = 'pending'",
+            [orderId]
+        );
+    }
+    await recordRun(pool, { userId: user.id, rows, orderId, totals, status: 'failed', errorMessage: message });
+
+    const attempts = Math.max(...rows.map((r) => Number(r.failed_attempts) || 0)) + 1;
+    const paused = !retryable || attempts >= settings.maxChargeAttempts;
+    const retryDate = addDays(toDateOnly(new Date()), 1);
+    await pool.query(
+        `UPDATE autoship_subscriptions
+            SET failed_attempts = failed_attempts + 1, last_error = ?,
+                status = IF(?, 'paused', status), paused_at = IF(?, NOW(), paused_at),
+                next_order_date = IF(?, next_order_date, ?)
+          WHERE id IN (?)`,
+        [String(message).slice(0, 255), paused, paused, paused, retryDate, rows.map((r) => r.id)]
+    );
+    logger.warn(`[autoship] run failed for user ${user.id}: ${message}`, {
+        subscriptionIds: rows.map((r) => r.id),
+        paused
+    });
+
+    if (user.email) {
+        const { subject, html, text } = buildRunFailedEmail({ user, rows, paused, message, settings });
+        await sendMail({ to: user.email, subject, html, text, logTag: 'Autoship payment failed email' });
+    }
+    return { charged: false, paused };
+}
+
+/** Places, charges and finalizes one autoship order for a group of due subscriptions. */
+async function runSubscriptionGroup(pool, rows, settings) {
+    const first = rows[0];
+    const user = await loadCustomer(pool, first.user_id);
+    if (!user) return { charged: false };
+
+    const address = parseJson(first.shipping_address) || (await defaultShippingSnapshot(pool, user.id));
+    if (!address) {
+        return handleRunFailure(pool, { user, rows, settings, message: 'No shipping address on file' });
+    }
+    const card = await resolveChargeCard(pool, user.id, first.payment_card_id);
+    if (!card) {
+        return handleRunFailure(pool, { user, rows, settings, message: 'No saved card on file' });
+    }
+
+    let checkout;
+    try {
+        checkout = await promoEngine.previewOrApplyTotals(pool, pricingOptionsForCustomer(user, rows, settings));
+    } catch (err) {
+        if (err.code === 'INVALID_CART_PRODUCT' || err.code === 'INVALID_CART_VARIANT') {
+            return handleRunFailure(pool, {
+                user,
+                rows,
+                settings,
+                message: 'A subscribed item is no longer available'
+            });
+        }
+        throw err;
+    }
+
+    const { orderId } = await insertAutoshipOrder(pool, { user, rows, checkout, address });
+    const amount = promoEngine.roundMoney(checkout.totals.totalAmount);
+
+    let sale;
+    try {
+        sale = await nmiVaultCards.chargeVaultCard(pool, user.id, card.id, amount.toFixed(2));
+    } catch (err) {
+        sale = { ok: false, responseText: err.message };
+    }
+    if (!sale.ok) {
+        return handleRunFailure(pool, {
+            user,
+            rows,
+            settings,
+            orderId,
+            totals: checkout.totals,
+            message: sale.responseText || 'Card declined',
+            retryable: true
+        });
+    }
+
+    const payId = sale.transactionId || sale.fields?.authcode || `autoship-${orderId}`;
+    try {
+        try {
+            const connection = await pool.getConnection();
+            try {
+                await persistOrderTenders(connection, orderId, [
+                    {
+                        type: 'card_terminal',
+                        amount,
+                        terminalAuthCode: String(payId),
+                        terminalReference: sale.transactionId || null
+                    }
+                ]);
+            } finally {
+                connection.release();
+            }
+        } catch (tenderErr) {
+            if (tenderErr.code !== 'ER_NO_SUCH_TABLE') {
+                logger.warn(`[autoship] could not persist card tender for order ${orderId}: ${tenderErr.message}`);
+            }
+        }
+        await finalizePaidOrder(pool, { orderId, paymentId: String(payId), paymentStatus: 'paid' });
+    } catch (err) {
+        if (sale.transactionId) {
+            const securityKey = process.env.NMI_PRIVATE_API_KEY || process.env.NMI_API_KEY;
+            await nmiVoid({ securityKey, transactionId: sale.transactionId }).catch((voidErr) =>
+                logger.error(`[autoship] void after finalize failure (order ${orderId}): ${voidErr.message}`)
+            );
+        }
+        // Usually a stock shortfall at deduction time — worth another try tomorrow.
+        return handleRunFailure(pool, {
+            user,
+            rows,
+            settings,
+            orderId,
+            totals: checkout.totals,
+            message: `Order could not be completed: ${err.message}`,
+            retryable: true
+        });
+    }
+
+    const today = toDateOnly(new Date());
+    for (const row of rows) {
+        await pool.execute(
+            `UPDATE autoship_subscriptions
+                SET next_order_date = ?, last_order_id = ?, last_order_at = NOW(),
+                    failed_attempts = 0, last_error = NULL, payment_card_id = COALESCE(payment_card_id, ?)
+              WHERE id = ?`,
+            [
+                nextOrderDateAfterRun(toDateOnly(row.next_order_date), Number(row.interval_days), today),
+                orderId,
+                card.id,
+                row.id
+            ]
+        );
+    }
+    await recordRun(pool, {
+        userId: user.id,
+        rows,
+        orderId,
+        totals: checkout.totals,
+        status: 'charged',
+        transactionId: sale.transactionId
+    });
+    logger.info('[autoship] order charged', {
+        orderId,
+        userId: user.id,
+        amount,
+        subscriptionIds: rows.map((r) => r.id)
+    });
+    return { charged: true, orderId };
+}
+
+/**
+ * One scheduler pass: places an order for every active subscription due today (or overdue).
+ * @returns {Promise<{ due: number, orders: number, failed: number }>}
+ */
+async function processDueSubscriptions(pool, settings = loadAutoshipSettings()) {
+    const [rows] = await pool.execute(
+        `SELECT s.*, p.name AS product_name, pv.name AS variant_name
+           FROM autoship_subscriptions s
+           JOIN products p ON p.id = s.product_id
+           LEFT JOIN product_variants pv ON pv.id = s.variant_id
+          WHERE s.status = 'active' AND s.next_order_date <= CURDATE()
+          ORDER BY s.user_id, s.id
+          LIMIT ${DUE_BATCH_LIMIT}`
+    );
+    let orders = 0;
+    let failed = 0;
+    for (const group of groupDueSubscriptions(rows)) {
+        try {
+            const result = await runSubscriptionGroup(pool, group, settings);
+            if (result.charged) orders += 1;
+            else failed += 1;
+        } catch (err) {
+            failed += 1;
+            logger.error(`[autoship] run error for user ${group[0].user_id}: ${err.message}`);
+        }
+    }
+    return { due: rows.length, orders, failed };
+}
+
+module.exports = {
+    groupDueSubscriptions,
+    processDueSubscriptions
+};
@@ -0,0 +1,60 @@
+'use strict';
+
+const logger = require('../utils/logger');
+const { loadAutoshipSettings, sendDueReminders } = require('./autoship');
+const { processDueSubscriptions } = require('./autoshipRunner');
+
+const CHECK_INTERVAL_MINUTES = Math.max(1, Number(process.env.AUTOSHIP_CHECK_MINUTES || 60));
+
+function isEnabled() {
+    return process.env.AUTOSHIP_ENABLED !== 'false';
+}
+
+/** True when at least `intervalMinutes` have passed since the last completed run. */
+function shouldRunAutoshipPass(now, lastRunAt, intervalMinutes = CHECK_INTERVAL_MINUTES) {
+    if (!lastRunAt) return true;
+    return now.getTime() - lastRunAt.getTime() >= intervalMinutes * 60 * 1000;
+}
+
+function startAutoshipScheduler(pool) {
+    if (!isEnabled()) {
+        logger.info('[autoship] Scheduler disabled (AUTOSHIP_ENABLED=false)');
+        return () => {};
+    }
+
+    let running = false;
+    let lastRunAt = null;
+
+    const tick = async (source = 'interval') => {
+        const now = new Date();
+        if (running || !shouldRunAutoshipPass(now, lastRunAt)) return;
+
+        running = true;
+        try {
+            const settings = loadAutoshipSettings();
+            const reminders = await sendDueReminders(pool, settings);
+            const orders = await processDueSubscriptions(pool, settings);
+            lastRunAt = now;
+            if (reminders.sent || orders.due) {
+                logger.info('[autoship] Pass completed', { source, remindersSent: reminders.sent, ...orders });
+            }
+        } catch (error) {
+            logger.error('[autoship] Pass failed', { message: error.message, source });
+        } finally {
+            running = false;
+        }
+    };
+
+    const { discountPercent, reminderDays } = loadAutoshipSettings();
+    logger.info(
+        `[autoship] Scheduler enabled (every ${CHECK_INTERVAL_MINUTES} min; ${discountPercent}% off; reminders ${reminderDays} d ahead)`
+    );
+    const intervalId = setInterval(() => tick('interval'), 60 * 1000);
+    setTimeout(() => tick('startup'), 45 * 1000);
+    return () => clearInterval(intervalId);
+}
+
+module.exports = {
+    startAutoshipScheduler,
+    shouldRunAutoshipPass
+};
@@ -96,10 +96,23 @@ function urls(bookingId, email) {
     const q = `booking=${encodeURIComponent(String(bookingId))}&email=${encodeURIComponent(email)}`;
     return {
         confirmation: `${base}/edsa-confirmation.html?${q}`,
-        manage: `${base}/edsa-manage-appointment.html?${q}`
+        manage: `${base}/edsa-manage-appointment.html?${q}`,
+        confirmAttendance: `${base}/edsa-manage-appointment.html?${q}&action=confirm`,
+        cancel: `${base}/edsa-manage-appointment.html?${q}&action=cancel`,
+        intake: `${base}/edsa-intake.html?${q}`
     };
 }
 
+function formatMoney(value) {
+    return `$${(Number(value) || 0).toFixed(2)}`;
+}
+
+/** "Nutrition consultation with Dana" for catalog bookings; empty for the single EDSA session. */
+function serviceLabel(booking) {
+    if (!booking.serviceName) return '';
+    return booking.practitionerName ? `${booking.serviceName} with ${booking.practitionerName}` : booking.serviceName;
+}
+
 async function sendBookingReceivedEmail(booking) {
     const email = String(booking.email || '').trim();
     if (!email) return;
@@ -107,6 +120,7 @@ async function sendBookingReceivedEmail(booking) {
     const links = urls(booking.bookingId, email);
     const dateText = formatDate(booking.preferredDate);
     const timeText = formatTime(booking.preferredTime);
+    const service = serviceLabel(booking);
     const subject = `H&M Herbs — EDSA appointment request #${booking.bookingId}`;
     const html = `
         <div style="font-family:Inter,system-ui,sans-serif;color:#111827;max-width:560px;">
@@ -114,6 +128,7 @@ async function sendBookingReceivedEmail(booking) {
             <p>Hello ${escapeHtml(name)},</p>
             <p>Thank you for booking with H&amp;M Herbs &amp; Vitamins. We have your request and will contact you if any changes are needed.</p>
             <p><strong>Confirmation #:</strong> ${escapeHtml(booking.bookingId)}<br>
+               ${service ? `<strong>Service:</strong> ${escapeHtml(service)}<br>` : ''}
                <strong>Date:</strong> ${escapeHtml(dateText)}<br>
                <strong>Time:</strong> ${escapeHtml(timeText)}<br>
                <strong>Location:</strong> 1140 Battlefield Pkwy, Fort Oglethorpe, GA 30742</p>
@@ -121,15 +136,18 @@ async function sendBookingReceivedEmail(booking) {
               <a href="${escapeHtml(links.confirmation)}" style="background:#10b981;color:#fff;padding:10px 20px;text-decoration:none;border-radius:5px;display:inline-block;margin-right:8px;">View confirmation</a>
               <a href="${escapeHtml(links.manage)}" style="background:#fff;color:#10b981;padding:10px 20px;text-decoration:none;border-radius:5px;border:1px solid #10b981;display:inline-block;">Change or cancel</a>
             </p>
+            ${booking.intakeRequired ? `<p><strong>Before your visit:</strong> please <a href="${escapeHtml(links.intake)}" style="color:#10b981;">complete your intake form</a> so your practitioner can review your health history ahead of time.</p>` : ''}
             <p style="font-size:13px;color:#6b7280;">Questions? Call us at (706) 861-9454.</p>
         </div>`;
     const text = [
         `Your EDSA appointment request is received.`,
         `Confirmation #: ${booking.bookingId}`,
+        ...(service ? [`Service: ${service}`] : []),
         `Date: ${dateText}`,
         `Time: ${timeText}`,
         `View: ${links.confirmation}`,
-        `Manage: ${links.manage}`
+        `Manage: ${links.manage}`,
+        ...(booking.intakeRequired ? [`Intake form: ${links.intake}`] : [])
     ].join('\n');
     logger.info('EDSA booking email links', { confirmation: links.confirmation, manage: links.manage });
     await sendEmail({ to: email, subject, html, text, logTag: 'EDSA booking email' });
@@ -140,7 +158,8 @@ async function sendBookingReceivedStoreEmail(booking) {
     const storeEmail = getStoreNotificationEmail();
     if (!storeEmail) return;
     const customerName = [booking.firstName, booking.lastName].filter(Boolean).join(' ') || 'Customer';
-    const when = `${formatDate(booking.preferredDate)} at ${formatTime(booking.preferredTime)}`;
+    const service = serviceLabel(booking);
+    const when = `${service ? `${service}, ` : ''}${formatDate(booking.preferredDate)} at ${formatTime(booking.preferredTime)}`;
     const subject = `[EDSA] New booking #${booking.bookingId} — ${customerName}`;
     const html = `
         <div style="font-family:Inter,system-ui,sans-serif;color:#111827;max-width:560px;">
@@ -399,7 +418,182 @@ async function sendStaffRescheduledCustomerEmail(booking, previousDate, previous
     await sendEmail({ to: email, subject, html, text, logTag: 'EDSA staff-reschedule customer email' });
 }
 
+/**
+ * Scheduled reminder with one-click confirm / cancel links (the manage page with ?action=).
+ * @param {object} booking bookingEmailPayload shape
+ * @param {{ lateCancelFee?: number, lateCancelHours?: number }} [policy]
+ * @returns {Promise<boolean>} whether the message was handed to SMTP
+ */
+async function sendAppointmentReminderEmail(booking, policy = {}) {
+    const email = String(booking.email || '').trim();
+    if (!email) return false;
+    const links = urls(booking.bookingId, email);
+    const name = `${booking.firstName || ''}`.trim() || 'there';
+    const service = serviceLabel(booking);
+    const when = `${formatDate(booking.preferredDate)} at ${formatTime(booking.preferredTime)}`;
+    const feeNote =
+        Number(policy.lateCancelFee) > 0
+            ? `Cancelling less than ${policy.lateCancelHours} hours ahead carries a ${formatMoney(policy.lateCancelFee)} late-cancellation fee.`
+            : '';
+    const subject = `H&M Herbs — Reminder: your appointment ${formatDate(booking.preferredDate)} at ${formatTime(booking.preferredTime)}`;
+    const html = `
+        <div style="font-family:Inter,system-ui,sans-serif;color:#111827;max-width:560px;">
+            <h2 style="color:#10b981;margin:0 0 8px;">See you soon</h2>
+            <p>Hello ${escapeHtml(name)},</p>
+            <p>This is a reminder of your ${service ? escapeHtml(service) : 'EDSA session'} on <strong>${escapeHtml(when)}</strong> (confirmation #${escapeHtml(booking.bookingId)}).</p>
+            <p><strong>Location:</strong> 1140 Battlefield Pkwy, Fort Oglethorpe, GA 30742</p>
+            <p>
+              <a href="${escapeHtml(links.confirmAttendance)}" style="background:#10b981;color:#fff;padding:10px 20px;text-decoration:none;border-radius:5px;display:inline-block;margin-right:8px;">I'll be there</a>
+              <a href="${escapeHtml(links.cancel)}" style="background:#fff;color:#991b1b;padding:10px 20px;text-decoration:none;border-radius:5px;border:1px solid #991b1b;display:inline-block;">Cancel</a>
+            </p>
+            ${feeNote ? `<p style="font-size:13px;color:#6b7280;">${escapeHtml(feeNote)}</p>` : ''}
+            <p style="font-size:13px;color:#6b7280;">Need a different time? <a href="${escapeHtml(links.manage)}" style="color:#10b981;">Reschedule online</a> or call (706) 861-9454.</p>
+        </div>`;
+    const text = [
+        `Reminder: your ${service || 'EDSA session'} is ${when} (confirmation #${booking.bookingId}).`,
+        `Confirm: ${links.confirmAttendance}`,
+        `Cancel: ${links.cancel}`,
+        ...(feeNote ? [feeNote] : [])
+    ].join('\n');
+    return sendEmail({ to: email, subject, html, text, logTag: 'EDSA reminder email' });
+}
+
+/** Receipt for a late-cancellation or no-show fee charged to the card on the booking. */
+async function sendPolicyFeeChargedEmail(booking, { type, amount, last4 = null }) {
+    const email = String(booking.email || '').trim();
+    if (!email) return;
+    const name = `${booking.firstName || ''}`.trim() || 'there';
+    const when = `${formatDate(booking.preferredDate)} at ${formatTime(booking.preferredTime)}`;
+    const reason = type === 'no_show' ? 'missed appointment' : 'late cancellation';
+    const card = last4 ? `your card ending ${last4}` : 'the card used when you booked';
+    const subject = `H&M Herbs — ${type === 'no_show' ? 'Missed appointment' : 'Late cancellation'} fee (#${booking.bookingId})`;
+    const html = `
+        <div style="font-family:Inter,system-ui,sans-serif;color:#111827;max-width:560px;">
+            <h2 style="color:#10b981;margin:0 0 8px;">${escapeHtml(type === 'no_show' ? 'We missed you' : 'Late cancellation')}</h2>
+            <p>Hello ${escapeHtml(name)},</p>
+            <p>As described in our booking policy, a ${escapeHtml(formatMoney(amount))} ${escapeHtml(reason)} fee for your appointment on <strong>${escapeHtml(when)}</strong> (confirmation #${escapeHtml(booking.bookingId)}) was charged to ${escapeHtml(card)}.</p>
+            <p style="font-size:13px;color:#6b7280;">Questions? Call us at (706) 861-9454.</p>
+        </div>`;
+    const text = `A ${formatMoney(amount)} ${reason} fee for appointment #${booking.bookingId} (${when}) was charged to ${card}.`;
+    await sendEmail({ to: email, subject, html, text, logTag: 'EDSA policy fee email' });
+}
+
+function waitlistClaimUrl(token) {
+    return `${getStorefrontPublicBaseUrl()}/index.html?edsaClaim=${encodeURIComponent(token)}`;
+}
+
+function waitlistTimeOfDayLabel(timeOfDay) {
+    if (timeOfDay === 'morning') return 'mornings';
+    if (timeOfDay === 'afternoon') return 'afternoons';
+    return 'any time';
+}
+
+/** Sent when a customer joins the waitlist. */
+async function sendWaitlistJoinedEmail(entry) {
+    const email = String(entry.email || '').trim();
+    if (!email) return;
+    const name = `${entry.firstName || ''}`.trim() || 'there';
+    const range =
+        entry.dateFrom === entry.dateTo
+            ? formatDate(entry.dateFrom)
+            : `${formatDate(entry.dateFrom)} – ${formatDate(entry.dateTo)}`;
+    const what = serviceLabel(entry) || 'EDSA session';
+    const subject = 'H&M Herbs — You are on the appointment waitlist';
+    const html = `
+        <div style="font-family:Inter,system-ui,sans-serif;color:#111827;max-width:560px;">
+            <h2 style="color:#10b981;margin:0 0 8px;">You're on the waitlist</h2>
+            <p>Hello ${escapeHtml(name)},</p>
+            <p>We'll email you as soon as a ${escapeHtml(what)} opens up ${escapeHtml(range)} (${escapeHtml(waitlistTimeOfDayLabel(entry.timeOfDay))}).</p>
+            <p>Offers go to the waitlist in the order people joined. Each offer holds the time for you for a limited period, so book promptly when it arrives.</p>
+            <p style="font-size:13px;color:#6b7280;">No longer need a spot? Call us at (706) 861-9454 and we'll take you off the list.</p>
+        </div>`;
+    const text = `You're on the waitlist for a ${what} ${range} (${waitlistTimeOfDayLabel(entry.timeOfDay)}). We'll email you when a time opens up.`;
+    await sendEmail({ to: email, subject, html, text, logTag: 'EDSA waitlist joined email' });
+}
+
+/**
+ * A freed slot offered to a waitlisted customer. The link opens the booking window on that time,
+ * which is held for them until `expiresAt`.
+ * @returns {Promise<boolean>} whether the message was handed to SMTP
+ */
+async function sendWaitlistOfferEmail(offer) {
+    const email = String(offer.email || '').trim();
+    if (!email) return false;
+    const name = `${offer.firstName || ''}`.trim() || 'there';
+    const claimUrl = waitlistClaimUrl(offer.token);
+    const what = serviceLabel(offer) || 'EDSA session';
+    const when = `${formatDate(offer.slotDate)} at ${formatTime(offer.slotTime)}`;
+    const until = new Date(offer.expiresAt).toLocaleString('en-US', {
+        weekday: 'short',
+        hour: 'numeric',
+        minute: '2-digit',
+        timeZone: 'America/New_York'
+    });
+    const subject = `H&M Herbs — A time opened up: ${formatDate(offer.slotDate)} at ${formatTime(offer.slotTime)}`;
+    const html = `
+        <div style="font-family:Inter,system-ui,sans-serif;color:#111827;max-width:560px;">
+            <h2 style="color:#10b981;margin:0 0 8px;">A time opened up</h2>
+            <p>Hello ${escapeHtml(name)},</p>
+            <p>A ${escapeHtml(what)} is available on <strong>${escapeHtml(when)}</strong>. We're holding it for you until <strong>${escapeHtml(until)}</strong>.</p>
+            <p>
+              <a href="${escapeHtml(claimUrl)}" style="background:#10b981;color:#fff;padding:10px 20px;text-decoration:none;border-radius:5px;display:inline-block;">Book this time</a>
+            </p>
+            <p style="font-size:13px;color:#6b7280;">Can't make it? Open the link and choose <em>Not this time</em> so we can offer it to the next person — you'll stay on the waitlist.</p>
+        </div>`;
+    const text = [
+        `A ${what} opened up on ${when}. It is held for you until ${until}.`,
+        `Book it: ${claimUrl}`
+    ].join('\n');
+    return sendEmail({ to: email, subject, html, text, logTag: 'EDSA waitlist offer email' });
+}
+
+/**
+ * The products a practitioner recommended, with a link that fills the web cart with them.
+ * @returns {Promise<boolean>} whether the message was handed to SMTP
+ */
+async function sendRecommendationsEmail(booking, lines, cartUrl) {
+    const email = String(booking.email || '').trim();
+    if (!email) return false;
+    const name = `${booking.firstName || ''}`.trim() || 'there';
+    const from = booking.practitionerName ? `${booking.practitionerName} recommends` : 'Your practitioner recommends';
+    const subject = 'H&M Herbs — Your recommended products';
+    const rows = lines
+        .map(
+            (l) => `<tr>
+                <td style="padding:6px 0;">${escapeHtml(l.name)}${l.quantity > 1 ? ` × ${escapeHtml(l.quantity)}` : ''}${
+                    l.instructions ? `<br><span style="font-size:13px;color:#6b7280;">${escapeHtml(l.instructions)}</span>` : ''
+                }</td>
+                <td style="padding:6px 0;text-align:right;">${l.price != null ? escapeHtml(formatMoney(l.price * l.quantity)) : ''}</td>
+            </tr>`
+        )
+        .join('');
+    const html = `
+        <div style="font-family:Inter,system-ui,sans-serif;color:#111827;max-width:560px;">
+            <h2 style="color:#10b981;margin:0 0 8px;">Your recommended products</h2>
+            <p>Hello ${escapeHtml(name)},</p>
+            <p>${escapeHtml(from)} the following after your EDSA appointment (#${escapeHtml(booking.bookingId)}):</p>
+            <table style="width:100%;border-collapse:collapse;">${rows}</table>
+            <p>
+              <a href="${escapeHtml(cartUrl)}" style="background:#10b981;color:#fff;padding:10px 20px;text-decoration:none;border-radius:5px;display:inline-block;">Add them to my cart</a>
+            </p>
+            <p style="font-size:13px;color:#6b7280;">Prefer to pick them up? Visit the store and we'll have your list ready. Questions? Call us at (706) 861-9454.</p>
+        </div>`;
+    const text = [
+        `${from} the following after your EDSA appointment:`,
+        ...lines.map((l) => `- ${l.name}${l.quantity > 1 ? ` x ${l.quantity}` : ''}${l.instructions ? ` (${l.instructions})` : ''}`),
+        `Add them to your cart: ${cartUrl}`
+    ].join('\n');
+    return sendEmail({ to: email, subject, html, text, logTag: 'EDSA recommendations email' });
+}
+
 module.exports = {
+    urls,
+    sendRecommendationsEmail,
+    sendWaitlistJoinedEmail,
+    sendWaitlistOfferEmail,
+    serviceLabel,
+    sendAppointmentReminderEmail,
+    sendPolicyFeeChargedEmail,
     sendBookingReceivedEmail,
     sendBookingReceivedStoreEmail,
     sendAppointmentCancelledEmail,
@@ -0,0 +1,307 @@
+'use strict';
+
+/**
+ * EDSA reminder and no-show policy (settings table, edited under Admin → EDSA Services):
+ *
+ *   edsa_reminder_hours        hours before the appointment to remind, e.g. "24,2"
+ *   edsa_reminder_sms_enabled  also text reminders (utils/smsTransport) when the booking has a mobile number
+ *   edsa_no_show_fee           charged when staff mark a booking as a no-show (0 = off)
+ *   edsa_late_cancel_fee       charged when the customer cancels inside the window below (0 = off)
+ *   edsa_late_cancel_hours     the late-cancel window
+ *
+ * Fees go to the card vaulted at booking time (nmiVaultCards); the booking keeps the vault reference
+ * and one fee outcome (policy_fee_*), so a fee is never charged twice.
+ */
+
+const logger = require('../utils/logger');
+const nmiVaultCards = require('./nmiVaultCards');
+const { normalizeDateYmd, normalizeTimeHm, storeWallClockToUtcMs } = require('../utils/storeTimezone');
+
+const SETTING_REMINDER_HOURS = 'edsa_reminder_hours';
+const SETTING_SMS_ENABLED = 'edsa_reminder_sms_enabled';
+const SETTING_NO_SHOW_FEE = 'edsa_no_show_fee';
+const SETTING_LATE_CANCEL_FEE = 'edsa_late_cancel_fee';
+const SETTING_LATE_CANCEL_HOURS = 'edsa_late_cancel_hours';
+
+const SETTING_META = {
+    [SETTING_REMINDER_HOURS]: ['Hours before an EDSA appointment to send reminders (comma-separated)', 'string'],
+    [SETTING_SMS_ENABLED]: ['Also text EDSA appointment reminders', 'boolean'],
+    [SETTING_NO_SHOW_FEE]: ['Fee charged to the booking card when a customer does not show (0 = off)', 'number'],
+    [SETTING_LATE_CANCEL_FEE]: ['Fee charged when a customer cancels inside the late-cancel window (0 = off)', 'number'],
+    [SETTING_LATE_CANCEL_HOURS]: ['Cancellations fewer than this many hours ahead count as late', 'number']
+};
+
+const DEFAULT_REMINDER_HOURS = [24, 2];
+const MAX_REMINDER_HOURS = 14 * 24;
+const MAX_FEE = 1000;
+
+function policyError(message, status = 400, code = 'INVALID_POLICY') {
+    return Object.assign(new Error(message), { status, code });
+}
+
+function money(value) {
+    const n = Number(value);
+    return Number.isFinite(n) && n > 0 ? Math.round(n * 100) / 100 : 0;
+}
+
+/** "2, 24,24" → [24, 2] (largest first, whole hours, de-duplicated). An empty list means no reminders. */
+function parseReminderHours(raw) {
+    const list = Array.isArray(raw) ? raw : String(raw ?? '').split(',');
+    const hours = list
+        .map((s) => String(s).trim())
+        .filter((s) => /^\d+$/.test(s))
+        .map(Number)
+        .filter((n) => n > 0 && n <= MAX_REMINDER_HOURS);
+    return [...new Set(hours)].sort((a, b) => b - a);
+}
+
+function defaultPolicy() {
+    return {
+        reminderHours: [...DEFAULT_REMINDER_HOURS],
+        smsReminders: true,
+        noShowFee: 0,
+        lateCancelFee: 0,
+        lateCancelHours: 24
+    };
+}
+
+async function loadAppointmentPolicy(pool) {
+    try {
+        const keys = Object.keys(SETTING_META);
+        const [rows] = await pool.execute(
+            `SELECT key_name, value FROM settings WHERE key_name IN (${keys.map(() => '?').join(', ')})`,
+            keys
+        );
+        const map = new Map((rows || []).map((r) => [r.key_name, r.value]));
+        const lateHours = Number(map.get(SETTING_LATE_CANCEL_HOURS));
+        const storedHours = map.get(SETTING_REMINDER_HOURS);
+        return {
+            reminderHours: storedHours == null ? [...DEFAULT_REMINDER_HOURS] : parseReminderHours(storedHours),
+            smsReminders: !['false', '0'].includes(String(map.get(SETTING_SMS_ENABLED) ?? 'true').trim().toLowerCase()),
+            noShowFee: money(map.get(SETTING_NO_SHOW_FEE)),
+            lateCancelFee: money(map.get(SETTING_LATE_CANCEL_FEE)),
+            lateCancelHours: Number.isFinite(lateHours) && lateHours >= 0 ? lateHours : 24
+        };
+    } catch (err) {
+        logger.warn(`[edsa-reminders] policy load failed, using defaults — ${logger.formatMysqlError(err)}`);
+        return defaultPolicy();
+    }
+}
+
+function validateFee(value, label) {
+    if (value == null || value === '') return 0;
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0 || n > MAX_FEE) throw policyError(`${label} must be between 0 and ${MAX_FEE}`);
+    return Math.round(n * 100) / 100;
+}
+
+function validatePolicyInput(input) {
+    const hoursRaw = Array.isArray(input.reminderHours) ? input.reminderHours : String(input.reminderHours ?? '').split(',');
+    const hours = hoursRaw.map((s) => String(s).trim()).filter(Boolean);
+    if (hours.some((s) => !/^\d+$/.test(s) || Number(s) < 1 || Number(s) > MAX_REMINDER_HOURS)) {
+        throw policyError(`Reminder times must be whole hours between 1 and ${MAX_REMINDER_HOURS}`);
+    }
+    const lateCancelHours = Number(input.lateCancelHours ?? 24);
+    if (!Number.isInteger(lateCancelHours) || lateCancelHours < 0 || lateCancelHours > MAX_REMINDER_HOURS) {
+        throw policyError('The late-cancel window must be a whole number of hours');
+    }
+    return {
+        reminderHours: parseReminderHours(hours),
+        smsReminders: input.smsReminders !== false,
+        noShowFee: validateFee(input.noShowFee, 'No-show fee'),
+        lateCancelFee: validateFee(input.lateCancelFee, 'Late-cancel fee'),
+        lateCancelHours
+    };
+}
+
+async function saveAppointmentPolicy(pool, input) {
+    const policy = validatePolicyInput(input || {});
+    const values = {
+        [SETTING_REMINDER_HOURS]: policy.reminderHours.join(','),
+        [SETTING_SMS_ENABLED]: policy.smsReminders ? 'true' : 'false',
+        [SETTING_NO_SHOW_FEE]: policy.noShowFee.toFixed(2),
+        [SETTING_LATE_CANCEL_FEE]: policy.lateCancelFee.toFixed(2),
+        [SETTING_LATE_CANCEL_HOURS]: String(policy.lateCancelHours)
+    };
+    for (const [key, value] of Object.entries(values)) {
+        const [description, type] = SETTING_META[key];
+        await pool.execute(
+            `INSERT INTO settings (key_name, value, description, type)
+             VALUES (?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE value = VALUES(value), updated_at = CURRENT_TIMESTAMP`,
+            [key, value, description, type]
+        );
+    }
+    return loadAppointmentPolicy(pool);
+}
+
+function policyHasFees(policy) {
+    return policy.noShowFee > 0 || policy.lateCancelFee > 0;
+}
+
+/** What the booking page and manage page show customers. */
+function publicPolicy(policy) {
+    return {
+        noShowFee: policy.noShowFee,
+        lateCancelFee: policy.lateCancelFee,
+        lateCancelHours: policy.lateCancelHours
+    };
+}
+
+/** Epoch ms of a booking's store-local start, or null. */
+function appointmentStartMs(row) {
+    const ymd = normalizeDateYmd(row.preferred_date);
+    const hm = normalizeTimeHm(String(row.preferred_time || '').slice(0, 5));
+    if (!ymd || !hm) return null;
+    const ms = storeWallClockToUtcMs(ymd, hm);
+    return Number.isFinite(ms) ? ms : null;
+}
+
+/** Customers may only cancel an appointment that has not started and has no attendance marked. */
+function customerCanCancel(row, nowMs = Date.now()) {
+    if (row.attendance) return false;
+    const startMs = appointmentStartMs(row);
+    return startMs == null || startMs > nowMs;
+}
+
+function hasFeeCard(row) {
+    return Boolean(row.fee_vault_customer_id);
+}
+
+/** The late-cancel fee a cancellation right now would incur (0 when none applies). */
+function lateCancelFeeFor(policy, row, nowMs = Date.now()) {
+    if (!(policy.lateCancelFee > 0) || !hasFeeCard(row) || ['charging', 'charged'].includes(row.policy_fee_status)) return 0;
+    const startMs = appointmentStartMs(row);
+    if (startMs == null) return 0;
+    return startMs - nowMs < policy.lateCancelHours * 60 * 60 * 1000 ? policy.lateCancelFee : 0;
+}
+
+/**
+ * Charges a late-cancel or no-show fee to the booking's vaulted card and records the outcome.
+ * A decline is recorded (status `failed`) rather than thrown.
+ * @returns {Promise<{ type: string, amount: number, status: 'charged'|'failed', reference: string|null, error: string|null, last4: string|null }>}
+ */
+async function chargePolicyFee(pool, row, type, amount) {
+    if (row.policy_fee_status === 'charged') {
+        throw policyError('A fee has already been charged for this appointment', 409, 'FEE_ALREADY_CHARGED');
+    }
+    if (!hasFeeCard(row)) {
+        throw policyError('No card on file for this appointment', 409, 'NO_FEE_CARD');
+    }
+    // Claim the fee first so a retry or a second staff member cannot charge the card again.
+    const [claim] = await pool.execute(
+        `UPDATE edsa_bookings
+            SET policy_fee_type = ?, policy_fee_amount = ?, policy_fee_status = 'charging', policy_fee_error = NULL
+          WHERE id = ? AND (policy_fee_status IS NULL OR policy_fee_status = 'failed')`,
+        [type, amount, row.id]
+    );
+    if (!claim.affectedRows) {
+        throw policyError('A fee has already been charged for this appointment', 409, 'FEE_ALREADY_CHARGED');
+    }
+    let status = 'failed';
+    let reference = null;
+    let error = null;
+    try {
+        const sale = await nmiVaultCards.chargeVaultReference(
+            { customerVaultId: row.fee_vault_customer_id, billingId: row.fee_vault_billing_id },
+            amount
+        );
+        if (sale.ok) {
+            status = 'charged';
+            reference = sale.transactionId || null;
+        } else {
+            error = sale.responseText || 'Card declined';
+        }
+    } catch (err) {
+        error = err.message;
+    }
+    if (error) logger.warn(`[edsa-reminders] ${type} fee for booking ${row.id} not charged: ${error}`);
+    await pool.execute(
+        `UPDATE edsa_bookings
+            SET policy_fee_type = ?, policy_fee_amount = ?, policy_fee_status = ?,
+                policy_fee_reference = ?, policy_fee_error = ?, policy_fee_at = CURRENT_TIMESTAMP
+          WHERE id = ? AND policy_fee_status = 'charging'`,
+        [type, amount, status, reference, error ? error.slice(0, 255) : null, row.id]
+    );
+    return { type, amount, status, reference, error, last4: row.fee_card_last4 || null };
+}
+
+async function waivePolicyFee(pool, row, type, amount) {
+    const [waived] = await pool.execute(
+        `UPDATE edsa_bookings
+            SET policy_fee_type = ?, policy_fee_amount = ?, policy_fee_status = 'waived',
+                policy_fee_reference = NULL, policy_fee_error = NULL, policy_fee_at = CURRENT_TIMESTAMP
+          WHERE id = ? AND (policy_fee_status IS NULL OR policy_fee_status = 'failed')`,
+        [type, amount, row.id]
+    );
+    if (!waived.affectedRows) {
+        throw policyError('A fee has already been charged for this appointment', 409, 'FEE_ALREADY_CHARGED');
+    }
+    return { type, amount, status: 'waived', reference: null, error: null, last4: row.fee_card_last4 || null };
+}
+
+async function loadAttendanceRow(pool, bookingId) {
+    const [rows] = await pool.execute(
+        `SELECT id, first_name, last_name, email, phone, preferred_date, preferred_time, status,
+                service_name, attendance, fee_vault_customer_id, fee_vault_billing_id, fee_card_last4,
+                policy_fee_status
+           FROM edsa_bookings WHERE id = ? LIMIT 1`,
+        [bookingId]
+    );
+    return rows[0] || null;
+}
+
+/**
+ * Staff mark a booking attended (status → completed) or a no-show. A no-show charges the
+ * configured fee unless `chargeFee` is false, which records it as waived.
+ * @returns {Promise<{ booking: object, attendance: string, fee: object|null }>}
+ */
+async function markAttendance(pool, bookingId, { attendance, chargeFee = true, adminId = null }, nowMs = Date.now()) {
+    if (!['attended', 'no_show'].includes(attendance)) {
+        throw policyError('Attendance must be attended or no_show', 400, 'INVALID_ATTENDANCE');
+    }
+    const row = await loadAttendanceRow(pool, Number(bookingId));
+    if (!row) throw policyError('Booking not found', 404, 'BOOKING_NOT_FOUND');
+    if (!['confirmed', 'completed'].includes(String(row.status))) {
+        throw policyError('Only confirmed appointments can be marked', 409, 'BOOKING_NOT_CONFIRMED');
+    }
+    const startMs = appointmentStartMs(row);
+    if (startMs != null && startMs > nowMs) {
+        throw policyError('This appointment has not started yet', 409, 'APPOINTMENT_NOT_STARTED');
+    }
+
+    // Settle the fee first: a fee another request already claimed rejects here, before attendance is saved.
+    let fee = null;
+    if (attendance === 'no_show' && !['charging', 'charged'].includes(row.policy_fee_status) && hasFeeCard(row)) {
+        const policy = await loadAppointmentPolicy(pool);
+        if (policy.noShowFee > 0) {
+            fee = chargeFee
+                ? await chargePolicyFee(pool, row, 'no_show', policy.noShowFee)
+                : await waivePolicyFee(pool, row, 'no_show', policy.noShowFee);
+        }
+    }
+
+    await pool.execute(
+        `UPDATE edsa_bookings
+            SET attendance = ?, attendance_marked_at = CURRENT_TIMESTAMP, attendance_marked_by = ?,
+                status = CASE WHEN ? = 'attended' THEN 'completed' ELSE status END,
+                updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?`,
+        [attendance, adminId, attendance, row.id]
+    );
+    return { booking: row, attendance, fee };
+}
+
+module.exports = {
+    parseReminderHours,
+    loadAppointmentPolicy,
+    validatePolicyInput,
+    saveAppointmentPolicy,
+    policyHasFees,
+    publicPolicy,
+    appointmentStartMs,
+    customerCanCancel,
+    lateCancelFeeFor,
+    chargePolicyFee,
+    markAttendance
+};
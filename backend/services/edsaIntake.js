@@ -0,0 +1,332 @@
+'use strict';
+
+/**
+ * EDSA intake questionnaires. Staff build forms (optionally for one service); after booking the
+ * customer answers every form that applies to their appointment from the link in the confirmation
+ * email. Each response keeps a copy of the questions it answered, so later edits to a form never
+ * change what a past customer was asked.
+ */
+
+const { normalizeDateYmd } = require('../utils/storeTimezone');
+const { appointmentStartMs } = require('./edsaAppointmentPolicy');
+
+const QUESTION_TYPES = ['text', 'long_text', 'yes_no', 'choice', 'multi_choice', 'date'];
+const CHOICE_TYPES = ['choice', 'multi_choice'];
+const MAX_QUESTIONS = 50;
+const MAX_OPTIONS = 20;
+const MAX_ANSWER_LENGTH = 4000;
+
+function intakeError(message, status = 400, code = 'INVALID_INTAKE_FORM') {
+    return Object.assign(new Error(message), { status, code });
+}
+
+/** mysql2 returns JSON columns parsed; older servers (JSON stored as text) return strings. */
+function parseJsonColumn(value, fallback) {
+    if (value == null) return fallback;
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch {
+        return fallback;
+    }
+}
+
+function optionalId(value) {
+    if (value == null || value === '') return null;
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Cleans the question list of a form. Keys identify answers; questions without one get q1, q2, …
+ * @returns {{ key: string, label: string, type: string, required: boolean, options: string[] }[]}
+ */
+function normalizeQuestions(raw) {
+    const list = Array.isArray(raw) ? raw : [];
+    if (!list.length) throw intakeError('Add at least one question');
+    if (list.length > MAX_QUESTIONS) throw intakeError(`A form can have at most ${MAX_QUESTIONS} questions`);
+    const keys = new Set();
+    const explicitKeys = new Set(list.map((q) => String(q?.key || '').trim().toLowerCase()).filter(Boolean));
+    return list.map((q, i) => {
+        const label = String(q?.label || '').trim();
+        if (!label || label.length > 300) throw intakeError(`Question ${i + 1} needs a label (300 characters max)`);
+        const type = String(q.type || 'text');
+        if (!QUESTION_TYPES.includes(type)) throw intakeError(`Question ${i + 1} has an unknown type`);
+        let key = String(q.key || '')
+            .trim()
+            .toLowerCase()
+            .replace(/[^a-z0-9_]/g, '_')
+            .slice(0, 40);
+        if (!key) {
+            let n = i + 1;
+            while (keys.has(`q${n}`) || explicitKeys.has(`q${n}`)) n += 1;
+            key = `q${n}`;
+        }
+        if (keys.has(key)) throw intakeError(`Question ${i + 1} repeats the key "${key}"`);
+        keys.add(key);
+        let options = [];
+        if (CHOICE_TYPES.includes(type)) {
+            options = [...new Set((Array.isArray(q.options) ? q.options : String(q.options || '').split('\n'))
+                .map((o) => String(o).trim().slice(0, 120))
+                .filter(Boolean))];
+            if (options.length < 2 || options.length > MAX_OPTIONS) {
+                throw intakeError(`Question ${i + 1} needs between 2 and ${MAX_OPTIONS} options`);
+            }
+        }
+        return { key, label, type, required: Boolean(q.required), options };
+    });
+}
+
+function validateFormInput(input) {
+    const title = String(input.title || '').trim();
+    if (!title || title.length > 120) throw intakeError('Form title is required (120 characters max)');
+    return {
+        title,
+        intro: String(input.intro || '').trim().slice(0, 2000) || null,
+        serviceId: optionalId(input.serviceId),
+        questions: normalizeQuestions(input.questions),
+        isActive: input.isActive !== false,
+        sortOrder: Number.isInteger(Number(input.sortOrder)) ? Number(input.sortOrder) : 0
+    };
+}
+
+function formatFormRow(row) {
+    return {
+        id: row.id,
+        title: row.title,
+        intro: row.intro || null,
+        serviceId: row.service_id || null,
+        serviceName: row.service_name || null,
+        questions: parseJsonColumn(row.questions_json, []),
+        isActive: Boolean(row.is_active),
+        sortOrder: Number(row.sort_order) || 0,
+        responseCount: Number(row.response_count) || 0
+    };
+}
+
+async function listIntakeForms(pool, { includeInactive = false } = {}) {
+    const [rows] = await pool.execute(
+        `SELECT f.*, s.name AS service_name,
+                (SELECT COUNT(*) FROM edsa_intake_responses r WHERE r.form_id = f.id) AS response_count
+           FROM edsa_intake_forms f
+           LEFT JOIN edsa_services s ON s.id = f.service_id
+          ${includeInactive ? '' : 'WHERE f.is_active = 1'}
+          ORDER BY f.sort_order, f.id`
+    );
+    return rows.map(formatFormRow);
+}
+
+/** Creates (id null) or updates an intake form. */
+async function saveIntakeForm(pool, formId, input) {
+    const data = validateFormInput(input || {});
+    const values = [
+        data.title,
+        data.intro,
+        data.serviceId,
+        JSON.stringify(data.questions),
+        data.isActive ? 1 : 0,
+        data.sortOrder
+    ];
+    let id = Number(formId) || null;
+    if (id) {
+        const [result] = await pool.execute(
+            `UPDATE edsa_intake_forms
+                SET title = ?, intro = ?, service_id = ?, questions_json = ?, is_active = ?, sort_order = ?
+              WHERE id = ?`,
+            [...values, id]
+        );
+        if (!result.affectedRows) throw intakeError('Intake form not found', 404, 'NOT_FOUND');
+    } else {
+        const [result] = await pool.execute(
+            `INSERT INTO edsa_intake_forms (title, intro, service_id, questions_json, is_active, sort_order)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            values
+        );
+        id = result.insertId;
+    }
+    return (await listIntakeForms(pool, { includeInactive: true })).find((f) => f.id === Number(id));
+}
+
+/** Deletes a form nobody has answered yet; answered forms are deactivated so their history stays. */
+async function deleteIntakeForm(pool, formId) {
+    const id = Number(formId);
+    const [[usage]] = await pool.execute('SELECT COUNT(*) AS n FROM edsa_intake_responses WHERE form_id = ?', [id]);
+    if (Number(usage.n) > 0) {
+        const [result] = await pool.execute('UPDATE edsa_intake_forms SET is_active = 0 WHERE id = ?', [id]);
+        if (!result.affectedRows) throw intakeError('Intake form not found', 404, 'NOT_FOUND');
+        return { deleted: false, deactivated: true };
+    }
+    const [result] = await pool.execute('DELETE FROM edsa_intake_forms WHERE id = ?', [id]);
+    if (!result.affectedRows) throw intakeError('Intake form not found', 404, 'NOT_FOUND');
+    return { deleted: true, deactivated: false };
+}
+
+/** Active forms for an appointment: the ones for every service plus the ones for its service. */
+async function formsForService(pool, serviceId) {
+    const [rows] = await pool.execute(
+        `SELECT f.*, NULL AS service_name, 0 AS response_count
+           FROM edsa_intake_forms f
+          WHERE f.is_active = 1 AND (f.service_id IS NULL OR f.service_id <=> ?)
+          ORDER BY f.sort_order, f.id`,
+        [optionalId(serviceId)]
+    );
+    return rows.map(formatFormRow);
+}
+
+/** True when the confirmation email should link to an intake form. Never throws. */
+async function hasIntakeForms(pool, serviceId) {
+    try {
+        return (await formsForService(pool, serviceId)).length > 0;
+    } catch {
+        return false;
+    }
+}
+
+function isBlank(value) {
+    return value == null || (Array.isArray(value) ? !value.length : String(value).trim() === '');
+}
+
+/**
+ * Checks answers against the questions and keeps only known keys.
+ * Throws INTAKE_INCOMPLETE (with `fields`) when a required question is unanswered.
+ */
+function validateAnswers(questions, raw = {}) {
+    const answers = {};
+    const missing = [];
+    for (const q of questions) {
+        const value = raw[q.key];
+        if (isBlank(value)) {
+            if (q.required) missing.push(q.key);
+            continue;
+        }
+        if (q.type === 'yes_no') {
+            if (!['yes', 'no'].includes(String(value))) throw intakeError(`"${q.label}" must be yes or no`, 400, 'INVALID_ANSWER');
+            answers[q.key] = String(value);
+        } else if (q.type === 'choice') {
+            if (!q.options.includes(String(value))) throw intakeError(`Choose one of the options for "${q.label}"`, 400, 'INVALID_ANSWER');
+            answers[q.key] = String(value);
+        } else if (q.type === 'multi_choice') {
+            const picked = (Array.isArray(value) ? value : [value]).map(String);
+            if (picked.some((v) => !q.options.includes(v))) {
+                throw intakeError(`Choose from the options for "${q.label}"`, 400, 'INVALID_ANSWER');
+            }
+            answers[q.key] = q.options.filter((o) => picked.includes(o));
+        } else if (q.type === 'date') {
+            const ymd = normalizeDateYmd(value);
+            if (!ymd) throw intakeError(`"${q.label}" must be a date`, 400, 'INVALID_ANSWER');
+            answers[q.key] = ymd;
+        } else {
+            answers[q.key] = String(value).trim().slice(0, MAX_ANSWER_LENGTH);
+        }
+    }
+    if (missing.length) {
+        throw Object.assign(intakeError('Please answer the required questions', 400, 'INTAKE_INCOMPLETE'), {
+            fields: missing
+        });
+    }
+    return answers;
+}
+
+/** An answer as staff read it. */
+function formatAnswer(question, value) {
+    if (isBlank(value)) return '';
+    if (question.type === 'yes_no') return value === 'yes' ? 'Yes' : 'No';
+    if (Array.isArray(value)) return value.join(', ');
+    return String(value);
+}
+
+async function loadResponses(pool, bookingIds) {
+    if (!bookingIds.length) return [];
+    const [rows] = await pool.query(
+        `SELECT id, booking_id, form_id, form_title, questions_json, answers_json, submitted_at, updated_at
+           FROM edsa_intake_responses
+          WHERE booking_id IN (?)
+          ORDER BY submitted_at`,
+        [bookingIds]
+    );
+    return rows;
+}
+
+/**
+ * The customer's view: the forms for their appointment and whether each was submitted. Answers are
+ * health information and stay staff-only, since this view is reachable with the booking id and email.
+ */
+async function loadIntakeForBooking(pool, booking) {
+    const forms = await formsForService(pool, booking.service_id);
+    const responses = await loadResponses(pool, [booking.id]);
+    return forms.map((form) => {
+        const response = responses.find((r) => Number(r.form_id) === form.id);
+        return {
+            id: form.id,
+            title: form.title,
+            intro: form.intro,
+            questions: form.questions,
+            submitted: Boolean(response),
+            submittedAt: response ? response.updated_at || response.submitted_at : null
+        };
+    });
+}
+
+/** Intake can be filled in or corrected until the appointment starts. */
+function isIntakeOpen(booking, nowMs = Date.now()) {
+    if (!['pending', 'confirmed'].includes(String(booking.status))) return false;
+    const startMs = appointmentStartMs(booking);
+    return startMs == null || startMs > nowMs;
+}
+
+/** Saves (or replaces) the customer's answers to one form for their booking. */
+async function submitIntakeResponse(pool, booking, formId, rawAnswers) {
+    if (!isIntakeOpen(booking)) {
+        throw intakeError('This appointment is no longer open for intake forms. Please call the store.', 409, 'INTAKE_CLOSED');
+    }
+    const form = (await formsForService(pool, booking.service_id)).find((f) => f.id === Number(formId));
+    if (!form) throw intakeError('That intake form is not available for this appointment', 404, 'NOT_FOUND');
+    const answers = validateAnswers(form.questions, rawAnswers || {});
+    await pool.execute(
+        `INSERT INTO edsa_intake_responses (booking_id, form_id, user_id, form_title, questions_json, answers_json)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE form_title = VALUES(form_title), questions_json = VALUES(questions_json),
+                                 answers_json = VALUES(answers_json), user_id = COALESCE(user_id, VALUES(user_id))`,
+        [booking.id, form.id, booking.user_id || null, form.title, JSON.stringify(form.questions), JSON.stringify(answers)]
+    );
+    return { formId: form.id, answers };
+}
+
+/**
+ * Staff view of the answers for one or more bookings, question by question.
+ * @returns {Promise<Map<number, { formId, title, submittedAt, items: { label, answer }[] }[]>>}
+ */
+async function intakeResponsesByBooking(pool, bookingIds) {
+    const byBooking = new Map();
+    for (const row of await loadResponses(pool, bookingIds)) {
+        const questions = parseJsonColumn(row.questions_json, []);
+        const answers = parseJsonColumn(row.answers_json, {});
+        const list = byBooking.get(Number(row.booking_id)) || [];
+        list.push({
+            formId: row.form_id,
+            title: row.form_title,
+            submittedAt: row.updated_at || row.submitted_at,
+            items: questions.map((q) => ({ label: q.label, answer: formatAnswer(q, answers[q.key]) }))
+        });
+        byBooking.set(Number(row.booking_id), list);
+    }
+    return byBooking;
+}
+
+module.exports = {
+    QUESTION_TYPES,
+    parseJsonColumn,
+    normalizeQuestions,
+    validateFormInput,
+    listIntakeForms,
+    saveIntakeForm,
+    deleteIntakeForm,
+    formsForService,
+    hasIntakeForms,
+    validateAnswers,
+    formatAnswer,
+    loadIntakeForBooking,
+    isIntakeOpen,
+    submitIntakeResponse,
+    intakeResponsesByBooking
+};
@@ -0,0 +1,519 @@
+'use strict';
+
+/**
+ * Prepaid EDSA appointment packages (e.g. 3 scans for a set price). A package is linked to a
+ * product, so it sells through the normal web checkout and the register; once the order is paid
+ * (finalizePaidOrder) each unit becomes an edsa_customer_packages row holding the session balance.
+ * Signed-in customers book against that balance instead of paying (routes/edsa.js /book), and
+ * staff refund unused sessions from the customer profile.
+ *
+ * Expiry: a package with validity_days can be used for appointments on or before purchase date +
+ * validity_days. A cancellation returns the session, unless it falls inside the late-cancel window
+ * of the appointment policy (edsaAppointmentPolicy) — then the session is forfeited in place of the
+ * late-cancel fee.
+ */
+
+const logger = require('../utils/logger');
+const { normalizeDateYmd, getStoreTodayYmd } = require('../utils/storeTimezone');
+const { appointmentStartMs } = require('./edsaAppointmentPolicy');
+const { adjustLoyaltyCash } = require('./customerLoyalty');
+const { nmiRefund } = require('./nmiGateway');
+const { loadStorePaymentProcessor, resolveProcessorCredentials } = require('./storePaymentProcessor');
+
+const MAX_SESSIONS = 50;
+const MAX_VALIDITY_DAYS = 3650;
+const REFUND_METHODS = ['card', 'store_credit', 'other'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function packageError(message, status = 400, code = 'INVALID_PACKAGE') {
+    return Object.assign(new Error(message), { status, code });
+}
+
+function roundMoney(n) {
+    return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+function optionalId(value) {
+    if (value == null || value === '') return null;
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+function addDaysYmd(ymd, days) {
+    const [y, m, d] = ymd.split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1, d) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function validatePackageInput(input) {
+    const name = String(input.name || '').trim();
+    if (!name || name.length > 120) throw packageError('Package name is required (120 characters max)');
+    const sessionCount = Number(input.sessionCount);
+    if (!Number.isInteger(sessionCount) || sessionCount < 1 || sessionCount > MAX_SESSIONS) {
+        throw packageError(`Sessions must be a whole number between 1 and ${MAX_SESSIONS}`);
+    }
+    const productId = optionalId(input.productId);
+    if (!productId) throw packageError('Choose the product customers buy for this package');
+    let validityDays = null;
+    if (input.validityDays != null && input.validityDays !== '') {
+        validityDays = Number(input.validityDays);
+        if (!Number.isInteger(validityDays) || validityDays < 1 || validityDays > MAX_VALIDITY_DAYS) {
+            throw packageError(`Validity must be between 1 and ${MAX_VALIDITY_DAYS} days, or empty for no expiry`);
+        }
+    }
+    return {
+        name,
+        description: String(input.description || '').trim().slice(0, 2000) || null,
+        serviceId: optionalId(input.serviceId),
+        sessionCount,
+        productId,
+        validityDays,
+        isActive: input.isActive !== false,
+        sortOrder: Number.isInteger(Number(input.sortOrder)) ? Number(input.sortOrder) : 0
+    };
+}
+
+function formatPackageRow(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        description: row.description || null,
+        serviceId: row.service_id || null,
+        serviceName: row.service_name || null,
+        sessionCount: Number(row.session_count),
+        productId: row.product_id || null,
+        productName: row.product_name || null,
+        productSku: row.product_sku || null,
+        price: row.product_price != null ? roundMoney(row.product_price) : null,
+        validityDays: row.validity_days != null ? Number(row.validity_days) : null,
+        isActive: Boolean(row.is_active),
+        sortOrder: Number(row.sort_order) || 0,
+        soldCount: Number(row.sold_count) || 0
+    };
+}
+
+async function listPackages(pool, { includeInactive = false } = {}) {
+    const [rows] = await pool.execute(
+        `SELECT pk.*, s.name AS service_name, p.name AS product_name, p.sku AS product_sku, p.price AS product_price,
+                (SELECT COUNT(*) FROM edsa_customer_packages cp WHERE cp.package_id = pk.id) AS sold_count
+           FROM edsa_packages pk
+           LEFT JOIN edsa_services s ON s.id = pk.service_id
+           LEFT JOIN products p ON p.id = pk.product_id
+          ${includeInactive ? '' : 'WHERE pk.is_active = 1'}
+          ORDER BY pk.sort_order, pk.id`
+    );
+    return rows.map(formatPackageRow);
+}
+
+/** Creates (id null) or updates a package definition. Sold balances keep their own copy of the terms. */
+async function savePackage(pool, packageId, input) {
+    const data = validatePackageInput(input || {});
+    const [products] = await pool.execute('SELECT id FROM products WHERE id = ? LIMIT 1', [data.productId]);
+    if (!products.length) throw packageError('That product was not found', 400, 'PRODUCT_NOT_FOUND');
+    const values = [
+        data.name,
+        data.description,
+        data.serviceId,
+        data.sessionCount,
+        data.productId,
+        data.validityDays,
+        data.isActive ? 1 : 0,
+        data.sortOrder
+    ];
+    let id = Number(packageId) || null;
+    try {
+        if (id) {
+            const [result] = await pool.execute(
+                `UPDATE edsa_packages
+                    SET name = ?, description = ?, service_id = ?, session_count = ?, product_id = ?,
+                        validity_days = ?, is_active = ?, sort_order = ?
+                  WHERE id = ?`,
+                [...values, id]
+            );
+            if (!result.affectedRows) throw packageError('Package not found', 404, 'NOT_FOUND');
+        } else {
+            const [result] = await pool.execute(
+                `INSERT INTO edsa_packages
+                    (name, description, service_id, session_count, product_id, validity_days, is_active, sort_order)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                values
+            );
+            id = result.insertId;
+        }
+    } catch (err) {
+        if (err.code === 'ER_DUP_ENTRY') {
+            throw packageError('That product already sells another package', 409, 'PRODUCT_IN_USE');
+        }
+        throw err;
+    }
+    return (await listPackages(pool, { includeInactive: true })).find((p) => p.id === Number(id));
+}
+
+/** Deletes a package nobody has bought; sold packages are deactivated so balances keep their history. */
+async function deletePackage(pool, packageId) {
+    const id = Number(packageId);
+    const [[usage]] = await pool.execute('SELECT COUNT(*) AS n FROM edsa_customer_packages WHERE package_id = ?', [id]);
+    if (Number(usage.n) > 0) {
+        const [result] = await pool.execute('UPDATE edsa_packages SET is_active = 0 WHERE id = ?', [id]);
+        if (!result.affectedRows) throw packageError('Package not found', 404, 'NOT_FOUND');
+        return { deleted: false, deactivated: true };
+    }
+    const [result] = await pool.execute('DELETE FROM edsa_packages WHERE id = ?', [id]);
+    if (!result.affectedRows) throw packageError('Package not found', 404, 'NOT_FOUND');
+    return { deleted: true, deactivated: false };
+}
+
+/**
+ * Issues session balances for the package products on a paid order (web or POS). Safe to call
+ * again: an order that already has balances is skipped.
+ * @returns {Promise<{ issued: number, skipped?: boolean }>}
+ */
+async function fulfillEdsaPackagesForOrder(pool, orderId) {
+    const oid = Number(orderId);
+    if (!Number.isFinite(oid) || oid < 1) return { issued: 0 };
+
+    let lines;
+    try {
+        [lines] = await pool.execute(
+            `SELECT oi.id AS order_item_id, oi.quantity, oi.price,
+                    pk.id AS package_id, pk.name, pk.service_id, pk.session_count, pk.validity_days,
+                    o.user_id, o.email
+               FROM order_items oi
+               JOIN edsa_packages pk ON pk.product_id = oi.product_id
+               JOIN orders o ON o.id = oi.order_id
+              WHERE oi.order_id = ?`,
+            [oid]
+        );
+    } catch (err) {
+        if (err.code === 'ER_NO_SUCH_TABLE') return { issued: 0 };
+        throw err;
+    }
+    if (!lines.length) return { issued: 0 };
+
+    const [[existing]] = await pool.execute('SELECT COUNT(*) AS n FROM edsa_customer_packages WHERE order_id = ?', [oid]);
+    if (Number(existing.n) > 0) {
+        logger.info(`[edsa-packages] Order ${oid} already has package balances; skipping`);
+        return { issued: 0, skipped: true };
+    }
+
+    const today = getStoreTodayYmd();
+    let issued = 0;
+    for (const line of lines) {
+        const qty = Math.max(1, Number(line.quantity) || 1);
+        const expiresOn = line.validity_days ? addDaysYmd(today, Number(line.validity_days)) : null;
+        for (let i = 0; i < qty; i++) {
+            await pool.execute(
+                `INSERT INTO edsa_customer_packages
+                    (package_id, user_id, email, order_id, order_item_id, package_name, service_id,
+                     sessions_total, amount_paid, expires_on)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    line.package_id,
+                    line.user_id || null,
+                    line.email ? String(line.email).trim().toLowerCase() : null,
+                    oid,
+                    line.order_item_id,
+                    line.name,
+                    line.service_id || null,
+                    Number(line.session_count),
+                    roundMoney(line.price),
+                    expiresOn
+                ]
+            );
+            issued += 1;
+        }
+    }
+    if (!lines[0].user_id && !lines[0].email) {
+        logger.warn(`[edsa-packages] Order ${oid} sold a package without a customer; attach one from the admin`);
+    }
+    return { issued };
+}
+
+function sessionsRemaining(row) {
+    return Math.max(0, Number(row.sessions_total) - Number(row.sessions_used) - Number(row.sessions_refunded));
+}
+
+/** active | used | expired | refunded | cancelled */
+function packageStatus(row, todayYmd = getStoreTodayYmd()) {
+    if (row.status !== 'active') return row.status;
+    if (sessionsRemaining(row) < 1) return 'used';
+    const expiresOn = normalizeDateYmd(row.expires_on);
+    if (expiresOn && expiresOn < todayYmd) return 'expired';
+    return 'active';
+}
+
+function formatCustomerPackage(row, todayYmd = getStoreTodayYmd()) {
+    return {
+        id: row.id,
+        packageId: row.package_id || null,
+        name: row.package_name,
+        serviceId: row.service_id || null,
+        serviceName: row.service_name || null,
+        sessionsTotal: Number(row.sessions_total),
+        sessionsUsed: Number(row.sessions_used),
+        sessionsRefunded: Number(row.sessions_refunded),
+        sessionsRemaining: sessionsRemaining(row),
+        amountPaid: roundMoney(row.amount_paid),
+        expiresOn: normalizeDateYmd(row.expires_on),
+        status: packageStatus(row, todayYmd),
+        orderId: row.order_id || null,
+        orderNumber: row.order_number || null,
+        refundAmount: row.refund_amount != null ? roundMoney(row.refund_amount) : null,
+        refundMethod: row.refund_method || null,
+        refundedAt: row.refunded_at || null,
+        purchasedAt: row.created_at
+    };
+}
+
+const CUSTOMER_PACKAGE_SELECT = `SELECT cp.*, s.name AS service_name, o.order_number, o.payment_reference
+           FROM edsa_customer_packages cp
+           LEFT JOIN edsa_services s ON s.id = cp.service_id
+           LEFT JOIN orders o ON o.id = cp.order_id`;
+
+/** A customer's packages (newest first), including guest purchases made with their email. */
+async function listCustomerPackages(pool, { userId = null, email = null }) {
+    const normalizedEmail = String(email || '').trim().toLowerCase();
+    if (!userId && !normalizedEmail) return [];
+    const [rows] = await pool.execute(
+        `${CUSTOMER_PACKAGE_SELECT}
+          WHERE cp.user_id = ? OR (cp.user_id IS NULL AND cp.email = ?)
+          ORDER BY cp.created_at DESC, cp.id DESC`,
+        [userId || 0, normalizedEmail || '']
+    );
+    const today = getStoreTodayYmd();
+    return rows.map((row) => formatCustomerPackage(row, today));
+}
+
+function coversAppointment(pkg, { serviceId = null, dateYmd = null }) {
+    if (pkg.status !== 'active') return false;
+    if (pkg.serviceId && pkg.serviceId !== Number(serviceId)) return false;
+    return !pkg.expiresOn || !dateYmd || dateYmd <= pkg.expiresOn;
+}
+
+/** Packages the customer can book with (optionally for a given service and appointment date). */
+async function usablePackages(pool, { userId, email }, appointment = {}) {
+    const packages = await listCustomerPackages(pool, { userId, email });
+    return packages.filter((pkg) => coversAppointment(pkg, appointment));
+}
+
+/**
+ * Takes one session from a package for a booking. The balance, service and expiry are checked in
+ * the UPDATE itself, so two bookings cannot spend the same last session.
+ */
+async function reserveSession(db, { customerPackageId, userId, email, serviceId, dateYmd }) {
+    const id = optionalId(customerPackageId);
+    if (!id || !userId) throw packageError('Sign in to book with a package', 401, 'SIGN_IN_REQUIRED');
+    const [result] = await db.execute(
+        `UPDATE edsa_customer_packages
+            SET sessions_used = sessions_used + 1, user_id = COALESCE(user_id, ?)
+          WHERE id = ?
+            AND (user_id = ? OR (user_id IS NULL AND email = ?))
+            AND status = 'active'
+            AND sessions_used + sessions_refunded < sessions_total
+            AND (service_id IS NULL OR service_id = ?)
+            AND (expires_on IS NULL OR expires_on >= ?)`,
+        [userId, id, userId, String(email || '').trim().toLowerCase(), serviceId || 0, dateYmd]
+    );
+    if (!result.affectedRows) {
+        throw packageError(
+            'That package has no sessions left for this appointment. Choose another payment option.',
+            409,
+            'PACKAGE_UNAVAILABLE'
+        );
+    }
+    return id;
+}
+
+/** Takes the session back when staff restore a cancelled package booking for dateYmd; run it in the restore's transaction. */
+async function reclaimSession(db, customerPackageId, dateYmd) {
+    const [result] = await db.execute(
+        `UPDATE edsa_customer_packages SET sessions_used = sessions_used + 1
+          WHERE id = ?
+            AND status = 'active'
+            AND sessions_used + sessions_refunded < sessions_total
+            AND (expires_on IS NULL OR expires_on >= ?)`,
+        [Number(customerPackageId), dateYmd]
+    );
+    if (!result.affectedRows) {
+        throw packageError(
+            'The package this booking used has no session left for that date; book a new appointment instead.',
+            409,
+            'PACKAGE_UNAVAILABLE'
+        );
+    }
+}
+
+/** Whether a package booking may move to dateYmd (the package has not expired by then). */
+async function packageCoversDate(pool, customerPackageId, dateYmd) {
+    const [rows] = await pool.execute('SELECT expires_on FROM edsa_customer_packages WHERE id = ? LIMIT 1', [
+        Number(customerPackageId)
+    ]);
+    const expiresOn = rows.length ? normalizeDateYmd(rows[0].expires_on) : null;
+    return !expiresOn || dateYmd <= expiresOn;
+}
+
+/** Gives a session back (booking failed or was cancelled in time). */
+async function releaseSession(db, customerPackageId) {
+    const id = optionalId(customerPackageId);
+    if (!id) return false;
+    const [result] = await db.execute(
+        `UPDATE edsa_customer_packages SET sessions_used = GREATEST(sessions_used - 1, 0)
+          WHERE id = ? AND status = 'active' AND sessions_used > 0`,
+        [id]
+    );
+    return result.affectedRows > 0;
+}
+
+/**
+ * True when a customer cancellation right now keeps the session: always once the appointment has started,
+ * otherwise only inside the late-cancel window when the policy charges a late fee.
+ */
+function sessionForfeitedOnCancel(policy, booking, nowMs = Date.now()) {
+    if (!booking.customer_package_id) return false;
+    const startMs = appointmentStartMs(booking);
+    if (startMs == null) return false;
+    if (startMs <= nowMs) return true;
+    if (!(policy.lateCancelFee > 0)) return false;
+    return startMs - nowMs < policy.lateCancelHours * 60 * 60 * 1000;
+}
+
+/** Default refund for the unused sessions: the share of the price they represent. */
+function proratedRefund(row) {
+    const total = Number(row.sessions_total);
+    if (!total) return 0;
+    return roundMoney((Number(row.amount_paid) * sessionsRemaining(row)) / total);
+}
+
+async function loadCustomerPackage(pool, id) {
+    const [rows] = await pool.execute(
+        `${CUSTOMER_PACKAGE_SELECT}
+          WHERE cp.id = ? LIMIT 1`,
+        [Number(id)]
+    );
+    if (!rows.length) throw packageError('Package not found', 404, 'NOT_FOUND');
+    return rows[0];
+}
+
+async function refundToCard(pool, row, amount) {
+    const reference = String(row.payment_reference || '').trim();
+    if (!reference || /^(gift_card|web|pos|processing):/.test(reference)) {
+        throw packageError('The order was not paid by card; refund to store credit or record it as paid out', 409, 'CARD_REFERENCE_MISSING');
+    }
+    const processor = await loadStorePaymentProcessor(pool);
+    const securityKey = resolveProcessorCredentials(processor).privateKey;
+    if (!securityKey) throw packageError('Card refunds are not configured', 503, 'PAYMENT_NOT_CONFIGURED');
+    const result = await nmiRefund({ securityKey, transactionId: reference, amount: amount.toFixed(2) });
+    if (!result.ok) throw packageError(`Card refund failed: ${result.responseText}`, 502, 'REFUND_FAILED');
+    return result.transactionId || null;
+}
+
+/**
+ * Refunds the unused sessions of a package and closes it. Sessions already booked stay with their
+ * appointments, so upcoming bookings must be cancelled first if those should be refunded too.
+ * @param {{ method: 'card'|'store_credit'|'other', amount?: number, adminId?: number }} options
+ */
+async function refundUnusedSessions(pool, customerPackageId, { method, amount = null, adminId = null } = {}) {
+    if (!REFUND_METHODS.includes(method)) throw packageError('Choose how to refund the package');
+    const row = await loadCustomerPackage(pool, customerPackageId);
+    if (row.status !== 'active') throw packageError('This package is already closed', 409, 'PACKAGE_CLOSED');
+    const unused = sessionsRemaining(row);
+    if (unused < 1) throw packageError('Every session on this package has been used', 409, 'NOTHING_TO_REFUND');
+    const refund = amount == null || amount === '' ? proratedRefund(row) : roundMoney(amount);
+    if (!(refund >= 0) || refund > roundMoney(row.amount_paid)) {
+        throw packageError(`The refund must be between $0.00 and $${roundMoney(row.amount_paid).toFixed(2)}`);
+    }
+    if (method === 'store_credit' && !row.user_id) {
+        throw packageError('Store credit needs a customer account on the package', 409, 'NO_CUSTOMER');
+    }
+
+    const [claim] = await pool.execute(
+        `UPDATE edsa_customer_packages
+            SET status = 'refunded', sessions_refunded = sessions_refunded + ?, refund_amount = ?,
+                refund_method = ?, refunded_at = NOW(), refunded_by_admin_id = ?
+          WHERE id = ? AND status = 'active' AND sessions_used = ?`,
+        [unused, refund, method, adminId, row.id, Number(row.sessions_used)]
+    );
+    if (!claim.affectedRows) {
+        throw packageError('The package changed while refunding; reload and try again', 409, 'PACKAGE_CHANGED');
+    }
+
+    const description = `Refund of ${unused} unused session${unused === 1 ? '' : 's'} — ${row.package_name}`;
+    try {
+        if (refund > 0 && method === 'card') {
+            await refundToCard(pool, row, refund);
+        } else if (refund > 0 && method === 'store_credit') {
+            await adjustLoyaltyCash(pool, row.user_id, refund, {
+                description,
+                adminUserId: adminId,
+                source: 'manual',
+                orderId: row.order_id || null
+            });
+        }
+    } catch (err) {
+        await pool.execute(
+            `UPDATE edsa_customer_packages
+                SET status = 'active', sessions_refunded = sessions_refunded - ?, refund_amount = NULL,
+                    refund_method = NULL, refunded_at = NULL, refunded_by_admin_id = NULL
+              WHERE id = ?`,
+            [unused, row.id]
+        );
+        throw err;
+    }
+    logger.info(`[edsa-packages] ${description} (package ${row.id}, $${refund.toFixed(2)} by ${method})`);
+    return formatCustomerPackage(await loadCustomerPackage(pool, row.id));
+}
+
+/** Changes or clears (null) the last date a package can be used. */
+async function setPackageExpiry(pool, customerPackageId, expiresOn) {
+    let ymd = null;
+    if (expiresOn != null && expiresOn !== '') {
+        ymd = normalizeDateYmd(expiresOn);
+        if (!ymd) throw packageError('Enter a valid expiry date');
+    }
+    const [result] = await pool.execute('UPDATE edsa_customer_packages SET expires_on = ? WHERE id = ?', [
+        ymd,
+        Number(customerPackageId)
+    ]);
+    if (!result.affectedRows) throw packageError('Package not found', 404, 'NOT_FOUND');
+    return formatCustomerPackage(await loadCustomerPackage(pool, customerPackageId));
+}
+
+/**
+ * Closes the packages bought on an order that is being cancelled or refunded as a whole; the money
+ * goes back with the order, so the unused sessions are written off here.
+ */
+async function cancelPackagesForOrder(db, orderId) {
+    try {
+        const [result] = await db.execute(
+            `UPDATE edsa_customer_packages
+                SET status = 'cancelled', sessions_refunded = sessions_total - sessions_used
+              WHERE order_id = ? AND status = 'active'`,
+            [Number(orderId)]
+        );
+        return result.affectedRows || 0;
+    } catch (err) {
+        if (err.code === 'ER_NO_SUCH_TABLE') return 0;
+        throw err;
+    }
+}
+
+module.exports = {
+    REFUND_METHODS,
+    validatePackageInput,
+    listPackages,
+    savePackage,
+    deletePackage,
+    fulfillEdsaPackagesForOrder,
+    sessionsRemaining,
+    packageStatus,
+    listCustomerPackages,
+    usablePackages,
+    reserveSession,
+    reclaimSession,
+    packageCoversDate,
+    releaseSession,
+    sessionForfeitedOnCancel,
+    proratedRefund,
+    refundUnusedSessions,
+    setPackageExpiry,
+    cancelPackagesForOrder
+};
@@ -0,0 +1,56 @@
+'use strict';
+
+const logger = require('../utils/logger');
+const { loadAppointmentPolicy } = require('./edsaAppointmentPolicy');
+const { sendDueReminders } = require('./edsaReminders');
+
+const CHECK_INTERVAL_MINUTES = Math.max(1, Number(process.env.EDSA_REMINDER_CHECK_MINUTES || 10));
+
+function isEnabled() {
+    return process.env.EDSA_REMINDERS_ENABLED !== 'false';
+}
+
+/** True when at least `intervalMinutes` have passed since the last completed run. */
+function shouldRunReminderPass(now, lastRunAt, intervalMinutes = CHECK_INTERVAL_MINUTES) {
+    if (!lastRunAt) return true;
+    return now.getTime() - lastRunAt.getTime() >= intervalMinutes * 60 * 1000;
+}
+
+function startEdsaReminderScheduler(pool) {
+    if (!isEnabled()) {
+        logger.info('[edsa-reminders] Reminder scheduler disabled (EDSA_REMINDERS_ENABLED=false)');
+        return () => {};
+    }
+
+    let running = false;
+    let lastRunAt = null;
+
+    const tick = async (source = 'interval') => {
+        const now = new Date();
+        if (running || !shouldRunReminderPass(now, lastRunAt)) return;
+
+        running = true;
+        try {
+            const policy = await loadAppointmentPolicy(pool);
+            const result = await sendDueReminders(pool, policy, now);
+            lastRunAt = now;
+            if (result.sent || result.texted) {
+                logger.info('[edsa-reminders] Reminder pass completed', { source, ...result });
+            }
+        } catch (error) {
+            logger.error('[edsa-reminders] Reminder pass failed', { message: error.message, source });
+        } finally {
+            running = false;
+        }
+    };
+
+    logger.info(`[edsa-reminders] Scheduler enabled (every ${CHECK_INTERVAL_MINUTES} min)`);
+    const intervalId = setInterval(() => tick('interval'), 60 * 1000);
+    setTimeout(() => tick('startup'), 45 * 1000);
+    return () => clearInterval(intervalId);
+}
+
+module.exports = {
+    startEdsaReminderScheduler,
+    shouldRunReminderPass
+};
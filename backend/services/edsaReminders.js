@@ -0,0 +1,174 @@
+'use strict';
+
+/**
+ * EDSA appointment reminders. Each pass looks at confirmed bookings inside the largest reminder
+ * offset and sends the reminder whose window has opened: an email with one-click confirm / cancel
+ * links, plus a text when SMS reminders are on and the booking has a US mobile number.
+ *
+ * edsa_booking_reminders logs one row per booking, appointment time, offset and channel, so a pass
+ * never repeats itself and a rescheduled appointment gets a fresh sequence. Offsets whose window had
+ * already opened when the appointment was booked are skipped — the confirmation email covers those.
+ */
+
+const logger = require('../utils/logger');
+const { sendSms, isSmsConfigured } = require('../utils/smsTransport');
+const { phoneSearchDigits } = require('../utils/usPhoneDisplay');
+const { normalizeDateYmd, getStoreTodayYmd } = require('../utils/storeTimezone');
+const { urls, serviceLabel, sendAppointmentReminderEmail } = require('./edsaAppointmentEmail');
+const { appointmentStartMs } = require('./edsaAppointmentPolicy');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DUE_BATCH_LIMIT = 200;
+
+/**
+ * The reminder offset (hours) to send now, or null.
+ * Only the nearest open window counts — a booking that is already past several windows (downtime,
+ * a reschedule) gets one reminder, not a burst.
+ * @param {number[]} offsets reminder hours
+ * @param {number} hoursUntil hours from now to the appointment
+ * @param {number} hoursBookedAhead hours between booking (or rescheduling) and the appointment
+ * @param {Set<number>} sent offsets already logged for this appointment time
+ */
+function dueReminderHours(offsets, hoursUntil, hoursBookedAhead, sent = new Set()) {
+    if (!(hoursUntil > 0)) return null;
+    const open = offsets.filter((h) => hoursUntil <= h && hoursBookedAhead >= h);
+    if (!open.length) return null;
+    const nearest = Math.min(...open);
+    return sent.has(nearest) ? null : nearest;
+}
+
+/** US number in E.164 (+15555550100), or null. */
+function smsNumber(phone) {
+    const digits = phoneSearchDigits(phone);
+    return /^\d{10}$/.test(digits) ? `+1${digits}` : null;
+}
+
+function formatShortWhen(dateYmd, timeHm) {
+    const [y, m, d] = dateYmd.split('-').map(Number);
+    const [h, min] = timeHm.split(':').map(Number);
+    const day = new Date(Date.UTC(y, m - 1, d, 12)).toLocaleDateString('en-US', {
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric',
+        timeZone: 'UTC'
+    });
+    const hour12 = h % 12 || 12;
+    return `${day} at ${hour12}:${String(min).padStart(2, '0')} ${h < 12 ? 'AM' : 'PM'}`;
+}
+
+function buildReminderSms(booking) {
+    const links = urls(booking.bookingId, booking.email);
+    const what = serviceLabel(booking) || 'EDSA appointment';
+    return [
+        `H&M Herbs: reminder of your ${what} ${formatShortWhen(booking.preferredDate, booking.preferredTime)}.`,
+        `Confirm: ${links.confirmAttendance}`,
+        `Cancel: ${links.cancel}`
+    ].join('\n');
+}
+
+async function recordReminder(pool, bookingId, appointmentAt, offsetHours, channel, status, errorMessage = null) {
+    await pool.execute(
+        `INSERT IGNORE INTO edsa_booking_reminders (booking_id, appointment_at, offset_hours, channel, status, error_message)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [bookingId, appointmentAt, offsetHours, channel, status, errorMessage ? String(errorMessage).slice(0, 255) : null]
+    );
+}
+
+async function loadUpcomingBookings(pool, maxOffsetHours) {
+    const today = getStoreTodayYmd();
+    const [rows] = await pool.execute(
+        `SELECT b.id, b.first_name, b.last_name, b.email, b.phone, b.preferred_date, b.preferred_time,
+                b.service_name, b.created_at, b.updated_at, b.customer_confirmed_at,
+                p.name AS practitioner_name
+           FROM edsa_bookings b
+           LEFT JOIN edsa_practitioners p ON p.id = b.practitioner_id
+          WHERE b.status = 'confirmed'
+            AND b.attendance IS NULL
+            AND b.preferred_date BETWEEN ? AND DATE_ADD(?, INTERVAL ? DAY)
+          ORDER BY b.preferred_date, b.preferred_time
+          LIMIT ${DUE_BATCH_LIMIT}`,
+        [today, today, Math.ceil(maxOffsetHours / 24) + 1]
+    );
+    if (!rows.length) return [];
+
+    const [logged] = await pool.query(
+        `SELECT booking_id, DATE_FORMAT(appointment_at, '%Y-%m-%d %H:%i') AS appointment_key, offset_hours
+           FROM edsa_booking_reminders
+          WHERE booking_id IN (?) AND channel = 'email'`,
+        [rows.map((r) => r.id)]
+    );
+    return rows.map((row) => ({
+        row,
+        logged: logged.filter((l) => Number(l.booking_id) === Number(row.id))
+    }));
+}
+
+/**
+ * One reminder pass.
+ * @param {import('mysql2/promise').Pool} pool
+ * @param {{ reminderHours: number[], smsReminders: boolean, lateCancelFee: number, lateCancelHours: number }} policy
+ * @returns {Promise<{ checked: number, sent: number, texted: number, failed: number }>}
+ */
+async function sendDueReminders(pool, policy, now = new Date()) {
+    const result = { checked: 0, sent: 0, texted: 0, failed: 0 };
+    if (!policy.reminderHours.length) return result;
+    const nowMs = now.getTime();
+    const textReminders = policy.smsReminders && isSmsConfigured();
+
+    const upcoming = await loadUpcomingBookings(pool, Math.max(...policy.reminderHours));
+    for (const { row, logged } of upcoming) {
+        result.checked += 1;
+        const startMs = appointmentStartMs(row);
+        if (startMs == null) continue;
+        const dateYmd = normalizeDateYmd(row.preferred_date);
+        const timeHm = String(row.preferred_time).slice(0, 5);
+        const appointmentKey = `${dateYmd} ${timeHm}`;
+        const sent = new Set(logged.filter((l) => l.appointment_key === appointmentKey).map((l) => Number(l.offset_hours)));
+        // A reschedule bumps updated_at, so the new time's windows count from then.
+        const bookedAt = new Date(row.updated_at || row.created_at).getTime();
+        const offset = dueReminderHours(
+            policy.reminderHours,
+            (startMs - nowMs) / HOUR_MS,
+            (startMs - bookedAt) / HOUR_MS,
+            sent
+        );
+        if (offset == null) continue;
+
+        const booking = {
+            bookingId: row.id,
+            firstName: row.first_name,
+            lastName: row.last_name,
+            email: row.email,
+            phone: row.phone,
+            preferredDate: dateYmd,
+            preferredTime: timeHm,
+            serviceName: row.service_name || null,
+            practitionerName: row.practitioner_name || null
+        };
+        const appointmentAt = `${appointmentKey}:00`;
+
+        const emailed = await sendAppointmentReminderEmail(booking, policy);
+        await recordReminder(pool, row.id, appointmentAt, offset, 'email', emailed ? 'sent' : 'failed', emailed ? null : 'Email not sent');
+        if (emailed) result.sent += 1;
+        else result.failed += 1;
+
+        const to = textReminders ? smsNumber(row.phone) : null;
+        if (!to) continue;
+        try {
+            const sms = await sendSms({ to, body: buildReminderSms(booking), logTag: `EDSA reminder SMS #${row.id}` });
+            await recordReminder(pool, row.id, appointmentAt, offset, 'sms', sms.sent ? 'sent' : 'skipped', sms.reason || null);
+            if (sms.sent) result.texted += 1;
+        } catch (err) {
+            await recordReminder(pool, row.id, appointmentAt, offset, 'sms', 'failed', err.message);
+            result.failed += 1;
+        }
+    }
+    if (result.failed) logger.warn('[edsa-reminders] Some reminders were not delivered', result);
+    return result;
+}
+
+module.exports = {
+    dueReminderHours,
+    buildReminderSms,
+    sendDueReminders
+};
@@ -0,0 +1,590 @@
+'use strict';
+
+/**
+ * EDSA appointment catalog: bookable services (duration, buffer, price, deposit), the practitioners
+ * who perform them (weekly working hours, optionally their own Google calendar) and start-time
+ * generation for one service on one day.
+ *
+ * While no service is active the booking routes keep the original single-service behaviour
+ * (edsa_service_price, hourly slots from the store calendar).
+ */
+
+const logger = require('../utils/logger');
+const googleCalendar = require('./google-calendar');
+const { normalizeDateYmd, normalizeTimeHm } = require('../utils/storeTimezone');
+const { withTimeout } = require('../utils/withTimeout');
+
+/** Start times are offered every half hour inside a practitioner's working window. */
+const SLOT_STEP_MINUTES = 30;
+/** Length assumed for bookings made before services existed. */
+const DEFAULT_BOOKING_MINUTES = 60;
+const MAX_DURATION_MINUTES = 8 * 60;
+const MAX_BUFFER_MINUTES = 4 * 60;
+
+function catalogError(message, status = 400, code = 'INVALID_SERVICE') {
+    return Object.assign(new Error(message), { status, code });
+}
+
+function minutesFromHm(value) {
+    const hm = normalizeTimeHm(value);
+    if (!hm) return null;
+    const [h, m] = hm.split(':').map(Number);
+    return h * 60 + m;
+}
+
+function hmFromMinutes(total) {
+    return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/** 0 = Sunday … 6 = Saturday for a YYYY-MM-DD calendar date. */
+function weekdayOf(dateYmd) {
+    const ymd = normalizeDateYmd(dateYmd);
+    return ymd ? new Date(`${ymd}T12:00:00Z`).getUTCDay() : null;
+}
+
+function money(value) {
+    const n = Number(value);
+    return Number.isFinite(n) ? Math.round(n * 100) / 100 : 0;
+}
+
+/** What the customer pays when booking: the deposit when one is set below the price, else the full price. */
+function amountDueAtBooking(service) {
+    const price = money(service.price);
+    const deposit = service.depositAmount != null ? money(service.depositAmount) : null;
+    return deposit != null && deposit > 0 && deposit < price ? deposit : price;
+}
+
+/**
+ * Start times for one service on one day, merged across practitioners. A start works for a
+ * practitioner when the appointment fits inside one of their working windows and the appointment
+ * plus the service buffer clears every busy interval (existing bookings carry their own buffer).
+ * @returns {{ time: string, available: boolean, practitionerIds: number[] }[]}
+ */
+function generateServiceSlots({
+    weekday,
+    durationMinutes,
+    bufferMinutes = 0,
+    practitioners,
+    busyByPractitioner = new Map(),
+    sharedBusy = [],
+    stepMinutes = SLOT_STEP_MINUTES
+}) {
+    const byStart = new Map();
+    for (const practitioner of practitioners) {
+        const busy = [...sharedBusy, ...(busyByPractitioner.get(practitioner.id) || [])];
+        for (const window of practitioner.hours.filter((h) => h.weekday === weekday)) {
+            const open = minutesFromHm(window.start);
+            const close = minutesFromHm(window.end);
+            if (open == null || close == null) continue;
+            for (let start = open; start + durationMinutes <= close; start += stepMinutes) {
+                const held = { start, end: start + durationMinutes + bufferMinutes };
+                const slot = byStart.get(start) || { time: hmFromMinutes(start), available: false, practitionerIds: [] };
+                const free = !busy.some((b) => held.start < b.end && b.start < held.end);
+                if (free && !slot.practitionerIds.includes(practitioner.id)) {
+                    slot.practitionerIds.push(practitioner.id);
+                    slot.available = true;
+                }
+                byStart.set(start, slot);
+            }
+        }
+    }
+    return [...byStart.keys()].sort((a, b) => a - b).map((start) => byStart.get(start));
+}
+
+function formatServiceRow(row, practitionerIds = []) {
+    return {
+        id: row.id,
+        name: row.name,
+        description: row.description || null,
+        durationMinutes: Number(row.duration_minutes),
+        bufferMinutes: Number(row.buffer_minutes) || 0,
+        price: money(row.price),
+        depositAmount: row.deposit_amount != null ? money(row.deposit_amount) : null,
+        isActive: Boolean(row.is_active),
+        sortOrder: Number(row.sort_order) || 0,
+        practitionerIds
+    };
+}
+
+function formatPractitionerRow(row, hours = [], serviceIds = []) {
+    return {
+        id: row.id,
+        name: row.name,
+        email: row.email || null,
+        calendarId: row.calendar_id || null,
+        isActive: Boolean(row.is_active),
+        sortOrder: Number(row.sort_order) || 0,
+        hours,
+        serviceIds
+    };
+}
+
+/** True once at least one service is active; false before the catalog tables exist. */
+async function hasServiceCatalog(pool) {
+    try {
+        const [rows] = await pool.execute('SELECT COUNT(*) AS c FROM edsa_services WHERE is_active = 1');
+        return Number(rows[0].c) > 0;
+    } catch (err) {
+        if (err.code === 'ER_NO_SUCH_TABLE') return false;
+        throw err;
+    }
+}
+
+async function loadEligibility(pool) {
+    const [rows] = await pool.execute('SELECT service_id, practitioner_id FROM edsa_service_practitioners');
+    return rows;
+}
+
+async function listServices(pool, { includeInactive = false } = {}) {
+    const [rows] = await pool.execute(
+        `SELECT id, name, description, duration_minutes, buffer_minutes, price, deposit_amount, is_active, sort_order
+           FROM edsa_services
+          ${includeInactive ? '' : 'WHERE is_active = 1'}
+          ORDER BY sort_order, name`
+    );
+    const links = await loadEligibility(pool);
+    return rows.map((row) =>
+        formatServiceRow(
+            row,
+            links.filter((l) => l.service_id === row.id).map((l) => l.practitioner_id)
+        )
+    );
+}
+
+async function listPractitioners(pool, { includeInactive = false } = {}) {
+    const [rows] = await pool.execute(
+        `SELECT id, name, email, calendar_id, is_active, sort_order
+           FROM edsa_practitioners
+          ${includeInactive ? '' : 'WHERE is_active = 1'}
+          ORDER BY sort_order, name`
+    );
+    const [hourRows] = await pool.execute(
+        `SELECT practitioner_id, weekday, start_time, end_time
+           FROM edsa_practitioner_hours
+          ORDER BY weekday, start_time`
+    );
+    const links = await loadEligibility(pool);
+    return rows.map((row) =>
+        formatPractitionerRow(
+            row,
+            hourRows
+                .filter((h) => h.practitioner_id === row.id)
+                .map((h) => ({
+                    weekday: Number(h.weekday),
+                    start: normalizeTimeHm(h.start_time),
+                    end: normalizeTimeHm(h.end_time)
+                })),
+            links.filter((l) => l.practitioner_id === row.id).map((l) => l.service_id)
+        )
+    );
+}
+
+/** An active service with its active, eligible practitioners (hours included). */
+async function loadBookableService(pool, serviceId) {
+    const id = Number(serviceId);
+    const services = Number.isInteger(id) && id > 0 ? await listServices(pool) : [];
+    const service = services.find((s) => s.id === id);
+    if (!service) throw catalogError('That service is not available for booking.', 404, 'SERVICE_NOT_FOUND');
+    const practitioners = (await listPractitioners(pool)).filter((p) => service.practitionerIds.includes(p.id));
+    return { ...service, practitioners };
+}
+
+/** The catalog as the booking modal shows it: active services with the practitioners who offer them. */
+async function listBookableServices(pool) {
+    const [services, practitioners] = await Promise.all([listServices(pool), listPractitioners(pool)]);
+    return services
+        .map((service) => ({
+            id: service.id,
+            name: service.name,
+            description: service.description,
+            durationMinutes: service.durationMinutes,
+            price: service.price,
+            depositAmount: service.depositAmount,
+            amountDueAtBooking: amountDueAtBooking(service),
+            practitioners: practitioners
+                .filter((p) => service.practitionerIds.includes(p.id))
+                .map((p) => ({ id: p.id, name: p.name }))
+        }))
+        .filter((service) => service.practitioners.length > 0);
+}
+
+/**
+ * Confirmed bookings and live waitlist holds on a day as busy intervals; those without a
+ * practitioner block everyone. `excludeOfferId` leaves out the hold being claimed.
+ */
+async function loadBookingBusy(pool, dateYmd, excludeBookingId = null, excludeOfferId = null) {
+    const [rows] = await pool.execute(
+        `SELECT practitioner_id, preferred_time, duration_minutes, buffer_minutes
+           FROM edsa_bookings
+          WHERE preferred_date = ? AND status = 'confirmed' AND id <> ?
+         UNION ALL
+         SELECT practitioner_id, slot_time, duration_minutes, buffer_minutes
+           FROM edsa_waitlist_offers
+          WHERE slot_date = ? AND status = 'pending' AND expires_at > NOW() AND id <> ?`,
+        [dateYmd, Number(excludeBookingId) || 0, dateYmd, Number(excludeOfferId) || 0]
+    );
+    const byPractitioner = new Map();
+    const shared = [];
+    for (const row of rows) {
+        const start = minutesFromHm(row.preferred_time);
+        if (start == null) continue;
+        const interval = {
+            start,
+            end: start + (Number(row.duration_minutes) || DEFAULT_BOOKING_MINUTES) + (Number(row.buffer_minutes) || 0)
+        };
+        if (row.practitioner_id == null) {
+            shared.push(interval);
+        } else {
+            if (!byPractitioner.has(row.practitioner_id)) byPractitioner.set(row.practitioner_id, []);
+            byPractitioner.get(row.practitioner_id).push(interval);
+        }
+    }
+    return { byPractitioner, shared };
+}
+
+/**
+ * True when a confirmed booking or live hold overlaps `timeHm` plus the duration and buffer on
+ * this practitioner's day (anyone's, when `practitionerId` is null).
+ */
+async function isTimeBooked(pool, { dateYmd, timeHm, practitionerId = null, durationMinutes = null, bufferMinutes = null }) {
+    const start = minutesFromHm(timeHm);
+    if (start == null) return false;
+    const end = start + (Number(durationMinutes) || DEFAULT_BOOKING_MINUTES) + (Number(bufferMinutes) || 0);
+    const { byPractitioner, shared } = await loadBookingBusy(pool, dateYmd);
+    const busy =
+        practitionerId == null
+            ? [...shared, ...[...byPractitioner.values()].flat()]
+            : [...shared, ...(byPractitioner.get(Number(practitionerId)) || [])];
+    return busy.some((b) => start < b.end && b.start < end);
+}
+
+/** Busy time on each practitioner's calendar (each calendar is read once). */
+async function loadCalendarBusy(pool, dateYmd, practitioners) {
+    const byPractitioner = new Map();
+    await googleCalendar.ensureInitialized(pool);
+    if (!googleCalendar.isAvailable()) return byPractitioner;
+
+    const byCalendar = new Map();
+    for (const practitioner of practitioners) {
+        const key = practitioner.calendarId || '';
+        if (!byCalendar.has(key)) {
+            try {
+                byCalendar.set(
+                    key,
+                    await withTimeout(
+                        googleCalendar.getBusyIntervals(dateYmd, pool, practitioner.calendarId),
+                        8000,
+                        'Google Calendar busy check'
+                    )
+                );
+            } catch (err) {
+                logger.warn('EDSA slot check: Google Calendar unavailable, using database only', {
+                    calendarId: key || 'store',
+                    error: err.message
+                });
+                byCalendar.set(key, []);
+            }
+        }
+        byPractitioner.set(practitioner.id, byCalendar.get(key));
+    }
+    return byPractitioner;
+}
+
+/**
+ * Start times for a service on a day, optionally for one practitioner. Blocked dates and times
+ * already past are left to the caller (the same filters as the single-service slots).
+ * @returns {Promise<{ service: object, slots: { time: string, available: boolean, practitionerIds: number[] }[] }>}
+ */
+async function getServiceSlots(pool, { dateYmd, serviceId, practitionerId = null, excludeBookingId = null, excludeOfferId = null }) {
+    const service = await loadBookableService(pool, serviceId);
+    let practitioners = service.practitioners;
+    if (practitionerId != null && practitionerId !== '') {
+        practitioners = practitioners.filter((p) => p.id === Number(practitionerId));
+        if (!practitioners.length) {
+            throw catalogError('That practitioner does not offer this service.', 400, 'PRACTITIONER_NOT_ELIGIBLE');
+        }
+    }
+
+    const weekday = weekdayOf(dateYmd);
+    const working = practitioners.filter((p) => p.hours.some((h) => h.weekday === weekday));
+    if (!working.length) return { service, slots: [] };
+
+    const [bookings, calendars] = await Promise.all([
+        loadBookingBusy(pool, dateYmd, excludeBookingId, excludeOfferId),
+        loadCalendarBusy(pool, dateYmd, working)
+    ]);
+    const busyByPractitioner = new Map(
+        working.map((p) => [p.id, [...(bookings.byPractitioner.get(p.id) || []), ...(calendars.get(p.id) || [])]])
+    );
+
+    return {
+        service,
+        slots: generateServiceSlots({
+            weekday,
+            durationMinutes: service.durationMinutes,
+            bufferMinutes: service.bufferMinutes,
+            practitioners: working,
+            busyByPractitioner,
+            sharedBusy: bookings.shared
+        })
+    };
+}
+
+/**
+ * The practitioner who would take a booking at this time: the one asked for, or the first free
+ * eligible practitioner. `practitioner` is null when nobody is free.
+ */
+async function findAvailablePractitioner(
+    pool,
+    { dateYmd, timeHm, serviceId, practitionerId = null, excludeBookingId = null, excludeOfferId = null }
+) {
+    const { service, slots } = await getServiceSlots(pool, { dateYmd, serviceId, practitionerId, excludeBookingId, excludeOfferId });
+    const slot = slots.find((s) => s.time === normalizeTimeHm(timeHm));
+    const chosenId = slot?.available ? slot.practitionerIds[0] : null;
+    return { service, practitioner: service.practitioners.find((p) => p.id === chosenId) || null };
+}
+
+/** Calendar event details for a booking: service name and length, practitioner and which calendar. */
+async function bookingCalendarDetails(pool, row) {
+    const details = {
+        serviceName: row.service_name || null,
+        durationMinutes: Number(row.duration_minutes) || null,
+        practitionerName: null,
+        calendarId: row.google_calendar_id || null
+    };
+    if (!row.practitioner_id) return details;
+    try {
+        const [rows] = await pool.execute('SELECT name, calendar_id FROM edsa_practitioners WHERE id = ? LIMIT 1', [
+            row.practitioner_id
+        ]);
+        if (rows[0]) {
+            details.practitionerName = rows[0].name;
+            // An existing event stays on the calendar it was created in.
+            if (!row.google_calendar_event_id) details.calendarId = rows[0].calendar_id || null;
+        }
+    } catch (err) {
+        logger.warn(`[edsa-services] practitioner lookup failed — ${logger.formatMysqlError(err)}`);
+    }
+    return details;
+}
+
+function parseIdList(value) {
+    return [...new Set((Array.isArray(value) ? value : []).map(Number))].filter((n) => Number.isInteger(n) && n > 0);
+}
+
+function parseWholeMinutes(value, { min, max, label }) {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < min || n > max) {
+        throw catalogError(`${label} must be a whole number of minutes between ${min} and ${max}`);
+    }
+    return n;
+}
+
+function validateServiceInput(input) {
+    const name = String(input.name || '').trim();
+    if (!name || name.length > 120) throw catalogError('Service name is required (120 characters max)');
+    const price = Number(input.price);
+    if (!Number.isFinite(price) || price < 0) throw catalogError('Price must be zero or more');
+    let deposit = null;
+    if (input.depositAmount != null && input.depositAmount !== '') {
+        deposit = Number(input.depositAmount);
+        if (!Number.isFinite(deposit) || deposit < 0 || deposit > price) {
+            throw catalogError('Deposit must be between zero and the service price');
+        }
+    }
+    return {
+        name,
+        description: String(input.description || '').trim().slice(0, 2000) || null,
+        durationMinutes: parseWholeMinutes(input.durationMinutes, { min: 5, max: MAX_DURATION_MINUTES, label: 'Duration' }),
+        bufferMinutes: parseWholeMinutes(input.bufferMinutes ?? 0, { min: 0, max: MAX_BUFFER_MINUTES, label: 'Buffer time' }),
+        price: money(price),
+        depositAmount: deposit != null ? money(deposit) : null,
+        isActive: input.isActive !== false,
+        sortOrder: Number.isInteger(Number(input.sortOrder)) ? Number(input.sortOrder) : 0,
+        practitionerIds: parseIdList(input.practitionerIds)
+    };
+}
+
+function validatePractitionerInput(input) {
+    const name = String(input.name || '').trim();
+    if (!name || name.length > 120) throw catalogError('Practitioner name is required (120 characters max)', 400, 'INVALID_PRACTITIONER');
+    const email = String(input.email || '').trim().toLowerCase();
+    if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        throw catalogError('Practitioner email is not valid', 400, 'INVALID_PRACTITIONER');
+    }
+    const hours = (Array.isArray(input.hours) ? input.hours : []).map((h) => {
+        const weekday = Number(h.weekday);
+        const start = normalizeTimeHm(h.start);
+        const end = normalizeTimeHm(h.end);
+        if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6 || !start || !end || start >= end) {
+            throw catalogError('Each working-hours row needs a weekday and a start time before its end time', 400, 'INVALID_PRACTITIONER');
+        }
+        return { weekday, start, end };
+    });
+    return {
+        name,
+        email: email || null,
+        calendarId: String(input.calendarId || '').trim().slice(0, 255) || null,
+        isActive: input.isActive !== false,
+        sortOrder: Number.isInteger(Number(input.sortOrder)) ? Number(input.sortOrder) : 0,
+        hours,
+        serviceIds: parseIdList(input.serviceIds)
+    };
+}
+
+async function withTransaction(pool, work) {
+    const conn = await pool.getConnection();
+    try {
+        await conn.beginTransaction();
+        const result = await work(conn);
+        await conn.commit();
+        return result;
+    } catch (err) {
+        await conn.rollback();
+        throw err;
+    } finally {
+        conn.release();
+    }
+}
+
+async function assertExists(conn, table, id, message) {
+    const [rows] = await conn.execute(`SELECT id FROM ${table} WHERE id = ? LIMIT 1`, [id]);
+    if (!rows.length) throw catalogError(message, 404, 'NOT_FOUND');
+}
+
+/** Creates (id null) or updates a service and replaces its eligible practitioners. */
+async function saveService(pool, serviceId, input) {
+    const data = validateServiceInput(input || {});
+    const id = await withTransaction(pool, async (conn) => {
+        const values = [
+            data.name,
+            data.description,
+            data.durationMinutes,
+            data.bufferMinutes,
+            data.price,
+            data.depositAmount,
+            data.isActive ? 1 : 0,
+            data.sortOrder
+        ];
+        let savedId = Number(serviceId) || null;
+        if (savedId) {
+            await assertExists(conn, 'edsa_services', savedId, 'Service not found');
+            await conn.execute(
+                `UPDATE edsa_services
+                    SET name = ?, description = ?, duration_minutes = ?, buffer_minutes = ?,
+                        price = ?, deposit_amount = ?, is_active = ?, sort_order = ?
+                  WHERE id = ?`,
+                [...values, savedId]
+            );
+        } else {
+            const [result] = await conn.execute(
+                `INSERT INTO edsa_services
+                    (name, description, duration_minutes, buffer_minutes, price, deposit_amount, is_active, sort_order)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                values
+            );
+            savedId = result.insertId;
+        }
+        await conn.execute('DELETE FROM edsa_service_practitioners WHERE service_id = ?', [savedId]);
+        if (data.practitionerIds.length) {
+            await conn.execute(
+                `INSERT INTO edsa_service_practitioners (service_id, practitioner_id)
+                 SELECT ?, id FROM edsa_practitioners WHERE id IN (${data.practitionerIds.map(() => '?').join(', ')})`,
+                [savedId, ...data.practitionerIds]
+            );
+        }
+        return savedId;
+    });
+    return (await listServices(pool, { includeInactive: true })).find((s) => s.id === id);
+}
+
+/** Creates (id null) or updates a practitioner, replacing their working hours and services. */
+async function savePractitioner(pool, practitionerId, input) {
+    const data = validatePractitionerInput(input || {});
+    const id = await withTransaction(pool, async (conn) => {
+        const values = [data.name, data.email, data.calendarId, data.isActive ? 1 : 0, data.sortOrder];
+        let savedId = Number(practitionerId) || null;
+        if (savedId) {
+            await assertExists(conn, 'edsa_practitioners', savedId, 'Practitioner not found');
+            await conn.execute(
+                `UPDATE edsa_practitioners
+                    SET name = ?, email = ?, calendar_id = ?, is_active = ?, sort_order = ?
+                  WHERE id = ?`,
+                [...values, savedId]
+            );
+        } else {
+            const [result] = await conn.execute(
+                `INSERT INTO edsa_practitioners (name, email, calendar_id, is_active, sort_order)
+                 VALUES (?, ?, ?, ?, ?)`,
+                values
+            );
+            savedId = result.insertId;
+        }
+        await conn.execute('DELETE FROM edsa_practitioner_hours WHERE practitioner_id = ?', [savedId]);
+        for (const h of data.hours) {
+            await conn.execute(
+                `INSERT INTO edsa_practitioner_hours (practitioner_id, weekday, start_time, end_time)
+                 VALUES (?, ?, ?, ?)`,
+                [savedId, h.weekday, h.start, h.end]
+            );
+        }
+        await conn.execute('DELETE FROM edsa_service_practitioners WHERE practitioner_id = ?', [savedId]);
+        if (data.serviceIds.length) {
+            await conn.execute(
+                `INSERT INTO edsa_service_practitioners (service_id, practitioner_id)
+                 SELECT id, ? FROM edsa_services WHERE id IN (${data.serviceIds.map(() => '?').join(', ')})`,
+                [savedId, ...data.serviceIds]
+            );
+        }
+        return savedId;
+    });
+    return (await listPractitioners(pool, { includeInactive: true })).find((p) => p.id === id);
+}
+
+/**
+ * Deletes a catalog row, or only deactivates it when bookings reference it so their history keeps
+ * its service and practitioner.
+ */
+async function removeCatalogEntry(pool, table, bookingColumn, id, notFoundMessage) {
+    const entryId = Number(id);
+    const [rows] = await pool.execute(`SELECT id FROM ${table} WHERE id = ? LIMIT 1`, [entryId || 0]);
+    if (!rows.length) throw catalogError(notFoundMessage, 404, 'NOT_FOUND');
+    const [used] = await pool.execute(`SELECT COUNT(*) AS c FROM edsa_bookings WHERE ${bookingColumn} = ?`, [entryId]);
+    if (Number(used[0].c) > 0) {
+        await pool.execute(`UPDATE ${table} SET is_active = 0 WHERE id = ?`, [entryId]);
+        return { id: entryId, deleted: false, deactivated: true };
+    }
+    await pool.execute(`DELETE FROM ${table} WHERE id = ?`, [entryId]);
+    return { id: entryId, deleted: true, deactivated: false };
+}
+
+function deleteService(pool, serviceId) {
+    return removeCatalogEntry(pool, 'edsa_services', 'service_id', serviceId, 'Service not found');
+}
+
+function deletePractitioner(pool, practitionerId) {
+    return removeCatalogEntry(pool, 'edsa_practitioners', 'practitioner_id', practitionerId, 'Practitioner not found');
+}
+
+module.exports = {
+    SLOT_STEP_MINUTES,
+    DEFAULT_BOOKING_MINUTES,
+    amountDueAtBooking,
+    generateServiceSlots,
+    weekdayOf,
+    hasServiceCatalog,
+    listServices,
+    listPractitioners,
+    listBookableServices,
+    loadBookableService,
+    getServiceSlots,
+    isTimeBooked,
+    findAvailablePractitioner,
+    bookingCalendarDetails,
+    validateServiceInput,
+    validatePractitionerInput,
+    saveService,
+    savePractitioner,
+    deleteService,
+    deletePractitioner
+};
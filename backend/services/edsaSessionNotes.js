@@ -0,0 +1,301 @@
+'use strict';
+
+/**
+ * Practitioner notes for an EDSA appointment: free-text findings plus the products recommended
+ * during the session. The recommendations can be parked as a ticket for the register to recall
+ * (posParkedSales) or sent to the customer as a signed checkout link that fills their web cart.
+ */
+
+const jwt = require('jsonwebtoken');
+const { getStorefrontPublicBaseUrl } = require('../utils/storefrontUrl');
+const { storefrontPrimaryImageFromFields } = require('../utils/catalogOverrides');
+const { STOREFRONT_VISIBLE_WHERE } = require('../utils/storefrontProductVisibility');
+const { parkSale, getParkedSale } = require('./posParkedSales');
+const { parseJsonColumn } = require('./edsaIntake');
+const { sendRecommendationsEmail } = require('./edsaAppointmentEmail');
+
+const MAX_RECOMMENDATIONS = 30;
+const CART_LINK_PURPOSE = 'edsa_recommendations';
+const CART_LINK_DAYS = 30;
+
+function notesError(message, status = 400, code = 'INVALID_SESSION_NOTES') {
+    return Object.assign(new Error(message), { status, code });
+}
+
+function requireJwtSecret() {
+    const secret = process.env.JWT_SECRET;
+    if (!secret) {
+        const err = new Error('Server configuration error');
+        err.code = 'SERVER_CONFIG';
+        throw err;
+    }
+    return secret;
+}
+
+function roundMoney(n) {
+    return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+/** [{ productId, quantity, instructions }] with one line per product. */
+function normalizeRecommendations(raw) {
+    const list = Array.isArray(raw) ? raw : [];
+    if (list.length > MAX_RECOMMENDATIONS) {
+        throw notesError(`Recommend at most ${MAX_RECOMMENDATIONS} products`);
+    }
+    const byProduct = new Map();
+    for (const item of list) {
+        const productId = Number(item?.productId ?? item?.product_id);
+        if (!Number.isInteger(productId) || productId < 1) throw notesError('Each recommendation needs a product');
+        const quantity = Number(item.quantity ?? 1);
+        if (!Number.isInteger(quantity) || quantity < 1 || quantity > 99) {
+            throw notesError('Recommended quantities must be between 1 and 99');
+        }
+        byProduct.set(productId, {
+            productId,
+            quantity,
+            instructions: String(item.instructions || '').trim().slice(0, 300) || null
+        });
+    }
+    return [...byProduct.values()];
+}
+
+async function loadProducts(pool, productIds) {
+    if (!productIds.length) return new Map();
+    const [rows] = await pool.query(
+        `SELECT p.id, p.name, p.slug, p.sku, p.price, p.is_active,
+                (p.is_active = 1 AND ${STOREFRONT_VISIBLE_WHERE}) AS on_web,
+                pi.image_url
+           FROM products p
+           LEFT JOIN product_images pi ON p.id = pi.product_id AND pi.is_primary = 1
+          WHERE p.id IN (?)`,
+        [productIds]
+    );
+    return new Map(rows.map((r) => [Number(r.id), r]));
+}
+
+async function loadBooking(pool, bookingId) {
+    const [rows] = await pool.execute(
+        `SELECT b.id, b.user_id, b.first_name, b.last_name, b.email, b.preferred_date, b.preferred_time,
+                b.practitioner_id, b.service_name, p.name AS practitioner_name
+           FROM edsa_bookings b
+           LEFT JOIN edsa_practitioners p ON p.id = b.practitioner_id
+          WHERE b.id = ? LIMIT 1`,
+        [Number(bookingId)]
+    );
+    if (!rows.length) throw notesError('Booking not found', 404, 'NOT_FOUND');
+    return rows[0];
+}
+
+async function loadNoteRow(pool, bookingId) {
+    const [rows] = await pool.execute(
+        `SELECT n.*, au.first_name AS admin_first_name, au.last_name AS admin_last_name
+           FROM edsa_session_notes n
+           LEFT JOIN admin_users au ON au.id = COALESCE(n.updated_by_admin_id, n.created_by_admin_id)
+          WHERE n.booking_id = ? LIMIT 1`,
+        [Number(bookingId)]
+    );
+    return rows[0] || null;
+}
+
+function formatNote(row, products) {
+    const recommendations = parseJsonColumn(row.recommendations_json, []).map((rec) => {
+        const product = products.get(Number(rec.productId));
+        return {
+            ...rec,
+            name: product?.name || `Product #${rec.productId}`,
+            sku: product?.sku || null,
+            price: product ? roundMoney(product.price) : null,
+            available: Boolean(product && Number(product.is_active))
+        };
+    });
+    return {
+        bookingId: Number(row.booking_id),
+        notes: row.notes || '',
+        recommendations,
+        posParkedSaleId: row.pos_parked_sale_id || null,
+        cartLinkSentAt: row.cart_link_sent_at || null,
+        updatedAt: row.updated_at || row.created_at,
+        updatedBy: `${row.admin_first_name || ''} ${row.admin_last_name || ''}`.trim() || null
+    };
+}
+
+/** The note for a booking, or null when the practitioner has not written one. */
+async function getSessionNote(pool, bookingId) {
+    const row = await loadNoteRow(pool, bookingId);
+    if (!row) return null;
+    const recs = parseJsonColumn(row.recommendations_json, []);
+    return formatNote(row, await loadProducts(pool, recs.map((r) => Number(r.productId))));
+}
+
+/**
+ * Notes for several bookings (customer profile history).
+ * @returns {Promise<Map<number, object>>}
+ */
+async function sessionNotesByBooking(pool, bookingIds) {
+    if (!bookingIds.length) return new Map();
+    const [rows] = await pool.query(
+        `SELECT n.*, au.first_name AS admin_first_name, au.last_name AS admin_last_name
+           FROM edsa_session_notes n
+           LEFT JOIN admin_users au ON au.id = COALESCE(n.updated_by_admin_id, n.created_by_admin_id)
+          WHERE n.booking_id IN (?)`,
+        [bookingIds]
+    );
+    const productIds = rows.flatMap((row) => parseJsonColumn(row.recommendations_json, []).map((r) => Number(r.productId)));
+    const products = await loadProducts(pool, [...new Set(productIds)]);
+    return new Map(rows.map((row) => [Number(row.booking_id), formatNote(row, products)]));
+}
+
+/** Creates or replaces the practitioner's notes for a booking. */
+async function saveSessionNote(pool, bookingId, input, adminId = null) {
+    const booking = await loadBooking(pool, bookingId);
+    const notes = String(input?.notes || '').trim();
+    if (notes.length > 20000) throw notesError('Notes are limited to 20,000 characters');
+    const recommendations = normalizeRecommendations(input?.recommendations);
+    const products = await loadProducts(pool, recommendations.map((r) => r.productId));
+    const unknown = recommendations.find((r) => !products.has(r.productId));
+    if (unknown) throw notesError(`Product #${unknown.productId} was not found`, 400, 'PRODUCT_NOT_FOUND');
+
+    await pool.execute(
+        `INSERT INTO edsa_session_notes
+            (booking_id, user_id, practitioner_id, notes, recommendations_json, created_by_admin_id, updated_by_admin_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE notes = VALUES(notes), recommendations_json = VALUES(recommendations_json),
+                                 user_id = VALUES(user_id), practitioner_id = VALUES(practitioner_id),
+                                 updated_by_admin_id = VALUES(updated_by_admin_id)`,
+        [
+            booking.id,
+            booking.user_id || null,
+            booking.practitioner_id || null,
+            notes || null,
+            JSON.stringify(recommendations),
+            adminId,
+            adminId
+        ]
+    );
+    return getSessionNote(pool, booking.id);
+}
+
+async function requireRecommendations(pool, bookingId) {
+    const note = await getSessionNote(pool, bookingId);
+    const lines = (note?.recommendations || []).filter((r) => r.available);
+    if (!lines.length) {
+        throw notesError('Save at least one available recommended product first', 400, 'NO_RECOMMENDATIONS');
+    }
+    return { note, lines };
+}
+
+/**
+ * Parks the recommended products as a register ticket under the customer's name. A ticket that
+ * is still waiting is not duplicated.
+ */
+async function sendRecommendationsToPos(pool, bookingId) {
+    const booking = await loadBooking(pool, bookingId);
+    const { note, lines } = await requireRecommendations(pool, booking.id);
+    if (note.posParkedSaleId) {
+        const existing = await getParkedSale(pool, note.posParkedSaleId);
+        if (existing?.status === 'parked') {
+            throw notesError(`Already waiting at the register as ticket #${existing.id}`, 409, 'ALREADY_PARKED');
+        }
+    }
+    const customerName = `${booking.first_name || ''} ${booking.last_name || ''}`.trim();
+    const parkedSale = await parkSale(pool, {
+        cart: {
+            items: lines.map((r) => ({ productId: r.productId, quantity: r.quantity })),
+            customerId: booking.user_id || null,
+            customerName,
+            label: `EDSA #${booking.id} — ${customerName}`.slice(0, 120),
+            note: booking.practitioner_name ? `Recommended by ${booking.practitioner_name}` : 'EDSA recommendations'
+        },
+        employee: null
+    });
+    await pool.execute('UPDATE edsa_session_notes SET pos_parked_sale_id = ? WHERE booking_id = ?', [
+        parkedSale.id,
+        booking.id
+    ]);
+    return parkedSale;
+}
+
+function signCartToken(bookingId) {
+    return jwt.sign({ purpose: CART_LINK_PURPOSE, bookingId: Number(bookingId) }, requireJwtSecret(), {
+        expiresIn: `${CART_LINK_DAYS}d`
+    });
+}
+
+function verifyCartToken(token) {
+    let decoded;
+    try {
+        decoded = jwt.verify(String(token || ''), requireJwtSecret());
+    } catch (err) {
+        if (err.code === 'SERVER_CONFIG') throw err;
+        throw notesError('This cart link is invalid or has expired', 400, 'INVALID_CART_LINK');
+    }
+    if (decoded?.purpose !== CART_LINK_PURPOSE || !Number(decoded.bookingId)) {
+        throw notesError('This cart link is invalid or has expired', 400, 'INVALID_CART_LINK');
+    }
+    return Number(decoded.bookingId);
+}
+
+/**
+ * Checkout link that fills the customer's web cart with the recommendations; optionally emailed.
+ * @returns {Promise<{ url: string, emailed: boolean }>}
+ */
+async function createRecommendationCartLink(pool, bookingId, { email = false } = {}) {
+    const booking = await loadBooking(pool, bookingId);
+    const { lines } = await requireRecommendations(pool, booking.id);
+    const url = `${getStorefrontPublicBaseUrl()}/checkout.html?edsaCart=${encodeURIComponent(signCartToken(booking.id))}`;
+    let emailed = false;
+    if (email) {
+        emailed = await sendRecommendationsEmail(
+            {
+                bookingId: booking.id,
+                firstName: booking.first_name,
+                email: booking.email,
+                practitionerName: booking.practitioner_name || null
+            },
+            lines,
+            url
+        );
+        if (emailed) {
+            await pool.execute('UPDATE edsa_session_notes SET cart_link_sent_at = NOW() WHERE booking_id = ?', [booking.id]);
+        }
+    }
+    return { url, emailed };
+}
+
+/** Storefront cart lines for a recommendation link (products no longer sold online are left out). */
+async function loadRecommendationCart(pool, token) {
+    const bookingId = verifyCartToken(token);
+    const row = await loadNoteRow(pool, bookingId);
+    const recs = row ? parseJsonColumn(row.recommendations_json, []) : [];
+    const products = await loadProducts(pool, recs.map((r) => Number(r.productId)));
+    const items = recs
+        .map((rec) => ({ rec, product: products.get(Number(rec.productId)) }))
+        .filter(({ product }) => product && Number(product.on_web))
+        .map(({ rec, product }) => ({
+            id: product.id,
+            variant_id: null,
+            variant_name: null,
+            name: product.name,
+            slug: product.slug,
+            price: roundMoney(product.price),
+            image:
+                storefrontPrimaryImageFromFields({ slug: product.slug, sku: product.sku, primaryImageUrl: product.image_url }) ||
+                product.image_url ||
+                null,
+            quantity: rec.quantity
+        }));
+    if (!items.length) {
+        throw notesError('These recommended products are no longer available online', 404, 'CART_EMPTY');
+    }
+    return { items };
+}
+
+module.exports = {
+    normalizeRecommendations,
+    getSessionNote,
+    sessionNotesByBooking,
+    saveSessionNote,
+    sendRecommendationsToPos,
+    createRecommendationCartLink,
+    loadRecommendationCart
+};
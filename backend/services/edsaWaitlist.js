@@ -0,0 +1,466 @@
+'use strict';
+
+/**
+ * EDSA appointment waitlist. Customers wait for a date range and a time of day; when a confirmed
+ * booking is cancelled or moved, its old time is offered to the next matching customer (first
+ * joined, first offered) with a claim link. A pending offer holds the slot — availability treats
+ * it as booked for everyone else — until it is claimed, declined or expires, and then it moves
+ * down the list.
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const {
+    normalizeDateYmd,
+    normalizeTimeHm,
+    getStoreTodayYmd,
+    storeWallClockToUtcMs
+} = require('../utils/storeTimezone');
+const { sendWaitlistJoinedEmail, sendWaitlistOfferEmail } = require('./edsaAppointmentEmail');
+const { isTimeBooked } = require('./edsaServiceCatalog');
+
+const SETTING_HOLD_MINUTES = 'edsa_waitlist_hold_minutes';
+const DEFAULT_HOLD_MINUTES = 120;
+/** Offers need at least this long before the appointment to be worth sending. */
+const MIN_LEAD_MINUTES = 60;
+const MAX_RANGE_DAYS = 60;
+const TIMES_OF_DAY = ['any', 'morning', 'afternoon'];
+const ACTIVE_STATUSES = ['waiting', 'offered'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function waitlistError(message, status = 400, code = 'INVALID_WAITLIST') {
+    return Object.assign(new Error(message), { status, code });
+}
+
+function ymdToUtcMs(ymd) {
+    const [y, m, d] = ymd.split('-').map(Number);
+    return Date.UTC(y, m - 1, d);
+}
+
+function addDaysYmd(ymd, days) {
+    return new Date(ymdToUtcMs(ymd) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/** Morning is before noon; afternoon is noon onward. */
+function matchesTimeOfDay(timeOfDay, timeHm) {
+    if (!timeOfDay || timeOfDay === 'any') return true;
+    const afternoon = String(timeHm).slice(0, 5) >= '12:00';
+    return timeOfDay === 'afternoon' ? afternoon : !afternoon;
+}
+
+function optionalId(value) {
+    if (value == null || value === '') return null;
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Normalizes a join request. Contact fields are validated by the route (edsaWaitlistValidation).
+ * @returns {{ firstName, lastName, email, phone, serviceId, practitionerId, dateFrom, dateTo, timeOfDay }}
+ */
+function validateWaitlistInput(input, todayYmd = getStoreTodayYmd()) {
+    const dateFrom = normalizeDateYmd(input.dateFrom);
+    const dateTo = normalizeDateYmd(input.dateTo || input.dateFrom);
+    if (!dateFrom || !dateTo) throw waitlistError('Choose the dates you could come in');
+    if (dateFrom < todayYmd) throw waitlistError('The waitlist dates cannot be in the past');
+    if (dateTo < dateFrom) throw waitlistError('The last date must be on or after the first date');
+    if ((ymdToUtcMs(dateTo) - ymdToUtcMs(dateFrom)) / DAY_MS >= MAX_RANGE_DAYS) {
+        throw waitlistError(`Choose a range of at most ${MAX_RANGE_DAYS} days`);
+    }
+    const timeOfDay = String(input.timeOfDay || 'any');
+    if (!TIMES_OF_DAY.includes(timeOfDay)) throw waitlistError('Time of day must be any, morning or afternoon');
+    return {
+        firstName: String(input.firstName || '').trim(),
+        lastName: String(input.lastName || '').trim(),
+        email: String(input.email || '').trim(),
+        phone: input.phone ? String(input.phone).trim() : null,
+        serviceId: optionalId(input.serviceId),
+        practitionerId: optionalId(input.practitionerId),
+        dateFrom,
+        dateTo,
+        timeOfDay
+    };
+}
+
+async function loadNames(pool, serviceId, practitionerId) {
+    const names = { serviceName: null, practitionerName: null };
+    if (serviceId) {
+        const [rows] = await pool.execute('SELECT name FROM edsa_services WHERE id = ? LIMIT 1', [serviceId]);
+        names.serviceName = rows[0]?.name || null;
+    }
+    if (practitionerId) {
+        const [rows] = await pool.execute('SELECT name FROM edsa_practitioners WHERE id = ? LIMIT 1', [practitionerId]);
+        names.practitionerName = rows[0]?.name || null;
+    }
+    return names;
+}
+
+/** Adds a customer to the waitlist; one open entry per email and service. */
+async function joinWaitlist(pool, input, userId = null) {
+    const entry = validateWaitlistInput(input);
+    const [existing] = await pool.execute(
+        `SELECT id FROM edsa_waitlist
+          WHERE email = ? AND service_id <=> ? AND status IN ('waiting', 'offered')
+            AND date_to >= ? AND date_from <= ?
+          LIMIT 1`,
+        [entry.email, entry.serviceId, entry.dateFrom, entry.dateTo]
+    );
+    if (existing.length) {
+        throw waitlistError('You are already on the waitlist for those dates', 409, 'ALREADY_WAITLISTED');
+    }
+    const [result] = await pool.execute(
+        `INSERT INTO edsa_waitlist
+            (user_id, first_name, last_name, email, phone, service_id, practitioner_id, date_from, date_to, time_of_day)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            userId,
+            entry.firstName,
+            entry.lastName,
+            entry.email,
+            entry.phone,
+            entry.serviceId,
+            entry.practitionerId,
+            entry.dateFrom,
+            entry.dateTo,
+            entry.timeOfDay
+        ]
+    );
+    const names = await loadNames(pool, entry.serviceId, entry.practitionerId);
+    void sendWaitlistJoinedEmail({ ...entry, ...names });
+    return { id: Number(result.insertId), ...entry, ...names, status: 'waiting' };
+}
+
+async function loadHoldMinutes(pool) {
+    try {
+        const [rows] = await pool.execute('SELECT value FROM settings WHERE key_name = ? LIMIT 1', [SETTING_HOLD_MINUTES]);
+        const minutes = Number(rows[0]?.value);
+        return Number.isInteger(minutes) && minutes >= 15 ? minutes : DEFAULT_HOLD_MINUTES;
+    } catch {
+        return DEFAULT_HOLD_MINUTES;
+    }
+}
+
+/**
+ * Minutes to hold a slot: the configured hold, cut short so it ends before the appointment
+ * (with MIN_LEAD_MINUTES to spare). Null when the slot is too close to offer.
+ */
+function holdMinutesFor(holdMinutes, startMs, nowMs) {
+    const lead = Math.floor((startMs - nowMs) / 60000) - MIN_LEAD_MINUTES;
+    if (!(lead >= 15)) return null;
+    return Math.min(holdMinutes, lead);
+}
+
+/** The next waiting customer the slot suits who has not been offered it before. */
+async function findNextWaitlistEntry(pool, slot) {
+    const [rows] = await pool.execute(
+        `SELECT w.id, w.first_name, w.last_name, w.email, w.time_of_day, w.service_id, w.practitioner_id
+           FROM edsa_waitlist w
+          WHERE w.status = 'waiting'
+            AND w.date_from <= ? AND w.date_to >= ?
+            AND (w.service_id IS NULL OR w.service_id <=> ?)
+            AND (w.practitioner_id IS NULL OR w.practitioner_id <=> ?)
+            AND NOT EXISTS (
+                SELECT 1 FROM edsa_waitlist_offers o
+                 WHERE o.waitlist_id = w.id AND o.slot_date = ? AND o.slot_time = ?
+            )
+          ORDER BY w.created_at, w.id
+          LIMIT 50`,
+        [slot.dateYmd, slot.dateYmd, slot.serviceId, slot.practitionerId, slot.dateYmd, slot.timeHm]
+    );
+    return rows.find((row) => matchesTimeOfDay(row.time_of_day, slot.timeHm)) || null;
+}
+
+/**
+ * Offers a free slot to the next matching waitlisted customer and holds it for them.
+ * @param {{ dateYmd: string, timeHm: string, serviceId: number|null, practitionerId: number|null, durationMinutes: number|null, bufferMinutes: number|null }} slot
+ * @returns {Promise<object|null>} the offer, or null when nobody is waiting or the slot is gone
+ */
+async function offerFreedSlot(pool, slot, nowMs = Date.now()) {
+    const dateYmd = normalizeDateYmd(slot.dateYmd);
+    const timeHm = normalizeTimeHm(String(slot.timeHm || '').slice(0, 5));
+    if (!dateYmd || !timeHm) return null;
+    const target = { ...slot, dateYmd, timeHm };
+    const startMs = storeWallClockToUtcMs(dateYmd, timeHm);
+    const holdMinutes = holdMinutesFor(await loadHoldMinutes(pool), startMs, nowMs);
+    if (holdMinutes == null || (await isTimeBooked(pool, target))) return null;
+
+    const entry = await findNextWaitlistEntry(pool, target);
+    if (!entry) return null;
+
+    const token = crypto.randomBytes(24).toString('hex');
+    const [result] = await pool.execute(
+        `INSERT INTO edsa_waitlist_offers
+            (waitlist_id, token, slot_date, slot_time, service_id, practitioner_id, duration_minutes, buffer_minutes, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+        [
+            entry.id,
+            token,
+            dateYmd,
+            timeHm,
+            target.serviceId || null,
+            target.practitionerId || null,
+            target.durationMinutes || null,
+            target.bufferMinutes || null,
+            holdMinutes
+        ]
+    );
+    await pool.execute(`UPDATE edsa_waitlist SET status = 'offered' WHERE id = ?`, [entry.id]);
+
+    const names = await loadNames(pool, target.serviceId, target.practitionerId);
+    const offer = {
+        id: Number(result.insertId),
+        waitlistId: entry.id,
+        token,
+        firstName: entry.first_name,
+        lastName: entry.last_name,
+        email: entry.email,
+        slotDate: dateYmd,
+        slotTime: timeHm,
+        expiresAt: new Date(nowMs + holdMinutes * 60000).toISOString(),
+        ...names
+    };
+    await sendWaitlistOfferEmail(offer);
+    logger.info(`[edsa-waitlist] Offered ${dateYmd} ${timeHm} to waitlist #${entry.id} for ${holdMinutes} min`);
+    return offer;
+}
+
+/**
+ * Called after a confirmed booking is cancelled or moved: offers its old time to the waitlist.
+ * Never throws — the booking change has already been saved.
+ * @param {object} row the edsa_bookings row as it was before the change
+ */
+async function releaseSlotToWaitlist(pool, row) {
+    if (!row || String(row.status) !== 'confirmed') return null;
+    try {
+        return await offerFreedSlot(pool, {
+            dateYmd: normalizeDateYmd(row.preferred_date),
+            timeHm: String(row.preferred_time || '').slice(0, 5),
+            serviceId: row.service_id || null,
+            practitionerId: row.practitioner_id || null,
+            durationMinutes: row.duration_minutes || null,
+            bufferMinutes: row.buffer_minutes || null
+        });
+    } catch (err) {
+        logger.warn(`[edsa-waitlist] Could not offer freed slot of booking ${row.id} — ${logger.formatMysqlError(err)}`);
+        return null;
+    }
+}
+
+function offerSlot(offer) {
+    return {
+        dateYmd: normalizeDateYmd(offer.slot_date),
+        timeHm: String(offer.slot_time).slice(0, 5),
+        serviceId: offer.service_id || null,
+        practitionerId: offer.practitioner_id || null,
+        durationMinutes: offer.duration_minutes || null,
+        bufferMinutes: offer.buffer_minutes || null
+    };
+}
+
+async function loadOffer(pool, token) {
+    const clean = String(token || '').trim();
+    if (!/^[a-f0-9]{48}$/.test(clean)) return null;
+    const [rows] = await pool.execute(
+        `SELECT o.*, o.expires_at > NOW() AS is_live,
+                w.first_name, w.last_name, w.email, w.phone,
+                s.name AS service_name, p.name AS practitioner_name
+           FROM edsa_waitlist_offers o
+           JOIN edsa_waitlist w ON w.id = o.waitlist_id
+           LEFT JOIN edsa_services s ON s.id = o.service_id
+           LEFT JOIN edsa_practitioners p ON p.id = o.practitioner_id
+          WHERE o.token = ? LIMIT 1`,
+        [clean]
+    );
+    return rows[0] || null;
+}
+
+/** Public view of an offer for the claim link (prefills the booking form). */
+function formatOffer(offer) {
+    const slot = offerSlot(offer);
+    return {
+        status: offer.status === 'pending' && !Number(offer.is_live) ? 'expired' : offer.status,
+        slotDate: slot.dateYmd,
+        slotTime: slot.timeHm,
+        serviceId: slot.serviceId,
+        serviceName: offer.service_name || null,
+        practitionerId: slot.practitionerId,
+        practitionerName: offer.practitioner_name || null,
+        expiresAt: offer.expires_at,
+        firstName: offer.first_name,
+        lastName: offer.last_name,
+        email: offer.email,
+        phone: offer.phone || null
+    };
+}
+
+/** The pending, unexpired offer behind a claim link, or a 404 / 410 error. */
+async function loadClaimableOffer(pool, token) {
+    const offer = await loadOffer(pool, token);
+    if (!offer) throw waitlistError('That waitlist offer was not found', 404, 'OFFER_NOT_FOUND');
+    if (offer.status !== 'pending' || !Number(offer.is_live)) {
+        throw waitlistError(
+            offer.status === 'claimed' ? 'This time has already been booked.' : 'This offer has expired. You are still on the waitlist.',
+            410,
+            'OFFER_CLOSED'
+        );
+    }
+    return offer;
+}
+
+async function markOfferClaimed(pool, offer, bookingId) {
+    await pool.execute(
+        `UPDATE edsa_waitlist_offers SET status = 'claimed', booking_id = ? WHERE id = ? AND status = 'pending'`,
+        [bookingId, offer.id]
+    );
+    await pool.execute(`UPDATE edsa_waitlist SET status = 'booked', booking_id = ? WHERE id = ?`, [bookingId, offer.waitlist_id]);
+}
+
+/** Closes an offer (declined or expired) and moves the slot to the next customer in line. */
+async function closeOffer(pool, offer, status, { leaveWaitlist = false } = {}, nowMs = Date.now()) {
+    const [result] = await pool.execute(
+        `UPDATE edsa_waitlist_offers SET status = ? WHERE id = ? AND status = 'pending'`,
+        [status, offer.id]
+    );
+    if (!result.affectedRows) return null;
+    await pool.execute(
+        `UPDATE edsa_waitlist
+            SET status = CASE WHEN ? THEN 'cancelled' WHEN date_to < ? THEN 'expired' ELSE 'waiting' END
+          WHERE id = ? AND status = 'offered'`,
+        [leaveWaitlist ? 1 : 0, getStoreTodayYmd(), offer.waitlist_id]
+    );
+    return offerFreedSlot(pool, offerSlot(offer), nowMs);
+}
+
+async function declineOffer(pool, token, { leaveWaitlist = false } = {}) {
+    const offer = await loadClaimableOffer(pool, token);
+    await closeOffer(pool, offer, 'declined', { leaveWaitlist });
+    return { declined: true, leftWaitlist: Boolean(leaveWaitlist) };
+}
+
+/**
+ * Scheduler pass: expires lapsed offers (passing each slot down the list) and closes entries
+ * whose last date has gone by.
+ * @returns {Promise<{ expiredOffers: number, reoffered: number, expiredEntries: number }>}
+ */
+async function expireWaitlist(pool, nowMs = Date.now()) {
+    const result = { expiredOffers: 0, reoffered: 0, expiredEntries: 0 };
+    const [lapsed] = await pool.execute(
+        `SELECT * FROM edsa_waitlist_offers WHERE status = 'pending' AND expires_at <= NOW() ORDER BY expires_at LIMIT 100`
+    );
+    for (const offer of lapsed) {
+        result.expiredOffers += 1;
+        if (await closeOffer(pool, offer, 'expired', {}, nowMs)) result.reoffered += 1;
+    }
+    const [closed] = await pool.execute(
+        `UPDATE edsa_waitlist SET status = 'expired' WHERE status = 'waiting' AND date_to < ?`,
+        [getStoreTodayYmd()]
+    );
+    result.expiredEntries = Number(closed.affectedRows) || 0;
+    return result;
+}
+
+/** Staff remove a customer from the waitlist; a slot they were holding moves on. */
+async function cancelWaitlistEntry(pool, waitlistId) {
+    const id = Number(waitlistId);
+    const [rows] = await pool.execute('SELECT id, status FROM edsa_waitlist WHERE id = ? LIMIT 1', [id]);
+    if (!rows.length) throw waitlistError('Waitlist entry not found', 404, 'WAITLIST_NOT_FOUND');
+    if (!ACTIVE_STATUSES.includes(rows[0].status)) {
+        throw waitlistError('This waitlist entry is already closed', 409, 'WAITLIST_CLOSED');
+    }
+    const [offers] = await pool.execute(
+        `SELECT * FROM edsa_waitlist_offers WHERE waitlist_id = ? AND status = 'pending'`,
+        [id]
+    );
+    for (const offer of offers) {
+        await closeOffer(pool, offer, 'declined', { leaveWaitlist: true });
+    }
+    await pool.execute(`UPDATE edsa_waitlist SET status = 'cancelled' WHERE id = ?`, [id]);
+    return { id, status: 'cancelled' };
+}
+
+/**
+ * Waitlist demand per day for the admin view: open entries covering each day, and how that
+ * day's offers went.
+ */
+async function listWaitlistDemand(pool, from, to) {
+    const fromYmd = normalizeDateYmd(from) || getStoreTodayYmd();
+    let toYmd = normalizeDateYmd(to) || addDaysYmd(fromYmd, 30);
+    if (toYmd < fromYmd) throw waitlistError('The end date must be on or after the start date');
+    if ((ymdToUtcMs(toYmd) - ymdToUtcMs(fromYmd)) / DAY_MS >= MAX_RANGE_DAYS * 2) {
+        toYmd = addDaysYmd(fromYmd, MAX_RANGE_DAYS * 2 - 1);
+    }
+
+    const [entries] = await pool.execute(
+        `SELECT w.id, w.first_name, w.last_name, w.email, w.phone, w.date_from, w.date_to, w.time_of_day,
+                w.status, w.booking_id, w.created_at, s.name AS service_name, p.name AS practitioner_name
+           FROM edsa_waitlist w
+           LEFT JOIN edsa_services s ON s.id = w.service_id
+           LEFT JOIN edsa_practitioners p ON p.id = w.practitioner_id
+          WHERE w.date_to >= ? AND w.date_from <= ?
+          ORDER BY w.created_at, w.id`,
+        [fromYmd, toYmd]
+    );
+    const [offers] = await pool.execute(
+        `SELECT DATE_FORMAT(slot_date, '%Y-%m-%d') AS day,
+                CASE WHEN status = 'pending' AND expires_at <= NOW() THEN 'expired' ELSE status END AS outcome,
+                COUNT(*) AS n
+           FROM edsa_waitlist_offers
+          WHERE slot_date BETWEEN ? AND ?
+          GROUP BY day, outcome`,
+        [fromYmd, toYmd]
+    );
+
+    const days = [];
+    for (let day = fromYmd; day <= toYmd; day = addDaysYmd(day, 1)) {
+        const covering = entries.filter(
+            (e) => normalizeDateYmd(e.date_from) <= day && normalizeDateYmd(e.date_to) >= day
+        );
+        const outcomes = Object.fromEntries(offers.filter((o) => o.day === day).map((o) => [o.outcome, Number(o.n)]));
+        days.push({
+            date: day,
+            waiting: covering.filter((e) => ACTIVE_STATUSES.includes(e.status)).length,
+            morning: covering.filter((e) => ACTIVE_STATUSES.includes(e.status) && e.time_of_day === 'morning').length,
+            afternoon: covering.filter((e) => ACTIVE_STATUSES.includes(e.status) && e.time_of_day === 'afternoon').length,
+            offered: Object.values(outcomes).reduce((sum, n) => sum + n, 0),
+            claimed: outcomes.claimed || 0,
+            missed: (outcomes.expired || 0) + (outcomes.declined || 0)
+        });
+    }
+
+    return {
+        from: fromYmd,
+        to: toYmd,
+        days,
+        entries: entries.map((e) => ({
+            id: e.id,
+            name: `${e.first_name || ''} ${e.last_name || ''}`.trim(),
+            email: e.email,
+            phone: e.phone || null,
+            serviceName: e.service_name || null,
+            practitionerName: e.practitioner_name || null,
+            dateFrom: normalizeDateYmd(e.date_from),
+            dateTo: normalizeDateYmd(e.date_to),
+            timeOfDay: e.time_of_day,
+            status: e.status,
+            bookingId: e.booking_id || null,
+            createdAt: e.created_at
+        }))
+    };
+}
+
+module.exports = {
+    matchesTimeOfDay,
+    validateWaitlistInput,
+    holdMinutesFor,
+    joinWaitlist,
+    offerFreedSlot,
+    releaseSlotToWaitlist,
+    loadOffer,
+    formatOffer,
+    loadClaimableOffer,
+    markOfferClaimed,
+    declineOffer,
+    expireWaitlist,
+    cancelWaitlistEntry,
+    listWaitlistDemand
+};
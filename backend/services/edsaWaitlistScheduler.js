@@ -0,0 +1,55 @@
+'use strict';
+
+const logger = require('../utils/logger');
+const { expireWaitlist } = require('./edsaWaitlist');
+
+const CHECK_INTERVAL_MINUTES = Math.max(1, Number(process.env.EDSA_WAITLIST_CHECK_MINUTES || 5));
+
+function isEnabled() {
+    return process.env.EDSA_WAITLIST_ENABLED !== 'false';
+}
+
+/** True when at least `intervalMinutes` have passed since the last completed run. */
+function shouldRunWaitlistPass(now, lastRunAt, intervalMinutes = CHECK_INTERVAL_MINUTES) {
+    if (!lastRunAt) return true;
+    return now.getTime() - lastRunAt.getTime() >= intervalMinutes * 60 * 1000;
+}
+
+/** Expires lapsed waitlist offers (passing each held slot to the next customer) and old entries. */
+function startEdsaWaitlistScheduler(pool) {
+    if (!isEnabled()) {
+        logger.info('[edsa-waitlist] Waitlist scheduler disabled (EDSA_WAITLIST_ENABLED=false)');
+        return () => {};
+    }
+
+    let running = false;
+    let lastRunAt = null;
+
+    const tick = async (source = 'interval') => {
+        const now = new Date();
+        if (running || !shouldRunWaitlistPass(now, lastRunAt)) return;
+
+        running = true;
+        try {
+            const result = await expireWaitlist(pool, now.getTime());
+            lastRunAt = now;
+            if (result.expiredOffers || result.expiredEntries) {
+                logger.info('[edsa-waitlist] Waitlist pass completed', { source, ...result });
+            }
+        } catch (error) {
+            logger.error('[edsa-waitlist] Waitlist pass failed', { message: error.message, source });
+        } finally {
+            running = false;
+        }
+    };
+
+    logger.info(`[edsa-waitlist] Scheduler enabled (every ${CHECK_INTERVAL_MINUTES} min)`);
+    const intervalId = setInterval(() => tick('interval'), 60 * 1000);
+    setTimeout(() => tick('startup'), 45 * 1000);
+    return () => clearInterval(intervalId);
+}
+
+module.exports = {
+    startEdsaWaitlistScheduler,
+    shouldRunWaitlistPass
+};
@@ -5,7 +5,10 @@ const InventoryService = require('./inventory');
 const { sendOrderConfirmationEmail } = require('./orderConfirmationEmail');
 const { loadLoyaltyProgramSettings, earnLoyaltyForOrder } = require('./customerLoyalty');
 const { fulfillGiftCardsForOrder } = require('./giftCardFulfillment');
+const { fulfillEdsaPackagesForOrder } = require('./edsaPackages');
 const { getNonEarnTenderTotal } = require('./webCheckoutPayments');
+const { queueOrderConversion } = require('./abandonedCarts');
+const { queueAutoshipEnrollment } = require('./autoship');
 
 async function recalcUserOrderAggregates(connection, userId) {
     const uid = Number(userId);
@@ -35,11 +38,19 @@ async function recalcUserOrderAggregates(connection, userId) {
 /**
  * Completes a pending order: set paid, deduct inventory, update user aggregates.
  * @param {import('mysql2/promise').Pool} pool
- * @param {{ orderId: number, paymentId: string, paymentStatus: string, skipConfirmationEmail?: boolean }} opts
+ * `autoshipPaymentCardId` is the vaulted card checkout lines marked for autoship will charge.
+ * @param {{ orderId: number, paymentId: string, paymentStatus: string, skipConfirmationEmail?: boolean, autoshipPaymentCardId?: number }} opts
  */
 async function finalizePaidOrder(
     pool,
-    { orderId, paymentId, paymentStatus, skipConfirmationEmail = false, allowOversell = false }
+    {
+        orderId,
+        paymentId,
+        paymentStatus,
+        skipConfirmationEmail = false,
+        allowOversell = false,
+        autoshipPaymentCardId = null
+    }
 ) {
     const oid = Number(orderId);
     if (!Number.isFinite(oid) || oid < 1) {
@@ -145,9 +156,17 @@ async function finalizePaidOrder(
             }
         }
 
+        if (String(orderRow.sales_channel || '').toLowerCase() !== 'in_store') {
+            queueOrderConversion(pool, orderRow);
+            queueAutoshipEnrollment(pool, orderRow, { paymentCardId: autoshipPaymentCardId });
+        }
+
         void fulfillGiftCardsForOrder(pool, oid).catch((giftErr) => {
             logger.error(`Order ${oid} gift card fulfillment error:`, giftErr);
         });
+        void fulfillEdsaPackagesForOrder(pool, oid).catch((packageErr) => {
+            logger.error(`Order ${oid} EDSA package fulfillment error:`, packageErr);
+        });
 
         if (!skipConfirmationEmail) {
             void sendOrderConfirmationEmail(pool, oid).catch((emailErr) => {
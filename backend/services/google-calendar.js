@@ -11,6 +11,7 @@ const {
     eventStartToStoreTimeHm,
     normalizeDateYmd,
     normalizeTimeHm,
+    storeDateTimeLocalForInstant,
 } = require('../utils/storeTimezone');
 
 class GoogleCalendarService {
@@ -90,6 +91,21 @@ class GoogleCalendarService {
         return this.initialized && this.calendar !== null;
     }
 
+    /** A practitioner's own calendar when set, otherwise the store calendar. */
+    targetCalendarId(calendarId) {
+        return String(calendarId || '').trim() || this.calendarId;
+    }
+
+    eventSummary({ firstName, lastName, serviceName }) {
+        return `${serviceName || 'EDSA Session'} - ${firstName} ${lastName}`;
+    }
+
+    /** Appointment end: the booked service's length (an hour for single-service bookings). */
+    eventEnd(preferredDate, preferredTime, durationMinutes) {
+        const minutes = Number(durationMinutes) > 0 ? Number(durationMinutes) : 60;
+        return buildStoreCalendarEnd(preferredDate, preferredTime, minutes / 60);
+    }
+
     /**
      * Store calendar only — no customer guest emails from Google.
      * Branded SMTP handles customer confirmation/cancellation when configured.
@@ -115,11 +131,11 @@ class GoogleCalendarService {
         return email && !isSmtpConfigured() ? 'externalOnly' : 'none';
     }
 
-    async stripEventAttendees(eventId) {
+    async stripEventAttendees(eventId, calendarId = null) {
         if (!this.isAvailable() || !eventId || !isSmtpConfigured()) return;
         try {
             await this.calendar.events.patch({
-                calendarId: this.calendarId,
+                calendarId: this.targetCalendarId(calendarId),
                 eventId,
                 resource: {
                     attendees: [],
@@ -152,10 +168,14 @@ class GoogleCalendarService {
                 preferredTime,
                 notes,
                 bookingId,
+                serviceName,
+                practitionerName,
+                durationMinutes,
+                calendarId,
             } = bookingData;
 
             const event = {
-                summary: `EDSA Session - ${firstName} ${lastName}`,
+                summary: this.eventSummary({ firstName, lastName, serviceName }),
                 description: this.buildEventDescription({
                     firstName,
                     lastName,
@@ -163,16 +183,18 @@ class GoogleCalendarService {
                     phone,
                     notes,
                     bookingId,
+                    serviceName,
+                    practitionerName,
                 }),
                 start: buildStoreCalendarDateTime(preferredDate, preferredTime),
-                end: buildStoreCalendarEnd(preferredDate, preferredTime, 1),
+                end: this.eventEnd(preferredDate, preferredTime, durationMinutes),
                 location: '1140 Battlefield Pkwy, Fort Oglethorpe, GA 30742',
                 colorId: '10',
                 ...this.calendarEventOptions(email),
             };
 
             const response = await this.calendar.events.insert({
-                calendarId: this.calendarId,
+                calendarId: this.targetCalendarId(calendarId),
                 resource: event,
                 sendUpdates: this.calendarSendUpdates(email),
             });
@@ -195,25 +217,40 @@ class GoogleCalendarService {
         if (!this.isAvailable() || !eventId) return null;
 
         try {
-            const { firstName, lastName, email, phone, preferredDate, preferredTime, notes } =
-                bookingData;
+            const {
+                firstName,
+                lastName,
+                email,
+                phone,
+                preferredDate,
+                preferredTime,
+                notes,
+                bookingId,
+                serviceName,
+                practitionerName,
+                durationMinutes,
+                calendarId,
+            } = bookingData;
 
             const event = {
-                summary: `EDSA Session - ${firstName} ${lastName}`,
+                summary: this.eventSummary({ firstName, lastName, serviceName }),
                 description: this.buildEventDescription({
                     firstName,
                     lastName,
                     email,
                     phone,
                     notes,
+                    bookingId,
+                    serviceName,
+                    practitionerName,
                 }),
                 start: buildStoreCalendarDateTime(preferredDate, preferredTime),
-                end: buildStoreCalendarEnd(preferredDate, preferredTime, 1),
+                end: this.eventEnd(preferredDate, preferredTime, durationMinutes),
                 ...this.calendarEventOptions(email),
             };
 
             const response = await this.calendar.events.update({
-                calendarId: this.calendarId,
+                calendarId: this.targetCalendarId(calendarId),
                 eventId,
                 resource: event,
                 sendUpdates: this.calendarSendUpdates(email),
@@ -226,16 +263,17 @@ class GoogleCalendarService {
         }
     }
 
-    async deleteEvent(eventId, pool) {
+    async deleteEvent(eventId, pool, calendarId = null) {
         if (pool) await this.ensureInitialized(pool);
         if (!this.isAvailable() || !eventId) return false;
 
+        const targetCalendarId = this.targetCalendarId(calendarId);
         try {
             let customerEmail = '';
             if (!isSmtpConfigured()) {
                 try {
                     const existing = await this.calendar.events.get({
-                        calendarId: this.calendarId,
+                        calendarId: targetCalendarId,
                         eventId,
                     });
                     const guests = existing?.data?.attendees || [];
@@ -245,10 +283,10 @@ class GoogleCalendarService {
                     /* use sendUpdates none if event cannot be read */
                 }
             } else {
-                await this.stripEventAttendees(eventId);
+                await this.stripEventAttendees(eventId, targetCalendarId);
             }
             await this.calendar.events.delete({
-                calendarId: this.calendarId,
+                calendarId: targetCalendarId,
                 eventId,
                 sendUpdates: this.calendarSendUpdates(customerEmail),
             });
@@ -391,6 +429,52 @@ class GoogleCalendarService {
         }
     }
 
+    /**
+     * Busy stretches of a store day on one calendar, as minutes after midnight ({ start, end }).
+     * Events belonging to website bookings are left out — callers take those from edsa_bookings,
+     * which knows the practitioner. All-day events block the whole day. Returns [] when the
+     * calendar is not connected.
+     */
+    async getBusyIntervals(date, pool, calendarId = null) {
+        if (pool) await this.ensureInitialized(pool);
+        if (!this.isAvailable()) return [];
+
+        const dayYmd = normalizeDateYmd(date) || normalizeDateYmd(new Date());
+        const { timeMin, timeMax } = getStoreDayBoundsRfc3339(dayYmd);
+        const response = await this.calendar.events.list({
+            calendarId: this.targetCalendarId(calendarId),
+            timeMin,
+            timeMax,
+            singleEvents: true,
+            orderBy: 'startTime',
+        });
+        const ctx = await this.loadEdsaSlotBlockingContext(pool, dayYmd);
+        const toMinutes = (hm) => {
+            const [h, m] = String(hm).split(':').map(Number);
+            return h * 60 + m;
+        };
+
+        const intervals = [];
+        for (const event of response.data.items || []) {
+            const bookingId = this.parseBookingIdFromEvent(event);
+            const isBookingEvent =
+                (bookingId != null && ctx.bookingStatusById.has(bookingId)) ||
+                (event.id && (ctx.activeEventIds.has(event.id) || ctx.cancelledEventIds.has(event.id)));
+            if (isBookingEvent || !this.calendarEventBlocksSlot(event, ctx)) continue;
+            if (event.start?.date) {
+                intervals.push({ start: 0, end: 24 * 60 });
+                continue;
+            }
+            const startLocal = storeDateTimeLocalForInstant(event.start?.dateTime);
+            const endLocal = storeDateTimeLocalForInstant(event.end?.dateTime);
+            if (!startLocal) continue;
+            const start = startLocal.slice(0, 10) < dayYmd ? 0 : toMinutes(startLocal.slice(11));
+            const end = !endLocal || endLocal.slice(0, 10) > dayYmd ? 24 * 60 : toMinutes(endLocal.slice(11));
+            if (end > start) intervals.push({ start, end });
+        }
+        return intervals;
+    }
+
     generateDefaultSlots() {
         const slots = [];
         for (let hour = 10; hour < 18; hour++) {
@@ -402,8 +486,14 @@ class GoogleCalendarService {
         return slots;
     }
 
-    buildEventDescription({ firstName, lastName, email, phone, notes, bookingId }) {
+    buildEventDescription({ firstName, lastName, email, phone, notes, bookingId, serviceName, practitionerName }) {
         let description = `EDSA (Electro Dermal Stress Analysis) Appointment\n\n`;
+        if (serviceName) {
+            description += `Service: ${serviceName}\n`;
+        }
+        if (practitionerName) {
+            description += `Practitioner: ${practitionerName}\n`;
+        }
         description += `Client: ${firstName} ${lastName}\n`;
         description += `Email: ${email}\n`;
         description += `Phone: ${phone}\n`;
@@ -2,6 +2,13 @@
 // Centralized inventory operations with audit trail and concurrency protection
 
 const { loadInventorySettings } = require('../utils/inventorySettings');
+const { queueRestockAlerts } = require('./stockAlerts');
+const { expandBundleItems, syncBundlesForComponents, isBundleProduct } = require('./productBundles');
+const { consumeLots, restoreLots } = require('./inventoryLots');
+
+function bundleNote(reason, item) {
+    return item.bundleSku ? `${reason} (bundle ${item.bundleSku})` : reason;
+}
 
 class InventoryService {
     constructor(pool) {
@@ -9,7 +16,7 @@ class InventoryService {
     }
 
     /**
-     * Deduct inventory for an order
+     * Deduct inventory for an order (bundle lines deduct each component)
      * @param {Array} orderItems - Array of {productId, variantId, quantity}
      * @param {number} orderId - Order ID for audit trail
      * @param {string} reason - Reason for deduction
@@ -21,8 +28,9 @@ class InventoryService {
             await connection.beginTransaction();
             
             const results = [];
+            const items = await expandBundleItems(connection, orderItems);
             
-            for (const item of orderItems) {
+            for (const item of items) {
                 const result = await this._deductInventory(
                     connection,
                     item.productId,
@@ -31,12 +39,13 @@ class InventoryService {
                     'sale',
                     'order',
                     orderId,
-                    reason,
+                    bundleNote(reason, item),
                     null,
-                    options
+                    item.allowOversell ? { ...options, allowOversell: true } : options
                 );
                 results.push(result);
             }
+            await syncBundlesForComponents(connection, items.map((i) => i.productId));
             
             await connection.commit();
             
@@ -53,7 +62,7 @@ class InventoryService {
     }
 
     /**
-     * Restore inventory for cancelled/refunded order
+     * Restore inventory for cancelled/refunded order (bundle lines restore each component)
      * @param {Array} orderItems - Array of {productId, variantId, quantity}
      * @param {number} orderId - Order ID for audit trail
      * @param {string} reason - Reason for restoration
@@ -66,8 +75,9 @@ class InventoryService {
             if (ownsConnection) await connection.beginTransaction();
 
             const results = [];
+            const items = await expandBundleItems(connection, orderItems);
 
-            for (const item of orderItems) {
+            for (const item of items) {
                 const result = await this._addInventory(
                     connection,
                     item.productId,
@@ -76,12 +86,16 @@ class InventoryService {
                     'return',
                     'order',
                     orderId,
-                    reason
+                    bundleNote(reason, item)
                 );
                 results.push(result);
             }
+            results.push(...(await syncBundlesForComponents(connection, items.map((i) => i.productId))));
 
-            if (ownsConnection) await connection.commit();
+            if (ownsConnection) {
+                await connection.commit();
+                queueRestockAlerts(this.pool, results);
+            }
 
             console.log(`✅ Inventory restored for order ${orderId}:`, results);
             return results;
@@ -108,6 +122,12 @@ class InventoryService {
         try {
             await connection.beginTransaction();
             
+            if (await isBundleProduct(connection, productId)) {
+                const err = new Error('Bundle stock follows its components — adjust the component products instead');
+                err.code = 'BUNDLE_STOCK_DERIVED';
+                throw err;
+            }
+
             let result;
             if (quantityChange > 0) {
                 result = await this._addInventory(
@@ -134,8 +154,10 @@ class InventoryService {
                     adminId
                 );
             }
+            const bundleChanges = await syncBundlesForComponents(connection, [productId]);
             
             await connection.commit();
+            queueRestockAlerts(this.pool, [result, ...bundleChanges]);
             
             console.log(`✅ Inventory adjusted by admin ${adminId}:`, result);
             return result;
@@ -149,6 +171,68 @@ class InventoryService {
         }
     }
 
+    /**
+     * Apply several signed adjustments as one audited batch (every row shares the reference)
+     * @param {Array} adjustments - Array of {productId, variantId, quantityChange, note}
+     * @param {Object} batch - {referenceType, referenceId, createdBy, reason}
+     * @param {Object|null} existingConnection - Run inside the caller's transaction
+     */
+    async applyAdjustmentBatch(adjustments, { referenceType, referenceId = null, createdBy = null, reason = 'Batch adjustment' }, existingConnection = null) {
+        const ownsConnection = !existingConnection;
+        const connection = existingConnection || await this.pool.getConnection();
+
+        try {
+            if (ownsConnection) await connection.beginTransaction();
+
+            const results = [];
+            for (const adjustment of adjustments) {
+                const change = Math.round(Number(adjustment.quantityChange) || 0);
+                if (change === 0) continue;
+                const note = adjustment.note ? `${reason} — ${adjustment.note}` : reason;
+                const result = change > 0
+                    ? await this._addInventory(
+                        connection,
+                        adjustment.productId,
+                        adjustment.variantId || null,
+                        change,
+                        'adjustment',
+                        referenceType,
+                        referenceId,
+                        note,
+                        createdBy
+                    )
+                    : await this._deductInventory(
+                        connection,
+                        adjustment.productId,
+                        adjustment.variantId || null,
+                        -change,
+                        'adjustment',
+                        referenceType,
+                        referenceId,
+                        note,
+                        createdBy,
+                        { allowOversell: true }
+                    );
+                results.push(result);
+            }
+            results.push(...(await syncBundlesForComponents(connection, adjustments.map((a) => a.productId))));
+
+            if (ownsConnection) {
+                await connection.commit();
+                queueRestockAlerts(this.pool, results);
+            }
+
+            console.log(`✅ Inventory batch ${referenceType} ${referenceId} applied: ${results.length} rows`);
+            return results;
+        } catch (error) {
+            if (ownsConnection) await connection.rollback();
+            console.error(`❌ Failed inventory batch ${referenceType} ${referenceId}:`, error);
+            throw error;
+        } finally {
+            if (ownsConnection) connection.release();
+        }
+    }
+
     /**
      * Internal method to deduct inventory with audit trail
      */
@@ -247,6 +331,9 @@ class InventoryService {
              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
             [productId, variantId, type, -quantity, newInventory, referenceType, referenceId, reason, createdBy]
         );
+
+        // Draw the units from received lots, first-expiring first (recall lookups read these allocations)
+        const lots = await consumeLots(connection, { productId, variantId, quantity, referenceType, referenceId });
         
         return {
             productId,
@@ -254,7 +341,8 @@ class InventoryService {
             quantityBefore: currentInventory,
             quantityAfter: newInventory,
             quantityChange: -quantity,
-            type
+            type,
+            lots
         };
     }
 
@@ -315,6 +403,11 @@ class InventoryService {
              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
             [productId, variantId, type, quantity, newInventory, referenceType, referenceId, reason, createdBy]
         );
+
+        // Returned units go back to the lots the order drew them from
+        const lots = type === 'return'
+            ? await restoreLots(connection, { productId, variantId, quantity, referenceType, referenceId })
+            : [];
         
         return {
             productId,
@@ -322,7 +415,8 @@ class InventoryService {
             quantityBefore: currentInventory,
             quantityAfter: newInventory,
             quantityChange: quantity,
-            type
+            type,
+            lots
         };
     }
 
@@ -476,8 +570,10 @@ class InventoryService {
                     results.push(result);
                 }
             }
+            results.push(...(await syncBundlesForComponents(connection, inventoryUpdates.map((u) => u.productId))));
             
             await connection.commit();
+            queueRestockAlerts(this.pool, results);
             
             console.log(`✅ Bulk inventory import completed: ${results.length} products updated`);
             return results;
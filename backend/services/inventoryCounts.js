@@ -0,0 +1,581 @@
+'use strict';
+
+/**
+ * Physical inventory / cycle count sessions.
+ *
+ * Starting a session snapshots every tracked SKU in scope (whole store, a category tree or a
+ * brand) as a count line. Staff scan from the POS register or the admin Counts screen (a phone
+ * browser works); every scan is logged. A line's system quantity is re-read when it is first
+ * counted, so sales made before the shelf was counted do not show up as variance. Managers
+ * approve variances line by line and posting applies all approved variances as one
+ * inventory_transactions batch (reference_type 'cycle_count', reference_id = session id).
+ */
+
+const InventoryService = require('./inventory');
+const { queueRestockAlerts } = require('./stockAlerts');
+
+const SCOPE_TYPES = ['store', 'category', 'brand'];
+const REVIEW_DECISIONS = ['approved', 'rejected', 'pending'];
+const LINE_FILTERS = ['all', 'counted', 'uncounted', 'variance'];
+const MAX_LINES_RETURNED = 1000;
+
+function countError(message, status, code) {
+    return Object.assign(new Error(message), { status, code });
+}
+
+function roundMoney(n) {
+    return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+/**
+ * @returns {{ variance: number|null, costImpact: number|null }}
+ */
+function countVariance(systemQuantity, countedQuantity, unitCost) {
+    if (countedQuantity == null) return { variance: null, costImpact: null };
+    const variance = Number(countedQuantity) - (Number(systemQuantity) || 0);
+    return {
+        variance,
+        costImpact: unitCost != null ? roundMoney(variance * Number(unitCost)) : null
+    };
+}
+
+function mapLine(row) {
+    const unitCost = row.unit_cost != null ? Number(row.unit_cost) : null;
+    const systemQuantity = Number(row.system_quantity) || 0;
+    const countedQuantity = row.counted_quantity != null ? Number(row.counted_quantity) : null;
+    return {
+        id: Number(row.id),
+        productId: Number(row.product_id),
+        variantId: row.variant_id != null ? Number(row.variant_id) : null,
+        name: row.variant_name ? `${row.product_name} — ${row.variant_name}` : row.product_name,
+        sku: row.variant_sku || row.product_sku,
+        systemQuantity,
+        countedQuantity,
+        unitCost,
+        ...countVariance(systemQuantity, countedQuantity, unitCost),
+        outOfScope: Boolean(Number(row.out_of_scope)),
+        reviewStatus: row.review_status,
+        countedAt: row.counted_at,
+        postedChange: row.posted_change != null ? Number(row.posted_change) : null
+    };
+}
+
+function summarizeCountLines(lines) {
+    const totals = {
+        lines: lines.length,
+        counted: 0,
+        uncounted: 0,
+        withVariance: 0,
+        unitsOver: 0,
+        unitsShort: 0,
+        costImpact: 0,
+        approved: 0,
+        approvedCostImpact: 0
+    };
+    for (const line of lines) {
+        if (line.countedQuantity == null) {
+            totals.uncounted += 1;
+            continue;
+        }
+        totals.counted += 1;
+        if (!line.variance) continue;
+        totals.withVariance += 1;
+        if (line.variance > 0) totals.unitsOver += line.variance;
+        else totals.unitsShort += -line.variance;
+        totals.costImpact += line.costImpact || 0;
+        if (line.reviewStatus === 'approved') {
+            totals.approved += 1;
+            totals.approvedCostImpact += line.costImpact || 0;
+        }
+    }
+    totals.costImpact = roundMoney(totals.costImpact);
+    totals.approvedCostImpact = roundMoney(totals.approvedCostImpact);
+    return totals;
+}
+
+function mapSession(row) {
+    return {
+        id: Number(row.id),
+        name: row.name,
+        scopeType: row.scope_type,
+        scopeId: row.scope_id != null ? Number(row.scope_id) : null,
+        scopeLabel: row.scope_label || (row.scope_type === 'store' ? 'Whole store' : null),
+        status: row.status,
+        notes: row.notes || null,
+        createdBy: row.created_by_name || null,
+        createdAt: row.created_at,
+        postedBy: row.posted_by_name || null,
+        postedAt: row.posted_at,
+        postedLines: row.posted_lines != null ? Number(row.posted_lines) : null,
+        postedUnits: row.posted_units != null ? Number(row.posted_units) : null,
+        postedCostImpact: row.posted_cost_impact != null ? Number(row.posted_cost_impact) : null,
+        lineCount: row.line_count != null ? Number(row.line_count) : undefined,
+        countedCount: row.counted_count != null ? Number(row.counted_count) : undefined
+    };
+}
+
+async function resolveScope(db, scopeType, scopeId) {
+    if (scopeType === 'store') return { where: '1 = 1', params: [], label: 'Whole store', scopeId: null };
+    const id = parseInt(scopeId, 10);
+    if (!id) throw countError(`Choose a ${scopeType} to count`, 400, 'VALIDATION');
+
+    if (scopeType === 'brand') {
+        const [[brand]] = await db.query('SELECT id, name FROM brands WHERE id = ?', [id]);
+        if (!brand) throw countError('Brand not found', 404, 'NOT_FOUND');
+        return { where: 'p.brand_id = ?', params: [id], label: `Brand: ${brand.name}`, scopeId: id };
+    }
+
+    const [categories] = await db.query('SELECT id, parent_id, name FROM product_categories');
+    const root = categories.find((c) => Number(c.id) === id);
+    if (!root) throw countError('Category not found', 404, 'NOT_FOUND');
+    const ids = new Set([id]);
+    let grew = true;
+    while (grew) {
+        grew = false;
+        for (const c of categories) {
+            if (c.parent_id != null && ids.has(Number(c.parent_id)) && !ids.has(Number(c.id))) {
+                ids.add(Number(c.id));
+                grew = true;
+            }
+        }
+    }
+    return {
+        where: `p.category_id IN (${[...ids].map(() => '?').join(', ')})`,
+        params: [...ids],
+        label: `Category: ${root.name}`,
+        scopeId: id
+    };
+}
+
+/**
+ * Starts a count session and snapshots every tracked SKU in scope.
+ */
+async function createSession(pool, { name, scopeType = 'store', scopeId = null, notes = null, adminId = null } = {}) {
+    const type = SCOPE_TYPES.includes(scopeType) ? scopeType : null;
+    if (!type) throw countError('Scope must be store, category or brand', 400, 'VALIDATION');
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const scope = await resolveScope(connection, type, scopeId);
+        const label = String(name || '').trim().slice(0, 120) ||
+            `${scope.label} count ${new Date().toISOString().slice(0, 10)}`;
+
+        const [result] = await connection.query(
+            `INSERT INTO inventory_count_sessions (name, scope_type, scope_id, scope_label, notes, created_by)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [label, type, scope.scopeId, scope.label, notes ? String(notes).slice(0, 2000) : null, adminId]
+        );
+        const sessionId = result.insertId;
+        const baseWhere = `p.track_inventory = 1 AND COALESCE(p.is_bundle, 0) = 0 AND ${scope.where}`;
+
+        // Products without active variants count at the product level, otherwise per variant
+        await connection.query(
+            `INSERT INTO inventory_count_lines (session_id, product_id, variant_id, system_quantity, unit_cost)
+             SELECT ?, p.id, NULL, COALESCE(p.inventory_quantity, 0), p.cost_price
+               FROM products p
+              WHERE ${baseWhere}
+                AND (p.is_active = 1 OR COALESCE(p.inventory_quantity, 0) <> 0)
+                AND NOT EXISTS (SELECT 1 FROM product_variants pv WHERE pv.product_id = p.id AND pv.is_active = 1)`,
+            [sessionId, ...scope.params]
+        );
+        await connection.query(
+            `INSERT INTO inventory_count_lines (session_id, product_id, variant_id, system_quantity, unit_cost)
+             SELECT ?, p.id, pv.id, COALESCE(pv.inventory_quantity, 0), COALESCE(pv.cost_price, p.cost_price)
+               FROM product_variants pv
+               JOIN products p ON p.id = pv.product_id
+              WHERE ${baseWhere}
+                AND pv.is_active = 1
+                AND (p.is_active = 1 OR COALESCE(pv.inventory_quantity, 0) <> 0)`,
+            [sessionId, ...scope.params]
+        );
+
+        await connection.commit();
+        return getSession(pool, sessionId);
+    } catch (err) {
+        await connection.rollback();
+        throw err;
+    } finally {
+        connection.release();
+    }
+}
+
+async function listSessions(pool, { status, limit = 50 } = {}) {
+    const where = [];
+    const params = [];
+    const statuses = String(status || '')
+        .split(',')
+        .map((s) => s.trim())
+        .filter((s) => ['counting', 'posted', 'cancelled'].includes(s));
+    if (statuses.length) {
+        where.push(`s.status IN (${statuses.map(() => '?').join(', ')})`);
+        params.push(...statuses);
+    }
+    const [rows] = await pool.query(
+        `SELECT s.*,
+                CONCAT(ca.first_name, ' ', ca.last_name) AS created_by_name,
+                CONCAT(pa.first_name, ' ', pa.last_name) AS posted_by_name,
+                (SELECT COUNT(*) FROM inventory_count_lines l WHERE l.session_id = s.id) AS line_count,
+                (SELECT COUNT(*) FROM inventory_count_lines l WHERE l.session_id = s.id AND l.counted_quantity IS NOT NULL) AS counted_count
+           FROM inventory_count_sessions s
+           LEFT JOIN admin_users ca ON ca.id = s.created_by
+           LEFT JOIN admin_users pa ON pa.id = s.posted_by
+          ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+          ORDER BY s.created_at DESC
+          LIMIT ?`,
+        [...params, Math.min(200, Math.max(1, parseInt(limit, 10) || 50))]
+    );
+    return rows.map(mapSession);
+}
+
+const LINE_SELECT = `
+    SELECT l.*, p.name AS product_name, p.sku AS product_sku, pv.name AS variant_name, pv.sku AS variant_sku
+      FROM inventory_count_lines l
+      JOIN products p ON p.id = l.product_id
+      LEFT JOIN product_variants pv ON pv.id = l.variant_id`;
+
+/**
+ * Session with its lines (filtered) and totals over every line.
+ */
+async function getSession(pool, sessionId, { filter = 'all', search } = {}) {
+    const [[row]] = await pool.query(
+        `SELECT s.*,
+                CONCAT(ca.first_name, ' ', ca.last_name) AS created_by_name,
+                CONCAT(pa.first_name, ' ', pa.last_name) AS posted_by_name
+           FROM inventory_count_sessions s
+           LEFT JOIN admin_users ca ON ca.id = s.created_by
+           LEFT JOIN admin_users pa ON pa.id = s.posted_by
+          WHERE s.id = ?`,
+        [sessionId]
+    );
+    if (!row) return null;
+
+    const [lineRows] = await pool.query(
+        `${LINE_SELECT}
+          WHERE l.session_id = ?
+          ORDER BY l.counted_at IS NULL, p.name ASC, pv.sort_order ASC, l.id ASC`,
+        [sessionId]
+    );
+    const all = lineRows.map(mapLine);
+    const mode = LINE_FILTERS.includes(filter) ? filter : 'all';
+    const term = String(search || '').trim().toLowerCase();
+    const lines = all.filter((line) => {
+        if (mode === 'counted' && line.countedQuantity == null) return false;
+        if (mode === 'uncounted' && line.countedQuantity != null) return false;
+        if (mode === 'variance' && !line.variance) return false;
+        if (term && !`${line.name} ${line.sku}`.toLowerCase().includes(term)) return false;
+        return true;
+    });
+
+    return {
+        session: mapSession(row),
+        totals: summarizeCountLines(all),
+        lines: lines.slice(0, MAX_LINES_RETURNED),
+        truncated: lines.length > MAX_LINES_RETURNED
+    };
+}
+
+async function lockOpenSession(connection, sessionId) {
+    const [[session]] = await connection.query('SELECT * FROM inventory_count_sessions WHERE id = ? FOR UPDATE', [sessionId]);
+    if (!session) throw countError('Count session not found', 404, 'NOT_FOUND');
+    if (session.status !== 'counting') {
+        throw countError(`This count has been ${session.status}`, 409, 'COUNT_CLOSED');
+    }
+    return session;
+}
+
+async function resolveScanCode(connection, code) {
+    const scan = String(code || '').trim();
+    if (!scan) throw countError('Scan code is required', 400, 'VALIDATION');
+    const [variants] = await connection.query(
+        `SELECT pv.product_id, pv.id AS variant_id
+           FROM product_variants pv
+          WHERE pv.sku = ? OR pv.sku = ?
+          LIMIT 1`,
+        [scan, scan.toUpperCase()]
+    );
+    if (variants.length) return { productId: Number(variants[0].product_id), variantId: Number(variants[0].variant_id) };
+    const [products] = await connection.query(
+        'SELECT id, COALESCE(is_bundle, 0) AS is_bundle FROM products WHERE sku = ? OR sku = ? LIMIT 1',
+        [scan, scan.toUpperCase()]
+    );
+    if (!products.length) throw countError(`No product matches "${scan}"`, 404, 'UNKNOWN_CODE');
+    if (Number(products[0].is_bundle)) {
+        throw countError('Bundles are not counted — scan the component products', 400, 'BUNDLE_NOT_COUNTED');
+    }
+    return { productId: Number(products[0].id), variantId: null };
+}
+
+async function readOnHand(connection, productId, variantId) {
+    const [[row]] = variantId
+        ? await connection.query(
+            `SELECT pv.inventory_quantity AS quantity, COALESCE(pv.cost_price, p.cost_price) AS unit_cost
+               FROM product_variants pv JOIN products p ON p.id = pv.product_id
+              WHERE pv.id = ?`,
+            [variantId]
+        )
+        : await connection.query('SELECT inventory_quantity AS quantity, cost_price AS unit_cost FROM products WHERE id = ?', [productId]);
+    return { quantity: Number(row?.quantity) || 0, unitCost: row?.unit_cost != null ? Number(row.unit_cost) : null };
+}
+
+async function applyCount(connection, sessionId, lineRow, { quantity, mode, scanCode = null, source, employeeId = null, adminId = null, deviceId = null }) {
+    const qty = Math.round(Number(quantity));
+    if (!Number.isFinite(qty)) throw countError('Quantity must be a whole number', 400, 'VALIDATION');
+    const current = lineRow.counted_quantity != null ? Number(lineRow.counted_quantity) : null;
+    const next = mode === 'set' ? qty : (current || 0) + qty;
+    if (next < 0) throw countError('Counted quantity cannot go below zero', 400, 'VALIDATION');
+
+    let systemQuantity = Number(lineRow.system_quantity) || 0;
+    if (current == null) {
+        systemQuantity = (await readOnHand(connection, lineRow.product_id, lineRow.variant_id)).quantity;
+    }
+    await connection.query(
+        `UPDATE inventory_count_lines
+            SET counted_quantity = ?, system_quantity = ?, counted_at = NOW(),
+                review_status = 'pending', reviewed_by = NULL, reviewed_at = NULL
+          WHERE id = ?`,
+        [next, systemQuantity, lineRow.id]
+    );
+    await connection.query(
+        `INSERT INTO inventory_count_scans
+            (session_id, line_id, scan_code, quantity, mode, source, employee_id, admin_id, device_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [sessionId, lineRow.id, scanCode, qty, mode, source, employeeId, adminId, deviceId ? String(deviceId).slice(0, 128) : null]
+    );
+}
+
+async function loadLine(db, lineId) {
+    const [[row]] = await db.query(`${LINE_SELECT} WHERE l.id = ?`, [lineId]);
+    return row ? mapLine(row) : null;
+}
+
+/**
+ * Records a barcode scan. `mode: 'add'` (default) adds to the running count, `'set'` replaces it.
+ * Items outside the session scope get a line of their own, flagged out of scope.
+ */
+async function recordScan(pool, sessionId, { code, quantity = 1, mode = 'add', source = 'admin', employeeId = null, adminId = null, deviceId = null } = {}) {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        await lockOpenSession(connection, sessionId);
+        const { productId, variantId } = await resolveScanCode(connection, code);
+
+        const [[existing]] = await connection.query(
+            `SELECT * FROM inventory_count_lines
+              WHERE session_id = ? AND product_id = ? AND variant_id <=> ?
+              LIMIT 1 FOR UPDATE`,
+            [sessionId, productId, variantId]
+        );
+        let lineRow = existing;
+        if (!lineRow) {
+            const onHand = await readOnHand(connection, productId, variantId);
+            const [inserted] = await connection.query(
+                `INSERT INTO inventory_count_lines (session_id, product_id, variant_id, system_quantity, unit_cost, out_of_scope)
+                 VALUES (?, ?, ?, ?, ?, 1)`,
+                [sessionId, productId, variantId, onHand.quantity, onHand.unitCost]
+            );
+            lineRow = { id: inserted.insertId, product_id: productId, variant_id: variantId, system_quantity: onHand.quantity, counted_quantity: null };
+        }
+
+        await applyCount(connection, sessionId, lineRow, {
+            quantity,
+            mode: mode === 'set' ? 'set' : 'add',
+            scanCode: String(code).trim().slice(0, 128),
+            source,
+            employeeId,
+            adminId,
+            deviceId
+        });
+        await connection.commit();
+        return { line: await loadLine(pool, lineRow.id) };
+    } catch (err) {
+        await connection.rollback();
+        throw err;
+    } finally {
+        connection.release();
+    }
+}
+
+/** Sets a line's count by hand (admin recount / correction). */
+async function setLineCount(pool, sessionId, lineId, { countedQuantity, adminId = null } = {}) {
+    if (countedQuantity === '' || countedQuantity == null) {
+        throw countError('Enter the counted quantity', 400, 'VALIDATION');
+    }
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        await lockOpenSession(connection, sessionId);
+        const [[lineRow]] = await connection.query(
+            'SELECT * FROM inventory_count_lines WHERE id = ? AND session_id = ? FOR UPDATE',
+            [lineId, sessionId]
+        );
+        if (!lineRow) throw countError('Count line not found', 404, 'NOT_FOUND');
+        await applyCount(connection, sessionId, lineRow, { quantity: countedQuantity, mode: 'set', source: 'admin', adminId });
+        await connection.commit();
+        return { line: await loadLine(pool, lineId) };
+    } catch (err) {
+        await connection.rollback();
+        throw err;
+    } finally {
+        connection.release();
+    }
+}
+
+/**
+ * Approves or rejects counted lines. `lineIds: 'variances'` applies to every counted line with
+ * a variance that is still pending.
+ */
+async function reviewLines(pool, sessionId, { lineIds, decision, adminId = null } = {}) {
+    if (!REVIEW_DECISIONS.includes(decision)) throw countError('Decision must be approved, rejected or pending', 400, 'VALIDATION');
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        await lockOpenSession(connection, sessionId);
+        let result;
+        if (lineIds === 'variances') {
+            [result] = await connection.query(
+                `UPDATE inventory_count_lines
+                    SET review_status = ?, reviewed_by = ?, reviewed_at = NOW()
+                  WHERE session_id = ? AND review_status = 'pending'
+                    AND counted_quantity IS NOT NULL AND counted_quantity <> system_quantity`,
+                [decision, adminId, sessionId]
+            );
+        } else {
+            const ids = (Array.isArray(lineIds) ? lineIds : []).map((id) => parseInt(id, 10)).filter((id) => id > 0);
+            if (!ids.length) throw countError('Select at least one line', 400, 'VALIDATION');
+            [result] = await connection.query(
+                `UPDATE inventory_count_lines
+                    SET review_status = ?, reviewed_by = ?, reviewed_at = NOW()
+                  WHERE session_id = ? AND counted_quantity IS NOT NULL AND id IN (${ids.map(() => '?').join(', ')})`,
+                [decision, adminId, sessionId, ...ids]
+            );
+        }
+        await connection.commit();
+        return { updated: result.affectedRows };
+    } catch (err) {
+        await connection.rollback();
+        throw err;
+    } finally {
+        connection.release();
+    }
+}
+
+/**
+ * Posts every approved variance as one audited inventory_transactions batch and closes the session.
+ * Pending and rejected lines are left unposted.
+ */
+async function postSession(pool, sessionId, { adminId = null } = {}) {
+    const connection = await pool.getConnection();
+    let results = [];
+    try {
+        await connection.beginTransaction();
+        const session = await lockOpenSession(connection, sessionId);
+        const [lineRows] = await connection.query(
+            `SELECT * FROM inventory_count_lines
+              WHERE session_id = ? AND review_status = 'approved'
+                AND counted_quantity IS NOT NULL AND counted_quantity <> system_quantity
+              FOR UPDATE`,
+            [sessionId]
+        );
+        const adjustments = lineRows.map((l) => ({
+            lineId: l.id,
+            productId: Number(l.product_id),
+            variantId: l.variant_id != null ? Number(l.variant_id) : null,
+            quantityChange: Number(l.counted_quantity) - Number(l.system_quantity),
+            costImpact: countVariance(l.system_quantity, l.counted_quantity, l.unit_cost).costImpact || 0,
+            note: `counted ${Number(l.counted_quantity)}, system ${Number(l.system_quantity)}`
+        }));
+
+        results = await new InventoryService(pool).applyAdjustmentBatch(
+            adjustments,
+            {
+                referenceType: 'cycle_count',
+                referenceId: sessionId,
+                createdBy: adminId,
+                reason: `Cycle count #${sessionId} (${session.name})`
+            },
+            connection
+        );
+        for (const adjustment of adjustments) {
+            await connection.query('UPDATE inventory_count_lines SET posted_change = ? WHERE id = ?', [
+                adjustment.quantityChange,
+                adjustment.lineId
+            ]);
+        }
+        await connection.query(
+            `UPDATE inventory_count_sessions
+                SET status = 'posted', posted_by = ?, posted_at = NOW(),
+                    posted_lines = ?, posted_units = ?, posted_cost_impact = ?
+              WHERE id = ?`,
+            [
+                adminId,
+                adjustments.length,
+                adjustments.reduce((sum, a) => sum + a.quantityChange, 0),
+                roundMoney(adjustments.reduce((sum, a) => sum + a.costImpact, 0)),
+                sessionId
+            ]
+        );
+        await connection.commit();
+    } catch (err) {
+        await connection.rollback();
+        throw err;
+    } finally {
+        connection.release();
+    }
+    queueRestockAlerts(pool, results);
+    return getSession(pool, sessionId, { filter: 'variance' });
+}
+
+async function cancelSession(pool, sessionId) {
+    const [result] = await pool.query(
+        `UPDATE inventory_count_sessions SET status = 'cancelled' WHERE id = ? AND status = 'counting'`,
+        [sessionId]
+    );
+    if (!result.affectedRows) throw countError('Only an open count can be cancelled', 409, 'COUNT_CLOSED');
+    return getSession(pool, sessionId);
+}
+
+/** Most recent scans for a session (audit trail / scanner feedback). */
+async function listScans(pool, sessionId, { limit = 50 } = {}) {
+    const [rows] = await pool.query(
+        `SELECT sc.*, p.name AS product_name, pv.name AS variant_name,
+                CONCAT(au.first_name, ' ', au.last_name) AS admin_name
+           FROM inventory_count_scans sc
+           JOIN inventory_count_lines l ON l.id = sc.line_id
+           JOIN products p ON p.id = l.product_id
+           LEFT JOIN product_variants pv ON pv.id = l.variant_id
+           LEFT JOIN admin_users au ON au.id = sc.admin_id
+          WHERE sc.session_id = ?
+          ORDER BY sc.id DESC
+          LIMIT ?`,
+        [sessionId, Math.min(500, Math.max(1, parseInt(limit, 10) || 50))]
+    );
+    return rows.map((r) => ({
+        id: Number(r.id),
+        lineId: Number(r.line_id),
+        name: r.variant_name ? `${r.product_name} — ${r.variant_name}` : r.product_name,
+        scanCode: r.scan_code,
+        quantity: Number(r.quantity),
+        mode: r.mode,
+        source: r.source,
+        employeeId: r.employee_id != null ? Number(r.employee_id) : null,
+        adminName: r.admin_name || null,
+        deviceId: r.device_id || null,
+        createdAt: r.created_at
+    }));
+}
+
+module.exports = {
+    SCOPE_TYPES,
+    countVariance,
+    summarizeCountLines,
+    createSession,
+    listSessions,
+    getSession,
+    recordScan,
+    setLineCount,
+    reviewLines,
+    postSession,
+    cancelSession,
+    listScans
+};
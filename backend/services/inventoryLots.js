@@ -0,0 +1,358 @@
+'use strict';
+
+/**
+ * Lot numbers and expiration (best-by) dates for received stock.
+ *
+ * Vendor receiving records the lot on each scan (or a default lot per PO line); completing the
+ * PO creates one inventory_lots row per line and lot. Sales draw lots first-expiring-first-out
+ * (FEFO) inside InventoryService and log each draw in inventory_lot_allocations, which is what
+ * the recall lookup reads. Returns and cancellations give units back to the lots they came from.
+ *
+ * Lots cover received stock only: units on hand from before lot tracking (or received without a
+ * lot) are not attributed, so a sale that outruns its lots simply leaves the rest unallocated.
+ */
+
+const MAX_LOT_LENGTH = 64;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function lotError(message, status, code) {
+    return Object.assign(new Error(message), { status, code });
+}
+
+function isMissingTableError(err) {
+    return err && (err.code === 'ER_NO_SUCH_TABLE' || err.code === 'ER_BAD_FIELD_ERROR');
+}
+
+function normalizeLotNumber(value) {
+    const lot = String(value == null ? '' : value).trim().replace(/\s+/g, ' ');
+    return lot ? lot.slice(0, MAX_LOT_LENGTH) : null;
+}
+
+/**
+ * 'YYYY-MM-DD' (or null when blank). Accepts ISO dates and MM/DD/YYYY; best-by codes printed
+ * as MM/YYYY resolve to the last day of that month.
+ */
+function parseExpirationDate(value) {
+    if (value == null || value === '') return null;
+    if (value instanceof Date) {
+        if (Number.isNaN(value.getTime())) throw lotError('Invalid expiration date', 400, 'VALIDATION');
+        return value.toISOString().slice(0, 10);
+    }
+    const raw = String(value).trim();
+    let y;
+    let m;
+    let d;
+    let match;
+    if ((match = raw.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/))) {
+        [, y, m, d] = match.map(Number);
+    } else if ((match = raw.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) {
+        [, m, d, y] = match.map(Number);
+    } else if ((match = raw.match(/^(\d{1,2})\/(\d{4})$/))) {
+        [, m, y] = match.map(Number);
+        d = new Date(Date.UTC(y, m, 0)).getUTCDate();
+    } else {
+        throw lotError('Expiration date must look like 2027-03-31 or 03/2027', 400, 'VALIDATION');
+    }
+    const date = new Date(Date.UTC(y, m - 1, d));
+    if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) {
+        throw lotError('Invalid expiration date', 400, 'VALIDATION');
+    }
+    return date.toISOString().slice(0, 10);
+}
+
+function dateKey(value) {
+    if (!value) return null;
+    return value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10);
+}
+
+/**
+ * First-expiring-first-out draw: dated lots by expiration, then undated lots, oldest receipt first.
+ * @param {{ id: number, expiration_date: string|Date|null, received_at?: string|Date, quantity_remaining: number }[]} lots
+ * @returns {{ draws: { lotId: number, quantity: number }[], unallocated: number }}
+ */
+function planFefo(lots, quantity) {
+    let left = Math.max(0, Math.round(Number(quantity) || 0));
+    const ordered = [...lots].sort((a, b) => {
+        const ea = dateKey(a.expiration_date);
+        const eb = dateKey(b.expiration_date);
+        if (ea !== eb) {
+            if (!ea) return 1;
+            if (!eb) return -1;
+            return ea < eb ? -1 : 1;
+        }
+        const ra = new Date(a.received_at || 0).getTime();
+        const rb = new Date(b.received_at || 0).getTime();
+        return ra - rb || Number(a.id) - Number(b.id);
+    });
+    const draws = [];
+    for (const lot of ordered) {
+        if (left <= 0) break;
+        const take = Math.min(left, Math.max(0, Number(lot.quantity_remaining) || 0));
+        if (take <= 0) continue;
+        draws.push({ lotId: Number(lot.id), quantity: take });
+        left -= take;
+    }
+    return { draws, unallocated: left };
+}
+
+function variantClause(variantId) {
+    return variantId ? { sql: 'variant_id = ?', params: [variantId] } : { sql: 'variant_id IS NULL', params: [] };
+}
+
+/**
+ * Creates lots for units received on a purchase order line.
+ * @param {import('mysql2/promise').PoolConnection} connection
+ * @param {{ purchaseOrderId: number, lineId: number, productId: number, variantId?: number|null, unitCost?: number|null,
+ *           lots: { lotNumber: string, expirationDate: string|null, quantity: number }[] }} receipt
+ */
+async function receiveLots(connection, { purchaseOrderId, lineId, productId, variantId = null, unitCost = null, lots }) {
+    const created = [];
+    for (const lot of lots || []) {
+        const quantity = Math.round(Number(lot.quantity) || 0);
+        const lotNumber = normalizeLotNumber(lot.lotNumber);
+        if (!lotNumber || quantity <= 0) continue;
+        const [result] = await connection.query(
+            `INSERT INTO inventory_lots
+                (product_id, variant_id, lot_number, expiration_date, quantity_received, quantity_remaining,
+                 unit_cost, purchase_order_id, purchase_order_line_id)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [productId, variantId || null, lotNumber, lot.expirationDate || null, quantity, quantity, unitCost, purchaseOrderId, lineId]
+        );
+        created.push({ id: result.insertId, lotNumber, expirationDate: lot.expirationDate || null, quantity });
+    }
+    return created;
+}
+
+/**
+ * Draws `quantity` units from a product's lots FEFO and records the allocation.
+ * Call inside the transaction that deducts the stock.
+ * @returns {Promise<{ lotId: number, quantity: number }[]>}
+ */
+async function consumeLots(connection, { productId, variantId = null, quantity, referenceType, referenceId = null }) {
+    if (!(quantity > 0)) return [];
+    const variant = variantClause(variantId);
+    let lots;
+    try {
+        [lots] = await connection.query(
+            `SELECT id, expiration_date, received_at, quantity_remaining
+               FROM inventory_lots
+              WHERE product_id = ? AND ${variant.sql} AND quantity_remaining > 0
+              FOR UPDATE`,
+            [productId, ...variant.params]
+        );
+    } catch (err) {
+        if (isMissingTableError(err)) return [];
+        throw err;
+    }
+    const { draws } = planFefo(lots, quantity);
+    for (const draw of draws) {
+        await connection.query(
+            'UPDATE inventory_lots SET quantity_remaining = quantity_remaining - ? WHERE id = ?',
+            [draw.quantity, draw.lotId]
+        );
+        await connection.query(
+            `INSERT INTO inventory_lot_allocations
+                (lot_id, product_id, variant_id, quantity, reference_type, reference_id)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [draw.lotId, productId, variantId || null, draw.quantity, referenceType, referenceId]
+        );
+    }
+    return draws;
+}
+
+/**
+ * Gives returned units back to the lots a reference drew from (latest draw first).
+ * @returns {Promise<{ lotId: number, quantity: number }[]>}
+ */
+async function restoreLots(connection, { productId, variantId = null, quantity, referenceType, referenceId }) {
+    let left = Math.round(Number(quantity) || 0);
+    if (left <= 0 || referenceId == null) return [];
+    const variant = variantClause(variantId);
+    let allocations;
+    try {
+        [allocations] = await connection.query(
+            `SELECT id, lot_id, quantity - quantity_returned AS open_quantity
+               FROM inventory_lot_allocations
+              WHERE reference_type = ? AND reference_id = ? AND product_id = ? AND ${variant.sql}
+                AND quantity > quantity_returned
+              ORDER BY id DESC
+              FOR UPDATE`,
+            [referenceType, referenceId, productId, ...variant.params]
+        );
+    } catch (err) {
+        if (isMissingTableError(err)) return [];
+        throw err;
+    }
+    const restored = [];
+    for (const allocation of allocations) {
+        if (left <= 0) break;
+        const give = Math.min(left, Number(allocation.open_quantity) || 0);
+        if (give <= 0) continue;
+        await connection.query(
+            'UPDATE inventory_lot_allocations SET quantity_returned = quantity_returned + ? WHERE id = ?',
+            [give, allocation.id]
+        );
+        await connection.query(
+            'UPDATE inventory_lots SET quantity_remaining = quantity_remaining + ? WHERE id = ?',
+            [give, allocation.lot_id]
+        );
+        restored.push({ lotId: Number(allocation.lot_id), quantity: give });
+        left -= give;
+    }
+    return restored;
+}
+
+function mapLot(row, today = new Date()) {
+    const expiration = dateKey(row.expiration_date);
+    const daysLeft = expiration
+        ? Math.round((Date.parse(`${expiration}T00:00:00Z`) - Date.parse(`${today.toISOString().slice(0, 10)}T00:00:00Z`)) / DAY_MS)
+        : null;
+    const remaining = Number(row.quantity_remaining) || 0;
+    const unitCost = row.unit_cost != null ? Number(row.unit_cost) : null;
+    return {
+        id: Number(row.id),
+        productId: Number(row.product_id),
+        variantId: row.variant_id != null ? Number(row.variant_id) : null,
+        productName: row.variant_name ? `${row.product_name} — ${row.variant_name}` : row.product_name,
+        sku: row.variant_sku || row.product_sku,
+        lotNumber: row.lot_number,
+        expirationDate: expiration,
+        daysLeft,
+        expired: daysLeft != null && daysLeft < 0,
+        quantityReceived: Number(row.quantity_received) || 0,
+        quantityRemaining: remaining,
+        unitCost,
+        valueAtCost: unitCost != null ? Math.round(unitCost * remaining * 100) / 100 : null,
+        purchaseOrderId: row.purchase_order_id != null ? Number(row.purchase_order_id) : null,
+        poNumber: row.po_number || null,
+        receivedAt: row.received_at
+    };
+}
+
+const LOT_SELECT = `
+    SELECT l.*, p.name AS product_name, p.sku AS product_sku,
+           pv.name AS variant_name, pv.sku AS variant_sku, vpo.po_number
+      FROM inventory_lots l
+      JOIN products p ON p.id = l.product_id
+      LEFT JOIN product_variants pv ON pv.id = l.variant_id
+      LEFT JOIN vendor_purchase_orders vpo ON vpo.id = l.purchase_order_id`;
+
+/**
+ * On-hand lots that expire within `days` (already-expired lots included).
+ */
+async function getExpiringLots(pool, { days = 90, search } = {}) {
+    const window = Math.min(3650, Math.max(0, parseInt(days, 10) || 0));
+    const where = ['l.quantity_remaining > 0', 'l.expiration_date IS NOT NULL', 'l.expiration_date <= DATE_ADD(CURDATE(), INTERVAL ? DAY)'];
+    const params = [window];
+    const term = String(search || '').trim();
+    if (term) {
+        where.push('(p.name LIKE ? OR p.sku LIKE ? OR pv.sku LIKE ? OR l.lot_number LIKE ?)');
+        params.push(`%${term}%`, `%${term}%`, `%${term}%`, `%${term}%`);
+    }
+    const [rows] = await pool.query(
+        `${LOT_SELECT}
+          WHERE ${where.join(' AND ')}
+          ORDER BY l.expiration_date ASC, p.name ASC
+          LIMIT 500`,
+        params
+    );
+    const lots = rows.map((r) => mapLot(r));
+    return {
+        days: window,
+        lots,
+        totals: {
+            lots: lots.length,
+            units: lots.reduce((sum, l) => sum + l.quantityRemaining, 0),
+            expiredUnits: lots.filter((l) => l.expired).reduce((sum, l) => sum + l.quantityRemaining, 0),
+            valueAtCost: Math.round(lots.reduce((sum, l) => sum + (l.valueAtCost || 0), 0) * 100) / 100
+        }
+    };
+}
+
+/** Lots on file for one product (or variant), newest first. */
+async function listProductLots(pool, productId, variantId = null) {
+    const variant = variantId ? { sql: 'l.variant_id = ?', params: [variantId] } : { sql: '1 = 1', params: [] };
+    const [rows] = await pool.query(
+        `${LOT_SELECT}
+          WHERE l.product_id = ? AND ${variant.sql}
+          ORDER BY l.received_at DESC, l.id DESC
+          LIMIT 200`,
+        [productId, ...variant.params]
+    );
+    return rows.map((r) => mapLot(r));
+}
+
+/**
+ * Recall lookup: every lot with this number and every order (web and POS) that drew from it.
+ */
+async function recallLookup(pool, { lotNumber, productId } = {}) {
+    const lot = normalizeLotNumber(lotNumber);
+    if (!lot) throw lotError('Enter a lot number', 400, 'VALIDATION');
+    const productFilter = parseInt(productId, 10) > 0 ? parseInt(productId, 10) : null;
+
+    const [lotRows] = await pool.query(
+        `${LOT_SELECT}
+          WHERE l.lot_number = ? ${productFilter ? 'AND l.product_id = ?' : ''}
+          ORDER BY l.received_at ASC`,
+        productFilter ? [lot, productFilter] : [lot]
+    );
+    const lots = lotRows.map((r) => mapLot(r));
+    if (!lots.length) return { lotNumber: lot, lots, orders: [], totals: { orders: 0, units: 0 } };
+
+    const lotIds = lots.map((l) => l.id);
+    const [rows] = await pool.query(
+        `SELECT a.lot_id, a.quantity, a.quantity_returned, a.created_at AS allocated_at,
+                o.id AS order_id, o.order_number, o.status, o.sales_channel, o.created_at AS ordered_at,
+                o.email, o.shipping_first_name, o.shipping_last_name, o.billing_first_name, o.billing_last_name,
+                u.first_name, u.last_name, u.phone
+           FROM inventory_lot_allocations a
+           JOIN orders o ON o.id = a.reference_id
+           LEFT JOIN users u ON u.id = o.user_id
+          WHERE a.reference_type = 'order' AND a.lot_id IN (${lotIds.map(() => '?').join(', ')})
+          ORDER BY o.created_at ASC, o.id ASC`,
+        lotIds
+    );
+    const lotById = new Map(lots.map((l) => [l.id, l]));
+    const orders = rows.map((r) => {
+        const lotRow = lotById.get(Number(r.lot_id));
+        const name =
+            [r.first_name, r.last_name].filter(Boolean).join(' ') ||
+            [r.shipping_first_name, r.shipping_last_name].filter(Boolean).join(' ') ||
+            [r.billing_first_name, r.billing_last_name].filter(Boolean).join(' ') ||
+            null;
+        return {
+            orderId: Number(r.order_id),
+            orderNumber: r.order_number,
+            channel: String(r.sales_channel || 'online') === 'in_store' ? 'pos' : 'web',
+            status: r.status,
+            orderedAt: r.ordered_at,
+            customer: { name, email: r.email || null, phone: r.phone || null },
+            productName: lotRow?.productName || null,
+            sku: lotRow?.sku || null,
+            lotId: Number(r.lot_id),
+            quantity: Number(r.quantity) || 0,
+            quantityReturned: Number(r.quantity_returned) || 0
+        };
+    });
+    return {
+        lotNumber: lot,
+        lots,
+        orders,
+        totals: {
+            orders: new Set(orders.map((o) => o.orderId)).size,
+            units: orders.reduce((sum, o) => sum + o.quantity - o.quantityReturned, 0)
+        }
+    };
+}
+
+module.exports = {
+    normalizeLotNumber,
+    parseExpirationDate,
+    planFefo,
+    receiveLots,
+    consumeLots,
+    restoreLots,
+    getExpiringLots,
+    listProductLots,
+    recallLookup
+};
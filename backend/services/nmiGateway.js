@@ -40,9 +40,9 @@ async function nmiSale(opts) {
     if (paymentToken) {
         body.set('payment_token', paymentToken);
     }
-    if (customerVaultId && billingId) {
+    if (customerVaultId) {
         body.set('customer_vault_id', customerVaultId);
-        body.set('billing_id', billingId);
+        if (billingId) body.set('billing_id', billingId);
     }
     if (customerVaultAction) {
         body.set('customer_vault', customerVaultAction);
@@ -164,4 +164,39 @@ async function nmiVoid(opts) {
     };
 }
 
-module.exports = { nmiSale, nmiPoiSale, nmiVaultAddCustomer, nmiVaultSale, nmiVoid, parseNmiBody };
+/**
+ * Refund all or part of a settled sale by transaction id (unsettled sales must be voided instead).
+ * @param {{ securityKey: string, transactionId: string, amount?: string, transactUrl?: string }} opts
+ */
+async function nmiRefund(opts) {
+    const { securityKey, transactionId, amount, transactUrl } = opts;
+    if (!transactionId) {
+        return { ok: false, responseText: 'transactionId required', fields: {}, transactionId: null };
+    }
+    const url = transactUrl || getNmiTransactUrl();
+    const body = new URLSearchParams();
+    body.set('security_key', securityKey);
+    body.set('type', 'refund');
+    body.set('transactionid', String(transactionId));
+    if (amount) {
+        body.set('amount', amount);
+    }
+
+    const res = await axios.post(url, body.toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: 60000,
+        validateStatus: () => true
+    });
+
+    const fields = parseNmiBody(res.data);
+    const responseCode = String(fields.response ?? '');
+    return {
+        ok: responseCode === '1',
+        fields,
+        responseCode,
+        responseText: String(fields.responsetext || 'Unknown gateway response'),
+        transactionId: fields.transactionid ? String(fields.transactionid) : null
+    };
+}
+
+module.exports = { nmiSale, nmiPoiSale, nmiVaultAddCustomer, nmiVaultSale, nmiVoid, nmiRefund, parseNmiBody };
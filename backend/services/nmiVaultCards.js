@@ -1,6 +1,10 @@
 'use strict';
 
-const { nmiVaultAddCustomer, nmiVaultSale } = require('./nmiGateway');
+const { nmiSale, nmiVaultAddCustomer, nmiVaultSale } = require('./nmiGateway');
+
+function vaultSecurityKey() {
+    return process.env.NMI_PRIVATE_API_KEY || process.env.NMI_API_KEY;
+}
 
 async function listUserVaultCards(pool, userId) {
     const [rows] = await pool.execute(
@@ -23,7 +27,7 @@ async function listUserVaultCards(pool, userId) {
 }
 
 async function saveVaultCard(pool, userId, { paymentToken, setAsDefault, cardholderName }) {
-    const securityKey = process.env.NMI_PRIVATE_API_KEY || process.env.NMI_API_KEY;
+    const securityKey = vaultSecurityKey();
     if (!securityKey) {
         const err = new Error('NMI not configured');
         err.code = 'NMI_NOT_CONFIGURED';
@@ -80,26 +84,59 @@ async function saveVaultCard(pool, userId, { paymentToken, setAsDefault, cardhol
     }
 }
 
-async function chargeVaultCard(pool, userId, cardId, amount) {
-    const securityKey = process.env.NMI_PRIVATE_API_KEY || process.env.NMI_API_KEY;
+/** Vault ids for one of the user's saved cards, or null. */
+async function loadVaultCardReference(pool, userId, cardId) {
     const [rows] = await pool.execute(
-        `SELECT id, nmi_customer_vault_id, nmi_billing_id FROM payment_cards
+        `SELECT id, last4, nmi_customer_vault_id, nmi_billing_id FROM payment_cards
          WHERE id = ? AND user_id = ? AND is_active = 1 AND deleted_at IS NULL`,
         [cardId, userId]
     );
     const card = rows[0];
-    if (!card?.nmi_customer_vault_id || !card?.nmi_billing_id) {
+    if (!card?.nmi_customer_vault_id || !card?.nmi_billing_id) return null;
+    return { customerVaultId: card.nmi_customer_vault_id, billingId: card.nmi_billing_id, last4: card.last4 || null };
+}
+
+async function chargeVaultCard(pool, userId, cardId, amount) {
+    const card = await loadVaultCardReference(pool, userId, cardId);
+    if (!card) {
         const err = new Error('Saved card not found');
         err.code = 'CARD_NOT_FOUND';
         throw err;
     }
-    const sale = await nmiVaultSale({
-        securityKey,
+    return chargeVaultReference(card, amount);
+}
+
+/**
+ * Sale with a Collect.js token that also stores the card in the NMI customer vault, so it can be
+ * charged later (e.g. an appointment no-show fee) without becoming one of the customer's saved cards.
+ * @returns {Promise<{ ok: boolean, responseText: string, transactionId: string | null, vault: { customerVaultId: string, billingId: string | null, last4: string | null } | null }>}
+ */
+async function saleAndVaultCard(paymentToken, amount) {
+    const sale = await nmiSale({
+        securityKey: vaultSecurityKey(),
+        amount: Number(amount).toFixed(2),
+        paymentToken,
+        customerVaultAction: 'add_customer'
+    });
+    const fields = sale.fields || {};
+    const vault = fields.customer_vault_id
+        ? {
+              customerVaultId: String(fields.customer_vault_id),
+              billingId: fields.billing_id ? String(fields.billing_id) : null,
+              last4: fields.cc_number ? String(fields.cc_number).slice(-4) : null
+          }
+        : null;
+    return { ...sale, vault };
+}
+
+/** Charges a vault reference from loadVaultCardReference / saleAndVaultCard. */
+async function chargeVaultReference({ customerVaultId, billingId }, amount) {
+    return nmiVaultSale({
+        securityKey: vaultSecurityKey(),
         amount: Number(amount).toFixed(2),
-        customerVaultId: card.nmi_customer_vault_id,
-        billingId: card.nmi_billing_id
+        customerVaultId,
+        billingId
     });
-    return sale;
 }
 
 async function deleteVaultCard(pool, userId, cardId) {
@@ -112,6 +149,9 @@ async function deleteVaultCard(pool, userId, cardId) {
 module.exports = {
     listUserVaultCards,
     saveVaultCard,
+    loadVaultCardReference,
     chargeVaultCard,
+    saleAndVaultCard,
+    chargeVaultReference,
     deleteVaultCard
 };
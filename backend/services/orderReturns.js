@@ -0,0 +1,992 @@
+'use strict';
+
+/**
+ * Customer returns (RMA) for shipped web orders.
+ *
+ * A customer requests a return for some or all of the units on an order from the account page.
+ * An admin approves it (a prepaid Shippo return label is bought and emailed) or rejects it; when
+ * the parcel arrives the resellable units are restocked through InventoryService, and the refund
+ * goes back to the original tenders — card first (NMI refund, void fallback), then gift cards,
+ * store credit and points through orderTenderReversal — with the matching share of earned loyalty
+ * clawed back.
+ *
+ * Settings (env):
+ *   RETURN_WINDOW_DAYS   days after delivery (or shipment, without a delivery scan) a return may be requested
+ */
+
+const logger = require('../utils/logger');
+const { sendMail } = require('../utils/mailTransporter');
+const { getStorefrontPublicBaseUrl } = require('../utils/storefrontUrl');
+const { wrapHmHerbsEmail, BRAND } = require('./giftCardDeliveryEmail');
+const InventoryService = require('./inventory');
+const { queueRestockAlerts } = require('./stockAlerts');
+const { purchaseReturnLabel } = require('./shippingService');
+const { nmiRefund, nmiVoid } = require('./nmiGateway');
+const { loadStorePaymentProcessor, resolveProcessorCredentials } = require('./storePaymentProcessor');
+const { refundWalletTender, clawBackLoyaltyEarnShare } = require('./orderTenderReversal');
+const { recalcUserOrderAggregates } = require('./finalizePaidOrder');
+
+const RETURN_REASONS = Object.freeze({
+    damaged: 'Arrived damaged',
+    wrong_item: 'Wrong item received',
+    not_as_described: 'Not as described',
+    no_longer_needed: 'No longer needed',
+    other: 'Other'
+});
+const RETURNABLE_ORDER_STATUSES = ['shipped', 'in_transit', 'delivered'];
+/** Returns that still hold their units (rejected / cancelled ones free them up again). */
+const ACTIVE_RETURN_STATUSES = ['requested', 'approved', 'received', 'refunding', 'refunded'];
+const ITEM_CONDITIONS = ['resellable', 'damaged', 'missing'];
+/** Refund order: the card is made whole first, then wallet tenders. */
+const TENDER_PRIORITY = ['card_terminal', 'gift_card', 'loyalty_cash', 'loyalty_points'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function returnsError(message, status, code) {
+    return Object.assign(new Error(message), { status, code });
+}
+
+function roundMoney(value) {
+    return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function formatMoney(value) {
+    return `$${roundMoney(value).toFixed(2)}`;
+}
+
+function escapeHtml(str) {
+    return String(str || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function returnWindowDays(env = process.env) {
+    const days = Math.floor(Number(env.RETURN_WINDOW_DAYS));
+    return Number.isFinite(days) && days > 0 ? days : 30;
+}
+
+/** Whether an order can take a new return request, and until when. */
+function returnEligibility(order, { windowDays = returnWindowDays(), now = new Date() } = {}) {
+    const status = String(order.status || '').toLowerCase();
+    if (String(order.sales_channel || 'online').toLowerCase() === 'in_store') {
+        return { eligible: false, deadline: null, message: 'In-store purchases are returned at the register.' };
+    }
+    if (order.payment_status !== 'paid' || !RETURNABLE_ORDER_STATUSES.includes(status)) {
+        return { eligible: false, deadline: null, message: 'Returns open once your order has shipped.' };
+    }
+    const anchor = order.delivered_at || order.shipped_at || order.label_created_at || order.created_at;
+    const deadline = new Date(new Date(anchor).getTime() + windowDays * DAY_MS);
+    if (now > deadline) {
+        return { eligible: false, deadline, message: `The ${windowDays}-day return window for this order has closed.` };
+    }
+    return { eligible: true, deadline, message: null };
+}
+
+/**
+ * Refund owed for `quantity` units of an order line: the line's share of the order discount comes
+ * off and its share of the tax goes back on. Shipping is not refunded.
+ */
+function lineRefundAmount(order, line, quantity) {
+    const subtotal = Number(order.subtotal) || 0;
+    const lineQty = Number(line.quantity) || 0;
+    const lineTotal = line.total != null ? Number(line.total) : Number(line.price) * lineQty;
+    if (subtotal <= 0 || lineQty <= 0 || !(lineTotal > 0)) return 0;
+    const share = lineTotal / subtotal;
+    const net = lineTotal - (Number(order.discount_amount) || 0) * share + (Number(order.tax_amount) || 0) * share;
+    return roundMoney((Math.max(0, net) * Math.min(quantity, lineQty)) / lineQty);
+}
+
+/**
+ * Split a refund across the order's tenders in TENDER_PRIORITY order, never exceeding what each
+ * tender paid minus what earlier returns already gave back. `unallocated` is what no tender covers.
+ */
+function allocateRefund(amount, tenders) {
+    let left = roundMoney(amount);
+    const ordered = [...tenders].sort((a, b) => TENDER_PRIORITY.indexOf(a.type) - TENDER_PRIORITY.indexOf(b.type));
+    const allocations = [];
+    for (const tender of ordered) {
+        if (left <= 0) break;
+        const available = roundMoney(Number(tender.amount) - Number(tender.refunded || 0));
+        const take = roundMoney(Math.min(available, left));
+        if (take <= 0) continue;
+        allocations.push({ ...tender, refund: take });
+        left = roundMoney(left - take);
+    }
+    return { allocations, unallocated: Math.max(0, left) };
+}
+
+/** NMI transaction id for the card portion (same check as order cancellation). */
+function cardTransactionId(order, cardTenderRef) {
+    const payRef = String(order.payment_reference || '').trim();
+    if (payRef && !/^(gift_card|web|pos|processing):/.test(payRef)) return payRef;
+    const tail = String(cardTenderRef || '').split(':').pop();
+    return tail && tail !== 'na' ? tail : null;
+}
+
+async function loadOrderTenders(pool, order) {
+    let rows = [];
+    try {
+        [rows] = await pool.execute(
+            `SELECT tender_type, amount, gift_card_id, loyalty_points, payment_reference
+               FROM order_payment_tenders
+              WHERE order_id = ?
+              ORDER BY id`,
+            [order.id]
+        );
+    } catch (e) {
+        if (e.code !== 'ER_NO_SUCH_TABLE') throw e;
+    }
+    const [refundedRows] = await pool.execute(
+        `SELECT tender_type, gift_card_id, SUM(amount) AS amount
+           FROM order_return_refunds
+          WHERE order_id = ?
+          GROUP BY tender_type, gift_card_id`,
+        [order.id]
+    );
+    const refunded = new Map(
+        refundedRows.map((r) => [`${r.tender_type}:${r.gift_card_id || ''}`, roundMoney(r.amount)])
+    );
+
+    const grouped = new Map();
+    for (const row of rows) {
+        if (!TENDER_PRIORITY.includes(row.tender_type)) continue;
+        const key = `${row.tender_type}:${row.gift_card_id || ''}`;
+        const entry = grouped.get(key) || {
+            type: row.tender_type,
+            giftCardId: row.gift_card_id || null,
+            amount: 0,
+            loyaltyPoints: 0,
+            reference: null,
+            refunded: refunded.get(key) || 0
+        };
+        entry.amount = roundMoney(entry.amount + Number(row.amount));
+        entry.loyaltyPoints += Number(row.loyalty_points) || 0;
+        entry.reference = entry.reference || row.payment_reference || null;
+        grouped.set(key, entry);
+    }
+
+    const tenders = [...grouped.values()];
+    const card = tenders.find((t) => t.type === 'card_terminal');
+    if (card) {
+        card.reference = cardTransactionId(order, card.reference);
+    } else {
+        const walletPaid = tenders.reduce((acc, t) => acc + t.amount, 0);
+        const reference = cardTransactionId(order, null);
+        const cardPaid = roundMoney(Number(order.total_amount) - walletPaid);
+        if (reference && cardPaid > 0) {
+            tenders.push({
+                type: 'card_terminal',
+                giftCardId: null,
+                amount: cardPaid,
+                loyaltyPoints: 0,
+                reference,
+                refunded: refunded.get('card_terminal:') || 0
+            });
+        }
+    }
+    return tenders;
+}
+
+async function loadOrder(pool, orderId, userId = null) {
+    const [[order]] = await pool.execute(
+        userId
+            ? 'SELECT * FROM orders WHERE id = ? AND user_id = ? LIMIT 1'
+            : 'SELECT * FROM orders WHERE id = ? LIMIT 1',
+        userId ? [orderId, userId] : [orderId]
+    );
+    return order || null;
+}
+
+/** Order lines with how many units are still returnable (gift cards never are). */
+async function returnableLines(pool, order) {
+    const [lines] = await pool.execute(
+        `SELECT oi.id, oi.product_id, oi.variant_id, oi.product_name, oi.quantity, oi.price, oi.total,
+                p.gift_card_type,
+                (SELECT COALESCE(SUM(ri.quantity), 0)
+                   FROM order_return_items ri
+                   JOIN order_returns r ON r.id = ri.return_id
+                  WHERE ri.order_item_id = oi.id
+                    AND r.status IN (${ACTIVE_RETURN_STATUSES.map(() => '?').join(', ')})) AS returned_quantity
+           FROM order_items oi
+           LEFT JOIN products p ON p.id = oi.product_id
+          WHERE oi.order_id = ?
+          ORDER BY oi.id ASC`,
+        [...ACTIVE_RETURN_STATUSES, order.id]
+    );
+    return lines.map((line) => {
+        const quantity = Number(line.quantity) || 0;
+        const returned = Number(line.returned_quantity) || 0;
+        const returnable = line.gift_card_type ? 0 : Math.max(0, quantity - returned);
+        return {
+            orderItemId: line.id,
+            productId: line.product_id,
+            variantId: line.variant_id,
+            name: line.product_name,
+            quantity,
+            returnedQuantity: returned,
+            returnableQuantity: returnable,
+            giftCard: Boolean(line.gift_card_type),
+            unitRefund: quantity > 0 ? lineRefundAmount(order, line, 1) : 0,
+            _row: line
+        };
+    });
+}
+
+function publicLine({ _row, ...line }) {
+    return line;
+}
+
+async function loadReturnItems(pool, returnIds) {
+    if (!returnIds.length) return new Map();
+    const [rows] = await pool.execute(
+        `SELECT ri.*, oi.product_name, oi.product_sku
+           FROM order_return_items ri
+           JOIN order_items oi ON oi.id = ri.order_item_id
+          WHERE ri.return_id IN (${returnIds.map(() => '?').join(', ')})
+          ORDER BY ri.id ASC`,
+        returnIds
+    );
+    const byReturn = new Map();
+    for (const row of rows) {
+        const list = byReturn.get(row.return_id) || [];
+        list.push({
+            id: row.id,
+            orderItemId: row.order_item_id,
+            productId: row.product_id,
+            variantId: row.variant_id,
+            name: row.product_name,
+            sku: row.product_sku || null,
+            quantity: Number(row.quantity),
+            refundAmount: roundMoney(row.refund_amount),
+            restockQuantity: Number(row.restock_quantity) || 0,
+            condition: row.item_condition || null
+        });
+        byReturn.set(row.return_id, list);
+    }
+    return byReturn;
+}
+
+function mapReturn(row, items = []) {
+    return {
+        id: row.id,
+        rmaNumber: row.rma_number,
+        orderId: row.order_id,
+        orderNumber: row.order_number || null,
+        status: row.status,
+        reason: row.reason,
+        reasonLabel: RETURN_REASONS[row.reason] || row.reason,
+        customerNotes: row.customer_notes || null,
+        adminNotes: row.admin_notes || null,
+        refundEstimate: roundMoney(row.refund_estimate),
+        refundAmount: row.refund_amount != null ? roundMoney(row.refund_amount) : null,
+        label: row.return_label_url
+            ? {
+                url: row.return_label_url,
+                trackingNumber: row.return_tracking_number || null,
+                trackingUrl: row.return_tracking_url || null,
+                carrier: row.return_carrier || null
+            }
+            : null,
+        createdAt: row.created_at,
+        approvedAt: row.approved_at || null,
+        receivedAt: row.received_at || null,
+        refundedAt: row.refunded_at || null,
+        items
+    };
+}
+
+async function listReturnsForOrder(pool, orderId) {
+    const [rows] = await pool.execute(
+        `SELECT r.*, o.order_number
+           FROM order_returns r
+           JOIN orders o ON o.id = r.order_id
+          WHERE r.order_id = ?
+          ORDER BY r.created_at DESC, r.id DESC`,
+        [orderId]
+    );
+    const items = await loadReturnItems(pool, rows.map((r) => r.id));
+    return rows.map((r) => mapReturn(r, items.get(r.id) || []));
+}
+
+/** What the account page needs to offer a return on one order. */
+async function getReturnOptions(pool, userId, orderId) {
+    const order = await loadOrder(pool, orderId, userId);
+    if (!order) throw returnsError('Order not found', 404, 'NOT_FOUND');
+    const eligibility = returnEligibility(order);
+    const lines = eligibility.eligible ? await returnableLines(pool, order) : [];
+    return {
+        eligible: eligibility.eligible && lines.some((l) => l.returnableQuantity > 0),
+        message: eligibility.message,
+        deadline: eligibility.deadline,
+        reasons: Object.entries(RETURN_REASONS).map(([value, label]) => ({ value, label })),
+        lines: lines.map(publicLine),
+        returns: await listReturnsForOrder(pool, order.id)
+    };
+}
+
+async function nextRmaNumber(pool, order) {
+    const [[row]] = await pool.execute('SELECT COUNT(*) AS c FROM order_returns WHERE order_id = ?', [order.id]);
+    return `${order.order_number || `ORDER-${order.id}`}-R${(Number(row.c) || 0) + 1}`;
+}
+
+function storeUrl(path) {
+    return `${getStorefrontPublicBaseUrl()}/${path}`;
+}
+
+function itemListHtml(items) {
+    return items
+        .map((item) => `<li>${escapeHtml(item.name)} &times; ${Number(item.quantity)}</li>`)
+        .join('');
+}
+
+async function emailCustomer(order, { subject, headline, bodyHtml, text, logTag }) {
+    if (!order.email) return;
+    try {
+        await sendMail({
+            to: order.email,
+            subject,
+            html: wrapHmHerbsEmail({ headline, bodyHtml, preheader: subject }),
+            text,
+            logTag
+        });
+    } catch (err) {
+        logger.warn(`[returns] ${logTag} email failed for order ${order.id}: ${err.message}`);
+    }
+}
+
+/**
+ * Customer return request: `items` is [{ orderItemId, quantity }] for lines on their own order.
+ */
+async function createReturnRequest(pool, userId, { orderId, items, reason, notes }) {
+    const order = await loadOrder(pool, orderId, userId);
+    if (!order) throw returnsError('Order not found', 404, 'NOT_FOUND');
+    const eligibility = returnEligibility(order);
+    if (!eligibility.eligible) throw returnsError(eligibility.message, 400, 'NOT_RETURNABLE');
+    if (!Object.prototype.hasOwnProperty.call(RETURN_REASONS, reason)) {
+        throw returnsError('Choose a return reason', 400, 'INVALID_REASON');
+    }
+    const note = String(notes || '').trim().slice(0, 2000) || null;
+    if (reason === 'other' && !note) {
+        throw returnsError('Tell us a little about why you are returning these items', 400, 'NOTES_REQUIRED');
+    }
+
+    const lines = new Map((await returnableLines(pool, order)).map((l) => [l.orderItemId, l]));
+    const requested = new Map();
+    for (const item of Array.isArray(items) ? items : []) {
+        const id = Number(item.orderItemId);
+        const qty = Math.floor(Number(item.quantity));
+        if (!Number.isInteger(id) || !Number.isFinite(qty) || qty <= 0) continue;
+        requested.set(id, (requested.get(id) || 0) + qty);
+    }
+    if (!requested.size) throw returnsError('Select at least one item to return', 400, 'NO_ITEMS');
+
+    const picked = [];
+    for (const [orderItemId, quantity] of requested) {
+        const line = lines.get(orderItemId);
+        if (!line) throw returnsError('Item is not on this order', 400, 'INVALID_ITEM');
+        if (quantity > line.returnableQuantity) {
+            throw returnsError(
+                line.giftCard
+                    ? `${line.name} cannot be returned`
+                    : `Only ${line.returnableQuantity} of ${line.name} can be returned`,
+                400,
+                'QUANTITY_EXCEEDED'
+            );
+        }
+        picked.push({ line, quantity, refund: lineRefundAmount(order, line._row, quantity) });
+    }
+    const estimate = roundMoney(picked.reduce((acc, p) => acc + p.refund, 0));
+
+    const connection = await pool.getConnection();
+    let returnId;
+    let rmaNumber;
+    try {
+        await connection.beginTransaction();
+        rmaNumber = await nextRmaNumber(connection, order);
+        const [result] = await connection.execute(
+            `INSERT INTO order_returns (rma_number, order_id, user_id, reason, customer_notes, refund_estimate)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [rmaNumber, order.id, userId, reason, note, estimate]
+        );
+        returnId = result.insertId;
+        for (const p of picked) {
+            await connection.execute(
+                `INSERT INTO order_return_items (return_id, order_item_id, product_id, variant_id, quantity, refund_amount)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [returnId, p.line.orderItemId, p.line.productId, p.line.variantId || null, p.quantity, p.refund]
+            );
+        }
+        await connection.commit();
+    } catch (err) {
+        await connection.rollback();
+        throw err;
+    } finally {
+        connection.release();
+    }
+
+    logger.info('Return requested', { returnId, rmaNumber, orderId: order.id, userId });
+    const summary = picked.map((p) => ({ name: p.line.name, quantity: p.quantity }));
+    void emailCustomer(order, {
+        subject: `We received your return request ${rmaNumber}`,
+        headline: 'Return request received',
+        bodyHtml: `
+            <p>Thanks &mdash; we have your return request <strong>${escapeHtml(rmaNumber)}</strong> for order ${escapeHtml(order.order_number)}:</p>
+            <ul>${itemListHtml(summary)}</ul>
+            <p>Estimated refund: <strong>${formatMoney(estimate)}</strong>. We will email you a prepaid return label once the request is approved, usually within one business day.</p>`,
+        text: [
+            `We have your return request ${rmaNumber} for order ${order.order_number}:`,
+            ...summary.map((s) => `- ${s.name} x${s.quantity}`),
+            `Estimated refund: ${formatMoney(estimate)}`,
+            'We will email you a prepaid return label once the request is approved.'
+        ].join('\n'),
+        logTag: 'return-requested'
+    });
+
+    return getCustomerReturn(pool, userId, returnId);
+}
+
+async function getCustomerReturn(pool, userId, returnId) {
+    const [[row]] = await pool.execute(
+        `SELECT r.*, o.order_number
+           FROM order_returns r
+           JOIN orders o ON o.id = r.order_id
+          WHERE r.id = ? AND r.user_id = ?
+          LIMIT 1`,
+        [returnId, userId]
+    );
+    if (!row) throw returnsError('Return not found', 404, 'NOT_FOUND');
+    const items = await loadReturnItems(pool, [row.id]);
+    return mapReturn(row, items.get(row.id) || []);
+}
+
+async function listCustomerReturns(pool, userId) {
+    const [rows] = await pool.execute(
+        `SELECT r.*, o.order_number
+           FROM order_returns r
+           JOIN orders o ON o.id = r.order_id
+          WHERE r.user_id = ?
+          ORDER BY r.created_at DESC, r.id DESC
+          LIMIT 100`,
+        [userId]
+    );
+    const items = await loadReturnItems(pool, rows.map((r) => r.id));
+    return rows.map((r) => mapReturn(r, items.get(r.id) || []));
+}
+
+async function cancelReturnRequest(pool, userId, returnId) {
+    const [result] = await pool.execute(
+        `UPDATE order_returns
+            SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP
+          WHERE id = ? AND user_id = ? AND status = 'requested'`,
+        [returnId, userId]
+    );
+    if (!result.affectedRows) {
+        await getCustomerReturn(pool, userId, returnId);
+        throw returnsError('Only returns that have not been approved yet can be cancelled', 409, 'NOT_CANCELLABLE');
+    }
+    return getCustomerReturn(pool, userId, returnId);
+}
+
+// ---------------------------------------------------------------- admin
+
+async function loadReturnRow(pool, returnId, { forUpdate = false } = {}) {
+    const [[row]] = await pool.execute(
+        `SELECT r.*, o.order_number
+           FROM order_returns r
+           JOIN orders o ON o.id = r.order_id
+          WHERE r.id = ?
+          LIMIT 1${forUpdate ? ' FOR UPDATE' : ''}`,
+        [returnId]
+    );
+    if (!row) throw returnsError('Return not found', 404, 'NOT_FOUND');
+    return row;
+}
+
+function assertStatus(row, allowed, action) {
+    if (!allowed.includes(row.status)) {
+        throw returnsError(`Return ${row.rma_number} is ${row.status} and cannot be ${action}`, 409, 'INVALID_STATUS');
+    }
+}
+
+async function listReturns(pool, { status, search, page, limit } = {}) {
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(limit, 10) || 25));
+    const where = [];
+    const params = [];
+    if (status) {
+        where.push('r.status = ?');
+        params.push(status);
+    }
+    const term = String(search || '').trim();
+    if (term) {
+        where.push('(r.rma_number LIKE ? OR o.order_number LIKE ? OR o.email LIKE ?)');
+        params.push(`%${term}%`, `%${term}%`, `%${term}%`);
+    }
+    const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+    const [rows] = await pool.query(
+        `SELECT r.*, o.order_number, o.email, o.shipping_first_name, o.shipping_last_name
+           FROM order_returns r
+           JOIN orders o ON o.id = r.order_id
+           ${whereSql}
+          ORDER BY r.created_at DESC, r.id DESC
+          LIMIT ${pageSize} OFFSET ${(pageNum - 1) * pageSize}`,
+        params
+    );
+    const [[{ total }]] = await pool.query(
+        `SELECT COUNT(*) AS total FROM order_returns r JOIN orders o ON o.id = r.order_id ${whereSql}`,
+        params
+    );
+    const [countRows] = await pool.query('SELECT status, COUNT(*) AS c FROM order_returns GROUP BY status');
+    const items = await loadReturnItems(pool, rows.map((r) => r.id));
+
+    return {
+        returns: rows.map((r) => ({
+            ...mapReturn(r, items.get(r.id) || []),
+            customer: {
+                email: r.email,
+                name: [r.shipping_first_name, r.shipping_last_name].filter(Boolean).join(' ') || null
+            }
+        })),
+        counts: Object.fromEntries(countRows.map((c) => [c.status, Number(c.c)])),
+        pagination: { page: pageNum, limit: pageSize, total: Number(total), totalPages: Math.max(1, Math.ceil(total / pageSize)) }
+    };
+}
+
+/** Admin detail: the return, its order and how a refund would be split across tenders. */
+async function getReturn(pool, returnId) {
+    const row = await loadReturnRow(pool, returnId);
+    const order = await loadOrder(pool, row.order_id);
+    const items = (await loadReturnItems(pool, [row.id])).get(row.id) || [];
+    const tenders = await loadOrderTenders(pool, order);
+    const [refunds] = await pool.execute(
+        `SELECT tender_type, gift_card_id, amount, gateway_transaction_id, gateway_method, created_at
+           FROM order_return_refunds WHERE return_id = ? ORDER BY id`,
+        [row.id]
+    );
+    const suggested = roundMoney(items.reduce((acc, i) => acc + i.refundAmount, 0));
+    const preview = allocateRefund(suggested, tenders);
+    return {
+        ...mapReturn(row, items),
+        order: {
+            id: order.id,
+            orderNumber: order.order_number,
+            email: order.email,
+            status: order.status,
+            total: roundMoney(order.total_amount),
+            createdAt: order.created_at,
+            shipTo: [order.shipping_first_name, order.shipping_last_name].filter(Boolean).join(' ')
+        },
+        tenders: tenders.map(({ reference, ...t }) => ({ ...t, hasGatewayReference: Boolean(reference) })),
+        refundPreview: {
+            amount: suggested,
+            allocations: preview.allocations.map((a) => ({ type: a.type, giftCardId: a.giftCardId, amount: a.refund })),
+            unallocated: preview.unallocated
+        },
+        refunds: refunds.map((r) => ({
+            type: r.tender_type,
+            giftCardId: r.gift_card_id,
+            amount: roundMoney(r.amount),
+            transactionId: r.gateway_transaction_id,
+            method: r.gateway_method,
+            createdAt: r.created_at
+        }))
+    };
+}
+
+const LABEL_ERROR_MESSAGES = {
+    SHIPPO_NOT_CONFIGURED: 'Shippo is not configured — approve without a label or add the API token',
+    SHIP_ORIGIN_NOT_CONFIGURED: 'Set the store ship-from address before buying return labels',
+    INVALID_PACKAGE_WEIGHT: 'Product weights are missing — enter the package weight',
+    NO_RATES_AVAILABLE: 'No carrier rates were returned for this return'
+};
+
+async function approveReturn(pool, returnId, { adminId, generateLabel = true, packageWeightOz, notes } = {}) {
+    const row = await loadReturnRow(pool, returnId);
+    assertStatus(row, ['requested'], 'approved');
+    const order = await loadOrder(pool, row.order_id);
+    const items = (await loadReturnItems(pool, [row.id])).get(row.id) || [];
+
+    let label = null;
+    if (generateLabel) {
+        try {
+            label = await purchaseReturnLabel(
+                pool,
+                order,
+                items.map((i) => ({ product_id: i.productId, variant_id: i.variantId, quantity: i.quantity })),
+                { packageWeightOz }
+            );
+        } catch (err) {
+            if (LABEL_ERROR_MESSAGES[err.code]) throw returnsError(LABEL_ERROR_MESSAGES[err.code], 400, err.code);
+            logger.error(`[returns] return label purchase failed for ${row.rma_number}:`, err);
+            throw returnsError(`Return label purchase failed: ${err.message}`, 502, 'LABEL_PURCHASE_FAILED');
+        }
+    }
+
+    const note = String(notes || '').trim().slice(0, 2000) || null;
+    await pool.execute(
+        `UPDATE order_returns
+            SET status = 'approved',
+                approved_by = ?,
+                approved_at = CURRENT_TIMESTAMP,
+                admin_notes = COALESCE(?, admin_notes),
+                shippo_transaction_id = ?,
+                return_label_url = ?,
+                return_tracking_number = ?,
+                return_tracking_url = ?,
+                return_carrier = ?,
+                return_label_cost = ?
+          WHERE id = ? AND status = 'requested'`,
+        [
+            adminId || null,
+            note,
+            label?.transaction_id || null,
+            label?.label_url || null,
+            label?.tracking_number || null,
+            label?.tracking_url || null,
+            label?.carrier || null,
+            label?.amount ?? null,
+            row.id
+        ]
+    );
+    logger.info('Return approved', { returnId: row.id, rmaNumber: row.rma_number, adminId, label: Boolean(label) });
+
+    const labelHtml = label?.label_url
+        ? `<p style="text-align:center;margin:24px 0;">
+               <a href="${escapeHtml(label.label_url)}" style="background:${BRAND.primary};color:#fff;padding:12px 24px;border-radius:6px;text-decoration:none;font-weight:bold;">Print return label</a>
+           </p>
+           <p>Pack the items securely, attach the label and drop the parcel off with ${escapeHtml(label.carrier || 'the carrier')}.</p>`
+        : '<p>Please ship the items back to our store and include your RMA number inside the parcel.</p>';
+    void emailCustomer(order, {
+        subject: `Your return ${row.rma_number} is approved`,
+        headline: 'Return approved',
+        bodyHtml: `
+            <p>Your return <strong>${escapeHtml(row.rma_number)}</strong> for order ${escapeHtml(order.order_number)} has been approved:</p>
+            <ul>${itemListHtml(items)}</ul>
+            ${labelHtml}
+            <p>We will refund you as soon as the items arrive.</p>
+            <p style="color:${BRAND.textMuted};">Track your return anytime from <a href="${escapeHtml(storeUrl('account.html#orders'))}">your account</a>.</p>`,
+        text: [
+            `Your return ${row.rma_number} for order ${order.order_number} has been approved.`,
+            ...items.map((i) => `- ${i.name} x${i.quantity}`),
+            label?.label_url ? `Print your prepaid label: ${label.label_url}` : 'Please ship the items back to our store with your RMA number inside.',
+            'We will refund you as soon as the items arrive.'
+        ].join('\n'),
+        logTag: 'return-approved'
+    });
+
+    return getReturn(pool, row.id);
+}
+
+async function rejectReturn(pool, returnId, { adminId, notes } = {}) {
+    const row = await loadReturnRow(pool, returnId);
+    assertStatus(row, ['requested', 'approved'], 'rejected');
+    const note = String(notes || '').trim().slice(0, 2000);
+    if (!note) throw returnsError('Give the customer a reason for the rejection', 400, 'NOTES_REQUIRED');
+    await pool.execute(
+        `UPDATE order_returns
+            SET status = 'rejected', rejected_at = CURRENT_TIMESTAMP, admin_notes = ?, approved_by = COALESCE(approved_by, ?)
+          WHERE id = ?`,
+        [note, adminId || null, row.id]
+    );
+    logger.info('Return rejected', { returnId: row.id, rmaNumber: row.rma_number, adminId });
+
+    const order = await loadOrder(pool, row.order_id);
+    void emailCustomer(order, {
+        subject: `Update on your return ${row.rma_number}`,
+        headline: 'Return not approved',
+        bodyHtml: `
+            <p>We are sorry &mdash; we cannot accept return <strong>${escapeHtml(row.rma_number)}</strong> for order ${escapeHtml(order.order_number)}.</p>
+            <p style="padding:12px;border:1px solid ${BRAND.border};border-radius:6px;">${escapeHtml(note)}</p>
+            <p>Reply to this email if you have any questions.</p>`,
+        text: `We cannot accept return ${row.rma_number} for order ${order.order_number}.\n\n${note}\n\nReply to this email with any questions.`,
+        logTag: 'return-rejected'
+    });
+    return getReturn(pool, row.id);
+}
+
+/**
+ * Check the parcel in. `items` is [{ id, restockQuantity?, condition? }] per return item; units not
+ * listed are restocked in full as resellable. Restocked units go back through InventoryService.
+ */
+async function receiveReturn(pool, returnId, { adminId, items } = {}) {
+    const row = await loadReturnRow(pool, returnId);
+    assertStatus(row, ['approved'], 'received');
+    const returnItems = (await loadReturnItems(pool, [row.id])).get(row.id) || [];
+    const overrides = new Map((Array.isArray(items) ? items : []).map((i) => [Number(i.id), i]));
+
+    const decisions = returnItems.map((item) => {
+        const override = overrides.get(item.id) || {};
+        const condition = ITEM_CONDITIONS.includes(override.condition) ? override.condition : 'resellable';
+        const requestedRestock = override.restockQuantity != null
+            ? Math.floor(Number(override.restockQuantity))
+            : condition === 'resellable' ? item.quantity : 0;
+        if (!Number.isFinite(requestedRestock) || requestedRestock < 0 || requestedRestock > item.quantity) {
+            throw returnsError(`Restock quantity for ${item.name} must be between 0 and ${item.quantity}`, 400, 'INVALID_QUANTITY');
+        }
+        return { item, condition, restock: requestedRestock };
+    });
+
+    const connection = await pool.getConnection();
+    let restored = [];
+    try {
+        await connection.beginTransaction();
+        const locked = await loadReturnRow(connection, row.id, { forUpdate: true });
+        assertStatus(locked, ['approved'], 'received');
+        for (const d of decisions) {
+            await connection.execute(
+                'UPDATE order_return_items SET restock_quantity = ?, item_condition = ? WHERE id = ?',
+                [d.restock, d.condition, d.item.id]
+            );
+        }
+        const toRestock = decisions
+            .filter((d) => d.restock > 0)
+            .map((d) => ({ productId: d.item.productId, variantId: d.item.variantId, quantity: d.restock }));
+        if (toRestock.length) {
+            restored = await new InventoryService(pool).restoreInventoryForOrder(
+                toRestock,
+                row.order_id,
+                `Return ${row.rma_number} received`,
+                connection
+            );
+        }
+        await connection.execute(
+            `UPDATE order_returns
+                SET status = 'received', received_by = ?, received_at = CURRENT_TIMESTAMP
+              WHERE id = ?`,
+            [adminId || null, row.id]
+        );
+        await connection.commit();
+    } catch (err) {
+        await connection.rollback();
+        throw err;
+    } finally {
+        connection.release();
+    }
+
+    queueRestockAlerts(pool, restored);
+    logger.info('Return received', {
+        returnId: row.id,
+        rmaNumber: row.rma_number,
+        adminId,
+        restocked: decisions.reduce((acc, d) => acc + d.restock, 0)
+    });
+    return getReturn(pool, row.id);
+}
+
+async function refundCardTender(pool, tender, amount) {
+    if (!tender.reference) {
+        throw returnsError('The card payment has no gateway transaction to refund against', 409, 'CARD_REFERENCE_MISSING');
+    }
+    const processor = await loadStorePaymentProcessor(pool);
+    const securityKey = resolveProcessorCredentials(processor).privateKey;
+    if (!securityKey) throw returnsError('Card refunds are not configured', 503, 'PAYMENT_NOT_CONFIGURED');
+
+    const result = await nmiRefund({ securityKey, transactionId: tender.reference, amount: amount.toFixed(2) });
+    if (result.ok) return { transactionId: result.transactionId, method: 'refund' };
+
+    // Same-day sales have not settled yet and can only be voided, which reverses the whole charge.
+    const wholeCharge = Number(tender.refunded || 0) <= 0 && Math.abs(amount - Number(tender.amount)) < 0.01;
+    if (wholeCharge) {
+        const voided = await nmiVoid({ securityKey, transactionId: tender.reference });
+        if (voided.ok) return { transactionId: tender.reference, method: 'void' };
+    }
+    throw returnsError(`Card refund failed: ${result.responseText}`, 502, 'REFUND_FAILED');
+}
+
+async function insertRefundRow(db, row, allocation, gateway = {}) {
+    await db.execute(
+        `INSERT INTO order_return_refunds
+            (return_id, order_id, tender_type, gift_card_id, amount, gateway_transaction_id, gateway_method)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+            row.id,
+            row.order_id,
+            allocation.type,
+            allocation.giftCardId || null,
+            allocation.refund,
+            gateway.transactionId || null,
+            gateway.method || null
+        ]
+    );
+}
+
+/** Hands a return claimed for refund back to 'received'. Only safe while no money has moved. */
+async function releaseRefundClaim(pool, returnId) {
+    await pool
+        .execute("UPDATE order_returns SET status = 'received' WHERE id = ? AND status = 'refunding'", [returnId])
+        .catch((err) => logger.error('[returns] could not release refund claim:', err));
+}
+
+/**
+ * The card was refunded but the rest of the refund failed: the return stays 'refunding' so it
+ * cannot be refunded again, with a note for staff to finish it by hand.
+ */
+async function flagCardRefundForReview(pool, row, card, gateway) {
+    const note = `Card refund of ${formatMoney(card.refund)} went through (transaction ${gateway?.transactionId || 'unknown'}) but recording the refund failed. Finish this return by hand; do not refund the card again.`;
+    await pool
+        .execute(
+            `UPDATE order_returns
+                SET admin_notes = CONCAT(COALESCE(admin_notes, ''), IF(COALESCE(admin_notes, '') = '', '', '\n'), ?)
+              WHERE id = ?`,
+            [note, row.id]
+        )
+        .catch((err) => logger.error('[returns] could not flag return for review:', err));
+}
+
+/**
+ * Refund a received return to the original tenders. `amount` may lower the suggested refund
+ * (restocking fee, damaged units); it can never exceed it.
+ */
+async function refundReturn(pool, returnId, { adminId, amount } = {}) {
+    const row = await loadReturnRow(pool, returnId);
+    assertStatus(row, ['received'], 'refunded');
+    const order = await loadOrder(pool, row.order_id);
+    const items = (await loadReturnItems(pool, [row.id])).get(row.id) || [];
+    const suggested = roundMoney(items.reduce((acc, i) => acc + i.refundAmount, 0));
+    const refundTotal = amount == null || amount === '' ? suggested : roundMoney(amount);
+    if (!(refundTotal >= 0) || refundTotal > suggested) {
+        throw returnsError(`Refund must be between $0.00 and ${formatMoney(suggested)}`, 400, 'INVALID_AMOUNT');
+    }
+
+    // Claim the return before any money moves so a retried or double-clicked refund cannot pay out twice.
+    const [claim] = await pool.execute(
+        "UPDATE order_returns SET status = 'refunding' WHERE id = ? AND status = 'received'",
+        [row.id]
+    );
+    if (!claim.affectedRows) {
+        throw returnsError(`Return ${row.rma_number} is already being refunded`, 409, 'INVALID_STATUS');
+    }
+
+    let allocations;
+    let card;
+    let cardGateway = null;
+    try {
+        const tenders = await loadOrderTenders(pool, order);
+        let unallocated;
+        ({ allocations, unallocated } = allocateRefund(refundTotal, tenders));
+        if (unallocated > 0) {
+            throw returnsError(
+                `${formatMoney(unallocated)} exceeds what is left to refund on this order`,
+                409,
+                'REFUND_EXCEEDS_PAYMENTS'
+            );
+        }
+
+        // The card goes first and is recorded right away so a later database failure never hides money sent back.
+        card = allocations.find((a) => a.type === 'card_terminal');
+        if (card) {
+            cardGateway = await refundCardTender(pool, card, card.refund);
+            logger.info('Return card refund issued', { returnId: row.id, amount: card.refund, ...cardGateway });
+            await insertRefundRow(pool, row, card, cardGateway);
+        }
+    } catch (err) {
+        // Once the gateway has refunded the card, releasing the claim would let a retry refund it again.
+        if (cardGateway) {
+            logger.error(`[returns] card refund for ${row.rma_number} went through but was not recorded:`, err);
+            await flagCardRefundForReview(pool, row, card, cardGateway);
+        } else {
+            await releaseRefundClaim(pool, row.id);
+        }
+        throw err;
+    }
+
+    const paid = roundMoney(Number(order.total_amount) - Number(order.shipping_amount || 0));
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        for (const allocation of allocations.filter((a) => a.type !== 'card_terminal')) {
+            await refundWalletTender(connection, order.id, allocation, allocation.refund, {
+                userId: order.user_id,
+                returnId: row.id
+            });
+            await insertRefundRow(connection, row, allocation);
+        }
+        if (order.user_id && paid > 0) {
+            await clawBackLoyaltyEarnShare(connection, order.id, refundTotal / paid, { returnId: row.id });
+        }
+        await connection.execute(
+            `UPDATE order_returns
+                SET status = 'refunded', refund_amount = ?, refunded_by = ?, refunded_at = CURRENT_TIMESTAMP
+              WHERE id = ?`,
+            [refundTotal, adminId || null, row.id]
+        );
+
+        const [[totals]] = await connection.execute(
+            'SELECT COALESCE(SUM(amount), 0) AS refunded FROM order_return_refunds WHERE order_id = ?',
+            [order.id]
+        );
+        const fullyRefunded = roundMoney(totals.refunded) >= paid - 0.01;
+        await connection.execute(
+            `UPDATE orders
+                SET notes = CONCAT(COALESCE(notes, ''), IF(COALESCE(notes, '') = '', '', '\n'), ?),
+                    status = IF(?, 'refunded', status),
+                    payment_status = IF(?, 'refunded', payment_status)
+              WHERE id = ?`,
+            [`Return ${row.rma_number} refunded ${formatMoney(refundTotal)}`, fullyRefunded, fullyRefunded, order.id]
+        );
+        if (fullyRefunded && order.user_id) {
+            await recalcUserOrderAggregates(connection, order.user_id);
+        }
+        await connection.commit();
+    } catch (err) {
+        await connection.rollback();
+        if (card) {
+            logger.error(
+                `[returns] card refund of ${formatMoney(card.refund)} for ${row.rma_number} went through but the wallet/ledger update failed:`,
+                err
+            );
+            await flagCardRefundForReview(pool, row, card, cardGateway);
+        } else {
+            await releaseRefundClaim(pool, row.id);
+        }
+        throw err;
+    } finally {
+        connection.release();
+    }
+
+    logger.info('Return refunded', { returnId: row.id, rmaNumber: row.rma_number, amount: refundTotal, adminId });
+    const tenderLabels = {
+        card_terminal: 'your card',
+        gift_card: 'your gift card',
+        loyalty_cash: 'your store credit',
+        loyalty_points: 'your rewards points'
+    };
+    const splitLines = allocations.map((a) => `${formatMoney(a.refund)} to ${tenderLabels[a.type] || a.type}`);
+    void emailCustomer(order, {
+        subject: `Your refund for return ${row.rma_number}`,
+        headline: 'Your refund is on its way',
+        bodyHtml: `
+            <p>We received return <strong>${escapeHtml(row.rma_number)}</strong> and refunded <strong>${formatMoney(refundTotal)}</strong>:</p>
+            <ul>${splitLines.map((l) => `<li>${escapeHtml(l)}</li>`).join('')}</ul>
+            <p>Card refunds usually appear within 5&ndash;10 business days, depending on your bank.</p>`,
+        text: [
+            `We received return ${row.rma_number} and refunded ${formatMoney(refundTotal)}:`,
+            ...splitLines.map((l) => `- ${l}`),
+            'Card refunds usually appear within 5-10 business days.'
+        ].join('\n'),
+        logTag: 'return-refunded'
+    });
+
+    return getReturn(pool, row.id);
+}
+
+module.exports = {
+    RETURN_REASONS,
+    returnWindowDays,
+    returnEligibility,
+    lineRefundAmount,
+    allocateRefund,
+    getReturnOptions,
+    createReturnRequest,
+    listCustomerReturns,
+    getCustomerReturn,
+    cancelReturnRequest,
+    listReturns,
+    getReturn,
+    approveReturn,
+    rejectReturn,
+    receiveReturn,
+    refundReturn
+};
@@ -2,6 +2,7 @@
 
 const { recordGiftCardTransaction } = require('./giftCardCheckout');
 const { ensureLoyaltyRow, insertLoyaltyTransaction, loadLoyaltyProgramSettings } = require('./customerLoyalty');
+const { cancelPackagesForOrder } = require('./edsaPackages');
 
 function roundMoney(value) {
     return Math.round((Number(value) || 0) * 100) / 100;
@@ -216,6 +217,182 @@ async function clawBackLoyaltyEarn(connection, orderId, source = 'refund') {
     }
 }
 
+/**
+ * Credit part of one wallet tender back (RMA refunds). Points are returned pro rata to the dollars
+ * refunded against the points tender. Returns the dollar amount credited.
+ */
+async function refundWalletTender(connection, orderId, tender, amount, { userId = null, returnId = null, source = 'refund' } = {}) {
+    const credit = roundMoney(amount);
+    if (credit <= 0) return 0;
+    const meta = { returnId, partialRefund: true };
+
+    if (tender.type === 'gift_card') {
+        const [[card]] = await connection.execute(
+            'SELECT * FROM gift_cards WHERE id = ? FOR UPDATE',
+            [tender.giftCardId]
+        );
+        if (!card) return 0;
+        const balanceBefore = roundMoney(card.current_balance);
+        const balanceAfter = roundMoney(balanceBefore + credit);
+        await connection.execute(
+            `UPDATE gift_cards
+                SET current_balance = ?, status = ?, redeemed_at = NULL
+              WHERE id = ?`,
+            [balanceAfter, card.status === 'redeemed' ? 'active' : card.status, card.id]
+        );
+        await recordGiftCardTransaction(connection, {
+            gift_card_id: card.id,
+            transaction_type: 'refund',
+            amount: credit,
+            balance_before: balanceBefore,
+            balance_after: balanceAfter,
+            source,
+            order_id: orderId,
+            customer_id: userId,
+            description: `Return refund for order #${orderId}`,
+            metadata: meta
+        });
+        return credit;
+    }
+
+    if (!userId) return 0;
+    const fresh = await ensureLoyaltyRow(connection, userId);
+
+    if (tender.type === 'loyalty_cash') {
+        const newBalance = roundMoney(roundMoney(fresh.cash_balance || 0) + credit);
+        await connection.execute(
+            `UPDATE customer_loyalty
+                SET cash_balance = ?,
+                    lifetime_cash_redeemed = GREATEST(0, lifetime_cash_redeemed - ?),
+                    last_synced_at = CURRENT_TIMESTAMP,
+                    sync_status = 'synced'
+              WHERE user_id = ?`,
+            [newBalance, credit, userId]
+        );
+        await insertLoyaltyTransaction(connection, {
+            userId,
+            transactionType: 'adjust',
+            rewardType: 'cash',
+            pointsChange: 0,
+            pointsBalanceAfter: fresh.points_balance || 0,
+            cashChange: credit,
+            cashBalanceAfter: newBalance,
+            source,
+            orderId,
+            description: `Returned store credit for order #${orderId}`,
+            metadata: meta
+        });
+        return credit;
+    }
+
+    if (tender.type === 'loyalty_points') {
+        const tenderAmount = roundMoney(tender.amount);
+        const pts = tenderAmount > 0
+            ? Math.round((Number(tender.loyaltyPoints) || 0) * Math.min(1, credit / tenderAmount))
+            : 0;
+        if (pts <= 0) return 0;
+        const newBalance = (Number(fresh.points_balance) || 0) + pts;
+        await connection.execute(
+            `UPDATE customer_loyalty
+                SET points_balance = ?,
+                    lifetime_points_redeemed = GREATEST(0, lifetime_points_redeemed - ?),
+                    last_synced_at = CURRENT_TIMESTAMP,
+                    sync_status = 'synced'
+              WHERE user_id = ?`,
+            [newBalance, pts, userId]
+        );
+        await insertLoyaltyTransaction(connection, {
+            userId,
+            transactionType: 'adjust',
+            rewardType: 'points',
+            pointsChange: pts,
+            pointsBalanceAfter: newBalance,
+            cashChange: 0,
+            cashBalanceAfter: roundMoney(fresh.cash_balance || 0),
+            source,
+            orderId,
+            description: `Returned points for order #${orderId}`,
+            metadata: { ...meta, points: pts }
+        });
+        return credit;
+    }
+
+    return 0;
+}
+
+/**
+ * Claw back a share (0–1) of the loyalty earned on an order, e.g. the returned fraction of it.
+ */
+async function clawBackLoyaltyEarnShare(connection, orderId, share, { returnId = null, source = 'refund' } = {}) {
+    const fraction = Math.min(1, Math.max(0, Number(share) || 0));
+    if (fraction <= 0) return;
+    const [rows] = await connection.execute(
+        `SELECT * FROM loyalty_transactions
+          WHERE order_id = ? AND transaction_type = 'earn'`,
+        [orderId]
+    );
+
+    for (const row of rows) {
+        const userId = row.user_id;
+        const fresh = await ensureLoyaltyRow(connection, userId);
+        const meta = { earnId: row.id, clawback: true, returnId };
+
+        if (row.reward_type === 'cash') {
+            const amount = roundMoney(Number(row.cash_change) * fraction);
+            if (amount <= 0) continue;
+            const newBalance = roundMoney(Math.max(0, roundMoney(fresh.cash_balance || 0) - amount));
+            await connection.execute(
+                `UPDATE customer_loyalty
+                    SET cash_balance = ?,
+                        lifetime_cash_earned = GREATEST(0, lifetime_cash_earned - ?),
+                        last_synced_at = CURRENT_TIMESTAMP,
+                        sync_status = 'synced'
+                  WHERE user_id = ?`,
+                [newBalance, amount, userId]
+            );
+            await insertLoyaltyTransaction(connection, {
+                userId,
+                transactionType: 'adjust',
+                rewardType: 'cash',
+                pointsChange: 0,
+                pointsBalanceAfter: fresh.points_balance || 0,
+                cashChange: -amount,
+                cashBalanceAfter: newBalance,
+                source,
+                orderId,
+                description: `Clawed back store credit for returned items on order #${orderId}`,
+                metadata: meta
+            });
+        } else if (row.reward_type === 'points') {
+            const pts = Math.round(Math.floor(Number(row.points_change)) * fraction);
+            if (pts <= 0) continue;
+            const newBalance = Math.max(0, (Number(fresh.points_balance) || 0) - pts);
+            await connection.execute(
+                `UPDATE customer_loyalty
+                    SET points_balance = ?,
+                        lifetime_points_earned = GREATEST(0, lifetime_points_earned - ?),
+                        last_synced_at = CURRENT_TIMESTAMP,
+                        sync_status = 'synced'
+                  WHERE user_id = ?`,
+                [newBalance, pts, userId]
+            );
+            await insertLoyaltyTransaction(connection, {
+                userId,
+                transactionType: 'adjust',
+                rewardType: 'points',
+                pointsChange: -pts,
+                pointsBalanceAfter: newBalance,
+                cashChange: 0,
+                cashBalanceAfter: roundMoney(fresh.cash_balance || 0),
+                source,
+                orderId,
+                description: `Clawed back points for returned items on order #${orderId}`,
+                metadata: meta
+            });
+        }
+    }
+}
+
 async function reversePromoRedemption(connection, orderId) {
     await connection.execute('DELETE FROM web_promotion_redemptions WHERE order_id = ?', [orderId]);
 }
@@ -229,7 +406,8 @@ async function reverseOrderWalletTenders(connection, orderId, { source = 'refund
 }
 
 /**
- * Full reversal for cancel/refund: wallet redemptions, earn clawback, promo usage.
+ * Full reversal for cancel/refund: wallet redemptions, earn clawback, promo usage, and the unused
+ * sessions of EDSA packages bought on the order.
  */
 async function reverseOrderFinancials(connection, orderId, orderRow, { clawbackEarn = false, reversePromo = true } = {}) {
     await reverseOrderWalletTenders(connection, orderId, { source: 'refund' });
@@ -239,11 +417,14 @@ async function reverseOrderFinancials(connection, orderId, orderRow, { clawbackE
     if (reversePromo) {
         await reversePromoRedemption(connection, orderId);
     }
+    await cancelPackagesForOrder(connection, orderId);
 }
 
 module.exports = {
     reverseOrderWalletTenders,
+    refundWalletTender,
     clawBackLoyaltyEarn,
+    clawBackLoyaltyEarnShare,
     reversePromoRedemption,
     reverseOrderFinancials
 };
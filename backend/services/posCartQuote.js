@@ -0,0 +1,96 @@
+'use strict';
+
+const { loadCatalogLines } = require('./posStoreOrder');
+const { pricePosCart } = require('./posPromotionPricing');
+const { merchandiseSubtotal, applyCartDiscountToEnriched, computeDualPricing, loadCashDiscountSettings } = require('./posCashDiscount');
+const { resolveCustomerUser } = require('./posCustomerService');
+const { loadStoreTaxRate } = require('../utils/storeTaxRate');
+
+function emptyQuote() {
+    return {
+        ok: true,
+        lines: [],
+        totals: { subtotal: 0, cartDiscountAmount: 0, taxAmount: 0, total: 0 },
+        appliedPromotions: [],
+        allowManualDiscounts: false
+    };
+}
+
+/**
+ * Prices a register cart (catalog prices, line discounts, promotions, group pricing, tax, cash
+ * discount) the way POST /api/pos/v1/cart/pricing reports it.
+ * @param {import('mysql2/promise').Pool} pool
+ * @param {{ items: object[], customerId?: number, taxExempt?: boolean, cartDiscountPercent?: number }} body
+ * @param {{ allowManualDiscounts?: boolean }|null} posEmployee
+ */
+async function quotePosCart(pool, body = {}, posEmployee = null) {
+    const lineItems = Array.isArray(body.items) ? body.items : [];
+    if (!lineItems.length) return emptyQuote();
+
+    const allowManualDiscounts = Boolean(posEmployee?.allowManualDiscounts);
+    const manualCartDiscountPercent = allowManualDiscounts
+        ? Math.min(100, Math.max(0, Number(body.cartDiscountPercent ?? body.cart_discount_percent) || 0))
+        : 0;
+
+    const customerId = Number(body.customerId ?? body.customer_id ?? body.userId ?? body.user_id);
+    const customerUser =
+        Number.isInteger(customerId) && customerId > 0
+            ? await resolveCustomerUser(pool, customerId)
+            : null;
+
+    const taxExempt = Boolean(body.taxExempt || body.tax_exempt || customerUser?.tax_exempt);
+    const taxRate = taxExempt ? 0 : await loadStoreTaxRate(pool);
+
+    const catalogLines = await loadCatalogLines(pool, lineItems);
+    const preCartSubtotal = merchandiseSubtotal(catalogLines);
+    const promoPricing = await pricePosCart(pool, {
+        catalogLines,
+        customerUser,
+        taxExempt,
+        taxRate,
+        allowManualDiscounts,
+        manualCartDiscountPercent
+    });
+
+    let effectivePct = 0;
+    if (preCartSubtotal > 0 && promoPricing.cartDiscountAmount > 0) {
+        effectivePct = Math.min(100, (promoPricing.cartDiscountAmount / preCartSubtotal) * 100);
+    }
+
+    const cashSettings = await loadCashDiscountSettings(pool);
+    const pricedLines = applyCartDiscountToEnriched(catalogLines, effectivePct);
+    const pricing = computeDualPricing(
+        pricedLines,
+        taxRate,
+        cashSettings.enabled ? cashSettings.percent : 0
+    );
+
+    return {
+        ok: true,
+        allowManualDiscounts,
+        appliedPromotions: promoPricing.appliedPromotions || [],
+        discountLabel: promoPricing.cartDiscountLabel || null,
+        promoCode: promoPricing.promotion?.code || null,
+        lines: catalogLines.map((line) => ({
+            productId: line.product_id,
+            variantId: line.variant_id,
+            sku: line.sku,
+            name: line.name,
+            quantity: line.quantity,
+            catalogUnitPrice: line.catalogUnitPrice,
+            unitPrice: line.unitPrice,
+            lineDiscountPercent: line.lineDiscountPercent || 0
+        })),
+        totals: {
+            preCartSubtotal,
+            subtotal: pricing.card.subtotal,
+            cartDiscountPercent: effectivePct,
+            cartDiscountAmount: promoPricing.cartDiscountAmount,
+            taxAmount: pricing.card.taxAmount,
+            total: pricing.card.totalAmount,
+            cashTotal: pricing.cash?.totalAmount ?? pricing.card.totalAmount
+        }
+    };
+}
+
+module.exports = { quotePosCart };
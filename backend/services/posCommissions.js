@@ -0,0 +1,445 @@
+'use strict';
+
+/**
+ * Salesperson attribution and commissions for register sales.
+ *
+ * Each in-store sale line carries `order_items.salesperson_employee_id` (the signed-in employee unless
+ * the register credits someone else). Commission rules pay a percentage of net line sales and/or a
+ * flat amount per unit; the most specific active rule wins — product, then brand, then category,
+ * then store-wide — and among equals the newest. Net line sales are the line total less its share of
+ * the sale's discounts, minus units later taken back on an exchange; refunded sales earn nothing.
+ */
+
+const { rowToCsvLine } = require('../utils/productImportTemplate');
+const { getStoreDayBoundsRfc3339, getStoreTodayYmd, normalizeDateYmd, storeYmdForInstant } = require('../utils/storeTimezone');
+
+const RULE_SCOPES = ['all', 'brand', 'category', 'product'];
+const SCOPE_RANK = { product: 4, brand: 3, category: 2, all: 1 };
+const MAX_REPORT_DAYS = 366;
+
+function commissionError(message, status, code) {
+    return Object.assign(new Error(message), { status, code });
+}
+
+function roundMoney(n) {
+    return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+function positiveIdOrNull(value) {
+    const n = Number(value);
+    return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+/** Validate an admin rule payload (camelCase or snake_case). */
+function normalizeCommissionRule(raw = {}) {
+    const name = String(raw.name || '').trim().slice(0, 150);
+    if (!name) throw commissionError('Give the rule a name', 400, 'VALIDATION');
+    const scope = String(raw.scope || '').trim().toLowerCase();
+    if (!RULE_SCOPES.includes(scope)) {
+        throw commissionError('Scope must be all, brand, category or product', 400, 'VALIDATION');
+    }
+    const brandId = scope === 'brand' ? positiveIdOrNull(raw.brandId ?? raw.brand_id) : null;
+    const categoryId = scope === 'category' ? positiveIdOrNull(raw.categoryId ?? raw.category_id) : null;
+    const productId = scope === 'product' ? positiveIdOrNull(raw.productId ?? raw.product_id) : null;
+    const productSku = scope === 'product' ? String(raw.productSku ?? raw.product_sku ?? '').trim() || null : null;
+    if (scope === 'brand' && !brandId) throw commissionError('Pick the brand', 400, 'VALIDATION');
+    if (scope === 'category' && !categoryId) throw commissionError('Pick the category', 400, 'VALIDATION');
+    if (scope === 'product' && !productId && !productSku) {
+        throw commissionError('Enter the product SKU', 400, 'VALIDATION');
+    }
+
+    const ratePercent = Math.round((Number(raw.ratePercent ?? raw.rate_percent) || 0) * 1000) / 1000;
+    const flatPerUnit = roundMoney(raw.flatPerUnit ?? raw.flat_per_unit);
+    if (ratePercent < 0 || ratePercent > 100) {
+        throw commissionError('Rate must be between 0 and 100%', 400, 'VALIDATION');
+    }
+    if (flatPerUnit < 0) throw commissionError('Flat amount cannot be negative', 400, 'VALIDATION');
+    if (ratePercent === 0 && flatPerUnit === 0) {
+        throw commissionError('Set a rate, a flat amount per unit, or both', 400, 'VALIDATION');
+    }
+
+    const startsOn = normalizeDateYmd(raw.startsOn ?? raw.starts_on);
+    const endsOn = normalizeDateYmd(raw.endsOn ?? raw.ends_on);
+    if (startsOn && endsOn && endsOn < startsOn) {
+        throw commissionError('End date is before the start date', 400, 'VALIDATION');
+    }
+    const active = raw.isActive ?? raw.is_active;
+    return {
+        name,
+        scope,
+        brandId,
+        categoryId,
+        productId,
+        productSku,
+        ratePercent,
+        flatPerUnit,
+        startsOn,
+        endsOn,
+        isActive: !(active === false || active === 0 || active === '0' || active === 'false')
+    };
+}
+
+function ruleApplies(rule, line) {
+    if (!rule.isActive) return false;
+    if (rule.startsOn && line.saleDate < rule.startsOn) return false;
+    if (rule.endsOn && line.saleDate > rule.endsOn) return false;
+    if (rule.scope === 'product') return Number(rule.productId) === Number(line.productId);
+    if (rule.scope === 'brand') return Number(rule.brandId) === Number(line.brandId);
+    if (rule.scope === 'category') return Number(rule.categoryId) === Number(line.categoryId);
+    return true;
+}
+
+/**
+ * Most specific active rule for a sale line ({ productId, brandId, categoryId, saleDate: 'YYYY-MM-DD' }).
+ * @returns {object|null}
+ */
+function pickCommissionRule(line, rules) {
+    let best = null;
+    for (const rule of rules) {
+        if (!ruleApplies(rule, line)) continue;
+        if (
+            !best ||
+            SCOPE_RANK[rule.scope] > SCOPE_RANK[best.scope] ||
+            (SCOPE_RANK[rule.scope] === SCOPE_RANK[best.scope] && rule.id > best.id)
+        ) {
+            best = rule;
+        }
+    }
+    return best;
+}
+
+function lineCommission(line, rule) {
+    if (!rule) return 0;
+    return roundMoney((line.netSales * rule.ratePercent) / 100 + rule.flatPerUnit * line.netQuantity);
+}
+
+function mapRuleRow(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        scope: row.scope,
+        brandId: row.brand_id,
+        brandName: row.brand_name || null,
+        categoryId: row.category_id,
+        categoryName: row.category_name || null,
+        productId: row.product_id,
+        productName: row.product_name || null,
+        productSku: row.product_sku || null,
+        ratePercent: Number(row.rate_percent) || 0,
+        flatPerUnit: Number(row.flat_per_unit) || 0,
+        startsOn: normalizeDateYmd(row.starts_on),
+        endsOn: normalizeDateYmd(row.ends_on),
+        isActive: Boolean(row.is_active),
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+async function listCommissionRules(pool, { activeOnly = false } = {}) {
+    const [rows] = await pool.execute(
+        `SELECT r.*, b.name AS brand_name, c.name AS category_name, p.name AS product_name, p.sku AS product_sku
+           FROM pos_commission_rules r
+           LEFT JOIN brands b ON b.id = r.brand_id
+           LEFT JOIN product_categories c ON c.id = r.category_id
+           LEFT JOIN products p ON p.id = r.product_id
+          ${activeOnly ? 'WHERE r.is_active = 1' : ''}
+          ORDER BY r.is_active DESC, r.scope, r.name`
+    );
+    return rows.map(mapRuleRow);
+}
+
+async function resolveRuleProduct(pool, rule) {
+    if (rule.scope !== 'product' || rule.productId) return rule;
+    const [[product]] = await pool.execute('SELECT id FROM products WHERE sku = ? LIMIT 1', [rule.productSku]);
+    if (!product) throw commissionError(`No product with SKU ${rule.productSku}`, 404, 'PRODUCT_NOT_FOUND');
+    return { ...rule, productId: product.id };
+}
+
+async function getCommissionRule(pool, id) {
+    const rules = await listCommissionRules(pool);
+    const rule = rules.find((r) => r.id === Number(id));
+    if (!rule) throw commissionError('Commission rule not found', 404, 'NOT_FOUND');
+    return rule;
+}
+
+async function createCommissionRule(pool, payload, { adminId } = {}) {
+    const rule = await resolveRuleProduct(pool, normalizeCommissionRule(payload));
+    const [result] = await pool.execute(
+        `INSERT INTO pos_commission_rules
+            (name, scope, brand_id, category_id, product_id, rate_percent, flat_per_unit, starts_on, ends_on, is_active, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            rule.name,
+            rule.scope,
+            rule.brandId,
+            rule.categoryId,
+            rule.productId,
+            rule.ratePercent,
+            rule.flatPerUnit,
+            rule.startsOn,
+            rule.endsOn,
+            rule.isActive ? 1 : 0,
+            adminId || null
+        ]
+    );
+    return getCommissionRule(pool, result.insertId);
+}
+
+async function updateCommissionRule(pool, id, payload) {
+    await getCommissionRule(pool, id);
+    const rule = await resolveRuleProduct(pool, normalizeCommissionRule(payload));
+    await pool.execute(
+        `UPDATE pos_commission_rules
+            SET name = ?, scope = ?, brand_id = ?, category_id = ?, product_id = ?, rate_percent = ?,
+                flat_per_unit = ?, starts_on = ?, ends_on = ?, is_active = ?
+          WHERE id = ?`,
+        [
+            rule.name,
+            rule.scope,
+            rule.brandId,
+            rule.categoryId,
+            rule.productId,
+            rule.ratePercent,
+            rule.flatPerUnit,
+            rule.startsOn,
+            rule.endsOn,
+            rule.isActive ? 1 : 0,
+            Number(id)
+        ]
+    );
+    return getCommissionRule(pool, id);
+}
+
+async function deleteCommissionRule(pool, id) {
+    const [result] = await pool.execute('DELETE FROM pos_commission_rules WHERE id = ?', [Number(id)]);
+    if (!result.affectedRows) throw commissionError('Commission rule not found', 404, 'NOT_FOUND');
+}
+
+/**
+ * Salespeople for the register's "credit this line to" picker.
+ * @returns {Promise<{ id: number, employeeCode: string, name: string }[]>}
+ */
+async function listSalespeople(pool) {
+    const [rows] = await pool.execute(
+        `SELECT id, employee_code, first_name, last_name
+           FROM pos_employees WHERE is_active = 1
+          ORDER BY first_name, last_name`
+    );
+    return rows.map((r) => ({
+        id: r.id,
+        employeeCode: r.employee_code,
+        name: `${r.first_name || ''} ${r.last_name || ''}`.trim()
+    }));
+}
+
+/**
+ * Salesperson per cart line for a new sale: the line's `salespersonEmployeeId` when it names an
+ * active employee, otherwise the signed-in employee. Unknown ids are rejected unless `lenient`
+ * (offline sync replays must not fail on a since-deactivated employee).
+ * @returns {Promise<number[]>} one employee id per line
+ */
+async function resolveLineSalespeople(pool, lineItems, defaultEmployeeId, { lenient = false } = {}) {
+    const requested = lineItems.map((item) =>
+        positiveIdOrNull(item?.salespersonEmployeeId ?? item?.salesperson_employee_id ?? item?.salespersonId)
+    );
+    const ids = [...new Set(requested.filter((id) => id && id !== Number(defaultEmployeeId)))];
+    let active = new Set();
+    if (ids.length) {
+        const [rows] = await pool.execute(
+            `SELECT id FROM pos_employees WHERE is_active = 1 AND id IN (${ids.map(() => '?').join(', ')})`,
+            ids
+        );
+        active = new Set(rows.map((r) => r.id));
+    }
+    return requested.map((id) => {
+        if (!id || id === Number(defaultEmployeeId) || active.has(id)) return id || Number(defaultEmployeeId);
+        if (lenient) return Number(defaultEmployeeId);
+        const err = new Error('SALESPERSON_NOT_FOUND');
+        err.code = 'SALESPERSON_NOT_FOUND';
+        err.message = 'A line is credited to an employee who is not active.';
+        throw err;
+    });
+}
+
+/** Validate a report period; defaults to the last 14 days through today (store time). */
+function normalizeReportPeriod({ from, to } = {}) {
+    const today = getStoreTodayYmd();
+    const end = normalizeDateYmd(to) || today;
+    const start =
+        normalizeDateYmd(from) ||
+        new Date(Date.parse(`${end}T12:00:00Z`) - 13 * 86400000).toISOString().slice(0, 10);
+    if (start > end) throw commissionError('The start date is after the end date', 400, 'VALIDATION');
+    const days = Math.round((Date.parse(`${end}T00:00:00Z`) - Date.parse(`${start}T00:00:00Z`)) / 86400000) + 1;
+    if (days > MAX_REPORT_DAYS) throw commissionError('Pick a period of a year or less', 400, 'VALIDATION');
+    return { from: start, to: end };
+}
+
+/**
+ * Net sales and commission per sale line (pure; rows as returned by the report query).
+ */
+function computeCommissionLines(rows, rules) {
+    return rows.map((row) => {
+        const quantity = Number(row.quantity) || 0;
+        const exchanged = Math.min(quantity, Number(row.exchanged_quantity) || 0);
+        const netQuantity = quantity - exchanged;
+        const itemsTotal = Number(row.order_items_total) || 0;
+        const discountShare =
+            itemsTotal > 0 ? ((Number(row.discount_amount) || 0) * (Number(row.total) || 0)) / itemsTotal : 0;
+        const lineNet = Math.max(0, (Number(row.total) || 0) - discountShare);
+        const line = {
+            orderItemId: row.id,
+            orderNumber: row.order_number,
+            saleDate: storeYmdForInstant(row.created_at),
+            employeeId: row.employee_id,
+            productId: row.product_id,
+            brandId: row.brand_id,
+            categoryId: row.category_id,
+            productName: row.product_name,
+            netQuantity,
+            netSales: quantity > 0 ? roundMoney((lineNet * netQuantity) / quantity) : 0
+        };
+        const rule = pickCommissionRule(line, rules);
+        return { ...line, ruleId: rule?.id || null, ruleName: rule?.name || null, commission: lineCommission(line, rule) };
+    });
+}
+
+/**
+ * Totals by employee for a period of register sales.
+ * @param {{ from?: string, to?: string, employeeId?: number, detail?: boolean }} options
+ */
+async function buildCommissionReport(pool, options = {}) {
+    const period = normalizeReportPeriod(options);
+    const employeeId = positiveIdOrNull(options.employeeId);
+    const params = [getStoreDayBoundsRfc3339(period.from).timeMin, getStoreDayBoundsRfc3339(period.to).timeMax];
+    if (employeeId) params.push(employeeId);
+
+    const [rows] = await pool.execute(
+        `SELECT oi.id, oi.product_id, oi.product_name, oi.quantity, oi.total,
+                COALESCE(oi.salesperson_employee_id, o.pos_employee_id) AS employee_id,
+                o.order_number, o.created_at, o.discount_amount,
+                (SELECT SUM(t.total) FROM order_items t WHERE t.order_id = o.id) AS order_items_total,
+                (SELECT COALESCE(SUM(xi.quantity), 0) FROM pos_exchange_items xi WHERE xi.order_item_id = oi.id) AS exchanged_quantity,
+                p.brand_id, p.category_id
+           FROM order_items oi
+           JOIN orders o ON o.id = oi.order_id
+           LEFT JOIN products p ON p.id = oi.product_id
+          WHERE o.sales_channel = 'in_store'
+            AND o.payment_status = 'paid'
+            AND o.created_at >= ? AND o.created_at <= ?
+            ${employeeId ? 'AND COALESCE(oi.salesperson_employee_id, o.pos_employee_id) = ?' : ''}
+          ORDER BY o.created_at, oi.id`,
+        params
+    );
+    const rules = await listCommissionRules(pool);
+    const lines = computeCommissionLines(rows, rules);
+
+    const [employees] = await pool.execute('SELECT id, employee_code, first_name, last_name FROM pos_employees');
+    const names = new Map(
+        employees.map((e) => [e.id, { code: e.employee_code, name: `${e.first_name || ''} ${e.last_name || ''}`.trim() }])
+    );
+
+    const byEmployee = new Map();
+    const byRule = new Map();
+    for (const line of lines) {
+        const key = line.employeeId || 0;
+        const entry = byEmployee.get(key) || {
+            employeeId: line.employeeId || null,
+            employeeCode: names.get(line.employeeId)?.code || null,
+            name: names.get(line.employeeId)?.name || 'Unattributed',
+            orders: new Set(),
+            units: 0,
+            netSales: 0,
+            commission: 0
+        };
+        entry.orders.add(line.orderNumber);
+        entry.units += line.netQuantity;
+        entry.netSales = roundMoney(entry.netSales + line.netSales);
+        entry.commission = roundMoney(entry.commission + line.commission);
+        byEmployee.set(key, entry);
+
+        if (line.ruleId) {
+            const rule = byRule.get(line.ruleId) || { ruleId: line.ruleId, name: line.ruleName, units: 0, netSales: 0, commission: 0 };
+            rule.units += line.netQuantity;
+            rule.netSales = roundMoney(rule.netSales + line.netSales);
+            rule.commission = roundMoney(rule.commission + line.commission);
+            byRule.set(line.ruleId, rule);
+        }
+    }
+
+    const employeeRows = [...byEmployee.values()]
+        .map((e) => ({ ...e, orders: e.orders.size }))
+        .sort((a, b) => b.netSales - a.netSales);
+    return {
+        ...period,
+        employees: employeeRows,
+        rules: [...byRule.values()].sort((a, b) => b.commission - a.commission),
+        totals: {
+            units: employeeRows.reduce((s, e) => s + e.units, 0),
+            netSales: roundMoney(employeeRows.reduce((s, e) => s + e.netSales, 0)),
+            commission: roundMoney(employeeRows.reduce((s, e) => s + e.commission, 0))
+        },
+        lines: options.detail
+            ? lines.map((line) => ({
+                  ...line,
+                  employeeCode: names.get(line.employeeId)?.code || null,
+                  employeeName: names.get(line.employeeId)?.name || 'Unattributed'
+              }))
+            : undefined
+    };
+}
+
+/** Payroll CSV: one row per employee, or one row per sale line with `detail`. */
+function commissionReportCsv(report, { detail = false } = {}) {
+    const out = [];
+    if (detail) {
+        out.push(rowToCsvLine(['Date', 'Order', 'Employee code', 'Employee', 'Product', 'Units', 'Net sales', 'Rule', 'Commission']));
+        for (const line of report.lines || []) {
+            out.push(
+                rowToCsvLine([
+                    line.saleDate,
+                    line.orderNumber,
+                    line.employeeCode || '',
+                    line.employeeName,
+                    line.productName,
+                    line.netQuantity,
+                    line.netSales.toFixed(2),
+                    line.ruleName || '',
+                    line.commission.toFixed(2)
+                ])
+            );
+        }
+    } else {
+        out.push(rowToCsvLine(['Employee code', 'Employee', 'Period start', 'Period end', 'Orders', 'Units', 'Net sales', 'Commission']));
+        for (const e of report.employees) {
+            out.push(
+                rowToCsvLine([
+                    e.employeeCode || '',
+                    e.name,
+                    report.from,
+                    report.to,
+                    e.orders,
+                    e.units,
+                    e.netSales.toFixed(2),
+                    e.commission.toFixed(2)
+                ])
+            );
+        }
+    }
+    return `${out.join('\n')}\n`;
+}
+
+module.exports = {
+    RULE_SCOPES,
+    normalizeCommissionRule,
+    pickCommissionRule,
+    computeCommissionLines,
+    normalizeReportPeriod,
+    listCommissionRules,
+    createCommissionRule,
+    updateCommissionRule,
+    deleteCommissionRule,
+    listSalespeople,
+    resolveLineSalespeople,
+    buildCommissionReport,
+    commissionReportCsv
+};
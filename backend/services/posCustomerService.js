@@ -378,6 +378,20 @@ async function updateCustomerTaxExempt(pool, userId, { taxExempt, taxExemptId })
     return getCustomerForPos(pool, uid);
 }
 
+/**
+ * Stores a phone number captured for a text receipt on the customer record. An existing number is
+ * only replaced when `overwrite` is set (the cashier confirmed the change with the customer).
+ * @returns {Promise<boolean>} whether the record changed
+ */
+async function saveCustomerReceiptPhone(pool, userId, phone, { overwrite = false } = {}) {
+    const formatted = formatPhoneForStorage(phone);
+    const existing = await resolveCustomerUser(pool, userId);
+    if (!formatted || !existing) return false;
+    if (existing.phone && (!overwrite || phoneSearchDigits(existing.phone) === phoneSearchDigits(formatted))) return false;
+    await pool.execute(`UPDATE users SET phone = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [formatted, existing.id]);
+    return true;
+}
+
 module.exports = {
     searchCustomers,
     getCustomerForPos,
@@ -385,5 +399,6 @@ module.exports = {
     checkGiftCardBalance,
     resolveCustomerUser,
     updateCustomerTaxExempt,
+    saveCustomerReceiptPhone,
     maskGiftCardCode
 };
@@ -0,0 +1,237 @@
+'use strict';
+
+/**
+ * Digital receipts for in-store sales.
+ *
+ * Printed receipts carry a QR code to receipt.html?t=<token>, where the token is a signed JWT naming the
+ * order number — no login is needed to view it. A signed-in customer can claim an unattached sale from
+ * that page within CLAIM_WINDOW_DAYS: the order moves to their account and earns loyalty the same way a
+ * sale rung up with the customer attached would have.
+ */
+
+const jwt = require('jsonwebtoken');
+const logger = require('../utils/logger');
+const { getStorefrontPublicBaseUrl } = require('../utils/storefrontUrl');
+const { getInStorePosOrderReceipt, paymentLabel } = require('./posOrderHistory');
+const { loadPosReceiptSettings } = require('./posReceiptSettings');
+const { loadPosStoreConfig } = require('./posStoreConfig');
+const { loadLoyaltyProgramSettings, earnLoyaltyForOrder } = require('./customerLoyalty');
+const { getNonEarnTenderTotal } = require('./webCheckoutPayments');
+const { recalcUserOrderAggregates } = require('./finalizePaidOrder');
+
+const RECEIPT_PURPOSE = 'pos_receipt';
+const CLAIM_WINDOW_DAYS = 30;
+const DAY_MS = 86400000;
+
+function receiptError(message, status = 400, code = 'RECEIPT_ERROR') {
+    return Object.assign(new Error(message), { status, code });
+}
+
+function requireJwtSecret() {
+    const secret = process.env.JWT_SECRET;
+    if (!secret) {
+        const err = new Error('Server configuration error');
+        err.code = 'SERVER_CONFIG';
+        throw err;
+    }
+    return secret;
+}
+
+/** Receipt links are printed on paper, so the token does not expire; claiming has its own window. */
+function signReceiptToken(orderNumber) {
+    return jwt.sign({ purpose: RECEIPT_PURPOSE, orderNumber: String(orderNumber) }, requireJwtSecret());
+}
+
+function verifyReceiptToken(token) {
+    let decoded;
+    try {
+        decoded = jwt.verify(String(token || ''), requireJwtSecret());
+    } catch (err) {
+        if (err.code === 'SERVER_CONFIG') throw err;
+        throw receiptError('This receipt link is not valid', 404, 'INVALID_RECEIPT_LINK');
+    }
+    if (decoded?.purpose !== RECEIPT_PURPOSE || !decoded.orderNumber) {
+        throw receiptError('This receipt link is not valid', 404, 'INVALID_RECEIPT_LINK');
+    }
+    return String(decoded.orderNumber);
+}
+
+function digitalReceiptUrl(orderNumber) {
+    return `${getStorefrontPublicBaseUrl()}/receipt.html?t=${encodeURIComponent(signReceiptToken(orderNumber))}`;
+}
+
+/**
+ * Extras for a printed receipt: the order-number Code 128 (scanned at the register to start a refund)
+ * and the digital receipt QR. Anything that is not an in-store sale gets neither.
+ * @returns {Promise<{ barcode?: string, qrUrl?: string, qrCaption?: string }>}
+ */
+async function receiptPrintExtras(pool, orderNumber, settings) {
+    const orderNum = String(orderNumber || '').trim();
+    if (!orderNum) return {};
+    const [rows] = await pool.execute(
+        `SELECT order_number, sales_channel FROM orders WHERE order_number = ? LIMIT 1`,
+        [orderNum]
+    );
+    if (!rows[0] || String(rows[0].sales_channel || '').toLowerCase() !== 'in_store') return {};
+
+    const receiptSettings = settings || (await loadPosReceiptSettings(pool));
+    const extras = {};
+    if (receiptSettings.showOrderBarcode) extras.barcode = rows[0].order_number;
+    if (receiptSettings.showDigitalReceiptQr) {
+        try {
+            extras.qrUrl = digitalReceiptUrl(rows[0].order_number);
+            extras.qrCaption = 'Scan for your digital receipt';
+        } catch (err) {
+            logger.warn(`[digital-receipt] QR skipped for ${orderNum}: ${err.message}`);
+        }
+    }
+    return extras;
+}
+
+function claimDeadline(createdAt) {
+    return new Date(new Date(createdAt).getTime() + CLAIM_WINDOW_DAYS * DAY_MS);
+}
+
+function claimState(order, userId, now = Date.now()) {
+    const deadline = claimDeadline(order.created_at);
+    const open = order.payment_status === 'paid' && now <= deadline.getTime();
+    return {
+        claimed: Boolean(order.user_id),
+        claimedByYou: Boolean(userId && order.user_id && Number(order.user_id) === Number(userId)),
+        claimable: !order.user_id && open,
+        claimBy: deadline.toISOString(),
+        windowDays: CLAIM_WINDOW_DAYS
+    };
+}
+
+async function loadOrderRow(db, orderNumber, { forUpdate = false } = {}) {
+    const [rows] = await db.execute(
+        `SELECT id, order_number, user_id, sales_channel, payment_status, subtotal, created_at
+           FROM orders
+          WHERE order_number = ?
+          LIMIT 1${forUpdate ? ' FOR UPDATE' : ''}`,
+        [orderNumber]
+    );
+    const order = rows[0];
+    if (!order || String(order.sales_channel || '').toLowerCase() !== 'in_store') {
+        throw receiptError('Receipt not found', 404, 'RECEIPT_NOT_FOUND');
+    }
+    return order;
+}
+
+/**
+ * Customer-facing view of an in-store sale — the same data as GET /pos/v1/sales/:orderNumber/receipt,
+ * minus register-only fields, plus the store header/footer the receipt settings allow. Shared by the
+ * public receipt page and emailed / texted receipts.
+ */
+async function loadReceiptView(pool, orderNumber) {
+    const [sale, store] = await Promise.all([getInStorePosOrderReceipt(pool, orderNumber), loadPosStoreConfig(pool)]);
+    const settings = await loadPosReceiptSettings(pool, store.storeLogoUrl);
+
+    const tenders = (sale.payment?.paymentTenders || []).map((t) => ({
+        label: paymentLabel(t.type),
+        amount: Number(t.amount) || 0,
+        lastFour: t.terminalLastFour || null,
+        cashTendered: t.cashTendered ?? null,
+        cashChange: t.cashChange ?? null
+    }));
+
+    return {
+        receipt: {
+            orderNumber: sale.orderNumber,
+            createdAt: sale.createdAt,
+            paymentStatus: sale.paymentStatus,
+            lines: settings.showSku ? sale.receiptSnapshot.lines : sale.receiptSnapshot.lines.map(({ sku: _s, ...l }) => l),
+            totals: sale.receiptSnapshot.totals,
+            taxExempt: sale.receiptSnapshot.taxExempt,
+            paymentLabel: sale.paymentLabel,
+            tenders,
+            cashierName: settings.showCashier ? sale.cashierName || null : null
+        },
+        store: {
+            name: store.storeName,
+            logoUrl: settings.showLogo ? settings.storeLogoUrl : null,
+            address: settings.showAddress ? settings.storeAddress : null,
+            phone: settings.showPhone ? settings.storePhone : null,
+            headerText: settings.headerText || null,
+            footerText: settings.footerText || null,
+            returnPolicy: settings.returnPolicy || null
+        }
+    };
+}
+
+/** Public receipt page payload: the receipt view plus the claim state for `userId`. */
+async function getDigitalReceipt(pool, token, { userId = null } = {}) {
+    const orderNumber = verifyReceiptToken(token);
+    const order = await loadOrderRow(pool, orderNumber);
+    const view = await loadReceiptView(pool, orderNumber);
+    return { ...view, claim: claimState(order, userId) };
+}
+
+/**
+ * Attaches an unclaimed in-store sale to the signed-in customer and credits loyalty for it.
+ * Claiming your own sale again is a no-op; a sale on someone else's account is a 409.
+ */
+async function claimDigitalReceipt(pool, token, userId) {
+    const uid = Number(userId);
+    if (!Number.isInteger(uid) || uid <= 0) throw receiptError('Sign in to add this purchase to your account', 401, 'SIGN_IN_REQUIRED');
+    const orderNumber = verifyReceiptToken(token);
+
+    const connection = await pool.getConnection();
+    let order;
+    try {
+        await connection.beginTransaction();
+        order = await loadOrderRow(connection, orderNumber, { forUpdate: true });
+        const state = claimState(order, uid);
+        if (state.claimedByYou) {
+            await connection.rollback();
+            return { orderNumber, alreadyClaimed: true, pointsEarned: 0, cashEarned: 0 };
+        }
+        if (state.claimed) throw receiptError('This purchase is already linked to another account', 409, 'RECEIPT_ALREADY_CLAIMED');
+        if (order.payment_status !== 'paid') throw receiptError('Only completed purchases can be added to an account', 400, 'RECEIPT_NOT_CLAIMABLE');
+        if (!state.claimable) {
+            throw receiptError(
+                `Purchases can be added to an account within ${CLAIM_WINDOW_DAYS} days`,
+                400,
+                'RECEIPT_CLAIM_EXPIRED'
+            );
+        }
+        await connection.execute(`UPDATE orders SET user_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id IS NULL`, [
+            uid,
+            order.id
+        ]);
+        await recalcUserOrderAggregates(connection, uid);
+        await connection.commit();
+    } catch (err) {
+        await connection.rollback();
+        throw err;
+    } finally {
+        connection.release();
+    }
+
+    let earned = { pointsEarned: 0, cashEarned: 0 };
+    try {
+        const loyaltySettings = await loadLoyaltyProgramSettings(pool);
+        if (loyaltySettings.enabled) {
+            const nonEarn = await getNonEarnTenderTotal(pool, order.id);
+            const eligibleSubtotal = Math.max(0, Math.round((Number(order.subtotal) - nonEarn) * 100) / 100);
+            earned = await earnLoyaltyForOrder(pool, uid, order.id, eligibleSubtotal, loyaltySettings, 'pos');
+        }
+    } catch (err) {
+        logger.error(`Receipt claim ${orderNumber} loyalty earn error:`, err);
+    }
+    logger.info(`[digital-receipt] ${orderNumber} claimed by user ${uid}`);
+    return { orderNumber, alreadyClaimed: false, pointsEarned: earned.pointsEarned, cashEarned: earned.cashEarned };
+}
+
+module.exports = {
+    CLAIM_WINDOW_DAYS,
+    signReceiptToken,
+    verifyReceiptToken,
+    digitalReceiptUrl,
+    receiptPrintExtras,
+    claimState,
+    loadReceiptView,
+    getDigitalReceipt,
+    claimDigitalReceipt
+};
@@ -16,23 +16,70 @@ function escposDrawerKick() {
     return Buffer.from([0x1b, 0x70, 0x00, 0x19, 0xfa]);
 }
 
+function escposAlign(mode) {
+    return Buffer.from([0x1b, 0x61, mode]);
+}
+
+/** GS k Code 128 (code set B) with the number printed underneath; `{` is the code-set escape, so it is doubled. */
+function escposCode128(data) {
+    const payload = Buffer.from(`{B${sanitizeLine(data).replace(/\n/g, '').replace(/\{/g, '{{')}`.slice(0, 255), 'ascii');
+    return Buffer.concat([
+        Buffer.from([0x1d, 0x68, 80]), // bar height (dots)
+        Buffer.from([0x1d, 0x77, 2]), // module width
+        Buffer.from([0x1d, 0x48, 2]), // human-readable text below
+        Buffer.from([0x1d, 0x66, 0]),
+        Buffer.from([0x1d, 0x6b, 73, payload.length]),
+        payload,
+        Buffer.from('\n', 'ascii')
+    ]);
+}
+
+/** GS ( k model 2 QR code, error correction M. */
+function escposQrCode(text, moduleSize = 5) {
+    const data = Buffer.from(sanitizeLine(text).replace(/\s/g, ''), 'ascii');
+    const storeLen = data.length + 3;
+    return Buffer.concat([
+        Buffer.from([0x1d, 0x28, 0x6b, 4, 0, 0x31, 0x41, 0x32, 0x00]),
+        Buffer.from([0x1d, 0x28, 0x6b, 3, 0, 0x31, 0x43, moduleSize]),
+        Buffer.from([0x1d, 0x28, 0x6b, 3, 0, 0x31, 0x45, 0x31]),
+        Buffer.from([0x1d, 0x28, 0x6b, storeLen & 0xff, storeLen >> 8, 0x31, 0x50, 0x30]),
+        data,
+        Buffer.from([0x1d, 0x28, 0x6b, 3, 0, 0x31, 0x51, 0x30]),
+        Buffer.from('\n', 'ascii')
+    ]);
+}
+
 function sanitizeLine(line) {
     return String(line || '')
         .replace(/\r/g, '')
         .replace(/[^\x09\x0a\x20-\x7e]/g, '?');
 }
 
-function encodeReceipt(lines) {
+/**
+ * @param {string[]} lines
+ * @param {{ barcode?: string, qrUrl?: string, qrCaption?: string }} [extras] printed centred after the text
+ */
+function encodeReceipt(lines, { barcode, qrUrl, qrCaption } = {}) {
     const chunks = [escposInit()];
     for (const line of lines) {
         chunks.push(Buffer.from(`${sanitizeLine(line)}\n`, 'ascii'));
     }
+    if (barcode || qrUrl) {
+        chunks.push(Buffer.from('\n', 'ascii'), escposAlign(1));
+        if (barcode) chunks.push(escposCode128(barcode));
+        if (qrUrl) {
+            if (qrCaption) chunks.push(Buffer.from(`\n${sanitizeLine(qrCaption)}\n`, 'ascii'));
+            chunks.push(escposQrCode(qrUrl));
+        }
+        chunks.push(escposAlign(0));
+    }
     chunks.push(Buffer.from('\n', 'ascii'));
     chunks.push(escposPartialCut());
     return Buffer.concat(chunks);
 }
 
-function sendRaw(host, port, buffer, timeoutMs = 10000) {
+/** Writes a buffer to a raw-socket printer (port 9100 style) and resolves once the connection closes. */
+function sendRaw(host, port, buffer, timeoutMs = 10000, deviceName = 'Receipt printer') {
     return new Promise((resolve, reject) => {
         const socket = net.createConnection({ host, port }, () => {
             socket.write(buffer, (err) => {
@@ -47,10 +94,10 @@ function sendRaw(host, port, buffer, timeoutMs = 10000) {
         socket.setTimeout(timeoutMs);
         socket.on('timeout', () => {
             socket.destroy();
-            reject(new Error('Receipt printer connection timed out'));
+            reject(new Error(`${deviceName} connection timed out`));
         });
         socket.on('error', (err) => {
-            reject(new Error(err.message || 'Could not reach receipt printer'));
+            reject(new Error(err.message || `Could not reach ${deviceName.toLowerCase()}`));
         });
         socket.on('close', (hadError) => {
             if (hadError) return;
@@ -59,7 +106,11 @@ function sendRaw(host, port, buffer, timeoutMs = 10000) {
     });
 }
 
-async function printEscposReceipt({ host, port, lines, copyCount = 1, openDrawer = false }) {
+/**
+ * Prints `lines` on a network ESC/POS printer. `barcode` (order number) goes on every copy; the
+ * digital receipt QR (`qrUrl`) only on the first, customer copy.
+ */
+async function printEscposReceipt({ host, port, lines, copyCount = 1, openDrawer = false, barcode, qrUrl, qrCaption }) {
     const address = String(host || '').trim();
     if (!address) {
         throw new Error('Receipt printer network address is not configured for this register');
@@ -81,12 +132,15 @@ async function printEscposReceipt({ host, port, lines, copyCount = 1, openDrawer
         if (copies > 1 && COPY_LABELS[i + 1]) {
             copyLines.unshift('--------------------------------', COPY_LABELS[i + 1]);
         }
-        await sendRaw(address, portNum, encodeReceipt(copyLines));
+        const extras = i === 0 ? { barcode, qrUrl, qrCaption } : { barcode };
+        await sendRaw(address, portNum, encodeReceipt(copyLines, extras));
     }
 
     return { ok: true, copies, drawer: openDrawer };
 }
 
 module.exports = {
+    encodeReceipt,
+    sendRaw,
     printEscposReceipt
 };
@@ -0,0 +1,561 @@
+'use strict';
+
+/**
+ * POS exchanges — return lines from an earlier in-store sale and ring up new lines on one ticket.
+ *
+ * The register sends the new cart to POST /api/pos/v1/orders with an `exchange` block naming the
+ * original order and the lines coming back. The returned value (line total less its share of the
+ * order discount, plus its share of tax) becomes an `exchange_credit` tender on the new sale, so the
+ * customer only pays the difference. When the credit is larger than the new sale the excess goes
+ * back to the original tenders — card first (refunded on the terminal), then cash, then gift cards,
+ * store credit and points through orderTenderReversal. Returned units are restocked through
+ * InventoryService and the matching share of loyalty earned on the original sale is clawed back,
+ * all in the same transaction as the new order.
+ */
+
+const logger = require('../utils/logger');
+const InventoryService = require('./inventory');
+const { refundWalletTender, clawBackLoyaltyEarnShare } = require('./orderTenderReversal');
+const { lineRefundAmount } = require('./orderReturns');
+const { verifyRefundPin, addCashDrawerEvent } = require('./posPersonnel');
+const { EXCHANGE_CREDIT_TENDER_TYPE } = require('./posSplitTender');
+
+/** Refund order for the part of the credit the new sale does not use up. */
+const REFUND_PRIORITY = ['card_terminal', 'cash', 'check', 'gift_card', 'loyalty_cash', 'loyalty_points'];
+const WALLET_TENDERS = new Set(['gift_card', 'loyalty_cash', 'loyalty_points']);
+const RECEIPT_WIDTH = 32;
+
+function exchangeError(code, message) {
+    const err = new Error(code);
+    err.code = code;
+    err.message = message;
+    return err;
+}
+
+function roundMoney(value) {
+    return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * Normalize the returned lines from the register payload; repeated order lines are merged.
+ * @param {unknown} raw
+ * @returns {{ orderItemId: number, quantity: number, restock: boolean }[]}
+ */
+function normalizeExchangeReturns(raw) {
+    const rows = Array.isArray(raw) ? raw : [];
+    const merged = new Map();
+    for (const row of rows) {
+        const orderItemId = Number(row?.orderItemId ?? row?.order_item_id);
+        const quantity = Number(row?.quantity ?? 1);
+        if (!Number.isInteger(orderItemId) || orderItemId <= 0) {
+            throw exchangeError('INVALID_EXCHANGE_LINE', 'Each returned line needs the original order line.');
+        }
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+            throw exchangeError('INVALID_EXCHANGE_LINE', 'Returned quantities must be whole numbers above zero.');
+        }
+        const restock = row.restock !== false && row.restock !== 'false' && row.restock !== 0;
+        const existing = merged.get(orderItemId);
+        if (existing) {
+            existing.quantity += quantity;
+            existing.restock = existing.restock && restock;
+        } else {
+            merged.set(orderItemId, { orderItemId, quantity, restock });
+        }
+    }
+    if (!merged.size) {
+        throw exchangeError('EXCHANGE_RETURNS_REQUIRED', 'Pick at least one line from the original sale to return.');
+    }
+    return [...merged.values()];
+}
+
+/**
+ * Split a refund across the original tenders in REFUND_PRIORITY order, never more than each tender
+ * paid minus what earlier exchanges already gave back. `unallocated` is what no tender covers.
+ */
+function allocateExchangeRefund(amount, tenders) {
+    let left = roundMoney(amount);
+    const ordered = [...tenders]
+        .filter((t) => REFUND_PRIORITY.includes(t.type))
+        .sort((a, b) => REFUND_PRIORITY.indexOf(a.type) - REFUND_PRIORITY.indexOf(b.type));
+    const allocations = [];
+    for (const tender of ordered) {
+        if (left <= 0) break;
+        const available = roundMoney(Number(tender.amount) - Number(tender.refunded || 0));
+        const take = roundMoney(Math.min(available, left));
+        if (take <= 0) continue;
+        allocations.push({ ...tender, refund: take });
+        left = roundMoney(left - take);
+    }
+    return { allocations, unallocated: left };
+}
+
+async function loadOriginalOrder(db, orderNumber) {
+    const orderNum = String(orderNumber || '').trim();
+    if (!orderNum) {
+        throw exchangeError('ORDER_NUMBER_REQUIRED', 'Enter the original order number.');
+    }
+    const [[order]] = await db.execute('SELECT * FROM orders WHERE order_number = ? LIMIT 1', [orderNum]);
+    if (!order) throw exchangeError('ORDER_NOT_FOUND', 'Original sale not found.');
+    if (String(order.sales_channel || '').toLowerCase() !== 'in_store') {
+        throw exchangeError('ORDER_NOT_POS', 'Only in-store sales can be exchanged at the register.');
+    }
+    if (order.payment_status !== 'paid') {
+        throw exchangeError('ORDER_NOT_EXCHANGEABLE', 'Only paid sales can be exchanged.');
+    }
+    return order;
+}
+
+async function loadExchangeLines(db, order) {
+    const [rows] = await db.execute(
+        `SELECT oi.id, oi.product_id, oi.variant_id, oi.product_name, oi.product_sku, oi.quantity, oi.price, oi.total,
+                p.gift_card_type,
+                (SELECT COALESCE(SUM(xi.quantity), 0)
+                   FROM pos_exchange_items xi
+                  WHERE xi.order_item_id = oi.id) AS exchanged_quantity
+           FROM order_items oi
+           LEFT JOIN products p ON p.id = oi.product_id
+          WHERE oi.order_id = ?
+          ORDER BY oi.id ASC`,
+        [order.id]
+    );
+    return rows.map((row) => {
+        const quantity = Number(row.quantity) || 0;
+        const exchanged = Number(row.exchanged_quantity) || 0;
+        return {
+            orderItemId: row.id,
+            productId: row.product_id,
+            variantId: row.variant_id,
+            name: row.product_name,
+            sku: row.product_sku || '',
+            quantity,
+            exchangedQuantity: exchanged,
+            exchangeableQuantity: row.gift_card_type ? 0 : Math.max(0, quantity - exchanged),
+            unitCredit: quantity > 0 ? lineRefundAmount(order, row, 1) : 0,
+            _row: row
+        };
+    });
+}
+
+async function loadRefundableTenders(db, order) {
+    const [rows] = await db.execute(
+        `SELECT tender_type, amount, gift_card_id, loyalty_points
+           FROM order_payment_tenders
+          WHERE order_id = ?
+          ORDER BY id`,
+        [order.id]
+    );
+    const [refundedRows] = await db.execute(
+        `SELECT tender_type, gift_card_id, SUM(amount) AS amount
+           FROM pos_exchange_refunds
+          WHERE original_order_id = ?
+          GROUP BY tender_type, gift_card_id`,
+        [order.id]
+    );
+    const refunded = new Map(
+        refundedRows.map((r) => [`${r.tender_type}:${r.gift_card_id || ''}`, roundMoney(r.amount)])
+    );
+    const grouped = new Map();
+    for (const row of rows) {
+        const key = `${row.tender_type}:${row.gift_card_id || ''}`;
+        const entry = grouped.get(key) || {
+            type: row.tender_type,
+            giftCardId: row.gift_card_id || null,
+            amount: 0,
+            loyaltyPoints: 0,
+            refunded: refunded.get(key) || 0
+        };
+        entry.amount = roundMoney(entry.amount + Number(row.amount));
+        entry.loyaltyPoints += Number(row.loyalty_points) || 0;
+        grouped.set(key, entry);
+    }
+    return [...grouped.values()];
+}
+
+/**
+ * Original sale lines with how many units can still be exchanged and the credit per unit
+ * (GET /api/pos/v1/exchanges/lookup/:orderNumber).
+ */
+async function getExchangeableOrder(pool, orderNumber) {
+    const order = await loadOriginalOrder(pool, orderNumber);
+    const lines = await loadExchangeLines(pool, order);
+    return {
+        orderId: order.id,
+        orderNumber: order.order_number,
+        createdAt: order.created_at,
+        customerId: order.user_id || null,
+        totalAmount: roundMoney(order.total_amount),
+        lines: lines.map(({ _row, ...line }) => line)
+    };
+}
+
+/**
+ * Validate the `exchange` block of a POS sale: refund PIN, reason, original order and returned lines.
+ * @returns {Promise<object>} plan consumed by applyExchangeReturn
+ */
+async function prepareExchange(pool, raw, context = {}) {
+    const input = raw && typeof raw === 'object' ? raw : {};
+    const managerPin = String(input.managerPin || input.manager_pin || '').replace(/\D/g, '').slice(0, 4);
+    if (!managerPin) {
+        throw exchangeError('MANAGER_PIN_REQUIRED', 'An authorized employee PIN is required to process exchanges.');
+    }
+    const reason = String(input.reason || '').trim().slice(0, 500);
+    if (reason.length < 3) {
+        throw exchangeError('EXCHANGE_REASON_REQUIRED', 'An exchange reason is required (at least 3 characters).');
+    }
+    const returns = normalizeExchangeReturns(input.returns || input.lines);
+    const authorizer = await verifyRefundPin(pool, managerPin, { deviceId: context.deviceId, ip: context.ip });
+
+    const order = await loadOriginalOrder(pool, input.originalOrderNumber || input.orderNumber);
+    const lines = new Map((await loadExchangeLines(pool, order)).map((line) => [line.orderItemId, line]));
+    const items = returns.map((ret) => {
+        const line = lines.get(ret.orderItemId);
+        if (!line) {
+            throw exchangeError('INVALID_EXCHANGE_LINE', `That line is not on order ${order.order_number}.`);
+        }
+        if (ret.quantity > line.exchangeableQuantity) {
+            throw exchangeError(
+                'EXCHANGE_QUANTITY_EXCEEDED',
+                line.exchangeableQuantity
+                    ? `Only ${line.exchangeableQuantity} of ${line.name} can be returned.`
+                    : `${line.name} has already been returned or cannot be exchanged.`
+            );
+        }
+        return {
+            orderItemId: line.orderItemId,
+            productId: line.productId,
+            variantId: line.variantId,
+            name: line.name,
+            quantity: ret.quantity,
+            restock: ret.restock,
+            credit: lineRefundAmount(order, line._row, ret.quantity)
+        };
+    });
+
+    return {
+        order,
+        reason,
+        authorizer,
+        items,
+        returnCredit: roundMoney(items.reduce((sum, item) => sum + item.credit, 0))
+    };
+}
+
+/** The credit tender for the new sale: the return value, capped at the sale total. */
+function exchangeCreditTender(plan, saleTotal) {
+    return {
+        type: EXCHANGE_CREDIT_TENDER_TYPE,
+        amount: roundMoney(Math.min(plan.returnCredit, Math.max(0, saleTotal))),
+        originalOrderNumber: plan.order.order_number
+    };
+}
+
+/**
+ * Inside the new sale's transaction: record the exchange, restock returned units, claw back loyalty
+ * earned on them and refund wallet tenders for any credit the new sale did not use.
+ * Card and cash refunds are returned for the register to hand back (see settleExchangeRefund).
+ */
+async function applyExchangeReturn(connection, plan, { newOrderId, creditApplied, employeeId, deviceId, shiftSessionId }) {
+    const { order } = plan;
+    const refundDue = roundMoney(Math.max(0, plan.returnCredit - creditApplied));
+
+    // Re-check under lock so two registers cannot exchange the same units.
+    await connection.execute('SELECT id FROM orders WHERE id = ? FOR UPDATE', [order.id]);
+    const current = new Map((await loadExchangeLines(connection, order)).map((line) => [line.orderItemId, line]));
+    for (const item of plan.items) {
+        if (item.quantity > (current.get(item.orderItemId)?.exchangeableQuantity || 0)) {
+            throw exchangeError('EXCHANGE_QUANTITY_EXCEEDED', `${item.name} was already returned on another register.`);
+        }
+    }
+
+    let allocations = [];
+    if (refundDue > 0) {
+        const result = allocateExchangeRefund(refundDue, await loadRefundableTenders(connection, order));
+        if (result.unallocated > 0) {
+            throw exchangeError(
+                'EXCHANGE_REFUND_EXCEEDS_PAYMENTS',
+                `$${result.unallocated.toFixed(2)} exceeds what is left to refund on order ${order.order_number}.`
+            );
+        }
+        allocations = result.allocations;
+    }
+
+    const [exchangeResult] = await connection.execute(
+        `INSERT INTO pos_exchanges
+            (original_order_id, new_order_id, return_credit, credit_applied, refund_amount, reason,
+             employee_id, authorized_by_employee_id, device_id, shift_session_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            order.id,
+            newOrderId,
+            plan.returnCredit,
+            creditApplied,
+            refundDue,
+            plan.reason,
+            employeeId || null,
+            plan.authorizer?.id || null,
+            deviceId || null,
+            shiftSessionId || null
+        ]
+    );
+    const exchangeId = exchangeResult.insertId;
+
+    for (const item of plan.items) {
+        await connection.execute(
+            `INSERT INTO pos_exchange_items
+                (exchange_id, order_item_id, product_id, variant_id, product_name, quantity, credit_amount, restocked)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                exchangeId,
+                item.orderItemId,
+                item.productId || null,
+                item.variantId || null,
+                item.name || null,
+                item.quantity,
+                item.credit,
+                item.restock ? 1 : 0
+            ]
+        );
+    }
+
+    const toRestock = plan.items
+        .filter((item) => item.restock && item.productId)
+        .map((item) => ({ productId: item.productId, variantId: item.variantId, quantity: item.quantity }));
+    const restored = toRestock.length
+        ? await new InventoryService(connection).restoreInventoryForOrder(
+              toRestock,
+              order.id,
+              `POS exchange #${exchangeId} — ${plan.reason}`,
+              connection
+          )
+        : [];
+
+    const paid = roundMoney(Number(order.total_amount) - Number(order.shipping_amount || 0));
+    if (order.user_id && paid > 0) {
+        await clawBackLoyaltyEarnShare(connection, order.id, plan.returnCredit / paid, { source: 'exchange' });
+    }
+
+    for (const allocation of allocations) {
+        if (WALLET_TENDERS.has(allocation.type)) {
+            await refundWalletTender(connection, order.id, allocation, allocation.refund, {
+                userId: order.user_id,
+                source: 'exchange'
+            });
+        }
+        await connection.execute(
+            `INSERT INTO pos_exchange_refunds (exchange_id, original_order_id, tender_type, gift_card_id, amount)
+             VALUES (?, ?, ?, ?, ?)`,
+            [exchangeId, order.id, allocation.type, allocation.giftCardId || null, allocation.refund]
+        );
+    }
+
+    const returnedSummary = plan.items.map((item) => `${item.quantity} x ${item.name}`).join(', ');
+    await connection.execute(
+        `UPDATE orders
+            SET notes = CONCAT(COALESCE(notes, ''), IF(COALESCE(notes, '') = '', '', '\n'), ?)
+          WHERE id = ?`,
+        [
+            `POS exchange #${exchangeId}: returned ${returnedSummary} for $${plan.returnCredit.toFixed(2)} credit\n` +
+                `Exchange authorized by: ${plan.authorizer.name} (${plan.authorizer.employeeCode}) — ${plan.reason}`,
+            order.id
+        ]
+    );
+
+    return {
+        exchangeId,
+        originalOrderNumber: order.order_number,
+        returnCredit: plan.returnCredit,
+        creditApplied,
+        refundDue,
+        refunds: allocations.map((a) => ({
+            type: a.type === 'check' ? 'cash' : a.type,
+            giftCardId: a.giftCardId || null,
+            amount: a.refund
+        })),
+        restored
+    };
+}
+
+/**
+ * After commit: take cash refunds out of the drawer (paid out) and back card refunds out of the
+ * shift's card total. The card itself is refunded on the external terminal.
+ */
+async function settleExchangeRefund(pool, exchange, { employeeId, shiftSessionId }) {
+    if (!shiftSessionId || !exchange?.refunds?.length) return;
+    const cash = roundMoney(exchange.refunds.filter((r) => r.type === 'cash').reduce((s, r) => s + r.amount, 0));
+    const card = roundMoney(exchange.refunds.filter((r) => r.type === 'card_terminal').reduce((s, r) => s + r.amount, 0));
+    try {
+        if (cash > 0) {
+            await addCashDrawerEvent(pool, {
+                shiftSessionId,
+                eventType: 'paid_out',
+                amount: cash,
+                reason: `Exchange #${exchange.exchangeId} refund (order ${exchange.originalOrderNumber})`,
+                employeeId
+            });
+        }
+        if (card > 0) {
+            await pool.execute(
+                `UPDATE pos_shift_sessions SET card_sales_total = card_sales_total - ? WHERE id = ? AND status = 'open'`,
+                [card, shiftSessionId]
+            );
+        }
+    } catch (err) {
+        logger.warn(`[pos-exchanges] shift totals not updated for exchange #${exchange.exchangeId}: ${err.message}`);
+    }
+}
+
+/** True when units of this order were already exchanged (a full refund would restock them twice). */
+async function orderHasExchanges(db, orderId) {
+    try {
+        const [[row]] = await db.execute('SELECT COUNT(*) AS c FROM pos_exchanges WHERE original_order_id = ?', [orderId]);
+        return Number(row?.c) > 0;
+    } catch (err) {
+        if (err.code === 'ER_NO_SUCH_TABLE') return false;
+        throw err;
+    }
+}
+
+async function getExchange(pool, exchangeId) {
+    const [[row]] = await pool.execute(
+        `SELECT x.*, o.order_number AS original_order_number, n.order_number AS new_order_number,
+                e.first_name, e.last_name, a.first_name AS auth_first_name, a.last_name AS auth_last_name
+           FROM pos_exchanges x
+           JOIN orders o ON o.id = x.original_order_id
+           JOIN orders n ON n.id = x.new_order_id
+           LEFT JOIN pos_employees e ON e.id = x.employee_id
+           LEFT JOIN pos_employees a ON a.id = x.authorized_by_employee_id
+          WHERE x.id = ?
+          LIMIT 1`,
+        [exchangeId]
+    );
+    if (!row) throw exchangeError('EXCHANGE_NOT_FOUND', 'Exchange not found.');
+    const [items] = await pool.execute(
+        `SELECT order_item_id, product_id, variant_id, product_name, quantity, credit_amount, restocked
+           FROM pos_exchange_items WHERE exchange_id = ? ORDER BY id`,
+        [row.id]
+    );
+    const [refunds] = await pool.execute(
+        'SELECT tender_type, gift_card_id, amount FROM pos_exchange_refunds WHERE exchange_id = ? ORDER BY id',
+        [row.id]
+    );
+    return {
+        id: row.id,
+        originalOrderNumber: row.original_order_number,
+        newOrderNumber: row.new_order_number,
+        newOrderId: row.new_order_id,
+        returnCredit: roundMoney(row.return_credit),
+        creditApplied: roundMoney(row.credit_applied),
+        refundAmount: roundMoney(row.refund_amount),
+        reason: row.reason,
+        cashierName: `${row.first_name || ''} ${row.last_name || ''}`.trim(),
+        authorizedBy: `${row.auth_first_name || ''} ${row.auth_last_name || ''}`.trim(),
+        createdAt: row.created_at,
+        returnedItems: items.map((i) => ({
+            orderItemId: i.order_item_id,
+            productId: i.product_id,
+            variantId: i.variant_id,
+            name: i.product_name,
+            quantity: Number(i.quantity) || 0,
+            credit: roundMoney(i.credit_amount),
+            restocked: Boolean(i.restocked)
+        })),
+        refunds: refunds.map((r) => ({
+            type: r.tender_type === 'check' ? 'cash' : r.tender_type,
+            giftCardId: r.gift_card_id,
+            amount: roundMoney(r.amount)
+        }))
+    };
+}
+
+function receiptRow(left, right) {
+    const r = String(right);
+    const l = String(left).slice(0, Math.max(1, RECEIPT_WIDTH - r.length - 1));
+    return `${l}${' '.repeat(Math.max(1, RECEIPT_WIDTH - l.length - r.length))}${r}`;
+}
+
+function money(value) {
+    const n = roundMoney(value);
+    return n < 0 ? `-$${Math.abs(n).toFixed(2)}` : `$${n.toFixed(2)}`;
+}
+
+const REFUND_LABELS = {
+    card_terminal: 'Refund to card',
+    cash: 'Cash refund',
+    gift_card: 'Refund to gift card',
+    loyalty_cash: 'Store credit returned',
+    loyalty_points: 'Points returned'
+};
+
+/**
+ * Plain-text lines for one combined exchange receipt (printed through posEscposPrint).
+ * @param {object} exchange from getExchange
+ * @param {object} sale receipt payload of the new order (posOrderHistory.getInStorePosOrderReceipt)
+ * @param {{ storeName?: string, headerText?: string, footerText?: string, storeAddress?: string|null,
+ *   storePhone?: string|null, showSku?: boolean, showCashier?: boolean, returnPolicy?: string }} settings
+ */
+function buildExchangeReceiptLines(exchange, sale, settings = {}) {
+    const rule = '-'.repeat(RECEIPT_WIDTH);
+    const lines = [];
+    if (settings.storeName) lines.push(settings.storeName);
+    if (settings.headerText) lines.push(...settings.headerText.split('\n'));
+    if (settings.storeAddress) lines.push(...settings.storeAddress.split('\n'));
+    if (settings.storePhone) lines.push(settings.storePhone);
+    lines.push(rule, 'EXCHANGE', receiptRow('Sale', sale.orderNumber), receiptRow('Original sale', exchange.originalOrderNumber));
+    lines.push(new Date(exchange.createdAt || Date.now()).toLocaleString('en-US'));
+    if (settings.showCashier !== false && exchange.cashierName) lines.push(`Cashier: ${exchange.cashierName}`);
+
+    lines.push(rule, 'RETURNED');
+    for (const item of exchange.returnedItems) {
+        lines.push(receiptRow(`${item.quantity} x ${item.name}`, money(-item.credit)));
+        if (!item.restocked) lines.push('  (not restocked)');
+    }
+    lines.push(receiptRow('Return credit', money(-exchange.returnCredit)));
+
+    lines.push(rule, 'NEW ITEMS');
+    for (const line of sale.receiptSnapshot?.lines || []) {
+        lines.push(receiptRow(`${line.quantity} x ${line.name}`, money(line.price * line.quantity)));
+        if (settings.showSku !== false && line.sku) lines.push(`  ${line.sku}`);
+    }
+    const totals = sale.receiptSnapshot?.totals || {};
+    if (totals.discountAmount > 0) lines.push(receiptRow('Discounts', money(-totals.discountAmount)));
+    lines.push(receiptRow('Subtotal', money(totals.subtotal)));
+    lines.push(receiptRow('Tax', money(totals.taxAmount)));
+    lines.push(receiptRow('New items total', money(totals.total)));
+
+    lines.push(rule);
+    const net = roundMoney(Number(totals.total) - exchange.returnCredit);
+    if (net > 0) {
+        lines.push(receiptRow('BALANCE DUE', money(net)));
+        for (const tender of sale.payment?.paymentTenders || []) {
+            if (tender.type === EXCHANGE_CREDIT_TENDER_TYPE) continue;
+            lines.push(receiptRow(`  ${tender.type === 'card_terminal' ? 'Card' : tender.type.replace(/_/g, ' ')}`, money(tender.amount)));
+            if (tender.type === 'cash' && tender.cashChange > 0) lines.push(receiptRow('  Change', money(tender.cashChange)));
+        }
+    } else if (net < 0) {
+        lines.push(receiptRow('REFUND DUE', money(-net)));
+        for (const refund of exchange.refunds) {
+            lines.push(receiptRow(`  ${REFUND_LABELS[refund.type] || refund.type}`, money(refund.amount)));
+        }
+    } else {
+        lines.push('EVEN EXCHANGE - NOTHING DUE');
+    }
+
+    lines.push(rule);
+    if (exchange.authorizedBy) lines.push(`Approved by: ${exchange.authorizedBy}`);
+    if (settings.returnPolicy) lines.push(...settings.returnPolicy.split('\n'));
+    if (settings.footerText) lines.push(settings.footerText);
+    return lines;
+}
+
+module.exports = {
+    normalizeExchangeReturns,
+    allocateExchangeRefund,
+    getExchangeableOrder,
+    prepareExchange,
+    exchangeCreditTender,
+    applyExchangeReturn,
+    settleExchangeRefund,
+    orderHasExchanges,
+    getExchange,
+    buildExchangeReceiptLines
+};
@@ -318,6 +318,11 @@ async function assertCanAddDevice(pool) {
     return { ok: true, license };
 }
 
+/** Pushes license.state to open register event streams when the register-facing state changed. */
+function notifyRegisters(pool, license) {
+    return require('./posRegisterEvents').notifyLicenseState(pool, license);
+}
+
 async function handleCanceledStatus(pool) {
     if (!shouldRevokeDevicesOnCancel()) return { revoked: 0 };
     const count = await revokeAllDevices(pool);
@@ -409,6 +414,7 @@ async function updateMerchantLicense(pool, patch) {
         }
     }
 
+    await notifyRegisters(pool, license);
     return license;
 }
 
@@ -454,6 +460,7 @@ async function waivePastDuePayment(pool, { note, notify = true } = {}) {
     );
 
     const updated = await loadMerchantLicense(pool);
+    await notifyRegisters(pool, updated);
     if (notify) {
         await sendPastDueWaivedEmail(updated, { amount: owed, reason: note || '' });
     }
@@ -651,7 +658,9 @@ async function syncLicenseFromAccount(pool, accountId) {
             LICENSE_ID
         ]
     );
-    return loadMerchantLicense(pool);
+    const license = await loadMerchantLicense(pool);
+    await notifyRegisters(pool, license);
+    return license;
 }
 
 async function attemptMerchantCharge(pool, license, { reason = 'monthly', force = false } = {}) {
@@ -772,10 +781,12 @@ async function runMonthlyBillingForMerchant(pool, { force = false } = {}) {
         };
     }
 
-    return attemptMerchantCharge(pool, license, {
+    const result = await attemptMerchantCharge(pool, license, {
         reason: force ? 'manual' : 'monthly',
         force
     });
+    await notifyRegisters(pool);
+    return result;
 }
 
 async function processBillingRetries(pool) {
@@ -841,6 +852,7 @@ async function processGraceExpiration(pool) {
 async function processMerchantBillingMaintenance(pool) {
     const retry = await processBillingRetries(pool);
     const grace = await processGraceExpiration(pool);
+    await notifyRegisters(pool);
     return { retry, grace, monthly: { skipped: true, reason: 'platform_billing_scheduler' } };
 }
 
@@ -853,6 +865,7 @@ async function markPastDueFromWebhook(pool, { reason, transactionId }) {
     const newNotes = [license.notes, line].filter(Boolean).join('\n').slice(-2000);
     await pool.execute(`UPDATE pos_merchant_license SET notes = ? WHERE id = ?`, [newNotes, LICENSE_ID]);
     const failed = await loadMerchantLicense(pool);
+    await notifyRegisters(pool, failed);
     await maybeSendPaymentFailedEmail(pool, failed, { amount: gross });
     return failed;
 }
@@ -10,7 +10,9 @@ const PAYMENT_LABELS = {
     gift_card: 'Gift card',
     split: 'Split payment',
     loyalty_cash: 'Store credit',
-    loyalty_points: 'Points'
+    loyalty_points: 'Points',
+    special_order_deposit: 'Deposit',
+    exchange_credit: 'Exchange credit'
 };
 
 function paymentLabel(method, tenders) {
@@ -67,7 +69,8 @@ async function loadOrderTenders(pool, orderId, order) {
                             terminalLastFour: row.terminal_last_four,
                             terminalAuthCode: row.terminal_auth_code
                         },
-                        null
+                        null,
+                        { includeServerTenders: true }
                     )
                 )
                 .filter(Boolean);
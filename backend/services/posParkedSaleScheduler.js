@@ -0,0 +1,54 @@
+'use strict';
+
+const logger = require('../utils/logger');
+const { expireStaleParkedSales } = require('./posParkedSales');
+
+const CHECK_INTERVAL_MINUTES = Math.max(1, Number(process.env.POS_PARKED_SALE_CHECK_MINUTES || 15));
+
+function isEnabled() {
+    return process.env.POS_PARKED_SALE_EXPIRY_ENABLED !== 'false';
+}
+
+/** True when at least `intervalMinutes` have passed since the last completed run. */
+function shouldRunExpiryPass(now, lastRunAt, intervalMinutes = CHECK_INTERVAL_MINUTES) {
+    if (!lastRunAt) return true;
+    return now.getTime() - lastRunAt.getTime() >= intervalMinutes * 60 * 1000;
+}
+
+function startPosParkedSaleScheduler(pool) {
+    if (!isEnabled()) {
+        logger.info('[pos-parked-sales] Expiry scheduler disabled (POS_PARKED_SALE_EXPIRY_ENABLED=false)');
+        return () => {};
+    }
+
+    let running = false;
+    let lastRunAt = null;
+
+    const tick = async (source = 'interval') => {
+        const now = new Date();
+        if (running || !shouldRunExpiryPass(now, lastRunAt)) return;
+
+        running = true;
+        try {
+            const expired = await expireStaleParkedSales(pool);
+            lastRunAt = now;
+            if (expired) {
+                logger.info('[pos-parked-sales] Expired stale parked tickets', { source, expired });
+            }
+        } catch (error) {
+            logger.error('[pos-parked-sales] Expiry pass failed', { message: error.message, source });
+        } finally {
+            running = false;
+        }
+    };
+
+    logger.info(`[pos-parked-sales] Expiry scheduler enabled (every ${CHECK_INTERVAL_MINUTES} min)`);
+    const intervalId = setInterval(() => tick('interval'), 60 * 1000);
+    setTimeout(() => tick('startup'), 45 * 1000);
+    return () => clearInterval(intervalId);
+}
+
+module.exports = {
+    startPosParkedSaleScheduler,
+    shouldRunExpiryPass
+};
@@ -0,0 +1,405 @@
+'use strict';
+
+const logger = require('../utils/logger');
+const { loadCatalogLines } = require('./posStoreOrder');
+const { quotePosCart } = require('./posCartQuote');
+
+const DEFAULT_EXPIRY_HOURS = 12;
+const MAX_EXPIRY_HOURS = 168;
+const MAX_PARKED_LINES = 200;
+
+function parkedError(message, status, code) {
+    return Object.assign(new Error(message), { status, code });
+}
+
+function roundMoney(n) {
+    return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+function loadParkedSaleSettings(env = process.env) {
+    const hours = Number(env.POS_PARKED_SALE_EXPIRY_HOURS);
+    return {
+        expiryHours: Number.isFinite(hours) && hours > 0 ? Math.min(MAX_EXPIRY_HOURS, hours) : DEFAULT_EXPIRY_HOURS
+    };
+}
+
+function positiveIdOrNull(value) {
+    const n = Number(value);
+    return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+/**
+ * Reduces a register cart to what is needed to rebuild it on another register: line identity,
+ * quantity and line discount, plus customer, cart discount and tax-exempt flag. Unit prices are
+ * only a snapshot — recall re-runs the cart through the pricing engine.
+ */
+function normalizeParkedCart(raw = {}) {
+    const rawItems = Array.isArray(raw.items) ? raw.items : [];
+    if (!rawItems.length) {
+        throw parkedError('Cart is empty', 400, 'EMPTY_CART');
+    }
+    if (rawItems.length > MAX_PARKED_LINES) {
+        throw parkedError(`A parked sale can hold at most ${MAX_PARKED_LINES} lines`, 400, 'TOO_MANY_LINES');
+    }
+    const items = rawItems.map((item) => {
+        const quantity = Number(item.quantity);
+        if (!Number.isFinite(quantity) || quantity <= 0 || quantity > 999) {
+            throw parkedError('Each line needs a quantity between 1 and 999', 400, 'INVALID_LINE_QUANTITY');
+        }
+        const productId = positiveIdOrNull(item.productId ?? item.product_id);
+        const variantId = positiveIdOrNull(item.variantId ?? item.variant_id);
+        const sku = String(item.sku || '').trim();
+        if (!productId && !variantId && !sku) {
+            throw parkedError('Each line needs a product, variant or SKU', 400, 'INVALID_LINE');
+        }
+        const lineDiscountPercent = Math.min(
+            100,
+            Math.max(0, Number(item.lineDiscountPercent ?? item.line_discount_percent) || 0)
+        );
+        return {
+            productId,
+            variantId,
+            sku: sku || null,
+            name: String(item.name || '').trim().slice(0, 255) || null,
+            quantity,
+            lineDiscountPercent,
+            unitPrice: item.unitPrice != null ? roundMoney(item.unitPrice) : null,
+            salespersonEmployeeId: positiveIdOrNull(item.salespersonEmployeeId ?? item.salesperson_employee_id)
+        };
+    });
+    const cartDiscountPercent = Math.min(
+        100,
+        Math.max(0, Number(raw.cartDiscountPercent ?? raw.cart_discount_percent) || 0)
+    );
+    return {
+        items,
+        customerId: positiveIdOrNull(raw.customerId ?? raw.customer_id),
+        customerName: String(raw.customerName || raw.customer_name || '').trim().slice(0, 200) || null,
+        cartDiscountPercent,
+        taxExempt: Boolean(raw.taxExempt ?? raw.tax_exempt),
+        note: String(raw.note || '').trim().slice(0, 500) || null,
+        label: String(raw.label || '').trim().slice(0, 120) || null
+    };
+}
+
+/**
+ * Compares the unit prices captured at park time with a fresh quote so the cashier can tell the
+ * customer what moved. `quotedLines` must be in the same order as `parkedItems`, which is how
+ * quotePosCart returns them.
+ */
+function diffParkedPrices(parkedItems, quotedLines) {
+    const changes = [];
+    parkedItems.forEach((item, i) => {
+        const line = quotedLines[i];
+        if (!line || item.unitPrice == null) return;
+        const before = roundMoney(item.unitPrice);
+        const after = roundMoney(line.unitPrice);
+        if (before === after) return;
+        changes.push({
+            productId: line.productId,
+            variantId: line.variantId,
+            sku: line.sku,
+            name: line.name,
+            quantity: line.quantity,
+            parkedUnitPrice: before,
+            unitPrice: after,
+            difference: roundMoney(after - before)
+        });
+    });
+    return changes;
+}
+
+function mapParkedRow(row) {
+    const parkedAt = row.parked_at ? new Date(row.parked_at) : null;
+    return {
+        id: row.id,
+        status: row.status,
+        label: row.label,
+        customerId: row.customer_id,
+        customerName: row.customer_name,
+        itemCount: Number(row.item_count) || 0,
+        totalAmount: Number(row.total_amount) || 0,
+        parkedAt: row.parked_at,
+        expiresAt: row.expires_at,
+        ageMinutes: parkedAt ? Math.max(0, Math.floor((Date.now() - parkedAt.getTime()) / 60000)) : null,
+        parkedDeviceId: row.parked_device_id,
+        shiftSessionId: row.shift_session_id,
+        employee: row.parked_by_employee_id
+            ? {
+                  id: row.parked_by_employee_id,
+                  employeeCode: row.employee_code || null,
+                  name: `${row.first_name || ''} ${row.last_name || ''}`.trim() || null
+              }
+            : null
+    };
+}
+
+/**
+ * Saves the register cart server-side so any register can pick it up.
+ * @param {import('mysql2/promise').Pool} pool
+ * @param {{ cart: object, employee: object, deviceId?: string, shiftSessionId?: number|null }} params
+ */
+async function parkSale(pool, { cart, employee, deviceId = null, shiftSessionId = null }) {
+    const normalized = normalizeParkedCart(cart);
+    let quote;
+    try {
+        quote = await quotePosCart(pool, normalized, employee);
+    } catch (err) {
+        if (err.code === 'PRODUCT_NOT_FOUND') {
+            throw parkedError(`Item not found or inactive: ${err.sku || 'unknown'}`, 400, 'PRODUCT_NOT_FOUND');
+        }
+        throw err;
+    }
+
+    // Keep the priced lines so recall can report what changed while the ticket sat.
+    normalized.items = normalized.items.map((item, i) => {
+        const line = quote.lines[i];
+        return line
+            ? { ...item, name: line.name, sku: line.sku, unitPrice: line.unitPrice }
+            : item;
+    });
+    normalized.totals = quote.totals;
+
+    const { expiryHours } = loadParkedSaleSettings();
+    const itemCount = normalized.items.reduce((sum, item) => sum + item.quantity, 0);
+    const [result] = await pool.execute(
+        `INSERT INTO pos_parked_sales
+            (label, customer_id, customer_name, item_count, total_amount, cart_json,
+             parked_by_employee_id, parked_device_id, shift_session_id, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+        [
+            normalized.label,
+            normalized.customerId,
+            normalized.customerName,
+            itemCount,
+            roundMoney(quote.totals.total),
+            JSON.stringify(normalized),
+            employee?.id || null,
+            deviceId ? String(deviceId).slice(0, 64) : null,
+            shiftSessionId || null,
+            Math.round(expiryHours * 60)
+        ]
+    );
+    return getParkedSale(pool, result.insertId);
+}
+
+async function getParkedSale(pool, id) {
+    const [rows] = await pool.execute(
+        `SELECT ps.*, e.employee_code, e.first_name, e.last_name
+         FROM pos_parked_sales ps
+         LEFT JOIN pos_employees e ON e.id = ps.parked_by_employee_id
+         WHERE ps.id = ?`,
+        [id]
+    );
+    return rows[0] ? mapParkedRow(rows[0]) : null;
+}
+
+/**
+ * Marks parked tickets past their expiry as expired. Returns the number of tickets closed.
+ * @param {import('mysql2/promise').Pool} pool
+ */
+async function expireStaleParkedSales(pool) {
+    try {
+        const [result] = await pool.execute(
+            `UPDATE pos_parked_sales
+             SET status = 'expired', closed_at = NOW()
+             WHERE status = 'parked' AND expires_at <= NOW()`
+        );
+        return result.affectedRows || 0;
+    } catch (err) {
+        if (err.code === 'ER_NO_SUCH_TABLE') return 0;
+        throw err;
+    }
+}
+
+/**
+ * Open parked tickets, oldest first, visible from every register.
+ * @param {import('mysql2/promise').Pool} pool
+ */
+async function listParkedSales(pool, { search } = {}) {
+    await expireStaleParkedSales(pool);
+    const params = [];
+    let where = `ps.status = 'parked'`;
+    const term = String(search || '').trim();
+    if (term) {
+        where += ` AND (ps.label LIKE ? OR ps.customer_name LIKE ? OR CAST(ps.id AS CHAR) = ?)`;
+        params.push(`%${term}%`, `%${term}%`, term);
+    }
+    const [rows] = await pool.execute(
+        `SELECT ps.*, e.employee_code, e.first_name, e.last_name
+         FROM pos_parked_sales ps
+         LEFT JOIN pos_employees e ON e.id = ps.parked_by_employee_id
+         WHERE ${where}
+         ORDER BY ps.parked_at ASC
+         LIMIT 100`,
+        params
+    );
+    return rows.map(mapParkedRow);
+}
+
+/**
+ * Claims a parked ticket for this register and reprices it at current prices. Lines whose product
+ * was deactivated while parked are dropped from the cart and listed under `unavailable`.
+ * @param {import('mysql2/promise').Pool} pool
+ * @param {number} id
+ * @param {{ employee: object, deviceId?: string }} params
+ */
+async function recallParkedSale(pool, id, { employee, deviceId = null }) {
+    await expireStaleParkedSales(pool);
+    const [rows] = await pool.execute(
+        `SELECT ps.*, e.employee_code, e.first_name, e.last_name
+         FROM pos_parked_sales ps
+         LEFT JOIN pos_employees e ON e.id = ps.parked_by_employee_id
+         WHERE ps.id = ?`,
+        [id]
+    );
+    const row = rows[0];
+    if (!row) throw parkedError('Parked sale not found', 404, 'NOT_FOUND');
+    if (row.status !== 'parked') {
+        throw parkedError(`This ticket was already ${row.status}`, 409, 'PARKED_SALE_CLOSED');
+    }
+
+    let cart;
+    try {
+        cart = JSON.parse(row.cart_json);
+    } catch (err) {
+        logger.error('[pos-parked-sales] Stored cart unreadable', { id, message: err.message });
+        throw parkedError('Parked cart data is unreadable', 500, 'PARKED_CART_CORRUPT');
+    }
+
+    const available = [];
+    const unavailable = [];
+    for (const item of cart.items || []) {
+        try {
+            await loadCatalogLines(pool, [item]);
+            available.push(item);
+        } catch (err) {
+            if (err.code !== 'PRODUCT_NOT_FOUND') throw err;
+            unavailable.push({
+                productId: item.productId,
+                variantId: item.variantId,
+                sku: item.sku,
+                name: item.name,
+                quantity: item.quantity
+            });
+        }
+    }
+    const quote = await quotePosCart(pool, { ...cart, items: available }, employee);
+
+    // Claim only after repricing succeeded so a failed recall leaves the ticket on the list.
+    const [claim] = await pool.execute(
+        `UPDATE pos_parked_sales
+         SET status = 'recalled', recalled_at = NOW(), closed_at = NOW(),
+             recalled_by_employee_id = ?, recalled_device_id = ?
+         WHERE id = ? AND status = 'parked'`,
+        [employee?.id || null, deviceId ? String(deviceId).slice(0, 64) : null, id]
+    );
+    if (!claim.affectedRows) {
+        throw parkedError('This ticket was just recalled on another register', 409, 'PARKED_SALE_CLOSED');
+    }
+
+    const parkedTotal = roundMoney(row.total_amount);
+    return {
+        parkedSale: { ...mapParkedRow(row), status: 'recalled' },
+        cart: {
+            items: available.map((item, i) => ({
+                ...item,
+                unitPrice: quote.lines[i]?.unitPrice ?? item.unitPrice,
+                catalogUnitPrice: quote.lines[i]?.catalogUnitPrice ?? null
+            })),
+            customerId: cart.customerId,
+            customerName: cart.customerName,
+            cartDiscountPercent: cart.cartDiscountPercent,
+            taxExempt: cart.taxExempt,
+            note: cart.note,
+            label: cart.label
+        },
+        quote,
+        priceChanges: diffParkedPrices(available, quote.lines),
+        unavailable,
+        parkedTotal,
+        totalChange: roundMoney((quote.totals?.total || 0) - parkedTotal)
+    };
+}
+
+async function voidParkedSale(pool, id, { employee, reason } = {}) {
+    const [result] = await pool.execute(
+        `UPDATE pos_parked_sales
+         SET status = 'voided', closed_at = NOW(), recalled_by_employee_id = ?, void_reason = ?
+         WHERE id = ? AND status = 'parked'`,
+        [employee?.id || null, String(reason || '').trim().slice(0, 255) || null, id]
+    );
+    if (!result.affectedRows) {
+        const [rows] = await pool.execute(`SELECT status FROM pos_parked_sales WHERE id = ?`, [id]);
+        if (!rows[0]) throw parkedError('Parked sale not found', 404, 'NOT_FOUND');
+        throw parkedError(`This ticket was already ${rows[0].status}`, 409, 'PARKED_SALE_CLOSED');
+    }
+    return { id, status: 'voided' };
+}
+
+/**
+ * Parked-ticket activity for a shift report: counts by outcome plus the tickets that expired
+ * without being rung up.
+ * @param {import('mysql2/promise').Pool} pool
+ * @param {number} shiftSessionId
+ */
+async function getShiftParkedSummary(pool, shiftSessionId) {
+    await expireStaleParkedSales(pool);
+    let rows;
+    try {
+        [rows] = await pool.execute(
+            `SELECT ps.id, ps.status, ps.label, ps.customer_name, ps.item_count, ps.total_amount,
+                    ps.parked_at, ps.closed_at, e.first_name, e.last_name
+             FROM pos_parked_sales ps
+             LEFT JOIN pos_employees e ON e.id = ps.parked_by_employee_id
+             WHERE ps.shift_session_id = ?
+             ORDER BY ps.parked_at ASC`,
+            [shiftSessionId]
+        );
+    } catch (err) {
+        if (err.code === 'ER_NO_SUCH_TABLE') return null;
+        throw err;
+    }
+    const summary = {
+        parked: rows.length,
+        recalled: 0,
+        voided: 0,
+        expired: 0,
+        stillParked: 0,
+        expiredValue: 0,
+        expiredTickets: []
+    };
+    for (const row of rows) {
+        if (row.status === 'recalled') summary.recalled += 1;
+        else if (row.status === 'voided') summary.voided += 1;
+        else if (row.status === 'parked') summary.stillParked += 1;
+        else if (row.status === 'expired') {
+            summary.expired += 1;
+            summary.expiredValue = roundMoney(summary.expiredValue + Number(row.total_amount || 0));
+            summary.expiredTickets.push({
+                id: row.id,
+                label: row.label,
+                customerName: row.customer_name,
+                itemCount: Number(row.item_count) || 0,
+                totalAmount: Number(row.total_amount) || 0,
+                parkedAt: row.parked_at,
+                expiredAt: row.closed_at,
+                employeeName: `${row.first_name || ''} ${row.last_name || ''}`.trim() || null
+            });
+        }
+    }
+    return summary;
+}
+
+module.exports = {
+    loadParkedSaleSettings,
+    normalizeParkedCart,
+    diffParkedPrices,
+    parkSale,
+    getParkedSale,
+    listParkedSales,
+    recallParkedSale,
+    voidParkedSale,
+    expireStaleParkedSales,
+    getShiftParkedSummary
+};
@@ -584,7 +584,9 @@ async function closeShiftSession(pool, { shiftSessionId, closingCash, notes, emp
 
 async function clockIn(pool, employeeId, shiftSessionId) {
     const [open] = await pool.execute(
-        `SELECT id FROM pos_time_entries WHERE employee_id = ? AND clock_out IS NULL ORDER BY clock_in DESC LIMIT 1`,
+        `SELECT id FROM pos_time_entries
+         WHERE employee_id = ? AND clock_out IS NULL AND voided_at IS NULL
+         ORDER BY clock_in DESC LIMIT 1`,
         [employeeId]
     );
     if (open.length) {
@@ -602,7 +604,9 @@ async function clockIn(pool, employeeId, shiftSessionId) {
 
 async function clockOut(pool, employeeId) {
     const [open] = await pool.execute(
-        `SELECT id FROM pos_time_entries WHERE employee_id = ? AND clock_out IS NULL ORDER BY clock_in DESC LIMIT 1`,
+        `SELECT id FROM pos_time_entries
+         WHERE employee_id = ? AND clock_out IS NULL AND voided_at IS NULL
+         ORDER BY clock_in DESC LIMIT 1`,
         [employeeId]
     );
     if (!open.length) {
@@ -618,7 +622,7 @@ async function getOpenTimeEntry(pool, employeeId) {
     const [rows] = await pool.execute(
         `SELECT id, employee_id, shift_session_id, clock_in, clock_out, source
          FROM pos_time_entries
-         WHERE employee_id = ? AND clock_out IS NULL
+         WHERE employee_id = ? AND clock_out IS NULL AND voided_at IS NULL
          ORDER BY clock_in DESC LIMIT 1`,
         [employeeId]
     );
@@ -663,7 +667,7 @@ async function listTimeEntries(pool, filters = {}) {
         SELECT t.*, e.employee_code, e.first_name, e.last_name
         FROM pos_time_entries t
         JOIN pos_employees e ON e.id = t.employee_id
-        WHERE 1=1`;
+        WHERE t.voided_at IS NULL`;
     const params = [];
     if (filters.from) {
         sql += ' AND t.clock_in >= ?';
@@ -0,0 +1,378 @@
+'use strict';
+
+/**
+ * Email and text receipts for in-store sales.
+ *
+ * After a sale the cashier — or the customer on the customer-facing display — picks email, text or no
+ * receipt. The address defaults to the attached customer's record (posCustomerService); a number typed
+ * in for a customer with no phone on file is saved to their record. Every choice is logged in
+ * pos_receipt_deliveries. Both receipts link to the signed digital receipt page (posDigitalReceipt).
+ *
+ * Display flow: the register calls promptReceiptOnDisplay, which puts `checkout.phase = 'receipt'` in
+ * the display snapshot (masked contact hints only); the display answers with submitDisplayReceiptChoice
+ * and the snapshot moves to `receipt_done`, which the register sees through GET /display.
+ */
+
+const logger = require('../utils/logger');
+const { sendMail, isSmtpConfigured } = require('../utils/mailTransporter');
+const { sendSms, isSmsConfigured } = require('../utils/smsTransport');
+const { phoneSearchDigits } = require('../utils/usPhoneDisplay');
+const { wrapHmHerbsEmail, BRAND } = require('./giftCardDeliveryEmail');
+const { resolveCustomerUser, saveCustomerReceiptPhone } = require('./posCustomerService');
+const { loadReceiptView, digitalReceiptUrl } = require('./posDigitalReceipt');
+
+const RECEIPT_METHODS = ['email', 'sms', 'none'];
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function deliveryError(message, status = 400, code = 'RECEIPT_DELIVERY_ERROR') {
+    return Object.assign(new Error(message), { status, code });
+}
+
+function escapeHtml(str) {
+    return String(str == null ? '' : str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function formatMoney(amount) {
+    return `$${(Number(amount) || 0).toFixed(2)}`;
+}
+
+function normalizeReceiptEmail(value) {
+    const email = String(value || '').trim().toLowerCase();
+    return email.length <= 254 && EMAIL_RE.test(email) ? email : null;
+}
+
+/** US number in E.164 (+15555550100), or null. */
+function normalizeSmsNumber(value) {
+    const digits = phoneSearchDigits(value);
+    return /^\d{10}$/.test(digits) ? `+1${digits}` : null;
+}
+
+function maskEmail(email) {
+    const [local, domain] = String(email || '').split('@');
+    if (!local || !domain) return null;
+    return `${local[0]}${'*'.repeat(Math.min(6, Math.max(2, local.length - 1)))}@${domain}`;
+}
+
+function maskPhone(phone) {
+    const digits = phoneSearchDigits(phone);
+    return digits.length === 10 ? `(***) ***-${digits.slice(6)}` : null;
+}
+
+async function loadDeliveryContext(pool, orderNumber) {
+    const orderNum = String(orderNumber || '').trim();
+    const [rows] = await pool.execute(
+        `SELECT id, order_number, user_id, sales_channel, payment_status
+           FROM orders
+          WHERE order_number = ?
+          LIMIT 1`,
+        [orderNum]
+    );
+    const order = rows[0];
+    if (!order || String(order.sales_channel || '').toLowerCase() !== 'in_store') {
+        throw deliveryError('Sale not found.', 404, 'ORDER_NOT_FOUND');
+    }
+    const customer = order.user_id ? await resolveCustomerUser(pool, order.user_id) : null;
+    return { order, customer };
+}
+
+function receiptLink(orderNumber) {
+    try {
+        return digitalReceiptUrl(orderNumber);
+    } catch (err) {
+        logger.warn(`[receipt-delivery] digital receipt link skipped for ${orderNumber}: ${err.message}`);
+        return null;
+    }
+}
+
+/** Branded HTML receipt for an in-store sale. */
+function buildReceiptEmail({ receipt, store }, { receiptUrl = null, firstName = null } = {}) {
+    const totals = receipt.totals || {};
+    const date = new Date(receipt.createdAt).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+    const cell = `padding:6px 0;color:${BRAND.text};`;
+    const rows = (receipt.lines || [])
+        .map(
+            (l) => `<tr>
+                <td style="${cell}">${escapeHtml(l.name)} &times; ${l.quantity}${
+                    l.sku ? `<br><span style="font-size:12px;color:${BRAND.textMuted};">${escapeHtml(l.sku)}</span>` : ''
+                }</td>
+                <td style="${cell}text-align:right;vertical-align:top;">${formatMoney(l.price * l.quantity)}</td>
+            </tr>`
+        )
+        .join('');
+    const summary = [
+        ['Subtotal', formatMoney(totals.preCartSubtotal ?? totals.subtotal)],
+        ...(Number(totals.discountAmount) > 0 ? [['Discounts', `-${formatMoney(totals.discountAmount)}`]] : []),
+        [receipt.taxExempt ? 'Tax (exempt)' : 'Tax', formatMoney(totals.taxAmount)]
+    ]
+        .map(([label, value]) => `<tr><td style="${cell}">${label}</td><td style="${cell}text-align:right;">${value}</td></tr>`)
+        .join('');
+    const tenders = (receipt.tenders || [])
+        .map(
+            (t) =>
+                `<tr><td style="${cell}">${escapeHtml(t.label)}${t.lastFour ? ` ending ${escapeHtml(t.lastFour)}` : ''}</td>
+                 <td style="${cell}text-align:right;">${formatMoney(t.amount)}</td></tr>`
+        )
+        .join('');
+    const button = receiptUrl
+        ? `<p style="text-align:center;margin:24px 0;">
+               <a href="${escapeHtml(receiptUrl)}" style="background:${BRAND.primary};color:#fff;padding:12px 24px;border-radius:6px;text-decoration:none;font-weight:bold;">View receipt online</a>
+           </p>
+           <p style="font-size:13px;color:${BRAND.textMuted};text-align:center;">Sign in from that page to add this purchase to your account and earn rewards.</p>`
+        : '';
+    const footer = [store.returnPolicy, store.footerText]
+        .filter(Boolean)
+        .map((t) => `<p style="font-size:13px;color:${BRAND.textMuted};text-align:center;">${escapeHtml(t)}</p>`)
+        .join('');
+
+    const bodyHtml = `
+        <p>${firstName ? `Hi ${escapeHtml(firstName)},` : 'Hi there,'}</p>
+        <p>Thanks for shopping with us at ${escapeHtml(store.name)}. Here is your receipt.</p>
+        <p style="font-size:14px;color:${BRAND.textMuted};">Receipt <strong>${escapeHtml(receipt.orderNumber)}</strong> · ${escapeHtml(date)}</p>
+        <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="margin:12px 0;font-size:15px;">
+            ${rows}
+            <tr><td colspan="2" style="border-top:1px solid ${BRAND.border};padding-top:6px;"></td></tr>
+            ${summary}
+            <tr><td style="padding:8px 0;border-top:1px solid ${BRAND.border};"><strong>Total</strong></td>
+                <td style="padding:8px 0;border-top:1px solid ${BRAND.border};text-align:right;"><strong>${formatMoney(totals.total)}</strong></td></tr>
+            ${tenders}
+        </table>
+        ${button}
+        ${footer}`;
+
+    const text = [
+        `Receipt ${receipt.orderNumber} — ${store.name}`,
+        date,
+        '',
+        ...(receipt.lines || []).map((l) => `${l.name} x${l.quantity}  ${formatMoney(l.price * l.quantity)}`),
+        '',
+        `Tax: ${formatMoney(totals.taxAmount)}`,
+        `Total: ${formatMoney(totals.total)}`,
+        ...(receipt.tenders || []).map((t) => `${t.label}: ${formatMoney(t.amount)}`),
+        receiptUrl ? `\nView online: ${receiptUrl}` : ''
+    ].join('\n');
+
+    const subject = `Your receipt from ${store.name} — ${formatMoney(totals.total)}`;
+    return { subject, html: wrapHmHerbsEmail({ headline: 'Thanks for your purchase', bodyHtml, preheader: subject }), text };
+}
+
+/** One-segment-friendly text receipt: total and the digital receipt link. */
+function buildReceiptSms({ receipt, store }, { receiptUrl = null } = {}) {
+    const total = formatMoney(receipt.totals?.total);
+    const count = (receipt.lines || []).reduce((sum, l) => sum + (Number(l.quantity) || 0), 0);
+    const head = `${store.name}: thanks for your purchase! Receipt ${receipt.orderNumber}, ${count} item${count === 1 ? '' : 's'}, ${total}.`;
+    return receiptUrl ? `${head} View it here: ${receiptUrl}` : head;
+}
+
+async function recordDelivery(pool, { orderId, method, destination = null, status, errorMessage = null, provider = null, via, employeeId, deviceRecordId }) {
+    try {
+        await pool.execute(
+            `INSERT INTO pos_receipt_deliveries
+                (order_id, method, destination, status, error_message, provider, chosen_via, pos_employee_id, pos_device_id)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                orderId,
+                method,
+                destination,
+                status,
+                errorMessage ? String(errorMessage).slice(0, 500) : null,
+                provider,
+                via === 'display' ? 'display' : 'register',
+                employeeId || null,
+                deviceRecordId || null
+            ]
+        );
+    } catch (err) {
+        logger.warn(`[receipt-delivery] log skipped — ${logger.formatMysqlError(err)}`);
+    }
+}
+
+async function listDeliveries(pool, orderId) {
+    try {
+        const [rows] = await pool.execute(
+            `SELECT method, destination, status, chosen_via, created_at
+               FROM pos_receipt_deliveries
+              WHERE order_id = ?
+              ORDER BY id DESC
+              LIMIT 5`,
+            [orderId]
+        );
+        return rows.map((r) => ({
+            method: r.method,
+            destination: r.method === 'email' ? maskEmail(r.destination) : r.method === 'sms' ? maskPhone(r.destination) : null,
+            status: r.status,
+            via: r.chosen_via,
+            at: r.created_at
+        }));
+    } catch (err) {
+        if (err.code === 'ER_NO_SUCH_TABLE') return [];
+        throw err;
+    }
+}
+
+/** What the register shows before asking: customer contact on file and which channels are set up. */
+async function getReceiptDeliveryOptions(pool, orderNumber) {
+    const { order, customer } = await loadDeliveryContext(pool, orderNumber);
+    return {
+        orderNumber: order.order_number,
+        customer: customer
+            ? {
+                  id: customer.id,
+                  name: `${customer.first_name || ''} ${customer.last_name || ''}`.trim(),
+                  email: customer.email || null,
+                  phone: customer.phone || null
+              }
+            : null,
+        emailAvailable: isSmtpConfigured(),
+        smsAvailable: isSmsConfigured(),
+        deliveries: await listDeliveries(pool, order.id)
+    };
+}
+
+/**
+ * Sends (or declines) the receipt for an in-store sale. Blank email / phone fall back to the attached
+ * customer's record.
+ * @param {{ method: string, email?: string, phone?: string, saveToCustomer?: boolean,
+ *           via?: 'register'|'display', employeeId?: number, deviceRecordId?: number }} choice
+ * @returns {Promise<{ method: string, status: string, destination: string|null, customerUpdated: boolean }>}
+ */
+async function deliverReceipt(pool, orderNumber, choice = {}) {
+    const method = String(choice.method || '').trim().toLowerCase();
+    if (!RECEIPT_METHODS.includes(method)) {
+        throw deliveryError('Choose email, text or no receipt', 400, 'RECEIPT_METHOD_INVALID');
+    }
+    const { order, customer } = await loadDeliveryContext(pool, orderNumber);
+    const logBase = { orderId: order.id, method, via: choice.via, employeeId: choice.employeeId, deviceRecordId: choice.deviceRecordId };
+
+    if (method === 'none') {
+        await recordDelivery(pool, { ...logBase, status: 'skipped' });
+        return { method, status: 'skipped', destination: null, customerUpdated: false };
+    }
+
+    let destination;
+    if (method === 'email') {
+        const typed = String(choice.email || '').trim();
+        destination = typed ? normalizeReceiptEmail(typed) : normalizeReceiptEmail(customer?.email);
+        if (!destination) throw deliveryError('Enter a valid email address', 400, 'RECEIPT_EMAIL_REQUIRED');
+        if (!isSmtpConfigured()) throw deliveryError('Email is not configured on this store server (SMTP).', 503, 'SMTP_NOT_CONFIGURED');
+    } else {
+        const typed = String(choice.phone || '').trim();
+        destination = typed ? normalizeSmsNumber(typed) : normalizeSmsNumber(customer?.phone);
+        if (!destination) throw deliveryError('Enter a 10-digit mobile number', 400, 'RECEIPT_PHONE_REQUIRED');
+        if (!isSmsConfigured()) throw deliveryError('Text receipts are not set up on this store server.', 503, 'SMS_NOT_CONFIGURED');
+    }
+
+    const view = await loadReceiptView(pool, order.order_number);
+    const receiptUrl = receiptLink(order.order_number);
+    let provider = method === 'email' ? 'smtp' : null;
+    try {
+        if (method === 'email') {
+            const mail = buildReceiptEmail(view, { receiptUrl, firstName: customer?.first_name || null });
+            const result = await sendMail({ to: destination, ...mail, logTag: `POS receipt email ${order.order_number}` });
+            if (!result.sent) throw new Error(result.reason || 'Email not sent');
+        } else {
+            const result = await sendSms({ to: destination, body: buildReceiptSms(view, { receiptUrl }), logTag: `POS receipt SMS ${order.order_number}` });
+            if (!result.sent) throw new Error(result.reason || 'Text not sent');
+            provider = result.provider;
+        }
+    } catch (err) {
+        await recordDelivery(pool, { ...logBase, destination, status: 'failed', errorMessage: err.message, provider });
+        throw deliveryError(`Receipt was not sent: ${err.message}`, 502, 'RECEIPT_SEND_FAILED');
+    }
+    await recordDelivery(pool, { ...logBase, destination, status: 'sent', provider });
+
+    let customerUpdated = false;
+    if (method === 'sms' && customer && String(choice.phone || '').trim()) {
+        customerUpdated = await saveCustomerReceiptPhone(pool, customer.id, destination, { overwrite: Boolean(choice.saveToCustomer) });
+    }
+
+    return {
+        method,
+        status: 'sent',
+        destination: method === 'email' ? maskEmail(destination) : maskPhone(destination),
+        customerUpdated
+    };
+}
+
+async function loadDisplaySnapshot(pool, deviceId) {
+    const [rows] = await pool.execute('SELECT payload FROM pos_display_snapshots WHERE device_id = ? LIMIT 1', [deviceId]);
+    const raw = rows[0]?.payload;
+    if (!raw) return {};
+    try {
+        return typeof raw === 'string' ? JSON.parse(raw) : raw;
+    } catch {
+        return {};
+    }
+}
+
+async function saveDisplayCheckout(pool, deviceId, checkout) {
+    const payload = { ...(await loadDisplaySnapshot(pool, deviceId)), checkout };
+    await pool.execute(
+        `INSERT INTO pos_display_snapshots (device_id, payload) VALUES (?, ?)
+         ON DUPLICATE KEY UPDATE payload = VALUES(payload), updated_at = CURRENT_TIMESTAMP`,
+        [deviceId, JSON.stringify(payload)]
+    );
+}
+
+/** Asks the customer display to offer email / text / no receipt for this sale. */
+async function promptReceiptOnDisplay(pool, deviceId, orderNumber) {
+    const { order, customer } = await loadDeliveryContext(pool, orderNumber);
+    const checkout = {
+        phase: 'receipt',
+        orderNumber: order.order_number,
+        emailHint: customer ? maskEmail(customer.email) : null,
+        phoneHint: customer ? maskPhone(customer.phone) : null,
+        emailAvailable: isSmtpConfigured(),
+        smsAvailable: isSmsConfigured(),
+        promptedAt: new Date().toISOString()
+    };
+    await saveDisplayCheckout(pool, deviceId, checkout);
+    return checkout;
+}
+
+/**
+ * The customer's answer from the display. Only accepted while the display is showing the receipt
+ * prompt for that sale; a failed send keeps the prompt up with the error so they can try again.
+ */
+async function submitDisplayReceiptChoice(pool, deviceId, deviceRecordId, { orderNumber, method, email, phone } = {}) {
+    const snapshot = await loadDisplaySnapshot(pool, deviceId);
+    const prompt = snapshot.checkout;
+    if (prompt?.phase !== 'receipt' || String(prompt.orderNumber) !== String(orderNumber || '').trim()) {
+        throw deliveryError('This receipt choice has expired', 409, 'RECEIPT_PROMPT_NOT_ACTIVE');
+    }
+    try {
+        const result = await deliverReceipt(pool, prompt.orderNumber, { method, email, phone, via: 'display', deviceRecordId });
+        await saveDisplayCheckout(pool, deviceId, {
+            phase: 'receipt_done',
+            orderNumber: prompt.orderNumber,
+            method: result.method,
+            status: result.status,
+            destination: result.destination
+        });
+        return result;
+    } catch (err) {
+        if (err.status && err.status < 500 && err.code !== 'RECEIPT_PROMPT_NOT_ACTIVE') {
+            await saveDisplayCheckout(pool, deviceId, { ...prompt, error: err.message });
+        } else if (err.status) {
+            await saveDisplayCheckout(pool, deviceId, { ...prompt, error: 'We could not send your receipt. Please ask the cashier.' });
+        }
+        throw err;
+    }
+}
+
+module.exports = {
+    RECEIPT_METHODS,
+    normalizeReceiptEmail,
+    normalizeSmsNumber,
+    maskEmail,
+    maskPhone,
+    buildReceiptEmail,
+    buildReceiptSms,
+    getReceiptDeliveryOptions,
+    deliverReceipt,
+    promptReceiptOnDisplay,
+    submitDisplayReceiptChoice
+};
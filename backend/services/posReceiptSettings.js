@@ -13,6 +13,7 @@ const RECEIPT_KEYS = {
     autoPrint: 'pos_receipt_auto_print',
     copyCount: 'pos_receipt_copy_count',
     showOrderBarcode: 'pos_receipt_show_order_barcode',
+    showDigitalReceiptQr: 'pos_receipt_show_digital_qr',
     returnPolicy: 'pos_receipt_return_policy'
 };
 
@@ -38,6 +39,7 @@ const DEFAULTS = {
     autoPrint: true,
     copyCount: 2,
     showOrderBarcode: true,
+    showDigitalReceiptQr: true,
     returnPolicy: ''
 };
 
@@ -98,6 +100,7 @@ async function loadPosReceiptSettings(pool, storeLogoUrl = null) {
         autoPrint: parseBool(map.get(RECEIPT_KEYS.autoPrint), DEFAULTS.autoPrint),
         copyCount: Math.min(3, Math.max(1, parseIntSetting(map.get(RECEIPT_KEYS.copyCount), DEFAULTS.copyCount))),
         showOrderBarcode: parseBool(map.get(RECEIPT_KEYS.showOrderBarcode), DEFAULTS.showOrderBarcode),
+        showDigitalReceiptQr: parseBool(map.get(RECEIPT_KEYS.showDigitalReceiptQr), DEFAULTS.showDigitalReceiptQr),
         returnPolicy: String(map.get(RECEIPT_KEYS.returnPolicy) || DEFAULTS.returnPolicy).trim(),
         storeAddress: formatStoreAddress(map),
         storePhone: String(map.get('store_phone') || '').trim() || null,
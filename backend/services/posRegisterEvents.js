@@ -0,0 +1,317 @@
+'use strict';
+
+/**
+ * Server-pushed register updates (GET /api/pos/v1/events, Server-Sent Events).
+ *
+ * Admin routes publish typed events when they change something registers cache, so a register can keep
+ * one stream open and refetch only what an event names instead of polling /config, /display/ads and
+ * /support/session/current:
+ *
+ *   catalog.changed    { productIds, reason }          refetch GET /catalog?ids=…
+ *   settings.changed   { section, keys }               refetch GET /config
+ *   display.updated    { reason, adId?, equipmentId? } refetch GET /display/ads
+ *   support.requested  { sessionId, status }           this register only; open the consent prompt
+ *   license.state      { status, writable, … }         the register-facing license summary
+ *
+ * Events are written to pos_register_events before they go out, so a register reconnecting with
+ * Last-Event-ID (or ?lastEventId=) replays what it missed. A cursor older than the retained log gets a
+ * `resync` event — reload everything — instead. Live fan-out is in-process, matching the single backend
+ * process this server runs as.
+ */
+
+const logger = require('../utils/logger');
+
+const EVENT_TYPES = ['catalog.changed', 'settings.changed', 'display.updated', 'support.requested', 'license.state'];
+const RETENTION_HOURS = 24;
+const REPLAY_LIMIT = 500;
+const MAX_PRODUCT_IDS = 500;
+const HEARTBEAT_MS = 25 * 1000;
+const LICENSE_CHECK_MS = 5 * 60 * 1000;
+const RECONNECT_MS = 5000;
+
+/** Open streams: { deviceRecordId, push(event), close() } */
+const streams = new Set();
+let lastPruneAt = 0;
+let lastLicenseSignature = null;
+let licenseTimer = null;
+
+function parseEventId(value) {
+    const s = String(value ?? '').trim();
+    return /^\d{1,15}$/.test(s) ? Number(s) : null;
+}
+
+/** One SSE frame. Events that could not be logged go out without an id so they never move the cursor. */
+function formatSseEvent({ id = null, type, data }) {
+    return `${id != null ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data ?? {})}\n\n`;
+}
+
+function parsePayload(raw) {
+    if (raw == null) return {};
+    if (typeof raw !== 'string') return raw;
+    try {
+        return JSON.parse(raw);
+    } catch {
+        return {};
+    }
+}
+
+async function pruneOldEvents(pool) {
+    if (Date.now() - lastPruneAt < 60 * 60 * 1000) return;
+    lastPruneAt = Date.now();
+    try {
+        await pool.execute(`DELETE FROM pos_register_events WHERE created_at < DATE_SUB(NOW(), INTERVAL ${RETENTION_HOURS} HOUR)`);
+    } catch (err) {
+        logger.warn(`[register-events] prune skipped — ${logger.formatMysqlError(err)}`);
+    }
+}
+
+/**
+ * Logs an event and pushes it to every open stream it targets (`deviceRecordId` = one register,
+ * omitted = all of them).
+ * @returns {Promise<{ id: number|null, type: string, data: object }>}
+ */
+async function publishRegisterEvent(pool, type, data = {}, { deviceRecordId = null } = {}) {
+    if (!EVENT_TYPES.includes(type)) {
+        throw Object.assign(new Error(`Unknown register event type: ${type}`), { code: 'INVALID_EVENT_TYPE' });
+    }
+    const target = deviceRecordId ? Number(deviceRecordId) : null;
+    const payload = { ...data, at: new Date().toISOString() };
+    let id = null;
+    try {
+        const [result] = await pool.execute(
+            `INSERT INTO pos_register_events (event_type, device_id, payload) VALUES (?, ?, ?)`,
+            [type, target, JSON.stringify(payload)]
+        );
+        id = result.insertId;
+        void pruneOldEvents(pool);
+    } catch (err) {
+        logger.warn(`[register-events] ${type} not logged for replay — ${logger.formatMysqlError(err)}`);
+    }
+    const event = { id, type, data: payload };
+    for (const stream of streams) {
+        if (target == null || stream.deviceRecordId === target) stream.push(event);
+    }
+    return event;
+}
+
+/** Fire-and-forget publish for admin routes: a failed push never fails the change that caused it. */
+function queueRegisterEvent(pool, type, data, options) {
+    return publishRegisterEvent(pool, type, data, options).catch((err) => {
+        logger.warn(`[register-events] ${type} publish failed: ${err.message}`);
+        return null;
+    });
+}
+
+/** `productIds` null means "everything" (CSV import); the register does a full catalog sync for those. */
+function notifyCatalogChanged(pool, productIds, reason = 'updated') {
+    const ids = [...new Set((productIds || []).map(Number))].filter((n) => Number.isInteger(n) && n > 0);
+    if (productIds != null && !ids.length) return Promise.resolve(null);
+    const data =
+        productIds == null || ids.length > MAX_PRODUCT_IDS ? { productIds: [], all: true, reason } : { productIds: ids, reason };
+    return queueRegisterEvent(pool, 'catalog.changed', data);
+}
+
+function notifySettingsChanged(pool, section, keys = []) {
+    return queueRegisterEvent(pool, 'settings.changed', { section, keys: keys.slice(0, 100) });
+}
+
+function notifyDisplayUpdated(pool, details = {}) {
+    return queueRegisterEvent(pool, 'display.updated', details);
+}
+
+function notifySupportRequested(pool, deviceRecordId, session) {
+    if (!deviceRecordId || !session) return Promise.resolve(null);
+    return queueRegisterEvent(
+        pool,
+        'support.requested',
+        { sessionId: session.id, status: session.status },
+        { deviceRecordId }
+    );
+}
+
+function licenseSummary(license) {
+    return {
+        status: license.status,
+        writable: Boolean(license.writable),
+        inGracePeriod: Boolean(license.inGracePeriod),
+        graceEndsAt: license.graceEndsAt || null,
+        licenseExpiresAt: license.licenseExpiresAt || null,
+        warningMessage: license.warningMessage || null
+    };
+}
+
+async function loadLastLicenseSignature(pool) {
+    try {
+        const [rows] = await pool.execute(
+            `SELECT payload FROM pos_register_events WHERE event_type = 'license.state' ORDER BY id DESC LIMIT 1`
+        );
+        if (!rows[0]) return '';
+        const { at: _at, ...summary } = parsePayload(rows[0].payload);
+        return JSON.stringify(summary);
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Publishes license.state when the register-facing license summary differs from the last one sent.
+ * Called after license writes, and every few minutes while registers are listening so time-based
+ * changes (grace period ending, expiry date passing) reach them too.
+ */
+async function notifyLicenseState(pool, license = null) {
+    try {
+        const current = license || (await require('./posMerchantLicense').loadMerchantLicense(pool));
+        const summary = licenseSummary(current);
+        const signature = JSON.stringify(summary);
+        if (lastLicenseSignature == null) lastLicenseSignature = await loadLastLicenseSignature(pool);
+        if (signature === lastLicenseSignature) return null;
+        lastLicenseSignature = signature;
+        return await publishRegisterEvent(pool, 'license.state', summary);
+    } catch (err) {
+        logger.warn(`[register-events] license.state publish failed: ${err.message}`);
+        return null;
+    }
+}
+
+function startLicenseWatch(pool) {
+    if (licenseTimer) return;
+    licenseTimer = setInterval(() => void notifyLicenseState(pool), LICENSE_CHECK_MS);
+    if (licenseTimer.unref) licenseTimer.unref();
+}
+
+function stopLicenseWatchIfIdle() {
+    if (streams.size || !licenseTimer) return;
+    clearInterval(licenseTimer);
+    licenseTimer = null;
+}
+
+async function loadReplay(pool, deviceRecordId, afterId, throughId) {
+    const [bounds] = await pool.execute(`SELECT MIN(id) AS oldest FROM pos_register_events`);
+    const oldest = bounds[0]?.oldest != null ? Number(bounds[0].oldest) : null;
+    // The cursor predates the retained log: the register may have missed events we no longer have.
+    if (oldest != null && afterId < oldest - 1) return { resync: true, events: [] };
+
+    const [rows] = await pool.execute(
+        `SELECT id, event_type, payload
+           FROM pos_register_events
+          WHERE id > ? AND id <= ? AND (device_id IS NULL OR device_id = ?)
+          ORDER BY id
+          LIMIT ${REPLAY_LIMIT + 1}`,
+        [afterId, throughId, deviceRecordId || 0]
+    );
+    if (rows.length > REPLAY_LIMIT) return { resync: true, events: [] };
+    return {
+        resync: false,
+        events: rows.map((r) => ({ id: Number(r.id), type: r.event_type, data: parsePayload(r.payload) }))
+    };
+}
+
+/**
+ * Serves one register's event stream. Live events that arrive while the replay is loading are held and
+ * sent after it, skipping any the replay already covered.
+ */
+async function openRegisterEventStream(req, res) {
+    const pool = req.pool;
+    const deviceRecordId = Number(req.posDeviceRecordId) || null;
+    const lastEventId = parseEventId(req.get('last-event-id') ?? req.query.lastEventId);
+
+    let ready = false;
+    let closed = false;
+    let heartbeat = null;
+    const pending = [];
+    const write = (chunk) => {
+        if (closed || res.writableEnded) return;
+        res.write(chunk);
+        if (res.flush) res.flush();
+    };
+    const stream = {
+        deviceRecordId,
+        push(event) {
+            if (ready) write(formatSseEvent(event));
+            else pending.push(event);
+        },
+        close() {
+            if (closed) return;
+            closed = true;
+            clearInterval(heartbeat);
+            streams.delete(stream);
+            stopLicenseWatchIfIdle();
+            if (!res.writableEnded) res.end();
+        }
+    };
+
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+    req.setTimeout(0);
+    streams.add(stream);
+    startLicenseWatch(pool);
+
+    heartbeat = setInterval(() => write(': ping\n\n'), HEARTBEAT_MS);
+    req.on('close', () => stream.close());
+
+    write(`retry: ${RECONNECT_MS}\n\n`);
+    let cursor = lastEventId;
+    // Highest id the replay already sent; queued live events up to it are duplicates. Null when nothing was replayed.
+    let replayedThrough = null;
+    let replay = { resync: false, events: [] };
+    try {
+        const [maxRows] = await pool.execute(`SELECT MAX(id) AS latest FROM pos_register_events`);
+        const latest = maxRows[0]?.latest != null ? Number(maxRows[0].latest) : null;
+        if (lastEventId != null && latest != null) {
+            replay = await loadReplay(pool, deviceRecordId, lastEventId, latest);
+            replayedThrough = latest;
+        }
+        cursor = latest ?? lastEventId;
+    } catch (err) {
+        logger.warn(`[register-events] replay skipped for ${req.posDeviceId} — ${logger.formatMysqlError(err)}`);
+        replay = { resync: lastEventId != null, events: [] };
+    }
+
+    for (const event of replay.events) write(formatSseEvent(event));
+    if (replay.resync) write(formatSseEvent({ type: 'resync', data: { reason: 'history_unavailable' } }));
+    write(
+        formatSseEvent({
+            id: cursor,
+            type: 'ready',
+            data: { deviceId: req.posDeviceId, replayed: replay.events.length, eventTypes: EVENT_TYPES }
+        })
+    );
+    ready = true;
+    for (const event of pending.splice(0)) {
+        if (event.id == null || replayedThrough == null || event.id > replayedThrough) write(formatSseEvent(event));
+    }
+}
+
+/** Ends the open streams of a revoked register. */
+function disconnectRegisterStreams(deviceRecordId) {
+    let count = 0;
+    for (const stream of [...streams]) {
+        if (stream.deviceRecordId === Number(deviceRecordId)) {
+            stream.close();
+            count += 1;
+        }
+    }
+    return count;
+}
+
+function countOpenStreams() {
+    return streams.size;
+}
+
+module.exports = {
+    EVENT_TYPES,
+    formatSseEvent,
+    parseEventId,
+    publishRegisterEvent,
+    notifyCatalogChanged,
+    notifySettingsChanged,
+    notifyDisplayUpdated,
+    notifySupportRequested,
+    notifyLicenseState,
+    openRegisterEventStream,
+    disconnectRegisterStreams,
+    countOpenStreams
+};
@@ -1,6 +1,7 @@
 'use strict';
 
 const personnel = require('./posPersonnel');
+const { getShiftParkedSummary } = require('./posParkedSales');
 
 function roundMoney(value) {
     return Math.round(Number(value) * 100) / 100;
@@ -40,7 +41,8 @@ function formatShiftReport(report, reportType) {
             merchandiseTotal: totalSales
         },
         events: report.events || [],
-        sales
+        sales,
+        parkedSales: report.parkedSales || null
     };
 }
 
@@ -53,12 +55,14 @@ async function buildXReport(pool, shiftSessionId) {
         err.message = 'Current shift summary is only available for an open shift.';
         throw err;
     }
+    report.parkedSales = await getShiftParkedSummary(pool, shiftSessionId);
     return formatShiftReport(report, 'x');
 }
 
 async function buildZReport(pool, shiftSessionId) {
     const report = await personnel.getShiftReport(pool, shiftSessionId);
     if (!report) return null;
+    report.parkedSales = await getShiftParkedSummary(pool, shiftSessionId);
     return formatShiftReport(report, report.shift.status === 'open' ? 'x' : 'z');
 }
 
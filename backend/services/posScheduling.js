@@ -0,0 +1,735 @@
+'use strict';
+
+/**
+ * Weekly labor schedule: shifts per payroll week (same week start as timesheets), copy-last-week,
+ * saved templates applied to one or more weeks, employee time-off requests, and a coverage view of
+ * scheduled labor hours / cost per store hour against in-store sales.
+ *
+ * Shift times are entered as store wall clock (date + HH:MM; an end at or before the start runs past
+ * midnight). A shift may not overlap another shift for the same employee; approved time off blocks a
+ * shift unless the manager overrides, and pending requests are reported as warnings. Estimated cost
+ * uses the employee's hourly rate and the timesheet break and overtime rules.
+ */
+
+const posTimesheets = require('./posTimesheets');
+const {
+    getStoreDayBoundsRfc3339,
+    getStoreTodayYmd,
+    normalizeDateYmd,
+    normalizeTimeHm,
+    storeDateTimeLocalForInstant,
+    storeWallClockToUtcMs
+} = require('../utils/storeTimezone');
+
+const DAY_MS = 86400000;
+const HOUR_MS = 3600000;
+const TIME_OFF_STATUSES = ['pending', 'approved', 'denied', 'cancelled'];
+const TYPICAL_SALES_WEEKS = 4;
+const MAX_APPLY_WEEKS = 12;
+
+function scheduleError(message, status, code, extra = {}) {
+    return Object.assign(new Error(message), { status, code }, extra);
+}
+
+function roundMoney(n) {
+    return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+function positiveIdOrNull(value) {
+    const n = Number(value);
+    return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+function addDaysYmd(ymd, days) {
+    return new Date(Date.parse(`${ymd}T12:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function weekdayOf(ymd) {
+    return new Date(`${ymd}T12:00:00Z`).getUTCDay();
+}
+
+function toMs(value) {
+    if (value == null) return null;
+    const ms = value instanceof Date ? value.getTime() : Date.parse(value);
+    return Number.isFinite(ms) ? ms : null;
+}
+
+function employeeName(row) {
+    return `${row.first_name || ''} ${row.last_name || ''}`.trim();
+}
+
+/**
+ * Absolute start / end for a store-local shift; an end at or before the start is the next day.
+ * @returns {{ startsAt: Date, endsAt: Date }}
+ */
+function shiftWindow(dateYmd, startHm, endHm) {
+    const date = normalizeDateYmd(dateYmd);
+    const start = normalizeTimeHm(startHm);
+    const end = normalizeTimeHm(endHm);
+    if (!date || !start || !end) throw scheduleError('Enter the shift date, start and end time', 400, 'VALIDATION');
+    const startsMs = storeWallClockToUtcMs(date, start);
+    const endsMs = storeWallClockToUtcMs(end > start ? date : addDaysYmd(date, 1), end);
+    if (endsMs - startsMs > 16 * HOUR_MS) throw scheduleError('A shift cannot be longer than 16 hours', 400, 'VALIDATION');
+    return { startsAt: new Date(startsMs), endsAt: new Date(endsMs) };
+}
+
+/** Week containing `ymd` (default today) using the payroll week start. */
+async function resolveWeek(pool, ymd) {
+    const settings = await posTimesheets.loadTimesheetSettings(pool);
+    const weekStart = posTimesheets.weekStartYmd(normalizeDateYmd(ymd) || getStoreTodayYmd(), settings.weekStartDay);
+    return {
+        settings,
+        weekStart,
+        weekEnd: addDaysYmd(weekStart, 6),
+        rangeStart: new Date(getStoreDayBoundsRfc3339(weekStart).timeMin),
+        rangeEnd: new Date(getStoreDayBoundsRfc3339(addDaysYmd(weekStart, 6)).timeMax)
+    };
+}
+
+function mapShiftRow(row) {
+    const startsMs = toMs(row.starts_at);
+    const endsMs = toMs(row.ends_at);
+    const startsLocal = storeDateTimeLocalForInstant(startsMs);
+    const endsLocal = storeDateTimeLocalForInstant(endsMs);
+    return {
+        id: row.id,
+        employeeId: row.employee_id,
+        employeeCode: row.employee_code,
+        employeeName: employeeName(row),
+        date: startsLocal ? startsLocal.slice(0, 10) : null,
+        start: startsLocal ? startsLocal.slice(11, 16) : null,
+        end: endsLocal ? endsLocal.slice(11, 16) : null,
+        startsAt: new Date(startsMs).toISOString(),
+        endsAt: new Date(endsMs).toISOString(),
+        minutes: Math.max(0, Math.round((endsMs - startsMs) / 60000)),
+        notes: row.notes || null
+    };
+}
+
+function mapTimeOffRow(row) {
+    return {
+        id: row.id,
+        employeeId: row.employee_id,
+        employeeCode: row.employee_code,
+        employeeName: employeeName(row),
+        startsAt: new Date(toMs(row.starts_at)).toISOString(),
+        endsAt: new Date(toMs(row.ends_at)).toISOString(),
+        startsLocal: storeDateTimeLocalForInstant(row.starts_at),
+        endsLocal: storeDateTimeLocalForInstant(row.ends_at),
+        reason: row.reason || null,
+        status: row.status,
+        source: row.source,
+        reviewedBy: row.reviewer_first_name ? `${row.reviewer_first_name} ${row.reviewer_last_name || ''}`.trim() : null,
+        reviewedAt: row.reviewed_at || null,
+        reviewNote: row.review_note || null,
+        createdAt: row.created_at
+    };
+}
+
+/**
+ * Conflicts for one shift (pure): other shifts of the same employee it overlaps, and pending or
+ * approved time off it falls in.
+ */
+function findShiftConflicts(shift, { shifts = [], timeOff = [] }) {
+    const s = toMs(shift.startsAt);
+    const e = toMs(shift.endsAt);
+    const conflicts = [];
+    for (const other of shifts) {
+        if (other.id === shift.id || Number(other.employeeId) !== Number(shift.employeeId)) continue;
+        if (toMs(other.startsAt) < e && toMs(other.endsAt) > s) {
+            conflicts.push({ type: 'overlap', shiftId: other.id });
+        }
+    }
+    for (const request of timeOff) {
+        if (Number(request.employeeId) !== Number(shift.employeeId)) continue;
+        if (request.status !== 'approved' && request.status !== 'pending') continue;
+        if (toMs(request.startsAt) < e && toMs(request.endsAt) > s) {
+            conflicts.push({ type: 'time_off', timeOffId: request.id, status: request.status });
+        }
+    }
+    return conflicts;
+}
+
+async function loadShifts(conn, from, to, employeeId = null) {
+    const [rows] = await conn.execute(
+        `SELECT s.*, e.employee_code, e.first_name, e.last_name
+           FROM pos_scheduled_shifts s
+           JOIN pos_employees e ON e.id = s.employee_id
+          WHERE s.starts_at < ? AND s.ends_at > ?${employeeId ? ' AND s.employee_id = ?' : ''}
+          ORDER BY s.starts_at, e.first_name`,
+        [to, from, ...(employeeId ? [employeeId] : [])]
+    );
+    return rows.map(mapShiftRow);
+}
+
+async function loadTimeOff(conn, from, to, { employeeId = null, statuses = ['pending', 'approved'] } = {}) {
+    const [rows] = await conn.execute(
+        `SELECT r.*, e.employee_code, e.first_name, e.last_name,
+                u.first_name AS reviewer_first_name, u.last_name AS reviewer_last_name
+           FROM pos_time_off_requests r
+           JOIN pos_employees e ON e.id = r.employee_id
+           LEFT JOIN admin_users u ON u.id = r.reviewed_by
+          WHERE r.starts_at < ? AND r.ends_at > ?
+            AND r.status IN (${statuses.map(() => '?').join(', ')})${employeeId ? ' AND r.employee_id = ?' : ''}
+          ORDER BY r.starts_at`,
+        [to, from, ...statuses, ...(employeeId ? [employeeId] : [])]
+    );
+    return rows.map(mapTimeOffRow);
+}
+
+/** Paid minutes, overtime and estimated cost per employee for a week of shifts. */
+function estimateWeekCost(shifts, employees, settings, week) {
+    const byEmployee = new Map();
+    for (const shift of shifts) {
+        const list = byEmployee.get(shift.employeeId) || [];
+        list.push({ id: shift.id, clockIn: shift.startsAt, clockOut: shift.endsAt });
+        byEmployee.set(shift.employeeId, list);
+    }
+    const rows = [];
+    for (const employee of employees) {
+        const entries = byEmployee.get(employee.id) || [];
+        if (!entries.length) continue;
+        const sheet = posTimesheets.computeEmployeeTimesheet(entries, settings, {
+            from: week.weekStart,
+            to: week.weekEnd,
+            now: week.rangeEnd.getTime() + DAY_MS
+        });
+        const rate = employee.hourlyRate;
+        rows.push({
+            employeeId: employee.id,
+            scheduledMinutes: sheet.workedMinutes + sheet.breakMinutes,
+            paidMinutes: sheet.workedMinutes,
+            overtimeMinutes: sheet.overtimeMinutes,
+            cost:
+                rate != null
+                    ? roundMoney((rate * sheet.regularMinutes) / 60 + (rate * settings.overtimeMultiplier * sheet.overtimeMinutes) / 60)
+                    : null
+        });
+    }
+    return rows;
+}
+
+async function loadEmployees(conn) {
+    const [rows] = await conn.execute(
+        `SELECT id, employee_code, first_name, last_name, hourly_rate, is_active
+           FROM pos_employees ORDER BY first_name, last_name`
+    );
+    return rows.map((r) => ({
+        id: r.id,
+        employeeCode: r.employee_code,
+        name: employeeName(r),
+        hourlyRate: r.hourly_rate != null ? Number(r.hourly_rate) : null,
+        isActive: Boolean(r.is_active)
+    }));
+}
+
+/** Week view: days, active employees (plus anyone scheduled), shifts with conflicts, time off and cost. */
+async function getScheduleWeek(pool, { weekStart } = {}) {
+    const week = await resolveWeek(pool, weekStart);
+    const [employees, shifts, timeOff] = await Promise.all([
+        loadEmployees(pool),
+        loadShifts(pool, week.rangeStart, week.rangeEnd),
+        loadTimeOff(pool, week.rangeStart, week.rangeEnd)
+    ]);
+    const scheduledIds = new Set(shifts.map((s) => s.employeeId));
+    const visible = employees.filter((e) => e.isActive || scheduledIds.has(e.id));
+    const costs = estimateWeekCost(shifts, visible, week.settings, week);
+    const costByEmployee = new Map(costs.map((c) => [c.employeeId, c]));
+
+    return {
+        weekStart: week.weekStart,
+        weekEnd: week.weekEnd,
+        days: Array.from({ length: 7 }, (_, i) => addDaysYmd(week.weekStart, i)),
+        employees: visible.map((e) => ({
+            ...e,
+            scheduledMinutes: costByEmployee.get(e.id)?.scheduledMinutes || 0,
+            overtimeMinutes: costByEmployee.get(e.id)?.overtimeMinutes || 0,
+            estimatedCost: costByEmployee.get(e.id)?.cost ?? null
+        })),
+        shifts: shifts.map((s) => ({ ...s, conflicts: findShiftConflicts(s, { shifts, timeOff }) })),
+        timeOff,
+        totals: {
+            scheduledMinutes: costs.reduce((sum, c) => sum + c.scheduledMinutes, 0),
+            overtimeMinutes: costs.reduce((sum, c) => sum + c.overtimeMinutes, 0),
+            estimatedCost: roundMoney(costs.reduce((sum, c) => sum + (c.cost || 0), 0)),
+            unratedEmployees: costs.filter((c) => c.cost == null).length
+        }
+    };
+}
+
+/** Shift window from { date, start, end } (store time) or legacy { startsAt, endsAt } datetime-local values. */
+function normalizeShiftPayload(payload = {}) {
+    const employeeId = positiveIdOrNull(payload.employeeId ?? payload.employee_id);
+    if (!employeeId) throw scheduleError('Pick the employee', 400, 'VALIDATION');
+    let window;
+    if (payload.date) {
+        window = shiftWindow(payload.date, payload.start, payload.end);
+    } else {
+        const parse = (v) => {
+            const m = String(v || '').match(/^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2})/);
+            return m ? { date: m[1], time: m[2] } : null;
+        };
+        const start = parse(payload.startsAt);
+        const end = parse(payload.endsAt);
+        if (!start || !end) throw scheduleError('Enter the shift start and end', 400, 'VALIDATION');
+        window = {
+            startsAt: new Date(storeWallClockToUtcMs(start.date, start.time)),
+            endsAt: new Date(storeWallClockToUtcMs(end.date, end.time))
+        };
+        if (window.endsAt <= window.startsAt) throw scheduleError('The shift must end after it starts', 400, 'VALIDATION');
+    }
+    return {
+        employeeId,
+        ...window,
+        notes: String(payload.notes || '').trim().slice(0, 500) || null,
+        override: payload.override === true || payload.override === 'true' || payload.override === 1
+    };
+}
+
+/**
+ * Overlaps always block; approved time off blocks unless overridden.
+ * @returns {Promise<object[]>} warnings (pending time off, overridden approved time off)
+ */
+async function checkShiftConflicts(conn, shift, excludeId = null) {
+    const [shifts, timeOff] = await Promise.all([
+        loadShifts(conn, shift.startsAt, shift.endsAt, shift.employeeId),
+        loadTimeOff(conn, shift.startsAt, shift.endsAt, { employeeId: shift.employeeId })
+    ]);
+    const conflicts = findShiftConflicts(
+        { id: excludeId, employeeId: shift.employeeId, startsAt: shift.startsAt, endsAt: shift.endsAt },
+        { shifts, timeOff }
+    );
+    if (conflicts.some((c) => c.type === 'overlap')) {
+        throw scheduleError('That overlaps another shift for this employee', 409, 'SHIFT_OVERLAP', { conflicts });
+    }
+    if (!shift.override && conflicts.some((c) => c.type === 'time_off' && c.status === 'approved')) {
+        throw scheduleError('The employee has approved time off then', 409, 'TIME_OFF_CONFLICT', { conflicts });
+    }
+    return conflicts;
+}
+
+async function createShift(pool, payload, { adminId } = {}) {
+    const shift = normalizeShiftPayload(payload);
+    const warnings = await checkShiftConflicts(pool, shift);
+    const [result] = await pool.execute(
+        `INSERT INTO pos_scheduled_shifts (employee_id, starts_at, ends_at, notes, created_by) VALUES (?, ?, ?, ?, ?)`,
+        [shift.employeeId, shift.startsAt, shift.endsAt, shift.notes, adminId || null]
+    );
+    return { id: result.insertId, warnings };
+}
+
+async function updateShift(pool, id, payload) {
+    const [[existing]] = await pool.execute('SELECT id FROM pos_scheduled_shifts WHERE id = ?', [id]);
+    if (!existing) throw scheduleError('Shift not found', 404, 'NOT_FOUND');
+    const shift = normalizeShiftPayload(payload);
+    const warnings = await checkShiftConflicts(pool, shift, id);
+    await pool.execute('UPDATE pos_scheduled_shifts SET employee_id = ?, starts_at = ?, ends_at = ?, notes = ? WHERE id = ?', [
+        shift.employeeId,
+        shift.startsAt,
+        shift.endsAt,
+        shift.notes,
+        id
+    ]);
+    return { id, warnings };
+}
+
+async function deleteShift(pool, id) {
+    const [result] = await pool.execute('DELETE FROM pos_scheduled_shifts WHERE id = ?', [id]);
+    if (!result.affectedRows) throw scheduleError('Shift not found', 404, 'NOT_FOUND');
+}
+
+/**
+ * Insert shifts, skipping any that overlap an existing shift or approved time off.
+ * @returns {Promise<{ created: number, skipped: object[] }>}
+ */
+async function insertShiftsSkippingConflicts(pool, candidates, adminId) {
+    const skipped = [];
+    let created = 0;
+    for (const shift of candidates) {
+        try {
+            await checkShiftConflicts(pool, shift);
+        } catch (err) {
+            if (err.code !== 'SHIFT_OVERLAP' && err.code !== 'TIME_OFF_CONFLICT') throw err;
+            skipped.push({
+                employeeId: shift.employeeId,
+                employeeName: shift.employeeName || null,
+                startsAt: shift.startsAt.toISOString(),
+                reason: err.code === 'SHIFT_OVERLAP' ? 'Already scheduled' : 'Approved time off'
+            });
+            continue;
+        }
+        await pool.execute(
+            `INSERT INTO pos_scheduled_shifts (employee_id, starts_at, ends_at, notes, created_by) VALUES (?, ?, ?, ?, ?)`,
+            [shift.employeeId, shift.startsAt, shift.endsAt, shift.notes || null, adminId || null]
+        );
+        created += 1;
+    }
+    return { created, skipped };
+}
+
+/** Copy every shift of one week onto another, at the same store wall-clock times. */
+async function copyWeek(pool, { fromWeekStart, toWeekStart } = {}, { adminId } = {}) {
+    const target = await resolveWeek(pool, toWeekStart);
+    const source = await resolveWeek(pool, fromWeekStart || addDaysYmd(target.weekStart, -7));
+    if (source.weekStart === target.weekStart) throw scheduleError('Pick a different week to copy from', 400, 'VALIDATION');
+    const shifts = await loadShifts(pool, source.rangeStart, source.rangeEnd);
+    const dayOffset = Math.round((Date.parse(target.weekStart) - Date.parse(source.weekStart)) / DAY_MS);
+    const candidates = shifts
+        .filter((s) => s.date >= source.weekStart && s.date <= source.weekEnd)
+        .map((s) => ({
+            employeeId: s.employeeId,
+            employeeName: s.employeeName,
+            ...shiftWindow(addDaysYmd(s.date, dayOffset), s.start, s.end),
+            notes: s.notes
+        }));
+    return { weekStart: target.weekStart, ...(await insertShiftsSkippingConflicts(pool, candidates, adminId)) };
+}
+
+async function listTemplates(pool) {
+    const [rows] = await pool.execute(
+        `SELECT t.id, t.name, t.created_at, COUNT(ts.id) AS shift_count, COUNT(DISTINCT ts.employee_id) AS employee_count
+           FROM pos_shift_templates t
+           LEFT JOIN pos_shift_template_shifts ts ON ts.template_id = t.id
+          GROUP BY t.id, t.name, t.created_at
+          ORDER BY t.name`
+    );
+    return rows.map((r) => ({
+        id: r.id,
+        name: r.name,
+        shiftCount: Number(r.shift_count) || 0,
+        employeeCount: Number(r.employee_count) || 0,
+        createdAt: r.created_at
+    }));
+}
+
+/** Save a week's shifts as a named template (weekday + store times per employee). */
+async function saveWeekAsTemplate(pool, { name, weekStart } = {}, { adminId } = {}) {
+    const label = String(name || '').trim().slice(0, 120);
+    if (!label) throw scheduleError('Give the template a name', 400, 'VALIDATION');
+    const week = await resolveWeek(pool, weekStart);
+    const shifts = (await loadShifts(pool, week.rangeStart, week.rangeEnd)).filter(
+        (s) => s.date >= week.weekStart && s.date <= week.weekEnd
+    );
+    if (!shifts.length) throw scheduleError('That week has no shifts to save', 400, 'NOTHING_TO_SAVE');
+    const conn = await pool.getConnection();
+    try {
+        await conn.beginTransaction();
+        const [result] = await conn.execute('INSERT INTO pos_shift_templates (name, created_by) VALUES (?, ?)', [label, adminId || null]);
+        for (const s of shifts) {
+            await conn.execute(
+                `INSERT INTO pos_shift_template_shifts (template_id, employee_id, weekday, start_time, end_time, notes)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [result.insertId, s.employeeId, weekdayOf(s.date), s.start, s.end, s.notes]
+            );
+        }
+        await conn.commit();
+        return { id: result.insertId, shiftCount: shifts.length };
+    } catch (err) {
+        await conn.rollback();
+        throw err;
+    } finally {
+        conn.release();
+    }
+}
+
+async function deleteTemplate(pool, id) {
+    const [result] = await pool.execute('DELETE FROM pos_shift_templates WHERE id = ?', [id]);
+    if (!result.affectedRows) throw scheduleError('Template not found', 404, 'NOT_FOUND');
+}
+
+/** Apply a template to `weeks` consecutive weeks starting with the week containing `weekStart`. */
+async function applyTemplate(pool, id, { weekStart, weeks = 1 } = {}, { adminId } = {}) {
+    const [[template]] = await pool.execute('SELECT id, name FROM pos_shift_templates WHERE id = ?', [id]);
+    if (!template) throw scheduleError('Template not found', 404, 'NOT_FOUND');
+    const [rows] = await pool.execute(
+        `SELECT ts.*, e.first_name, e.last_name, e.is_active
+           FROM pos_shift_template_shifts ts
+           JOIN pos_employees e ON e.id = ts.employee_id
+          WHERE ts.template_id = ?`,
+        [id]
+    );
+    const count = Math.min(MAX_APPLY_WEEKS, Math.max(1, parseInt(weeks, 10) || 1));
+    const first = await resolveWeek(pool, weekStart);
+    const candidates = [];
+    for (let w = 0; w < count; w += 1) {
+        const start = addDaysYmd(first.weekStart, w * 7);
+        for (const row of rows.filter((r) => r.is_active)) {
+            const offset = (Number(row.weekday) - weekdayOf(start) + 7) % 7;
+            candidates.push({
+                employeeId: row.employee_id,
+                employeeName: employeeName(row),
+                ...shiftWindow(addDaysYmd(start, offset), String(row.start_time).slice(0, 5), String(row.end_time).slice(0, 5)),
+                notes: row.notes
+            });
+        }
+    }
+    return { template: template.name, weekStart: first.weekStart, weeks: count, ...(await insertShiftsSkippingConflicts(pool, candidates, adminId)) };
+}
+
+function normalizeTimeOffPayload(payload = {}) {
+    const parse = (value, fallbackTime) => {
+        const raw = String(value || '').trim();
+        const m = raw.match(/^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2}))?/);
+        return m ? storeWallClockToUtcMs(m[1], m[2] || fallbackTime) : NaN;
+    };
+    const startsMs = parse(payload.startsAt ?? payload.starts_at, '00:00');
+    const rawEnd = String(payload.endsAt ?? payload.ends_at ?? '').trim();
+    // A date with no time off means the whole day.
+    const endsMs = /^\d{4}-\d{2}-\d{2}$/.test(rawEnd) ? parse(rawEnd, '23:59') + 60000 : parse(rawEnd, '23:59');
+    if (!Number.isFinite(startsMs) || !Number.isFinite(endsMs)) {
+        throw scheduleError('Enter when the time off starts and ends', 400, 'VALIDATION');
+    }
+    if (endsMs <= startsMs) throw scheduleError('Time off must end after it starts', 400, 'VALIDATION');
+    if (endsMs - startsMs > 31 * DAY_MS) throw scheduleError('Request a month or less at a time', 400, 'VALIDATION');
+    return {
+        startsAt: new Date(startsMs),
+        endsAt: new Date(endsMs),
+        reason: String(payload.reason || '').trim().slice(0, 500) || null
+    };
+}
+
+async function getTimeOffRequest(pool, id) {
+    const [[row]] = await pool.execute(
+        `SELECT r.*, e.employee_code, e.first_name, e.last_name,
+                u.first_name AS reviewer_first_name, u.last_name AS reviewer_last_name
+           FROM pos_time_off_requests r
+           JOIN pos_employees e ON e.id = r.employee_id
+           LEFT JOIN admin_users u ON u.id = r.reviewed_by
+          WHERE r.id = ?`,
+        [id]
+    );
+    if (!row) throw scheduleError('Time-off request not found', 404, 'NOT_FOUND');
+    return mapTimeOffRow(row);
+}
+
+/** Employee request from the register (pending), or admin-entered time off (approved). */
+async function createTimeOffRequest(pool, employeeId, payload, { source = 'pos', adminId = null } = {}) {
+    const id = positiveIdOrNull(employeeId);
+    if (!id) throw scheduleError('Pick the employee', 400, 'VALIDATION');
+    const request = normalizeTimeOffPayload(payload);
+    if (source === 'pos' && request.endsAt.getTime() < Date.now()) {
+        throw scheduleError('Time off must be in the future', 400, 'VALIDATION');
+    }
+    const approved = source === 'admin';
+    const [result] = await pool.execute(
+        `INSERT INTO pos_time_off_requests (employee_id, starts_at, ends_at, reason, status, source, reviewed_by, reviewed_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [id, request.startsAt, request.endsAt, request.reason, approved ? 'approved' : 'pending', source, approved ? adminId : null, approved ? new Date() : null]
+    );
+    return getTimeOffRequest(pool, result.insertId);
+}
+
+async function listTimeOffRequests(pool, { status, employeeId, from, to } = {}) {
+    const where = [];
+    const params = [];
+    if (status && TIME_OFF_STATUSES.includes(status)) {
+        where.push('r.status = ?');
+        params.push(status);
+    }
+    if (positiveIdOrNull(employeeId)) {
+        where.push('r.employee_id = ?');
+        params.push(positiveIdOrNull(employeeId));
+    }
+    if (normalizeDateYmd(from)) {
+        where.push('r.ends_at > ?');
+        params.push(new Date(getStoreDayBoundsRfc3339(normalizeDateYmd(from)).timeMin));
+    }
+    if (normalizeDateYmd(to)) {
+        where.push('r.starts_at < ?');
+        params.push(new Date(getStoreDayBoundsRfc3339(normalizeDateYmd(to)).timeMax));
+    }
+    const [rows] = await pool.execute(
+        `SELECT r.*, e.employee_code, e.first_name, e.last_name,
+                u.first_name AS reviewer_first_name, u.last_name AS reviewer_last_name
+           FROM pos_time_off_requests r
+           JOIN pos_employees e ON e.id = r.employee_id
+           LEFT JOIN admin_users u ON u.id = r.reviewed_by
+          ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+          ORDER BY r.status = 'pending' DESC, r.starts_at
+          LIMIT 300`,
+        params
+    );
+    return rows.map(mapTimeOffRow);
+}
+
+/** Approve or deny; approving lists the scheduled shifts it now conflicts with. */
+async function reviewTimeOffRequest(pool, id, { status, note } = {}, { adminId } = {}) {
+    if (status !== 'approved' && status !== 'denied') {
+        throw scheduleError('Status must be approved or denied', 400, 'VALIDATION');
+    }
+    const request = await getTimeOffRequest(pool, id);
+    if (request.status === 'cancelled') throw scheduleError('That request was cancelled', 409, 'TIME_OFF_CANCELLED');
+    await pool.execute(
+        'UPDATE pos_time_off_requests SET status = ?, reviewed_by = ?, reviewed_at = NOW(), review_note = ? WHERE id = ?',
+        [status, adminId || null, String(note || '').trim().slice(0, 500) || null, id]
+    );
+    const conflictingShifts =
+        status === 'approved'
+            ? await loadShifts(pool, new Date(request.startsAt), new Date(request.endsAt), request.employeeId)
+            : [];
+    return { ...(await getTimeOffRequest(pool, id)), conflictingShifts };
+}
+
+/** Employees may withdraw their own request until it starts. */
+async function cancelTimeOffRequest(pool, id, employeeId) {
+    const request = await getTimeOffRequest(pool, id);
+    if (Number(request.employeeId) !== Number(employeeId)) throw scheduleError('Time-off request not found', 404, 'NOT_FOUND');
+    if (request.status === 'cancelled' || request.status === 'denied') {
+        throw scheduleError(`That request is already ${request.status}`, 409, 'TIME_OFF_CLOSED');
+    }
+    if (Date.parse(request.startsAt) <= Date.now()) {
+        throw scheduleError('Time off that has started cannot be withdrawn at the register', 409, 'TIME_OFF_STARTED');
+    }
+    await pool.execute("UPDATE pos_time_off_requests SET status = 'cancelled' WHERE id = ?", [id]);
+    return getTimeOffRequest(pool, id);
+}
+
+/** Register view: the signed-in employee's upcoming shifts and time off. */
+async function getEmployeeSchedule(pool, employeeId, { from, to } = {}) {
+    const today = getStoreTodayYmd();
+    const start = normalizeDateYmd(from) || today;
+    const end = normalizeDateYmd(to) || addDaysYmd(start, 20);
+    if (end < start) throw scheduleError('The end date is before the start date', 400, 'VALIDATION');
+    const rangeStart = start === today ? new Date() : new Date(getStoreDayBoundsRfc3339(start).timeMin);
+    const rangeEnd = new Date(getStoreDayBoundsRfc3339(end).timeMax);
+    const [shifts, timeOff] = await Promise.all([
+        loadShifts(pool, rangeStart, rangeEnd, employeeId),
+        loadTimeOff(pool, rangeStart, rangeEnd, { employeeId, statuses: ['pending', 'approved', 'denied'] })
+    ]);
+    return {
+        from: start,
+        to: end,
+        shifts: shifts.map(({ employeeCode: _code, employeeName: _name, ...s }) => s),
+        timeOff: timeOff.map(({ employeeCode: _code, employeeName: _name, ...r }) => r),
+        totalMinutes: shifts.reduce((sum, s) => sum + s.minutes, 0)
+    };
+}
+
+/** Split [startMs, endMs) into store-hour buckets ('YYYY-MM-DDTHH' → minutes). The store zone has whole-hour offsets. */
+function minutesByStoreHour(startMs, endMs) {
+    const buckets = new Map();
+    let t = startMs;
+    while (t < endMs) {
+        const next = Math.min(endMs, (Math.floor(t / HOUR_MS) + 1) * HOUR_MS);
+        const key = storeDateTimeLocalForInstant(t).slice(0, 13);
+        buckets.set(key, (buckets.get(key) || 0) + (next - t) / 60000);
+        t = next;
+    }
+    return buckets;
+}
+
+/**
+ * Hour-by-hour grid for a week (pure): scheduled labor hours and cost, actual sales, and the average
+ * sales for the same weekday and hour over earlier weeks.
+ * @param {{ weekStart: string, shifts: object[], rates: Map<number, number>, sales: Array<{ createdAt, total }>, pastSales: Array<{ createdAt, total }>, pastWeeks: number, weekStartDay: number }} input
+ */
+function buildCoverageGrid({ weekStart, shifts, rates, sales, pastSales = [], pastWeeks = TYPICAL_SALES_WEEKS }) {
+    const days = Array.from({ length: 7 }, (_, i) => {
+        const date = addDaysYmd(weekStart, i);
+        return {
+            date,
+            hours: Array.from({ length: 24 }, (_, hour) => ({ hour, scheduledHours: 0, laborCost: 0, sales: 0, orders: 0, typicalSales: 0 }))
+        };
+    });
+    const dayIndex = new Map(days.map((d, i) => [d.date, i]));
+    const slot = (key) => {
+        const i = dayIndex.get(key.slice(0, 10));
+        return i == null ? null : days[i].hours[Number(key.slice(11, 13))];
+    };
+
+    for (const shift of shifts) {
+        const rate = rates.get(Number(shift.employeeId));
+        for (const [key, minutes] of minutesByStoreHour(toMs(shift.startsAt), toMs(shift.endsAt))) {
+            const cell = slot(key);
+            if (!cell) continue;
+            cell.scheduledHours += minutes / 60;
+            if (rate != null) cell.laborCost += (rate * minutes) / 60;
+        }
+    }
+    for (const sale of sales) {
+        const cell = slot(storeDateTimeLocalForInstant(sale.createdAt).slice(0, 13));
+        if (!cell) continue;
+        cell.sales += Number(sale.total) || 0;
+        cell.orders += 1;
+    }
+    const weekStartDow = weekdayOf(weekStart);
+    for (const sale of pastSales) {
+        const local = storeDateTimeLocalForInstant(sale.createdAt);
+        const i = (weekdayOf(local.slice(0, 10)) - weekStartDow + 7) % 7;
+        days[i].hours[Number(local.slice(11, 13))].typicalSales += (Number(sale.total) || 0) / pastWeeks;
+    }
+
+    const totals = { scheduledHours: 0, laborCost: 0, sales: 0, typicalSales: 0 };
+    for (const day of days) {
+        for (const cell of day.hours) {
+            cell.scheduledHours = Math.round(cell.scheduledHours * 100) / 100;
+            cell.laborCost = roundMoney(cell.laborCost);
+            cell.sales = roundMoney(cell.sales);
+            cell.typicalSales = roundMoney(cell.typicalSales);
+        }
+        day.scheduledHours = Math.round(day.hours.reduce((s, c) => s + c.scheduledHours, 0) * 100) / 100;
+        day.laborCost = roundMoney(day.hours.reduce((s, c) => s + c.laborCost, 0));
+        day.sales = roundMoney(day.hours.reduce((s, c) => s + c.sales, 0));
+        day.typicalSales = roundMoney(day.hours.reduce((s, c) => s + c.typicalSales, 0));
+        for (const key of Object.keys(totals)) totals[key] += day[key];
+    }
+    for (const key of Object.keys(totals)) totals[key] = Math.round(totals[key] * 100) / 100;
+    const basis = totals.sales > 0 ? totals.sales : totals.typicalSales;
+    return { days, totals: { ...totals, laborPercent: basis > 0 ? Math.round((totals.laborCost / basis) * 1000) / 10 : null } };
+}
+
+async function loadInStoreSales(pool, from, to) {
+    const [rows] = await pool.execute(
+        `SELECT created_at, total_amount FROM orders
+          WHERE sales_channel = 'in_store' AND payment_status = 'paid'
+            AND created_at >= ? AND created_at <= ?`,
+        [from, to]
+    );
+    return rows.map((r) => ({ createdAt: r.created_at, total: r.total_amount }));
+}
+
+/** Coverage chart data: scheduled labor vs. this week's sales and the typical sales of the last four weeks. */
+async function getCoverage(pool, { weekStart } = {}) {
+    const week = await resolveWeek(pool, weekStart);
+    const pastStart = addDaysYmd(week.weekStart, -7 * TYPICAL_SALES_WEEKS);
+    const [employees, shifts, sales, pastSales] = await Promise.all([
+        loadEmployees(pool),
+        loadShifts(pool, week.rangeStart, week.rangeEnd),
+        loadInStoreSales(pool, week.rangeStart, week.rangeEnd),
+        loadInStoreSales(
+            pool,
+            new Date(getStoreDayBoundsRfc3339(pastStart).timeMin),
+            new Date(getStoreDayBoundsRfc3339(addDaysYmd(week.weekStart, -1)).timeMax)
+        )
+    ]);
+    const rates = new Map(employees.filter((e) => e.hourlyRate != null).map((e) => [e.id, e.hourlyRate]));
+    return {
+        weekStart: week.weekStart,
+        weekEnd: week.weekEnd,
+        typicalWeeks: TYPICAL_SALES_WEEKS,
+        ...buildCoverageGrid({ weekStart: week.weekStart, shifts, rates, sales, pastSales })
+    };
+}
+
+module.exports = {
+    TIME_OFF_STATUSES,
+    shiftWindow,
+    findShiftConflicts,
+    minutesByStoreHour,
+    buildCoverageGrid,
+    getScheduleWeek,
+    createShift,
+    updateShift,
+    deleteShift,
+    copyWeek,
+    listTemplates,
+    saveWeekAsTemplate,
+    deleteTemplate,
+    applyTemplate,
+    createTimeOffRequest,
+    listTimeOffRequests,
+    reviewTimeOffRequest,
+    cancelTimeOffRequest,
+    getEmployeeSchedule,
+    getCoverage
+};
@@ -24,6 +24,7 @@ const POS_SETTING_KEYS = Object.freeze([
     'pos_receipt_auto_print',
     'pos_receipt_copy_count',
     'pos_receipt_show_order_barcode',
+    'pos_receipt_show_digital_qr',
     'pos_session_timeout_minutes',
     'pos_pin_max_attempts',
     'pos_pin_lockout_minutes',
@@ -76,6 +77,7 @@ const POS_SETTING_META = Object.freeze({
     pos_receipt_auto_print: { description: 'Auto-open print dialog after each sale', type: 'boolean' },
     pos_receipt_copy_count: { description: 'Number of receipt copies to print (1–3)', type: 'number' },
     pos_receipt_show_order_barcode: { description: 'Show order number as barcode on receipts', type: 'boolean' },
+    pos_receipt_show_digital_qr: { description: 'Print a QR code linking to the digital receipt', type: 'boolean' },
     pos_session_timeout_minutes: { description: 'POS PIN session timeout minutes', type: 'number' },
     pos_pin_max_attempts: { description: 'Max failed PIN attempts', type: 'number' },
     pos_pin_lockout_minutes: { description: 'PIN lockout minutes', type: 'number' },
@@ -38,6 +38,15 @@ function buildShiftReportHtml(report, storeName) {
     const expectedCash = Number(s.expectedCash ?? s.expected_cash ?? 0);
     const closingCash = s.closingCash ?? s.closing_cash;
     const overShort = s.overShortAmount ?? s.over_short_amount;
+    const parked = report.parkedSales;
+    const expiredHtml = (parked?.expiredTickets || [])
+        .map(
+            (t) =>
+                `<tr><td style="padding:0.25rem 0">#${t.id}${t.label ? ` ${escapeHtml(t.label)}` : ''}</td>` +
+                `<td style="padding:0.25rem 0;color:#555">${escapeHtml(t.customerName || t.employeeName || '')}</td>` +
+                `<td style="padding:0.25rem 0;text-align:right">${formatMoney(t.totalAmount)}</td></tr>`
+        )
+        .join('');
 
     return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
 <body style="font-family:system-ui,sans-serif;color:#111;padding:24px;max-width:640px;margin:0 auto">
@@ -57,11 +66,15 @@ ${overShort != null ? `<tr><td style="padding:0.35rem 0">Over / short</td><td st
 <tr><td style="padding:0.35rem 0">Check sales</td><td style="text-align:right">${formatMoney(s.checkSalesTotal ?? s.check_sales_total)}</td></tr>
 <tr><td style="padding:0.35rem 0;font-weight:600">Sales count</td><td style="text-align:right;font-weight:600">${s.saleCount ?? (report.sales || []).length}</td></tr>
 <tr><td style="padding:0.35rem 0;font-weight:600">Merchandise total</td><td style="text-align:right;font-weight:600">${formatMoney(s.merchandiseTotal || 0)}</td></tr>
+${parked ? `<tr><td style="padding:0.35rem 0">Parked tickets (recalled / voided)</td><td style="text-align:right">${parked.parked} (${parked.recalled} / ${parked.voided})</td></tr>
+<tr><td style="padding:0.35rem 0">Expired parked tickets</td><td style="text-align:right">${parked.expired} · ${formatMoney(parked.expiredValue)}</td></tr>` : ''}
 </table>
 ${salesHtml ? `<h3 style="font-size:1rem;margin:1rem 0 0.5rem">Sales</h3>
 <table style="width:100%;border-collapse:collapse;font-size:14px">
 <thead><tr style="border-bottom:1px solid #ddd"><th style="text-align:left;padding:0.25rem 0">Order</th><th style="text-align:right;padding:0.25rem 0">Total</th><th style="text-align:left;padding:0.25rem 0">Payment</th></tr></thead>
 <tbody>${salesHtml}</tbody></table>` : ''}
+${expiredHtml ? `<h3 style="font-size:1rem;margin:1rem 0 0.5rem">Expired parked tickets</h3>
+<table style="width:100%;border-collapse:collapse;font-size:14px"><tbody>${expiredHtml}</tbody></table>` : ''}
 <p style="margin:1.5rem 0 0;font-size:12px;color:#888">Generated ${new Date().toLocaleString()} · Business One POS</p>
 </body></html>`;
 }
@@ -116,6 +129,9 @@ async function sendShiftReportEmail(pool, report, email) {
         `${storeName} — ${title}\n` +
         `Shift #${shiftId}\n` +
         `Merchandise: ${formatMoney(report.shift?.merchandiseTotal || 0)}\n` +
+        (report.parkedSales
+            ? `Expired parked tickets: ${report.parkedSales.expired} (${formatMoney(report.parkedSales.expiredValue)})\n`
+            : '') +
         `See attached PDF for full details.`;
 
     let pdfBuffer;
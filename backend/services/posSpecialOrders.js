@@ -0,0 +1,640 @@
+'use strict';
+
+/**
+ * POS special orders — a customer deposit against an item we do not stock.
+ *
+ * Lifecycle: open (deposit taken) → ordered (linked to a vendor PO line) → received (POS receiving
+ * completed for that line; customer emailed) → completed (final sale rung up with the deposit
+ * applied as a `special_order_deposit` tender). Open orders can be cancelled with a refund PIN.
+ */
+
+const logger = require('../utils/logger');
+const { sendMail } = require('../utils/mailTransporter');
+const { wrapHmHerbsEmail, BRAND } = require('./giftCardDeliveryEmail');
+const { loadLoyaltyProgramSettings } = require('./customerLoyalty');
+const { loadPosPaymentMethodsSettings } = require('./posPaymentMethodsSettings');
+const { resolveCustomerUser } = require('./posCustomerService');
+const { refundWalletTender } = require('./orderTenderReversal');
+const personnel = require('./posPersonnel');
+const {
+    DEPOSIT_TENDER_TYPE,
+    normalizeTendersFromPayload,
+    validateTendersForSale,
+    applyTendersToOrder,
+    recordTendersOnShift,
+    buildPaymentReference
+} = require('./posSplitTender');
+
+const OPEN_STATUSES = ['open', 'ordered', 'received'];
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function specialOrderError(message, status, code) {
+    return Object.assign(new Error(message), { status, code });
+}
+
+function roundMoney(n) {
+    return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+function escapeHtml(str) {
+    return String(str || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function formatMoney(value) {
+    return `$${(Number(value) || 0).toFixed(2)}`;
+}
+
+function positiveIdOrNull(value) {
+    const n = Number(value);
+    return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+/** Validated special order fields from a register payload (before catalog / customer lookup). */
+function normalizeSpecialOrderInput(raw = {}) {
+    const quantity = Number(raw.quantity ?? 1);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > 999) {
+        throw specialOrderError('Quantity must be a whole number between 1 and 999', 400, 'VALIDATION');
+    }
+    const depositAmount = roundMoney(raw.depositAmount ?? raw.deposit_amount);
+    if (!(depositAmount > 0)) {
+        throw specialOrderError('Enter the deposit amount', 400, 'VALIDATION');
+    }
+    const quotedRaw = raw.quotedUnitPrice ?? raw.quoted_unit_price ?? raw.unitPrice;
+    const quotedUnitPrice = quotedRaw != null && quotedRaw !== '' ? roundMoney(quotedRaw) : null;
+    if (quotedUnitPrice != null && quotedUnitPrice < 0) {
+        throw specialOrderError('Quoted price cannot be negative', 400, 'VALIDATION');
+    }
+    const productId = positiveIdOrNull(raw.productId ?? raw.product_id);
+    const variantId = positiveIdOrNull(raw.variantId ?? raw.variant_id);
+    const sku = String(raw.sku || '').trim().slice(0, 100) || null;
+    const description = String(raw.description || raw.name || '').trim().slice(0, 255) || null;
+    if (!description && !productId && !variantId && !sku) {
+        throw specialOrderError('Describe the item or pick it from the catalog', 400, 'VALIDATION');
+    }
+    const customerEmail = String(raw.customerEmail || raw.customer_email || '').trim().slice(0, 255) || null;
+    if (customerEmail && !EMAIL_RE.test(customerEmail)) {
+        throw specialOrderError('Enter a valid customer email', 400, 'VALIDATION');
+    }
+    return {
+        customerId: positiveIdOrNull(raw.customerId ?? raw.customer_id),
+        customerName: String(raw.customerName || raw.customer_name || '').trim().slice(0, 200) || null,
+        customerEmail,
+        customerPhone: String(raw.customerPhone || raw.customer_phone || '').trim().slice(0, 50) || null,
+        productId,
+        variantId,
+        sku,
+        description,
+        vendorId: positiveIdOrNull(raw.vendorId ?? raw.vendor_id),
+        quantity,
+        quotedUnitPrice,
+        depositAmount,
+        notes: String(raw.notes || '').trim().slice(0, 2000) || null
+    };
+}
+
+/**
+ * Which special orders on one PO line are covered by the quantity received, oldest first.
+ * A special order is only marked received once its whole quantity has arrived.
+ * @param {number} qtyReceived
+ * @param {{ id: number, quantity: number }[]} specialOrders
+ * @returns {number[]} ids of covered special orders
+ */
+function allocateReceivedQuantity(qtyReceived, specialOrders) {
+    let remaining = Math.max(0, Number(qtyReceived) || 0);
+    const covered = [];
+    for (const so of [...specialOrders].sort((a, b) => a.id - b.id)) {
+        const qty = Number(so.quantity) || 0;
+        if (qty > remaining) break;
+        remaining -= qty;
+        covered.push(so.id);
+    }
+    return covered;
+}
+
+function mapSpecialOrderRow(row) {
+    const quoted = row.quoted_unit_price != null ? Number(row.quoted_unit_price) : null;
+    const deposit = Number(row.deposit_amount) || 0;
+    return {
+        id: row.id,
+        status: row.status,
+        customerId: row.customer_id,
+        customerName: row.customer_name,
+        customerEmail: row.customer_email,
+        customerPhone: row.customer_phone,
+        productId: row.product_id,
+        variantId: row.variant_id,
+        sku: row.sku,
+        description: row.description,
+        vendorId: row.vendor_id,
+        vendorName: row.vendor_name || null,
+        quantity: Number(row.quantity) || 0,
+        quotedUnitPrice: quoted,
+        depositAmount: deposit,
+        estimatedBalance: quoted != null ? roundMoney(Math.max(0, quoted * Number(row.quantity) - deposit)) : null,
+        purchaseOrderId: row.purchase_order_id,
+        purchaseOrderLineId: row.purchase_order_line_id,
+        poNumber: row.po_number || null,
+        notes: row.notes,
+        createdByEmployeeId: row.created_by_employee_id,
+        createdAt: row.created_at,
+        orderedAt: row.ordered_at,
+        receivedAt: row.received_at,
+        notifiedAt: row.notified_at,
+        completedAt: row.completed_at,
+        completedOrderId: row.completed_order_id,
+        cancelledAt: row.cancelled_at,
+        cancelReason: row.cancel_reason
+    };
+}
+
+const SELECT_SPECIAL_ORDER = `
+    SELECT so.*, v.name AS vendor_name, vpo.po_number
+    FROM pos_special_orders so
+    LEFT JOIN vendors v ON v.id = so.vendor_id
+    LEFT JOIN vendor_purchase_orders vpo ON vpo.id = so.purchase_order_id`;
+
+async function resolveCatalogItem(pool, { productId, variantId, sku }) {
+    if (variantId) {
+        const [rows] = await pool.execute(
+            `SELECT pv.id AS variant_id, pv.product_id, pv.sku, pv.price, CONCAT(p.name, ' — ', pv.name) AS name
+             FROM product_variants pv JOIN products p ON p.id = pv.product_id
+             WHERE pv.id = ? LIMIT 1`,
+            [variantId]
+        );
+        if (rows[0]) return rows[0];
+    }
+    if (sku) {
+        const [rows] = await pool.execute(
+            `SELECT pv.id AS variant_id, pv.product_id, pv.sku, pv.price, CONCAT(p.name, ' — ', pv.name) AS name
+             FROM product_variants pv JOIN products p ON p.id = pv.product_id
+             WHERE pv.sku = ? LIMIT 1`,
+            [sku]
+        );
+        if (rows[0]) return rows[0];
+        const [products] = await pool.execute(
+            `SELECT NULL AS variant_id, id AS product_id, sku, price, name FROM products WHERE sku = ? LIMIT 1`,
+            [sku]
+        );
+        if (products[0]) return products[0];
+    }
+    if (productId) {
+        const [rows] = await pool.execute(
+            `SELECT NULL AS variant_id, id AS product_id, sku, price, name FROM products WHERE id = ? LIMIT 1`,
+            [productId]
+        );
+        if (rows[0]) return rows[0];
+    }
+    return null;
+}
+
+function assertTendersEnabled(tenders, enabledMethods) {
+    const labels = { cash: 'Cash', check: 'Check', card_terminal: 'Card terminal' };
+    for (const t of tenders) {
+        if (labels[t.type] && !enabledMethods.has(t.type)) {
+            const err = new Error('PAYMENT_METHOD_DISABLED');
+            err.code = 'PAYMENT_METHOD_DISABLED';
+            err.message = `${labels[t.type]} payments are turned off for this store.`;
+            throw err;
+        }
+    }
+}
+
+async function getSpecialOrder(pool, id) {
+    const [rows] = await pool.execute(`${SELECT_SPECIAL_ORDER} WHERE so.id = ?`, [id]);
+    if (!rows[0]) return null;
+    const [deposits] = await pool.execute(
+        `SELECT id, tender_type, amount, loyalty_points, gift_card_id, payment_reference, created_at
+         FROM pos_special_order_deposits WHERE special_order_id = ? ORDER BY id`,
+        [id]
+    );
+    return {
+        ...mapSpecialOrderRow(rows[0]),
+        deposits: deposits.map((d) => ({
+            id: d.id,
+            type: d.tender_type,
+            amount: Number(d.amount) || 0,
+            loyaltyPoints: d.loyalty_points,
+            giftCardId: d.gift_card_id,
+            reference: d.payment_reference,
+            createdAt: d.created_at
+        }))
+    };
+}
+
+/**
+ * Takes the deposit (any split-tender mix) and records the special order.
+ * @param {import('mysql2/promise').Pool} pool
+ * @param {object} payload register body: special order fields plus payment / paymentTenders
+ * @param {{ employee: object, deviceId?: string, shiftSessionId?: number|null }} context
+ */
+async function createSpecialOrder(pool, payload, { employee, deviceId = null, shiftSessionId = null }) {
+    const input = normalizeSpecialOrderInput(payload);
+
+    const customerUser = input.customerId ? await resolveCustomerUser(pool, input.customerId) : null;
+    if (input.customerId && !customerUser) {
+        throw specialOrderError('Attached customer profile was not found', 404, 'CUSTOMER_NOT_FOUND');
+    }
+    const customerEmail = input.customerEmail || customerUser?.email || null;
+    if (!customerEmail) {
+        throw specialOrderError('A customer email is required so we can tell them when it arrives', 400, 'EMAIL_REQUIRED');
+    }
+    const customerName =
+        input.customerName ||
+        `${customerUser?.first_name || ''} ${customerUser?.last_name || ''}`.trim() ||
+        null;
+
+    const catalog = await resolveCatalogItem(pool, input);
+    if ((input.productId || input.variantId) && !catalog) {
+        throw specialOrderError('Catalog item not found', 404, 'PRODUCT_NOT_FOUND');
+    }
+    const description = input.description || catalog?.name;
+    const quotedUnitPrice = input.quotedUnitPrice ?? (catalog ? roundMoney(catalog.price) : null);
+
+    const loyaltySettings = await loadLoyaltyProgramSettings(pool);
+    const paymentSettings = await loadPosPaymentMethodsSettings(pool);
+    const tenders = normalizeTendersFromPayload(payload, loyaltySettings, input.depositAmount);
+    if (!tenders.length) {
+        const err = new Error('PAYMENT_REQUIRED');
+        err.code = 'PAYMENT_REQUIRED';
+        err.message = 'At least one payment tender is required for the deposit.';
+        throw err;
+    }
+    assertTendersEnabled(tenders, new Set(paymentSettings.methods));
+    const paymentMeta = payload.payment || payload;
+    validateTendersForSale(tenders, input.depositAmount, {
+        customerUserId: customerUser?.id || null,
+        cardApprovedConfirmed: Boolean(paymentMeta.terminalApprovedConfirmed || paymentMeta.terminal_approved_confirmed),
+        skipCardTerminalChecks: tenders.every((t) => t.type !== 'card_terminal')
+    });
+
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+    let specialOrderId;
+    try {
+        const [result] = await connection.execute(
+            `INSERT INTO pos_special_orders
+                (customer_id, customer_name, customer_email, customer_phone, product_id, variant_id, sku,
+                 description, vendor_id, quantity, quoted_unit_price, deposit_amount, notes,
+                 created_by_employee_id, created_device_id, shift_session_id)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                customerUser?.id || null,
+                customerName,
+                customerEmail,
+                input.customerPhone || customerUser?.phone || null,
+                catalog?.product_id || null,
+                catalog?.variant_id || null,
+                catalog?.sku || input.sku,
+                description,
+                input.vendorId,
+                input.quantity,
+                quotedUnitPrice,
+                input.depositAmount,
+                input.notes,
+                employee?.id || null,
+                deviceId ? String(deviceId).slice(0, 64) : null,
+                shiftSessionId || null
+            ]
+        );
+        specialOrderId = result.insertId;
+
+        const walletTenders = tenders.filter((t) => ['loyalty_cash', 'loyalty_points', 'gift_card'].includes(t.type));
+        if (walletTenders.length) {
+            await applyTendersToOrder(connection, {
+                tenders: walletTenders,
+                orderId: null,
+                customerUser,
+                loyaltySettings,
+                source: 'pos'
+            });
+        }
+        for (const t of tenders) {
+            await connection.execute(
+                `INSERT INTO pos_special_order_deposits
+                    (special_order_id, tender_type, amount, loyalty_points, gift_card_id, payment_reference,
+                     cash_tendered, cash_change, check_number, terminal_last_four, terminal_auth_code,
+                     employee_id, shift_session_id)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    specialOrderId,
+                    t.type,
+                    roundMoney(t.amount),
+                    t.loyaltyPoints || null,
+                    t.giftCardId || null,
+                    buildPaymentReference(t.type, t),
+                    t.cashTendered != null ? roundMoney(t.cashTendered) : null,
+                    t.cashChange != null ? roundMoney(t.cashChange) : null,
+                    t.checkNumber || null,
+                    t.terminalLastFour || null,
+                    t.terminalAuthCode || null,
+                    employee?.id || null,
+                    shiftSessionId || null
+                ]
+            );
+        }
+        await connection.commit();
+    } catch (err) {
+        await connection.rollback();
+        throw err;
+    } finally {
+        connection.release();
+    }
+
+    if (shiftSessionId) {
+        await recordTendersOnShift(pool, shiftSessionId, tenders);
+    }
+    const specialOrder = await getSpecialOrder(pool, specialOrderId);
+    const cashTender = tenders.find((t) => t.type === 'cash');
+    return { specialOrder, paymentTenders: tenders, cashChange: cashTender?.cashChange || 0 };
+}
+
+/**
+ * @param {import('mysql2/promise').Pool} pool
+ * @param {{ status?: string, search?: string, unlinked?: boolean, limit?: number }} [filters]
+ */
+async function listSpecialOrders(pool, { status, search, unlinked = false, limit = 100 } = {}) {
+    const where = [];
+    const params = [];
+    const statuses = String(status || '')
+        .split(',')
+        .map((s) => s.trim())
+        .filter((s) => [...OPEN_STATUSES, 'completed', 'cancelled'].includes(s));
+    if (statuses.length) {
+        where.push(`so.status IN (${statuses.map(() => '?').join(', ')})`);
+        params.push(...statuses);
+    }
+    if (unlinked) where.push('so.purchase_order_line_id IS NULL');
+    const term = String(search || '').trim();
+    if (term) {
+        where.push('(so.customer_name LIKE ? OR so.customer_email LIKE ? OR so.description LIKE ? OR so.sku = ? OR CAST(so.id AS CHAR) = ?)');
+        params.push(`%${term}%`, `%${term}%`, `%${term}%`, term, term);
+    }
+    const [rows] = await pool.query(
+        `${SELECT_SPECIAL_ORDER}
+         ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+         ORDER BY so.created_at DESC
+         LIMIT ?`,
+        [...params, Math.min(500, Math.max(1, Number(limit) || 100))]
+    );
+    return rows.map(mapSpecialOrderRow);
+}
+
+/**
+ * Links a special order to the vendor PO line that will bring it in. Copies the line's catalog
+ * product onto the special order when the register only had a description.
+ * @param {import('mysql2/promise').Pool|import('mysql2/promise').PoolConnection} db
+ */
+async function linkToPurchaseOrderLine(db, specialOrderId, { purchaseOrderId, lineId }) {
+    const [lines] = await db.query(
+        `SELECT vpol.id, vpol.purchase_order_id, vpol.product_id, vpol.variant_id, vpo.vendor_id, vpo.status
+         FROM vendor_purchase_order_lines vpol
+         JOIN vendor_purchase_orders vpo ON vpo.id = vpol.purchase_order_id
+         WHERE vpol.id = ? AND vpol.purchase_order_id = ?
+         LIMIT 1`,
+        [lineId, purchaseOrderId]
+    );
+    const line = lines[0];
+    if (!line) throw specialOrderError('Purchase order line not found', 404, 'LINE_NOT_FOUND');
+    if (['received', 'cancelled'].includes(line.status)) {
+        throw specialOrderError(`Purchase order is already ${line.status}`, 409, 'INVALID_STATE');
+    }
+    const [result] = await db.query(
+        `UPDATE pos_special_orders
+         SET purchase_order_id = ?, purchase_order_line_id = ?, vendor_id = COALESCE(?, vendor_id),
+             product_id = COALESCE(product_id, ?), variant_id = COALESCE(variant_id, ?),
+             status = 'ordered', ordered_at = COALESCE(ordered_at, NOW())
+         WHERE id = ? AND status IN ('open', 'ordered')`,
+        [line.purchase_order_id, line.id, line.vendor_id, line.product_id, line.variant_id, specialOrderId]
+    );
+    if (!result.affectedRows) {
+        const [rows] = await db.query('SELECT status FROM pos_special_orders WHERE id = ?', [specialOrderId]);
+        if (!rows[0]) throw specialOrderError('Special order not found', 404, 'NOT_FOUND');
+        throw specialOrderError(`Special order is already ${rows[0].status}`, 409, 'SPECIAL_ORDER_CLOSED');
+    }
+}
+
+/** Special orders linked to each line of a purchase order, keyed by line id. */
+async function listSpecialOrdersForPurchaseOrder(pool, purchaseOrderId) {
+    let rows;
+    try {
+        [rows] = await pool.query(
+            `${SELECT_SPECIAL_ORDER} WHERE so.purchase_order_id = ? AND so.status <> 'cancelled' ORDER BY so.id`,
+            [purchaseOrderId]
+        );
+    } catch (err) {
+        if (err.code === 'ER_NO_SUCH_TABLE') return new Map();
+        throw err;
+    }
+    const byLine = new Map();
+    for (const row of rows) {
+        const list = byLine.get(row.purchase_order_line_id) || [];
+        list.push(mapSpecialOrderRow(row));
+        byLine.set(row.purchase_order_line_id, list);
+    }
+    return byLine;
+}
+
+function buildReadyEmail(so) {
+    const subject = `Your special order is in: ${so.description}`;
+    const balanceLine =
+        so.estimatedBalance != null
+            ? `<p style="margin:0 0 16px;">Deposit paid: <strong>${formatMoney(so.depositAmount)}</strong><br>
+               Estimated balance at pickup: <strong>${formatMoney(so.estimatedBalance)}</strong> plus tax</p>`
+            : `<p style="margin:0 0 16px;">Deposit paid: <strong>${formatMoney(so.depositAmount)}</strong> — it comes off your total at pickup.</p>`;
+    const bodyHtml = `
+        <p style="margin:0 0 16px;">Hi${so.customerName ? ` ${escapeHtml(so.customerName.split(' ')[0])}` : ''},</p>
+        <p style="margin:0 0 16px;">Good news — the item you ordered has arrived and is waiting for you at the store:</p>
+        <p style="margin:0 0 16px;padding:12px 16px;background:${BRAND.lightGreen};border-radius:6px;">
+            <strong>${escapeHtml(so.description)}</strong>${so.quantity > 1 ? ` &times; ${so.quantity}` : ''}<br>
+            <span style="font-size:13px;color:${BRAND.footerMuted};">Special order #${so.id}</span>
+        </p>
+        ${balanceLine}
+        <p style="margin:0;">Just mention special order #${so.id} at the register.</p>
+    `;
+    const text = [
+        `Good news — your special order #${so.id} has arrived: ${so.description}${so.quantity > 1 ? ` x ${so.quantity}` : ''}.`,
+        `Deposit paid: ${formatMoney(so.depositAmount)}.`,
+        so.estimatedBalance != null ? `Estimated balance at pickup: ${formatMoney(so.estimatedBalance)} plus tax.` : '',
+        `Mention special order #${so.id} at the register.`
+    ]
+        .filter(Boolean)
+        .join('\n\n');
+    return { subject, html: wrapHmHerbsEmail({ headline: 'Your order is in!', bodyHtml, preheader: subject }), text };
+}
+
+async function notifyReceived(pool, ids) {
+    let sent = 0;
+    for (const id of ids) {
+        const so = await getSpecialOrder(pool, id);
+        if (!so?.customerEmail || so.notifiedAt) continue;
+        try {
+            const { subject, html, text } = buildReadyEmail(so);
+            const result = await sendMail({ to: so.customerEmail, subject, html, text, logTag: 'Special order ready email' });
+            if (!result.sent) break;
+            await pool.execute('UPDATE pos_special_orders SET notified_at = NOW() WHERE id = ?', [id]);
+            sent += 1;
+        } catch (err) {
+            logger.warn(`[pos-special-orders] ready email failed for #${id}: ${err.message}`);
+        }
+    }
+    return sent;
+}
+
+/**
+ * After POS receiving completes a purchase order: marks linked special orders whose quantity
+ * fully arrived as received and emails those customers in the background.
+ * @param {import('mysql2/promise').Pool} pool
+ * @param {{ id: number, lines: { id: number, qtyReceived: number, productId?: number, variantId?: number }[] }} order
+ * @returns {Promise<number[]>} ids of special orders marked received
+ */
+async function markReceivedForPurchaseOrder(pool, order) {
+    const byLine = await listSpecialOrdersForPurchaseOrder(pool, order.id);
+    const receivedIds = [];
+    for (const line of order.lines || []) {
+        const linked = byLine.get(line.id) || [];
+        if (!linked.length) continue;
+        const alreadyCovered = linked.filter((so) => so.status !== 'ordered');
+        const alreadyQty = alreadyCovered.reduce((sum, so) => sum + so.quantity, 0);
+        const waiting = linked.filter((so) => so.status === 'ordered');
+        const ids = allocateReceivedQuantity(line.qtyReceived - alreadyQty, waiting);
+        for (const id of ids) {
+            const [result] = await pool.execute(
+                `UPDATE pos_special_orders
+                 SET status = 'received', received_at = NOW(),
+                     product_id = COALESCE(product_id, ?), variant_id = COALESCE(variant_id, ?)
+                 WHERE id = ? AND status = 'ordered'`,
+                [line.productId || null, line.variantId || null, id]
+            );
+            if (result.affectedRows) receivedIds.push(id);
+        }
+    }
+    if (receivedIds.length) {
+        setImmediate(() => {
+            notifyReceived(pool, receivedIds).catch((err) => {
+                logger.warn(`[pos-special-orders] ready notifications failed — ${logger.formatMysqlError(err)}`);
+            });
+        });
+    }
+    return receivedIds;
+}
+
+/**
+ * Loads a special order for the final ring-up and returns the deposit tender to apply.
+ * @param {import('mysql2/promise').Pool} pool
+ */
+async function loadSpecialOrderForSale(pool, specialOrderId) {
+    const so = await getSpecialOrder(pool, specialOrderId);
+    if (!so) {
+        const err = new Error('Special order not found');
+        err.code = 'SPECIAL_ORDER_NOT_FOUND';
+        throw err;
+    }
+    if (!OPEN_STATUSES.includes(so.status)) {
+        const err = new Error(`Special order #${so.id} is already ${so.status}`);
+        err.code = 'SPECIAL_ORDER_CLOSED';
+        throw err;
+    }
+    return {
+        specialOrder: so,
+        depositTender: { type: DEPOSIT_TENDER_TYPE, amount: roundMoney(so.depositAmount), specialOrderId: so.id }
+    };
+}
+
+/** Marks the special order completed by this sale; call inside the sale transaction. */
+async function completeSpecialOrderForSale(connection, specialOrderId, orderId) {
+    const [result] = await connection.execute(
+        `UPDATE pos_special_orders
+         SET status = 'completed', completed_at = NOW(), completed_order_id = ?
+         WHERE id = ? AND status IN ('open', 'ordered', 'received')`,
+        [orderId, specialOrderId]
+    );
+    if (!result.affectedRows) {
+        const err = new Error(`Special order #${specialOrderId} was already closed`);
+        err.code = 'SPECIAL_ORDER_CLOSED';
+        throw err;
+    }
+}
+
+/**
+ * Cancels an open special order and gives the deposit back: store credit, points and account gift
+ * cards are credited automatically; cash is paid out of the current drawer; card, check and
+ * gift-card-by-code deposits are returned for the cashier to refund at the terminal.
+ */
+async function cancelSpecialOrder(pool, id, { managerPin, reason, employee, deviceId = null, ip = null }) {
+    const pin = String(managerPin || '').replace(/\D/g, '').slice(0, 4);
+    if (!pin) throw specialOrderError('An authorized employee PIN is required to refund a deposit', 403, 'MANAGER_PIN_REQUIRED');
+    const note = String(reason || '').trim().slice(0, 500);
+    if (note.length < 3) throw specialOrderError('A cancellation reason is required (at least 3 characters)', 400, 'VALIDATION');
+    const authorizer = await personnel.verifyRefundPin(pool, pin, { deviceId, ip });
+
+    const so = await getSpecialOrder(pool, id);
+    if (!so) throw specialOrderError('Special order not found', 404, 'NOT_FOUND');
+
+    const refunds = [];
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+    try {
+        const [result] = await connection.execute(
+            `UPDATE pos_special_orders
+             SET status = 'cancelled', cancelled_at = NOW(), cancel_reason = ?
+             WHERE id = ? AND status IN ('open', 'ordered', 'received')`,
+            [`${note} (authorized by ${authorizer.name})`.slice(0, 500), id]
+        );
+        if (!result.affectedRows) {
+            throw specialOrderError(`Special order is already ${so.status}`, 409, 'SPECIAL_ORDER_CLOSED');
+        }
+        for (const deposit of so.deposits) {
+            const walletType = deposit.type === 'loyalty_cash' || deposit.type === 'loyalty_points' ||
+                (deposit.type === 'gift_card' && deposit.giftCardId);
+            if (walletType) {
+                const credited = await refundWalletTender(connection, null, deposit, deposit.amount, {
+                    userId: so.customerId,
+                    source: 'refund'
+                });
+                refunds.push({ type: deposit.type, amount: deposit.amount, method: credited > 0 ? 'credited' : 'manual' });
+            } else {
+                refunds.push({ type: deposit.type, amount: deposit.amount, method: deposit.type === 'cash' ? 'cash_drawer' : 'manual' });
+            }
+        }
+        await connection.commit();
+    } catch (err) {
+        await connection.rollback();
+        throw err;
+    } finally {
+        connection.release();
+    }
+
+    const cashBack = roundMoney(refunds.filter((r) => r.method === 'cash_drawer').reduce((s, r) => s + r.amount, 0));
+    if (cashBack > 0 && employee?.id) {
+        const shift = await personnel.getOpenShiftSession(pool, employee.id, deviceId);
+        if (shift) {
+            await personnel.addCashDrawerEvent(pool, {
+                shiftSessionId: shift.id,
+                eventType: 'paid_out',
+                amount: cashBack,
+                reason: `Special order #${id} deposit refund`,
+                employeeId: employee.id
+            });
+        }
+    }
+    return { specialOrder: await getSpecialOrder(pool, id), refunds };
+}
+
+module.exports = {
+    OPEN_STATUSES,
+    normalizeSpecialOrderInput,
+    allocateReceivedQuantity,
+    createSpecialOrder,
+    getSpecialOrder,
+    listSpecialOrders,
+    linkToPurchaseOrderLine,
+    listSpecialOrdersForPurchaseOrder,
+    markReceivedForPurchaseOrder,
+    loadSpecialOrderForSale,
+    completeSpecialOrderForSale,
+    cancelSpecialOrder
+};
@@ -23,6 +23,12 @@ const TENDER_TYPES = new Set([
     'loyalty_points'
 ]);
 
+/** Server-side only: a special order deposit applied on the final sale. Never accepted from the register payload. */
+const DEPOSIT_TENDER_TYPE = 'special_order_deposit';
+/** Server-side only: value of lines returned on an exchange, applied to the new sale. */
+const EXCHANGE_CREDIT_TENDER_TYPE = 'exchange_credit';
+const SERVER_TENDER_TYPES = new Set([DEPOSIT_TENDER_TYPE, EXCHANGE_CREDIT_TENDER_TYPE]);
+
 function buildPaymentReference(method, meta = {}) {
     if (method === 'cash') return 'pos:cash';
     if (method === 'check') {
@@ -31,6 +37,8 @@ function buildPaymentReference(method, meta = {}) {
     if (method === 'gift_card') return 'pos:gift_card';
     if (method === 'loyalty_cash') return 'pos:loyalty_cash';
     if (method === 'loyalty_points') return 'pos:loyalty_points';
+    if (method === DEPOSIT_TENDER_TYPE) return `pos:deposit:${meta.specialOrderId || 'na'}`;
+    if (method === EXCHANGE_CREDIT_TENDER_TYPE) return `pos:exchange:${meta.originalOrderNumber || 'na'}`.slice(0, 120);
     const auth = String(meta.terminalAuthCode || meta.terminal_auth_code || '').trim();
     const lastFour = String(meta.terminalLastFour || meta.terminal_last_four || '').replace(/\D/g, '');
     const ref = String(meta.terminalReference || meta.terminal_reference || '').trim();
@@ -55,10 +63,16 @@ function resolvePrimaryPaymentMethod(tenders) {
     return only;
 }
 
+/**
+ * @param {object} raw
+ * @param {object|null} loyaltySettings
+ * @param {{ trustClientAmount?: boolean, includeServerTenders?: boolean }} [options]
+ *   includeServerTenders reads back deposit / exchange credit rows (receipts); never set it for register payloads.
+ */
 function normalizeTenderRow(raw, loyaltySettings, options = {}) {
     if (!raw || typeof raw !== 'object') return null;
     const type = String(raw.type || raw.tenderType || raw.tender_type || '').trim().toLowerCase();
-    if (!TENDER_TYPES.has(type)) return null;
+    if (!TENDER_TYPES.has(type) && !(options.includeServerTenders && SERVER_TENDER_TYPES.has(type))) return null;
 
     let amount = roundMoney(raw.amount);
     let loyaltyPoints = null;
@@ -255,6 +269,10 @@ function formatTenderNotes(tenders) {
             );
         } else if (t.type === 'check') {
             lines.push(`Check: $${t.amount.toFixed(2)}${t.checkNumber ? ` #${t.checkNumber}` : ''}`);
+        } else if (t.type === DEPOSIT_TENDER_TYPE) {
+            lines.push(`Deposit applied: $${t.amount.toFixed(2)} (special order #${t.specialOrderId})`);
+        } else if (t.type === EXCHANGE_CREDIT_TENDER_TYPE) {
+            lines.push(`Exchange credit: $${t.amount.toFixed(2)} (returned from ${t.originalOrderNumber})`);
         }
     }
     if (lines.length > 1) {
@@ -373,6 +391,8 @@ async function recordTendersOnShift(pool, shiftSessionId, tenders) {
 
 module.exports = {
     TENDER_TYPES,
+    DEPOSIT_TENDER_TYPE,
+    EXCHANGE_CREDIT_TENDER_TYPE,
     roundMoney,
     usesCardPricing,
     resolvePrimaryPaymentMethod,
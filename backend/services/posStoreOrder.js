@@ -18,6 +18,7 @@ const {
     lineDiscountNeedsManagerPin
 } = require('./posSecuritySettings');
 const InventoryService = require('./inventory');
+const { queueRestockAlerts } = require('./stockAlerts');
 const { resolveCustomerUser } = require('./posCustomerService');
 const { pricePosCart } = require('./posPromotionPricing');
 const promoEngine = require('./webPromotionEngine');
@@ -33,6 +34,15 @@ const {
     resolvePrimaryPaymentMethod,
     buildPaymentReference: buildSplitPaymentReference
 } = require('./posSplitTender');
+const { loadSpecialOrderForSale, completeSpecialOrderForSale } = require('./posSpecialOrders');
+const {
+    prepareExchange,
+    exchangeCreditTender,
+    applyExchangeReturn,
+    settleExchangeRefund,
+    orderHasExchanges
+} = require('./posExchanges');
+const { resolveLineSalespeople } = require('./posCommissions');
 
 const ALLOWED_PAYMENT_METHODS = new Set(['cash', 'check', 'card_terminal', 'gift_card']);
 const FORBIDDEN_PAYMENT_KEYS = new Set([
@@ -491,9 +501,22 @@ async function createInStorePosOrder(pool, payload, deviceId, verifiedEmployeeId
     const clientCartDiscountPercent = parseCartDiscountPercent(payload);
     assertManualDiscountsAllowed(allowManualDiscounts, lineItems, clientCartDiscountPercent);
 
+    const exchangeInput = payload.exchange && typeof payload.exchange === 'object' ? payload.exchange : null;
+    if (exchangeInput && (fromOfflineSync || payload.specialOrderId || payload.special_order_id)) {
+        const err = new Error('EXCHANGE_NOT_ALLOWED');
+        err.code = 'EXCHANGE_NOT_ALLOWED';
+        err.message = fromOfflineSync
+            ? 'Exchanges need a live connection and cannot be rung up offline.'
+            : 'Complete the special order on its own sale, then exchange separately.';
+        throw err;
+    }
+    const exchangePlan = exchangeInput
+        ? await prepareExchange(pool, exchangeInput, { deviceId, ip: payload.clientIp })
+        : null;
+
     const paymentSettings = await loadPosPaymentMethodsSettings(pool);
     const loyaltySettings = await loadLoyaltyProgramSettings(pool);
-    const customerUserId = parseCustomerId(payload);
+    const customerUserId = parseCustomerId(payload) || exchangePlan?.order.user_id || null;
     const customerUser = customerUserId ? await resolveCustomerUser(pool, customerUserId) : null;
     if (customerUserId && !customerUser) {
         const err = new Error('CUSTOMER_NOT_FOUND');
@@ -504,6 +527,24 @@ async function createInStorePosOrder(pool, payload, deviceId, verifiedEmployeeId
 
     const enrichedPreview = await loadCatalogLines(pool, lineItems);
     const preCartSubtotal = merchandiseSubtotal(enrichedPreview);
+    const lineSalespeople = await resolveLineSalespeople(pool, lineItems, employeeId, { lenient: fromOfflineSync });
+
+    const specialOrderId = Number(payload.specialOrderId || payload.special_order_id) || null;
+    const specialOrderSale = specialOrderId ? await loadSpecialOrderForSale(pool, specialOrderId) : null;
+    if (specialOrderSale?.specialOrder.productId) {
+        const so = specialOrderSale.specialOrder;
+        const inCart = enrichedPreview.some(
+            (line) =>
+                Number(line.product_id) === Number(so.productId) &&
+                (!so.variantId || Number(line.variant_id) === Number(so.variantId))
+        );
+        if (!inCart) {
+            const err = new Error('SPECIAL_ORDER_ITEM_MISSING');
+            err.code = 'SPECIAL_ORDER_ITEM_MISSING';
+            err.message = `Add the special order item (${so.description}) to the cart before applying its deposit.`;
+            throw err;
+        }
+    }
 
     const paymentMeta = payload.payment || payload;
     let taxExemptInfo = parseTaxExemptSale(payload);
@@ -564,14 +605,27 @@ async function createInStorePosOrder(pool, payload, deviceId, verifiedEmployeeId
     let totalsFinal = resolveTotalsForPayment(pricing, pricingMethod, cartDiscountAmount);
     let saleTotal = totalsFinal.totalAmount;
 
+    const depositTender = specialOrderSale?.depositTender || null;
+    if (depositTender && depositTender.amount > saleTotal + 0.005) {
+        const err = new Error('DEPOSIT_EXCEEDS_SALE');
+        err.code = 'DEPOSIT_EXCEEDS_SALE';
+        err.message = `The $${depositTender.amount.toFixed(2)} deposit is more than this sale ($${saleTotal.toFixed(2)}).`;
+        throw err;
+    }
+
+    const creditTender = exchangePlan ? exchangeCreditTender(exchangePlan, saleTotal) : null;
+    const serverTendered = roundMoney((depositTender?.amount || 0) + (creditTender?.amount || 0));
+
     const tenders = Array.isArray(payload.paymentTenders) && payload.paymentTenders.length
         ? draftTenders
         : normalizeTendersFromPayload(
               payload,
               loyaltySettings,
-              saleTotal,
+              roundMoney(saleTotal - serverTendered),
               fromOfflineSync ? { trustClientAmount: true } : {}
           );
+    if (depositTender) tenders.push(depositTender);
+    if (creditTender?.amount > 0) tenders.push(creditTender);
 
     if (fromOfflineSync && tenders.length) {
         const snap = payload.offlinePricing || payload.offline_pricing;
@@ -671,10 +725,14 @@ async function createInStorePosOrder(pool, payload, deviceId, verifiedEmployeeId
     const notesWithAuth = authorizer
         ? `${notesBase}\nManager approval: ${authorizer.name} (${authorizer.employeeCode})`
         : notesBase;
-    const notesFinal = `${notesWithAuth}\n${formatTenderNotes(tenders)}`.trim();
+    const notesExchange = exchangePlan
+        ? `${notesWithAuth}\nExchange for ${exchangePlan.order.order_number} — ${exchangePlan.reason}`
+        : notesWithAuth;
+    const notesFinal = `${notesExchange}\n${formatTenderNotes(tenders)}`.trim();
 
     const connection = await pool.getConnection();
     await connection.beginTransaction();
+    let exchange = null;
 
     try {
         const [orderResult] = await connection.execute(
@@ -711,6 +769,20 @@ async function createInStorePosOrder(pool, payload, deviceId, verifiedEmployeeId
 
         const orderId = orderResult.insertId;
 
+        if (specialOrderId) {
+            await completeSpecialOrderForSale(connection, specialOrderId, orderId);
+        }
+
+        if (exchangePlan) {
+            exchange = await applyExchangeReturn(connection, exchangePlan, {
+                newOrderId: orderId,
+                creditApplied: creditTender.amount,
+                employeeId,
+                deviceId,
+                shiftSessionId
+            });
+        }
+
         if (promoPricing.promotion?.id) {
             try {
                 await connection.execute(
@@ -763,12 +835,12 @@ async function createInStorePosOrder(pool, payload, deviceId, verifiedEmployeeId
             if (persistErr?.code !== 'ER_NO_SUCH_TABLE') throw persistErr;
         }
 
-        for (const line of enriched) {
+        for (const [index, line] of enriched.entries()) {
             await connection.execute(
                 `INSERT INTO order_items (
                     order_id, product_id, variant_id, product_name, product_sku,
-                    variant_name, quantity, price, total
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    variant_name, quantity, price, total, salesperson_employee_id
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
                 [
                     orderId,
                     line.product_id,
@@ -778,7 +850,8 @@ async function createInStorePosOrder(pool, payload, deviceId, verifiedEmployeeId
                     line.variant_id ? line.name.split(' — ').pop() : null,
                     line.quantity,
                     line.unitPrice,
-                    line.lineTotal
+                    line.lineTotal,
+                    lineSalespeople[index]
                 ].map(sqlBind)
             );
         }
@@ -801,6 +874,10 @@ async function createInStorePosOrder(pool, payload, deviceId, verifiedEmployeeId
         if (shiftSessionId) {
             await recordTendersOnShift(pool, shiftSessionId, tenders);
         }
+        if (exchange) {
+            queueRestockAlerts(pool, exchange.restored);
+            await settleExchangeRefund(pool, exchange, { employeeId, shiftSessionId });
+        }
 
         const cashTender = tenders.find((t) => t.type === 'cash');
         const giftCardTotal = tenders
@@ -822,6 +899,19 @@ async function createInStorePosOrder(pool, payload, deviceId, verifiedEmployeeId
             loyaltyCashRedeemed: redemptionResults.loyaltyCash?.cashRedeemed || 0,
             loyaltyPointsRedeemed: redemptionResults.loyaltyPoints?.pointsRedeemed || 0,
             giftCardApplied: giftCardTotal,
+            specialOrderId,
+            depositApplied: depositTender?.amount || 0,
+            exchange: exchange
+                ? {
+                      exchangeId: exchange.exchangeId,
+                      originalOrderNumber: exchange.originalOrderNumber,
+                      returnCredit: exchange.returnCredit,
+                      creditApplied: exchange.creditApplied,
+                      netAmount: roundMoney(saleTotal - exchange.returnCredit),
+                      refundDue: exchange.refundDue,
+                      refunds: exchange.refunds
+                  }
+                : null,
             cashChange: cashTender?.cashChange || 0
         };
     } catch (e) {
@@ -912,6 +1002,12 @@ async function refundInStorePosOrder(pool, orderNumber, payload, employeeId, dev
         err.code = 'ORDER_NOT_REFUNDABLE';
         throw err;
     }
+    if (await orderHasExchanges(pool, order.id)) {
+        const err = new Error('ORDER_HAS_EXCHANGES');
+        err.code = 'ORDER_HAS_EXCHANGES';
+        err.message = 'Items on this sale were already exchanged, so it can no longer be refunded in full.';
+        throw err;
+    }
 
     const [orderItems] = await pool.execute(
         `SELECT product_id, variant_id, quantity FROM order_items WHERE order_id = ?`,
@@ -935,7 +1031,7 @@ async function refundInStorePosOrder(pool, orderNumber, payload, employeeId, dev
             variantId: item.variant_id,
             quantity: item.quantity
         }));
-        await inventoryService.restoreInventoryForOrder(
+        const restored = await inventoryService.restoreInventoryForOrder(
             inventoryItems,
             order.id,
             `POS refund ${orderNum} — ${reason}`,
@@ -957,6 +1053,7 @@ async function refundInStorePosOrder(pool, orderNumber, payload, employeeId, dev
         }
 
         await connection.commit();
+        queueRestockAlerts(pool, restored);
         return {
             orderId: order.id,
             orderNumber: order.order_number,
@@ -0,0 +1,709 @@
+'use strict';
+
+/**
+ * Payroll timesheets from register clock-in / clock-out punches.
+ *
+ * A punch belongs to the store day it started on. Shifts at least `breakAfterHours` long lose an
+ * unpaid `breakMinutes`; paid time over the daily threshold is overtime, and regular time over the
+ * weekly threshold (weeks start on `weekStartDay`) is overtime too, counted from the start of the week
+ * even when the pay period starts mid-week. Open punches from an earlier day, or open longer than
+ * `maxShiftHours`, are missing clock-outs and overlapping punches block approval until an admin fixes
+ * them; every admin edit is kept in pos_time_entry_edits with its reason. A manager approval stores
+ * the minutes it approved, so later punches or edits show it as stale, and the payroll CSV is only
+ * produced once every employee with hours in the period has a current approval.
+ */
+
+const { rowToCsvLine } = require('../utils/productImportTemplate');
+const {
+    getStoreDayBoundsRfc3339,
+    getStoreTodayYmd,
+    normalizeDateYmd,
+    storeDateTimeLocalForInstant,
+    storeWallClockToUtcMs,
+    storeYmdForInstant
+} = require('../utils/storeTimezone');
+
+const SETTING_KEYS = {
+    dailyOvertimeHours: 'pos_overtime_daily_hours',
+    weeklyOvertimeHours: 'pos_overtime_weekly_hours',
+    overtimeMultiplier: 'pos_overtime_multiplier',
+    breakAfterHours: 'pos_break_after_hours',
+    breakMinutes: 'pos_break_minutes',
+    weekStartDay: 'pos_payroll_week_start',
+    maxShiftHours: 'pos_max_shift_hours'
+};
+
+const SETTING_DESCRIPTIONS = {
+    dailyOvertimeHours: 'Paid hours per day before overtime (0 = no daily overtime)',
+    weeklyOvertimeHours: 'Regular hours per week before overtime (0 = no weekly overtime)',
+    overtimeMultiplier: 'Overtime pay multiplier',
+    breakAfterHours: 'Shift length that triggers the unpaid break deduction',
+    breakMinutes: 'Unpaid break minutes deducted from long shifts (0 = none)',
+    weekStartDay: 'First day of the payroll week (0 = Sunday … 6 = Saturday)',
+    maxShiftHours: 'Longest believable shift; longer or still-open punches are flagged'
+};
+
+const DEFAULT_SETTINGS = {
+    dailyOvertimeHours: 0,
+    weeklyOvertimeHours: 40,
+    overtimeMultiplier: 1.5,
+    breakAfterHours: 6,
+    breakMinutes: 30,
+    weekStartDay: 0,
+    maxShiftHours: 14
+};
+
+/** Flags that must be fixed before a timesheet can be approved. */
+const BLOCKING_FLAGS = ['missing_clock_out', 'overlap'];
+const MAX_PERIOD_DAYS = 62;
+const DAY_MS = 86400000;
+
+function timesheetError(message, status, code, extra = {}) {
+    return Object.assign(new Error(message), { status, code }, extra);
+}
+
+function roundMoney(n) {
+    return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+function clampNumber(value, min, max, fallback) {
+    if (value === '' || value == null) return fallback;
+    const n = Number(value);
+    if (!Number.isFinite(n)) return fallback;
+    return Math.min(max, Math.max(min, n));
+}
+
+function positiveIdOrNull(value) {
+    const n = Number(value);
+    return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+/** Settings from stored strings (or an admin payload); out-of-range values fall back or clamp. */
+function normalizeTimesheetSettings(raw = {}) {
+    return {
+        dailyOvertimeHours: clampNumber(raw.dailyOvertimeHours, 0, 24, DEFAULT_SETTINGS.dailyOvertimeHours),
+        weeklyOvertimeHours: clampNumber(raw.weeklyOvertimeHours, 0, 168, DEFAULT_SETTINGS.weeklyOvertimeHours),
+        overtimeMultiplier: clampNumber(raw.overtimeMultiplier, 1, 3, DEFAULT_SETTINGS.overtimeMultiplier),
+        breakAfterHours: clampNumber(raw.breakAfterHours, 0, 24, DEFAULT_SETTINGS.breakAfterHours),
+        breakMinutes: Math.round(clampNumber(raw.breakMinutes, 0, 240, DEFAULT_SETTINGS.breakMinutes)),
+        weekStartDay: Math.round(clampNumber(raw.weekStartDay, 0, 6, DEFAULT_SETTINGS.weekStartDay)),
+        maxShiftHours: clampNumber(raw.maxShiftHours, 1, 24, DEFAULT_SETTINGS.maxShiftHours)
+    };
+}
+
+async function loadTimesheetSettings(pool) {
+    const keys = Object.values(SETTING_KEYS);
+    const raw = {};
+    try {
+        const [rows] = await pool.execute(
+            `SELECT key_name, value FROM settings WHERE key_name IN (${keys.map(() => '?').join(', ')})`,
+            keys
+        );
+        const map = new Map((rows || []).map((r) => [r.key_name, r.value]));
+        for (const [field, key] of Object.entries(SETTING_KEYS)) raw[field] = map.get(key);
+    } catch {
+        /* defaults */
+    }
+    return normalizeTimesheetSettings(raw);
+}
+
+async function saveTimesheetSettings(pool, payload = {}) {
+    const current = await loadTimesheetSettings(pool);
+    const next = normalizeTimesheetSettings({ ...current, ...payload });
+    for (const [field, key] of Object.entries(SETTING_KEYS)) {
+        await pool.execute(
+            `INSERT INTO settings (key_name, value, description, type)
+             VALUES (?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE value = VALUES(value), updated_at = CURRENT_TIMESTAMP`,
+            [key, String(next[field]), SETTING_DESCRIPTIONS[field], 'number']
+        );
+    }
+    return next;
+}
+
+function addDaysYmd(ymd, days) {
+    return new Date(Date.parse(`${ymd}T12:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/** First day (YYYY-MM-DD) of the payroll week containing a store date. */
+function weekStartYmd(ymd, weekStartDay = 0) {
+    const dow = new Date(`${ymd}T12:00:00Z`).getUTCDay();
+    return addDaysYmd(ymd, -((dow - weekStartDay + 7) % 7));
+}
+
+function normalizeTimesheetPeriod({ from, to } = {}) {
+    const today = getStoreTodayYmd();
+    const end = normalizeDateYmd(to) || today;
+    const start = normalizeDateYmd(from) || addDaysYmd(end, -13);
+    if (start > end) throw timesheetError('The start date is after the end date', 400, 'VALIDATION');
+    const days = Math.round((Date.parse(`${end}T00:00:00Z`) - Date.parse(`${start}T00:00:00Z`)) / DAY_MS) + 1;
+    if (days > MAX_PERIOD_DAYS) throw timesheetError('Pick a pay period of two months or less', 400, 'VALIDATION');
+    return { from: start, to: end };
+}
+
+function toMs(value) {
+    if (value == null) return null;
+    const ms = value instanceof Date ? value.getTime() : Date.parse(value);
+    return Number.isFinite(ms) ? ms : null;
+}
+
+/**
+ * Hours, overtime and punch flags for one employee (pure).
+ * @param {Array<{ id: number, clockIn: Date|string, clockOut: Date|string|null, source?: string, editCount?: number }>} entries
+ *   punches from the start of the payroll week containing `from` through `to`
+ * @param {object} settings normalizeTimesheetSettings output
+ * @param {{ from: string, to: string, now?: number, scheduledShifts?: Array<{ id: number, startsAt: Date|string, endsAt: Date|string }> }} period
+ */
+function computeEmployeeTimesheet(entries, settings, { from, to, now = Date.now(), scheduledShifts = [] }) {
+    const today = storeYmdForInstant(now);
+    const maxShiftMinutes = settings.maxShiftHours * 60;
+    const sorted = [...entries]
+        .map((e) => ({ ...e, inMs: toMs(e.clockIn), outMs: toMs(e.clockOut) }))
+        .filter((e) => e.inMs != null)
+        .sort((a, b) => a.inMs - b.inMs);
+
+    const out = [];
+    const days = new Map();
+    let previous = null;
+    for (const entry of sorted) {
+        const workDate = storeYmdForInstant(entry.inMs);
+        const flags = [];
+        let minutes = 0;
+        let breakMinutes = 0;
+        if (entry.outMs == null) {
+            if (workDate < today || now - entry.inMs > maxShiftMinutes * 60000) flags.push('missing_clock_out');
+            else flags.push('open');
+        } else {
+            minutes = Math.max(0, Math.round((entry.outMs - entry.inMs) / 60000));
+            if (minutes > maxShiftMinutes) flags.push('long_shift');
+            if (settings.breakMinutes > 0 && minutes >= settings.breakAfterHours * 60) {
+                breakMinutes = Math.min(settings.breakMinutes, minutes);
+            }
+        }
+        if (previous && (previous.outMs == null || previous.outMs > entry.inMs)) {
+            flags.push('overlap');
+            if (!previous.flags.includes('overlap')) previous.flags.push('overlap');
+        }
+        if (Number(entry.editCount) > 0) flags.push('edited');
+
+        const row = {
+            id: entry.id,
+            workDate,
+            clockIn: new Date(entry.inMs).toISOString(),
+            clockOut: entry.outMs != null ? new Date(entry.outMs).toISOString() : null,
+            clockInLocal: storeDateTimeLocalForInstant(entry.inMs),
+            clockOutLocal: entry.outMs != null ? storeDateTimeLocalForInstant(entry.outMs) : null,
+            source: entry.source || 'pos',
+            minutes,
+            breakMinutes,
+            paidMinutes: minutes - breakMinutes,
+            editCount: Number(entry.editCount) || 0,
+            flags,
+            inMs: entry.inMs,
+            outMs: entry.outMs
+        };
+        out.push(row);
+        previous = row;
+
+        const day = days.get(workDate) || { date: workDate, workedMinutes: 0, breakMinutes: 0 };
+        day.workedMinutes += row.paidMinutes;
+        day.breakMinutes += breakMinutes;
+        days.set(workDate, day);
+    }
+
+    const weekRegular = new Map();
+    const dayRows = [];
+    for (const day of [...days.values()].sort((a, b) => (a.date < b.date ? -1 : 1))) {
+        const dailyOvertime =
+            settings.dailyOvertimeHours > 0 ? Math.max(0, day.workedMinutes - settings.dailyOvertimeHours * 60) : 0;
+        let regular = day.workedMinutes - dailyOvertime;
+        const week = weekStartYmd(day.date, settings.weekStartDay);
+        const regularSoFar = weekRegular.get(week) || 0;
+        let weeklyOvertime = 0;
+        if (settings.weeklyOvertimeHours > 0) {
+            const room = Math.max(0, settings.weeklyOvertimeHours * 60 - regularSoFar);
+            weeklyOvertime = Math.max(0, regular - room);
+        }
+        weekRegular.set(week, regularSoFar + regular);
+        regular -= weeklyOvertime;
+        if (day.date >= from && day.date <= to) {
+            dayRows.push({ ...day, regularMinutes: regular, overtimeMinutes: dailyOvertime + weeklyOvertime });
+        }
+    }
+
+    const inPeriod = out.filter((e) => e.workDate >= from && e.workDate <= to);
+    // A forgotten clock-out does not count as being at work for every shift after it.
+    const coveredUntil = (e) => (e.outMs != null ? e.outMs : e.flags.includes('open') ? now : e.inMs);
+    const missingClockIns = scheduledShifts
+        .map((s) => ({ id: s.id, startsMs: toMs(s.startsAt), endsMs: toMs(s.endsAt) }))
+        .filter((s) => s.startsMs != null && s.endsMs != null && s.endsMs < now)
+        .filter((s) => {
+            const date = storeYmdForInstant(s.startsMs);
+            return date >= from && date <= to;
+        })
+        .filter((s) => !out.some((e) => e.inMs < s.endsMs && coveredUntil(e) > s.startsMs))
+        .map((s) => ({
+            scheduledShiftId: s.id,
+            startsAt: new Date(s.startsMs).toISOString(),
+            endsAt: new Date(s.endsMs).toISOString()
+        }));
+
+    const sum = (key) => dayRows.reduce((s, d) => s + d[key], 0);
+    return {
+        days: dayRows,
+        entries: inPeriod.map(({ inMs: _inMs, outMs: _outMs, ...e }) => e),
+        missingClockIns,
+        workedMinutes: sum('workedMinutes'),
+        breakMinutes: sum('breakMinutes'),
+        regularMinutes: sum('regularMinutes'),
+        overtimeMinutes: sum('overtimeMinutes'),
+        blocking: inPeriod.some((e) => e.flags.some((f) => BLOCKING_FLAGS.includes(f))),
+        openEntries: inPeriod.filter((e) => e.flags.includes('open')).length
+    };
+}
+
+function applyPay(sheet, hourlyRate, multiplier) {
+    if (hourlyRate == null) return { hourlyRate: null, regularPay: null, overtimePay: null, grossPay: null };
+    const regularPay = roundMoney((hourlyRate * sheet.regularMinutes) / 60);
+    const overtimePay = roundMoney((hourlyRate * multiplier * sheet.overtimeMinutes) / 60);
+    return { hourlyRate, regularPay, overtimePay, grossPay: roundMoney(regularPay + overtimePay) };
+}
+
+function approvalIsCurrent(approval, sheet) {
+    return (
+        Number(approval.regular_minutes) === sheet.regularMinutes &&
+        Number(approval.overtime_minutes) === sheet.overtimeMinutes &&
+        Number(approval.break_minutes) === sheet.breakMinutes
+    );
+}
+
+/**
+ * Period timesheets for every employee with punches (or one employee).
+ * @param {{ from?: string, to?: string, employeeId?: number }} options
+ */
+async function buildTimesheetReport(pool, options = {}) {
+    const period = normalizeTimesheetPeriod(options);
+    const employeeId = positiveIdOrNull(options.employeeId);
+    const settings = await loadTimesheetSettings(pool);
+    const lookbackFrom = weekStartYmd(period.from, settings.weekStartDay);
+    const rangeStart = new Date(getStoreDayBoundsRfc3339(lookbackFrom).timeMin);
+    const rangeEnd = new Date(getStoreDayBoundsRfc3339(period.to).timeMax);
+    const filter = employeeId ? ' AND t.employee_id = ?' : '';
+    const params = [rangeStart, rangeEnd, ...(employeeId ? [employeeId] : [])];
+
+    const [entryRows] = await pool.execute(
+        `SELECT t.id, t.employee_id, t.clock_in, t.clock_out, t.source,
+                (SELECT COUNT(*) FROM pos_time_entry_edits x WHERE x.time_entry_id = t.id AND x.action <> 'created') AS edit_count
+           FROM pos_time_entries t
+          WHERE t.voided_at IS NULL AND t.clock_in >= ? AND t.clock_in <= ?${filter}
+          ORDER BY t.clock_in`,
+        params
+    );
+    const [shiftRows] = await pool.execute(
+        `SELECT t.id, t.employee_id, t.starts_at, t.ends_at
+           FROM pos_scheduled_shifts t
+          WHERE t.starts_at >= ? AND t.starts_at <= ?${filter}`,
+        [new Date(getStoreDayBoundsRfc3339(period.from).timeMin), rangeEnd, ...(employeeId ? [employeeId] : [])]
+    );
+    const [employeeRows] = await pool.execute(
+        `SELECT id, employee_code, first_name, last_name, hourly_rate, is_active FROM pos_employees${employeeId ? ' WHERE id = ?' : ''}`,
+        employeeId ? [employeeId] : []
+    );
+    const [approvalRows] = await pool.execute(
+        `SELECT a.*, u.first_name AS approver_first_name, u.last_name AS approver_last_name
+           FROM pos_timesheet_approvals a
+           LEFT JOIN admin_users u ON u.id = a.approved_by
+          WHERE a.period_start = ? AND a.period_end = ?`,
+        [period.from, period.to]
+    );
+
+    const entriesByEmployee = new Map();
+    for (const row of entryRows) {
+        const list = entriesByEmployee.get(row.employee_id) || [];
+        list.push({ id: row.id, clockIn: row.clock_in, clockOut: row.clock_out, source: row.source, editCount: row.edit_count });
+        entriesByEmployee.set(row.employee_id, list);
+    }
+    const shiftsByEmployee = new Map();
+    for (const row of shiftRows) {
+        const list = shiftsByEmployee.get(row.employee_id) || [];
+        list.push({ id: row.id, startsAt: row.starts_at, endsAt: row.ends_at });
+        shiftsByEmployee.set(row.employee_id, list);
+    }
+    const approvals = new Map(approvalRows.map((a) => [a.employee_id, a]));
+
+    const employees = [];
+    for (const e of employeeRows) {
+        const sheet = computeEmployeeTimesheet(entriesByEmployee.get(e.id) || [], settings, {
+            ...period,
+            scheduledShifts: shiftsByEmployee.get(e.id) || []
+        });
+        if (!sheet.entries.length && !sheet.missingClockIns.length && !approvals.has(e.id)) continue;
+        const approval = approvals.get(e.id);
+        employees.push({
+            employeeId: e.id,
+            employeeCode: e.employee_code,
+            firstName: e.first_name,
+            lastName: e.last_name,
+            name: `${e.first_name || ''} ${e.last_name || ''}`.trim(),
+            ...sheet,
+            ...applyPay(sheet, e.hourly_rate != null ? Number(e.hourly_rate) : null, settings.overtimeMultiplier),
+            approval: approval
+                ? {
+                      id: approval.id,
+                      approvedAt: approval.approved_at,
+                      approvedBy: `${approval.approver_first_name || ''} ${approval.approver_last_name || ''}`.trim() || null,
+                      current: approvalIsCurrent(approval, sheet)
+                  }
+                : null
+        });
+    }
+    employees.sort((a, b) => String(a.lastName).localeCompare(String(b.lastName)) || String(a.firstName).localeCompare(String(b.firstName)));
+
+    const total = (key) => employees.reduce((s, e) => s + (Number(e[key]) || 0), 0);
+    return {
+        ...period,
+        settings,
+        employees,
+        totals: {
+            regularMinutes: total('regularMinutes'),
+            overtimeMinutes: total('overtimeMinutes'),
+            breakMinutes: total('breakMinutes'),
+            grossPay: roundMoney(total('grossPay')),
+            flagged: employees.filter((e) => e.blocking || e.missingClockIns.length).length,
+            awaitingApproval: employees.filter((e) => e.workedMinutes > 0 && !e.approval?.current).length
+        }
+    };
+}
+
+/** Store wall clock from a datetime-local value, or any absolute ISO timestamp. */
+function parseStoreDateTime(value, label) {
+    const raw = String(value || '').trim();
+    const local = raw.match(/^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2})(:\d{2})?$/);
+    const ms = local ? storeWallClockToUtcMs(local[1], local[2]) : Date.parse(raw);
+    if (!raw || !Number.isFinite(ms)) throw timesheetError(`Enter a valid ${label}`, 400, 'VALIDATION');
+    return new Date(ms);
+}
+
+function normalizePunchPayload(payload = {}, { requireClockOut = false } = {}) {
+    const reason = String(payload.reason || '').trim().slice(0, 500);
+    if (!reason) throw timesheetError('Say why the punch is being changed', 400, 'REASON_REQUIRED');
+    const clockIn = parseStoreDateTime(payload.clockIn ?? payload.clock_in, 'clock-in time');
+    const rawOut = payload.clockOut ?? payload.clock_out;
+    const clockOut = rawOut ? parseStoreDateTime(rawOut, 'clock-out time') : null;
+    if (requireClockOut && !clockOut) throw timesheetError('Enter the clock-out time', 400, 'VALIDATION');
+    if (clockIn.getTime() > Date.now()) throw timesheetError('Clock-in cannot be in the future', 400, 'VALIDATION');
+    if (clockOut && clockOut <= clockIn) throw timesheetError('Clock-out must be after clock-in', 400, 'VALIDATION');
+    if (clockOut && clockOut.getTime() - clockIn.getTime() > DAY_MS) {
+        throw timesheetError('A punch cannot be longer than 24 hours', 400, 'VALIDATION');
+    }
+    return { clockIn, clockOut, reason };
+}
+
+async function assertNoOverlap(conn, employeeId, { clockIn, clockOut }, excludeId = 0) {
+    const [rows] = await conn.execute(
+        `SELECT id FROM pos_time_entries
+          WHERE employee_id = ? AND id <> ? AND voided_at IS NULL
+            AND clock_in < ? AND (clock_out IS NULL OR clock_out > ?)
+          LIMIT 1`,
+        [employeeId, excludeId, clockOut || new Date(), clockIn]
+    );
+    if (rows.length) {
+        throw timesheetError('That time overlaps another punch for this employee', 409, 'TIME_ENTRY_OVERLAP', {
+            timeEntryId: rows[0].id
+        });
+    }
+}
+
+async function logTimeEntryEdit(conn, entryId, action, before, after, reason, adminId) {
+    await conn.execute(
+        `INSERT INTO pos_time_entry_edits
+            (time_entry_id, action, previous_clock_in, previous_clock_out, new_clock_in, new_clock_out, reason, edited_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            entryId,
+            action,
+            before?.clock_in || null,
+            before?.clock_out || null,
+            after?.clockIn || null,
+            after?.clockOut || null,
+            reason,
+            adminId || null
+        ]
+    );
+}
+
+async function withTransaction(pool, fn) {
+    const conn = await pool.getConnection();
+    try {
+        await conn.beginTransaction();
+        const result = await fn(conn);
+        await conn.commit();
+        return result;
+    } catch (err) {
+        await conn.rollback();
+        throw err;
+    } finally {
+        conn.release();
+    }
+}
+
+/** Add a punch an employee forgot (admin source), with the reason in the audit trail. */
+async function createTimeEntry(pool, payload, { adminId } = {}) {
+    const employeeId = positiveIdOrNull(payload.employeeId ?? payload.employee_id);
+    if (!employeeId) throw timesheetError('Pick the employee', 400, 'VALIDATION');
+    const punch = normalizePunchPayload(payload, { requireClockOut: true });
+    return withTransaction(pool, async (conn) => {
+        const [[employee]] = await conn.execute('SELECT id FROM pos_employees WHERE id = ?', [employeeId]);
+        if (!employee) throw timesheetError('Employee not found', 404, 'NOT_FOUND');
+        await assertNoOverlap(conn, employeeId, punch);
+        const [result] = await conn.execute(
+            `INSERT INTO pos_time_entries (employee_id, clock_in, clock_out, source, notes) VALUES (?, ?, ?, 'admin', ?)`,
+            [employeeId, punch.clockIn, punch.clockOut, punch.reason]
+        );
+        await logTimeEntryEdit(conn, result.insertId, 'created', null, punch, punch.reason, adminId);
+        return { id: result.insertId };
+    });
+}
+
+async function lockTimeEntry(conn, id) {
+    const [[entry]] = await conn.execute('SELECT * FROM pos_time_entries WHERE id = ? FOR UPDATE', [id]);
+    if (!entry || entry.voided_at) throw timesheetError('Time entry not found', 404, 'NOT_FOUND');
+    return entry;
+}
+
+/** Correct a punch's times (e.g. fill in a missed clock-out). */
+async function updateTimeEntry(pool, id, payload, { adminId } = {}) {
+    const punch = normalizePunchPayload(payload);
+    return withTransaction(pool, async (conn) => {
+        const entry = await lockTimeEntry(conn, id);
+        await assertNoOverlap(conn, entry.employee_id, punch, entry.id);
+        await conn.execute('UPDATE pos_time_entries SET clock_in = ?, clock_out = ? WHERE id = ?', [
+            punch.clockIn,
+            punch.clockOut,
+            entry.id
+        ]);
+        await logTimeEntryEdit(conn, entry.id, 'updated', entry, punch, punch.reason, adminId);
+        return { id: entry.id };
+    });
+}
+
+/** Void a punch (kept for the audit trail, left out of hours). */
+async function voidTimeEntry(pool, id, { reason, adminId } = {}) {
+    const why = String(reason || '').trim().slice(0, 500);
+    if (!why) throw timesheetError('Say why the punch is being removed', 400, 'REASON_REQUIRED');
+    return withTransaction(pool, async (conn) => {
+        const entry = await lockTimeEntry(conn, id);
+        await conn.execute('UPDATE pos_time_entries SET voided_at = NOW(), voided_by = ? WHERE id = ?', [
+            adminId || null,
+            entry.id
+        ]);
+        await logTimeEntryEdit(conn, entry.id, 'voided', entry, null, why, adminId);
+        return { id: entry.id };
+    });
+}
+
+async function getTimeEntryHistory(pool, id) {
+    const [[entry]] = await pool.execute(
+        `SELECT t.*, e.employee_code, e.first_name, e.last_name
+           FROM pos_time_entries t JOIN pos_employees e ON e.id = t.employee_id
+          WHERE t.id = ?`,
+        [id]
+    );
+    if (!entry) throw timesheetError('Time entry not found', 404, 'NOT_FOUND');
+    const [rows] = await pool.execute(
+        `SELECT x.*, u.first_name AS editor_first_name, u.last_name AS editor_last_name
+           FROM pos_time_entry_edits x
+           LEFT JOIN admin_users u ON u.id = x.edited_by
+          WHERE x.time_entry_id = ?
+          ORDER BY x.created_at, x.id`,
+        [id]
+    );
+    return {
+        entry: {
+            id: entry.id,
+            employeeCode: entry.employee_code,
+            name: `${entry.first_name || ''} ${entry.last_name || ''}`.trim(),
+            clockIn: entry.clock_in,
+            clockOut: entry.clock_out,
+            source: entry.source,
+            voidedAt: entry.voided_at
+        },
+        edits: rows.map((r) => ({
+            id: r.id,
+            action: r.action,
+            previousClockIn: r.previous_clock_in,
+            previousClockOut: r.previous_clock_out,
+            newClockIn: r.new_clock_in,
+            newClockOut: r.new_clock_out,
+            reason: r.reason,
+            editedBy: `${r.editor_first_name || ''} ${r.editor_last_name || ''}`.trim() || null,
+            createdAt: r.created_at
+        }))
+    };
+}
+
+/** Manager sign-off on one employee's period; refused while punches are missing or overlapping. */
+async function approveTimesheet(pool, { employeeId, from, to }, { adminId } = {}) {
+    const id = positiveIdOrNull(employeeId);
+    if (!id) throw timesheetError('Pick the employee', 400, 'VALIDATION');
+    const report = await buildTimesheetReport(pool, { from, to, employeeId: id });
+    const sheet = report.employees[0];
+    if (!sheet || !sheet.entries.length) throw timesheetError('No hours to approve in this period', 400, 'NOTHING_TO_APPROVE');
+    if (sheet.blocking) {
+        throw timesheetError('Fix the missing or overlapping punches first', 409, 'TIMESHEET_HAS_MISSING_PUNCHES');
+    }
+    if (sheet.openEntries) {
+        throw timesheetError(`${sheet.name} is still clocked in`, 409, 'TIMESHEET_HAS_OPEN_ENTRY');
+    }
+    await pool.execute(
+        `INSERT INTO pos_timesheet_approvals
+            (employee_id, period_start, period_end, regular_minutes, overtime_minutes, break_minutes, approved_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE regular_minutes = VALUES(regular_minutes), overtime_minutes = VALUES(overtime_minutes),
+            break_minutes = VALUES(break_minutes), approved_by = VALUES(approved_by), approved_at = CURRENT_TIMESTAMP`,
+        [id, report.from, report.to, sheet.regularMinutes, sheet.overtimeMinutes, sheet.breakMinutes, adminId || null]
+    );
+    return { employeeId: id, from: report.from, to: report.to };
+}
+
+async function revokeTimesheetApproval(pool, { employeeId, from, to }) {
+    const period = normalizeTimesheetPeriod({ from, to });
+    const [result] = await pool.execute(
+        'DELETE FROM pos_timesheet_approvals WHERE employee_id = ? AND period_start = ? AND period_end = ?',
+        [positiveIdOrNull(employeeId), period.from, period.to]
+    );
+    if (!result.affectedRows) throw timesheetError('Timesheet is not approved', 404, 'NOT_FOUND');
+}
+
+function hours(minutes) {
+    return (Math.round((Number(minutes) || 0) / 0.6) / 100).toFixed(2);
+}
+
+/** Throws unless every employee with hours has a current approval. */
+function assertPayrollReady(report) {
+    const pending = report.employees.filter((e) => e.workedMinutes > 0 && !e.approval?.current);
+    if (pending.length) {
+        throw timesheetError(
+            `Approve every timesheet before exporting payroll (waiting on ${pending.map((e) => e.name).join(', ')})`,
+            409,
+            'TIMESHEETS_NOT_APPROVED',
+            { employees: pending.map((e) => e.employeeId) }
+        );
+    }
+}
+
+/**
+ * Generic payroll import: one row per employee and earning code (REG, OT), hours to two decimals.
+ */
+function timesheetPayrollCsv(report) {
+    const out = [
+        rowToCsvLine(['Employee ID', 'Last name', 'First name', 'Period start', 'Period end', 'Earning code', 'Hours', 'Rate', 'Amount'])
+    ];
+    for (const e of report.employees) {
+        const earnings = [
+            ['REG', e.regularMinutes, e.hourlyRate, e.regularPay],
+            ['OT', e.overtimeMinutes, e.hourlyRate != null ? roundMoney(e.hourlyRate * report.settings.overtimeMultiplier) : null, e.overtimePay]
+        ];
+        for (const [code, minutes, rate, amount] of earnings) {
+            if (!minutes) continue;
+            out.push(
+                rowToCsvLine([
+                    e.employeeCode,
+                    e.lastName,
+                    e.firstName,
+                    report.from,
+                    report.to,
+                    code,
+                    hours(minutes),
+                    rate != null ? rate.toFixed(2) : '',
+                    amount != null ? amount.toFixed(2) : ''
+                ])
+            );
+        }
+    }
+    return `${out.join('\n')}\n`;
+}
+
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+const FLAG_LABELS = {
+    missing_clock_out: 'Missing clock-out',
+    overlap: 'Overlapping punch',
+    long_shift: 'Long shift',
+    edited: 'Edited',
+    open: 'On the clock'
+};
+
+/** Printable summary (rendered to PDF with posShiftReportEmail.htmlToPdfBuffer). */
+function buildTimesheetSummaryHtml(report, storeName) {
+    const s = report.settings;
+    const rules = [
+        s.dailyOvertimeHours > 0 ? `over ${s.dailyOvertimeHours} h/day` : null,
+        s.weeklyOvertimeHours > 0 ? `over ${s.weeklyOvertimeHours} h/week` : null
+    ].filter(Boolean);
+    const money = (n) => (n == null ? '—' : `$${Number(n).toFixed(2)}`);
+    const rows = report.employees
+        .map((e) => {
+            const flags = [...new Set(e.entries.flatMap((x) => x.flags).filter((f) => f !== 'edited'))]
+                .map((f) => FLAG_LABELS[f])
+                .concat(e.missingClockIns.length ? [`${e.missingClockIns.length} scheduled shift(s) without punches`] : []);
+            const status = e.approval?.current ? 'Approved' : e.approval ? 'Changed since approval' : 'Not approved';
+            return (
+                `<tr><td style="padding:0.3rem 0.4rem">${escapeHtml(e.employeeCode)} — ${escapeHtml(e.name)}` +
+                `${flags.length ? `<br><small style="color:#b45309">${escapeHtml(flags.join(', '))}</small>` : ''}</td>` +
+                `<td style="padding:0.3rem 0.4rem;text-align:right">${hours(e.regularMinutes)}</td>` +
+                `<td style="padding:0.3rem 0.4rem;text-align:right">${hours(e.overtimeMinutes)}</td>` +
+                `<td style="padding:0.3rem 0.4rem;text-align:right">${hours(e.breakMinutes)}</td>` +
+                `<td style="padding:0.3rem 0.4rem;text-align:right">${money(e.grossPay)}</td>` +
+                `<td style="padding:0.3rem 0.4rem">${escapeHtml(status)}${e.approval?.approvedBy ? `<br><small>${escapeHtml(e.approval.approvedBy)}</small>` : ''}</td></tr>`
+            );
+        })
+        .join('');
+
+    return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>Timesheet summary ${escapeHtml(report.from)} to ${escapeHtml(report.to)}</title></head>
+<body style="font-family:system-ui,sans-serif;color:#111;padding:24px;max-width:760px;margin:0 auto">
+<h1 style="color:#1f82ff;font-size:1.35rem;margin:0 0 0.35rem">${escapeHtml(storeName)}</h1>
+<h2 style="font-size:1.1rem;margin:0 0 0.5rem">Timesheet summary — ${escapeHtml(report.from)} to ${escapeHtml(report.to)}</h2>
+<p style="margin:0 0 1rem;color:#444;font-size:13px">Overtime ${escapeHtml(rules.join(' and ') || 'off')} at ${s.overtimeMultiplier}×.
+${s.breakMinutes > 0 ? `Unpaid ${s.breakMinutes}-minute break on shifts of ${s.breakAfterHours} h or more.` : 'No break deduction.'}</p>
+<table style="width:100%;border-collapse:collapse;font-size:14px">
+<thead><tr style="border-bottom:1px solid #ddd">
+<th style="text-align:left;padding:0.3rem 0.4rem">Employee</th><th style="text-align:right;padding:0.3rem 0.4rem">Regular h</th>
+<th style="text-align:right;padding:0.3rem 0.4rem">OT h</th><th style="text-align:right;padding:0.3rem 0.4rem">Break h</th>
+<th style="text-align:right;padding:0.3rem 0.4rem">Gross</th><th style="text-align:left;padding:0.3rem 0.4rem">Approval</th></tr></thead>
+<tbody>${rows || '<tr><td colspan="6" style="padding:0.5rem 0.4rem;color:#666">No punches in this period.</td></tr>'}</tbody>
+<tfoot><tr style="border-top:1px solid #ddd;font-weight:600"><td style="padding:0.3rem 0.4rem">Total</td>
+<td style="padding:0.3rem 0.4rem;text-align:right">${hours(report.totals.regularMinutes)}</td>
+<td style="padding:0.3rem 0.4rem;text-align:right">${hours(report.totals.overtimeMinutes)}</td>
+<td style="padding:0.3rem 0.4rem;text-align:right">${hours(report.totals.breakMinutes)}</td>
+<td style="padding:0.3rem 0.4rem;text-align:right">${money(report.totals.grossPay)}</td><td></td></tr></tfoot>
+</table>
+<p style="margin:1.5rem 0 0;font-size:12px;color:#888">Generated ${new Date().toLocaleString()} · Business One POS</p>
+</body></html>`;
+}
+
+module.exports = {
+    SETTING_KEYS,
+    DEFAULT_SETTINGS,
+    normalizeTimesheetSettings,
+    loadTimesheetSettings,
+    saveTimesheetSettings,
+    weekStartYmd,
+    normalizeTimesheetPeriod,
+    computeEmployeeTimesheet,
+    buildTimesheetReport,
+    createTimeEntry,
+    updateTimeEntry,
+    voidTimeEntry,
+    getTimeEntryHistory,
+    approveTimesheet,
+    revokeTimesheetApproval,
+    assertPayrollReady,
+    timesheetPayrollCsv,
+    buildTimesheetSummaryHtml
+};
@@ -0,0 +1,434 @@
+'use strict';
+
+/**
+ * Bundles and kits — a product (products.is_bundle) sold as a fixed set of other products.
+ *
+ * A bundle carries no stock of its own: its products.inventory_quantity is the number of
+ * complete kits the component stock can build, re-derived whenever a component moves
+ * (InventoryService, vendor receiving, admin product edits). With bundle_pricing = 'computed'
+ * products.price is likewise the component total less bundle_discount_percent, so the web
+ * cart, checkout and POS pricing read a bundle like any other product.
+ *
+ * Selling or returning a bundle moves its components: InventoryService expands bundle lines
+ * with expandBundleItems before deducting or restoring.
+ */
+
+const logger = require('../utils/logger');
+
+const BUNDLE_PRICING = ['fixed', 'computed'];
+const MAX_COMPONENT_QUANTITY = 999;
+
+function bundleError(message, status, code) {
+    return Object.assign(new Error(message), { status, code });
+}
+
+function roundMoney(value) {
+    return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function isMissingTableError(err) {
+    return err && (err.code === 'ER_NO_SUCH_TABLE' || err.code === 'ER_BAD_FIELD_ERROR');
+}
+
+function placeholders(values) {
+    return values.map(() => '?').join(', ');
+}
+
+function uniqueIds(values) {
+    return [...new Set((values || []).map((v) => parseInt(v, 10)).filter((v) => v > 0))];
+}
+
+/** Stock, price and cost of one component row (variant values win when the component is a variant). */
+function componentFigures(row) {
+    const hasVariant = row.component_variant_id != null;
+    const tracked = Boolean(Number(row.track_inventory));
+    const active = Boolean(Number(row.is_active)) && (!hasVariant || Boolean(Number(row.variant_is_active)));
+    const cost = hasVariant && row.variant_cost_price != null ? row.variant_cost_price : row.cost_price;
+    return {
+        tracked,
+        active,
+        stock: parseInt(hasVariant ? row.variant_inventory : row.inventory_quantity, 10) || 0,
+        price: roundMoney(hasVariant ? row.variant_price : row.price),
+        cost: cost == null ? null : roundMoney(cost)
+    };
+}
+
+/**
+ * How many complete kits the components can build. Untracked components never limit the
+ * bundle; an inactive component makes it unavailable. `null` means nothing is tracked.
+ * @param {{ quantity: number, tracked: boolean, active: boolean, stock: number }[]} components
+ * @returns {number|null}
+ */
+function bundleAvailableQuantity(components) {
+    if (!components.length) return 0;
+    let available = null;
+    for (const c of components) {
+        const need = Math.max(1, parseInt(c.quantity, 10) || 1);
+        let kits = null;
+        if (!c.active) kits = 0;
+        else if (c.tracked) kits = Math.max(0, Math.floor(c.stock / need));
+        if (kits != null) available = available == null ? kits : Math.min(available, kits);
+    }
+    return available;
+}
+
+/** Component total less the bundle discount. */
+function bundleComputedPrice(components, discountPercent = 0) {
+    const total = components.reduce((sum, c) => sum + c.price * (parseInt(c.quantity, 10) || 0), 0);
+    const discount = Math.min(100, Math.max(0, Number(discountPercent) || 0));
+    return roundMoney(total * (1 - discount / 100));
+}
+
+/** Summed component cost, or null when any component has no cost on file. */
+function bundleComputedCost(components) {
+    if (!components.length || components.some((c) => c.cost == null)) return null;
+    return roundMoney(components.reduce((sum, c) => sum + c.cost * (parseInt(c.quantity, 10) || 0), 0));
+}
+
+/**
+ * Validates and merges an admin component list (duplicate product/variant pairs are summed).
+ * @returns {{ productId: number, variantId: number|null, quantity: number }[]}
+ */
+function normalizeComponentInput(bundleProductId, components) {
+    if (!Array.isArray(components) || !components.length) {
+        throw bundleError('A bundle needs at least one component product', 400, 'BUNDLE_EMPTY');
+    }
+    const merged = new Map();
+    for (const raw of components) {
+        const productId = parseInt(raw?.productId ?? raw?.product_id, 10);
+        const variantRaw = raw?.variantId ?? raw?.variant_id;
+        const variantId = variantRaw == null || variantRaw === '' ? null : parseInt(variantRaw, 10);
+        const quantity = parseInt(raw?.quantity, 10);
+        if (!(productId > 0) || (variantId != null && !(variantId > 0))) {
+            throw bundleError('Each component needs a product', 400, 'INVALID_COMPONENT');
+        }
+        if (productId === Number(bundleProductId)) {
+            throw bundleError('A bundle cannot contain itself', 400, 'INVALID_COMPONENT');
+        }
+        if (!(quantity >= 1 && quantity <= MAX_COMPONENT_QUANTITY)) {
+            throw bundleError(`Component quantities must be between 1 and ${MAX_COMPONENT_QUANTITY}`, 400, 'INVALID_COMPONENT');
+        }
+        const key = `${productId}:${variantId || ''}`;
+        const prev = merged.get(key);
+        merged.set(key, { productId, variantId, quantity: Math.min(MAX_COMPONENT_QUANTITY, (prev?.quantity || 0) + quantity) });
+    }
+    return [...merged.values()];
+}
+
+/**
+ * Component rows (with live stock and prices) for the given bundles.
+ * @param {import('mysql2/promise').Pool|import('mysql2/promise').PoolConnection} db
+ * @returns {Promise<Map<number, object[]>>} bundle product id → component rows in sort order
+ */
+async function loadComponentRows(db, bundleIds) {
+    const ids = uniqueIds(bundleIds);
+    const byBundle = new Map();
+    if (!ids.length) return byBundle;
+    const [rows] = await db.query(
+        `SELECT c.bundle_product_id, c.component_product_id, c.component_variant_id, c.quantity,
+                p.name, p.sku, p.slug, p.price, p.cost_price, p.inventory_quantity, p.track_inventory, p.is_active,
+                pv.name AS variant_name, pv.sku AS variant_sku, pv.price AS variant_price,
+                pv.cost_price AS variant_cost_price, pv.inventory_quantity AS variant_inventory,
+                pv.is_active AS variant_is_active
+           FROM product_bundle_components c
+           JOIN products p ON p.id = c.component_product_id
+           LEFT JOIN product_variants pv ON pv.id = c.component_variant_id
+          WHERE c.bundle_product_id IN (${placeholders(ids)})
+          ORDER BY c.bundle_product_id, c.sort_order, c.id`,
+        ids
+    );
+    for (const row of rows) {
+        const key = Number(row.bundle_product_id);
+        if (!byBundle.has(key)) byBundle.set(key, []);
+        byBundle.get(key).push({ ...row, quantity: Number(row.quantity), ...componentFigures(row) });
+    }
+    return byBundle;
+}
+
+function mapComponent(row) {
+    return {
+        productId: Number(row.component_product_id),
+        variantId: row.component_variant_id != null ? Number(row.component_variant_id) : null,
+        name: row.variant_name ? `${row.name} — ${row.variant_name}` : row.name,
+        sku: row.variant_sku || row.sku,
+        slug: row.slug || null,
+        quantity: row.quantity,
+        price: row.price,
+        inventoryQuantity: row.tracked ? row.stock : null,
+        trackInventory: row.tracked,
+        isActive: row.active
+    };
+}
+
+/**
+ * Re-derives stock (and price/cost for computed bundles) for the given bundle products.
+ * Returns stock changes in InventoryService's result shape for queueRestockAlerts.
+ */
+async function syncBundleProducts(db, bundleIds) {
+    const ids = uniqueIds(bundleIds);
+    if (!ids.length) return [];
+    let bundles;
+    let componentsByBundle;
+    try {
+        [bundles] = await db.query(
+            `SELECT id, price, cost_price, inventory_quantity, track_inventory, bundle_pricing, bundle_discount_percent
+               FROM products WHERE is_bundle = 1 AND id IN (${placeholders(ids)})`,
+            ids
+        );
+        if (!bundles.length) return [];
+        componentsByBundle = await loadComponentRows(db, bundles.map((b) => b.id));
+    } catch (err) {
+        if (isMissingTableError(err)) return [];
+        throw err;
+    }
+
+    const changes = [];
+    for (const bundle of bundles) {
+        const components = componentsByBundle.get(Number(bundle.id)) || [];
+        const available = bundleAvailableQuantity(components);
+        const quantityBefore = parseInt(bundle.inventory_quantity, 10) || 0;
+        const quantityAfter = available == null ? 0 : available;
+        const tracked = available != null;
+        let price = roundMoney(bundle.price);
+        let cost = bundle.cost_price == null ? null : roundMoney(bundle.cost_price);
+        if (components.length) {
+            if (bundle.bundle_pricing === 'computed') price = bundleComputedPrice(components, bundle.bundle_discount_percent);
+            cost = bundleComputedCost(components) ?? cost;
+        }
+
+        const unchanged =
+            quantityAfter === quantityBefore &&
+            tracked === Boolean(Number(bundle.track_inventory)) &&
+            price === roundMoney(bundle.price) &&
+            cost === (bundle.cost_price == null ? null : roundMoney(bundle.cost_price));
+        if (unchanged) continue;
+
+        await db.query(
+            `UPDATE products
+                SET inventory_quantity = ?, track_inventory = ?, price = ?, cost_price = ?, updated_at = CURRENT_TIMESTAMP
+              WHERE id = ?`,
+            [quantityAfter, tracked ? 1 : 0, price, cost, bundle.id]
+        );
+        if (quantityAfter !== quantityBefore) {
+            changes.push({ productId: Number(bundle.id), variantId: null, quantityBefore, quantityAfter, type: 'bundle' });
+        }
+    }
+    return changes;
+}
+
+/** Re-derives every bundle that contains one of `productIds`. */
+async function syncBundlesForComponents(db, productIds) {
+    const ids = uniqueIds(productIds);
+    if (!ids.length) return [];
+    let rows;
+    try {
+        [rows] = await db.query(
+            `SELECT DISTINCT bundle_product_id FROM product_bundle_components
+              WHERE component_product_id IN (${placeholders(ids)})`,
+            ids
+        );
+    } catch (err) {
+        if (isMissingTableError(err)) return [];
+        throw err;
+    }
+    return syncBundleProducts(db, rows.map((r) => r.bundle_product_id));
+}
+
+/**
+ * Replaces bundle lines with their components (quantity × kits sold). Other lines pass through.
+ * Component lines keep `bundleProductId`/`bundleSku` for the audit note and inherit the bundle's
+ * allow_backorder as `allowOversell`.
+ * @param {{ productId: number, variantId?: number|null, quantity: number }[]} items
+ */
+async function expandBundleItems(db, items) {
+    const productIds = uniqueIds(items.map((i) => i.productId));
+    if (!productIds.length) return items;
+    let bundles;
+    let componentsByBundle;
+    try {
+        [bundles] = await db.query(
+            `SELECT id, sku, allow_backorder FROM products WHERE is_bundle = 1 AND id IN (${placeholders(productIds)})`,
+            productIds
+        );
+        if (!bundles.length) return items;
+        componentsByBundle = await loadComponentRows(db, bundles.map((b) => b.id));
+    } catch (err) {
+        if (isMissingTableError(err)) return items;
+        throw err;
+    }
+
+    const bundleById = new Map(bundles.map((b) => [Number(b.id), b]));
+    const expanded = [];
+    for (const item of items) {
+        const bundle = !item.variantId && bundleById.get(Number(item.productId));
+        if (!bundle) {
+            expanded.push(item);
+            continue;
+        }
+        const components = componentsByBundle.get(Number(bundle.id)) || [];
+        if (!components.length) {
+            logger.warn(`[bundles] bundle ${bundle.id} (${bundle.sku}) has no components; nothing to deduct`);
+        }
+        for (const c of components) {
+            expanded.push({
+                productId: Number(c.component_product_id),
+                variantId: c.component_variant_id != null ? Number(c.component_variant_id) : null,
+                quantity: c.quantity * (parseInt(item.quantity, 10) || 0),
+                bundleProductId: Number(bundle.id),
+                bundleSku: bundle.sku,
+                allowOversell: Boolean(Number(bundle.allow_backorder))
+            });
+        }
+    }
+    return expanded;
+}
+
+async function isBundleProduct(db, productId) {
+    try {
+        const [rows] = await db.query('SELECT is_bundle FROM products WHERE id = ?', [productId]);
+        return Boolean(rows[0] && Number(rows[0].is_bundle));
+    } catch (err) {
+        if (isMissingTableError(err)) return false;
+        throw err;
+    }
+}
+
+/**
+ * Bundle definition for the admin product editor, or null when the product is not a bundle.
+ */
+async function getBundle(db, productId) {
+    let rows;
+    try {
+        [rows] = await db.query(
+            `SELECT id, is_bundle, bundle_pricing, bundle_discount_percent FROM products WHERE id = ?`,
+            [productId]
+        );
+    } catch (err) {
+        if (isMissingTableError(err)) return null;
+        throw err;
+    }
+    const product = rows[0];
+    if (!product || !Number(product.is_bundle)) return null;
+    const components = (await loadComponentRows(db, [product.id])).get(Number(product.id)) || [];
+    return {
+        pricing: product.bundle_pricing,
+        discountPercent: Number(product.bundle_discount_percent) || 0,
+        availableQuantity: bundleAvailableQuantity(components),
+        computedPrice: bundleComputedPrice(components, product.bundle_discount_percent),
+        computedCost: bundleComputedCost(components),
+        components: components.map(mapComponent)
+    };
+}
+
+/**
+ * Saves (or clears, when `bundle` is falsy) a product's bundle definition inside the caller's
+ * transaction, then re-derives its stock and price.
+ * @param {import('mysql2/promise').PoolConnection} connection
+ * @param {number} productId
+ * @param {{ pricing?: string, discountPercent?: number, components: object[] }|null} bundle
+ */
+async function saveBundle(connection, productId, bundle) {
+    const id = parseInt(productId, 10);
+    if (!bundle) {
+        await connection.query('DELETE FROM product_bundle_components WHERE bundle_product_id = ?', [id]);
+        await connection.query('UPDATE products SET is_bundle = 0 WHERE id = ?', [id]);
+        return null;
+    }
+
+    const pricing = BUNDLE_PRICING.includes(bundle.pricing) ? bundle.pricing : 'fixed';
+    const discountPercent = Number(bundle.discountPercent ?? bundle.discount_percent ?? 0);
+    if (!Number.isFinite(discountPercent) || discountPercent < 0 || discountPercent > 100) {
+        throw bundleError('Bundle discount must be between 0 and 100 percent', 400, 'INVALID_BUNDLE_DISCOUNT');
+    }
+    const components = normalizeComponentInput(id, bundle.components);
+
+    const [[usedAsComponent]] = await connection.query(
+        'SELECT COUNT(*) AS c FROM product_bundle_components WHERE component_product_id = ?',
+        [id]
+    );
+    if (Number(usedAsComponent.c) > 0) {
+        throw bundleError('This product is a component of another bundle and cannot be a bundle itself', 400, 'NESTED_BUNDLE');
+    }
+
+    const componentIds = uniqueIds(components.map((c) => c.productId));
+    const [products] = await connection.query(
+        `SELECT p.id, p.name, p.is_bundle,
+                (SELECT COUNT(*) FROM product_variants pv WHERE pv.product_id = p.id AND pv.is_active = 1) AS variant_count
+           FROM products p WHERE p.id IN (${placeholders(componentIds)})`,
+        componentIds
+    );
+    const productById = new Map(products.map((p) => [Number(p.id), p]));
+    for (const c of components) {
+        const product = productById.get(c.productId);
+        if (!product) throw bundleError(`Component product ${c.productId} not found`, 400, 'INVALID_COMPONENT');
+        if (Number(product.is_bundle)) {
+            throw bundleError(`${product.name} is itself a bundle — add its products directly`, 400, 'NESTED_BUNDLE');
+        }
+        if (c.variantId) {
+            const [[variant]] = await connection.query(
+                'SELECT id FROM product_variants WHERE id = ? AND product_id = ?',
+                [c.variantId, c.productId]
+            );
+            if (!variant) throw bundleError(`Variant ${c.variantId} does not belong to ${product.name}`, 400, 'INVALID_COMPONENT');
+        } else if (Number(product.variant_count) > 0) {
+            throw bundleError(`Pick which option of ${product.name} goes in the bundle`, 400, 'VARIANT_REQUIRED');
+        }
+    }
+
+    await connection.query('DELETE FROM product_bundle_components WHERE bundle_product_id = ?', [id]);
+    for (const [index, c] of components.entries()) {
+        await connection.query(
+            `INSERT INTO product_bundle_components
+                (bundle_product_id, component_product_id, component_variant_id, quantity, sort_order)
+             VALUES (?, ?, ?, ?, ?)`,
+            [id, c.productId, c.variantId, c.quantity, index]
+        );
+    }
+    await connection.query(
+        'UPDATE products SET is_bundle = 1, bundle_pricing = ?, bundle_discount_percent = ? WHERE id = ?',
+        [pricing, roundMoney(discountPercent), id]
+    );
+    await syncBundleProducts(connection, [id]);
+    return getBundle(connection, id);
+}
+
+/**
+ * Overwrites inventory_quantity/track_inventory on bundle rows (rows with a truthy `is_bundle`)
+ * with live component availability. With `withComponents`, each bundle row also gets
+ * `bundle_components` for display.
+ * @param {object[]} rows product rows with at least `id` and `is_bundle`
+ */
+async function attachBundleStock(db, rows, { withComponents = false } = {}) {
+    const bundleRows = (rows || []).filter((r) => Number(r.is_bundle));
+    if (!bundleRows.length) return rows;
+    let componentsByBundle;
+    try {
+        componentsByBundle = await loadComponentRows(db, bundleRows.map((r) => r.id));
+    } catch (err) {
+        if (isMissingTableError(err)) return rows;
+        throw err;
+    }
+    for (const row of bundleRows) {
+        const components = componentsByBundle.get(Number(row.id)) || [];
+        const available = bundleAvailableQuantity(components);
+        row.track_inventory = available != null ? 1 : 0;
+        row.inventory_quantity = available == null ? 0 : available;
+        if (withComponents) row.bundle_components = components.map(mapComponent);
+    }
+    return rows;
+}
+
+module.exports = {
+    BUNDLE_PRICING,
+    bundleAvailableQuantity,
+    bundleComputedPrice,
+    bundleComputedCost,
+    normalizeComponentInput,
+    expandBundleItems,
+    isBundleProduct,
+    syncBundleProducts,
+    syncBundlesForComponents,
+    getBundle,
+    saveBundle,
+    attachBundleStock
+};
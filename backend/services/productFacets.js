@@ -0,0 +1,292 @@
+'use strict';
+
+/**
+ * Storefront listing filters + live facet counts for GET /api/products.
+ *
+ * Every list facet accepts several values (repeat the query param or comma-separate it).
+ * Values inside one facet are OR'd; different facets are AND'd. The count shown for a facet
+ * option ignores that facet's own selection, so it answers "how many results if I also tick
+ * this?" rather than collapsing to the current result set.
+ */
+
+const { RATING_SUMMARY_JOIN } = require('./productReviews');
+
+const MAX_VALUES_PER_FACET = 25;
+const MAX_GROUPED_OPTIONS = 100;
+
+const PRICE_BUCKETS = Object.freeze([
+    { value: 'under-10', label: 'Under $10', min: null, max: 10 },
+    { value: '10-25', label: '$10 to $25', min: 10, max: 25 },
+    { value: '25-50', label: '$25 to $50', min: 25, max: 50 },
+    { value: '50-100', label: '$50 to $100', min: 50, max: 100 },
+    { value: '100-plus', label: '$100 & up', min: 100, max: null }
+]);
+
+const RATING_THRESHOLDS = Object.freeze([4, 3, 2, 1]);
+
+/** Mirrors isInStock() in utils/inventorySettings.js: untracked products are always in stock. */
+const IN_STOCK_SQL = '(p.track_inventory = 0 OR p.track_inventory IS NULL OR p.inventory_quantity > 0)';
+const HAS_COA_SQL = "(p.coa_url IS NOT NULL AND TRIM(p.coa_url) <> '')";
+
+/** Joins shared by the listing count query and every facet count query. */
+const LISTING_FROM_SQL = `
+            FROM products p
+            LEFT JOIN brands b ON p.brand_id = b.id
+            LEFT JOIN product_categories pc ON p.category_id = pc.id
+            LEFT JOIN product_health_categories phc ON p.id = phc.product_id
+            LEFT JOIN health_categories hc ON phc.health_category_id = hc.id
+            LEFT JOIN ${RATING_SUMMARY_JOIN} rs ON rs.product_id = p.id`;
+
+function listParam(raw) {
+    const values = (Array.isArray(raw) ? raw : [raw])
+        .flatMap((v) => (v == null ? [] : String(v).split(',')))
+        .map((v) => v.trim().toLowerCase().slice(0, 100))
+        .filter(Boolean);
+    return [...new Set(values)].slice(0, MAX_VALUES_PER_FACET);
+}
+
+function flagParam(raw) {
+    const v = Array.isArray(raw) ? raw[0] : raw;
+    return v === true || v === '1' || v === 'true';
+}
+
+function numberParam(raw) {
+    if (raw == null || raw === '') return null;
+    const n = parseFloat(Array.isArray(raw) ? raw[0] : raw);
+    return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+/**
+ * Normalizes listing query params (brand, category, healthCategory, price, minPrice, maxPrice,
+ * inStock, cbd, coa, minRating) into the shape buildFacetConditions expects.
+ */
+function parseListingFilters(query = {}) {
+    const rating = parseFloat(query.minRating);
+    return {
+        brand: listParam(query.brand),
+        category: listParam(query.category),
+        healthCategory: listParam(query.healthCategory),
+        price: listParam(query.price).filter((v) => PRICE_BUCKETS.some((b) => b.value === v)),
+        minPrice: numberParam(query.minPrice),
+        maxPrice: numberParam(query.maxPrice),
+        inStock: flagParam(query.inStock),
+        cbd: listParam(query.cbd).filter((v) => v === '1' || v === '0'),
+        coa: flagParam(query.coa),
+        minRating: Number.isFinite(rating) && rating > 0 ? Math.min(rating, 5) : 0
+    };
+}
+
+function cleanSlug(value) {
+    return value.replace(/[^a-z0-9]/g, '');
+}
+
+function brandCondition(values) {
+    const parts = [];
+    const params = [];
+    for (const value of values) {
+        const clean = cleanSlug(value);
+        parts.push(`LOWER(b.slug) = ? OR LOWER(b.name) = ? OR
+                REPLACE(REPLACE(LOWER(b.slug), '-', ''), ' ', '') = ? OR
+                REPLACE(REPLACE(LOWER(b.name), '-', ''), ' ', '') = ?`);
+        params.push(value, value, clean, clean);
+    }
+    // A lone brand (old brands.html links) also matches partially, as the listing always has
+    const clean = values.length === 1 ? cleanSlug(values[0]) : '';
+    if (clean) {
+        parts.push('LOWER(b.slug) LIKE ? OR LOWER(b.name) LIKE ?');
+        params.push(`%${clean}%`, `%${clean}%`);
+    }
+    return { sql: `(${parts.join(' OR ')})`, params };
+}
+
+function inList(column, values) {
+    return { sql: `${column} IN (${values.map(() => '?').join(', ')})`, params: [...values] };
+}
+
+function bucketSql(bucket) {
+    const parts = [];
+    if (bucket.min != null) parts.push(`p.price >= ${Number(bucket.min)}`);
+    if (bucket.max != null) parts.push(`p.price < ${Number(bucket.max)}`);
+    return `(${parts.join(' AND ')})`;
+}
+
+function sameValues(a, b) {
+    return a.length === b.length && a.every((v) => b.includes(v));
+}
+
+/**
+ * Turns parsed filters into WHERE fragments, each tagged with the facet key it belongs to.
+ * @returns {Array<{ key: string, sql: string, params: Array<string|number> }>}
+ */
+function buildFacetConditions(filters) {
+    const conditions = [];
+    const add = (key, { sql, params }) => conditions.push({ key, sql, params });
+
+    if (filters.brand.length) add('brand', brandCondition(filters.brand));
+
+    // products.js used to send category=X&healthCategory=X for a slug from either taxonomy;
+    // identical lists keep meaning "either", anything else is two independent facets.
+    const cats = filters.category;
+    const hcs = filters.healthCategory;
+    if (cats.length && hcs.length && sameValues(cats, hcs)) {
+        const pcPart = inList('pc.slug', cats);
+        const hcPart = inList('hc.slug', hcs);
+        add('taxonomy', { sql: `(${pcPart.sql} OR ${hcPart.sql})`, params: [...pcPart.params, ...hcPart.params] });
+    } else {
+        if (cats.length) add('category', inList('pc.slug', cats));
+        if (hcs.length) add('healthCategory', inList('hc.slug', hcs));
+    }
+
+    const priceParts = [];
+    const priceParams = [];
+    const buckets = PRICE_BUCKETS.filter((b) => filters.price.includes(b.value));
+    if (buckets.length) priceParts.push(`(${buckets.map(bucketSql).join(' OR ')})`);
+    if (filters.minPrice != null) {
+        priceParts.push('p.price >= ?');
+        priceParams.push(filters.minPrice);
+    }
+    if (filters.maxPrice != null) {
+        priceParts.push('p.price <= ?');
+        priceParams.push(filters.maxPrice);
+    }
+    if (priceParts.length) add('price', { sql: priceParts.join(' AND '), params: priceParams });
+
+    if (filters.inStock) add('inStock', { sql: IN_STOCK_SQL, params: [] });
+    if (filters.cbd.length) add('cbd', inList('COALESCE(p.is_cannabis, 0)', filters.cbd.map(Number)));
+    if (filters.coa) add('coa', { sql: HAS_COA_SQL, params: [] });
+    if (filters.minRating > 0) {
+        add('rating', { sql: 'COALESCE(rs.rating_average, 0) >= ?', params: [filters.minRating] });
+    }
+
+    return conditions;
+}
+
+/** Facets whose options come from a GROUP BY over a joined table. */
+const GROUPED_FACETS = Object.freeze([
+    { key: 'brand', exclude: ['brand'], id: 'b.id', value: 'b.slug', label: 'b.name' },
+    { key: 'category', exclude: ['category', 'taxonomy'], id: 'pc.id', value: 'pc.slug', label: 'pc.name' },
+    { key: 'healthCategory', exclude: ['healthCategory', 'taxonomy'], id: 'hc.id', value: 'hc.slug', label: 'hc.name' }
+]);
+
+/** Facets with a fixed option list, counted with one conditional COUNT per option. */
+const FIXED_FACETS = Object.freeze([
+    {
+        key: 'price',
+        exclude: ['price'],
+        options: PRICE_BUCKETS.map((b) => ({ value: b.value, label: b.label, sql: bucketSql(b) }))
+    },
+    { key: 'inStock', exclude: ['inStock'], options: [{ value: '1', label: 'In stock', sql: IN_STOCK_SQL }] },
+    {
+        key: 'cbd',
+        exclude: ['cbd'],
+        options: [
+            { value: '1', label: 'CBD / age-restricted', sql: 'COALESCE(p.is_cannabis, 0) = 1' },
+            { value: '0', label: 'No CBD', sql: 'COALESCE(p.is_cannabis, 0) = 0' }
+        ]
+    },
+    { key: 'coa', exclude: ['coa'], options: [{ value: '1', label: 'Lab tested (COA)', sql: HAS_COA_SQL }] },
+    {
+        key: 'rating',
+        exclude: ['rating'],
+        options: RATING_THRESHOLDS.map((n) => ({
+            value: String(n),
+            label: `${n} stars & up`,
+            sql: `COALESCE(rs.rating_average, 0) >= ${n}`
+        }))
+    }
+]);
+
+/** Currently selected values per facet key, as strings. */
+function selectedValues(filters) {
+    return {
+        brand: filters.brand,
+        category: filters.category,
+        healthCategory: filters.healthCategory,
+        price: filters.price,
+        inStock: filters.inStock ? ['1'] : [],
+        cbd: filters.cbd,
+        coa: filters.coa ? ['1'] : [],
+        rating: filters.minRating > 0 ? [String(filters.minRating)] : []
+    };
+}
+
+function whereFor(baseConditions, baseParams, facetConditions, exclude) {
+    const kept = facetConditions.filter((c) => !exclude.includes(c.key));
+    return {
+        signature: kept.map((c) => c.key).join('|'),
+        sql: [...baseConditions, ...kept.map((c) => c.sql)].join(' AND ') || '1 = 1',
+        params: [...baseParams, ...kept.flatMap((c) => c.params)]
+    };
+}
+
+/**
+ * Runs the facet count queries for a listing request.
+ * @param {import('mysql2/promise').Pool} pool
+ * @param {{ baseConditions: string[], baseParams: Array, facetConditions: ReturnType<typeof buildFacetConditions>, filters: object }} opts
+ * @returns {Promise<Record<string, Array<{ value: string, label: string, count: number, selected: boolean }>>>}
+ */
+async function loadFacetCounts(pool, { baseConditions, baseParams, facetConditions, filters }) {
+    const selected = selectedValues(filters);
+    const facets = {};
+
+    const groupedQueries = GROUPED_FACETS.map(async (facet) => {
+        const where = whereFor(baseConditions, baseParams, facetConditions, facet.exclude);
+        const [rows] = await pool.query(
+            `SELECT ${facet.value} AS value, ${facet.label} AS label, COUNT(DISTINCT p.id) AS count
+            ${LISTING_FROM_SQL}
+            WHERE ${where.sql} AND ${facet.id} IS NOT NULL
+            GROUP BY ${facet.id}, ${facet.value}, ${facet.label}
+            ORDER BY count DESC, label ASC
+            LIMIT ${MAX_GROUPED_OPTIONS}`,
+            where.params
+        );
+        facets[facet.key] = rows.map((row) => ({
+            value: String(row.value || ''),
+            label: row.label || row.value,
+            count: Number(row.count) || 0,
+            selected: selected[facet.key].includes(String(row.value || '').toLowerCase())
+        }));
+    });
+
+    // Fixed facets that end up with the same WHERE share one query.
+    const byWhere = new Map();
+    for (const facet of FIXED_FACETS) {
+        const where = whereFor(baseConditions, baseParams, facetConditions, facet.exclude);
+        if (!byWhere.has(where.signature)) byWhere.set(where.signature, { where, facets: [] });
+        byWhere.get(where.signature).facets.push(facet);
+    }
+    const fixedQueries = [...byWhere.values()].map(async ({ where, facets: group }) => {
+        const columns = [];
+        group.forEach((facet, fi) => {
+            facet.options.forEach((option, oi) => {
+                columns.push(`COUNT(DISTINCT CASE WHEN ${option.sql} THEN p.id END) AS f${fi}_${oi}`);
+            });
+        });
+        const [[row]] = await pool.query(
+            `SELECT ${columns.join(',\n                   ')}
+            ${LISTING_FROM_SQL}
+            WHERE ${where.sql}`,
+            where.params
+        );
+        group.forEach((facet, fi) => {
+            facets[facet.key] = facet.options.map((option, oi) => ({
+                value: option.value,
+                label: option.label,
+                count: Number(row?.[`f${fi}_${oi}`]) || 0,
+                selected: selected[facet.key].includes(option.value)
+            }));
+        });
+    });
+
+    await Promise.all([...groupedQueries, ...fixedQueries]);
+    return facets;
+}
+
+module.exports = {
+    PRICE_BUCKETS,
+    IN_STOCK_SQL,
+    LISTING_FROM_SQL,
+    parseListingFilters,
+    buildFacetConditions,
+    loadFacetCounts
+};
@@ -0,0 +1,404 @@
+'use strict';
+
+/**
+ * Customer product reviews (product_reviews table).
+ *
+ * Customers may review a product once, and only after a paid, non-cancelled order
+ * containing it. New reviews land in the admin moderation queue as `pending`;
+ * only `approved` rows (is_approved = 1) count toward the public rating summary.
+ */
+
+const REVIEW_STATUSES = Object.freeze(['pending', 'approved', 'rejected']);
+
+const MAX_TITLE_LENGTH = 255;
+const MAX_TEXT_LENGTH = 5000;
+const MAX_REPLY_LENGTH = 2000;
+
+/**
+ * Derived table joined onto product listings: approved-review average + count per product.
+ * Usage: `LEFT JOIN ${RATING_SUMMARY_JOIN} rs ON rs.product_id = p.id`
+ */
+const RATING_SUMMARY_JOIN = `(
+    SELECT product_id,
+           ROUND(AVG(rating), 2) AS rating_average,
+           COUNT(*) AS review_count
+      FROM product_reviews
+     WHERE is_approved = 1
+     GROUP BY product_id
+)`;
+
+function reviewError(message, status, code) {
+    const err = new Error(message);
+    err.status = status;
+    err.code = code;
+    return err;
+}
+
+function clampRating(value) {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 1 || n > 5) return null;
+    return n;
+}
+
+/** Validates a customer submission; throws 400 with a code on bad input. */
+function normalizeReviewInput(body) {
+    const src = body || {};
+    const rating = clampRating(src.rating);
+    if (rating == null) {
+        throw reviewError('Rating must be a whole number from 1 to 5', 400, 'INVALID_RATING');
+    }
+    const title = String(src.title || '').trim().slice(0, MAX_TITLE_LENGTH);
+    const text = String(src.text ?? src.review_text ?? src.body ?? '').trim();
+    if (text.length > MAX_TEXT_LENGTH) {
+        throw reviewError(`Review must be ${MAX_TEXT_LENGTH} characters or fewer`, 400, 'REVIEW_TOO_LONG');
+    }
+    return { rating, title: title || null, text: text || null };
+}
+
+/** Public display name: "Jane D." — never the full surname or email. */
+function reviewerDisplayName(user) {
+    const first = String(user?.first_name || '').trim();
+    const last = String(user?.last_name || '').trim();
+    if (first && last) return `${first} ${last.charAt(0).toUpperCase()}.`;
+    if (first) return first;
+    return 'Verified customer';
+}
+
+/**
+ * Builds { average, count, distribution } from `SELECT rating, COUNT(*) AS c ... GROUP BY rating` rows.
+ */
+function summarizeRatingRows(rows) {
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    let count = 0;
+    let sum = 0;
+    for (const row of rows || []) {
+        const rating = clampRating(row.rating);
+        const c = Number(row.c ?? row.count) || 0;
+        if (rating == null || c <= 0) continue;
+        distribution[rating] += c;
+        count += c;
+        sum += rating * c;
+    }
+    return {
+        average: count ? Math.round((sum / count) * 100) / 100 : 0,
+        count,
+        distribution
+    };
+}
+
+function mapPublicReview(row) {
+    return {
+        id: row.id,
+        rating: Number(row.rating),
+        title: row.title || '',
+        text: row.review_text || '',
+        author: row.name || 'Verified customer',
+        verifiedPurchase: Boolean(row.is_verified_purchase),
+        createdAt: row.created_at,
+        reply: row.admin_reply
+            ? { text: row.admin_reply, createdAt: row.admin_reply_at }
+            : null
+    };
+}
+
+function mapAdminReview(row) {
+    return {
+        ...mapPublicReview(row),
+        status: row.status || (row.is_approved ? 'approved' : 'pending'),
+        productId: row.product_id,
+        productName: row.product_name || '',
+        productSlug: row.product_slug || '',
+        productSku: row.product_sku || '',
+        userId: row.user_id,
+        email: row.email,
+        orderId: row.order_id,
+        orderNumber: row.order_number || null,
+        moderationNote: row.moderation_note || '',
+        moderatedAt: row.moderated_at,
+        moderatedBy: row.moderated_by_name || null,
+        replyBy: row.reply_by_name || null
+    };
+}
+
+/** Active storefront product by slug or numeric id (same lookup as GET /api/products/:slug). */
+async function findProductForReviews(pool, slugOrId) {
+    const raw = String(slugOrId || '').trim();
+    if (!raw) return null;
+    const idParam = /^\d+$/.test(raw) ? Number(raw) : -1;
+    const [rows] = await pool.execute(
+        `SELECT id, name, slug, sku
+           FROM products
+          WHERE is_active = 1 AND (slug = ? OR id = ?)
+          LIMIT 1`,
+        [raw, idParam]
+    );
+    return rows[0] || null;
+}
+
+/**
+ * Most recent paid, non-cancelled order (by account or matching guest email) that
+ * contains the product. Returns { id, order_number } or null.
+ */
+async function findVerifiedPurchase(pool, { userId, email, productId }) {
+    const normalizedEmail = String(email || '').trim().toLowerCase();
+    const [rows] = await pool.execute(
+        `SELECT o.id, o.order_number
+           FROM orders o
+           JOIN order_items oi ON oi.order_id = o.id
+          WHERE oi.product_id = ?
+            AND (o.user_id = ? OR (o.user_id IS NULL AND LOWER(o.email) = ?))
+            AND o.payment_status = 'paid'
+            AND o.status NOT IN ('cancelled', 'refunded')
+          ORDER BY o.created_at DESC
+          LIMIT 1`,
+        [productId, userId, normalizedEmail]
+    );
+    return rows[0] || null;
+}
+
+async function findUserReview(pool, userId, productId) {
+    const [rows] = await pool.execute(
+        `SELECT id, status FROM product_reviews WHERE user_id = ? AND product_id = ? LIMIT 1`,
+        [userId, productId]
+    );
+    return rows[0] || null;
+}
+
+/**
+ * What the signed-in viewer may do on a product page.
+ * @returns {Promise<{ canReview: boolean, hasReviewed: boolean, reviewStatus: string|null, reason: string|null }>}
+ */
+async function getReviewerStatus(pool, user, productId) {
+    if (!user) {
+        return { canReview: false, hasReviewed: false, reviewStatus: null, reason: 'SIGN_IN_REQUIRED' };
+    }
+    const existing = await findUserReview(pool, user.id, productId);
+    if (existing) {
+        return { canReview: false, hasReviewed: true, reviewStatus: existing.status, reason: 'ALREADY_REVIEWED' };
+    }
+    const purchase = await findVerifiedPurchase(pool, {
+        userId: user.id,
+        email: user.email,
+        productId
+    });
+    if (!purchase) {
+        return { canReview: false, hasReviewed: false, reviewStatus: null, reason: 'NOT_VERIFIED_PURCHASE' };
+    }
+    return { canReview: true, hasReviewed: false, reviewStatus: null, reason: null };
+}
+
+/**
+ * Creates a pending review for a verified purchaser.
+ * @param {import('mysql2/promise').Pool} pool
+ * @param {{ user: { id: number, email: string }, productId: number, body: object }} args
+ */
+async function submitReview(pool, { user, productId, body }) {
+    const input = normalizeReviewInput(body);
+
+    const [[profile]] = await pool.execute(
+        'SELECT id, email, first_name, last_name FROM users WHERE id = ? LIMIT 1',
+        [user.id]
+    );
+    if (!profile) throw reviewError('Customer not found', 401, 'CUSTOMER_NOT_FOUND');
+
+    if (await findUserReview(pool, profile.id, productId)) {
+        throw reviewError('You have already reviewed this product', 409, 'ALREADY_REVIEWED');
+    }
+
+    const purchase = await findVerifiedPurchase(pool, {
+        userId: profile.id,
+        email: profile.email,
+        productId
+    });
+    if (!purchase) {
+        throw reviewError(
+            'Only customers who purchased this product can review it',
+            403,
+            'NOT_VERIFIED_PURCHASE'
+        );
+    }
+
+    const [result] = await pool.execute(
+        `INSERT INTO product_reviews
+            (product_id, user_id, order_id, name, email, rating, title, review_text,
+             is_verified_purchase, is_approved, status)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1, 0, 'pending')`,
+        [
+            productId,
+            profile.id,
+            purchase.id,
+            reviewerDisplayName(profile).slice(0, 100),
+            profile.email,
+            input.rating,
+            input.title,
+            input.text
+        ]
+    );
+
+    return { id: result.insertId, status: 'pending', rating: input.rating };
+}
+
+async function loadRatingSummary(pool, productId) {
+    const [rows] = await pool.execute(
+        `SELECT rating, COUNT(*) AS c
+           FROM product_reviews
+          WHERE product_id = ? AND is_approved = 1
+          GROUP BY rating`,
+        [productId]
+    );
+    return summarizeRatingRows(rows);
+}
+
+async function listPublishedReviews(pool, productId, { page = 1, limit = 10, sort = 'newest' } = {}) {
+    const limitInt = Math.min(Math.max(parseInt(limit, 10) || 10, 1), 50);
+    const pageInt = Math.max(parseInt(page, 10) || 1, 1);
+    const offset = (pageInt - 1) * limitInt;
+    const orderBy = {
+        newest: 'created_at DESC',
+        highest: 'rating DESC, created_at DESC',
+        lowest: 'rating ASC, created_at DESC'
+    }[sort] || 'created_at DESC';
+
+    const [rows] = await pool.query(
+        `SELECT id, rating, title, review_text, name, is_verified_purchase, created_at,
+                admin_reply, admin_reply_at
+           FROM product_reviews
+          WHERE product_id = ? AND is_approved = 1
+          ORDER BY ${orderBy}
+          LIMIT ${limitInt} OFFSET ${offset}`,
+        [productId]
+    );
+    const summary = await loadRatingSummary(pool, productId);
+    return {
+        summary,
+        reviews: rows.map(mapPublicReview),
+        pagination: {
+            currentPage: pageInt,
+            totalPages: Math.ceil(summary.count / limitInt),
+            totalReviews: summary.count
+        }
+    };
+}
+
+async function listModerationQueue(pool, { status = 'pending', search = '', page = 1, limit = 25 } = {}) {
+    const limitInt = Math.min(Math.max(parseInt(limit, 10) || 25, 1), 200);
+    const pageInt = Math.max(parseInt(page, 10) || 1, 1);
+    const offset = (pageInt - 1) * limitInt;
+
+    const where = [];
+    const params = [];
+    if (REVIEW_STATUSES.includes(status)) {
+        where.push('r.status = ?');
+        params.push(status);
+    }
+    const q = String(search || '').trim();
+    if (q) {
+        const like = `%${q}%`;
+        where.push('(p.name LIKE ? OR p.sku LIKE ? OR r.email LIKE ? OR r.title LIKE ? OR r.review_text LIKE ?)');
+        params.push(like, like, like, like, like);
+    }
+    const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+    const [rows] = await pool.query(
+        `SELECT r.*, p.name AS product_name, p.slug AS product_slug, p.sku AS product_sku,
+                o.order_number,
+                CONCAT_WS(' ', ma.first_name, ma.last_name) AS moderated_by_name,
+                CONCAT_WS(' ', ra.first_name, ra.last_name) AS reply_by_name
+           FROM product_reviews r
+           JOIN products p ON p.id = r.product_id
+           LEFT JOIN orders o ON o.id = r.order_id
+           LEFT JOIN admin_users ma ON ma.id = r.moderated_by_admin_id
+           LEFT JOIN admin_users ra ON ra.id = r.admin_reply_by_admin_id
+          ${whereSql}
+          ORDER BY r.created_at ${status === 'pending' ? 'ASC' : 'DESC'}
+          LIMIT ${limitInt} OFFSET ${offset}`,
+        params
+    );
+    const [[countRow]] = await pool.query(
+        `SELECT COUNT(*) AS total
+           FROM product_reviews r
+           JOIN products p ON p.id = r.product_id
+          ${whereSql}`,
+        params
+    );
+    const [statusRows] = await pool.query(
+        'SELECT status, COUNT(*) AS c FROM product_reviews GROUP BY status'
+    );
+
+    const counts = { pending: 0, approved: 0, rejected: 0 };
+    for (const row of statusRows) {
+        if (row.status in counts) counts[row.status] = Number(row.c) || 0;
+    }
+    const total = Number(countRow?.total) || 0;
+
+    return {
+        reviews: rows.map(mapAdminReview),
+        counts,
+        pagination: {
+            currentPage: pageInt,
+            totalPages: Math.ceil(total / limitInt),
+            totalReviews: total
+        }
+    };
+}
+
+async function setReviewStatus(pool, reviewId, { status, note, adminId }) {
+    if (!['approved', 'rejected', 'pending'].includes(status)) {
+        throw reviewError('Status must be approved, rejected, or pending', 400, 'INVALID_STATUS');
+    }
+    const [result] = await pool.execute(
+        `UPDATE product_reviews
+            SET status = ?, is_approved = ?, moderation_note = ?,
+                moderated_by_admin_id = ?, moderated_at = NOW()
+          WHERE id = ?`,
+        [
+            status,
+            status === 'approved' ? 1 : 0,
+            note ? String(note).trim().slice(0, 500) : null,
+            adminId || null,
+            reviewId
+        ]
+    );
+    if (!result.affectedRows) throw reviewError('Review not found', 404, 'NOT_FOUND');
+    return { id: reviewId, status };
+}
+
+/** Public staff reply shown under the review; empty text removes it. */
+async function setReviewReply(pool, reviewId, { reply, adminId }) {
+    const text = String(reply || '').trim();
+    if (text.length > MAX_REPLY_LENGTH) {
+        throw reviewError(`Reply must be ${MAX_REPLY_LENGTH} characters or fewer`, 400, 'REPLY_TOO_LONG');
+    }
+    const [result] = await pool.execute(
+        `UPDATE product_reviews
+            SET admin_reply = ?, admin_reply_by_admin_id = ?, admin_reply_at = ?
+          WHERE id = ?`,
+        [text || null, text ? adminId || null : null, text ? new Date() : null, reviewId]
+    );
+    if (!result.affectedRows) throw reviewError('Review not found', 404, 'NOT_FOUND');
+    return { id: reviewId, reply: text || null };
+}
+
+async function deleteReview(pool, reviewId) {
+    const [result] = await pool.execute('DELETE FROM product_reviews WHERE id = ?', [reviewId]);
+    if (!result.affectedRows) throw reviewError('Review not found', 404, 'NOT_FOUND');
+}
+
+module.exports = {
+    REVIEW_STATUSES,
+    RATING_SUMMARY_JOIN,
+    clampRating,
+    normalizeReviewInput,
+    reviewerDisplayName,
+    summarizeRatingRows,
+    findProductForReviews,
+    findVerifiedPurchase,
+    getReviewerStatus,
+    submitReview,
+    loadRatingSummary,
+    listPublishedReviews,
+    listModerationQueue,
+    setReviewStatus,
+    setReviewReply,
+    deleteReview
+};
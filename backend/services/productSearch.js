@@ -0,0 +1,485 @@
+'use strict';
+
+/**
+ * Storefront product search — in-process inverted index over active, web-visible products.
+ *
+ * Fields are weighted name > brand > SKU > ingredients > description. Query tokens match
+ * index terms exactly, by prefix (type-ahead) or within a small edit distance (typos such
+ * as "ashwaganda"), and admin-maintained synonym groups ("b12, cobalamin") expand the
+ * query. Every query unit must match; when nothing does, one unit may be missing.
+ *
+ * The index is rebuilt lazily: product and synonym writers call invalidateSearchIndex(),
+ * and the next search rebuilds (or serves the previous index while a rebuild runs).
+ * A max age covers writers that bypass the admin API (imports, POS, scripts).
+ */
+
+const logger = require('../utils/logger');
+const { STOREFRONT_VISIBLE_WHERE } = require('../utils/storefrontProductVisibility');
+
+const FIELD_WEIGHTS = Object.freeze({
+    name: 10,
+    brand: 6,
+    sku: 5,
+    ingredients: 3,
+    description: 1
+});
+
+const MATCH_FACTORS = Object.freeze({
+    exact: 1,
+    synonym: 0.9,
+    prefix: 0.7,
+    fuzzy: 0.55
+});
+
+const INDEX_MAX_AGE_MS = 10 * 60 * 1000;
+const MAX_SYNONYM_PHRASE_TOKENS = 3;
+const DEFAULT_RESULT_LIMIT = 500;
+
+function searchError(message, status, code) {
+    return Object.assign(new Error(message), { status, code });
+}
+
+/** Lowercase, accent-free plain text (HTML tags and entities removed). */
+function normalizeText(value) {
+    return String(value || '')
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/&(?:[a-z]+|#\d+);/gi, ' ')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase();
+}
+
+/** Light English plural stemming: "capsules" → "capsule", "berries" → "berry". */
+function stem(token) {
+    if (token.length <= 3 || /\d/.test(token)) return token;
+    if (token.endsWith('ies') && token.length > 4) return `${token.slice(0, -3)}y`;
+    if (/(ss|us|is)$/.test(token)) return token;
+    if (/(sses|xes|ches|shes)$/.test(token)) return token.slice(0, -2);
+    if (token.endsWith('s')) return token.slice(0, -1);
+    return token;
+}
+
+function tokenize(value) {
+    return normalizeText(value)
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean)
+        .map(stem);
+}
+
+/**
+ * Tokens plus the joined/split forms people type for potencies: "D-3" also indexes "d3",
+ * "5000IU" also indexes "5000" and "iu".
+ */
+function indexTokens(value) {
+    const tokens = tokenize(value);
+    const extra = [];
+    for (let i = 0; i < tokens.length; i += 1) {
+        const t = tokens[i];
+        const parts = t.match(/[a-z]+|\d+/g);
+        if (parts && parts.length > 1) extra.push(...parts);
+        const next = tokens[i + 1];
+        if (next && /^[a-z]$/.test(t) && /^\d+$/.test(next)) extra.push(`${t}${next}`);
+        if (next && /^\d+$/.test(t) && /^[a-z]{1,3}$/.test(next)) extra.push(`${t}${next}`);
+    }
+    return tokens.concat(extra);
+}
+
+/** Optimal-string-alignment distance, abandoned early once it exceeds `max`. */
+function editDistance(a, b, max = Infinity) {
+    if (a === b) return 0;
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i += 1) {
+        const cur = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j += 1) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let v = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+            if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                v = Math.min(v, prevPrev[j - 2] + 1);
+            }
+            cur[j] = v;
+            if (v < rowMin) rowMin = v;
+        }
+        if (rowMin > max) return max + 1;
+        prevPrev = prev;
+        prev = cur;
+    }
+    return prev[b.length];
+}
+
+function maxEditsFor(token) {
+    if (token.length >= 8) return 2;
+    if (token.length >= 4) return 1;
+    return 0;
+}
+
+/** "B12, cobalamin ,  methylcobalamin" → ['b12', 'cobalamin', 'methylcobalamin'] */
+function parseSynonymTerms(raw) {
+    const list = Array.isArray(raw) ? raw : String(raw || '').split(/[,\n]/);
+    const seen = new Set();
+    const terms = [];
+    for (const item of list) {
+        const phrase = tokenize(item).join(' ');
+        if (!phrase || seen.has(phrase)) continue;
+        seen.add(phrase);
+        terms.push(phrase);
+    }
+    return terms;
+}
+
+/**
+ * Builds the in-memory index from product rows and synonym groups (arrays of phrases).
+ * @param {Array<{ id: number, name: string, brand_name?: string, sku?: string, variant_skus?: string,
+ *   ingredients?: string, short_description?: string, long_description?: string }>} rows
+ * @param {string[][]} synonymGroups
+ */
+function buildIndex(rows, synonymGroups = []) {
+    /** @type {Map<string, Map<number, number>>} */
+    const postings = new Map();
+    const names = new Map();
+    const skus = new Map();
+
+    for (const row of rows) {
+        const id = Number(row.id);
+        const fields = {
+            name: row.name,
+            brand: row.brand_name,
+            sku: [row.sku, row.variant_skus].filter(Boolean).join(' '),
+            ingredients: row.ingredients,
+            description: [row.short_description, row.long_description].filter(Boolean).join(' ')
+        };
+        for (const [field, text] of Object.entries(fields)) {
+            const weight = FIELD_WEIGHTS[field];
+            for (const term of new Set(indexTokens(text))) {
+                let posting = postings.get(term);
+                if (!posting) {
+                    posting = new Map();
+                    postings.set(term, posting);
+                }
+                if ((posting.get(id) || 0) < weight) posting.set(id, weight);
+            }
+        }
+        names.set(id, tokenize(row.name).join(' '));
+        for (const sku of fields.sku.split(/\s+/).filter(Boolean)) {
+            skus.set(sku.toLowerCase(), id);
+        }
+    }
+
+    /** @type {Map<string, string[]>} phrase → other phrases in its group */
+    const synonyms = new Map();
+    for (const group of synonymGroups) {
+        const phrases = parseSynonymTerms(group);
+        for (const phrase of phrases) {
+            const others = synonyms.get(phrase) || [];
+            for (const other of phrases) {
+                if (other !== phrase && !others.includes(other)) others.push(other);
+            }
+            synonyms.set(phrase, others);
+        }
+    }
+
+    return {
+        postings,
+        terms: [...postings.keys()].sort(),
+        names,
+        skus,
+        synonyms,
+        productCount: rows.length
+    };
+}
+
+function lowerBound(sorted, value) {
+    let lo = 0;
+    let hi = sorted.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (sorted[mid] < value) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+}
+
+/** Candidate index terms for one query token with their match factor. */
+function expandToken(index, token, allowPrefix) {
+    const candidates = new Map();
+    if (index.postings.has(token)) candidates.set(token, MATCH_FACTORS.exact);
+
+    // Short prefixes ("vi") only for the token being typed; "vit" style abbreviations anywhere.
+    if (token.length >= 3 || (allowPrefix && token.length >= 2)) {
+        for (let i = lowerBound(index.terms, token); i < index.terms.length; i += 1) {
+            const term = index.terms[i];
+            if (!term.startsWith(token)) break;
+            if (!candidates.has(term)) candidates.set(term, MATCH_FACTORS.prefix);
+        }
+    }
+
+    const maxEdits = maxEditsFor(token);
+    if (maxEdits > 0 && !/^\d+$/.test(token)) {
+        for (const term of index.terms) {
+            if (candidates.has(term) || Math.abs(term.length - token.length) > maxEdits) continue;
+            if (term[0] !== token[0] && token.length < 6) continue;
+            const d = editDistance(token, term, maxEdits);
+            if (d <= maxEdits) candidates.set(term, MATCH_FACTORS.fuzzy - 0.15 * (d - 1));
+        }
+    }
+    return candidates;
+}
+
+function idf(index, term) {
+    const df = index.postings.get(term)?.size || 0;
+    return df ? Math.log(1 + index.productCount / df) : 0;
+}
+
+/** productId → best score for one token. */
+function scoreToken(index, token, allowPrefix) {
+    const scores = new Map();
+    for (const [term, factor] of expandToken(index, token, allowPrefix)) {
+        const weightIdf = idf(index, term) * factor;
+        for (const [id, weight] of index.postings.get(term)) {
+            const s = weight * weightIdf;
+            if (s > (scores.get(id) || 0)) scores.set(id, s);
+        }
+    }
+    return scores;
+}
+
+/** productId → score for a phrase (every token must match). */
+function scorePhrase(index, tokens, factor, prefixLast) {
+    let combined = null;
+    tokens.forEach((token, i) => {
+        const scores = scoreToken(index, token, prefixLast && i === tokens.length - 1);
+        if (combined === null) {
+            combined = new Map([...scores].map(([id, s]) => [id, s * factor]));
+            return;
+        }
+        for (const id of [...combined.keys()]) {
+            if (scores.has(id)) combined.set(id, combined.get(id) + scores.get(id) * factor);
+            else combined.delete(id);
+        }
+    });
+    return combined || new Map();
+}
+
+/** Splits query tokens into units, grouping multi-word synonym phrases. */
+function queryUnits(index, tokens) {
+    const units = [];
+    let i = 0;
+    while (i < tokens.length) {
+        let matched = null;
+        for (let len = Math.min(MAX_SYNONYM_PHRASE_TOKENS, tokens.length - i); len >= 1; len -= 1) {
+            const phrase = tokens.slice(i, i + len).join(' ');
+            if (index.synonyms.has(phrase)) {
+                matched = { phrase, len };
+                break;
+            }
+        }
+        if (matched) {
+            units.push({
+                original: tokens.slice(i, i + matched.len),
+                synonyms: index.synonyms.get(matched.phrase).map((p) => p.split(' ')),
+                last: i + matched.len === tokens.length
+            });
+            i += matched.len;
+        } else {
+            units.push({ original: [tokens[i]], synonyms: [], last: i === tokens.length - 1 });
+            i += 1;
+        }
+    }
+    return units;
+}
+
+/**
+ * Ranks products for a free-text query.
+ * @returns {{ ids: number[], scores: Map<number, number>, expandedTerms: string[] }}
+ */
+function searchIndex(index, query, { limit = DEFAULT_RESULT_LIMIT } = {}) {
+    const rawQuery = normalizeText(query).trim();
+    const tokens = tokenize(query);
+    if (!tokens.length) return { ids: [], scores: new Map(), expandedTerms: [] };
+
+    const skuHit = index.skus.get(rawQuery.replace(/\s+/g, ''));
+    const units = queryUnits(index, tokens);
+    const expandedTerms = units.flatMap((u) => u.synonyms.map((s) => s.join(' ')));
+
+    const total = new Map();
+    const matchedUnits = new Map();
+    for (const unit of units) {
+        const unitScores = scorePhrase(index, unit.original, MATCH_FACTORS.exact, unit.last);
+        for (const alt of unit.synonyms) {
+            for (const [id, s] of scorePhrase(index, alt, MATCH_FACTORS.synonym, false)) {
+                if (s > (unitScores.get(id) || 0)) unitScores.set(id, s);
+            }
+        }
+        for (const [id, s] of unitScores) {
+            total.set(id, (total.get(id) || 0) + s);
+            matchedUnits.set(id, (matchedUnits.get(id) || 0) + 1);
+        }
+    }
+
+    let required = units.length;
+    let ids = [...total.keys()].filter((id) => matchedUnits.get(id) >= required);
+    if (!ids.length && units.length > 1) {
+        required = units.length - 1;
+        ids = [...total.keys()].filter((id) => matchedUnits.get(id) >= required);
+    }
+
+    const scores = new Map();
+    const phrase = tokens.join(' ');
+    for (const id of ids) {
+        let s = total.get(id);
+        if (index.names.get(id)?.includes(phrase)) s *= 1.5;
+        scores.set(id, s);
+    }
+    if (skuHit != null) scores.set(skuHit, (scores.get(skuHit) || 0) + 1000);
+
+    const ranked = [...scores.keys()]
+        .sort((a, b) => scores.get(b) - scores.get(a) || a - b)
+        .slice(0, Math.max(1, Number(limit) || DEFAULT_RESULT_LIMIT));
+    return { ids: ranked, scores, expandedTerms };
+}
+
+// --- index lifecycle ---------------------------------------------------------------
+
+let currentIndex = null;
+let builtAt = 0;
+let stale = true;
+let building = null;
+
+async function loadIndexRows(pool) {
+    const [rows] = await pool.query(
+        `SELECT p.id, p.name, p.sku, p.short_description, p.long_description, p.ingredients,
+                b.name AS brand_name,
+                (SELECT GROUP_CONCAT(pv.sku SEPARATOR ' ') FROM product_variants pv
+                  WHERE pv.product_id = p.id AND pv.is_active = 1) AS variant_skus
+           FROM products p
+           LEFT JOIN brands b ON b.id = p.brand_id
+          WHERE p.is_active = 1 AND ${STOREFRONT_VISIBLE_WHERE}`
+    );
+    const [synRows] = await pool.query('SELECT terms FROM search_synonyms WHERE is_active = 1');
+    return { rows, synonymGroups: synRows.map((r) => parseSynonymTerms(r.terms)) };
+}
+
+function rebuild(pool) {
+    if (!building) {
+        stale = false;
+        building = loadIndexRows(pool)
+            .then(({ rows, synonymGroups }) => {
+                currentIndex = buildIndex(rows, synonymGroups);
+                builtAt = Date.now();
+                return currentIndex;
+            })
+            .catch((err) => {
+                stale = true;
+                throw err;
+            })
+            .finally(() => {
+                building = null;
+            });
+    }
+    return building;
+}
+
+/** Marks the index out of date; the next search rebuilds it. */
+function invalidateSearchIndex() {
+    stale = true;
+}
+
+async function getSearchIndex(pool) {
+    const expired = Date.now() - builtAt > INDEX_MAX_AGE_MS;
+    if (currentIndex && !stale && !expired) return currentIndex;
+    if (currentIndex) {
+        // Serve the previous index while the rebuild runs.
+        rebuild(pool).catch((err) => {
+            logger.warn(`[product-search] index rebuild failed — ${logger.formatMysqlError(err)}`);
+        });
+        return currentIndex;
+    }
+    return rebuild(pool);
+}
+
+/**
+ * Ranked product ids for a storefront query. Throws when the index cannot be built
+ * (callers fall back to the legacy LIKE search).
+ */
+async function searchProducts(pool, query, opts = {}) {
+    const index = await getSearchIndex(pool);
+    return searchIndex(index, query, opts);
+}
+
+// --- synonym groups (admin) ----------------------------------------------------------
+
+function formatSynonymRow(row) {
+    return {
+        id: row.id,
+        terms: parseSynonymTerms(row.terms),
+        isActive: Boolean(row.is_active),
+        updatedAt: row.updated_at || row.created_at
+    };
+}
+
+function normalizeSynonymInput(body) {
+    const terms = parseSynonymTerms(body?.terms);
+    if (terms.length < 2) {
+        throw searchError('Enter at least two terms that should match each other', 400, 'SYNONYM_TERMS_REQUIRED');
+    }
+    const joined = terms.join(', ');
+    if (joined.length > 500) {
+        throw searchError('Synonym group is too long (500 characters max)', 400, 'SYNONYM_TOO_LONG');
+    }
+    return { terms: joined, isActive: body?.isActive === false || body?.isActive === 0 ? 0 : 1 };
+}
+
+async function listSynonymGroups(pool) {
+    const [rows] = await pool.execute(
+        'SELECT id, terms, is_active, created_at, updated_at FROM search_synonyms ORDER BY terms ASC'
+    );
+    return rows.map(formatSynonymRow);
+}
+
+async function createSynonymGroup(pool, body) {
+    const { terms, isActive } = normalizeSynonymInput(body);
+    const [ins] = await pool.execute('INSERT INTO search_synonyms (terms, is_active) VALUES (?, ?)', [
+        terms,
+        isActive
+    ]);
+    invalidateSearchIndex();
+    return { id: ins.insertId, terms: parseSynonymTerms(terms), isActive: Boolean(isActive) };
+}
+
+async function updateSynonymGroup(pool, id, body) {
+    const { terms, isActive } = normalizeSynonymInput(body);
+    const [upd] = await pool.execute('UPDATE search_synonyms SET terms = ?, is_active = ? WHERE id = ?', [
+        terms,
+        isActive,
+        Number(id)
+    ]);
+    if (!upd.affectedRows) throw searchError('Synonym group not found', 404, 'NOT_FOUND');
+    invalidateSearchIndex();
+    return { id: Number(id), terms: parseSynonymTerms(terms), isActive: Boolean(isActive) };
+}
+
+async function deleteSynonymGroup(pool, id) {
+    const [del] = await pool.execute('DELETE FROM search_synonyms WHERE id = ?', [Number(id)]);
+    if (!del.affectedRows) throw searchError('Synonym group not found', 404, 'NOT_FOUND');
+    invalidateSearchIndex();
+}
+
+module.exports = {
+    FIELD_WEIGHTS,
+    normalizeText,
+    stem,
+    tokenize,
+    indexTokens,
+    editDistance,
+    parseSynonymTerms,
+    buildIndex,
+    searchIndex,
+    searchProducts,
+    invalidateSearchIndex,
+    listSynonymGroups,
+    createSynonymGroup,
+    updateSynonymGroup,
+    deleteSynonymGroup
+};
@@ -0,0 +1,674 @@
+'use strict';
+
+/**
+ * Shelf tags and product barcode stickers.
+ *
+ * Labels come from a few fixed templates (sizes in inches) and go out either as ZPL to a network
+ * label printer (raw TCP, same as receipt printing) or as a PDF sheet for a regular printer. UPC-A is
+ * used when the SKU is a valid 12-digit UPC, Code 128 otherwise.
+ *
+ * Admin product edits log price changes (see recordPriceChanges); the reprint queue lists everything
+ * whose price changed since a date, plus products in in-store promotions starting in that window,
+ * minus what has already been printed since.
+ */
+
+const logger = require('../utils/logger');
+const { sendRaw } = require('./posEscposPrint');
+const { listEquipment, listEquipmentForRegister } = require('./posEquipment');
+const { snapshotStockState } = require('./stockAlerts');
+const { parseRules, promotionAppliesPos } = require('./webPromotionEngine');
+const { pickSymbology, encodeBarcode, barcodeSvg } = require('../utils/barcode');
+const { getStoreDayBoundsRfc3339, getStoreTodayYmd, normalizeDateYmd, storeYmdForInstant } = require('../utils/storeTimezone');
+
+const LABEL_TEMPLATES = Object.freeze({
+    shelf_tag: { id: 'shelf_tag', label: 'Shelf tag (2.25 × 1.25 in)', kind: 'shelf', widthIn: 2.25, heightIn: 1.25 },
+    shelf_tag_large: { id: 'shelf_tag_large', label: 'Large shelf tag (3 × 2 in)', kind: 'shelf', widthIn: 3, heightIn: 2 },
+    barcode_sticker: { id: 'barcode_sticker', label: 'Barcode sticker (2 × 1 in)', kind: 'sticker', widthIn: 2, heightIn: 1 }
+});
+
+const SETTING_KEYS = {
+    defaultTemplate: 'label_default_template',
+    printerDpi: 'label_printer_dpi',
+    symbology: 'label_barcode_symbology',
+    showBrand: 'label_show_brand',
+    showComparePrice: 'label_show_compare_price',
+    showPrintedDate: 'label_show_printed_date',
+    defaultPrinterId: 'label_default_printer_id'
+};
+
+const SETTING_META = {
+    defaultTemplate: ['Default shelf label template', 'string'],
+    printerDpi: ['Label printer resolution (203 or 300 dpi)', 'number'],
+    symbology: ['Label barcode type: auto (UPC-A when valid), code128 or upca', 'string'],
+    showBrand: ['Print the brand on shelf tags', 'boolean'],
+    showComparePrice: ['Print the compare-at price as "Was" on shelf tags', 'boolean'],
+    showPrintedDate: ['Print the label date on shelf tags', 'boolean'],
+    defaultPrinterId: ['Label printer used from the admin (equipment id)', 'number']
+};
+
+const DEFAULT_SETTINGS = {
+    defaultTemplate: 'shelf_tag',
+    printerDpi: 203,
+    symbology: 'auto',
+    showBrand: true,
+    showComparePrice: true,
+    showPrintedDate: true,
+    defaultPrinterId: null
+};
+
+const MAX_LABELS = 500;
+const MAX_COPIES = 100;
+const PROMOTION_LOOKAHEAD_DAYS = 7;
+
+function labelError(message, status, code, extra = {}) {
+    return Object.assign(new Error(message), { status, code }, extra);
+}
+
+function positiveIdOrNull(value) {
+    const n = Number(value);
+    return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+function toBool(value, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+    return value === true || value === 1 || value === '1' || value === 'true';
+}
+
+function formatMoney(value) {
+    return `$${(Number(value) || 0).toFixed(2)}`;
+}
+
+function escapeHtml(str) {
+    return String(str ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function normalizeLabelSettings(raw = {}) {
+    const dpi = Number(raw.printerDpi) === 300 ? 300 : 203;
+    const symbology = ['auto', 'code128', 'upca'].includes(raw.symbology) ? raw.symbology : DEFAULT_SETTINGS.symbology;
+    return {
+        defaultTemplate: LABEL_TEMPLATES[raw.defaultTemplate] ? raw.defaultTemplate : DEFAULT_SETTINGS.defaultTemplate,
+        printerDpi: dpi,
+        symbology,
+        showBrand: toBool(raw.showBrand, DEFAULT_SETTINGS.showBrand),
+        showComparePrice: toBool(raw.showComparePrice, DEFAULT_SETTINGS.showComparePrice),
+        showPrintedDate: toBool(raw.showPrintedDate, DEFAULT_SETTINGS.showPrintedDate),
+        defaultPrinterId: positiveIdOrNull(raw.defaultPrinterId)
+    };
+}
+
+async function loadLabelSettings(pool) {
+    const keys = Object.values(SETTING_KEYS);
+    const raw = {};
+    try {
+        const [rows] = await pool.execute(
+            `SELECT key_name, value FROM settings WHERE key_name IN (${keys.map(() => '?').join(', ')})`,
+            keys
+        );
+        const map = new Map((rows || []).map((r) => [r.key_name, r.value]));
+        for (const [field, key] of Object.entries(SETTING_KEYS)) raw[field] = map.get(key);
+    } catch {
+        /* defaults */
+    }
+    return normalizeLabelSettings(raw);
+}
+
+async function saveLabelSettings(pool, payload = {}) {
+    const current = await loadLabelSettings(pool);
+    const next = normalizeLabelSettings({ ...current, ...payload });
+    for (const [field, key] of Object.entries(SETTING_KEYS)) {
+        const [description, type] = SETTING_META[field];
+        await pool.execute(
+            `INSERT INTO settings (key_name, value, description, type)
+             VALUES (?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE value = VALUES(value), updated_at = CURRENT_TIMESTAMP`,
+            [key, next[field] == null ? '' : String(next[field]), description, type]
+        );
+    }
+    return next;
+}
+
+function listTemplates() {
+    return Object.values(LABEL_TEMPLATES);
+}
+
+function resolveTemplate(id, settings) {
+    const template = LABEL_TEMPLATES[id || settings.defaultTemplate];
+    if (!template) throw labelError('Unknown label template', 400, 'INVALID_TEMPLATE');
+    return template;
+}
+
+/** Network label printers configured under POS equipment. */
+function networkLabelPrinters(equipment) {
+    return equipment
+        .filter((e) => e.isActive && e.equipmentType === 'label_printer')
+        .map((e) => ({
+            id: e.id,
+            label: e.label,
+            model: [e.manufacturer, e.model].filter(Boolean).join(' '),
+            posDeviceId: e.posDeviceId,
+            posDeviceLabel: e.posDeviceLabel,
+            host: String(e.config?.address || '').trim(),
+            port: Number(e.config?.port) || 9100,
+            network: e.config?.connection === 'network' && Boolean(String(e.config?.address || '').trim())
+        }));
+}
+
+async function listLabelPrinters(pool) {
+    return networkLabelPrinters(await listEquipment(pool, { includeInactive: false }));
+}
+
+/**
+ * Label requests `[{ productId?, variantId?, sku?, quantity?, promotionId? }]` → one entry per product or
+ * variant with its copy count. Throws when the total goes over MAX_LABELS.
+ */
+function normalizeLabelItems(items) {
+    if (!Array.isArray(items) || !items.length) throw labelError('Add at least one product', 400, 'LABEL_ITEMS_REQUIRED');
+    const out = [];
+    for (const raw of items) {
+        if (!raw || typeof raw !== 'object') continue;
+        const productId = positiveIdOrNull(raw.productId ?? raw.product_id);
+        const variantId = positiveIdOrNull(raw.variantId ?? raw.variant_id);
+        const sku = String(raw.sku || '').trim().slice(0, 100);
+        if (!productId && !variantId && !sku) continue;
+        const quantity = Math.min(MAX_COPIES, Math.max(1, parseInt(raw.quantity, 10) || 1));
+        out.push({ productId, variantId, sku: sku || null, quantity, promotionId: positiveIdOrNull(raw.promotionId) });
+    }
+    if (!out.length) throw labelError('Add at least one product', 400, 'LABEL_ITEMS_REQUIRED');
+    const total = out.reduce((sum, i) => sum + i.quantity, 0);
+    if (total > MAX_LABELS) throw labelError(`Print ${MAX_LABELS} labels or fewer at a time`, 400, 'TOO_MANY_LABELS');
+    return out;
+}
+
+const TARGET_SELECT = `SELECT p.id AS product_id, p.name, p.sku, p.price, p.compare_price, b.name AS brand_name,
+            v.id AS variant_id, v.name AS variant_name, v.sku AS variant_sku,
+            COALESCE(v.price, p.price) AS variant_price, COALESCE(v.compare_price, p.compare_price) AS variant_compare_price
+       FROM products p
+       LEFT JOIN brands b ON b.id = p.brand_id`;
+
+function mapTarget(row) {
+    const variant = row.variant_id != null;
+    const comparePrice = Number(variant ? row.variant_compare_price : row.compare_price) || null;
+    return {
+        productId: row.product_id,
+        variantId: variant ? row.variant_id : null,
+        name: variant ? `${row.name} — ${row.variant_name}` : row.name,
+        brand: row.brand_name || '',
+        sku: (variant ? row.variant_sku : row.sku) || '',
+        price: Number(variant ? row.variant_price : row.price) || 0,
+        comparePrice
+    };
+}
+
+/** Product / variant details for label requests; unknown SKUs and ids come back in `missing`. */
+async function resolveLabelItems(pool, items) {
+    const productIds = [...new Set(items.filter((i) => i.productId && !i.variantId).map((i) => i.productId))];
+    const variantIds = [...new Set(items.filter((i) => i.variantId).map((i) => i.variantId))];
+    const skus = [...new Set(items.filter((i) => !i.productId && !i.variantId).map((i) => i.sku))];
+    const byKey = new Map();
+    const bySku = new Map();
+
+    if (productIds.length) {
+        const [rows] = await pool.query(
+            `${TARGET_SELECT} LEFT JOIN product_variants v ON 1 = 0 WHERE p.id IN (${productIds.map(() => '?').join(', ')})`,
+            productIds
+        );
+        for (const row of rows) byKey.set(`p:${row.product_id}`, mapTarget(row));
+    }
+    if (variantIds.length) {
+        const [rows] = await pool.query(
+            `${TARGET_SELECT} JOIN product_variants v ON v.product_id = p.id WHERE v.id IN (${variantIds.map(() => '?').join(', ')})`,
+            variantIds
+        );
+        for (const row of rows) byKey.set(`v:${row.variant_id}`, mapTarget(row));
+    }
+    if (skus.length) {
+        const marks = skus.map(() => '?').join(', ');
+        const [variantRows] = await pool.query(
+            `${TARGET_SELECT} JOIN product_variants v ON v.product_id = p.id WHERE v.sku IN (${marks})`,
+            skus
+        );
+        for (const row of variantRows) bySku.set(String(row.variant_sku).toUpperCase(), mapTarget(row));
+        const [productRows] = await pool.query(
+            `${TARGET_SELECT} LEFT JOIN product_variants v ON 1 = 0 WHERE p.sku IN (${marks})`,
+            skus
+        );
+        for (const row of productRows) bySku.set(String(row.sku).toUpperCase(), mapTarget(row));
+    }
+
+    const promotions = await loadPromotionsById(pool, items.map((i) => i.promotionId).filter(Boolean));
+    const labels = [];
+    const missing = [];
+    for (const item of items) {
+        const target = item.variantId
+            ? byKey.get(`v:${item.variantId}`)
+            : item.productId
+              ? byKey.get(`p:${item.productId}`)
+              : bySku.get(String(item.sku).toUpperCase());
+        if (!target) {
+            missing.push(item.sku || item.variantId || item.productId);
+            continue;
+        }
+        labels.push({ ...target, quantity: item.quantity, promotion: promotions.get(item.promotionId) || null });
+    }
+    return { labels, missing };
+}
+
+async function loadPromotionsById(pool, ids) {
+    const unique = [...new Set(ids)];
+    const map = new Map();
+    if (!unique.length) return map;
+    const [rows] = await pool.query(
+        `SELECT id, code, description, starts_at, ends_at FROM web_promotions WHERE id IN (${unique.map(() => '?').join(', ')})`,
+        unique
+    );
+    for (const row of rows) map.set(row.id, mapPromotion(row));
+    return map;
+}
+
+function mapPromotion(row) {
+    return {
+        id: row.id,
+        code: row.code,
+        description: row.description || row.code,
+        startsOn: row.starts_at ? storeYmdForInstant(row.starts_at) : null,
+        endsOn: row.ends_at ? storeYmdForInstant(row.ends_at) : null
+    };
+}
+
+function shortDate(ymd) {
+    if (!ymd) return '';
+    const [, m, d] = ymd.split('-');
+    return `${Number(m)}/${Number(d)}`;
+}
+
+/** Text and barcode for one label (pure). */
+function labelContent(label, settings, { today } = {}) {
+    const barcode = label.sku ? pickSymbology(label.sku, settings.symbology) : null;
+    const was =
+        settings.showComparePrice && label.comparePrice && label.comparePrice > label.price + 0.004
+            ? `Was ${formatMoney(label.comparePrice)}`
+            : '';
+    const promo = label.promotion
+        ? `SALE ${label.promotion.description}`.slice(0, 48) + (label.promotion.endsOn ? ` thru ${shortDate(label.promotion.endsOn)}` : '')
+        : '';
+    return {
+        name: label.name,
+        brand: settings.showBrand ? label.brand : '',
+        price: formatMoney(label.price),
+        was,
+        promo,
+        sku: label.sku,
+        barcode,
+        date: settings.showPrintedDate && today ? shortDate(today) : ''
+    };
+}
+
+/** Field data with ^, ~ and \ hex-escaped for ^FH\ (and control characters dropped). */
+function zplText(value) {
+    return String(value ?? '')
+        .replace(/[\x00-\x1f\x7f]/g, ' ')
+        .replace(/[\\^~]/g, (c) => `\\${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function zplBarcode(barcode, { x, y, height, maxWidth, dots }) {
+    const modules = encodeBarcode(barcode).length + 20;
+    const moduleWidth = Math.max(1, Math.min(dots >= 300 ? 3 : 2, Math.floor(maxWidth / modules)));
+    if (barcode.type === 'upca') {
+        return `^BY${moduleWidth}^FO${x},${y}^BUN,${height},Y,N,Y^FD${barcode.data.slice(0, 11)}^FS`;
+    }
+    // Subset B by default; '>' is the invocation character and is written as '><'.
+    return `^BY${moduleWidth}^FO${x},${y}^BCN,${height},Y,N,N^FH\\^FD${zplText(barcode.data).replace(/>/g, '><')}^FS`;
+}
+
+function zplTextField({ x, y, width, size, lines = 1, align = 'L', text }) {
+    if (!text) return '';
+    return `^FO${x},${y}^A0N,${size},${size}^FB${width},${lines},0,${align}^FH\\^FD${zplText(text)}^FS`;
+}
+
+/** One ZPL format per label (pure); copies use ^PQ. */
+function buildLabelZpl(labels, template, settings, { today } = {}) {
+    const dots = settings.printerDpi;
+    const d = (inches) => Math.round(inches * dots);
+    const W = d(template.widthIn);
+    const H = d(template.heightIn);
+    const m = d(0.08);
+    const scale = template.heightIn / 1.25;
+
+    return labels
+        .map((label) => {
+            const c = labelContent(label, settings, { today });
+            const parts = ['^XA', '^CI28', `^PW${W}`, `^LL${H}`, '^LH0,0'];
+            if (template.kind === 'sticker') {
+                const nameSize = d(0.12);
+                parts.push(zplTextField({ x: m, y: m, width: W - 2 * m, size: nameSize, text: c.name }));
+                if (c.barcode) {
+                    parts.push(zplBarcode(c.barcode, { x: m, y: m + nameSize + d(0.04), height: d(0.45), maxWidth: W - 2 * m, dots }));
+                }
+                parts.push(zplTextField({ x: m, y: H - m - d(0.14), width: W - 2 * m, size: d(0.14), align: 'R', text: c.price }));
+            } else {
+                const priceW = Math.round(W * 0.4);
+                const textW = W - priceW - 2 * m;
+                const small = Math.round(d(0.11) * scale);
+                let y = m;
+                if (c.brand) {
+                    parts.push(zplTextField({ x: m, y, width: textW, size: small, text: c.brand.toUpperCase() }));
+                    y += small + d(0.02);
+                }
+                const nameSize = Math.round(d(0.13) * scale);
+                parts.push(zplTextField({ x: m, y, width: textW, size: nameSize, lines: 2, text: c.name }));
+                parts.push(zplTextField({ x: W - m - priceW, y: m, width: priceW, size: Math.round(d(0.32) * scale), align: 'R', text: c.price }));
+                const wasY = m + Math.round(d(0.34) * scale);
+                parts.push(zplTextField({ x: W - m - priceW, y: wasY, width: priceW, size: small, align: 'R', text: c.was }));
+                const barH = Math.round(d(0.3) * scale);
+                const barY = H - m - barH - small - d(0.02);
+                if (c.promo) {
+                    parts.push(zplTextField({ x: m, y: barY - small - d(0.03), width: W - 2 * m, size: small, text: c.promo }));
+                }
+                if (c.barcode) {
+                    parts.push(zplBarcode(c.barcode, { x: m, y: barY, height: barH, maxWidth: W - priceW - m, dots }));
+                }
+                parts.push(zplTextField({ x: W - m - priceW, y: H - m - small, width: priceW, size: small, align: 'R', text: c.date }));
+            }
+            parts.push(`^PQ${label.quantity},0,1,Y`, '^XZ');
+            return parts.filter(Boolean).join('\n');
+        })
+        .join('\n');
+}
+
+/** Letter-size sheet of labels with cut lines, for htmlToPdfBuffer (pure). */
+function buildLabelSheetHtml(labels, template, settings, { today } = {}) {
+    const scale = template.heightIn / 1.25;
+    const cells = [];
+    for (const label of labels) {
+        const c = labelContent(label, settings, { today });
+        const barcode = c.barcode
+            ? `<div class="bc">${barcodeSvg(encodeBarcode(c.barcode), { quietZone: c.barcode.type === 'upca' ? 9 : 10 })}</div><div class="bc-text">${escapeHtml(c.barcode.data)}</div>`
+            : '';
+        const html =
+            template.kind === 'sticker'
+                ? `<div class="label sticker"><div class="name one">${escapeHtml(c.name)}</div>${barcode}<div class="price">${escapeHtml(c.price)}</div></div>`
+                : `<div class="label shelf">
+                    <div class="top"><div class="text">${c.brand ? `<div class="brand">${escapeHtml(c.brand)}</div>` : ''}<div class="name">${escapeHtml(c.name)}</div></div>
+                    <div class="prices"><div class="price">${escapeHtml(c.price)}</div>${c.was ? `<div class="was">${escapeHtml(c.was)}</div>` : ''}</div></div>
+                    ${c.promo ? `<div class="promo">${escapeHtml(c.promo)}</div>` : ''}
+                    <div class="bottom"><div class="code">${barcode}</div><div class="date">${escapeHtml(c.date)}</div></div>
+                </div>`;
+        for (let i = 0; i < label.quantity; i += 1) cells.push(html);
+    }
+    return `<!DOCTYPE html><html><head><meta charset="utf-8"><style>
+        * { box-sizing: border-box; }
+        body { margin: 0; font-family: Arial, Helvetica, sans-serif; color: #000; }
+        .sheet { display: flex; flex-wrap: wrap; align-content: flex-start; }
+        .label { width: ${template.widthIn}in; height: ${template.heightIn}in; padding: 0.07in; border: 1px dashed #9ca3af;
+                 overflow: hidden; page-break-inside: avoid; break-inside: avoid; display: flex; flex-direction: column; }
+        .top { display: flex; gap: 0.05in; }
+        .text { flex: 1; min-width: 0; }
+        .brand { font-size: ${(7 * scale).toFixed(1)}pt; text-transform: uppercase; color: #374151; }
+        .name { font-size: ${(8 * scale).toFixed(1)}pt; font-weight: bold; line-height: 1.15; max-height: 2.3em; overflow: hidden; }
+        .name.one { white-space: nowrap; text-overflow: ellipsis; max-height: none; }
+        .prices { text-align: right; }
+        .shelf .price { font-size: ${(20 * scale).toFixed(1)}pt; font-weight: bold; line-height: 1; }
+        .sticker .price { font-size: 10pt; font-weight: bold; text-align: right; }
+        .was { font-size: ${(7 * scale).toFixed(1)}pt; text-decoration: line-through; }
+        .promo { font-size: ${(7 * scale).toFixed(1)}pt; font-weight: bold; margin-top: auto; }
+        .bottom { display: flex; align-items: flex-end; justify-content: space-between; margin-top: auto; }
+        .code { width: 60%; }
+        .sticker .code, .sticker .bc { width: 100%; }
+        .bc svg { width: 100%; height: ${(0.28 * scale).toFixed(2)}in; display: block; }
+        .sticker .bc svg { height: 0.42in; }
+        .bc-text { font-size: 6pt; text-align: center; letter-spacing: 0.05em; }
+        .date { font-size: 6pt; color: #4b5563; }
+    </style></head><body><div class="sheet">${cells.join('')}</div></body></html>`;
+}
+
+/** Snapshot + diff rows for product_price_changes (pure). */
+function diffPrices(before, after) {
+    const changes = [];
+    for (const [key, prev] of before || new Map()) {
+        const next = after && after.get(key);
+        if (!next || Math.abs(next.price - prev.price) < 0.005) continue;
+        changes.push({ productId: next.productId, variantId: next.variantId, oldPrice: prev.price, newPrice: next.price });
+    }
+    return changes;
+}
+
+/**
+ * Logs price changes after an admin product write. `before` is a stockAlerts.snapshotStockState taken
+ * ahead of the write; failures are logged and never break the caller.
+ */
+async function recordPriceChanges(pool, before, { source, adminId = null } = {}) {
+    if (!pool || !before || !before.size) return [];
+    try {
+        const productIds = [...new Set([...before.values()].map((s) => s.productId))];
+        const changes = diffPrices(before, await snapshotStockState(pool, productIds));
+        for (const c of changes) {
+            await pool.execute(
+                `INSERT INTO product_price_changes (product_id, variant_id, old_price, new_price, source, changed_by)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [c.productId, c.variantId, c.oldPrice, c.newPrice, source, adminId]
+            );
+        }
+        return changes;
+    } catch (err) {
+        logger.warn(`[shelf-labels] price change log skipped — ${logger.formatMysqlError(err)}`);
+        return [];
+    }
+}
+
+async function recordLabelPrints(pool, labels, { template, output, adminId = null, employeeId = null }) {
+    try {
+        for (const l of labels) {
+            await pool.execute(
+                `INSERT INTO product_label_prints
+                    (product_id, variant_id, template, quantity, price, output, printed_by_admin, printed_by_employee)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [l.productId, l.variantId, template.id, l.quantity, l.price, output, adminId, employeeId]
+            );
+        }
+    } catch (err) {
+        logger.warn(`[shelf-labels] print history skipped — ${logger.formatMysqlError(err)}`);
+    }
+}
+
+/** Products in POS promotions that start between `since` and a week from now. */
+async function loadStartingPromotionTargets(pool, sinceDate) {
+    const [promotions] = await pool.execute(
+        `SELECT * FROM web_promotions
+          WHERE is_active = 1 AND starts_at IS NOT NULL
+            AND starts_at >= ? AND starts_at <= DATE_ADD(NOW(), INTERVAL ${PROMOTION_LOOKAHEAD_DAYS} DAY)
+          ORDER BY starts_at`,
+        [sinceDate]
+    );
+    const out = [];
+    for (const row of promotions.filter(promotionAppliesPos)) {
+        let rules;
+        try {
+            rules = parseRules(row.rules);
+        } catch {
+            continue;
+        }
+        let productIds = rules.scope === 'products' ? rules.productIds : [];
+        if (rules.scope === 'categories' && rules.categoryIds.length) {
+            const [rows] = await pool.query(
+                `SELECT id FROM products WHERE is_active = 1 AND category_id IN (${rules.categoryIds.map(() => '?').join(', ')}) LIMIT ${MAX_LABELS}`,
+                rules.categoryIds
+            );
+            productIds = rows.map((r) => r.id);
+        }
+        // Store-wide promotions are left out: a tag for every product is not a reprint queue.
+        for (const productId of productIds) out.push({ productId, promotion: mapPromotion(row), startsAt: row.starts_at });
+    }
+    return out;
+}
+
+/**
+ * Reprint queue: products / variants whose price changed since `since` (net of changes back to the
+ * original price) and products in POS promotions starting since then. Entries printed after their
+ * change are hidden unless `includePrinted`.
+ */
+async function getLabelQueue(pool, { since, includePrinted = false, includePromotions = true } = {}) {
+    const sinceYmd = normalizeDateYmd(since) || storeYmdForInstant(Date.now() - 7 * 86400000);
+    const sinceDate = new Date(getStoreDayBoundsRfc3339(sinceYmd).timeMin);
+
+    const [rows] = await pool.execute(
+        `SELECT c.product_id, c.variant_id, MAX(c.created_at) AS changed_at, COUNT(*) AS change_count,
+                SUBSTRING_INDEX(GROUP_CONCAT(c.old_price ORDER BY c.created_at, c.id), ',', 1) AS first_old_price,
+                (SELECT MAX(lp.created_at) FROM product_label_prints lp
+                  WHERE lp.product_id = c.product_id AND lp.variant_id <=> c.variant_id) AS last_printed_at
+           FROM product_price_changes c
+          WHERE c.created_at >= ?
+          GROUP BY c.product_id, c.variant_id
+          ORDER BY changed_at DESC
+          LIMIT ${MAX_LABELS}`,
+        [sinceDate]
+    );
+    const promoTargets = includePromotions ? await loadStartingPromotionTargets(pool, sinceDate) : [];
+
+    const requests = [
+        ...rows.map((r) => ({ productId: r.product_id, variantId: r.variant_id, quantity: 1 })),
+        ...promoTargets.map((t) => ({ productId: t.productId, variantId: null, quantity: 1 }))
+    ];
+    const { labels } = requests.length ? await resolveLabelItems(pool, requests) : { labels: [] };
+    const byKey = new Map(labels.map((l) => [`${l.productId}:${l.variantId || 0}`, l]));
+
+    const [printRows] = promoTargets.length
+        ? await pool.query(
+              `SELECT product_id, MAX(created_at) AS last_printed_at FROM product_label_prints
+                WHERE variant_id IS NULL AND product_id IN (${promoTargets.map(() => '?').join(', ')})
+                GROUP BY product_id`,
+              promoTargets.map((t) => t.productId)
+          )
+        : [[]];
+    const promoPrinted = new Map(printRows.map((r) => [r.product_id, r.last_printed_at]));
+
+    const entries = [];
+    for (const r of rows) {
+        const target = byKey.get(`${r.product_id}:${r.variant_id || 0}`);
+        if (!target) continue;
+        const oldPrice = Number(r.first_old_price) || 0;
+        if (Math.abs(oldPrice - target.price) < 0.005) continue;
+        const printed = Boolean(r.last_printed_at && new Date(r.last_printed_at) >= new Date(r.changed_at));
+        if (printed && !includePrinted) continue;
+        entries.push({
+            ...target,
+            reason: 'price_change',
+            oldPrice,
+            changedAt: r.changed_at,
+            changeCount: Number(r.change_count) || 1,
+            lastPrintedAt: r.last_printed_at || null,
+            printed,
+            promotion: null
+        });
+    }
+    const seen = new Set(entries.map((e) => `${e.productId}:${e.variantId || 0}`));
+    for (const t of promoTargets) {
+        const key = `${t.productId}:0`;
+        const target = byKey.get(key);
+        if (!target || seen.has(key)) continue;
+        seen.add(key);
+        const lastPrintedAt = promoPrinted.get(t.productId) || null;
+        const printed = Boolean(lastPrintedAt && new Date(lastPrintedAt) >= sinceDate);
+        if (printed && !includePrinted) continue;
+        entries.push({ ...target, reason: 'promotion', oldPrice: null, changedAt: t.startsAt, lastPrintedAt, printed, promotion: t.promotion });
+    }
+    return { since: sinceYmd, entries: entries.map(({ quantity: _q, ...e }) => e) };
+}
+
+/** Product lookup for the label picker: SKU / name matches, variants included. */
+async function searchLabelProducts(pool, query) {
+    const q = String(query || '').trim().slice(0, 100);
+    if (q.length < 2) return [];
+    const like = `%${q}%`;
+    const [rows] = await pool.execute(
+        `${TARGET_SELECT}
+         LEFT JOIN product_variants v ON v.product_id = p.id AND v.is_active = 1
+         WHERE p.sku = ? OR v.sku = ? OR p.name LIKE ? OR p.sku LIKE ?
+         ORDER BY (p.sku = ? OR v.sku = ?) DESC, p.name, v.sort_order
+         LIMIT 40`,
+        [q, q, like, like, q, q]
+    );
+    const results = [];
+    const seenProducts = new Set();
+    for (const row of rows) {
+        if (row.variant_id != null) results.push(mapTarget(row));
+        if (!seenProducts.has(row.product_id)) {
+            seenProducts.add(row.product_id);
+            if (row.variant_id == null) results.push(mapTarget(row));
+        }
+    }
+    return results.slice(0, 25);
+}
+
+async function prepareLabels(pool, { items, template: templateId }) {
+    const settings = await loadLabelSettings(pool);
+    const template = resolveTemplate(templateId, settings);
+    const { labels, missing } = await resolveLabelItems(pool, normalizeLabelItems(items));
+    if (!labels.length) throw labelError('None of those products were found', 404, 'LABEL_PRODUCTS_NOT_FOUND', { missing });
+    return { settings, template, labels, missing, today: getStoreTodayYmd() };
+}
+
+/** ZPL text for download (no printer needed). */
+async function generateLabelZpl(pool, payload, actor = {}) {
+    const { settings, template, labels, missing, today } = await prepareLabels(pool, payload);
+    const zpl = buildLabelZpl(labels, template, settings, { today });
+    await recordLabelPrints(pool, labels, { template, output: 'zpl', ...actor });
+    return { zpl, missing, count: labels.reduce((s, l) => s + l.quantity, 0) };
+}
+
+async function generateLabelPdf(pool, payload, actor = {}) {
+    const { htmlToPdfBuffer } = require('./posShiftReportEmail');
+    const { settings, template, labels, missing, today } = await prepareLabels(pool, payload);
+    const pdfBuffer = await htmlToPdfBuffer(buildLabelSheetHtml(labels, template, settings, { today }));
+    await recordLabelPrints(pool, labels, { template, output: 'pdf', ...actor });
+    return { pdfBuffer, missing, filename: `labels-${template.id}-${today}.pdf` };
+}
+
+/**
+ * Sends labels to a network label printer. Admin: `printerId` or the default printer. Register:
+ * the label printer assigned to it (pass `posDeviceRecordId`), else the default printer.
+ */
+async function printLabels(pool, payload, { printerId = null, posDeviceRecordId = null, adminId = null, employeeId = null } = {}) {
+    const { settings, template, labels, missing, today } = await prepareLabels(pool, payload);
+    const registerPrinters = posDeviceRecordId ? networkLabelPrinters(await listEquipmentForRegister(pool, posDeviceRecordId)) : [];
+    const printers = registerPrinters.length ? registerPrinters : await listLabelPrinters(pool);
+    const wantedId = positiveIdOrNull(printerId) || (registerPrinters.length ? registerPrinters[0].id : settings.defaultPrinterId);
+    const printer = printers.find((p) => p.id === wantedId) || (printers.length === 1 ? printers[0] : null);
+    if (!printer) throw labelError('Pick a label printer (set one up under POS equipment)', 400, 'LABEL_PRINTER_REQUIRED');
+    if (!printer.network) {
+        throw labelError(`${printer.label} is not set up for network printing — download the PDF or ZPL instead`, 400, 'LABEL_PRINTER_NOT_NETWORK');
+    }
+    const zpl = buildLabelZpl(labels, template, settings, { today });
+    try {
+        await sendRaw(printer.host, printer.port, Buffer.from(zpl, 'utf8'), 15000, 'Label printer');
+    } catch (err) {
+        throw labelError(err.message || 'Could not reach the label printer', 502, 'LABEL_PRINT_FAILED');
+    }
+    await recordLabelPrints(pool, labels, { template, output: 'zpl', adminId, employeeId });
+    return { printer: { id: printer.id, label: printer.label }, count: labels.reduce((s, l) => s + l.quantity, 0), missing };
+}
+
+module.exports = {
+    LABEL_TEMPLATES,
+    DEFAULT_SETTINGS,
+    normalizeLabelSettings,
+    loadLabelSettings,
+    saveLabelSettings,
+    listTemplates,
+    listLabelPrinters,
+    normalizeLabelItems,
+    labelContent,
+    zplText,
+    buildLabelZpl,
+    buildLabelSheetHtml,
+    diffPrices,
+    recordPriceChanges,
+    getLabelQueue,
+    searchLabelProducts,
+    generateLabelZpl,
+    generateLabelPdf,
+    printLabels
+};
@@ -532,6 +532,79 @@ async function purchaseLabel(pool, orderId, { rateId, boxId, packageWeightOz, it
     };
 }
 
+/**
+ * Prepaid return label (customer back to the store) for RMA lines, bought at the cheapest allowed rate.
+ * Addresses are passed in outbound order; Shippo swaps them when extra.is_return is set.
+ * @param {Array<{ product_id: number, variant_id?: number|null, quantity: number }>} items
+ */
+async function purchaseReturnLabel(pool, order, items, { packageWeightOz } = {}) {
+    if (!shippo.isConfigured()) {
+        const err = new Error('SHIPPO_NOT_CONFIGURED');
+        err.code = 'SHIPPO_NOT_CONFIGURED';
+        throw err;
+    }
+    const { totalWeightOz } = await resolveCartWeights(pool, items);
+    const boxes = await listBoxes(pool);
+    const box = (totalWeightOz <= 32 ? boxes[0] : boxes[boxes.length - 1]) || null;
+    const weightOz = resolvePackageWeightOz(totalWeightOz, box, packageWeightOz);
+    if (!box || !weightOz) {
+        const err = new Error('INVALID_PACKAGE_WEIGHT');
+        err.code = 'INVALID_PACKAGE_WEIGHT';
+        throw err;
+    }
+
+    const shipment = await shippo.createShipment({
+        address_from: shippoAddressFromOrigin(),
+        address_to: shippoAddressFromOrder(order, 'shipping'),
+        parcels: [{
+            length: String(box.length),
+            width: String(box.width),
+            height: String(box.height),
+            distance_unit: box.dimension_unit || 'in',
+            weight: String(weightOz),
+            mass_unit: 'oz',
+        }],
+        extra: { is_return: true },
+    });
+    const rates = (Array.isArray(shipment?.rates) ? shipment.rates : [])
+        .map(formatCarrierRate)
+        .filter(Boolean)
+        .sort((a, b) => a.amount - b.amount);
+    if (!rates.length) {
+        const err = new Error('NO_RATES_AVAILABLE');
+        err.code = 'NO_RATES_AVAILABLE';
+        throw err;
+    }
+
+    const txn = await shippo.createTransaction({
+        rate: rates[0].shippo_rate_id,
+        label_file_type: 'PDF',
+    });
+    const status = String(txn.status || txn.object_status || '').toUpperCase();
+    if (status !== 'SUCCESS') {
+        const msg = (txn.messages || []).map((m) => m.text || m.message).filter(Boolean).join('; ');
+        const err = new Error(msg || 'LABEL_PURCHASE_FAILED');
+        err.code = 'LABEL_PURCHASE_FAILED';
+        err.transaction = txn;
+        throw err;
+    }
+
+    const trackingNumber = String(txn.tracking_number || '').trim();
+    const carrier = rates[0].carrier || inferCarrierFromTracking(trackingNumber).toUpperCase();
+    return {
+        transaction_id: txn.object_id,
+        tracking_number: trackingNumber,
+        tracking_url:
+            String(txn.tracking_url_provider || '').trim() ||
+            buildCarrierTrackingUrl(carrier, trackingNumber) ||
+            '',
+        label_url: String(txn.label_url || '').trim(),
+        carrier,
+        service: rates[0].service,
+        amount: rates[0].amount,
+    };
+}
+
 async function listBoxes(pool) {
     const [rows] = await pool.execute(
         'SELECT * FROM shipping_boxes WHERE is_active = 1 ORDER BY sort_order ASC'
@@ -550,6 +623,7 @@ module.exports = {
     saveLearnedWeights,
     getRatesForOrder,
     purchaseLabel,
+    purchaseReturnLabel,
     listBoxes,
     FREE_SHIPPING_THRESHOLD,
     FIRST_CLASS_SHIPPING,
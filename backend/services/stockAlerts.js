@@ -0,0 +1,442 @@
+'use strict';
+
+/**
+ * "Notify me" subscriptions — back-in-stock and price-drop alerts per product or variant.
+ *
+ * Subscriptions are one-shot: once an alert email goes out the row moves to `notified`.
+ * A product-level back-in-stock subscription (variant_id NULL) fires when the product
+ * or any of its variants is restocked; a variant subscription fires only for that variant.
+ *
+ * Stock/price writers (InventoryService, vendor receiving, admin product edits) call
+ * queueRestockAlerts / queueStockStateAlerts after their transaction commits; delivery
+ * runs on the next tick so a slow SMTP server never holds up the caller.
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { sendMail } = require('../utils/mailTransporter');
+const { getStorefrontPublicBaseUrl } = require('../utils/storefrontUrl');
+const { wrapHmHerbsEmail, BRAND } = require('./giftCardDeliveryEmail');
+
+const ALERT_TYPES = ['back_in_stock', 'price_drop'];
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function alertError(message, status, code) {
+    return Object.assign(new Error(message), { status, code });
+}
+
+function escapeHtml(str) {
+    return String(str || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function formatMoney(value) {
+    return `$${(Number(value) || 0).toFixed(2)}`;
+}
+
+function stateKey(productId, variantId) {
+    return `${Number(productId)}:${Number(variantId) || 0}`;
+}
+
+function normalizeAlertType(value) {
+    const type = String(value || 'back_in_stock').trim().toLowerCase().replace(/-/g, '_');
+    return ALERT_TYPES.includes(type) ? type : null;
+}
+
+/**
+ * Restock changes (0 or below → positive) from InventoryService-style results
+ * `{ productId, variantId, quantityBefore, quantityAfter }`.
+ */
+function filterRestocked(changes) {
+    return (changes || []).filter(
+        (c) => c && !c.skipped && Number(c.quantityBefore) <= 0 && Number(c.quantityAfter) > 0
+    );
+}
+
+/**
+ * Diffs two stock snapshots (see snapshotStockState) into restock and price-drop changes.
+ * @returns {{ restocked: object[], priceDrops: object[] }}
+ */
+function diffStockState(before, after) {
+    const restocked = [];
+    const priceDrops = [];
+    for (const [key, prev] of before || new Map()) {
+        const next = after && after.get(key);
+        if (!next) continue;
+        if (prev.quantity <= 0 && next.quantity > 0) {
+            restocked.push({
+                productId: next.productId,
+                variantId: next.variantId,
+                quantityBefore: prev.quantity,
+                quantityAfter: next.quantity
+            });
+        }
+        if (next.price > 0 && next.price < prev.price - 0.004) {
+            priceDrops.push({
+                productId: next.productId,
+                variantId: next.variantId,
+                priceBefore: prev.price,
+                priceAfter: next.price
+            });
+        }
+    }
+    return { restocked, priceDrops };
+}
+
+/**
+ * Current inventory + effective price for products and their variants.
+ * @param {import('mysql2/promise').Pool} pool
+ * @param {number[]} productIds
+ * @returns {Promise<Map<string, { productId: number, variantId: number|null, quantity: number, price: number }>>}
+ */
+async function snapshotStockState(pool, productIds) {
+    const ids = [...new Set((productIds || []).map((id) => parseInt(id, 10)).filter((id) => id > 0))];
+    const state = new Map();
+    if (!ids.length) return state;
+
+    const placeholders = ids.map(() => '?').join(', ');
+    const [products] = await pool.query(
+        `SELECT id, inventory_quantity, price FROM products WHERE id IN (${placeholders})`,
+        ids
+    );
+    for (const p of products) {
+        state.set(stateKey(p.id, null), {
+            productId: p.id,
+            variantId: null,
+            quantity: Number(p.inventory_quantity) || 0,
+            price: Number(p.price) || 0
+        });
+    }
+    const [variants] = await pool.query(
+        `SELECT v.id, v.product_id, v.inventory_quantity, COALESCE(v.price, p.price) AS price
+           FROM product_variants v
+           JOIN products p ON p.id = v.product_id
+          WHERE v.product_id IN (${placeholders})`,
+        ids
+    );
+    for (const v of variants) {
+        state.set(stateKey(v.product_id, v.id), {
+            productId: v.product_id,
+            variantId: v.id,
+            quantity: Number(v.inventory_quantity) || 0,
+            price: Number(v.price) || 0
+        });
+    }
+    return state;
+}
+
+async function loadAlertTarget(pool, productId, variantId) {
+    const [rows] = await pool.execute(
+        `SELECT p.id, p.name, p.slug, p.sku, p.price, p.inventory_quantity, p.track_inventory, p.is_active,
+                v.id AS variant_id, v.name AS variant_name, v.sku AS variant_sku,
+                v.inventory_quantity AS variant_inventory, COALESCE(v.price, p.price) AS variant_price
+           FROM products p
+           LEFT JOIN product_variants v ON v.id = ? AND v.product_id = p.id
+          WHERE p.id = ?
+          LIMIT 1`,
+        [variantId || null, productId]
+    );
+    const row = rows[0];
+    if (!row) return null;
+    if (variantId && !row.variant_id) return null;
+    return {
+        productId: row.id,
+        variantId: row.variant_id || null,
+        name: row.variant_name ? `${row.name} — ${row.variant_name}` : row.name,
+        slug: row.slug,
+        sku: row.variant_sku || row.sku,
+        isActive: Boolean(row.is_active),
+        trackInventory: row.track_inventory !== 0 && row.track_inventory !== false,
+        quantity: Number(row.variant_id ? row.variant_inventory : row.inventory_quantity) || 0,
+        price: Number(row.variant_id ? row.variant_price : row.price) || 0
+    };
+}
+
+/**
+ * Creates (or re-activates) a subscription. Duplicate active subscriptions are returned as-is.
+ * @returns {Promise<{ id: number, alertType: string, created: boolean }>}
+ */
+async function subscribe(pool, { productId, variantId = null, email, userId = null, alertType }) {
+    const type = normalizeAlertType(alertType);
+    if (!type) throw alertError('Unknown alert type', 400, 'INVALID_ALERT_TYPE');
+    const addr = String(email || '').trim().toLowerCase();
+    if (!EMAIL_RE.test(addr) || addr.length > 255) {
+        throw alertError('A valid email address is required', 400, 'INVALID_EMAIL');
+    }
+
+    const target = await loadAlertTarget(pool, productId, variantId);
+    if (!target || !target.isActive) throw alertError('Product not found', 404, 'PRODUCT_NOT_FOUND');
+    if (type === 'back_in_stock' && (!target.trackInventory || target.quantity > 0)) {
+        throw alertError('This item is already in stock', 409, 'IN_STOCK');
+    }
+
+    const [existing] = await pool.execute(
+        `SELECT id, status FROM stock_alert_subscriptions
+          WHERE product_id = ? AND variant_id <=> ? AND alert_type = ? AND email = ?
+          LIMIT 1`,
+        [target.productId, target.variantId, type, addr]
+    );
+    if (existing[0]) {
+        if (existing[0].status !== 'active') {
+            await pool.execute(
+                `UPDATE stock_alert_subscriptions
+                    SET status = 'active', user_id = COALESCE(?, user_id), price_at_signup = ?,
+                        notified_at = NULL, unsubscribed_at = NULL
+                  WHERE id = ?`,
+                [userId, target.price, existing[0].id]
+            );
+        }
+        return { id: existing[0].id, alertType: type, created: false };
+    }
+
+    const token = crypto.randomBytes(24).toString('hex');
+    const [result] = await pool.execute(
+        `INSERT INTO stock_alert_subscriptions
+            (product_id, variant_id, alert_type, email, user_id, price_at_signup, unsubscribe_token)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [target.productId, target.variantId, type, addr, userId, target.price, token]
+    );
+    return { id: result.insertId, alertType: type, created: true };
+}
+
+/** @returns {Promise<boolean>} true when an active subscription was cancelled */
+async function unsubscribe(pool, token) {
+    const t = String(token || '').trim();
+    if (!/^[a-f0-9]{48}$/i.test(t)) return false;
+    const [result] = await pool.execute(
+        `UPDATE stock_alert_subscriptions
+            SET status = 'unsubscribed', unsubscribed_at = NOW()
+          WHERE unsubscribe_token = ? AND status = 'active'`,
+        [t]
+    );
+    return result.affectedRows > 0;
+}
+
+function productUrl(target) {
+    const base = getStorefrontPublicBaseUrl();
+    return `${base}/product.html?slug=${encodeURIComponent(target.slug || target.productId)}`;
+}
+
+function unsubscribeUrl(target, token) {
+    return `${productUrl(target)}&stockAlertUnsubscribe=${encodeURIComponent(token)}`;
+}
+
+function buildAlertEmail(sub, target) {
+    const url = productUrl(target);
+    const isPriceDrop = sub.alert_type === 'price_drop';
+    const headline = isPriceDrop ? 'Price drop!' : 'Back in stock!';
+    const subject = isPriceDrop
+        ? `Price drop: ${target.name} is now ${formatMoney(target.price)}`
+        : `${target.name} is back in stock`;
+    const lead = isPriceDrop
+        ? `<p style="margin:0 0 16px;">Good news — <strong>${escapeHtml(target.name)}</strong> dropped from
+               <s>${formatMoney(sub.price_at_signup)}</s> to <strong>${formatMoney(target.price)}</strong>.</p>`
+        : `<p style="margin:0 0 16px;">Good news — <strong>${escapeHtml(target.name)}</strong> is back in stock.
+               Quantities can be limited, so grab yours while it lasts.</p>`;
+
+    const bodyHtml = `
+        ${lead}
+        <p style="margin:0 0 24px;text-align:center;">
+            <a href="${escapeHtml(url)}" style="display:inline-block;background:${BRAND.primary};color:#ffffff;padding:12px 24px;text-decoration:none;border-radius:6px;font-weight:600;">Shop now</a>
+        </p>
+        <p style="margin:0;font-size:12px;color:${BRAND.footerMuted};">
+            You asked us to let you know about this item. This is a one-time alert.
+            <a href="${escapeHtml(unsubscribeUrl(target, sub.unsubscribe_token))}" style="color:${BRAND.footerMuted};">Unsubscribe</a>
+        </p>
+    `;
+    const text = [
+        isPriceDrop
+            ? `${target.name} dropped from ${formatMoney(sub.price_at_signup)} to ${formatMoney(target.price)}.`
+            : `${target.name} is back in stock.`,
+        `Shop now: ${url}`,
+        `Unsubscribe: ${unsubscribeUrl(target, sub.unsubscribe_token)}`
+    ].join('\n\n');
+
+    return { subject, html: wrapHmHerbsEmail({ headline, bodyHtml, preheader: subject }), text };
+}
+
+async function deliverAlerts(pool, subs, target) {
+    let sent = 0;
+    for (const sub of subs) {
+        try {
+            const { subject, html, text } = buildAlertEmail(sub, target);
+            const result = await sendMail({ to: sub.email, subject, html, text, logTag: 'Stock alert email' });
+            if (!result.sent) break;
+            await pool.execute(
+                `UPDATE stock_alert_subscriptions SET status = 'notified', notified_at = NOW()
+                  WHERE id = ? AND status = 'active'`,
+                [sub.id]
+            );
+            sent += 1;
+        } catch (err) {
+            logger.warn(`[stock-alerts] send failed for subscription ${sub.id}: ${err.message}`);
+        }
+    }
+    return sent;
+}
+
+/** Sends back-in-stock alerts for products/variants that just went from 0 to positive. */
+async function notifyRestocked(pool, changes) {
+    let sent = 0;
+    for (const change of filterRestocked(changes)) {
+        const target = await loadAlertTarget(pool, change.productId, change.variantId);
+        if (!target || !target.isActive || target.quantity <= 0) continue;
+        const [subs] = await pool.execute(
+            `SELECT id, email, alert_type, price_at_signup, unsubscribe_token
+               FROM stock_alert_subscriptions
+              WHERE product_id = ? AND alert_type = 'back_in_stock' AND status = 'active'
+                AND (variant_id IS NULL OR variant_id <=> ?)
+              ORDER BY created_at ASC`,
+            [target.productId, target.variantId]
+        );
+        if (subs.length) sent += await deliverAlerts(pool, subs, target);
+    }
+    return sent;
+}
+
+/** Sends price-drop alerts to subscribers whose sign-up price is above the new price. */
+async function notifyPriceDrops(pool, changes) {
+    let sent = 0;
+    for (const change of changes || []) {
+        const target = await loadAlertTarget(pool, change.productId, change.variantId);
+        if (!target || !target.isActive || target.price <= 0) continue;
+        const [subs] = await pool.execute(
+            `SELECT id, email, alert_type, price_at_signup, unsubscribe_token
+               FROM stock_alert_subscriptions
+              WHERE product_id = ? AND variant_id <=> ? AND alert_type = 'price_drop'
+                AND status = 'active' AND price_at_signup > ?
+              ORDER BY created_at ASC`,
+            [target.productId, target.variantId, target.price + 0.004]
+        );
+        if (subs.length) sent += await deliverAlerts(pool, subs, target);
+    }
+    return sent;
+}
+
+function runDetached(label, fn) {
+    setImmediate(() => {
+        Promise.resolve()
+            .then(fn)
+            .catch((err) => {
+                logger.warn(`[stock-alerts] ${label} failed — ${logger.formatMysqlError(err)}`);
+            });
+    });
+}
+
+/**
+ * Fire-and-forget back-in-stock dispatch for InventoryService / receiving results.
+ * Call only after the stock change has been committed.
+ */
+function queueRestockAlerts(pool, changes) {
+    const restocked = filterRestocked(changes);
+    if (!pool || !restocked.length) return;
+    runDetached('restock alerts', () => notifyRestocked(pool, restocked));
+}
+
+/**
+ * Fire-and-forget dispatch for direct product writes: compares a snapshot taken before
+ * the write with the committed state and alerts on restocks and price drops.
+ */
+function queueStockStateAlerts(pool, before) {
+    if (!pool || !before || !before.size) return;
+    const productIds = [...new Set([...before.values()].map((s) => s.productId))];
+    runDetached('product change alerts', async () => {
+        const after = await snapshotStockState(pool, productIds);
+        const { restocked, priceDrops } = diffStockState(before, after);
+        if (restocked.length) await notifyRestocked(pool, restocked);
+        if (priceDrops.length) await notifyPriceDrops(pool, priceDrops);
+    });
+}
+
+/**
+ * Pending demand per SKU for the admin report.
+ * @returns {Promise<Array<object>>}
+ */
+async function getDemandReport(pool, { alertType = null, search = '' } = {}) {
+    const where = ["s.status = 'active'"];
+    const params = [];
+    const type = normalizeAlertType(alertType);
+    if (alertType && type) {
+        where.push('s.alert_type = ?');
+        params.push(type);
+    }
+    const q = String(search || '').trim();
+    if (q) {
+        const like = `%${q}%`;
+        where.push('(p.name LIKE ? OR p.sku LIKE ? OR v.sku LIKE ?)');
+        params.push(like, like, like);
+    }
+
+    const [rows] = await pool.query(
+        `SELECT s.product_id, s.variant_id,
+                p.name AS product_name, p.slug, p.sku AS product_sku, p.price AS product_price,
+                p.inventory_quantity AS product_inventory,
+                v.name AS variant_name, v.sku AS variant_sku, v.inventory_quantity AS variant_inventory,
+                SUM(s.alert_type = 'back_in_stock') AS back_in_stock_count,
+                SUM(s.alert_type = 'price_drop') AS price_drop_count,
+                SUM(s.user_id IS NOT NULL) AS account_count,
+                MIN(s.created_at) AS oldest_request,
+                MAX(s.created_at) AS newest_request
+           FROM stock_alert_subscriptions s
+           JOIN products p ON p.id = s.product_id
+           LEFT JOIN product_variants v ON v.id = s.variant_id
+          WHERE ${where.join(' AND ')}
+          GROUP BY s.product_id, s.variant_id, p.name, p.slug, p.sku, p.price, p.inventory_quantity,
+                   v.name, v.sku, v.inventory_quantity
+          ORDER BY (SUM(s.alert_type = 'back_in_stock') + SUM(s.alert_type = 'price_drop')) DESC,
+                   MIN(s.created_at) ASC
+          LIMIT 500`,
+        params
+    );
+
+    return rows.map((r) => ({
+        productId: r.product_id,
+        variantId: r.variant_id,
+        name: r.variant_name ? `${r.product_name} — ${r.variant_name}` : r.product_name,
+        slug: r.slug,
+        sku: r.variant_sku || r.product_sku,
+        inventory: Number(r.variant_id ? r.variant_inventory : r.product_inventory) || 0,
+        price: Number(r.product_price) || 0,
+        backInStockCount: Number(r.back_in_stock_count) || 0,
+        priceDropCount: Number(r.price_drop_count) || 0,
+        accountCount: Number(r.account_count) || 0,
+        oldestRequest: r.oldest_request,
+        newestRequest: r.newest_request
+    }));
+}
+
+/** Totals for the report header: active, notified in the last 30 days, unsubscribed. */
+async function getAlertTotals(pool) {
+    const [rows] = await pool.query(
+        `SELECT
+            SUM(status = 'active') AS active,
+            SUM(status = 'notified' AND notified_at >= NOW() - INTERVAL 30 DAY) AS notified_30d,
+            SUM(status = 'unsubscribed') AS unsubscribed
+           FROM stock_alert_subscriptions`
+    );
+    const r = rows[0] || {};
+    return {
+        active: Number(r.active) || 0,
+        notifiedLast30Days: Number(r.notified_30d) || 0,
+        unsubscribed: Number(r.unsubscribed) || 0
+    };
+}
+
+module.exports = {
+    ALERT_TYPES,
+    normalizeAlertType,
+    filterRestocked,
+    diffStockState,
+    snapshotStockState,
+    subscribe,
+    unsubscribe,
+    notifyRestocked,
+    notifyPriceDrops,
+    queueRestockAlerts,
+    queueStockStateAlerts,
+    getDemandReport,
+    getAlertTotals
+};
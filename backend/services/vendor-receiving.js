@@ -1,5 +1,14 @@
 'use strict';
 
+const { queueRestockAlerts } = require('./stockAlerts');
+const { syncBundlesForComponents } = require('./productBundles');
+const { normalizeLotNumber, parseExpirationDate, receiveLots } = require('./inventoryLots');
+
+/** Loaded on use: special orders pull in the POS tender and personnel modules. */
+function specialOrders() {
+    return require('./posSpecialOrders');
+}
+
 const RECEIVABLE_STATUSES = ['open', 'partial'];
 
 function normalizeCode(value) {
@@ -20,6 +29,33 @@ function buildSlipBarcode(poNumber) {
     return num.toUpperCase().startsWith('PO-') ? num.toUpperCase() : `PO-${num}`;
 }
 
+function dateOnly(value) {
+    if (!value) return null;
+    return value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10);
+}
+
+/**
+ * Splits a line's received units into lots: scans that carried a lot first, then whatever is
+ * left under the line's default lot. Units with no lot at all are stocked untracked.
+ */
+function planLineLots(line, lotEvents) {
+    const lots = [];
+    let assigned = 0;
+    for (const ev of lotEvents) {
+        const quantity = Math.round(toNumber(ev.qty));
+        if (quantity <= 0) continue;
+        lots.push({ lotNumber: ev.lot_number, expirationDate: dateOnly(ev.expiration_date), quantity });
+        assigned += quantity;
+    }
+    const rest = Math.round(toNumber(line.qtyReceived)) - assigned;
+    if (rest > 0 && line.lotNumber) {
+        const same = lots.find((l) => l.lotNumber === line.lotNumber && l.expirationDate === line.expirationDate);
+        if (same) same.quantity += rest;
+        else lots.push({ lotNumber: line.lotNumber, expirationDate: line.expirationDate, quantity: rest });
+    }
+    return lots;
+}
+
 function mapOrderRow(row) {
     return {
         id: row.id,
@@ -54,6 +90,8 @@ function mapLineRow(row) {
         qtyReceived: received,
         qtyRemaining: Math.max(0, ordered - received),
         unitCost: row.unit_cost != null ? toNumber(row.unit_cost) : null,
+        lotNumber: row.lot_number || null,
+        expirationDate: dateOnly(row.expiration_date),
         sortOrder: Number(row.sort_order || 0),
         complete: received >= ordered && ordered > 0
     };
@@ -123,9 +161,10 @@ class VendorReceivingService {
             `,
             [orderId]
         );
+        const linkedSpecialOrders = await specialOrders().listSpecialOrdersForPurchaseOrder(this.pool, orderId);
         return {
             ...mapOrderRow(orders[0]),
-            lines: lines.map(mapLineRow)
+            lines: lines.map((row) => ({ ...mapLineRow(row), specialOrders: linkedSpecialOrders.get(row.id) || [] }))
         };
     }
 
@@ -253,7 +292,7 @@ class VendorReceivingService {
                 sort += 1;
                 const qtyOrdered = Math.max(0, toNumber(line.qtyOrdered, 0));
                 const resolved = await this.resolveLineProduct(connection, vendorId, line);
-                await connection.query(
+                const [lineResult] = await connection.query(
                     `
                     INSERT INTO vendor_purchase_order_lines
                         (purchase_order_id, product_id, variant_id, vendor_sku, product_sku, description, qty_ordered, unit_cost, sort_order)
@@ -271,6 +310,13 @@ class VendorReceivingService {
                         sort
                     ]
                 );
+                const specialOrderIds = [].concat(line.specialOrderIds || line.specialOrderId || []).map(Number).filter(Boolean);
+                for (const specialOrderId of specialOrderIds) {
+                    await specialOrders().linkToPurchaseOrderLine(connection, specialOrderId, {
+                        purchaseOrderId: orderId,
+                        lineId: lineResult.insertId
+                    });
+                }
             }
             await connection.commit();
             return this.getOrderById(orderId);
@@ -339,6 +385,12 @@ class VendorReceivingService {
         };
     }
 
+    /** Puts a POS special order on an existing PO line (draft or open orders only). */
+    async linkSpecialOrder(orderId, lineId, specialOrderId) {
+        await specialOrders().linkToPurchaseOrderLine(this.pool, specialOrderId, { purchaseOrderId: orderId, lineId });
+        return this.getOrderById(orderId);
+    }
+
     async openOrder(orderId) {
         const [result] = await this.pool.query(
             `UPDATE vendor_purchase_orders SET status = 'open' WHERE id = ? AND status IN ('draft', 'partial', 'submitted')`,
@@ -350,9 +402,17 @@ class VendorReceivingService {
         return this.getOrderById(orderId);
     }
 
-    async scanReceive(orderId, { code, qty = 1, employeeId = null, deviceId = null, allowOverReceive = false } = {}) {
+    async scanReceive(
+        orderId,
+        { code, qty = 1, employeeId = null, deviceId = null, allowOverReceive = false, lotNumber = null, expirationDate = null } = {}
+    ) {
         const scanCode = normalizeCode(code);
         if (!scanCode) throw Object.assign(new Error('Scan code is required'), { code: 'VALIDATION' });
+        const lot = normalizeLotNumber(lotNumber);
+        const expires = parseExpirationDate(expirationDate);
+        if (expires && !lot) {
+            throw Object.assign(new Error('Enter the lot number along with the expiration date'), { code: 'VALIDATION' });
+        }
 
         const delta = Math.max(0.001, toNumber(qty, 1));
         const connection = await this.pool.getConnection();
@@ -397,10 +457,10 @@ class VendorReceivingService {
             await connection.query(
                 `
                 INSERT INTO vendor_receiving_events
-                    (purchase_order_id, line_id, employee_id, device_id, scan_code, qty_delta)
-                VALUES (?, ?, ?, ?, ?, ?)
+                    (purchase_order_id, line_id, employee_id, device_id, scan_code, qty_delta, lot_number, expiration_date)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
                 `,
-                [orderId, line.id, employeeId, deviceId || null, scanCode, delta]
+                [orderId, line.id, employeeId, deviceId || null, scanCode, delta, lot, expires]
             );
 
             const updatedLines = lines.map((l) =>
@@ -419,7 +479,9 @@ class VendorReceivingService {
                 order: updatedOrder,
                 line: updatedOrder.lines.find((l) => l.id === line.id),
                 scanCode,
-                qtyAdded: delta
+                qtyAdded: delta,
+                lotNumber: lot,
+                expirationDate: expires
             };
         } catch (err) {
             await connection.rollback();
@@ -429,6 +491,31 @@ class VendorReceivingService {
         }
     }
 
+    /**
+     * Sets the lot received units fall under when their scans did not carry one.
+     */
+    async setLineLot(orderId, lineId, { lotNumber, expirationDate } = {}) {
+        const lot = normalizeLotNumber(lotNumber);
+        const expires = parseExpirationDate(expirationDate);
+        if (expires && !lot) {
+            throw Object.assign(new Error('Enter the lot number along with the expiration date'), { code: 'VALIDATION' });
+        }
+        const [result] = await this.pool.query(
+            `
+            UPDATE vendor_purchase_order_lines l
+            JOIN vendor_purchase_orders o ON o.id = l.purchase_order_id
+            SET l.lot_number = ?, l.expiration_date = ?
+            WHERE l.id = ? AND l.purchase_order_id = ? AND o.status IN (?)
+            `,
+            [lot, expires, lineId, orderId, RECEIVABLE_STATUSES]
+        );
+        if (!result.affectedRows) {
+            throw Object.assign(new Error('Line not found on an open purchase order'), { code: 'LINE_NOT_FOUND' });
+        }
+        const order = await this.getOrderById(orderId);
+        return { order, line: order.lines.find((l) => l.id === Number(lineId)) };
+    }
+
     async completeReceiving(orderId, { allowOverReceive = false, employeeId = null, deviceId = null } = {}) {
         const order = await this.getOrderById(orderId);
         if (!order) throw Object.assign(new Error('Purchase order not found'), { code: 'NOT_FOUND' });
@@ -447,16 +534,38 @@ class VendorReceivingService {
         const connection = await this.pool.getConnection();
         try {
             await connection.beginTransaction();
+            const stockChanges = [];
+            const [lotEvents] = await connection.query(
+                `
+                SELECT line_id, lot_number, expiration_date, SUM(qty_delta) AS qty
+                FROM vendor_receiving_events
+                WHERE purchase_order_id = ? AND lot_number IS NOT NULL
+                GROUP BY line_id, lot_number, expiration_date
+                ORDER BY MIN(id)
+                `,
+                [orderId]
+            );
             for (const line of order.lines) {
                 const delta = toNumber(line.qtyReceived);
                 if (delta <= 0 || !line.productId) continue;
-                await this.adjustInventory(connection, line, delta);
+                const change = await this.adjustInventory(connection, line, delta);
+                if (change) stockChanges.push(change);
+                await receiveLots(connection, {
+                    purchaseOrderId: orderId,
+                    lineId: line.id,
+                    productId: line.productId,
+                    variantId: line.variantId || null,
+                    unitCost: line.unitCost,
+                    lots: planLineLots(line, lotEvents.filter((ev) => Number(ev.line_id) === Number(line.id)))
+                });
             }
+            stockChanges.push(...(await syncBundlesForComponents(connection, order.lines.map((l) => l.productId))));
             await connection.query(
                 `UPDATE vendor_purchase_orders SET status = 'received', received_at = NOW() WHERE id = ?`,
                 [orderId]
             );
             await connection.commit();
+            queueRestockAlerts(this.pool, stockChanges);
             return this.getOrderById(orderId);
         } catch (err) {
             await connection.rollback();
@@ -467,7 +576,12 @@ class VendorReceivingService {
     }
 
     async adjustInventory(connection, line, qtyReceived) {
-        if (!line.productId || qtyReceived <= 0) return;
+        if (!line.productId || qtyReceived <= 0) return null;
+
+        const [[current]] = line.variantId
+            ? await connection.query('SELECT inventory_quantity FROM product_variants WHERE id = ? FOR UPDATE', [line.variantId])
+            : await connection.query('SELECT inventory_quantity FROM products WHERE id = ? FOR UPDATE', [line.productId]);
+        const quantityBefore = toNumber(current?.inventory_quantity);
 
         if (line.variantId) {
             await connection.query(
@@ -488,6 +602,13 @@ class VendorReceivingService {
                 [qtyReceived, line.productId]
             );
         }
+
+        return {
+            productId: line.productId,
+            variantId: line.variantId || null,
+            quantityBefore,
+            quantityAfter: quantityBefore + qtyReceived
+        };
     }
 
     async listVendors() {
@@ -578,4 +699,4 @@ class VendorReceivingService {
     }
 }
 
-module.exports = { VendorReceivingService, buildSlipBarcode };
+module.exports = { VendorReceivingService, buildSlipBarcode, planLineLots };
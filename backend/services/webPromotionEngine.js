@@ -1,5 +1,6 @@
 'use strict';
 
+const crypto = require('crypto');
 const employeeDiscount = require('./employeeDiscount');
 const groupDiscount = require('./customerGroupDiscount');
 const { loadStoreTaxRate } = require('../utils/storeTaxRate');
@@ -588,8 +589,14 @@ async function promotionUsageExceeded(pool, promotion, email) {
     return null;
 }
 
+/** Store-wide percent-off rules for subscribe-and-save (autoship) orders. */
+function subscriptionDiscountRules(percent) {
+    return parseRules({ scope: 'all', effects: [{ type: 'percent_off', percent: Number(percent) }] });
+}
+
 /**
  * Validates code + carts; returns totals and metadata. Throws with .code / .status for HTTP mapping.
+ * `subscriptionDiscountPercent` (autoship runs) applies when no promotion code or group promotion does.
  */
 async function previewOrApplyTotals(pool, {
     cartItems,
@@ -600,6 +607,7 @@ async function previewOrApplyTotals(pool, {
     userId,
     shippingMethod,
     shippingAmount,
+    subscriptionDiscountPercent,
 }) {
     const normalized = normalizeIncomingCartItems(cartItems);
     if (normalized.length === 0) {
@@ -668,6 +676,12 @@ async function previewOrApplyTotals(pool, {
         }
     }
 
+    const subscriptionPercent = Number(subscriptionDiscountPercent) || 0;
+    const subscriptionDiscountApplied = !promotion && subscriptionPercent > 0 && subscriptionPercent <= 100;
+    if (subscriptionDiscountApplied) {
+        rulesParsed = subscriptionDiscountRules(subscriptionPercent);
+    }
+
     let totalsBase = evaluateTotals(rulesParsed, enriched, shippingOpts);
 
     let groupStandingApplied = null;
@@ -722,6 +736,7 @@ async function previewOrApplyTotals(pool, {
         groupDiscountApplied: Boolean(groupStandingApplied),
         groupDiscountAmount: Number(groupStandingApplied?.amount) || 0,
         groupDiscountLabel: groupStandingApplied?.label || null,
+        subscriptionDiscountApplied,
         groupAutoPromotionApplied: Boolean(groupAutoPromotion),
         groupAutoPromotionCode: groupAutoPromotion?.promotion?.code || null,
         customerGroups: groupBenefits?.groups || [],
@@ -766,6 +781,39 @@ async function insertRedemptionRow(connection, { promotionId, orderId, email, us
     );
 }
 
+/**
+ * Creates a single-use, web-only percent-off code (e.g. abandoned-cart reminders).
+ * Retries on the rare code collision; returns { id, code, endsAt }.
+ */
+async function createOneTimePromotion(pool, { prefix = 'PROMO', percentOff, validDays = 7, description = '' }) {
+    const pct = Number(percentOff);
+    if (!Number.isFinite(pct) || pct <= 0 || pct > 100) {
+        throw Object.assign(new Error('percentOff must be between 0 and 100'), { status: 400, code: 'INVALID_PROMO' });
+    }
+    const days = Math.max(1, Math.floor(Number(validDays) || 7));
+    const rules = parseRules({ scope: 'all', effects: [{ type: 'percent_off', percent: pct }] });
+    const endsAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+        const code = `${String(prefix).toUpperCase()}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+        try {
+            const [ins] = await pool.execute(
+                `INSERT INTO web_promotions (
+                    code, description, is_active, starts_at, ends_at,
+                    usage_limit_total, usage_limit_per_email, rules,
+                    applies_web, applies_pos
+                ) VALUES (?, ?, 1, NULL, ?, 1, 1, ?, 1, 0)`,
+                [code, String(description).slice(0, 500), endsAt, JSON.stringify(rules)]
+            );
+            return { id: ins.insertId, code, endsAt };
+        } catch (err) {
+            if (err && err.code === 'ER_DUP_ENTRY') continue;
+            throw err;
+        }
+    }
+    throw new Error('Could not allocate a unique promotion code');
+}
+
 module.exports = {
     roundMoney,
     FREE_SHIPPING_THRESHOLD,
@@ -776,12 +824,14 @@ module.exports = {
     loadActivePromotionByCode,
     promotionUsageExceeded,
     parseRules,
+    subscriptionDiscountRules,
     normalizeTriggerReward,
     promotionHasApplicableMerchOrShipping,
     evaluateTotals,
     previewOrApplyTotals,
     calculateTotal,
     insertRedemptionRow,
+    createOneTimePromotion,
     promotionAppliesWeb,
     promotionAppliesPos
 };
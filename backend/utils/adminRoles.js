@@ -140,16 +140,32 @@ const SECTION_ACCESS = Object.freeze({
 
         'orders',
 
+        'returns',
+
         'customers',
 
         'customer-groups',
 
         'edsa',
 
+        'edsa-services',
+
         'low-stock',
 
+        'stock-alerts',
+
+        'inventory-lots',
+
+        'inventory-counts',
+
+        'shelf-labels',
+
+        'reviews',
+
         'marketing',
 
+        'abandoned-carts',
+
     ],
 
     manager: [
@@ -160,18 +176,34 @@ const SECTION_ACCESS = Object.freeze({
 
         'low-stock',
 
+        'stock-alerts',
+
+        'inventory-lots',
+
+        'inventory-counts',
+
+        'shelf-labels',
+
         'import',
 
         'categories',
 
         'brands',
 
+        'reviews',
+
+        'search-synonyms',
+
         'vendors',
 
         'orders',
 
+        'returns',
+
         'tax-ledger',
 
+        'commissions',
+
         'customers',
 
         'customer-groups',
@@ -180,8 +212,12 @@ const SECTION_ACCESS = Object.freeze({
 
         'edsa',
 
+        'edsa-services',
+
         'marketing',
 
+        'abandoned-carts',
+
         'pos',
 
         'settings',
@@ -0,0 +1,139 @@
+'use strict';
+
+/**
+ * Barcode encoding for printed labels: UPC-A for 12-digit retail codes, Code 128 for everything else.
+ * Encoders return a module string ('1' = bar, '0' = space) that barcodeSvg draws; ZPL printers get the
+ * raw data and render the symbol themselves.
+ */
+
+const CODE128_PATTERNS = [
+    '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+    '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+    '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+    '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+    '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+    '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+    '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+    '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+    '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+    '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+    '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+const CODE128_START_B = 104;
+const CODE128_START_C = 105;
+const CODE128_CODE_B = 100;
+const CODE128_STOP = 106;
+
+const UPC_LEFT = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const UPC_RIGHT = UPC_LEFT.map((bits) => bits.replace(/[01]/g, (b) => (b === '0' ? '1' : '0')));
+
+function barcodeError(message) {
+    return Object.assign(new Error(message), { status: 400, code: 'INVALID_BARCODE' });
+}
+
+function widthsToModules(widths) {
+    let out = '';
+    for (let i = 0; i < widths.length; i += 1) {
+        out += (i % 2 === 0 ? '1' : '0').repeat(Number(widths[i]));
+    }
+    return out;
+}
+
+/** Check digit for the first 11 digits of a UPC-A code. */
+function upcCheckDigit(digits11) {
+    let sum = 0;
+    for (let i = 0; i < 11; i += 1) sum += Number(digits11[i]) * (i % 2 === 0 ? 3 : 1);
+    return (10 - (sum % 10)) % 10;
+}
+
+/** 12-digit UPC-A with a valid check digit (11 digits get one appended), else null. */
+function normalizeUpcA(value) {
+    const digits = String(value || '').trim();
+    if (/^\d{11}$/.test(digits)) return `${digits}${upcCheckDigit(digits)}`;
+    if (/^\d{12}$/.test(digits) && upcCheckDigit(digits) === Number(digits[11])) return digits;
+    return null;
+}
+
+function encodeUpcA(value) {
+    const digits = normalizeUpcA(value);
+    if (!digits) throw barcodeError('UPC-A needs 11 or 12 digits with a valid check digit');
+    let out = '101';
+    for (let i = 0; i < 6; i += 1) out += UPC_LEFT[Number(digits[i])];
+    out += '01010';
+    for (let i = 6; i < 12; i += 1) out += UPC_RIGHT[Number(digits[i])];
+    return `${out}101`;
+}
+
+/** Code 128 symbol values: code set C for runs of digits (4+ even), code set B otherwise. */
+function code128Values(text) {
+    const data = String(text || '');
+    if (!data) throw barcodeError('Nothing to encode');
+    if (!/^[\x20-\x7e]+$/.test(data)) throw barcodeError('Code 128 labels take printable ASCII only');
+
+    const values = [];
+    let i = 0;
+    if (/^\d+$/.test(data) && data.length >= 4) {
+        values.push(CODE128_START_C);
+        for (; i + 1 < data.length; i += 2) values.push(Number(data.slice(i, i + 2)));
+        if (i < data.length) values.push(CODE128_CODE_B);
+    } else {
+        values.push(CODE128_START_B);
+    }
+    for (; i < data.length; i += 1) values.push(data.charCodeAt(i) - 32);
+
+    const checksum = values.reduce((sum, v, idx) => sum + v * (idx || 1), 0) % 103;
+    return [...values, checksum, CODE128_STOP];
+}
+
+function encodeCode128(text) {
+    return code128Values(text)
+        .map((v) => widthsToModules(CODE128_PATTERNS[v]))
+        .join('');
+}
+
+/**
+ * Symbology for a product code: valid UPC-A stays UPC-A, anything else is Code 128.
+ * @returns {{ type: 'upca'|'code128', data: string }}
+ */
+function pickSymbology(code, preferred = 'auto') {
+    const value = String(code || '').trim();
+    const upc = normalizeUpcA(value);
+    if (preferred === 'upca' && !upc) throw barcodeError(`${value || 'This code'} is not a valid UPC-A`);
+    if (upc && preferred !== 'code128') return { type: 'upca', data: upc };
+    return { type: 'code128', data: value };
+}
+
+function encodeBarcode({ type, data }) {
+    return type === 'upca' ? encodeUpcA(data) : encodeCode128(data);
+}
+
+/**
+ * Inline SVG of a module string; quiet zones of 10 modules (9 for UPC-A) are added on both sides.
+ * @param {string} modules
+ * @param {{ height?: number, quietZone?: number }} [opts] height in modules
+ */
+function barcodeSvg(modules, { height = 40, quietZone = 10 } = {}) {
+    const width = modules.length + quietZone * 2;
+    const rects = [];
+    let run = 0;
+    for (let i = 0; i <= modules.length; i += 1) {
+        if (modules[i] === '1') {
+            run += 1;
+        } else if (run) {
+            rects.push(`<rect x="${quietZone + i - run}" y="0" width="${run}" height="${height}"/>`);
+            run = 0;
+        }
+    }
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" shape-rendering="crispEdges"><g fill="#000">${rects.join('')}</g></svg>`;
+}
+
+module.exports = {
+    upcCheckDigit,
+    normalizeUpcA,
+    encodeUpcA,
+    code128Values,
+    encodeCode128,
+    pickSymbology,
+    encodeBarcode,
+    barcodeSvg
+};
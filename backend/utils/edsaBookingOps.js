@@ -2,6 +2,7 @@
 
 const logger = require('./logger');
 const googleCalendar = require('../services/google-calendar');
+const { bookingCalendarDetails } = require('../services/edsaServiceCatalog');
 const { normalizeDateYmd } = require('./storeTimezone');
 const { withTimeout } = require('./withTimeout');
 
@@ -34,7 +35,8 @@ async function loadBookingRowById(pool, bookingId) {
     const [rows] = await pool.execute(
         `SELECT id, first_name, last_name, email, phone,
                 preferred_date, preferred_time, status, notes, admin_notes,
-                google_calendar_event_id, confirmed_date, confirmed_time, payment_status
+                google_calendar_event_id, google_calendar_id, confirmed_date, confirmed_time, payment_status,
+                service_id, service_name, duration_minutes, buffer_minutes, practitioner_id, customer_package_id
            FROM edsa_bookings WHERE id = ? LIMIT 1`,
         [id]
     );
@@ -69,12 +71,12 @@ async function isSlotAvailable(pool, dateStr, timeHm, excludeBookingId = null) {
     return true;
 }
 
-async function deleteBookingCalendarEvent(pool, eventId) {
+async function deleteBookingCalendarEvent(pool, eventId, calendarId = null) {
     if (!eventId) return false;
     try {
         await googleCalendar.ensureInitialized(pool);
         if (googleCalendar.isAvailable()) {
-            return Boolean(await googleCalendar.deleteEvent(eventId, pool));
+            return Boolean(await googleCalendar.deleteEvent(eventId, pool, calendarId));
         }
     } catch (err) {
         logger.warn('Could not delete calendar event:', err.message);
@@ -112,7 +114,8 @@ async function syncBookingCalendarEvent(pool, row) {
         preferredDate: normalizeDateYmd(row.preferred_date) || row.preferred_date,
         preferredTime: String(row.preferred_time || '').slice(0, 5),
         notes: row.notes,
-        bookingId
+        bookingId,
+        ...(await bookingCalendarDetails(pool, row))
     };
 
     await googleCalendar.ensureInitialized(pool);
@@ -126,8 +129,8 @@ async function syncBookingCalendarEvent(pool, row) {
         const created = await googleCalendar.createEvent(payload, pool);
         if (created?.eventId) {
             await pool.execute(
-                'UPDATE edsa_bookings SET google_calendar_event_id = ? WHERE id = ?',
-                [created.eventId, bookingId]
+                'UPDATE edsa_bookings SET google_calendar_event_id = ?, google_calendar_id = ? WHERE id = ?',
+                [created.eventId, payload.calendarId || null, bookingId]
             );
         }
     } catch (err) {
@@ -0,0 +1,74 @@
+'use strict';
+
+const logger = require('./logger');
+
+async function tableExists(pool, tableName) {
+    const [rows] = await pool.query(
+        `SELECT COUNT(*) AS c FROM INFORMATION_SCHEMA.TABLES
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`,
+        [tableName]
+    );
+    return Number(rows[0].c) > 0;
+}
+
+async function columnExists(pool, tableName, columnName) {
+    const [rows] = await pool.query(
+        `SELECT COUNT(*) AS c FROM INFORMATION_SCHEMA.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [tableName, columnName]
+    );
+    return Number(rows[0].c) > 0;
+}
+
+async function addColumnIfMissing(pool, tableName, columnName, definition) {
+    if (await columnExists(pool, tableName, columnName)) return;
+    await pool.execute(`ALTER TABLE ${tableName} ADD COLUMN ${columnName} ${definition}`);
+}
+
+/**
+ * Ensures shopping_carts recovery columns and abandoned_cart_recoveries exist
+ * (see database/migrations/20261019_abandoned_cart_recovery.sql).
+ * @param {import('mysql2/promise').Pool} pool
+ */
+async function ensureAbandonedCartSchema(pool) {
+    if (!(await tableExists(pool, 'shopping_carts'))) return;
+
+    try {
+        await addColumnIfMissing(pool, 'shopping_carts', 'contact_email', 'VARCHAR(255) NULL');
+        await addColumnIfMissing(pool, 'shopping_carts', 'contact_email_confirmed_at', 'TIMESTAMP NULL');
+
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS abandoned_cart_recoveries (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                cart_id INT NOT NULL,
+                email VARCHAR(255) NOT NULL,
+                user_id INT NULL,
+                cart_activity_at TIMESTAMP NULL,
+                cart_subtotal DECIMAL(10,2) NOT NULL DEFAULT 0,
+                reminders_sent INT NOT NULL DEFAULT 0,
+                last_reminder_at TIMESTAMP NULL,
+                promotion_id INT NULL,
+                promo_code VARCHAR(50) NULL,
+                status ENUM('active','recovered','closed') NOT NULL DEFAULT 'active',
+                restored_at TIMESTAMP NULL,
+                recovered_order_id INT NULL,
+                recovered_revenue DECIMAL(10,2) NULL,
+                recovered_at TIMESTAMP NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP NULL DEFAULT NULL ON UPDATE CURRENT_TIMESTAMP,
+                UNIQUE KEY uq_abandoned_cart (cart_id),
+                INDEX idx_abandoned_cart_email (email, status),
+                INDEX idx_abandoned_cart_status (status, last_reminder_at),
+                INDEX idx_abandoned_cart_recovered (recovered_at),
+                FOREIGN KEY (cart_id) REFERENCES shopping_carts(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+                FOREIGN KEY (promotion_id) REFERENCES web_promotions(id) ON DELETE SET NULL,
+                FOREIGN KEY (recovered_order_id) REFERENCES orders(id) ON DELETE SET NULL
+            )
+        `);
+    } catch (err) {
+        logger.warn(`[abandoned-carts] schema ensure skipped — ${logger.formatMysqlError(err)}`);
+    }
+}
+
+module.exports = { ensureAbandonedCartSchema };
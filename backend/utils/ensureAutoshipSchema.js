@@ -0,0 +1,80 @@
+'use strict';
+
+const logger = require('./logger');
+
+async function tableExists(pool, tableName) {
+    const [rows] = await pool.query(
+        `SELECT COUNT(*) AS c FROM INFORMATION_SCHEMA.TABLES
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`,
+        [tableName]
+    );
+    return Number(rows[0].c) > 0;
+}
+
+/**
+ * Ensures autoship_subscriptions and autoship_runs exist
+ * (see database/migrations/20261019_autoship_subscriptions.sql).
+ * @param {import('mysql2/promise').Pool} pool
+ */
+async function ensureAutoshipSchema(pool) {
+    if (!(await tableExists(pool, 'orders')) || !(await tableExists(pool, 'payment_cards'))) return;
+
+    try {
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS autoship_subscriptions (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                user_id INT NOT NULL,
+                product_id INT NOT NULL,
+                variant_id INT NULL,
+                quantity INT NOT NULL DEFAULT 1,
+                interval_days INT NOT NULL,
+                status ENUM('active','paused','cancelled') NOT NULL DEFAULT 'active',
+                payment_card_id INT NULL,
+                shipping_address JSON NULL,
+                next_order_date DATE NOT NULL,
+                reminder_sent_for DATE NULL,
+                source_order_id INT NULL,
+                source_order_item_id INT NULL,
+                last_order_id INT NULL,
+                last_order_at TIMESTAMP NULL,
+                failed_attempts INT NOT NULL DEFAULT 0,
+                last_error VARCHAR(255) NULL,
+                paused_at TIMESTAMP NULL,
+                cancelled_at TIMESTAMP NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP NULL DEFAULT NULL ON UPDATE CURRENT_TIMESTAMP,
+                UNIQUE KEY uq_autoship_source_item (source_order_item_id),
+                INDEX idx_autoship_user (user_id, status),
+                INDEX idx_autoship_due (status, next_order_date),
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+                FOREIGN KEY (payment_card_id) REFERENCES payment_cards(id) ON DELETE SET NULL,
+                FOREIGN KEY (source_order_id) REFERENCES orders(id) ON DELETE SET NULL,
+                FOREIGN KEY (last_order_id) REFERENCES orders(id) ON DELETE SET NULL
+            )
+        `);
+
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS autoship_runs (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                user_id INT NOT NULL,
+                subscription_ids VARCHAR(255) NOT NULL,
+                order_id INT NULL,
+                amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+                discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+                status ENUM('charged','failed') NOT NULL,
+                transaction_id VARCHAR(100) NULL,
+                error_message VARCHAR(255) NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_autoship_runs_user (user_id, created_at),
+                INDEX idx_autoship_runs_status (status, created_at),
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL
+            )
+        `);
+    } catch (err) {
+        logger.warn(`[autoship] schema ensure skipped — ${logger.formatMysqlError(err)}`);
+    }
+}
+
+module.exports = { ensureAutoshipSchema };
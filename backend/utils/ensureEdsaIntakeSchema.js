@@ -0,0 +1,79 @@
+'use strict';
+
+const logger = require('./logger');
+
+async function tableExists(pool, tableName) {
+    const [rows] = await pool.query(
+        `SELECT COUNT(*) AS c FROM INFORMATION_SCHEMA.TABLES
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`,
+        [tableName]
+    );
+    return Number(rows[0].c) > 0;
+}
+
+/**
+ * Ensures EDSA intake forms, their answers and practitioner session notes
+ * (see database/migrations/20261019_edsa_intake_session_notes.sql).
+ * @param {import('mysql2/promise').Pool} pool
+ */
+async function ensureEdsaIntakeSchema(pool) {
+    try {
+        if (!(await tableExists(pool, 'edsa_bookings'))) return;
+
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS edsa_intake_forms (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                title VARCHAR(120) NOT NULL,
+                intro TEXT NULL,
+                service_id INT NULL COMMENT 'NULL = every appointment type',
+                questions_json JSON NOT NULL,
+                is_active BOOLEAN NOT NULL DEFAULT TRUE,
+                sort_order INT NOT NULL DEFAULT 0,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                INDEX idx_edsa_intake_forms_service (service_id, is_active)
+            )
+        `);
+
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS edsa_intake_responses (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                booking_id INT NOT NULL,
+                form_id INT NOT NULL,
+                user_id INT NULL,
+                form_title VARCHAR(120) NOT NULL,
+                questions_json JSON NOT NULL COMMENT 'the questions as they were when answered',
+                answers_json JSON NOT NULL,
+                submitted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                UNIQUE KEY uq_edsa_intake_booking_form (booking_id, form_id),
+                INDEX idx_edsa_intake_user (user_id),
+                FOREIGN KEY (booking_id) REFERENCES edsa_bookings(id) ON DELETE CASCADE
+            )
+        `);
+
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS edsa_session_notes (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                booking_id INT NOT NULL,
+                user_id INT NULL,
+                practitioner_id INT NULL,
+                notes TEXT NULL,
+                recommendations_json JSON NULL COMMENT '[{productId, quantity, instructions}]',
+                pos_parked_sale_id INT NULL,
+                cart_link_sent_at DATETIME NULL,
+                created_by_admin_id INT NULL,
+                updated_by_admin_id INT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                UNIQUE KEY uq_edsa_session_notes_booking (booking_id),
+                INDEX idx_edsa_session_notes_user (user_id),
+                FOREIGN KEY (booking_id) REFERENCES edsa_bookings(id) ON DELETE CASCADE
+            )
+        `);
+    } catch (err) {
+        logger.warn(`[edsa-intake] schema ensure skipped — ${logger.formatMysqlError(err)}`);
+    }
+}
+
+module.exports = { ensureEdsaIntakeSchema };
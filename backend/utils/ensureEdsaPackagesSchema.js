@@ -0,0 +1,89 @@
+'use strict';
+
+const logger = require('./logger');
+
+async function tableExists(pool, tableName) {
+    const [rows] = await pool.query(
+        `SELECT COUNT(*) AS c FROM INFORMATION_SCHEMA.TABLES
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`,
+        [tableName]
+    );
+    return Number(rows[0].c) > 0;
+}
+
+async function columnExists(pool, tableName, columnName) {
+    const [rows] = await pool.query(
+        `SELECT COUNT(*) AS c FROM INFORMATION_SCHEMA.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [tableName, columnName]
+    );
+    return Number(rows[0].c) > 0;
+}
+
+/**
+ * Ensures prepaid EDSA packages, customer session balances and edsa_bookings.customer_package_id
+ * (see database/migrations/20261019_edsa_packages.sql).
+ * @param {import('mysql2/promise').Pool} pool
+ */
+async function ensureEdsaPackagesSchema(pool) {
+    try {
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS edsa_packages (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                name VARCHAR(120) NOT NULL,
+                description TEXT NULL,
+                service_id INT NULL COMMENT 'NULL = any appointment type',
+                session_count INT NOT NULL DEFAULT 1,
+                product_id INT NULL COMMENT 'the product sold online and at the POS',
+                validity_days INT NULL COMMENT 'days from purchase to use the sessions; NULL = never expires',
+                is_active TINYINT(1) NOT NULL DEFAULT 1,
+                sort_order INT NOT NULL DEFAULT 0,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                UNIQUE KEY uq_edsa_packages_product (product_id)
+            )
+        `);
+
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS edsa_customer_packages (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                package_id INT NULL,
+                user_id INT NULL,
+                email VARCHAR(255) NULL,
+                order_id INT NULL,
+                order_item_id INT NULL,
+                package_name VARCHAR(120) NOT NULL,
+                service_id INT NULL,
+                sessions_total INT NOT NULL,
+                sessions_used INT NOT NULL DEFAULT 0,
+                sessions_refunded INT NOT NULL DEFAULT 0,
+                amount_paid DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+                expires_on DATE NULL,
+                status ENUM('active','refunded','cancelled') NOT NULL DEFAULT 'active',
+                refund_amount DECIMAL(10,2) NULL,
+                refund_method VARCHAR(20) NULL,
+                refunded_at DATETIME NULL,
+                refunded_by_admin_id INT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                INDEX idx_edsa_customer_packages_user (user_id, status),
+                INDEX idx_edsa_customer_packages_email (email),
+                INDEX idx_edsa_customer_packages_order (order_id)
+            )
+        `);
+
+        if (!(await tableExists(pool, 'edsa_bookings'))) return;
+        if (!(await columnExists(pool, 'edsa_bookings', 'customer_package_id'))) {
+            await pool.query(
+                `ALTER TABLE edsa_bookings
+                    ADD COLUMN customer_package_id INT NULL,
+                    ADD INDEX idx_edsa_bookings_customer_package (customer_package_id)`
+            );
+            logger.info('Database: added edsa_bookings.customer_package_id');
+        }
+    } catch (err) {
+        logger.warn(`[edsa-packages] schema ensure skipped — ${logger.formatMysqlError(err)}`);
+    }
+}
+
+module.exports = { ensureEdsaPackagesSchema };
@@ -0,0 +1,89 @@
+'use strict';
+
+const logger = require('./logger');
+
+async function tableExists(pool, tableName) {
+    const [rows] = await pool.query(
+        `SELECT COUNT(*) AS c FROM INFORMATION_SCHEMA.TABLES
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`,
+        [tableName]
+    );
+    return Number(rows[0].c) > 0;
+}
+
+async function columnExists(pool, tableName, columnName) {
+    const [rows] = await pool.query(
+        `SELECT COUNT(*) AS c FROM INFORMATION_SCHEMA.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [tableName, columnName]
+    );
+    return Number(rows[0].c) > 0;
+}
+
+async function columnType(pool, tableName, columnName) {
+    const [rows] = await pool.query(
+        `SELECT COLUMN_TYPE AS t FROM INFORMATION_SCHEMA.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [tableName, columnName]
+    );
+    return rows.length ? String(rows[0].t || '') : null;
+}
+
+const BOOKING_COLUMNS = [
+    ['customer_confirmed_at', 'TIMESTAMP NULL'],
+    ['cancelled_at', 'TIMESTAMP NULL'],
+    ['attendance', "ENUM('attended', 'no_show') NULL"],
+    ['attendance_marked_at', 'TIMESTAMP NULL'],
+    ['attendance_marked_by', 'INT NULL'],
+    ['fee_vault_customer_id', 'VARCHAR(64) NULL'],
+    ['fee_vault_billing_id', 'VARCHAR(64) NULL'],
+    ['fee_card_last4', 'VARCHAR(4) NULL'],
+    ['policy_fee_type', "ENUM('late_cancel', 'no_show') NULL"],
+    ['policy_fee_amount', 'DECIMAL(10,2) NULL'],
+    ['policy_fee_status', "ENUM('charging', 'charged', 'failed', 'waived') NULL"],
+    ['policy_fee_reference', 'VARCHAR(128) NULL'],
+    ['policy_fee_error', 'VARCHAR(255) NULL'],
+    ['policy_fee_at', 'TIMESTAMP NULL']
+];
+
+/**
+ * Ensures the EDSA reminder log and the confirmation / attendance / policy-fee columns on
+ * edsa_bookings (see database/migrations/20261019_edsa_reminders_no_show.sql).
+ * @param {import('mysql2/promise').Pool} pool
+ */
+async function ensureEdsaReminderSchema(pool) {
+    try {
+        if (!(await tableExists(pool, 'edsa_bookings'))) return;
+        for (const [column, definition] of BOOKING_COLUMNS) {
+            if (await columnExists(pool, 'edsa_bookings', column)) continue;
+            await pool.query(`ALTER TABLE edsa_bookings ADD COLUMN ${column} ${definition}`);
+            logger.info(`Database: added edsa_bookings.${column}`);
+        }
+        const feeStatusType = await columnType(pool, 'edsa_bookings', 'policy_fee_status');
+        if (feeStatusType && !feeStatusType.includes("'charging'")) {
+            await pool.query(
+                "ALTER TABLE edsa_bookings MODIFY COLUMN policy_fee_status ENUM('charging', 'charged', 'failed', 'waived') NULL"
+            );
+            logger.info('Database: edsa_bookings.policy_fee_status now allows charging');
+        }
+
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS edsa_booking_reminders (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                booking_id INT NOT NULL,
+                appointment_at DATETIME NOT NULL COMMENT 'store-local start the reminder was for; a reschedule starts a new sequence',
+                offset_hours INT NOT NULL,
+                channel ENUM('email', 'sms') NOT NULL,
+                status ENUM('sent', 'failed', 'skipped') NOT NULL,
+                error_message VARCHAR(255) NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE KEY uq_edsa_booking_reminder (booking_id, appointment_at, offset_hours, channel),
+                FOREIGN KEY (booking_id) REFERENCES edsa_bookings(id) ON DELETE CASCADE
+            )
+        `);
+    } catch (err) {
+        logger.warn(`[edsa-reminders] schema ensure skipped — ${logger.formatMysqlError(err)}`);
+    }
+}
+
+module.exports = { ensureEdsaReminderSchema };
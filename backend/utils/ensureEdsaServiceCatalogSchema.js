@@ -0,0 +1,117 @@
+'use strict';
+
+const logger = require('./logger');
+
+async function tableExists(pool, tableName) {
+    const [rows] = await pool.query(
+        `SELECT COUNT(*) AS c FROM INFORMATION_SCHEMA.TABLES
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`,
+        [tableName]
+    );
+    return Number(rows[0].c) > 0;
+}
+
+async function columnExists(pool, tableName, columnName) {
+    const [rows] = await pool.query(
+        `SELECT COUNT(*) AS c FROM INFORMATION_SCHEMA.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [tableName, columnName]
+    );
+    return Number(rows[0].c) > 0;
+}
+
+async function indexExists(pool, tableName, indexName) {
+    const [rows] = await pool.query(
+        `SELECT COUNT(*) AS c FROM INFORMATION_SCHEMA.STATISTICS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?`,
+        [tableName, indexName]
+    );
+    return Number(rows[0].c) > 0;
+}
+
+const BOOKING_COLUMNS = [
+    ['service_id', 'INT NULL'],
+    ['practitioner_id', 'INT NULL'],
+    ['service_name', 'VARCHAR(120) NULL'],
+    ['duration_minutes', 'INT NULL'],
+    ['buffer_minutes', 'INT NULL'],
+    ['balance_due', 'DECIMAL(10,2) NULL'],
+    ['google_calendar_id', 'VARCHAR(255) NULL']
+];
+
+/**
+ * Ensures the EDSA service / practitioner catalog and the per-booking service columns on
+ * edsa_bookings (see database/migrations/20261019_edsa_service_catalog.sql).
+ * @param {import('mysql2/promise').Pool} pool
+ */
+async function ensureEdsaServiceCatalogSchema(pool) {
+    try {
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS edsa_services (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                name VARCHAR(120) NOT NULL,
+                description TEXT NULL,
+                duration_minutes INT NOT NULL DEFAULT 60,
+                buffer_minutes INT NOT NULL DEFAULT 0 COMMENT 'cleanup time held after each appointment',
+                price DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+                deposit_amount DECIMAL(10,2) NULL COMMENT 'charged at booking; NULL = full price',
+                is_active TINYINT(1) NOT NULL DEFAULT 1,
+                sort_order INT NOT NULL DEFAULT 0,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                INDEX idx_edsa_services_active (is_active, sort_order)
+            )
+        `);
+
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS edsa_practitioners (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                name VARCHAR(120) NOT NULL,
+                email VARCHAR(255) NULL,
+                calendar_id VARCHAR(255) NULL COMMENT 'Google Calendar ID; NULL = the store calendar',
+                is_active TINYINT(1) NOT NULL DEFAULT 1,
+                sort_order INT NOT NULL DEFAULT 0,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+            )
+        `);
+
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS edsa_practitioner_hours (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                practitioner_id INT NOT NULL,
+                weekday TINYINT NOT NULL COMMENT '0 = Sunday … 6 = Saturday',
+                start_time TIME NOT NULL,
+                end_time TIME NOT NULL,
+                INDEX idx_edsa_practitioner_hours (practitioner_id, weekday),
+                FOREIGN KEY (practitioner_id) REFERENCES edsa_practitioners(id) ON DELETE CASCADE
+            )
+        `);
+
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS edsa_service_practitioners (
+                service_id INT NOT NULL,
+                practitioner_id INT NOT NULL,
+                PRIMARY KEY (service_id, practitioner_id),
+                FOREIGN KEY (service_id) REFERENCES edsa_services(id) ON DELETE CASCADE,
+                FOREIGN KEY (practitioner_id) REFERENCES edsa_practitioners(id) ON DELETE CASCADE
+            )
+        `);
+
+        if (!(await tableExists(pool, 'edsa_bookings'))) return;
+        for (const [column, definition] of BOOKING_COLUMNS) {
+            if (await columnExists(pool, 'edsa_bookings', column)) continue;
+            await pool.query(`ALTER TABLE edsa_bookings ADD COLUMN ${column} ${definition}`);
+            logger.info(`Database: added edsa_bookings.${column}`);
+        }
+        if (!(await indexExists(pool, 'edsa_bookings', 'idx_edsa_bookings_practitioner_date'))) {
+            await pool.query(
+                'ALTER TABLE edsa_bookings ADD INDEX idx_edsa_bookings_practitioner_date (practitioner_id, preferred_date)'
+            );
+        }
+    } catch (err) {
+        logger.warn(`[edsa-services] schema ensure skipped — ${logger.formatMysqlError(err)}`);
+    }
+}
+
+module.exports = { ensureEdsaServiceCatalogSchema };
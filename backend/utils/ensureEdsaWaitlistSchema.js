@@ -0,0 +1,75 @@
+'use strict';
+
+const logger = require('./logger');
+
+async function tableExists(pool, tableName) {
+    const [rows] = await pool.query(
+        `SELECT COUNT(*) AS c FROM INFORMATION_SCHEMA.TABLES
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`,
+        [tableName]
+    );
+    return Number(rows[0].c) > 0;
+}
+
+/**
+ * Ensures the EDSA waitlist and its slot offers (see database/migrations/20261019_edsa_waitlist.sql).
+ * @param {import('mysql2/promise').Pool} pool
+ */
+async function ensureEdsaWaitlistSchema(pool) {
+    try {
+        if (!(await tableExists(pool, 'edsa_bookings'))) return;
+
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS edsa_waitlist (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                user_id INT NULL,
+                first_name VARCHAR(50) NOT NULL,
+                last_name VARCHAR(50) NOT NULL,
+                email VARCHAR(255) NOT NULL,
+                phone VARCHAR(20) NULL,
+                service_id INT NULL,
+                practitioner_id INT NULL,
+                date_from DATE NOT NULL,
+                date_to DATE NOT NULL,
+                time_of_day ENUM('any', 'morning', 'afternoon') NOT NULL DEFAULT 'any',
+                status ENUM('waiting', 'offered', 'booked', 'expired', 'cancelled') NOT NULL DEFAULT 'waiting',
+                booking_id INT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                INDEX idx_edsa_waitlist_open (status, date_from, date_to),
+                INDEX idx_edsa_waitlist_email (email)
+            )
+        `);
+
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS edsa_waitlist_offers (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                waitlist_id INT NOT NULL,
+                token CHAR(48) NOT NULL,
+                slot_date DATE NOT NULL,
+                slot_time TIME NOT NULL,
+                service_id INT NULL,
+                practitioner_id INT NULL,
+                duration_minutes INT NULL,
+                buffer_minutes INT NULL,
+                status ENUM('pending', 'claimed', 'declined', 'expired') NOT NULL DEFAULT 'pending',
+                expires_at DATETIME NOT NULL COMMENT 'the slot is held for the claimant until then',
+                booking_id INT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                UNIQUE KEY uq_edsa_waitlist_offer_token (token),
+                INDEX idx_edsa_waitlist_offer_slot (slot_date, status, expires_at),
+                FOREIGN KEY (waitlist_id) REFERENCES edsa_waitlist(id) ON DELETE CASCADE
+            )
+        `);
+
+        await pool.execute(
+            `INSERT IGNORE INTO settings (key_name, value, description, type)
+             VALUES ('edsa_waitlist_hold_minutes', '120', 'How long a waitlist claim link holds a freed EDSA slot', 'number')`
+        );
+    } catch (err) {
+        logger.warn(`[edsa-waitlist] schema ensure skipped — ${logger.formatMysqlError(err)}`);
+    }
+}
+
+module.exports = { ensureEdsaWaitlistSchema };
@@ -0,0 +1,108 @@
+'use strict';
+
+const logger = require('./logger');
+
+async function tableExists(pool, tableName) {
+    const [rows] = await pool.query(
+        `SELECT COUNT(*) AS c FROM INFORMATION_SCHEMA.TABLES
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`,
+        [tableName]
+    );
+    return Number(rows[0].c) > 0;
+}
+
+async function columnType(pool, tableName, columnName) {
+    const [rows] = await pool.query(
+        `SELECT COLUMN_TYPE AS t FROM INFORMATION_SCHEMA.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [tableName, columnName]
+    );
+    return rows.length ? String(rows[0].t || '') : null;
+}
+
+/**
+ * Ensures cycle count tables and the 'cycle_count' inventory_transactions reference type
+ * (see database/migrations/20261019_inventory_counts.sql).
+ * @param {import('mysql2/promise').Pool} pool
+ */
+async function ensureInventoryCountSchema(pool) {
+    if (!(await tableExists(pool, 'products'))) return;
+
+    try {
+        if (await tableExists(pool, 'inventory_transactions')) {
+            const refType = await columnType(pool, 'inventory_transactions', 'reference_type');
+            if (refType && refType.startsWith('enum') && !refType.includes("'cycle_count'")) {
+                await pool.query(
+                    `ALTER TABLE inventory_transactions
+                     MODIFY COLUMN reference_type ENUM('order', 'manual', 'import', 'cycle_count') NOT NULL`
+                );
+                logger.info('Database: inventory_transactions.reference_type now allows cycle_count');
+            }
+        }
+
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS inventory_count_sessions (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                name VARCHAR(120) NOT NULL,
+                scope_type ENUM('store', 'category', 'brand') NOT NULL DEFAULT 'store',
+                scope_id INT NULL,
+                scope_label VARCHAR(255) NULL,
+                status ENUM('counting', 'posted', 'cancelled') NOT NULL DEFAULT 'counting',
+                notes TEXT NULL,
+                created_by INT NULL,
+                posted_by INT NULL,
+                posted_at DATETIME NULL,
+                posted_lines INT NULL,
+                posted_units INT NULL,
+                posted_cost_impact DECIMAL(12,2) NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                INDEX idx_inventory_count_sessions_status (status, created_at)
+            )
+        `);
+
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS inventory_count_lines (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                session_id INT NOT NULL,
+                product_id INT NOT NULL,
+                variant_id INT NULL,
+                system_quantity INT NOT NULL DEFAULT 0,
+                counted_quantity INT NULL,
+                unit_cost DECIMAL(10,2) NULL,
+                out_of_scope TINYINT(1) NOT NULL DEFAULT 0,
+                review_status ENUM('pending', 'approved', 'rejected') NOT NULL DEFAULT 'pending',
+                reviewed_by INT NULL,
+                reviewed_at DATETIME NULL,
+                counted_at DATETIME NULL,
+                posted_change INT NULL,
+                INDEX idx_inventory_count_lines_session (session_id, product_id, variant_id),
+                FOREIGN KEY (session_id) REFERENCES inventory_count_sessions(id) ON DELETE CASCADE,
+                FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+            )
+        `);
+
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS inventory_count_scans (
+                id BIGINT PRIMARY KEY AUTO_INCREMENT,
+                session_id INT NOT NULL,
+                line_id INT NOT NULL,
+                scan_code VARCHAR(128) NULL,
+                quantity INT NOT NULL,
+                mode ENUM('add', 'set') NOT NULL DEFAULT 'add',
+                source VARCHAR(16) NOT NULL DEFAULT 'admin',
+                employee_id INT NULL,
+                admin_id INT NULL,
+                device_id VARCHAR(128) NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_inventory_count_scans_session (session_id, created_at),
+                INDEX idx_inventory_count_scans_line (line_id),
+                FOREIGN KEY (session_id) REFERENCES inventory_count_sessions(id) ON DELETE CASCADE
+            )
+        `);
+    } catch (err) {
+        logger.warn(`[inventory-counts] schema ensure skipped — ${logger.formatMysqlError(err)}`);
+    }
+}
+
+module.exports = { ensureInventoryCountSchema };
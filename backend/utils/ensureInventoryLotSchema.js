@@ -0,0 +1,89 @@
+'use strict';
+
+const logger = require('./logger');
+
+const LOT_COLUMN_PATCHES = [
+    { column: 'lot_number', sql: (table) => `ALTER TABLE ${table} ADD COLUMN lot_number VARCHAR(64) NULL` },
+    { column: 'expiration_date', sql: (table) => `ALTER TABLE ${table} ADD COLUMN expiration_date DATE NULL` }
+];
+
+async function tableExists(pool, tableName) {
+    const [rows] = await pool.query(
+        `SELECT COUNT(*) AS c FROM INFORMATION_SCHEMA.TABLES
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`,
+        [tableName]
+    );
+    return Number(rows[0].c) > 0;
+}
+
+async function columnExists(pool, tableName, columnName) {
+    const [rows] = await pool.query(
+        `SELECT COUNT(*) AS c FROM INFORMATION_SCHEMA.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [tableName, columnName]
+    );
+    return Number(rows[0].c) > 0;
+}
+
+/**
+ * Ensures inventory_lots, inventory_lot_allocations and the lot columns on vendor receiving
+ * (see database/migrations/20261019_inventory_lots.sql). Run after ensureVendorReceivingSchema.
+ * @param {import('mysql2/promise').Pool} pool
+ */
+async function ensureInventoryLotSchema(pool) {
+    if (!(await tableExists(pool, 'products'))) return;
+
+    try {
+        for (const table of ['vendor_purchase_order_lines', 'vendor_receiving_events']) {
+            if (!(await tableExists(pool, table))) continue;
+            for (const { column, sql } of LOT_COLUMN_PATCHES) {
+                if (await columnExists(pool, table, column)) continue;
+                await pool.query(sql(table));
+                logger.info(`Database: ${table} updated (added column ${column})`);
+            }
+        }
+
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS inventory_lots (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                product_id INT NOT NULL,
+                variant_id INT NULL,
+                lot_number VARCHAR(64) NOT NULL,
+                expiration_date DATE NULL,
+                quantity_received INT NOT NULL DEFAULT 0,
+                quantity_remaining INT NOT NULL DEFAULT 0,
+                unit_cost DECIMAL(12,4) NULL,
+                purchase_order_id INT NULL,
+                purchase_order_line_id INT NULL,
+                received_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_inventory_lots_fefo (product_id, variant_id, quantity_remaining, expiration_date),
+                INDEX idx_inventory_lots_number (lot_number),
+                INDEX idx_inventory_lots_expiry (expiration_date),
+                FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+                FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE
+            )
+        `);
+
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS inventory_lot_allocations (
+                id BIGINT PRIMARY KEY AUTO_INCREMENT,
+                lot_id INT NOT NULL,
+                product_id INT NOT NULL,
+                variant_id INT NULL,
+                quantity INT NOT NULL,
+                quantity_returned INT NOT NULL DEFAULT 0,
+                reference_type VARCHAR(32) NOT NULL,
+                reference_id INT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_lot_allocations_lot (lot_id),
+                INDEX idx_lot_allocations_reference (reference_type, reference_id),
+                FOREIGN KEY (lot_id) REFERENCES inventory_lots(id) ON DELETE CASCADE
+            )
+        `);
+    } catch (err) {
+        logger.warn(`[inventory-lots] schema ensure skipped — ${logger.formatMysqlError(err)}`);
+    }
+}
+
+module.exports = { ensureInventoryLotSchema };
@@ -0,0 +1,119 @@
+'use strict';
+
+const logger = require('./logger');
+
+async function tableExists(pool, tableName) {
+    const [rows] = await pool.query(
+        `SELECT COUNT(*) AS c FROM INFORMATION_SCHEMA.TABLES
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`,
+        [tableName]
+    );
+    return Number(rows[0].c) > 0;
+}
+
+async function columnType(pool, tableName, columnName) {
+    const [rows] = await pool.query(
+        `SELECT COLUMN_TYPE AS t FROM INFORMATION_SCHEMA.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [tableName, columnName]
+    );
+    return rows.length ? String(rows[0].t || '') : null;
+}
+
+/**
+ * Ensures order_returns, order_return_items and order_return_refunds exist
+ * (see database/migrations/20261019_order_returns.sql).
+ * @param {import('mysql2/promise').Pool} pool
+ */
+async function ensureOrderReturnsSchema(pool) {
+    if (!(await tableExists(pool, 'orders')) || !(await tableExists(pool, 'order_items'))) return;
+
+    try {
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS order_returns (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                rma_number VARCHAR(32) NOT NULL,
+                order_id INT NOT NULL,
+                user_id INT NULL,
+                status ENUM('requested','approved','rejected','received','refunding','refunded','cancelled') NOT NULL DEFAULT 'requested',
+                reason VARCHAR(40) NOT NULL,
+                customer_notes TEXT NULL,
+                admin_notes TEXT NULL,
+                refund_estimate DECIMAL(10,2) NOT NULL DEFAULT 0,
+                refund_amount DECIMAL(10,2) NULL,
+                shippo_transaction_id VARCHAR(64) NULL,
+                return_label_url VARCHAR(500) NULL,
+                return_tracking_number VARCHAR(100) NULL,
+                return_tracking_url VARCHAR(500) NULL,
+                return_carrier VARCHAR(40) NULL,
+                return_label_cost DECIMAL(10,2) NULL,
+                approved_by INT NULL,
+                approved_at TIMESTAMP NULL,
+                rejected_at TIMESTAMP NULL,
+                received_by INT NULL,
+                received_at TIMESTAMP NULL,
+                refunded_by INT NULL,
+                refunded_at TIMESTAMP NULL,
+                cancelled_at TIMESTAMP NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP NULL DEFAULT NULL ON UPDATE CURRENT_TIMESTAMP,
+                UNIQUE KEY uq_order_returns_rma (rma_number),
+                INDEX idx_order_returns_order (order_id),
+                INDEX idx_order_returns_user (user_id, created_at),
+                INDEX idx_order_returns_status (status, created_at),
+                FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+            )
+        `);
+
+        const statusType = await columnType(pool, 'order_returns', 'status');
+        if (statusType && statusType.startsWith('enum') && !statusType.includes("'refunding'")) {
+            await pool.query(
+                `ALTER TABLE order_returns
+                 MODIFY COLUMN status ENUM('requested','approved','rejected','received','refunding','refunded','cancelled') NOT NULL DEFAULT 'requested'`
+            );
+            logger.info('Database: order_returns.status now allows refunding');
+        }
+
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS order_return_items (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                return_id INT NOT NULL,
+                order_item_id INT NOT NULL,
+                product_id INT NOT NULL,
+                variant_id INT NULL,
+                quantity INT NOT NULL,
+                refund_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+                restock_quantity INT NOT NULL DEFAULT 0,
+                item_condition ENUM('resellable','damaged','missing') NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE KEY uq_return_item (return_id, order_item_id),
+                INDEX idx_return_items_order_item (order_item_id),
+                FOREIGN KEY (return_id) REFERENCES order_returns(id) ON DELETE CASCADE,
+                FOREIGN KEY (order_item_id) REFERENCES order_items(id) ON DELETE CASCADE
+            )
+        `);
+
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS order_return_refunds (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                return_id INT NOT NULL,
+                order_id INT NOT NULL,
+                tender_type VARCHAR(32) NOT NULL,
+                gift_card_id INT NULL,
+                amount DECIMAL(10,2) NOT NULL,
+                gateway_transaction_id VARCHAR(64) NULL,
+                gateway_method VARCHAR(16) NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_return_refunds_order (order_id),
+                INDEX idx_return_refunds_return (return_id),
+                FOREIGN KEY (return_id) REFERENCES order_returns(id) ON DELETE CASCADE,
+                FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE
+            )
+        `);
+    } catch (err) {
+        logger.warn(`[returns] schema ensure skipped — ${logger.formatMysqlError(err)}`);
+    }
+}
+
+module.exports = { ensureOrderReturnsSchema };
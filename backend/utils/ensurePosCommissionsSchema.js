@@ -0,0 +1,66 @@
+'use strict';
+
+const logger = require('./logger');
+
+async function tableExists(pool, tableName) {
+    const [rows] = await pool.query(
+        `SELECT COUNT(*) AS c FROM INFORMATION_SCHEMA.TABLES
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`,
+        [tableName]
+    );
+    return Number(rows[0].c) > 0;
+}
+
+async function columnExists(pool, tableName, columnName) {
+    const [rows] = await pool.query(
+        `SELECT COUNT(*) AS c FROM INFORMATION_SCHEMA.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [tableName, columnName]
+    );
+    return Number(rows[0].c) > 0;
+}
+
+/**
+ * Ensures order_items.salesperson_employee_id and the commission rules table
+ * (see database/migrations/20261019_pos_commissions.sql).
+ * @param {import('mysql2/promise').Pool} pool
+ */
+async function ensurePosCommissionsSchema(pool) {
+    try {
+        if (
+            (await tableExists(pool, 'order_items')) &&
+            !(await columnExists(pool, 'order_items', 'salesperson_employee_id'))
+        ) {
+            await pool.query(
+                `ALTER TABLE order_items
+                 ADD COLUMN salesperson_employee_id INT NULL,
+                 ADD INDEX idx_order_items_salesperson (salesperson_employee_id)`
+            );
+            logger.info('Database: order_items.salesperson_employee_id added');
+        }
+
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS pos_commission_rules (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                name VARCHAR(150) NOT NULL,
+                scope ENUM('all', 'brand', 'category', 'product') NOT NULL,
+                brand_id INT NULL,
+                category_id INT NULL,
+                product_id INT NULL,
+                rate_percent DECIMAL(6,3) NOT NULL DEFAULT 0,
+                flat_per_unit DECIMAL(10,2) NOT NULL DEFAULT 0,
+                starts_on DATE NULL,
+                ends_on DATE NULL,
+                is_active TINYINT(1) NOT NULL DEFAULT 1,
+                created_by INT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                INDEX idx_pos_commission_rules_scope (scope, is_active)
+            )
+        `);
+    } catch (err) {
+        logger.warn(`[pos-commissions] schema ensure skipped — ${logger.formatMysqlError(err)}`);
+    }
+}
+
+module.exports = { ensurePosCommissionsSchema };
@@ -0,0 +1,93 @@
+'use strict';
+
+const logger = require('./logger');
+
+async function tableExists(pool, tableName) {
+    const [rows] = await pool.query(
+        `SELECT COUNT(*) AS c FROM INFORMATION_SCHEMA.TABLES
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`,
+        [tableName]
+    );
+    return Number(rows[0].c) > 0;
+}
+
+async function columnType(pool, tableName, columnName) {
+    const [rows] = await pool.query(
+        `SELECT COLUMN_TYPE AS t FROM INFORMATION_SCHEMA.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [tableName, columnName]
+    );
+    return rows.length ? String(rows[0].t || '') : null;
+}
+
+/**
+ * Ensures exchange tables and the 'exchange_credit' tender type
+ * (see database/migrations/20261019_pos_exchanges.sql).
+ * @param {import('mysql2/promise').Pool} pool
+ */
+async function ensurePosExchangesSchema(pool) {
+    try {
+        if (await tableExists(pool, 'order_payment_tenders')) {
+            const tenderType = await columnType(pool, 'order_payment_tenders', 'tender_type');
+            if (tenderType && tenderType.startsWith('enum') && !tenderType.includes("'exchange_credit'")) {
+                await pool.query(
+                    `ALTER TABLE order_payment_tenders
+                     MODIFY COLUMN tender_type ENUM('cash','card_terminal','check','gift_card','loyalty_cash','loyalty_points','special_order_deposit','exchange_credit') NOT NULL`
+                );
+                logger.info('Database: order_payment_tenders.tender_type now allows exchange_credit');
+            }
+        }
+
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS pos_exchanges (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                original_order_id INT NOT NULL,
+                new_order_id INT NOT NULL,
+                return_credit DECIMAL(10,2) NOT NULL DEFAULT 0,
+                credit_applied DECIMAL(10,2) NOT NULL DEFAULT 0,
+                refund_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+                reason VARCHAR(500) NOT NULL,
+                employee_id INT NULL,
+                authorized_by_employee_id INT NULL,
+                device_id VARCHAR(64) NULL,
+                shift_session_id INT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_pos_exchanges_original (original_order_id),
+                INDEX idx_pos_exchanges_new (new_order_id)
+            )
+        `);
+
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS pos_exchange_items (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                exchange_id INT NOT NULL,
+                order_item_id INT NOT NULL,
+                product_id INT NULL,
+                variant_id INT NULL,
+                product_name VARCHAR(255) NULL,
+                quantity INT NOT NULL,
+                credit_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+                restocked TINYINT(1) NOT NULL DEFAULT 1,
+                FOREIGN KEY (exchange_id) REFERENCES pos_exchanges(id) ON DELETE CASCADE,
+                INDEX idx_pos_exchange_items_order_item (order_item_id)
+            )
+        `);
+
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS pos_exchange_refunds (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                exchange_id INT NOT NULL,
+                original_order_id INT NOT NULL,
+                tender_type VARCHAR(32) NOT NULL,
+                gift_card_id INT NULL,
+                amount DECIMAL(10,2) NOT NULL,
+                FOREIGN KEY (exchange_id) REFERENCES pos_exchanges(id) ON DELETE CASCADE,
+                INDEX idx_pos_exchange_refunds_order (original_order_id)
+            )
+        `);
+    } catch (err) {
+        logger.warn(`[pos-exchanges] schema ensure skipped — ${logger.formatMysqlError(err)}`);
+    }
+}
+
+module.exports = { ensurePosExchangesSchema };
@@ -0,0 +1,40 @@
+'use strict';
+
+const logger = require('./logger');
+
+/**
+ * Ensures pos_parked_sales (see database/migrations/20261019_pos_parked_sales.sql).
+ * @param {import('mysql2/promise').Pool} pool
+ */
+async function ensurePosParkedSalesSchema(pool) {
+    try {
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS pos_parked_sales (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                status ENUM('parked', 'recalled', 'expired', 'voided') NOT NULL DEFAULT 'parked',
+                label VARCHAR(120) NULL,
+                customer_id INT NULL,
+                customer_name VARCHAR(200) NULL,
+                item_count INT NOT NULL DEFAULT 0,
+                total_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+                cart_json LONGTEXT NOT NULL,
+                parked_by_employee_id INT NULL,
+                parked_device_id VARCHAR(64) NULL,
+                shift_session_id INT NULL,
+                parked_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                expires_at DATETIME NOT NULL,
+                recalled_at DATETIME NULL,
+                recalled_by_employee_id INT NULL,
+                recalled_device_id VARCHAR(64) NULL,
+                closed_at DATETIME NULL,
+                void_reason VARCHAR(255) NULL,
+                INDEX idx_pos_parked_sales_status (status, expires_at),
+                INDEX idx_pos_parked_sales_shift (shift_session_id)
+            )
+        `);
+    } catch (err) {
+        logger.warn(`[pos-parked-sales] schema ensure skipped — ${logger.formatMysqlError(err)}`);
+    }
+}
+
+module.exports = { ensurePosParkedSalesSchema };
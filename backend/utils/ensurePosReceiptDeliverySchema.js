@@ -0,0 +1,36 @@
+'use strict';
+
+const logger = require('./logger');
+
+/**
+ * Ensures the email / text receipt delivery log
+ * (see database/migrations/20261019_pos_receipt_deliveries.sql).
+ * @param {import('mysql2/promise').Pool} pool
+ */
+async function ensurePosReceiptDeliverySchema(pool) {
+    try {
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS pos_receipt_deliveries (
+                id BIGINT PRIMARY KEY AUTO_INCREMENT,
+                order_id INT NOT NULL,
+                method ENUM('email', 'sms', 'none') NOT NULL,
+                destination VARCHAR(255) NULL,
+                status ENUM('sent', 'failed', 'skipped') NOT NULL,
+                error_message VARCHAR(500) NULL,
+                provider VARCHAR(40) NULL,
+                chosen_via ENUM('register', 'display') NOT NULL DEFAULT 'register',
+                pos_employee_id INT NULL,
+                pos_device_id INT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_pos_receipt_deliveries_order (order_id, created_at),
+                FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+                FOREIGN KEY (pos_employee_id) REFERENCES pos_employees(id) ON DELETE SET NULL,
+                FOREIGN KEY (pos_device_id) REFERENCES pos_devices(id) ON DELETE SET NULL
+            )
+        `);
+    } catch (err) {
+        logger.warn(`[receipt-delivery] schema ensure skipped — ${logger.formatMysqlError(err)}`);
+    }
+}
+
+module.exports = { ensurePosReceiptDeliverySchema };
@@ -0,0 +1,28 @@
+'use strict';
+
+const logger = require('./logger');
+
+/**
+ * Ensures the register event stream log
+ * (see database/migrations/20261019_pos_register_events.sql).
+ * @param {import('mysql2/promise').Pool} pool
+ */
+async function ensurePosRegisterEventsSchema(pool) {
+    try {
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS pos_register_events (
+                id BIGINT PRIMARY KEY AUTO_INCREMENT,
+                event_type VARCHAR(40) NOT NULL,
+                device_id INT NULL,
+                payload JSON NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_pos_register_events_created (created_at),
+                INDEX idx_pos_register_events_device (device_id, id)
+            )
+        `);
+    } catch (err) {
+        logger.warn(`[register-events] schema ensure skipped — ${logger.formatMysqlError(err)}`);
+    }
+}
+
+module.exports = { ensurePosRegisterEventsSchema };
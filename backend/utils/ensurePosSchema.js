@@ -348,6 +348,7 @@ async function ensurePosSchema(pool) {
             ('pos_receipt_auto_print', 'true', 'Auto-open print dialog after each sale', 'boolean'),
             ('pos_receipt_copy_count', '2', 'Number of receipt copies to print (1–3)', 'number'),
             ('pos_receipt_show_order_barcode', 'true', 'Show order number as barcode on receipts', 'boolean'),
+            ('pos_receipt_show_digital_qr', 'true', 'Print a QR code linking to the digital receipt', 'boolean'),
             ('pos_session_timeout_minutes', '30', 'Minutes before POS employee must re-enter PIN', 'number'),
             ('pos_pin_max_attempts', '10', 'Failed PIN attempts before lockout', 'number'),
             ('pos_pin_lockout_minutes', '15', 'Minutes to lock PIN entry after too many failures', 'number'),
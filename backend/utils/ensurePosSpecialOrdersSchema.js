@@ -0,0 +1,104 @@
+'use strict';
+
+const logger = require('./logger');
+
+async function tableExists(pool, tableName) {
+    const [rows] = await pool.query(
+        `SELECT COUNT(*) AS c FROM INFORMATION_SCHEMA.TABLES
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`,
+        [tableName]
+    );
+    return Number(rows[0].c) > 0;
+}
+
+async function columnType(pool, tableName, columnName) {
+    const [rows] = await pool.query(
+        `SELECT COLUMN_TYPE AS t FROM INFORMATION_SCHEMA.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [tableName, columnName]
+    );
+    return rows.length ? String(rows[0].t || '') : null;
+}
+
+/**
+ * Ensures special order tables and the 'special_order_deposit' tender type
+ * (see database/migrations/20261019_pos_special_orders.sql).
+ * @param {import('mysql2/promise').Pool} pool
+ */
+async function ensurePosSpecialOrdersSchema(pool) {
+    try {
+        if (await tableExists(pool, 'order_payment_tenders')) {
+            const tenderType = await columnType(pool, 'order_payment_tenders', 'tender_type');
+            if (tenderType && tenderType.startsWith('enum') && !tenderType.includes("'special_order_deposit'")) {
+                await pool.query(
+                    `ALTER TABLE order_payment_tenders
+                     MODIFY COLUMN tender_type ENUM('cash','card_terminal','check','gift_card','loyalty_cash','loyalty_points','special_order_deposit') NOT NULL`
+                );
+                logger.info('Database: order_payment_tenders.tender_type now allows special_order_deposit');
+            }
+        }
+
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS pos_special_orders (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                status ENUM('open', 'ordered', 'received', 'completed', 'cancelled') NOT NULL DEFAULT 'open',
+                customer_id INT NULL,
+                customer_name VARCHAR(200) NULL,
+                customer_email VARCHAR(255) NULL,
+                customer_phone VARCHAR(50) NULL,
+                product_id INT NULL,
+                variant_id INT NULL,
+                sku VARCHAR(100) NULL,
+                description VARCHAR(255) NOT NULL,
+                vendor_id INT NULL,
+                quantity INT NOT NULL DEFAULT 1,
+                quoted_unit_price DECIMAL(10,2) NULL,
+                deposit_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+                purchase_order_id INT NULL,
+                purchase_order_line_id INT NULL,
+                notes TEXT NULL,
+                created_by_employee_id INT NULL,
+                created_device_id VARCHAR(64) NULL,
+                shift_session_id INT NULL,
+                ordered_at DATETIME NULL,
+                received_at DATETIME NULL,
+                notified_at DATETIME NULL,
+                completed_at DATETIME NULL,
+                completed_order_id INT NULL,
+                cancelled_at DATETIME NULL,
+                cancel_reason VARCHAR(500) NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                INDEX idx_pos_special_orders_status (status),
+                INDEX idx_pos_special_orders_po_line (purchase_order_id, purchase_order_line_id),
+                INDEX idx_pos_special_orders_customer (customer_id)
+            )
+        `);
+
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS pos_special_order_deposits (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                special_order_id INT NOT NULL,
+                tender_type VARCHAR(32) NOT NULL,
+                amount DECIMAL(10,2) NOT NULL,
+                loyalty_points INT NULL,
+                gift_card_id INT NULL,
+                payment_reference VARCHAR(120) NULL,
+                cash_tendered DECIMAL(10,2) NULL,
+                cash_change DECIMAL(10,2) NULL,
+                check_number VARCHAR(32) NULL,
+                terminal_last_four VARCHAR(4) NULL,
+                terminal_auth_code VARCHAR(64) NULL,
+                employee_id INT NULL,
+                shift_session_id INT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (special_order_id) REFERENCES pos_special_orders(id) ON DELETE CASCADE,
+                INDEX idx_pos_special_order_deposits_order (special_order_id)
+            )
+        `);
+    } catch (err) {
+        logger.warn(`[pos-special-orders] schema ensure skipped — ${logger.formatMysqlError(err)}`);
+    }
+}
+
+module.exports = { ensurePosSpecialOrdersSchema };
@@ -0,0 +1,79 @@
+'use strict';
+
+const logger = require('./logger');
+
+async function tableExists(pool, tableName) {
+    const [rows] = await pool.query(
+        `SELECT COUNT(*) AS c FROM INFORMATION_SCHEMA.TABLES
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`,
+        [tableName]
+    );
+    return Number(rows[0].c) > 0;
+}
+
+async function columnExists(pool, tableName, columnName) {
+    const [rows] = await pool.query(
+        `SELECT COUNT(*) AS c FROM INFORMATION_SCHEMA.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [tableName, columnName]
+    );
+    return Number(rows[0].c) > 0;
+}
+
+/**
+ * Ensures voided punches, the time entry edit log and timesheet approvals
+ * (see database/migrations/20261019_pos_timesheets.sql). Runs after ensurePersonnelSchema.
+ * @param {import('mysql2/promise').Pool} pool
+ */
+async function ensurePosTimesheetsSchema(pool) {
+    try {
+        if (!(await tableExists(pool, 'pos_time_entries'))) return;
+        if (!(await columnExists(pool, 'pos_time_entries', 'voided_at'))) {
+            await pool.query(
+                `ALTER TABLE pos_time_entries
+                 ADD COLUMN voided_at DATETIME NULL,
+                 ADD COLUMN voided_by INT NULL`
+            );
+            logger.info('Database: pos_time_entries.voided_at added');
+        }
+
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS pos_time_entry_edits (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                time_entry_id INT NOT NULL,
+                action ENUM('created', 'updated', 'voided') NOT NULL,
+                previous_clock_in DATETIME NULL,
+                previous_clock_out DATETIME NULL,
+                new_clock_in DATETIME NULL,
+                new_clock_out DATETIME NULL,
+                reason VARCHAR(500) NOT NULL,
+                edited_by INT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_pos_time_entry_edits_entry (time_entry_id),
+                FOREIGN KEY (time_entry_id) REFERENCES pos_time_entries(id) ON DELETE CASCADE,
+                FOREIGN KEY (edited_by) REFERENCES admin_users(id) ON DELETE SET NULL
+            )
+        `);
+
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS pos_timesheet_approvals (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                employee_id INT NOT NULL,
+                period_start DATE NOT NULL,
+                period_end DATE NOT NULL,
+                regular_minutes INT NOT NULL DEFAULT 0,
+                overtime_minutes INT NOT NULL DEFAULT 0,
+                break_minutes INT NOT NULL DEFAULT 0,
+                approved_by INT NULL,
+                approved_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE KEY uk_pos_timesheet_approval (employee_id, period_start, period_end),
+                FOREIGN KEY (employee_id) REFERENCES pos_employees(id) ON DELETE CASCADE,
+                FOREIGN KEY (approved_by) REFERENCES admin_users(id) ON DELETE SET NULL
+            )
+        `);
+    } catch (err) {
+        logger.warn(`[pos-timesheets] schema ensure skipped — ${logger.formatMysqlError(err)}`);
+    }
+}
+
+module.exports = { ensurePosTimesheetsSchema };
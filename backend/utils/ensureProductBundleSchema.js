@@ -0,0 +1,71 @@
+'use strict';
+
+const logger = require('./logger');
+
+const PRODUCT_PATCHES = [
+    { column: 'is_bundle', sql: 'ALTER TABLE products ADD COLUMN is_bundle BOOLEAN NOT NULL DEFAULT FALSE' },
+    {
+        column: 'bundle_pricing',
+        sql: "ALTER TABLE products ADD COLUMN bundle_pricing ENUM('fixed','computed') NOT NULL DEFAULT 'fixed'"
+    },
+    {
+        column: 'bundle_discount_percent',
+        sql: 'ALTER TABLE products ADD COLUMN bundle_discount_percent DECIMAL(5,2) NOT NULL DEFAULT 0'
+    }
+];
+
+async function tableExists(pool, tableName) {
+    const [rows] = await pool.query(
+        `SELECT COUNT(*) AS c FROM INFORMATION_SCHEMA.TABLES
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`,
+        [tableName]
+    );
+    return Number(rows[0].c) > 0;
+}
+
+async function columnExists(pool, tableName, columnName) {
+    const [rows] = await pool.query(
+        `SELECT COUNT(*) AS c FROM INFORMATION_SCHEMA.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [tableName, columnName]
+    );
+    return Number(rows[0].c) > 0;
+}
+
+/**
+ * Ensures the bundle columns on products and product_bundle_components exist
+ * (see database/migrations/20261019_product_bundles.sql).
+ * @param {import('mysql2/promise').Pool} pool
+ */
+async function ensureProductBundleSchema(pool) {
+    if (!(await tableExists(pool, 'products'))) return;
+
+    try {
+        for (const { column, sql } of PRODUCT_PATCHES) {
+            if (await columnExists(pool, 'products', column)) continue;
+            await pool.query(sql);
+            logger.info(`Database: products table updated (added column ${column})`);
+        }
+
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS product_bundle_components (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                bundle_product_id INT NOT NULL,
+                component_product_id INT NOT NULL,
+                component_variant_id INT NULL,
+                quantity INT NOT NULL DEFAULT 1,
+                sort_order INT NOT NULL DEFAULT 0,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE KEY uq_bundle_component (bundle_product_id, component_product_id, component_variant_id),
+                INDEX idx_bundle_component_product (component_product_id),
+                FOREIGN KEY (bundle_product_id) REFERENCES products(id) ON DELETE CASCADE,
+                FOREIGN KEY (component_product_id) REFERENCES products(id) ON DELETE RESTRICT,
+                FOREIGN KEY (component_variant_id) REFERENCES product_variants(id) ON DELETE RESTRICT
+            )
+        `);
+    } catch (err) {
+        logger.warn(`[bundles] schema ensure skipped — ${logger.formatMysqlError(err)}`);
+    }
+}
+
+module.exports = { ensureProductBundleSchema };
@@ -0,0 +1,101 @@
+'use strict';
+
+const logger = require('./logger');
+
+async function tableExists(pool, tableName) {
+    const [rows] = await pool.query(
+        `SELECT COUNT(*) AS c FROM INFORMATION_SCHEMA.TABLES
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`,
+        [tableName]
+    );
+    return Number(rows[0].c) > 0;
+}
+
+async function columnExists(pool, tableName, columnName) {
+    const [rows] = await pool.query(
+        `SELECT COUNT(*) AS c FROM INFORMATION_SCHEMA.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [tableName, columnName]
+    );
+    return Number(rows[0].c) > 0;
+}
+
+async function indexExists(pool, tableName, indexName) {
+    const [rows] = await pool.query(
+        `SELECT COUNT(*) AS c FROM INFORMATION_SCHEMA.STATISTICS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?`,
+        [tableName, indexName]
+    );
+    return Number(rows[0].c) > 0;
+}
+
+async function addColumnIfMissing(pool, tableName, columnName, definition) {
+    if (await columnExists(pool, tableName, columnName)) return;
+    await pool.execute(`ALTER TABLE ${tableName} ADD COLUMN ${columnName} ${definition}`);
+}
+
+/**
+ * Ensures product_reviews exists with moderation + staff reply columns
+ * (see database/migrations/20261019_product_reviews_moderation.sql).
+ * @param {import('mysql2/promise').Pool} pool
+ */
+async function ensureProductReviewSchema(pool) {
+    if (!(await tableExists(pool, 'products'))) return;
+
+    try {
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS product_reviews (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                product_id INT NOT NULL,
+                user_id INT NULL,
+                name VARCHAR(100) NOT NULL,
+                email VARCHAR(255) NOT NULL,
+                rating INT NOT NULL CHECK (rating >= 1 AND rating <= 5),
+                title VARCHAR(255),
+                review_text TEXT,
+                is_verified_purchase BOOLEAN DEFAULT FALSE,
+                is_approved BOOLEAN DEFAULT FALSE,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+                INDEX idx_product_id (product_id),
+                INDEX idx_user_id (user_id),
+                INDEX idx_rating (rating),
+                INDEX idx_is_approved (is_approved)
+            )
+        `);
+
+        await addColumnIfMissing(pool, 'product_reviews', 'order_id', 'INT NULL AFTER user_id');
+        if (!(await columnExists(pool, 'product_reviews', 'status'))) {
+            await pool.execute(
+                `ALTER TABLE product_reviews ADD COLUMN status
+                 ENUM('pending','approved','rejected') NOT NULL DEFAULT 'pending' AFTER is_approved`
+            );
+            await pool.execute(
+                "UPDATE product_reviews SET status = 'approved' WHERE is_approved = 1"
+            );
+        }
+        await addColumnIfMissing(pool, 'product_reviews', 'moderation_note', 'VARCHAR(500) NULL');
+        await addColumnIfMissing(pool, 'product_reviews', 'moderated_by_admin_id', 'INT NULL');
+        await addColumnIfMissing(pool, 'product_reviews', 'moderated_at', 'TIMESTAMP NULL');
+        await addColumnIfMissing(pool, 'product_reviews', 'admin_reply', 'TEXT NULL');
+        await addColumnIfMissing(pool, 'product_reviews', 'admin_reply_by_admin_id', 'INT NULL');
+        await addColumnIfMissing(pool, 'product_reviews', 'admin_reply_at', 'TIMESTAMP NULL');
+        await addColumnIfMissing(
+            pool,
+            'product_reviews',
+            'updated_at',
+            'TIMESTAMP NULL DEFAULT NULL ON UPDATE CURRENT_TIMESTAMP'
+        );
+
+        if (!(await indexExists(pool, 'product_reviews', 'idx_product_reviews_status'))) {
+            await pool.execute(
+                'ALTER TABLE product_reviews ADD INDEX idx_product_reviews_status (status, created_at)'
+            );
+        }
+    } catch (err) {
+        logger.warn(`[product-reviews] schema ensure skipped — ${logger.formatMysqlError(err)}`);
+    }
+}
+
+module.exports = { ensureProductReviewSchema };
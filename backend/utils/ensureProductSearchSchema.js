@@ -0,0 +1,51 @@
+'use strict';
+
+const logger = require('./logger');
+
+async function tableExists(pool, tableName) {
+    const [rows] = await pool.query(
+        `SELECT COUNT(*) AS c FROM INFORMATION_SCHEMA.TABLES
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`,
+        [tableName]
+    );
+    return Number(rows[0].c) > 0;
+}
+
+async function columnExists(pool, tableName, columnName) {
+    const [rows] = await pool.query(
+        `SELECT COUNT(*) AS c FROM INFORMATION_SCHEMA.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [tableName, columnName]
+    );
+    return Number(rows[0].c) > 0;
+}
+
+/**
+ * Ensures products.ingredients and search_synonyms exist
+ * (see database/migrations/20261019_product_search.sql).
+ * @param {import('mysql2/promise').Pool} pool
+ */
+async function ensureProductSearchSchema(pool) {
+    if (!(await tableExists(pool, 'products'))) return;
+
+    try {
+        if (!(await columnExists(pool, 'products', 'ingredients'))) {
+            await pool.execute('ALTER TABLE products ADD COLUMN ingredients TEXT NULL');
+        }
+
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS search_synonyms (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                terms VARCHAR(500) NOT NULL,
+                is_active TINYINT(1) NOT NULL DEFAULT 1,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP NULL DEFAULT NULL ON UPDATE CURRENT_TIMESTAMP,
+                INDEX idx_search_synonyms_active (is_active)
+            )
+        `);
+    } catch (err) {
+        logger.warn(`[product-search] schema ensure skipped — ${logger.formatMysqlError(err)}`);
+    }
+}
+
+module.exports = { ensureProductSearchSchema };
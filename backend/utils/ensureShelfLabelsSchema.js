@@ -0,0 +1,54 @@
+'use strict';
+
+const logger = require('./logger');
+
+/**
+ * Ensures the product price-change log and label print history
+ * (see database/migrations/20261019_shelf_labels.sql).
+ * @param {import('mysql2/promise').Pool} pool
+ */
+async function ensureShelfLabelsSchema(pool) {
+    try {
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS product_price_changes (
+                id BIGINT PRIMARY KEY AUTO_INCREMENT,
+                product_id INT NOT NULL,
+                variant_id INT NULL,
+                old_price DECIMAL(10,2) NOT NULL,
+                new_price DECIMAL(10,2) NOT NULL,
+                source VARCHAR(32) NOT NULL COMMENT 'product_edit, bulk_edit',
+                changed_by INT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_product_price_changes_created (created_at),
+                INDEX idx_product_price_changes_product (product_id, variant_id, created_at),
+                FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+                FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+                FOREIGN KEY (changed_by) REFERENCES admin_users(id) ON DELETE SET NULL
+            )
+        `);
+
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS product_label_prints (
+                id BIGINT PRIMARY KEY AUTO_INCREMENT,
+                product_id INT NOT NULL,
+                variant_id INT NULL,
+                template VARCHAR(40) NOT NULL,
+                quantity INT NOT NULL DEFAULT 1,
+                price DECIMAL(10,2) NOT NULL,
+                output ENUM('zpl', 'pdf') NOT NULL,
+                printed_by_admin INT NULL,
+                printed_by_employee INT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_product_label_prints_product (product_id, variant_id, created_at),
+                FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+                FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+                FOREIGN KEY (printed_by_admin) REFERENCES admin_users(id) ON DELETE SET NULL,
+                FOREIGN KEY (printed_by_employee) REFERENCES pos_employees(id) ON DELETE SET NULL
+            )
+        `);
+    } catch (err) {
+        logger.warn(`[shelf-labels] schema ensure skipped — ${logger.formatMysqlError(err)}`);
+    }
+}
+
+module.exports = { ensureShelfLabelsSchema };
@@ -0,0 +1,52 @@
+'use strict';
+
+const logger = require('./logger');
+
+async function tableExists(pool, tableName) {
+    const [rows] = await pool.query(
+        `SELECT COUNT(*) AS c FROM INFORMATION_SCHEMA.TABLES
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`,
+        [tableName]
+    );
+    return Number(rows[0].c) > 0;
+}
+
+/**
+ * Ensures stock_alert_subscriptions exists
+ * (see database/migrations/20261019_stock_alert_subscriptions.sql).
+ * @param {import('mysql2/promise').Pool} pool
+ */
+async function ensureStockAlertSchema(pool) {
+    if (!(await tableExists(pool, 'products'))) return;
+
+    try {
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS stock_alert_subscriptions (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                product_id INT NOT NULL,
+                variant_id INT NULL,
+                alert_type ENUM('back_in_stock','price_drop') NOT NULL DEFAULT 'back_in_stock',
+                email VARCHAR(255) NOT NULL,
+                user_id INT NULL,
+                price_at_signup DECIMAL(10,2) NULL,
+                status ENUM('active','notified','unsubscribed') NOT NULL DEFAULT 'active',
+                unsubscribe_token CHAR(48) NOT NULL,
+                notified_at TIMESTAMP NULL,
+                unsubscribed_at TIMESTAMP NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP NULL DEFAULT NULL ON UPDATE CURRENT_TIMESTAMP,
+                UNIQUE KEY uq_stock_alert_token (unsubscribe_token),
+                INDEX idx_stock_alert_target (product_id, variant_id, alert_type, status),
+                INDEX idx_stock_alert_email (email),
+                INDEX idx_stock_alert_status (status, created_at),
+                FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+                FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+            )
+        `);
+    } catch (err) {
+        logger.warn(`[stock-alerts] schema ensure skipped — ${logger.formatMysqlError(err)}`);
+    }
+}
+
+module.exports = { ensureStockAlertSchema };
@@ -33,7 +33,8 @@ const PRODUCT_SINGLE_ALLOWED_FIELDS = Object.freeze([
     'show_on_web',
     'is_cannabis',
     'coa_url',
-    'coa_updated_at'
+    'coa_updated_at',
+    'ingredients'
 ]);
 
 const NUMERIC_FIELDS = new Set([
@@ -82,6 +83,11 @@ function normalizeProductFieldValue(field, rawValue) {
         return Number.isNaN(d.getTime()) ? null : d.toISOString().slice(0, 10);
     }
 
+    if (field === 'ingredients') {
+        if (value === '' || value === null) return null;
+        return String(value).trim().slice(0, 2000) || null;
+    }
+
     if (['short_description', 'long_description'].includes(field)) {
         if (value === '') return null;
     }
@@ -0,0 +1,98 @@
+'use strict';
+
+/**
+ * Outbound SMS behind a small provider interface, picked with SMS_PROVIDER:
+ *
+ *   log     appends each message as a JSON line to SMS_LOG_FILE (default backend/logs/sms-outbox.log) —
+ *           the development stand-in, and the default outside production
+ *   twilio  Twilio Messages API (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM_NUMBER)
+ *
+ * A provider is `{ name, send({ to, body }) → Promise<{ id?: string }> }`; more can be added with
+ * registerSmsProvider. Numbers are passed in E.164 (+15555550100).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const providers = new Map();
+
+function registerSmsProvider(name, factory) {
+    providers.set(String(name).toLowerCase(), factory);
+}
+
+function defaultLogFile() {
+    return String(process.env.SMS_LOG_FILE || '').trim() || path.join(__dirname, '..', 'logs', 'sms-outbox.log');
+}
+
+registerSmsProvider('log', () => ({
+    name: 'log',
+    async send({ to, body }) {
+        const file = defaultLogFile();
+        const id = `log_${Date.now().toString(36)}`;
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.appendFile(file, `${JSON.stringify({ id, at: new Date().toISOString(), to, body })}\n`, 'utf8');
+        return { id };
+    }
+}));
+
+registerSmsProvider('twilio', () => {
+    const sid = String(process.env.TWILIO_ACCOUNT_SID || '').trim();
+    const token = String(process.env.TWILIO_AUTH_TOKEN || '').trim();
+    const from = String(process.env.TWILIO_FROM_NUMBER || '').trim();
+    if (!sid || !token || !from) return null;
+    return {
+        name: 'twilio',
+        async send({ to, body }) {
+            const axios = require('axios');
+            const { data } = await axios.post(
+                `https://api.twilio.com/2010-04-01/Accounts/${encodeURIComponent(sid)}/Messages.json`,
+                new URLSearchParams({ To: to, From: from, Body: body }).toString(),
+                {
+                    auth: { username: sid, password: token },
+                    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                    timeout: 15000
+                }
+            );
+            return { id: data?.sid || null };
+        }
+    };
+});
+
+/** The configured provider, or null when SMS is not set up. */
+function getSmsProvider() {
+    const configured = String(process.env.SMS_PROVIDER || '').trim().toLowerCase();
+    const name = configured || (process.env.NODE_ENV === 'production' ? '' : 'log');
+    if (!name || name === 'none') return null;
+    const factory = providers.get(name);
+    if (!factory) {
+        logger.warn(`SMS provider "${name}" is not registered`);
+        return null;
+    }
+    return factory() || null;
+}
+
+function isSmsConfigured() {
+    return Boolean(getSmsProvider());
+}
+
+/**
+ * @param {{ to: string, body: string, logTag?: string }} opts
+ * @returns {Promise<{ sent: boolean, reason?: string, provider?: string, id?: string | null }>}
+ */
+async function sendSms({ to, body, logTag = 'SMS' }) {
+    const provider = getSmsProvider();
+    if (!provider) {
+        logger.warn(`${logTag} skipped — SMS not configured (set SMS_PROVIDER in backend/.env)`);
+        return { sent: false, reason: 'SMS not configured' };
+    }
+    try {
+        const result = await provider.send({ to, body });
+        return { sent: true, provider: provider.name, id: result?.id || null };
+    } catch (err) {
+        logger.error(`${logTag} failed`, { to, provider: provider.name, message: err.message });
+        throw err;
+    }
+}
+
+module.exports = { registerSmsProvider, getSmsProvider, isSmsConfigured, sendSms };
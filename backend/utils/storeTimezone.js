@@ -124,10 +124,28 @@ function isStoreDateTimeInFuture(dateYmd, timeHm) {
     return Number.isFinite(ms) && ms > Date.now();
 }
 
+/** Store calendar date (YYYY-MM-DD) of an instant (Date, ISO string or ms). */
+function storeYmdForInstant(value) {
+    const ms = value instanceof Date ? value.getTime() : typeof value === 'number' ? value : Date.parse(value);
+    if (!Number.isFinite(ms)) return null;
+    const p = storePartsFromUtcMs(ms);
+    return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+/** Store wall clock (YYYY-MM-DDTHH:MM, as a datetime-local input expects) of an instant. */
+function storeDateTimeLocalForInstant(value) {
+    const ms = value instanceof Date ? value.getTime() : typeof value === 'number' ? value : Date.parse(value);
+    if (!Number.isFinite(ms)) return null;
+    const p = storePartsFromUtcMs(ms);
+    return (
+        `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}` +
+        `T${String(p.hour).padStart(2, '0')}:${String(p.minute).padStart(2, '0')}`
+    );
+}
+
 /** Today's date (YYYY-MM-DD) in store timezone. */
 function getStoreTodayYmd() {
-    const p = storePartsFromUtcMs(Date.now());
-    return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+    return storeYmdForInstant(Date.now());
 }
 
 function isStoreDateTodayOrFuture(dateYmd) {
@@ -147,5 +165,7 @@ module.exports = {
     isStoreDateTimeInFuture,
     isStoreDateTodayOrFuture,
     getStoreTodayYmd,
+    storeYmdForInstant,
+    storeDateTimeLocalForInstant,
     storeWallClockToUtcMs,
 };
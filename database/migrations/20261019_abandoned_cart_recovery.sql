@@ -0,0 +1,43 @@
+-- Abandoned cart recovery: guest contact email on shopping_carts plus one recovery row per cart
+-- (reminder sequence progress, optional one-time promo, conversion / recovered revenue)
+-- Migration: 20261019
+
+CALL hmherbs_add_column_if_missing(
+    'shopping_carts',
+    'contact_email',
+    "VARCHAR(255) NULL COMMENT 'Guest checkout email captured for cart reminders'"
+);
+
+CALL hmherbs_add_column_if_missing(
+    'shopping_carts',
+    'contact_email_confirmed_at',
+    "TIMESTAMP NULL COMMENT 'Guest confirmed contact_email via the emailed link; reminders need this'"
+);
+
+CREATE TABLE IF NOT EXISTS abandoned_cart_recoveries (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    cart_id INT NOT NULL,
+    email VARCHAR(255) NOT NULL,
+    user_id INT NULL,
+    cart_activity_at TIMESTAMP NULL COMMENT 'Cart activity the current reminder sequence started from',
+    cart_subtotal DECIMAL(10,2) NOT NULL DEFAULT 0,
+    reminders_sent INT NOT NULL DEFAULT 0,
+    last_reminder_at TIMESTAMP NULL,
+    promotion_id INT NULL,
+    promo_code VARCHAR(50) NULL,
+    status ENUM('active','recovered','closed') NOT NULL DEFAULT 'active',
+    restored_at TIMESTAMP NULL,
+    recovered_order_id INT NULL,
+    recovered_revenue DECIMAL(10,2) NULL,
+    recovered_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NULL DEFAULT NULL ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_abandoned_cart (cart_id),
+    INDEX idx_abandoned_cart_email (email, status),
+    INDEX idx_abandoned_cart_status (status, last_reminder_at),
+    INDEX idx_abandoned_cart_recovered (recovered_at),
+    FOREIGN KEY (cart_id) REFERENCES shopping_carts(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (promotion_id) REFERENCES web_promotions(id) ON DELETE SET NULL,
+    FOREIGN KEY (recovered_order_id) REFERENCES orders(id) ON DELETE SET NULL
+);
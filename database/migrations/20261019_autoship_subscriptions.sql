@@ -0,0 +1,52 @@
+-- Subscribe-and-save autoship: one row per subscribed line item (product / variant, quantity,
+-- interval, vaulted card, ship-to snapshot) plus a log of every scheduled run
+-- Migration: 20261019
+
+CREATE TABLE IF NOT EXISTS autoship_subscriptions (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    product_id INT NOT NULL,
+    variant_id INT NULL,
+    quantity INT NOT NULL DEFAULT 1,
+    interval_days INT NOT NULL,
+    status ENUM('active','paused','cancelled') NOT NULL DEFAULT 'active',
+    payment_card_id INT NULL COMMENT 'payment_cards row (NMI vault); NULL = customer default card',
+    shipping_address JSON NULL COMMENT 'Ship-to snapshot copied from the originating order',
+    next_order_date DATE NOT NULL,
+    reminder_sent_for DATE NULL COMMENT 'next_order_date the pre-charge reminder was sent for',
+    source_order_id INT NULL,
+    source_order_item_id INT NULL,
+    last_order_id INT NULL,
+    last_order_at TIMESTAMP NULL,
+    failed_attempts INT NOT NULL DEFAULT 0,
+    last_error VARCHAR(255) NULL,
+    paused_at TIMESTAMP NULL,
+    cancelled_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NULL DEFAULT NULL ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_autoship_source_item (source_order_item_id),
+    INDEX idx_autoship_user (user_id, status),
+    INDEX idx_autoship_due (status, next_order_date),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (payment_card_id) REFERENCES payment_cards(id) ON DELETE SET NULL,
+    FOREIGN KEY (source_order_id) REFERENCES orders(id) ON DELETE SET NULL,
+    FOREIGN KEY (last_order_id) REFERENCES orders(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS autoship_runs (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    subscription_ids VARCHAR(255) NOT NULL,
+    order_id INT NULL,
+    amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    status ENUM('charged','failed') NOT NULL,
+    transaction_id VARCHAR(100) NULL,
+    error_message VARCHAR(255) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_autoship_runs_user (user_id, created_at),
+    INDEX idx_autoship_runs_status (status, created_at),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL
+);
@@ -0,0 +1,48 @@
+-- Prepaid EDSA appointment packages (e.g. 3 scans for a set price) sold as products online and at
+-- the register, the session balance each customer bought, and the package a booking drew from
+-- Migration: 20261019
+
+CREATE TABLE IF NOT EXISTS edsa_packages (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    name VARCHAR(120) NOT NULL,
+    description TEXT NULL,
+    service_id INT NULL COMMENT 'NULL = any appointment type',
+    session_count INT NOT NULL DEFAULT 1,
+    product_id INT NULL COMMENT 'the product sold online and at the POS',
+    validity_days INT NULL COMMENT 'days from purchase to use the sessions; NULL = never expires',
+    is_active TINYINT(1) NOT NULL DEFAULT 1,
+    sort_order INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_edsa_packages_product (product_id)
+);
+
+CREATE TABLE IF NOT EXISTS edsa_customer_packages (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    package_id INT NULL,
+    user_id INT NULL,
+    email VARCHAR(255) NULL,
+    order_id INT NULL,
+    order_item_id INT NULL,
+    package_name VARCHAR(120) NOT NULL,
+    service_id INT NULL,
+    sessions_total INT NOT NULL,
+    sessions_used INT NOT NULL DEFAULT 0,
+    sessions_refunded INT NOT NULL DEFAULT 0,
+    amount_paid DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+    expires_on DATE NULL,
+    status ENUM('active','refunded','cancelled') NOT NULL DEFAULT 'active',
+    refund_amount DECIMAL(10,2) NULL,
+    refund_method VARCHAR(20) NULL,
+    refunded_at DATETIME NULL,
+    refunded_by_admin_id INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_edsa_customer_packages_user (user_id, status),
+    INDEX idx_edsa_customer_packages_email (email),
+    INDEX idx_edsa_customer_packages_order (order_id)
+);
+
+ALTER TABLE edsa_bookings
+    ADD COLUMN customer_package_id INT NULL,
+    ADD INDEX idx_edsa_bookings_customer_package (customer_package_id);
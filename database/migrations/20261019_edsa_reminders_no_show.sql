@@ -0,0 +1,39 @@
+-- EDSA appointment reminders (email + SMS), customer confirmations, attended / no-show marking
+-- and the late-cancel / no-show fee charged to the card vaulted at booking
+-- Migration: 20261019
+
+CREATE TABLE IF NOT EXISTS edsa_booking_reminders (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    booking_id INT NOT NULL,
+    appointment_at DATETIME NOT NULL COMMENT 'store-local start the reminder was for; a reschedule starts a new sequence',
+    offset_hours INT NOT NULL,
+    channel ENUM('email', 'sms') NOT NULL,
+    status ENUM('sent', 'failed', 'skipped') NOT NULL,
+    error_message VARCHAR(255) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_edsa_booking_reminder (booking_id, appointment_at, offset_hours, channel),
+    FOREIGN KEY (booking_id) REFERENCES edsa_bookings(id) ON DELETE CASCADE
+);
+
+ALTER TABLE edsa_bookings
+    ADD COLUMN customer_confirmed_at TIMESTAMP NULL,
+    ADD COLUMN cancelled_at TIMESTAMP NULL,
+    ADD COLUMN attendance ENUM('attended', 'no_show') NULL,
+    ADD COLUMN attendance_marked_at TIMESTAMP NULL,
+    ADD COLUMN attendance_marked_by INT NULL,
+    ADD COLUMN fee_vault_customer_id VARCHAR(64) NULL COMMENT 'NMI customer vault holding the card used at booking',
+    ADD COLUMN fee_vault_billing_id VARCHAR(64) NULL,
+    ADD COLUMN fee_card_last4 VARCHAR(4) NULL,
+    ADD COLUMN policy_fee_type ENUM('late_cancel', 'no_show') NULL,
+    ADD COLUMN policy_fee_amount DECIMAL(10,2) NULL,
+    ADD COLUMN policy_fee_status ENUM('charging', 'charged', 'failed', 'waived') NULL,
+    ADD COLUMN policy_fee_reference VARCHAR(128) NULL,
+    ADD COLUMN policy_fee_error VARCHAR(255) NULL,
+    ADD COLUMN policy_fee_at TIMESTAMP NULL;
+
+INSERT IGNORE INTO settings (key_name, value, description, type) VALUES
+('edsa_reminder_hours', '24,2', 'Hours before an EDSA appointment to send reminders (comma-separated)', 'string'),
+('edsa_reminder_sms_enabled', 'true', 'Also text EDSA appointment reminders', 'boolean'),
+('edsa_no_show_fee', '0', 'Fee charged to the booking card when a customer does not show (0 = off)', 'number'),
+('edsa_late_cancel_fee', '0', 'Fee charged when a customer cancels inside the late-cancel window (0 = off)', 'number'),
+('edsa_late_cancel_hours', '24', 'Cancellations fewer than this many hours ahead count as late', 'number');
@@ -0,0 +1,57 @@
+-- EDSA appointment catalog: bookable services, practitioners with weekly hours and calendars,
+-- and which practitioners may perform each service
+-- Migration: 20261019
+
+CREATE TABLE IF NOT EXISTS edsa_services (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    name VARCHAR(120) NOT NULL,
+    description TEXT NULL,
+    duration_minutes INT NOT NULL DEFAULT 60,
+    buffer_minutes INT NOT NULL DEFAULT 0 COMMENT 'cleanup time held after each appointment',
+    price DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+    deposit_amount DECIMAL(10,2) NULL COMMENT 'charged at booking; NULL = full price',
+    is_active TINYINT(1) NOT NULL DEFAULT 1,
+    sort_order INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_edsa_services_active (is_active, sort_order)
+);
+
+CREATE TABLE IF NOT EXISTS edsa_practitioners (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    name VARCHAR(120) NOT NULL,
+    email VARCHAR(255) NULL,
+    calendar_id VARCHAR(255) NULL COMMENT 'Google Calendar ID; NULL = the store calendar',
+    is_active TINYINT(1) NOT NULL DEFAULT 1,
+    sort_order INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS edsa_practitioner_hours (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    practitioner_id INT NOT NULL,
+    weekday TINYINT NOT NULL COMMENT '0 = Sunday … 6 = Saturday',
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    INDEX idx_edsa_practitioner_hours (practitioner_id, weekday),
+    FOREIGN KEY (practitioner_id) REFERENCES edsa_practitioners(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS edsa_service_practitioners (
+    service_id INT NOT NULL,
+    practitioner_id INT NOT NULL,
+    PRIMARY KEY (service_id, practitioner_id),
+    FOREIGN KEY (service_id) REFERENCES edsa_services(id) ON DELETE CASCADE,
+    FOREIGN KEY (practitioner_id) REFERENCES edsa_practitioners(id) ON DELETE CASCADE
+);
+
+ALTER TABLE edsa_bookings
+    ADD COLUMN service_id INT NULL,
+    ADD COLUMN practitioner_id INT NULL,
+    ADD COLUMN service_name VARCHAR(120) NULL,
+    ADD COLUMN duration_minutes INT NULL,
+    ADD COLUMN buffer_minutes INT NULL,
+    ADD COLUMN balance_due DECIMAL(10,2) NULL,
+    ADD COLUMN google_calendar_id VARCHAR(255) NULL,
+    ADD INDEX idx_edsa_bookings_practitioner_date (practitioner_id, preferred_date);
@@ -0,0 +1,62 @@
+-- Physical inventory / cycle count sessions: scoped snapshot lines, every scan logged,
+-- approved variances posted as one inventory_transactions batch (reference_type 'cycle_count')
+-- Migration: 20261019
+
+ALTER TABLE inventory_transactions
+    MODIFY COLUMN reference_type ENUM('order', 'manual', 'import', 'cycle_count') NOT NULL;
+
+CREATE TABLE IF NOT EXISTS inventory_count_sessions (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    name VARCHAR(120) NOT NULL,
+    scope_type ENUM('store', 'category', 'brand') NOT NULL DEFAULT 'store',
+    scope_id INT NULL,
+    scope_label VARCHAR(255) NULL,
+    status ENUM('counting', 'posted', 'cancelled') NOT NULL DEFAULT 'counting',
+    notes TEXT NULL,
+    created_by INT NULL,
+    posted_by INT NULL,
+    posted_at DATETIME NULL,
+    posted_lines INT NULL,
+    posted_units INT NULL,
+    posted_cost_impact DECIMAL(12,2) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_inventory_count_sessions_status (status, created_at)
+);
+
+CREATE TABLE IF NOT EXISTS inventory_count_lines (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    session_id INT NOT NULL,
+    product_id INT NOT NULL,
+    variant_id INT NULL,
+    system_quantity INT NOT NULL DEFAULT 0 COMMENT 'On-hand when the line was first counted (snapshot at session start until then)',
+    counted_quantity INT NULL,
+    unit_cost DECIMAL(10,2) NULL,
+    out_of_scope TINYINT(1) NOT NULL DEFAULT 0 COMMENT 'Scanned but not in the session category/brand',
+    review_status ENUM('pending', 'approved', 'rejected') NOT NULL DEFAULT 'pending',
+    reviewed_by INT NULL,
+    reviewed_at DATETIME NULL,
+    counted_at DATETIME NULL,
+    posted_change INT NULL,
+    INDEX idx_inventory_count_lines_session (session_id, product_id, variant_id),
+    FOREIGN KEY (session_id) REFERENCES inventory_count_sessions(id) ON DELETE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+);
+
+-- Every scan and manual count edit, for the audit trail
+CREATE TABLE IF NOT EXISTS inventory_count_scans (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    session_id INT NOT NULL,
+    line_id INT NOT NULL,
+    scan_code VARCHAR(128) NULL,
+    quantity INT NOT NULL,
+    mode ENUM('add', 'set') NOT NULL DEFAULT 'add',
+    source VARCHAR(16) NOT NULL DEFAULT 'admin',
+    employee_id INT NULL,
+    admin_id INT NULL,
+    device_id VARCHAR(128) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_inventory_count_scans_session (session_id, created_at),
+    INDEX idx_inventory_count_scans_line (line_id),
+    FOREIGN KEY (session_id) REFERENCES inventory_count_sessions(id) ON DELETE CASCADE
+);
@@ -0,0 +1,47 @@
+-- Lot numbers and expiration (best-by) dates for received stock, FEFO allocation on sale,
+-- and the allocation trail used for recall lookups
+-- Migration: 20261019
+
+ALTER TABLE vendor_purchase_order_lines
+    ADD COLUMN lot_number VARCHAR(64) NULL COMMENT 'Default lot for units scanned without one',
+    ADD COLUMN expiration_date DATE NULL;
+
+ALTER TABLE vendor_receiving_events
+    ADD COLUMN lot_number VARCHAR(64) NULL,
+    ADD COLUMN expiration_date DATE NULL;
+
+CREATE TABLE IF NOT EXISTS inventory_lots (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    product_id INT NOT NULL,
+    variant_id INT NULL,
+    lot_number VARCHAR(64) NOT NULL,
+    expiration_date DATE NULL,
+    quantity_received INT NOT NULL DEFAULT 0,
+    quantity_remaining INT NOT NULL DEFAULT 0,
+    unit_cost DECIMAL(12,4) NULL,
+    purchase_order_id INT NULL,
+    purchase_order_line_id INT NULL,
+    received_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_inventory_lots_fefo (product_id, variant_id, quantity_remaining, expiration_date),
+    INDEX idx_inventory_lots_number (lot_number),
+    INDEX idx_inventory_lots_expiry (expiration_date),
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE
+);
+
+-- One row per lot drawn from by a sale (reference_type 'order') or a stock adjustment
+CREATE TABLE IF NOT EXISTS inventory_lot_allocations (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    lot_id INT NOT NULL,
+    product_id INT NOT NULL,
+    variant_id INT NULL,
+    quantity INT NOT NULL,
+    quantity_returned INT NOT NULL DEFAULT 0,
+    reference_type VARCHAR(32) NOT NULL,
+    reference_id INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_lot_allocations_lot (lot_id),
+    INDEX idx_lot_allocations_reference (reference_type, reference_id),
+    FOREIGN KEY (lot_id) REFERENCES inventory_lots(id) ON DELETE CASCADE
+);
@@ -0,0 +1,24 @@
+-- Salesperson attribution per sale line and commission rules by brand / category / product
+-- Migration: 20261019
+
+ALTER TABLE order_items
+    ADD COLUMN salesperson_employee_id INT NULL,
+    ADD INDEX idx_order_items_salesperson (salesperson_employee_id);
+
+CREATE TABLE IF NOT EXISTS pos_commission_rules (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    name VARCHAR(150) NOT NULL,
+    scope ENUM('all', 'brand', 'category', 'product') NOT NULL,
+    brand_id INT NULL,
+    category_id INT NULL,
+    product_id INT NULL,
+    rate_percent DECIMAL(6,3) NOT NULL DEFAULT 0,
+    flat_per_unit DECIMAL(10,2) NOT NULL DEFAULT 0,
+    starts_on DATE NULL,
+    ends_on DATE NULL,
+    is_active TINYINT(1) NOT NULL DEFAULT 1,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_pos_commission_rules_scope (scope, is_active)
+);
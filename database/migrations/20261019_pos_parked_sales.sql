@@ -0,0 +1,26 @@
+-- Suspended (parked) POS sales: a register sets a cart aside and any register recalls it.
+-- Stale tickets expire (POS_PARKED_SALE_EXPIRY_HOURS) and are listed on the parking shift's report.
+-- Migration: 20261019
+
+CREATE TABLE IF NOT EXISTS pos_parked_sales (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    status ENUM('parked', 'recalled', 'expired', 'voided') NOT NULL DEFAULT 'parked',
+    label VARCHAR(120) NULL,
+    customer_id INT NULL,
+    customer_name VARCHAR(200) NULL,
+    item_count INT NOT NULL DEFAULT 0,
+    total_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    cart_json LONGTEXT NOT NULL COMMENT 'Lines, customer, discounts, tax-exempt flag as parked',
+    parked_by_employee_id INT NULL,
+    parked_device_id VARCHAR(64) NULL,
+    shift_session_id INT NULL,
+    parked_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    recalled_at DATETIME NULL,
+    recalled_by_employee_id INT NULL,
+    recalled_device_id VARCHAR(64) NULL,
+    closed_at DATETIME NULL COMMENT 'When the ticket expired or was voided',
+    void_reason VARCHAR(255) NULL,
+    INDEX idx_pos_parked_sales_status (status, expires_at),
+    INDEX idx_pos_parked_sales_shift (shift_session_id)
+);
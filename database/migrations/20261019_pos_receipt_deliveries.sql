@@ -0,0 +1,20 @@
+-- Email / text receipts sent from the register or customer display (one row per attempt, including "no receipt")
+-- Migration: 20261019
+
+CREATE TABLE IF NOT EXISTS pos_receipt_deliveries (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    order_id INT NOT NULL,
+    method ENUM('email', 'sms', 'none') NOT NULL,
+    destination VARCHAR(255) NULL,
+    status ENUM('sent', 'failed', 'skipped') NOT NULL,
+    error_message VARCHAR(500) NULL,
+    provider VARCHAR(40) NULL,
+    chosen_via ENUM('register', 'display') NOT NULL DEFAULT 'register',
+    pos_employee_id INT NULL,
+    pos_device_id INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_pos_receipt_deliveries_order (order_id, created_at),
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+    FOREIGN KEY (pos_employee_id) REFERENCES pos_employees(id) ON DELETE SET NULL,
+    FOREIGN KEY (pos_device_id) REFERENCES pos_devices(id) ON DELETE SET NULL
+);
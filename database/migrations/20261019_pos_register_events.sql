@@ -0,0 +1,13 @@
+-- Register event stream log: lets a reconnecting register replay what it missed (GET /api/pos/v1/events, Last-Event-ID)
+-- Rows are pruned after a day; device_id NULL means every register.
+-- Migration: 20261019
+
+CREATE TABLE IF NOT EXISTS pos_register_events (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    event_type VARCHAR(40) NOT NULL,
+    device_id INT NULL,
+    payload JSON NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_pos_register_events_created (created_at),
+    INDEX idx_pos_register_events_device (device_id, id)
+);
@@ -0,0 +1,43 @@
+-- Weekly schedule builder: shift templates and employee time-off requests
+-- Migration: 20261019
+
+CREATE TABLE IF NOT EXISTS pos_shift_templates (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    name VARCHAR(120) NOT NULL,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES admin_users(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS pos_shift_template_shifts (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    template_id INT NOT NULL,
+    employee_id INT NOT NULL,
+    weekday TINYINT NOT NULL COMMENT '0 = Sunday … 6 = Saturday',
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL COMMENT 'At or before start_time = ends the next day',
+    notes VARCHAR(500) NULL,
+    INDEX idx_pos_shift_template_shifts_template (template_id),
+    FOREIGN KEY (template_id) REFERENCES pos_shift_templates(id) ON DELETE CASCADE,
+    FOREIGN KEY (employee_id) REFERENCES pos_employees(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS pos_time_off_requests (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    employee_id INT NOT NULL,
+    starts_at DATETIME NOT NULL,
+    ends_at DATETIME NOT NULL,
+    reason VARCHAR(500) NULL,
+    status ENUM('pending', 'approved', 'denied', 'cancelled') NOT NULL DEFAULT 'pending',
+    source ENUM('pos', 'admin') NOT NULL DEFAULT 'pos',
+    reviewed_by INT NULL,
+    reviewed_at DATETIME NULL,
+    review_note VARCHAR(500) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_pos_time_off_employee (employee_id, starts_at),
+    INDEX idx_pos_time_off_status (status),
+    FOREIGN KEY (employee_id) REFERENCES pos_employees(id) ON DELETE CASCADE,
+    FOREIGN KEY (reviewed_by) REFERENCES admin_users(id) ON DELETE SET NULL
+);
@@ -0,0 +1,24 @@
+-- Bundles and kits: a product sold as a set of other products. Stock is derived from the
+-- components; selling a bundle deducts each component.
+-- Migration: 20261019
+
+ALTER TABLE products
+    ADD COLUMN is_bundle BOOLEAN NOT NULL DEFAULT FALSE,
+    ADD COLUMN bundle_pricing ENUM('fixed','computed') NOT NULL DEFAULT 'fixed'
+        COMMENT 'fixed = products.price as entered; computed = sum of component prices less bundle_discount_percent',
+    ADD COLUMN bundle_discount_percent DECIMAL(5,2) NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS product_bundle_components (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    bundle_product_id INT NOT NULL,
+    component_product_id INT NOT NULL,
+    component_variant_id INT NULL,
+    quantity INT NOT NULL DEFAULT 1,
+    sort_order INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_bundle_component (bundle_product_id, component_product_id, component_variant_id),
+    INDEX idx_bundle_component_product (component_product_id),
+    FOREIGN KEY (bundle_product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (component_product_id) REFERENCES products(id) ON DELETE RESTRICT,
+    FOREIGN KEY (component_variant_id) REFERENCES product_variants(id) ON DELETE RESTRICT
+);
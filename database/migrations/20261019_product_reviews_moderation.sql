@@ -0,0 +1,61 @@
+-- Customer product reviews: verified-purchase link, moderation status, and staff replies
+-- Migration: 20261019
+
+CREATE TABLE IF NOT EXISTS product_reviews (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    product_id INT NOT NULL,
+    user_id INT NULL,
+    name VARCHAR(100) NOT NULL,
+    email VARCHAR(255) NOT NULL,
+    rating INT NOT NULL CHECK (rating >= 1 AND rating <= 5),
+    title VARCHAR(255),
+    review_text TEXT,
+    is_verified_purchase BOOLEAN DEFAULT FALSE,
+    is_approved BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_product_id (product_id),
+    INDEX idx_user_id (user_id),
+    INDEX idx_rating (rating),
+    INDEX idx_is_approved (is_approved)
+);
+
+DROP PROCEDURE IF EXISTS hmherbs_add_column_if_missing;
+DELIMITER $$
+CREATE PROCEDURE hmherbs_add_column_if_missing(
+    IN p_table   VARCHAR(64),
+    IN p_column  VARCHAR(64),
+    IN p_definition TEXT
+)
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS
+        WHERE TABLE_SCHEMA = DATABASE()
+          AND TABLE_NAME   = p_table
+          AND COLUMN_NAME  = p_column
+    ) THEN
+        SET @sql = CONCAT('ALTER TABLE ', p_table, ' ADD COLUMN ', p_column, ' ', p_definition);
+        PREPARE stmt FROM @sql;
+        EXECUTE stmt;
+        DEALLOCATE PREPARE stmt;
+    END IF;
+END$$
+DELIMITER ;
+
+CALL hmherbs_add_column_if_missing('product_reviews', 'order_id', 'INT NULL AFTER user_id');
+CALL hmherbs_add_column_if_missing('product_reviews', 'status',
+    "ENUM('pending','approved','rejected') NOT NULL DEFAULT 'pending' AFTER is_approved");
+CALL hmherbs_add_column_if_missing('product_reviews', 'moderation_note', 'VARCHAR(500) NULL');
+CALL hmherbs_add_column_if_missing('product_reviews', 'moderated_by_admin_id', 'INT NULL');
+CALL hmherbs_add_column_if_missing('product_reviews', 'moderated_at', 'TIMESTAMP NULL');
+CALL hmherbs_add_column_if_missing('product_reviews', 'admin_reply', 'TEXT NULL');
+CALL hmherbs_add_column_if_missing('product_reviews', 'admin_reply_by_admin_id', 'INT NULL');
+CALL hmherbs_add_column_if_missing('product_reviews', 'admin_reply_at', 'TIMESTAMP NULL');
+CALL hmherbs_add_column_if_missing('product_reviews', 'updated_at',
+    'TIMESTAMP NULL DEFAULT NULL ON UPDATE CURRENT_TIMESTAMP');
+
+DROP PROCEDURE IF EXISTS hmherbs_add_column_if_missing;
+
+-- Rows approved before the status column existed
+UPDATE product_reviews SET status = 'approved' WHERE is_approved = 1 AND status = 'pending';
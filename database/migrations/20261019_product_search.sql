@@ -0,0 +1,17 @@
+-- Storefront search: ingredients text (indexed between SKU and description) and admin synonym groups
+-- Migration: 20261019
+
+CALL hmherbs_add_column_if_missing(
+    'products',
+    'ingredients',
+    "TEXT NULL COMMENT 'Ingredient / supplement facts text used by storefront search'"
+);
+
+CREATE TABLE IF NOT EXISTS search_synonyms (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    terms VARCHAR(500) NOT NULL COMMENT 'Comma-separated terms that match each other, e.g. b12, cobalamin',
+    is_active TINYINT(1) NOT NULL DEFAULT 1,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NULL DEFAULT NULL ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_search_synonyms_active (is_active)
+);
@@ -0,0 +1,25 @@
+-- "Notify me" subscriptions: back-in-stock and price-drop alerts per product or variant
+-- Migration: 20261019
+
+CREATE TABLE IF NOT EXISTS stock_alert_subscriptions (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    product_id INT NOT NULL,
+    variant_id INT NULL,
+    alert_type ENUM('back_in_stock','price_drop') NOT NULL DEFAULT 'back_in_stock',
+    email VARCHAR(255) NOT NULL,
+    user_id INT NULL,
+    price_at_signup DECIMAL(10,2) NULL COMMENT 'Effective price when the shopper subscribed (price-drop baseline)',
+    status ENUM('active','notified','unsubscribed') NOT NULL DEFAULT 'active',
+    unsubscribe_token CHAR(48) NOT NULL,
+    notified_at TIMESTAMP NULL,
+    unsubscribed_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NULL DEFAULT NULL ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_stock_alert_token (unsubscribe_token),
+    INDEX idx_stock_alert_target (product_id, variant_id, alert_type, status),
+    INDEX idx_stock_alert_email (email),
+    INDEX idx_stock_alert_status (status, created_at),
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+);
@@ -117,7 +117,7 @@ class AccountManager {
 
     handleHashNavigation() {
         const hash = window.location.hash.replace('#', '');
-        if (hash && ['profile', 'orders', 'addresses', 'loyalty', 'gift-cards', 'wishlists'].includes(hash)) {
+        if (hash && ['profile', 'orders', 'autoship', 'addresses', 'loyalty', 'gift-cards', 'edsa-packages', 'wishlists'].includes(hash)) {
             this.showSection(hash);
         }
     }
@@ -155,8 +155,12 @@ class AccountManager {
         } else if (sectionId === 'gift-cards') {
             this.loadGiftCards();
             this.bindGiftCardLookup();
+        } else if (sectionId === 'edsa-packages') {
+            this.loadEdsaPackages();
         } else if (sectionId === 'wishlists') {
             this.loadWishlists();
+        } else if (sectionId === 'autoship') {
+            this.loadAutoship();
         }
     }
 
@@ -345,6 +349,21 @@ class AccountManager {
         if (!container || container._wired) return;
         container._wired = true;
         container.addEventListener('click', async (e) => {
+            const returnBtn = e.target.closest('button[data-act="return-request"], button[data-act="return-cancel"]');
+            if (returnBtn) {
+                const orderId = Number(returnBtn.dataset.orderId);
+                if (returnBtn.dataset.act === 'return-request') {
+                    this._openReturnRequestModal(orderId);
+                } else {
+                    void this._cancelReturnRequest(orderId, Number(returnBtn.dataset.id));
+                }
+                return;
+            }
+            const subscribeBtn = e.target.closest('button[data-act="autoship-subscribe"]');
+            if (subscribeBtn) {
+                this._openAutoshipSubscribeModal(Number(subscribeBtn.dataset.itemId), subscribeBtn.dataset.name || '');
+                return;
+            }
             const btn = e.target.closest('button[data-act="order-detail"]');
             if (!btn) return;
             const id = Number(btn.dataset.id);
@@ -360,6 +379,7 @@ class AccountManager {
             try {
                 const res = await this.apiRequest(`/user/orders/${id}`);
                 panel.innerHTML = this._renderOrderDetail(res);
+                void this._loadOrderReturns(id);
                 panel.style.display = 'block';
                 panel.dataset.loaded = '1';
                 btn.textContent = 'Hide Details';
@@ -405,9 +425,13 @@ class AccountManager {
                 }).join('')}
                </div>`
             : '';
+        const canSubscribe = !['cancelled', 'refunded'].includes(String(order.status || '').toLowerCase());
         const itemsHtml = (items || []).map(it => `
             <tr>
-                <td style="padding:0.4rem;">${esc(it.product_name)}</td>
+                <td style="padding:0.4rem;">
+                    ${esc(it.product_name)}
+                    ${canSubscribe && it.product_id ? `<button type="button" class="btn btn-secondary btn-sm" style="margin-left:0.5rem;" data-act="autoship-subscribe" data-item-id="${it.id}" data-name="${esc(it.product_name)}">Autoship</button>` : ''}
+                </td>
                 <td style="padding:0.4rem;text-align:center;">${it.quantity}</td>
                 <td style="padding:0.4rem;text-align:right;">${fmt(it.unit_price)}</td>
                 <td style="padding:0.4rem;text-align:right;">${fmt(it.total_price)}</td>
@@ -459,9 +483,148 @@ class AccountManager {
                     <tr style="font-weight:700;"><td colspan="3" style="padding:0.4rem;text-align:right;">Total</td><td style="padding:0.4rem;text-align:right;color:var(--primary-green,#0a7e3e);">${fmt(order.total)}</td></tr>
                 </tfoot>
             </table>
+            <div class="order-returns" id="order-returns-${order.id}" style="margin-top:1rem;"></div>
+        `;
+    }
+
+    // ----------------------- Returns (RMA) -----------------------
+
+    async _loadOrderReturns(orderId) {
+        const slot = document.getElementById(`order-returns-${orderId}`);
+        if (!slot) return;
+        try {
+            const options = await this.apiRequest(`/returns/orders/${orderId}`);
+            this._returnOptions = { ...(this._returnOptions || {}), [orderId]: options };
+            slot.innerHTML = this._renderOrderReturns(orderId, options);
+        } catch {
+            slot.innerHTML = '';
+        }
+    }
+
+    _renderOrderReturns(orderId, options) {
+        const esc = (s) => this._esc(s);
+        const fmt = (v) => `$${parseFloat(v || 0).toFixed(2)}`;
+        const statusLabels = {
+            requested: 'Requested',
+            approved: 'Approved — ship it back',
+            rejected: 'Not approved',
+            received: 'Received — refund pending',
+            refunding: 'Refund in progress',
+            refunded: 'Refunded',
+            cancelled: 'Cancelled'
+        };
+        const returnsHtml = (options.returns || []).map((r) => `
+            <div style="padding:0.75rem 1rem;border:1px solid var(--gray-200,#e5e7eb);border-radius:8px;margin-bottom:0.5rem;">
+                <div style="display:flex;justify-content:space-between;gap:0.5rem;flex-wrap:wrap;">
+                    <strong>Return ${esc(r.rmaNumber)}</strong>
+                    <span>${esc(statusLabels[r.status] || r.status)}</span>
+                </div>
+                <div style="font-size:0.9rem;color:var(--gray-700,#374151);margin-top:0.25rem;">
+                    ${r.items.map((i) => `${esc(i.name)} × ${i.quantity}`).join('<br>')}
+                </div>
+                <div style="font-size:0.9rem;margin-top:0.35rem;">
+                    ${r.status === 'refunded' ? `Refunded ${fmt(r.refundAmount)}` : `Estimated refund ${fmt(r.refundEstimate)}`}
+                    ${r.label?.url && r.status === 'approved' ? ` · <a href="${esc(r.label.url)}" target="_blank" rel="noopener">Print return label</a>` : ''}
+                    ${r.label?.trackingUrl ? ` · <a href="${esc(r.label.trackingUrl)}" target="_blank" rel="noopener">Track</a>` : ''}
+                </div>
+                ${r.status === 'rejected' && r.adminNotes ? `<div style="font-size:0.85rem;color:var(--gray-600,#4b5563);margin-top:0.35rem;">${esc(r.adminNotes)}</div>` : ''}
+                ${r.status === 'requested' ? `<div style="text-align:right;margin-top:0.5rem;"><button type="button" class="btn btn-secondary btn-sm" data-act="return-cancel" data-order-id="${orderId}" data-id="${r.id}">Cancel request</button></div>` : ''}
+            </div>
+        `).join('');
+        const deadline = options.deadline ? new Date(options.deadline).toLocaleDateString() : null;
+        const action = options.eligible
+            ? `<div style="display:flex;justify-content:space-between;align-items:center;gap:0.5rem;flex-wrap:wrap;">
+                   <span style="font-size:0.85rem;color:var(--gray-600,#4b5563);">${deadline ? `Returns accepted until ${esc(deadline)}` : ''}</span>
+                   <button type="button" class="btn btn-secondary btn-sm" data-act="return-request" data-order-id="${orderId}">Return items</button>
+               </div>`
+            : '';
+        if (!returnsHtml && !action) return '';
+        return `
+            <div style="font-weight:600;margin-bottom:0.5rem;">Returns</div>
+            ${returnsHtml}
+            ${action}
         `;
     }
 
+    _openReturnRequestModal(orderId) {
+        const options = this._returnOptions?.[orderId];
+        if (!options?.eligible) return;
+        const esc = (s) => this._esc(s);
+        const lines = options.lines.filter((l) => l.returnableQuantity > 0);
+        const html = `
+            <h3>Return items</h3>
+            <p class="acct-confirm-message">Choose what you are sending back. We will email a prepaid label once the return is approved.</p>
+            <form id="return-request-form">
+                ${lines.map((l) => `
+                    <div class="form-group">
+                        <label for="return-qty-${l.orderItemId}">${esc(l.name)} <span style="color:var(--gray-500,#6b7280);font-weight:400;">(up to ${l.returnableQuantity})</span></label>
+                        <input type="number" id="return-qty-${l.orderItemId}" class="form-input" data-order-item-id="${l.orderItemId}" min="0" max="${l.returnableQuantity}" value="0">
+                    </div>
+                `).join('')}
+                <div class="form-group">
+                    <label for="return-reason">Reason</label>
+                    <select id="return-reason" class="form-input" required>
+                        <option value="">Select a reason</option>
+                        ${options.reasons.map((r) => `<option value="${esc(r.value)}">${esc(r.label)}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="return-notes">Details (optional)</label>
+                    <textarea id="return-notes" class="form-input" rows="3" maxlength="2000"></textarea>
+                </div>
+                <div class="acct-modal-actions">
+                    <button type="button" class="btn btn-secondary" data-act="cancel">Cancel</button>
+                    <button type="submit" class="btn btn-primary">Request return</button>
+                </div>
+            </form>
+        `;
+        const modal = this._openModal(html);
+        modal.querySelector('#return-request-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const items = [...modal.querySelectorAll('input[data-order-item-id]')]
+                .map((input) => ({ orderItemId: Number(input.dataset.orderItemId), quantity: Number(input.value) }))
+                .filter((i) => i.quantity > 0);
+            if (!items.length) return this.showNotification('Enter a quantity for at least one item', 'error');
+            const submitBtn = e.target.querySelector('button[type="submit"]');
+            submitBtn.disabled = true;
+            try {
+                const created = await this.apiRequest('/returns', {
+                    method: 'POST',
+                    body: {
+                        orderId,
+                        items,
+                        reason: document.getElementById('return-reason').value,
+                        notes: document.getElementById('return-notes').value.trim()
+                    }
+                });
+                this._closeModal();
+                this.showNotification(`Return ${created.rmaNumber} requested — watch your email for the label`, 'success');
+                await this._loadOrderReturns(orderId);
+            } catch (err) {
+                this.showNotification(err.message || 'Failed to request return', 'error');
+                submitBtn.disabled = false;
+            }
+        });
+    }
+
+    async _cancelReturnRequest(orderId, returnId) {
+        const ok = await this._confirmDialog({
+            title: 'Cancel return request?',
+            message: 'You can request a new return later while the return window is open.',
+            confirmLabel: 'Cancel request',
+            cancelLabel: 'Keep it',
+            destructive: true
+        });
+        if (!ok) return;
+        try {
+            await this.apiRequest(`/returns/${returnId}/cancel`, { method: 'POST' });
+            this.showNotification('Return request cancelled', 'success');
+            await this._loadOrderReturns(orderId);
+        } catch (err) {
+            this.showNotification(err.message || 'Failed to cancel return', 'error');
+        }
+    }
+
     renderAddress(address) {
         const defaultClass = address.is_default ? 'default' : '';
         const esc = (s) => this._esc(s);
@@ -1275,6 +1438,226 @@ class AccountManager {
         }
     }
 
+    // -----------------------------------------------------------------
+    // Autoship (subscribe & save)
+    // -----------------------------------------------------------------
+    async loadAutoship() {
+        const container = document.getElementById('autoship-container');
+        if (!container) return;
+
+        container.innerHTML = '<div class="empty-state"><i class="fas fa-spinner fa-spin"></i><p>Loading autoship...</p></div>';
+
+        try {
+            const response = await this.apiRequest('/autoship');
+            this._autoshipSettings = response.settings || null;
+            this._autoshipSubscriptions = response.subscriptions || [];
+            const active = this._autoshipSubscriptions.filter((s) => s.status !== 'cancelled');
+            if (active.length > 0) {
+                container.innerHTML = active.map((s) => this.renderAutoshipSubscription(s)).join('');
+            } else {
+                container.innerHTML = '<div class="empty-state"><i class="fas fa-sync-alt"></i><p>No autoship subscriptions yet</p></div>';
+            }
+            this._ensureAutoshipClickHandlers();
+        } catch (error) {
+            console.error('Error loading autoship:', error);
+            container.innerHTML = '<div class="empty-state"><i class="fas fa-exclamation-triangle"></i><p>Could not load autoship</p></div>';
+        }
+    }
+
+    renderAutoshipSubscription(s) {
+        const esc = (v) => this._esc(v);
+        const fmt = (v) => `$${parseFloat(v || 0).toFixed(2)}`;
+        const paused = s.status === 'paused';
+        const nextDate = s.nextOrderDate
+            ? new Date(`${s.nextOrderDate}T12:00:00`).toLocaleDateString()
+            : '—';
+        const card = s.card ? `${esc((s.card.brand || 'Card').toUpperCase())} •••• ${esc(s.card.last4)}` : 'Default saved card';
+        const name = s.variantName ? `${s.name} (${s.variantName})` : s.name;
+        return `
+            <div class="order-card" data-autoship-id="${s.id}">
+                <div class="order-header">
+                    <div>
+                        <div class="order-number">${esc(name)}</div>
+                        <div class="order-date">Every ${s.intervalDays} days · Qty ${s.quantity}</div>
+                    </div>
+                    <span class="order-status ${paused ? 'cancelled' : 'completed'}">${paused ? 'Paused' : 'Active'}</span>
+                </div>
+                <div class="order-details">
+                    <p><strong>Next delivery:</strong> ${paused ? 'Paused' : esc(nextDate)}</p>
+                    <p><strong>Price each:</strong> ${fmt(s.subscriptionUnitPrice)}${Number(s.subscriptionUnitPrice) < Number(s.unitPrice) ? ` <span style="color:var(--gray-500,#6b7280);text-decoration:line-through;">${fmt(s.unitPrice)}</span>` : ''}</p>
+                    <p><strong>Payment:</strong> ${card}</p>
+                    ${s.available ? '' : '<p style="color:var(--error,#dc2626);">This product is currently unavailable.</p>'}
+                    ${s.lastError ? `<p style="color:var(--error,#dc2626);">Last attempt failed: ${esc(s.lastError)}</p>` : ''}
+                </div>
+                <div style="display:flex;flex-wrap:wrap;gap:0.5rem;justify-content:flex-end;margin-top:0.5rem;">
+                    <button class="btn btn-secondary btn-sm" data-act="autoship-edit" data-id="${s.id}">Change</button>
+                    ${paused ? '' : `<button class="btn btn-secondary btn-sm" data-act="autoship-skip" data-id="${s.id}">Skip next</button>`}
+                    <button class="btn btn-secondary btn-sm" data-act="${paused ? 'autoship-resume' : 'autoship-pause'}" data-id="${s.id}">${paused ? 'Resume' : 'Pause'}</button>
+                    <button class="btn btn-secondary btn-sm" data-act="autoship-cancel" data-id="${s.id}">Cancel</button>
+                </div>
+            </div>
+        `;
+    }
+
+    _ensureAutoshipClickHandlers() {
+        const container = document.getElementById('autoship-container');
+        if (!container || container._wired) return;
+        container._wired = true;
+        container.addEventListener('click', async (e) => {
+            const btn = e.target.closest('button[data-act^="autoship-"]');
+            if (!btn) return;
+            const id = Number(btn.dataset.id);
+            const sub = (this._autoshipSubscriptions || []).find((s) => s.id === id);
+            if (!sub) return;
+            const act = btn.dataset.act.replace('autoship-', '');
+            if (act === 'edit') {
+                this._openAutoshipEditModal(sub);
+                return;
+            }
+            if (act === 'cancel') {
+                const ok = await this._confirmDialog({
+                    title: 'Cancel autoship?',
+                    message: `You will no longer receive ${sub.name} automatically.`,
+                    confirmLabel: 'Cancel autoship',
+                    cancelLabel: 'Keep it',
+                    destructive: true
+                });
+                if (!ok) return;
+            }
+            btn.disabled = true;
+            try {
+                if (act === 'cancel') {
+                    await this.apiRequest(`/autoship/${id}`, { method: 'DELETE' });
+                } else {
+                    await this.apiRequest(`/autoship/${id}/${act}`, { method: 'POST' });
+                }
+                const messages = {
+                    skip: 'Next delivery skipped',
+                    pause: 'Autoship paused',
+                    resume: 'Autoship resumed',
+                    cancel: 'Autoship cancelled'
+                };
+                this.showNotification(messages[act] || 'Autoship updated', 'success');
+                this.loadAutoship();
+            } catch (err) {
+                this.showNotification(err.message || 'Failed to update autoship', 'error');
+                btn.disabled = false;
+            }
+        });
+    }
+
+    _autoshipIntervalOptions(selected) {
+        const intervals = this._autoshipSettings?.intervalDays || [30, 45, 60, 90];
+        return intervals
+            .map((d) => `<option value="${d}" ${Number(selected) === Number(d) ? 'selected' : ''}>Every ${d} days</option>`)
+            .join('');
+    }
+
+    async _openAutoshipEditModal(sub) {
+        let cards = [];
+        try {
+            const res = await this.apiRequest('/payments/saved-cards');
+            cards = res.cards || [];
+        } catch {
+            cards = [];
+        }
+        const esc = (s) => this._esc(s);
+        const cardOptions = cards
+            .map((c) => `<option value="${c.id}" ${sub.card?.id === c.id ? 'selected' : ''}>${esc((c.brand || 'Card').toUpperCase())} •••• ${esc(c.last4)}${c.isDefault ? ' (default)' : ''}</option>`)
+            .join('');
+        const html = `
+            <h3>Change autoship</h3>
+            <p class="acct-confirm-message">${esc(sub.name)}</p>
+            <form id="autoship-edit-form">
+                <div class="form-group">
+                    <label for="autoship-qty">Quantity</label>
+                    <input type="number" id="autoship-qty" class="form-input" min="1" max="99" value="${sub.quantity}" required>
+                </div>
+                <div class="form-group">
+                    <label for="autoship-interval">Deliver</label>
+                    <select id="autoship-interval" class="form-input">${this._autoshipIntervalOptions(sub.intervalDays)}</select>
+                </div>
+                ${cards.length ? `
+                <div class="form-group">
+                    <label for="autoship-card">Payment card</label>
+                    <select id="autoship-card" class="form-input">${cardOptions}</select>
+                </div>` : ''}
+                <div class="acct-modal-actions">
+                    <button type="button" class="btn btn-secondary" data-act="cancel">Cancel</button>
+                    <button type="submit" class="btn btn-primary">Save Changes</button>
+                </div>
+            </form>
+        `;
+        const modal = this._openModal(html);
+        modal.querySelector('#autoship-edit-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const submitBtn = e.target.querySelector('button[type="submit"]');
+            submitBtn.disabled = true;
+            const payload = {
+                quantity: Number(document.getElementById('autoship-qty').value),
+                intervalDays: Number(document.getElementById('autoship-interval').value)
+            };
+            const cardSelect = document.getElementById('autoship-card');
+            if (cardSelect?.value) payload.paymentCardId = Number(cardSelect.value);
+            try {
+                await this.apiRequest(`/autoship/${sub.id}`, { method: 'PATCH', body: payload });
+                this._closeModal();
+                this.showNotification('Autoship updated', 'success');
+                this.loadAutoship();
+            } catch (err) {
+                this.showNotification(err.message || 'Failed to update autoship', 'error');
+                submitBtn.disabled = false;
+            }
+        });
+    }
+
+    async _openAutoshipSubscribeModal(orderItemId, name) {
+        if (!orderItemId) return;
+        if (!this._autoshipSettings) {
+            try {
+                const res = await this.apiRequest('/autoship/settings');
+                this._autoshipSettings = res;
+            } catch {
+                this._autoshipSettings = null;
+            }
+        }
+        const discount = Number(this._autoshipSettings?.discountPercent) || 0;
+        const html = `
+            <h3>Start autoship</h3>
+            <p class="acct-confirm-message">${this._esc(name)}${discount > 0 ? ` &mdash; save ${discount}% on every delivery` : ''}</p>
+            <form id="autoship-subscribe-form">
+                <div class="form-group">
+                    <label for="autoship-new-interval">Deliver</label>
+                    <select id="autoship-new-interval" class="form-input">${this._autoshipIntervalOptions(null)}</select>
+                </div>
+                <div class="acct-modal-actions">
+                    <button type="button" class="btn btn-secondary" data-act="cancel">Cancel</button>
+                    <button type="submit" class="btn btn-primary">Subscribe</button>
+                </div>
+            </form>
+        `;
+        const modal = this._openModal(html);
+        modal.querySelector('#autoship-subscribe-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const submitBtn = e.target.querySelector('button[type="submit"]');
+            submitBtn.disabled = true;
+            try {
+                await this.apiRequest('/autoship', {
+                    method: 'POST',
+                    body: {
+                        orderItemId,
+                        intervalDays: Number(document.getElementById('autoship-new-interval').value)
+                    }
+                });
+                this._closeModal();
+                this.showNotification('Autoship started — manage it under Autoship', 'success');
+            } catch (err) {
+                this.showNotification(err.message || 'Failed to start autoship', 'error');
+                submitBtn.disabled = false;
+            }
+        });
+    }
+
     // -----------------------------------------------------------------
     // Loyalty / Rewards
     // -----------------------------------------------------------------
@@ -1386,6 +1769,52 @@ class AccountManager {
             </div>`;
     }
 
+    // -----------------------------------------------------------------
+    // EDSA appointment packages
+    // -----------------------------------------------------------------
+    async loadEdsaPackages() {
+        const container = document.getElementById('edsa-packages-container');
+        if (!container) return;
+
+        container.innerHTML = '<div class="empty-state"><i class="fas fa-spinner fa-spin"></i><p>Loading packages...</p></div>';
+
+        try {
+            const response = await this.apiRequest('/user/edsa-packages');
+            if (response.packages && response.packages.length > 0) {
+                container.innerHTML = response.packages.map(p => this.renderEdsaPackage(p)).join('');
+            } else {
+                container.innerHTML = '<div class="empty-state"><i class="fas fa-ticket-alt"></i><p>No appointment packages yet</p></div>';
+            }
+        } catch (error) {
+            console.error('Error loading appointment packages:', error);
+            container.innerHTML = '<div class="empty-state"><i class="fas fa-exclamation-triangle"></i><p>Could not load appointment packages</p></div>';
+        }
+    }
+
+    renderEdsaPackage(p) {
+        const labels = { active: 'Active', used: 'All sessions used', expired: 'Expired', refunded: 'Refunded', cancelled: 'Cancelled' };
+        const statusClass = p.status === 'active' ? 'completed' : 'cancelled';
+        const fmtDate = (ymd) => new Date(`${ymd}T12:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+        let expiry = 'Never expires';
+        if (p.expiresOn) expiry = `${p.status === 'expired' ? 'Expired' : 'Use by'} ${fmtDate(p.expiresOn)}`;
+        const refund = p.status === 'refunded' && p.refundAmount != null
+            ? `<p style="margin:0.15rem 0;color:var(--gray-600,#4b5563);">${p.sessionsRefunded} unused session${p.sessionsRefunded === 1 ? '' : 's'} refunded (${new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(p.refundAmount)})</p>`
+            : '';
+        return `
+            <div class="address-card">
+                <h4 style="margin:0 0 0.25rem;">
+                    ${this._esc(p.name)}
+                    <span class="order-status ${statusClass}" style="margin-left:0.5rem;">${this._esc(labels[p.status] || p.status)}</span>
+                </h4>
+                <p style="margin:0.25rem 0;"><strong>${p.sessionsRemaining} of ${p.sessionsTotal} session${p.sessionsTotal === 1 ? '' : 's'} left</strong></p>
+                ${p.serviceName ? `<p style="margin:0.15rem 0;">For ${this._esc(p.serviceName)}</p>` : ''}
+                <p style="margin:0.15rem 0;color:var(--gray-600,#4b5563);">${this._esc(expiry)}</p>
+                ${p.orderNumber ? `<p style="margin:0.15rem 0;color:var(--gray-600,#4b5563);">Order ${this._esc(p.orderNumber)}</p>` : ''}
+                ${refund}
+                ${p.status === 'active' ? '<div class="address-actions"><a class="btn btn-secondary btn-sm" href="index.html#edsa-service">Book a session</a></div>' : ''}
+            </div>`;
+    }
+
     bindGiftCardLookup() {
         const form = document.getElementById('gift-card-balance-form');
         if (!form || form._bound) return;
@@ -0,0 +1,373 @@
+'use strict';
+
+/**
+ * Admin → Commissions: per-employee commission report for register sales (with payroll CSV),
+ * and the brand / category / product commission rules behind it.
+ */
+(function () {
+    const SCOPE_LABELS = { all: 'All products', brand: 'Brand', category: 'Category', product: 'Product' };
+
+    const AdminCommissions = {
+        rules: [],
+        _bound: false,
+        _optionsLoaded: false,
+        _scopeOptions: { brand: [], category: [] },
+
+        init() {
+            if (!this._bound) {
+                this.bindEvents();
+                this.setDefaultPeriod();
+                this._bound = true;
+            }
+            void this.loadOptions();
+            void this.loadReport();
+            void this.loadRules();
+        },
+
+        app() {
+            return window.adminApp;
+        },
+
+        toast(msg, type = 'info') {
+            this.app()?.showNotification?.(msg, type);
+        },
+
+        escape(value) {
+            return this.app().escapeHtml(value == null ? '' : String(value));
+        },
+
+        api(path, options = {}) {
+            return this.app().apiRequest('/admin/pos-commissions' + path, options);
+        },
+
+        money(value) {
+            const n = Number(value) || 0;
+            return `${n < 0 ? '-' : ''}$${Math.abs(n).toFixed(2)}`;
+        },
+
+        bindEvents() {
+            document.getElementById('commissionReportForm')?.addEventListener('submit', (e) => {
+                e.preventDefault();
+                void this.loadReport();
+            });
+            document.getElementById('commissionCsvBtn')?.addEventListener('click', () => void this.downloadCsv(false));
+            document.getElementById('commissionDetailCsvBtn')?.addEventListener('click', () => void this.downloadCsv(true));
+            document.getElementById('commissionRuleScope')?.addEventListener('change', () => this.syncScopeTarget());
+            document.getElementById('commissionRuleForm')?.addEventListener('submit', (e) => {
+                e.preventDefault();
+                void this.saveRule();
+            });
+            document.getElementById('commissionRuleCancelBtn')?.addEventListener('click', () => this.resetRuleForm());
+        },
+
+        setDefaultPeriod() {
+            const to = new Date();
+            const from = new Date(to);
+            from.setDate(from.getDate() - 13);
+            const ymd = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+            const fromInput = document.getElementById('commissionFrom');
+            const toInput = document.getElementById('commissionTo');
+            if (fromInput && !fromInput.value) fromInput.value = ymd(from);
+            if (toInput && !toInput.value) toInput.value = ymd(to);
+        },
+
+        async loadOptions() {
+            if (this._optionsLoaded) return;
+            try {
+                const [categories, brands, people] = await Promise.all([
+                    this.app().apiRequest('/admin/categories'),
+                    this.app().apiRequest('/admin/brands'),
+                    this.api('/salespeople')
+                ]);
+                this._scopeOptions = {
+                    category: (categories || []).map((c) => ({ id: c.id, name: c.parent_id ? `— ${c.name}` : c.name })),
+                    brand: (brands || []).map((b) => ({ id: b.id, name: b.name }))
+                };
+                const select = document.getElementById('commissionEmployee');
+                if (select) {
+                    select.innerHTML =
+                        '<option value="">All employees</option>' +
+                        (people?.salespeople || [])
+                            .map((p) => `<option value="${Number(p.id)}">${this.escape(p.name || p.employeeCode)}</option>`)
+                            .join('');
+                }
+                this._optionsLoaded = true;
+                this.syncScopeTarget();
+            } catch (err) {
+                this.toast(`Could not load commission options: ${err.message}`, 'error');
+            }
+        },
+
+        syncScopeTarget(selectedId) {
+            const scope = document.getElementById('commissionRuleScope')?.value || 'all';
+            const targetGroup = document.getElementById('commissionRuleTargetGroup');
+            const skuGroup = document.getElementById('commissionRuleSkuGroup');
+            const select = document.getElementById('commissionRuleTarget');
+            if (targetGroup) targetGroup.style.display = scope === 'brand' || scope === 'category' ? 'block' : 'none';
+            if (skuGroup) skuGroup.style.display = scope === 'product' ? 'block' : 'none';
+            if (!select || (scope !== 'brand' && scope !== 'category')) return;
+            select.innerHTML = (this._scopeOptions[scope] || [])
+                .map((o) => `<option value="${Number(o.id)}"${Number(o.id) === Number(selectedId) ? ' selected' : ''}>${this.escape(o.name)}</option>`)
+                .join('');
+        },
+
+        periodParams() {
+            const params = new URLSearchParams();
+            const from = document.getElementById('commissionFrom')?.value;
+            const to = document.getElementById('commissionTo')?.value;
+            const employeeId = document.getElementById('commissionEmployee')?.value;
+            if (from) params.set('from', from);
+            if (to) params.set('to', to);
+            if (employeeId) params.set('employeeId', employeeId);
+            return params;
+        },
+
+        async loadReport() {
+            const container = document.getElementById('commissionReport');
+            if (!container) return;
+            container.innerHTML = '<div class="loading"><div class="spinner"></div>Loading report...</div>';
+            try {
+                const data = await this.api(`/report?${this.periodParams()}`);
+                if (!data) return;
+                container.classList.remove('loading');
+                if (!data.employees?.length) {
+                    container.innerHTML = `<div style="text-align: center; padding: 2rem; color: var(--gray-500);"><p>No register sales between ${this.escape(data.from)} and ${this.escape(data.to)}.</p></div>`;
+                    return;
+                }
+                container.innerHTML = `
+                    <div class="table-container">
+                        <table class="table">
+                            <thead>
+                                <tr>
+                                    <th>Employee</th>
+                                    <th>Orders</th>
+                                    <th>Units</th>
+                                    <th>Net sales</th>
+                                    <th>Commission</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${data.employees.map((e) => `
+                                <tr>
+                                    <td>${this.escape(e.name)}${e.employeeCode ? ` <small>${this.escape(e.employeeCode)}</small>` : ''}</td>
+                                    <td>${Number(e.orders) || 0}</td>
+                                    <td>${Number(e.units) || 0}</td>
+                                    <td>${this.money(e.netSales)}</td>
+                                    <td><strong>${this.money(e.commission)}</strong></td>
+                                </tr>`).join('')}
+                            </tbody>
+                            <tfoot>
+                                <tr>
+                                    <th>Total</th>
+                                    <th></th>
+                                    <th>${Number(data.totals?.units) || 0}</th>
+                                    <th>${this.money(data.totals?.netSales)}</th>
+                                    <th>${this.money(data.totals?.commission)}</th>
+                                </tr>
+                            </tfoot>
+                        </table>
+                    </div>
+                    ${data.rules?.length ? `
+                    <h4 style="margin: 1.5rem 0 0.5rem;">By rule</h4>
+                    <div class="table-container">
+                        <table class="table">
+                            <thead>
+                                <tr>
+                                    <th>Rule</th>
+                                    <th>Units</th>
+                                    <th>Net sales</th>
+                                    <th>Commission</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${data.rules.map((r) => `
+                                <tr>
+                                    <td>${this.escape(r.name)}</td>
+                                    <td>${Number(r.units) || 0}</td>
+                                    <td>${this.money(r.netSales)}</td>
+                                    <td>${this.money(r.commission)}</td>
+                                </tr>`).join('')}
+                            </tbody>
+                        </table>
+                    </div>` : ''}`;
+            } catch (err) {
+                container.innerHTML = `<div style="text-align: center; padding: 2rem; color: var(--error);"><p>Failed to load report: ${this.escape(err.message)}</p></div>`;
+            }
+        },
+
+        async downloadCsv(detail) {
+            const app = this.app();
+            const params = this.periodParams();
+            if (detail) params.set('detail', '1');
+            try {
+                const response = await fetch(`${app.apiBaseUrl}/admin/pos-commissions/report.csv?${params}`, {
+                    headers: { Authorization: `Bearer ${app.authToken}` }
+                });
+                if (!response.ok) {
+                    const data = await response.json().catch(() => ({}));
+                    throw new Error(data.error || `Export failed (${response.status})`);
+                }
+                const blob = await response.blob();
+                const disposition = response.headers.get('Content-Disposition') || '';
+                const match = disposition.match(/filename="([^"]+)"/);
+                const url = URL.createObjectURL(blob);
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = match ? match[1] : 'commissions.csv';
+                document.body.appendChild(link);
+                link.click();
+                link.remove();
+                URL.revokeObjectURL(url);
+            } catch (err) {
+                this.toast(err.message || 'Commission export failed', 'error');
+            }
+        },
+
+        ruleTarget(rule) {
+            if (rule.scope === 'brand') return rule.brandName || `Brand #${rule.brandId}`;
+            if (rule.scope === 'category') return rule.categoryName || `Category #${rule.categoryId}`;
+            if (rule.scope === 'product') return `${rule.productName || 'Product'}${rule.productSku ? ` (${rule.productSku})` : ''}`;
+            return SCOPE_LABELS.all;
+        },
+
+        ruleAmount(rule) {
+            const parts = [];
+            if (rule.ratePercent) parts.push(`${Number(rule.ratePercent)}%`);
+            if (rule.flatPerUnit) parts.push(`${this.money(rule.flatPerUnit)} / unit`);
+            return parts.join(' + ');
+        },
+
+        async loadRules() {
+            const container = document.getElementById('commissionRules');
+            if (!container) return;
+            try {
+                const data = await this.api('/rules');
+                if (!data) return;
+                container.classList.remove('loading');
+                this.rules = data.rules || [];
+                if (!this.rules.length) {
+                    container.innerHTML = '<div style="text-align: center; padding: 2rem; color: var(--gray-500);"><p>No commission rules yet &mdash; sales are attributed but earn nothing until a rule applies.</p></div>';
+                    return;
+                }
+                container.innerHTML = `
+                    <div class="table-container">
+                        <table class="table">
+                            <thead>
+                                <tr>
+                                    <th>Rule</th>
+                                    <th>Applies to</th>
+                                    <th>Pays</th>
+                                    <th>Dates</th>
+                                    <th>Status</th>
+                                    <th>Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${this.rules.map((r) => `
+                                <tr>
+                                    <td>${this.escape(r.name)}</td>
+                                    <td><small>${SCOPE_LABELS[r.scope] || ''}</small><br>${this.escape(this.ruleTarget(r))}</td>
+                                    <td>${this.escape(this.ruleAmount(r))}</td>
+                                    <td>${r.startsOn || r.endsOn ? `${this.escape(r.startsOn || '…')} &ndash; ${this.escape(r.endsOn || '…')}` : '&mdash;'}</td>
+                                    <td>${r.isActive ? '<span class="badge badge-success">Active</span>' : '<span class="badge badge-secondary">Off</span>'}</td>
+                                    <td>
+                                        <button type="button" class="btn btn-sm btn-secondary" onclick="window.AdminCommissions.editRule(${Number(r.id)})">
+                                            <i class="fas fa-edit"></i> Edit
+                                        </button>
+                                        <button type="button" class="btn btn-sm btn-danger" onclick="window.AdminCommissions.deleteRule(${Number(r.id)})">
+                                            <i class="fas fa-trash"></i>
+                                        </button>
+                                    </td>
+                                </tr>`).join('')}
+                            </tbody>
+                        </table>
+                    </div>`;
+            } catch (err) {
+                container.innerHTML = `<div style="text-align: center; padding: 2rem; color: var(--error);"><p>Failed to load rules: ${this.escape(err.message)}</p></div>`;
+            }
+        },
+
+        setValue(id, value) {
+            const el = document.getElementById(id);
+            if (el) el.value = value == null ? '' : value;
+        },
+
+        editRule(id) {
+            const rule = this.rules.find((r) => Number(r.id) === Number(id));
+            if (!rule) return;
+            this.setValue('commissionRuleId', rule.id);
+            this.setValue('commissionRuleName', rule.name);
+            this.setValue('commissionRuleScope', rule.scope);
+            this.syncScopeTarget(rule.scope === 'brand' ? rule.brandId : rule.categoryId);
+            this.setValue('commissionRuleSku', rule.productSku);
+            this.setValue('commissionRuleRate', rule.ratePercent || '');
+            this.setValue('commissionRuleFlat', rule.flatPerUnit || '');
+            this.setValue('commissionRuleStarts', rule.startsOn);
+            this.setValue('commissionRuleEnds', rule.endsOn);
+            const active = document.getElementById('commissionRuleActive');
+            if (active) active.checked = Boolean(rule.isActive);
+            const save = document.getElementById('commissionRuleSaveBtn');
+            if (save) save.innerHTML = '<i class="fas fa-save"></i> Save rule';
+            const cancel = document.getElementById('commissionRuleCancelBtn');
+            if (cancel) cancel.style.display = '';
+            document.getElementById('commissionRuleName')?.focus();
+        },
+
+        resetRuleForm() {
+            document.getElementById('commissionRuleForm')?.reset();
+            this.setValue('commissionRuleId', '');
+            this.syncScopeTarget();
+            const save = document.getElementById('commissionRuleSaveBtn');
+            if (save) save.innerHTML = '<i class="fas fa-save"></i> Add rule';
+            const cancel = document.getElementById('commissionRuleCancelBtn');
+            if (cancel) cancel.style.display = 'none';
+        },
+
+        async saveRule() {
+            const id = document.getElementById('commissionRuleId')?.value;
+            const scope = document.getElementById('commissionRuleScope')?.value || 'all';
+            const target = document.getElementById('commissionRuleTarget')?.value || null;
+            const payload = {
+                name: (document.getElementById('commissionRuleName')?.value || '').trim(),
+                scope,
+                brandId: scope === 'brand' ? target : null,
+                categoryId: scope === 'category' ? target : null,
+                productSku: scope === 'product' ? (document.getElementById('commissionRuleSku')?.value || '').trim() : null,
+                ratePercent: document.getElementById('commissionRuleRate')?.value || 0,
+                flatPerUnit: document.getElementById('commissionRuleFlat')?.value || 0,
+                startsOn: document.getElementById('commissionRuleStarts')?.value || null,
+                endsOn: document.getElementById('commissionRuleEnds')?.value || null,
+                isActive: Boolean(document.getElementById('commissionRuleActive')?.checked)
+            };
+            try {
+                const data = await this.api(id ? `/rules/${Number(id)}` : '/rules', {
+                    method: id ? 'PUT' : 'POST',
+                    body: JSON.stringify(payload)
+                });
+                if (!data) return;
+                this.toast(id ? 'Commission rule saved' : 'Commission rule added', 'success');
+                this.resetRuleForm();
+                await this.loadRules();
+                void this.loadReport();
+            } catch (err) {
+                this.toast(err.message || 'Could not save rule', 'error');
+            }
+        },
+
+        async deleteRule(id) {
+            const rule = this.rules.find((r) => Number(r.id) === Number(id));
+            if (!confirm(`Delete the commission rule "${rule?.name || id}"? Reports are recalculated from the remaining rules.`)) return;
+            try {
+                const data = await this.api(`/rules/${Number(id)}`, { method: 'DELETE' });
+                if (!data) return;
+                this.toast('Commission rule deleted', 'success');
+                await this.loadRules();
+                void this.loadReport();
+            } catch (err) {
+                this.toast(err.message || 'Could not delete rule', 'error');
+            }
+        }
+    };
+
+    window.AdminCommissions = AdminCommissions;
+})();
@@ -0,0 +1,748 @@
+'use strict';
+
+/**
+ * Admin → EDSA Services: the appointment types customers can book online (duration, buffer,
+ * price, deposit), the practitioners who perform them (working hours, Google calendar), the
+ * reminder / no-show fee policy, the intake questionnaires customers answer before a visit and the
+ * prepaid session packages sold as products.
+ */
+(function () {
+    const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const QUESTION_TYPES = {
+        text: 'Short answer',
+        long_text: 'Paragraph',
+        yes_no: 'Yes / no',
+        choice: 'One choice',
+        multi_choice: 'Several choices',
+        date: 'Date'
+    };
+
+    const AdminEdsaServices = {
+        services: [],
+        practitioners: [],
+        intakeForms: [],
+        packages: [],
+        productResults: [],
+        _bound: false,
+
+        init() {
+            if (!this._bound) {
+                this.bindEvents();
+                this._bound = true;
+            }
+            void this.load();
+        },
+
+        app() {
+            return window.adminApp;
+        },
+
+        toast(msg, type = 'info') {
+            this.app()?.showNotification?.(msg, type);
+        },
+
+        escape(value) {
+            return this.app().escapeHtml(value == null ? '' : String(value));
+        },
+
+        api(path, options = {}) {
+            return this.app().apiRequest('/admin/edsa-services' + path, options);
+        },
+
+        canEdit() {
+            return this.app().currentUser?.role !== 'assistant_manager';
+        },
+
+        money(value) {
+            return `$${(Number(value) || 0).toFixed(2)}`;
+        },
+
+        formatTime(hm) {
+            const [h, m] = String(hm).split(':').map(Number);
+            return `${h % 12 || 12}:${String(m).padStart(2, '0')} ${h >= 12 ? 'PM' : 'AM'}`;
+        },
+
+        bindEvents() {
+            document.getElementById('edsaServiceAddBtn')?.addEventListener('click', () => this.openServiceForm(null));
+            document.getElementById('edsaServiceCancelBtn')?.addEventListener('click', () => this.closeForm('edsaServiceForm'));
+            document.getElementById('edsaServiceForm')?.addEventListener('submit', (e) => {
+                e.preventDefault();
+                void this.saveService();
+            });
+            document.getElementById('edsaPractitionerAddBtn')?.addEventListener('click', () => this.openPractitionerForm(null));
+            document.getElementById('edsaPractitionerCancelBtn')?.addEventListener('click', () => this.closeForm('edsaPractitionerForm'));
+            document.getElementById('edsaPractitionerForm')?.addEventListener('submit', (e) => {
+                e.preventDefault();
+                void this.savePractitioner();
+            });
+            document.getElementById('edsaPolicyForm')?.addEventListener('submit', (e) => {
+                e.preventDefault();
+                void this.savePolicy();
+            });
+            document.getElementById('edsaPractitionerAddHoursBtn')?.addEventListener('click', () => {
+                this.addHoursRow({ weekday: 1, start: '10:00', end: '17:00' });
+            });
+            document.getElementById('edsaPractitionerHours')?.addEventListener('click', (e) => {
+                const btn = e.target.closest('[data-remove-hours]');
+                if (btn) btn.closest('.edsa-hours-row')?.remove();
+            });
+            document.getElementById('edsaServicesList')?.addEventListener('click', (e) => {
+                const btn = e.target.closest('[data-service-action]');
+                if (!btn) return;
+                const service = this.services.find((s) => s.id === Number(btn.dataset.id));
+                if (btn.dataset.serviceAction === 'edit') this.openServiceForm(service);
+                if (btn.dataset.serviceAction === 'delete') void this.deleteService(service);
+            });
+            document.getElementById('edsaIntakeAddBtn')?.addEventListener('click', () => this.openIntakeForm(null));
+            document.getElementById('edsaIntakeCancelBtn')?.addEventListener('click', () => this.closeForm('edsaIntakeForm'));
+            document.getElementById('edsaIntakeForm')?.addEventListener('submit', (e) => {
+                e.preventDefault();
+                void this.saveIntakeForm();
+            });
+            document.getElementById('edsaIntakeAddQuestionBtn')?.addEventListener('click', () => {
+                this.addQuestionRow({ label: '', type: 'text', required: false, options: [] });
+            });
+            document.getElementById('edsaIntakeQuestions')?.addEventListener('click', (e) => {
+                const btn = e.target.closest('[data-remove-question]');
+                if (btn) btn.closest('.edsa-question-row')?.remove();
+            });
+            document.getElementById('edsaIntakeQuestions')?.addEventListener('change', (e) => {
+                const select = e.target.closest('[data-question-type]');
+                if (!select) return;
+                const options = select.closest('.edsa-question-row')?.querySelector('[data-question-options]');
+                if (options) options.hidden = !['choice', 'multi_choice'].includes(select.value);
+            });
+            document.getElementById('edsaIntakeList')?.addEventListener('click', (e) => {
+                const btn = e.target.closest('[data-intake-action]');
+                if (!btn) return;
+                const form = this.intakeForms.find((f) => f.id === Number(btn.dataset.id));
+                if (btn.dataset.intakeAction === 'edit') this.openIntakeForm(form);
+                if (btn.dataset.intakeAction === 'delete') void this.deleteIntakeForm(form);
+            });
+            document.getElementById('edsaPackageAddBtn')?.addEventListener('click', () => this.openPackageForm(null));
+            document.getElementById('edsaPackageCancelBtn')?.addEventListener('click', () => this.closeForm('edsaPackageForm'));
+            document.getElementById('edsaPackageForm')?.addEventListener('submit', (e) => {
+                e.preventDefault();
+                void this.savePackage();
+            });
+            let productSearchTimer = null;
+            document.getElementById('edsaPackageProductSearch')?.addEventListener('input', (e) => {
+                clearTimeout(productSearchTimer);
+                const term = e.target.value.trim();
+                productSearchTimer = setTimeout(() => void this.searchPackageProducts(term), 250);
+            });
+            document.getElementById('edsaPackageProductResults')?.addEventListener('click', (e) => {
+                const btn = e.target.closest('[data-package-product]');
+                if (!btn) return;
+                const product = this.productResults.find((p) => Number(p.id) === Number(btn.dataset.packageProduct));
+                if (product) this.setPackageProduct({ id: Number(product.id), name: product.name, sku: product.sku, price: product.price });
+            });
+            document.getElementById('edsaPackagesList')?.addEventListener('click', (e) => {
+                const btn = e.target.closest('[data-package-action]');
+                if (!btn) return;
+                const pkg = this.packages.find((p) => p.id === Number(btn.dataset.id));
+                if (btn.dataset.packageAction === 'edit') this.openPackageForm(pkg);
+                if (btn.dataset.packageAction === 'delete') void this.deletePackage(pkg);
+            });
+            document.getElementById('edsaPractitionersList')?.addEventListener('click', (e) => {
+                const btn = e.target.closest('[data-practitioner-action]');
+                if (!btn) return;
+                const practitioner = this.practitioners.find((p) => p.id === Number(btn.dataset.id));
+                if (btn.dataset.practitionerAction === 'edit') this.openPractitionerForm(practitioner);
+                if (btn.dataset.practitionerAction === 'delete') void this.deletePractitioner(practitioner);
+            });
+        },
+
+        async load() {
+            try {
+                const data = await this.api('');
+                this.services = data?.services || [];
+                this.practitioners = data?.practitioners || [];
+                this.renderServices();
+                this.renderPractitioners();
+            } catch (err) {
+                const msg = `<p style="color:var(--error);">${this.escape(err.message || 'Failed to load EDSA services')}</p>`;
+                document.getElementById('edsaServicesList').innerHTML = msg;
+                document.getElementById('edsaPractitionersList').innerHTML = '';
+            }
+            const editable = this.canEdit();
+            ['edsaServiceAddBtn', 'edsaPractitionerAddBtn', 'edsaPolicySaveBtn', 'edsaIntakeAddBtn', 'edsaPackageAddBtn'].forEach((id) => {
+                const btn = document.getElementById(id);
+                if (btn) btn.hidden = !editable;
+            });
+            await this.loadPolicy();
+            await this.loadIntakeForms();
+            await this.loadPackages();
+        },
+
+        fillPolicy(policy, smsConfigured) {
+            document.getElementById('edsaPolicyReminderHours').value = (policy.reminderHours || []).join(', ');
+            document.getElementById('edsaPolicyNoShowFee').value = policy.noShowFee ? policy.noShowFee.toFixed(2) : '';
+            document.getElementById('edsaPolicyLateCancelFee').value = policy.lateCancelFee ? policy.lateCancelFee.toFixed(2) : '';
+            document.getElementById('edsaPolicyLateCancelHours').value = policy.lateCancelHours;
+            document.getElementById('edsaPolicySms').checked = Boolean(policy.smsReminders);
+            document.getElementById('edsaPolicySmsNote').textContent = smsConfigured
+                ? ''
+                : 'Text messages are not set up on this server (SMS_PROVIDER), so only emails go out.';
+        },
+
+        async loadPolicy() {
+            try {
+                const data = await this.api('/policy');
+                if (data?.policy) this.fillPolicy(data.policy, data.smsConfigured);
+            } catch (err) {
+                this.toast(err.message || 'Could not load the reminder policy', 'error');
+            }
+        },
+
+        async savePolicy() {
+            const payload = {
+                reminderHours: document.getElementById('edsaPolicyReminderHours').value,
+                noShowFee: document.getElementById('edsaPolicyNoShowFee').value,
+                lateCancelFee: document.getElementById('edsaPolicyLateCancelFee').value,
+                lateCancelHours: Number(document.getElementById('edsaPolicyLateCancelHours').value || 0),
+                smsReminders: document.getElementById('edsaPolicySms').checked
+            };
+            try {
+                const data = await this.api('/policy', { method: 'PUT', body: JSON.stringify(payload) });
+                if (data?.policy) this.fillPolicy(data.policy, data.smsConfigured);
+                this.toast('Reminder and fee policy saved', 'success');
+            } catch (err) {
+                this.toast(err.message || 'Could not save the policy', 'error');
+            }
+        },
+
+        practitionerNames(ids) {
+            const names = this.practitioners.filter((p) => ids.includes(p.id)).map((p) => p.name);
+            return names.length ? names.join(', ') : '<span style="color:var(--error);">Nobody — not bookable</span>';
+        },
+
+        actionButtons(kind, id) {
+            if (!this.canEdit()) return '';
+            return `
+                <button type="button" class="btn btn-secondary btn-sm" data-${kind}-action="edit" data-id="${id}">Edit</button>
+                <button type="button" class="btn btn-danger btn-sm" data-${kind}-action="delete" data-id="${id}">Delete</button>`;
+        },
+
+        renderServices() {
+            const container = document.getElementById('edsaServicesList');
+            if (!container) return;
+            container.classList.remove('loading');
+            if (!this.services.length) {
+                container.innerHTML =
+                    '<p style="color:var(--gray-500);">No services yet. Online booking uses the single EDSA session until you add one.</p>';
+                return;
+            }
+            container.innerHTML = `
+                <div class="table-container">
+                    <table class="table">
+                        <thead>
+                            <tr><th>Service</th><th>Length</th><th>Price</th><th>Deposit</th><th>Practitioners</th><th>Status</th><th></th></tr>
+                        </thead>
+                        <tbody>
+                            ${this.services
+                                .map(
+                                    (s) => `
+                                <tr>
+                                    <td><strong>${this.escape(s.name)}</strong></td>
+                                    <td>${s.durationMinutes} min${s.bufferMinutes ? ` + ${s.bufferMinutes} buffer` : ''}</td>
+                                    <td>${this.money(s.price)}</td>
+                                    <td>${s.depositAmount != null && s.depositAmount < s.price ? this.money(s.depositAmount) : 'Full price'}</td>
+                                    <td>${this.practitionerNames(s.practitionerIds)}</td>
+                                    <td>${s.isActive ? '<span class="badge badge-success">Bookable</span>' : '<span class="badge badge-secondary">Inactive</span>'}</td>
+                                    <td style="white-space:nowrap;">${this.actionButtons('service', s.id)}</td>
+                                </tr>`
+                                )
+                                .join('')}
+                        </tbody>
+                    </table>
+                </div>`;
+        },
+
+        formatHours(hours) {
+            if (!hours.length) return '<span style="color:var(--error);">No hours set</span>';
+            return hours
+                .map((h) => `${WEEKDAYS[h.weekday]} ${this.formatTime(h.start)}–${this.formatTime(h.end)}`)
+                .map((text) => this.escape(text))
+                .join('<br>');
+        },
+
+        renderPractitioners() {
+            const container = document.getElementById('edsaPractitionersList');
+            if (!container) return;
+            container.classList.remove('loading');
+            if (!this.practitioners.length) {
+                container.innerHTML = '<p style="color:var(--gray-500);">No practitioners yet.</p>';
+                return;
+            }
+            container.innerHTML = `
+                <div class="table-container">
+                    <table class="table">
+                        <thead>
+                            <tr><th>Practitioner</th><th>Working hours</th><th>Calendar</th><th>Services</th><th>Status</th><th></th></tr>
+                        </thead>
+                        <tbody>
+                            ${this.practitioners
+                                .map(
+                                    (p) => `
+                                <tr>
+                                    <td><strong>${this.escape(p.name)}</strong>${p.email ? `<br><small>${this.escape(p.email)}</small>` : ''}</td>
+                                    <td>${this.formatHours(p.hours)}</td>
+                                    <td>${p.calendarId ? this.escape(p.calendarId) : 'Store calendar'}</td>
+                                    <td>${this.escape(this.services.filter((s) => p.serviceIds.includes(s.id)).map((s) => s.name).join(', ') || '—')}</td>
+                                    <td>${p.isActive ? '<span class="badge badge-success">Active</span>' : '<span class="badge badge-secondary">Inactive</span>'}</td>
+                                    <td style="white-space:nowrap;">${this.actionButtons('practitioner', p.id)}</td>
+                                </tr>`
+                                )
+                                .join('')}
+                        </tbody>
+                    </table>
+                </div>`;
+        },
+
+        checkboxList(items, checkedIds, name) {
+            if (!items.length) return '<span style="color:var(--gray-500);">None yet</span>';
+            return items
+                .map(
+                    (item) => `
+                <label style="display:flex;gap:0.35rem;align-items:center;">
+                    <input type="checkbox" name="${name}" value="${item.id}"${checkedIds.includes(item.id) ? ' checked' : ''}>
+                    ${this.escape(item.name)}${item.isActive ? '' : ' (inactive)'}
+                </label>`
+                )
+                .join('');
+        },
+
+        checkedIds(containerId) {
+            return [...document.querySelectorAll(`#${containerId} input[type="checkbox"]:checked`)].map((box) => Number(box.value));
+        },
+
+        closeForm(formId) {
+            const form = document.getElementById(formId);
+            if (form) form.hidden = true;
+        },
+
+        openServiceForm(service) {
+            const form = document.getElementById('edsaServiceForm');
+            if (!form) return;
+            const s = service || { durationMinutes: 60, bufferMinutes: 0, price: '', depositAmount: null, sortOrder: 0, isActive: true, practitionerIds: [] };
+            document.getElementById('edsaServiceId').value = service ? service.id : '';
+            document.getElementById('edsaServiceName').value = s.name || '';
+            document.getElementById('edsaServiceDuration').value = s.durationMinutes;
+            document.getElementById('edsaServiceBuffer').value = s.bufferMinutes;
+            document.getElementById('edsaServicePrice').value = s.price;
+            document.getElementById('edsaServiceDeposit').value = s.depositAmount ?? '';
+            document.getElementById('edsaServiceSort').value = s.sortOrder;
+            document.getElementById('edsaServiceDescription').value = s.description || '';
+            document.getElementById('edsaServiceActive').checked = s.isActive;
+            document.getElementById('edsaServicePractitioners').innerHTML = this.checkboxList(
+                this.practitioners,
+                s.practitionerIds,
+                'servicePractitioner'
+            );
+            form.hidden = false;
+            document.getElementById('edsaServiceName').focus();
+        },
+
+        async saveService() {
+            const id = document.getElementById('edsaServiceId').value;
+            const payload = {
+                name: document.getElementById('edsaServiceName').value.trim(),
+                durationMinutes: Number(document.getElementById('edsaServiceDuration').value),
+                bufferMinutes: Number(document.getElementById('edsaServiceBuffer').value || 0),
+                price: Number(document.getElementById('edsaServicePrice').value),
+                depositAmount: document.getElementById('edsaServiceDeposit').value,
+                sortOrder: Number(document.getElementById('edsaServiceSort').value || 0),
+                description: document.getElementById('edsaServiceDescription').value,
+                isActive: document.getElementById('edsaServiceActive').checked,
+                practitionerIds: this.checkedIds('edsaServicePractitioners')
+            };
+            try {
+                await this.api(id ? `/services/${id}` : '/services', {
+                    method: id ? 'PUT' : 'POST',
+                    body: JSON.stringify(payload)
+                });
+                this.toast(id ? 'Service updated' : 'Service created', 'success');
+                this.closeForm('edsaServiceForm');
+                await this.load();
+            } catch (err) {
+                this.toast(err.message || 'Could not save service', 'error');
+            }
+        },
+
+        async deleteService(service) {
+            if (!service || !confirm(`Delete "${service.name}"? Services with bookings are deactivated instead.`)) return;
+            try {
+                const result = await this.api(`/services/${service.id}`, { method: 'DELETE' });
+                this.toast(result?.message || 'Service deleted', 'success');
+                await this.load();
+            } catch (err) {
+                this.toast(err.message || 'Could not delete service', 'error');
+            }
+        },
+
+        addHoursRow(hours) {
+            const container = document.getElementById('edsaPractitionerHours');
+            if (!container) return;
+            const row = document.createElement('div');
+            row.className = 'edsa-hours-row';
+            row.style.cssText = 'display:flex;gap:0.5rem;align-items:center;margin-bottom:0.4rem;';
+            row.innerHTML = `
+                <select class="form-input" data-hours-weekday style="max-width:7rem;" aria-label="Weekday">
+                    ${WEEKDAYS.map((d, i) => `<option value="${i}"${i === hours.weekday ? ' selected' : ''}>${d}</option>`).join('')}
+                </select>
+                <input type="time" class="form-input" data-hours-start value="${this.escape(hours.start)}" style="max-width:9rem;" aria-label="Start">
+                <span>to</span>
+                <input type="time" class="form-input" data-hours-end value="${this.escape(hours.end)}" style="max-width:9rem;" aria-label="End">
+                <button type="button" class="btn btn-secondary btn-sm" data-remove-hours aria-label="Remove hours"><i class="fas fa-times"></i></button>`;
+            container.appendChild(row);
+        },
+
+        openPractitionerForm(practitioner) {
+            const form = document.getElementById('edsaPractitionerForm');
+            if (!form) return;
+            const p = practitioner || { sortOrder: 0, isActive: true, hours: [], serviceIds: [] };
+            document.getElementById('edsaPractitionerId').value = practitioner ? practitioner.id : '';
+            document.getElementById('edsaPractitionerName').value = p.name || '';
+            document.getElementById('edsaPractitionerEmail').value = p.email || '';
+            document.getElementById('edsaPractitionerCalendar').value = p.calendarId || '';
+            document.getElementById('edsaPractitionerSort').value = p.sortOrder;
+            document.getElementById('edsaPractitionerActive').checked = p.isActive;
+            document.getElementById('edsaPractitionerHours').innerHTML = '';
+            p.hours.forEach((h) => this.addHoursRow(h));
+            if (!practitioner) {
+                [1, 2, 3, 4, 5].forEach((weekday) => this.addHoursRow({ weekday, start: '10:00', end: '17:00' }));
+            }
+            document.getElementById('edsaPractitionerServices').innerHTML = this.checkboxList(
+                this.services,
+                p.serviceIds,
+                'practitionerService'
+            );
+            form.hidden = false;
+            document.getElementById('edsaPractitionerName').focus();
+        },
+
+        async savePractitioner() {
+            const id = document.getElementById('edsaPractitionerId').value;
+            const hours = [...document.querySelectorAll('#edsaPractitionerHours .edsa-hours-row')].map((row) => ({
+                weekday: Number(row.querySelector('[data-hours-weekday]').value),
+                start: row.querySelector('[data-hours-start]').value,
+                end: row.querySelector('[data-hours-end]').value
+            }));
+            const payload = {
+                name: document.getElementById('edsaPractitionerName').value.trim(),
+                email: document.getElementById('edsaPractitionerEmail').value.trim(),
+                calendarId: document.getElementById('edsaPractitionerCalendar').value.trim(),
+                sortOrder: Number(document.getElementById('edsaPractitionerSort').value || 0),
+                isActive: document.getElementById('edsaPractitionerActive').checked,
+                hours,
+                serviceIds: this.checkedIds('edsaPractitionerServices')
+            };
+            try {
+                await this.api(id ? `/practitioners/${id}` : '/practitioners', {
+                    method: id ? 'PUT' : 'POST',
+                    body: JSON.stringify(payload)
+                });
+                this.toast(id ? 'Practitioner updated' : 'Practitioner created', 'success');
+                this.closeForm('edsaPractitionerForm');
+                await this.load();
+            } catch (err) {
+                this.toast(err.message || 'Could not save practitioner', 'error');
+            }
+        },
+
+        async deletePractitioner(practitioner) {
+            if (!practitioner || !confirm(`Delete ${practitioner.name}? Practitioners with bookings are deactivated instead.`)) return;
+            try {
+                const result = await this.api(`/practitioners/${practitioner.id}`, { method: 'DELETE' });
+                this.toast(result?.message || 'Practitioner deleted', 'success');
+                await this.load();
+            } catch (err) {
+                this.toast(err.message || 'Could not delete practitioner', 'error');
+            }
+        },
+
+        async loadIntakeForms() {
+            try {
+                const data = await this.api('/intake-forms');
+                this.intakeForms = data?.forms || [];
+                this.renderIntakeForms();
+            } catch (err) {
+                const container = document.getElementById('edsaIntakeList');
+                if (!container) return;
+                container.classList.remove('loading');
+                container.innerHTML = `<p style="color:var(--error);">${this.escape(err.message || 'Failed to load intake forms')}</p>`;
+            }
+        },
+
+        renderIntakeForms() {
+            const container = document.getElementById('edsaIntakeList');
+            if (!container) return;
+            container.classList.remove('loading');
+            if (!this.intakeForms.length) {
+                container.innerHTML = '<p style="color:var(--gray-500);">No intake forms yet. Confirmation emails skip the intake link until you add one.</p>';
+                return;
+            }
+            container.innerHTML = `
+                <div class="table-container">
+                    <table class="table">
+                        <thead>
+                            <tr><th>Form</th><th>For</th><th>Questions</th><th>Answered</th><th>Status</th><th></th></tr>
+                        </thead>
+                        <tbody>
+                            ${this.intakeForms
+                                .map(
+                                    (f) => `
+                                <tr>
+                                    <td><strong>${this.escape(f.title)}</strong></td>
+                                    <td>${f.serviceId ? this.escape(f.serviceName || `Service #${f.serviceId}`) : 'Every appointment'}</td>
+                                    <td>${f.questions.length}</td>
+                                    <td>${f.responseCount}</td>
+                                    <td>${f.isActive ? '<span class="badge badge-success">Sent</span>' : '<span class="badge badge-secondary">Inactive</span>'}</td>
+                                    <td style="white-space:nowrap;">${this.actionButtons('intake', f.id)}</td>
+                                </tr>`
+                                )
+                                .join('')}
+                        </tbody>
+                    </table>
+                </div>`;
+        },
+
+        addQuestionRow(q) {
+            const container = document.getElementById('edsaIntakeQuestions');
+            if (!container) return;
+            const row = document.createElement('div');
+            row.className = 'edsa-question-row';
+            row.dataset.key = q.key || '';
+            row.style.cssText = 'border:1px solid var(--gray-200);border-radius:6px;padding:0.6rem;margin-bottom:0.5rem;';
+            const hasOptions = ['choice', 'multi_choice'].includes(q.type);
+            row.innerHTML = `
+                <div style="display:flex;gap:0.5rem;align-items:center;flex-wrap:wrap;">
+                    <input type="text" class="form-input" data-question-label value="${this.escape(q.label)}" maxlength="300" placeholder="Question" aria-label="Question" style="flex:1 1 16rem;">
+                    <select class="form-input" data-question-type aria-label="Answer type" style="max-width:11rem;">
+                        ${Object.entries(QUESTION_TYPES)
+                            .map(([value, label]) => `<option value="${value}"${value === q.type ? ' selected' : ''}>${label}</option>`)
+                            .join('')}
+                    </select>
+                    <label style="display:flex;gap:0.3rem;align-items:center;">
+                        <input type="checkbox" data-question-required${q.required ? ' checked' : ''}> Required
+                    </label>
+                    <button type="button" class="btn btn-secondary btn-sm" data-remove-question aria-label="Remove question"><i class="fas fa-times"></i></button>
+                </div>
+                <textarea class="form-input" data-question-options rows="3" placeholder="One option per line" aria-label="Options" style="margin-top:0.4rem;"${hasOptions ? '' : ' hidden'}>${this.escape((q.options || []).join('\n'))}</textarea>`;
+            container.appendChild(row);
+        },
+
+        openIntakeForm(intakeForm) {
+            const form = document.getElementById('edsaIntakeForm');
+            if (!form) return;
+            const f = intakeForm || { serviceId: null, sortOrder: 0, isActive: true, questions: [] };
+            document.getElementById('edsaIntakeId').value = intakeForm ? intakeForm.id : '';
+            document.getElementById('edsaIntakeTitle').value = f.title || '';
+            document.getElementById('edsaIntakeIntro').value = f.intro || '';
+            document.getElementById('edsaIntakeSort').value = f.sortOrder;
+            document.getElementById('edsaIntakeActive').checked = f.isActive;
+            document.getElementById('edsaIntakeService').innerHTML = [
+                '<option value="">Every appointment</option>',
+                ...this.services.map(
+                    (s) =>
+                        `<option value="${s.id}"${s.id === f.serviceId ? ' selected' : ''}>${this.escape(s.name)}${s.isActive ? '' : ' (inactive)'}</option>`
+                )
+            ].join('');
+            document.getElementById('edsaIntakeQuestions').innerHTML = '';
+            f.questions.forEach((q) => this.addQuestionRow(q));
+            if (!intakeForm) this.addQuestionRow({ label: '', type: 'text', required: true, options: [] });
+            form.hidden = false;
+            document.getElementById('edsaIntakeTitle').focus();
+        },
+
+        async saveIntakeForm() {
+            const id = document.getElementById('edsaIntakeId').value;
+            const questions = [...document.querySelectorAll('#edsaIntakeQuestions .edsa-question-row')].map((row) => ({
+                key: row.dataset.key || undefined,
+                label: row.querySelector('[data-question-label]').value.trim(),
+                type: row.querySelector('[data-question-type]').value,
+                required: row.querySelector('[data-question-required]').checked,
+                options: row.querySelector('[data-question-options]').value
+            }));
+            const payload = {
+                title: document.getElementById('edsaIntakeTitle').value.trim(),
+                intro: document.getElementById('edsaIntakeIntro').value,
+                serviceId: document.getElementById('edsaIntakeService').value || null,
+                sortOrder: Number(document.getElementById('edsaIntakeSort').value || 0),
+                isActive: document.getElementById('edsaIntakeActive').checked,
+                questions
+            };
+            try {
+                await this.api(id ? `/intake-forms/${id}` : '/intake-forms', {
+                    method: id ? 'PUT' : 'POST',
+                    body: JSON.stringify(payload)
+                });
+                this.toast(id ? 'Intake form updated' : 'Intake form created', 'success');
+                this.closeForm('edsaIntakeForm');
+                await this.loadIntakeForms();
+            } catch (err) {
+                this.toast(err.message || 'Could not save intake form', 'error');
+            }
+        },
+
+        async deleteIntakeForm(intakeForm) {
+            if (!intakeForm || !confirm(`Delete "${intakeForm.title}"? Forms customers have answered are deactivated instead.`)) return;
+            try {
+                const result = await this.api(`/intake-forms/${intakeForm.id}`, { method: 'DELETE' });
+                this.toast(result?.message || 'Intake form deleted', 'success');
+                await this.loadIntakeForms();
+            } catch (err) {
+                this.toast(err.message || 'Could not delete intake form', 'error');
+            }
+        },
+
+        async loadPackages() {
+            try {
+                const data = await this.api('/packages');
+                this.packages = data?.packages || [];
+                this.renderPackages();
+            } catch (err) {
+                const container = document.getElementById('edsaPackagesList');
+                if (!container) return;
+                container.classList.remove('loading');
+                container.innerHTML = `<p style="color:var(--error);">${this.escape(err.message || 'Failed to load packages')}</p>`;
+            }
+        },
+
+        renderPackages() {
+            const container = document.getElementById('edsaPackagesList');
+            if (!container) return;
+            container.classList.remove('loading');
+            if (!this.packages.length) {
+                container.innerHTML = '<p style="color:var(--gray-500);">No packages yet. Create a product for the bundle first, then link it here.</p>';
+                return;
+            }
+            container.innerHTML = `
+                <div class="table-container">
+                    <table class="table">
+                        <thead>
+                            <tr><th>Package</th><th>For</th><th>Sessions</th><th>Product</th><th>Expiry</th><th>Sold</th><th>Status</th><th></th></tr>
+                        </thead>
+                        <tbody>
+                            ${this.packages
+                                .map(
+                                    (p) => `
+                                <tr>
+                                    <td><strong>${this.escape(p.name)}</strong></td>
+                                    <td>${p.serviceId ? this.escape(p.serviceName || `Service #${p.serviceId}`) : 'Any appointment'}</td>
+                                    <td>${p.sessionCount}</td>
+                                    <td>${this.escape(p.productName || `Product #${p.productId}`)}${p.price != null ? ` · ${this.money(p.price)}` : ''}</td>
+                                    <td>${p.validityDays ? `${p.validityDays} days` : 'Never'}</td>
+                                    <td>${p.soldCount}</td>
+                                    <td>${p.isActive ? '<span class="badge badge-success">Active</span>' : '<span class="badge badge-secondary">Inactive</span>'}</td>
+                                    <td style="white-space:nowrap;">${this.actionButtons('package', p.id)}</td>
+                                </tr>`
+                                )
+                                .join('')}
+                        </tbody>
+                    </table>
+                </div>`;
+        },
+
+        setPackageProduct(product) {
+            document.getElementById('edsaPackageProductId').value = product ? product.id : '';
+            document.getElementById('edsaPackageProductSearch').value = '';
+            document.getElementById('edsaPackageProductResults').hidden = true;
+            document.getElementById('edsaPackageProductLabel').textContent = product
+                ? `Linked: ${product.name}${product.sku ? ` (${product.sku})` : ''}${product.price != null ? ` · ${this.money(product.price)}` : ''}`
+                : 'No product linked yet.';
+        },
+
+        async searchPackageProducts(term) {
+            const results = document.getElementById('edsaPackageProductResults');
+            if (!results) return;
+            if (term.length < 2) {
+                results.hidden = true;
+                return;
+            }
+            try {
+                const params = new URLSearchParams({ search: term, limit: '10' });
+                const data = await this.app().apiRequest(`/admin/products?${params}`);
+                if (document.getElementById('edsaPackageProductSearch').value.trim() !== term) return;
+                this.productResults = data?.products || [];
+                results.innerHTML = this.productResults.length
+                    ? this.productResults
+                          .map(
+                              (p) => `<button type="button" data-package-product="${Number(p.id)}" style="display:block;width:100%;text-align:left;padding:0.45rem 0.75rem;border:none;background:none;cursor:pointer;">
+                        ${this.escape(p.name)} <small style="color:var(--gray-500);">${this.escape(p.sku || '')} · ${this.money(p.price)}</small>
+                    </button>`
+                          )
+                          .join('')
+                    : '<p style="margin:0;padding:0.5rem 0.75rem;color:var(--gray-500);">No matching products.</p>';
+                results.hidden = false;
+            } catch (err) {
+                results.hidden = true;
+                this.toast(err.message || 'Product search failed', 'error');
+            }
+        },
+
+        openPackageForm(pkg) {
+            const form = document.getElementById('edsaPackageForm');
+            if (!form) return;
+            const p = pkg || { serviceId: null, sessionCount: 3, validityDays: null, sortOrder: 0, isActive: true };
+            document.getElementById('edsaPackageId').value = pkg ? pkg.id : '';
+            document.getElementById('edsaPackageName').value = p.name || '';
+            document.getElementById('edsaPackageDescription').value = p.description || '';
+            document.getElementById('edsaPackageSessions').value = p.sessionCount;
+            document.getElementById('edsaPackageValidity').value = p.validityDays || '';
+            document.getElementById('edsaPackageSort').value = p.sortOrder;
+            document.getElementById('edsaPackageActive').checked = p.isActive;
+            document.getElementById('edsaPackageService').innerHTML = [
+                '<option value="">Any appointment</option>',
+                ...this.services.map(
+                    (s) =>
+                        `<option value="${s.id}"${s.id === p.serviceId ? ' selected' : ''}>${this.escape(s.name)}${s.isActive ? '' : ' (inactive)'}</option>`
+                )
+            ].join('');
+            this.setPackageProduct(
+                pkg?.productId ? { id: pkg.productId, name: pkg.productName || `Product #${pkg.productId}`, sku: pkg.productSku, price: pkg.price } : null
+            );
+            form.hidden = false;
+            document.getElementById('edsaPackageName').focus();
+        },
+
+        async savePackage() {
+            const id = document.getElementById('edsaPackageId').value;
+            const payload = {
+                name: document.getElementById('edsaPackageName').value.trim(),
+                description: document.getElementById('edsaPackageDescription').value,
+                serviceId: document.getElementById('edsaPackageService').value || null,
+                sessionCount: Number(document.getElementById('edsaPackageSessions').value),
+                validityDays: document.getElementById('edsaPackageValidity').value || null,
+                productId: document.getElementById('edsaPackageProductId').value || null,
+                sortOrder: Number(document.getElementById('edsaPackageSort').value || 0),
+                isActive: document.getElementById('edsaPackageActive').checked
+            };
+            try {
+                await this.api(id ? `/packages/${id}` : '/packages', {
+                    method: id ? 'PUT' : 'POST',
+                    body: JSON.stringify(payload)
+                });
+                this.toast(id ? 'Package updated' : 'Package created', 'success');
+                this.closeForm('edsaPackageForm');
+                await this.loadPackages();
+            } catch (err) {
+                this.toast(err.message || 'Could not save package', 'error');
+            }
+        },
+
+        async deletePackage(pkg) {
+            if (!pkg || !confirm(`Delete "${pkg.name}"? Packages customers have bought are deactivated instead.`)) return;
+            try {
+                const result = await this.api(`/packages/${pkg.id}`, { method: 'DELETE' });
+                this.toast(result?.message || 'Package deleted', 'success');
+                await this.loadPackages();
+            } catch (err) {
+                this.toast(err.message || 'Could not delete package', 'error');
+            }
+        }
+    };
+
+    window.AdminEdsaServices = AdminEdsaServices;
+})();
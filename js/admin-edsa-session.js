@@ -0,0 +1,290 @@
+'use strict';
+
+/**
+ * Admin → EDSA booking → Session notes: the customer's intake answers, the practitioner's notes
+ * and the products recommended during the visit. Recommendations can be parked as a register
+ * ticket or sent to the customer as a checkout link. Manager and up (health information).
+ */
+(function () {
+    const AdminEdsaSession = {
+        app() {
+            return window.adminApp;
+        },
+
+        toast(msg, type = 'info') {
+            this.app()?.showNotification?.(msg, type);
+        },
+
+        escape(value) {
+            return this.app().escapeHtml(value == null ? '' : String(value));
+        },
+
+        api(bookingId, path = '', options = {}) {
+            return this.app().apiRequest(`/admin/edsa/bookings/${Number(bookingId)}/session${path}`, options);
+        },
+
+        money(value) {
+            return `$${(Number(value) || 0).toFixed(2)}`;
+        },
+
+        formatStamp(value) {
+            if (!value) return '';
+            const d = new Date(value);
+            return Number.isNaN(d.getTime()) ? '' : d.toLocaleString();
+        },
+
+        /** Read-only intake answers; shared with the customer profile. */
+        renderIntake(forms) {
+            if (!forms || !forms.length) {
+                return '<p style="color:var(--gray-500);margin:0;">No intake form answered for this appointment.</p>';
+            }
+            return forms
+                .map(
+                    (f) => `
+                <div style="margin-bottom:0.75rem;">
+                    <strong>${this.escape(f.title)}</strong>
+                    <small style="color:var(--gray-500);"> · ${this.escape(this.formatStamp(f.submittedAt))}</small>
+                    <dl style="margin:0.35rem 0 0;display:grid;grid-template-columns:minmax(10rem,auto) 1fr;gap:0.25rem 0.75rem;">
+                        ${f.items
+                            .map(
+                                (item) => `<dt style="color:var(--gray-600);">${this.escape(item.label)}</dt>
+                        <dd style="margin:0;white-space:pre-wrap;">${this.escape(item.answer || '—')}</dd>`
+                            )
+                            .join('')}
+                    </dl>
+                </div>`
+                )
+                .join('');
+        },
+
+        async open(booking) {
+            let data;
+            try {
+                data = await this.api(booking.id);
+            } catch (err) {
+                this.toast(err.message || 'Could not load session notes', 'error');
+                return;
+            }
+            const name = `${booking.first_name || ''} ${booking.last_name || ''}`.trim();
+            this.recommendations = (data.note?.recommendations || []).map((r) => ({ ...r }));
+            const modal = this.app()._mountAdminModal(`
+                <div class="modal-header" style="display:flex;justify-content:space-between;align-items:center;padding:1.25rem 1.5rem;border-bottom:1px solid var(--gray-200);background:var(--light-green, #f0f7ef);">
+                    <h2 style="margin:0;color:var(--primary-green);font-size:1.25rem;">Session notes · booking #${Number(booking.id)}</h2>
+                    <button type="button" class="modal-close" data-session-close aria-label="Close">&times;</button>
+                </div>
+                <div class="modal-body" style="padding:1.5rem;">
+                    <p style="margin:0 0 1rem;color:var(--gray-600);">${this.escape(name)} · ${this.escape(booking.email)}${
+                        booking.practitioner_name ? ` · with ${this.escape(booking.practitioner_name)}` : ''
+                    }</p>
+                    <h3 style="font-size:1rem;margin:0 0 0.5rem;">Intake answers</h3>
+                    <div style="margin-bottom:1.25rem;">${this.renderIntake(data.intake)}</div>
+                    <div class="form-group">
+                        <label for="edsa-session-notes">Practitioner notes</label>
+                        <textarea id="edsa-session-notes" class="form-control" rows="6" maxlength="20000">${this.escape(data.note?.notes || '')}</textarea>
+                    </div>
+                    <h3 style="font-size:1rem;margin:1rem 0 0.5rem;">Recommended products</h3>
+                    <div data-session-recs></div>
+                    <div style="position:relative;margin-top:0.5rem;">
+                        <input type="search" class="form-control" data-session-search placeholder="Search products by name or SKU" aria-label="Add a recommended product">
+                        <div data-session-results style="position:absolute;left:0;right:0;z-index:2;background:#fff;border:1px solid var(--gray-200);border-radius:6px;box-shadow:0 8px 16px rgba(0,0,0,0.08);" hidden></div>
+                    </div>
+                    <p data-session-status style="font-size:0.8125rem;color:var(--gray-500);margin:0.75rem 0 0;">${this.statusText(data.note)}</p>
+                    <div data-session-link style="margin-top:0.5rem;" hidden>
+                        <input type="text" class="form-control" readonly aria-label="Cart link">
+                    </div>
+                </div>
+                <div class="modal-footer" style="display:flex;gap:0.5rem;justify-content:flex-end;flex-wrap:wrap;padding:1rem 1.5rem;border-top:1px solid var(--gray-200);">
+                    <button type="button" class="btn btn-secondary" data-session-action="pos">Send to register</button>
+                    <button type="button" class="btn btn-secondary" data-session-action="link">Copy cart link</button>
+                    <button type="button" class="btn btn-secondary" data-session-action="email">Email cart link</button>
+                    <button type="button" class="btn btn-primary" data-session-action="save">Save notes</button>
+                </div>`);
+            if (!modal) return;
+            this.modal = modal;
+            this.bookingId = booking.id;
+            this.renderRecommendations();
+            this.bindModal(modal);
+        },
+
+        statusText(note) {
+            if (!note) return 'Nothing saved yet.';
+            const parts = [`Saved ${this.formatStamp(note.updatedAt)}${note.updatedBy ? ` by ${note.updatedBy}` : ''}`];
+            if (note.posParkedSaleId) parts.push(`register ticket #${note.posParkedSaleId}`);
+            if (note.cartLinkSentAt) parts.push(`cart link emailed ${this.formatStamp(note.cartLinkSentAt)}`);
+            return this.escape(parts.join(' · '));
+        },
+
+        renderRecommendations() {
+            const container = this.modal?.querySelector('[data-session-recs]');
+            if (!container) return;
+            if (!this.recommendations.length) {
+                container.innerHTML = '<p style="color:var(--gray-500);margin:0;">None yet — search below to add products.</p>';
+                return;
+            }
+            container.innerHTML = this.recommendations
+                .map(
+                    (r, i) => `
+                <div data-rec-index="${i}" style="display:flex;gap:0.5rem;align-items:center;flex-wrap:wrap;padding:0.4rem 0;border-bottom:1px solid var(--gray-100, #f3f4f6);">
+                    <span style="flex:1 1 14rem;">
+                        <strong>${this.escape(r.name)}</strong>
+                        ${r.sku ? `<small style="color:var(--gray-500);"> ${this.escape(r.sku)}</small>` : ''}
+                        ${r.price != null ? `<small> · ${this.money(r.price)}</small>` : ''}
+                        ${r.available === false ? ' <span class="badge badge-secondary">Unavailable</span>' : ''}
+                    </span>
+                    <input type="number" class="form-control" data-rec-qty min="1" max="99" step="1" value="${Number(r.quantity) || 1}" aria-label="Quantity" style="width:5rem;">
+                    <input type="text" class="form-control" data-rec-instructions maxlength="300" value="${this.escape(r.instructions || '')}" placeholder="How to use" aria-label="Instructions" style="flex:1 1 12rem;">
+                    <button type="button" class="btn btn-secondary btn-sm" data-rec-remove aria-label="Remove product"><i class="fas fa-times"></i></button>
+                </div>`
+                )
+                .join('');
+        },
+
+        readRecommendations() {
+            this.modal.querySelectorAll('[data-rec-index]').forEach((row) => {
+                const rec = this.recommendations[Number(row.dataset.recIndex)];
+                if (!rec) return;
+                rec.quantity = Number(row.querySelector('[data-rec-qty]').value) || 1;
+                rec.instructions = row.querySelector('[data-rec-instructions]').value.trim();
+            });
+            return this.recommendations.map((r) => ({
+                productId: r.productId,
+                quantity: r.quantity,
+                instructions: r.instructions || null
+            }));
+        },
+
+        async searchProducts(term) {
+            const results = this.modal.querySelector('[data-session-results]');
+            if (term.length < 2) {
+                results.hidden = true;
+                return;
+            }
+            try {
+                const params = new URLSearchParams({ search: term, status: 'active', limit: '10' });
+                const data = await this.app().apiRequest(`/admin/products?${params}`);
+                if (this.modal.querySelector('[data-session-search]').value.trim() !== term) return;
+                const products = data?.products || [];
+                this.searchResults = products;
+                results.innerHTML = products.length
+                    ? products
+                          .map(
+                              (p) => `<button type="button" data-add-product="${Number(p.id)}" style="display:block;width:100%;text-align:left;padding:0.45rem 0.75rem;border:none;background:none;cursor:pointer;">
+                        ${this.escape(p.name)} <small style="color:var(--gray-500);">${this.escape(p.sku || '')} · ${this.money(p.price)}</small>
+                    </button>`
+                          )
+                          .join('')
+                    : '<p style="margin:0;padding:0.5rem 0.75rem;color:var(--gray-500);">No matching products.</p>';
+                results.hidden = false;
+            } catch (err) {
+                results.hidden = true;
+                this.toast(err.message || 'Product search failed', 'error');
+            }
+        },
+
+        addProduct(productId) {
+            const product = (this.searchResults || []).find((p) => Number(p.id) === productId);
+            if (!product) return;
+            this.readRecommendations();
+            const existing = this.recommendations.find((r) => r.productId === productId);
+            if (existing) existing.quantity = Math.min(99, existing.quantity + 1);
+            else {
+                this.recommendations.push({
+                    productId,
+                    name: product.name,
+                    sku: product.sku || null,
+                    price: Number(product.price),
+                    quantity: 1,
+                    instructions: '',
+                    available: true
+                });
+            }
+            const search = this.modal.querySelector('[data-session-search]');
+            search.value = '';
+            this.modal.querySelector('[data-session-results]').hidden = true;
+            this.renderRecommendations();
+            search.focus();
+        },
+
+        async save() {
+            const data = await this.api(this.bookingId, '', {
+                method: 'PUT',
+                body: JSON.stringify({
+                    notes: this.modal.querySelector('#edsa-session-notes').value,
+                    recommendations: this.readRecommendations()
+                })
+            });
+            this.recommendations = (data.note?.recommendations || []).map((r) => ({ ...r }));
+            this.renderRecommendations();
+            this.modal.querySelector('[data-session-status]').innerHTML = this.statusText(data.note);
+            return data;
+        },
+
+        async runAction(action, btn) {
+            btn.disabled = true;
+            try {
+                // Every action works from the saved recommendations, so save first
+                const saved = await this.save();
+                if (action === 'save') {
+                    this.toast(saved.message || 'Session notes saved', 'success');
+                } else if (action === 'pos') {
+                    const result = await this.api(this.bookingId, '/pos-ticket', { method: 'POST' });
+                    this.toast(result.message || 'Sent to the register', 'success');
+                } else {
+                    const result = await this.api(this.bookingId, '/cart-link', {
+                        method: 'POST',
+                        body: JSON.stringify({ email: action === 'email' })
+                    });
+                    const box = this.modal.querySelector('[data-session-link]');
+                    box.hidden = false;
+                    const input = box.querySelector('input');
+                    input.value = result.url;
+                    input.select();
+                    if (action === 'link') {
+                        await navigator.clipboard?.writeText(result.url).catch(() => {});
+                        this.toast('Cart link copied', 'success');
+                    } else if (result.emailed) {
+                        this.toast(result.message || 'Cart link emailed', 'success');
+                    } else {
+                        this.toast('The email could not be sent — copy the link instead', 'error');
+                    }
+                }
+            } catch (err) {
+                this.toast(err.message || 'Could not complete that action', 'error');
+            } finally {
+                btn.disabled = false;
+            }
+        },
+
+        bindModal(modal) {
+            let searchTimer = null;
+            modal.querySelector('[data-session-close]')?.addEventListener('click', () => modal.remove());
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) {
+                    modal.remove();
+                    return;
+                }
+                const add = e.target.closest('[data-add-product]');
+                if (add) {
+                    this.addProduct(Number(add.dataset.addProduct));
+                    return;
+                }
+                const remove = e.target.closest('[data-rec-remove]');
+                if (remove) {
+                    this.readRecommendations();
+                    this.recommendations.splice(Number(remove.closest('[data-rec-index]').dataset.recIndex), 1);
+                    this.renderRecommendations();
+                    return;
+                }
+                const actionBtn = e.target.closest('[data-session-action]');
+                if (actionBtn) void this.runAction(actionBtn.dataset.sessionAction, actionBtn);
+            });
+            modal.querySelector('[data-session-search]')?.addEventListener('input', (e) => {
+                clearTimeout(searchTimer);
+                const term = e.target.value.trim();
+                searchTimer = setTimeout(() => void this.searchProducts(term), 250);
+            });
+        }
+    };
+
+    window.AdminEdsaSession = AdminEdsaSession;
+})();
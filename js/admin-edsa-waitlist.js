@@ -0,0 +1,173 @@
+'use strict';
+
+/**
+ * Admin → EDSA Appointments → Waitlist demand: how many customers are waiting on each day, how the
+ * freed-slot offers sent for that day turned out, and the waitlist entries themselves.
+ */
+(function () {
+    const TIME_OF_DAY = { any: 'Any time', morning: 'Mornings', afternoon: 'Afternoons' };
+    const STATUS_BADGE = {
+        waiting: 'badge-info',
+        offered: 'badge-warning',
+        booked: 'badge-success',
+        expired: 'badge-secondary',
+        cancelled: 'badge-secondary'
+    };
+
+    const AdminEdsaWaitlist = {
+        data: null,
+        _bound: false,
+
+        init() {
+            if (!this._bound) {
+                this.bindEvents();
+                this._bound = true;
+            }
+            void this.load();
+        },
+
+        app() {
+            return window.adminApp;
+        },
+
+        toast(msg, type = 'info') {
+            this.app()?.showNotification?.(msg, type);
+        },
+
+        escape(value) {
+            return this.app().escapeHtml(value == null ? '' : String(value));
+        },
+
+        api(path, options = {}) {
+            return this.app().apiRequest('/admin/edsa/waitlist' + path, options);
+        },
+
+        formatDay(ymd) {
+            const [y, m, d] = String(ymd).split('-').map(Number);
+            return new Date(y, m - 1, d).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+        },
+
+        bindEvents() {
+            document.getElementById('edsaWaitlistFilter')?.addEventListener('submit', (e) => {
+                e.preventDefault();
+                void this.load();
+            });
+            document.getElementById('edsaWaitlistEntries')?.addEventListener('click', (e) => {
+                const btn = e.target.closest('[data-waitlist-remove]');
+                if (btn) void this.remove(Number(btn.dataset.waitlistRemove));
+            });
+        },
+
+        async load() {
+            const from = document.getElementById('edsaWaitlistFrom')?.value || '';
+            const to = document.getElementById('edsaWaitlistTo')?.value || '';
+            const params = new URLSearchParams();
+            if (from) params.set('from', from);
+            if (to) params.set('to', to);
+            try {
+                this.data = await this.api(params.toString() ? `?${params}` : '');
+                const fromInput = document.getElementById('edsaWaitlistFrom');
+                const toInput = document.getElementById('edsaWaitlistTo');
+                if (fromInput) fromInput.value = this.data.from;
+                if (toInput) toInput.value = this.data.to;
+                this.renderDays();
+                this.renderEntries();
+            } catch (err) {
+                document.getElementById('edsaWaitlistDays').innerHTML =
+                    `<p style="color:var(--error);">${this.escape(err.message || 'Failed to load the waitlist')}</p>`;
+                document.getElementById('edsaWaitlistEntries').innerHTML = '';
+            }
+        },
+
+        renderDays() {
+            const container = document.getElementById('edsaWaitlistDays');
+            if (!container) return;
+            container.classList.remove('loading');
+            const days = (this.data?.days || []).filter((d) => d.waiting || d.offered);
+            if (!days.length) {
+                container.innerHTML = '<p style="color:var(--gray-500);">Nobody is waiting on these dates.</p>';
+                return;
+            }
+            container.innerHTML = `
+                <table class="data-table">
+                    <thead>
+                        <tr><th>Day</th><th>Waiting</th><th>Mornings</th><th>Afternoons</th><th>Offers sent</th><th>Claimed</th><th>Expired / declined</th></tr>
+                    </thead>
+                    <tbody>
+                        ${days
+                            .map(
+                                (d) => `
+                            <tr>
+                                <td>${this.escape(this.formatDay(d.date))}</td>
+                                <td><strong>${d.waiting}</strong></td>
+                                <td>${d.morning}</td>
+                                <td>${d.afternoon}</td>
+                                <td>${d.offered}</td>
+                                <td>${d.claimed}</td>
+                                <td>${d.missed}</td>
+                            </tr>`
+                            )
+                            .join('')}
+                    </tbody>
+                </table>`;
+        },
+
+        renderEntries() {
+            const container = document.getElementById('edsaWaitlistEntries');
+            if (!container) return;
+            const entries = this.data?.entries || [];
+            if (!entries.length) {
+                container.innerHTML = '';
+                return;
+            }
+            container.innerHTML = `
+                <table class="data-table">
+                    <thead>
+                        <tr><th>Customer</th><th>Dates</th><th>Time of day</th><th>Service</th><th>Status</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        ${entries
+                            .map((e) => {
+                                const active = e.status === 'waiting' || e.status === 'offered';
+                                const dates =
+                                    e.dateFrom === e.dateTo
+                                        ? this.formatDay(e.dateFrom)
+                                        : `${this.formatDay(e.dateFrom)} – ${this.formatDay(e.dateTo)}`;
+                                const service = [e.serviceName, e.practitionerName].filter(Boolean).join(' with ') || 'Any';
+                                return `
+                            <tr>
+                                <td>${this.escape(e.name)}<br><small style="color:var(--gray-500);">${this.escape(e.email)}${e.phone ? ` · ${this.escape(e.phone)}` : ''}</small></td>
+                                <td>${this.escape(dates)}</td>
+                                <td>${this.escape(TIME_OF_DAY[e.timeOfDay] || e.timeOfDay)}</td>
+                                <td>${this.escape(service)}</td>
+                                <td><span class="badge ${STATUS_BADGE[e.status] || 'badge-secondary'}">${this.escape(e.status)}</span>${
+                                    e.bookingId ? ` <small>#${Number(e.bookingId)}</small>` : ''
+                                }</td>
+                                <td>${
+                                    active
+                                        ? `<button type="button" class="btn btn-danger btn-sm" data-waitlist-remove="${Number(e.id)}">Remove</button>`
+                                        : ''
+                                }</td>
+                            </tr>`;
+                            })
+                            .join('')}
+                    </tbody>
+                </table>`;
+        },
+
+        async remove(id) {
+            if (!id || !window.confirm('Remove this customer from the waitlist? A time held for them goes to the next customer.')) {
+                return;
+            }
+            try {
+                await this.api(`/${id}`, { method: 'DELETE' });
+                this.toast('Removed from the waitlist', 'success');
+                await this.load();
+            } catch (err) {
+                this.toast(err.message || 'Could not remove the entry', 'error');
+            }
+        }
+    };
+
+    window.AdminEdsaWaitlist = AdminEdsaWaitlist;
+})();
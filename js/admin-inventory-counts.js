@@ -0,0 +1,485 @@
+'use strict';
+
+/**
+ * Admin → Inventory counts: start count sessions, scan (USB/Bluetooth scanner or phone camera),
+ * review variances with cost impact, approve and post.
+ */
+(function () {
+    const AdminInventoryCounts = {
+        sessions: [],
+        current: null,
+        selected: new Set(),
+        _bound: false,
+        _scopeOptionsLoaded: false,
+        _camera: null,
+
+        init() {
+            if (!this._bound) {
+                this.bindEvents();
+                this._bound = true;
+            }
+            void this.loadScopeOptions();
+            void this.loadSessions();
+        },
+
+        app() {
+            return window.adminApp;
+        },
+
+        toast(msg, type = 'info') {
+            this.app()?.showNotification?.(msg, type);
+        },
+
+        escape(value) {
+            return this.app().escapeHtml(value == null ? '' : String(value));
+        },
+
+        api(path, options = {}) {
+            return this.app().apiRequest('/admin/inventory-counts' + path, options);
+        },
+
+        money(value) {
+            const n = Number(value) || 0;
+            return `${n < 0 ? '-' : ''}$${Math.abs(n).toFixed(2)}`;
+        },
+
+        bindEvents() {
+            document.getElementById('inventoryCountStartForm')?.addEventListener('submit', (e) => {
+                e.preventDefault();
+                void this.startSession();
+            });
+            document.getElementById('inventoryCountScope')?.addEventListener('change', () => this.syncScopeTarget());
+            document.getElementById('inventoryCountStatusFilter')?.addEventListener('change', () => void this.loadSessions());
+            document.getElementById('inventoryCountScanForm')?.addEventListener('submit', (e) => {
+                e.preventDefault();
+                void this.submitScan();
+            });
+            document.getElementById('inventoryCountCameraBtn')?.addEventListener('click', () => void this.toggleCamera());
+            document.getElementById('inventoryCountLineFilter')?.addEventListener('change', () => void this.reload());
+            document.getElementById('inventoryCountLineSearch')?.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    void this.reload();
+                }
+            });
+            document.getElementById('inventoryCountCloseBtn')?.addEventListener('click', () => this.closeSession());
+        },
+
+        async loadScopeOptions() {
+            if (this._scopeOptionsLoaded) return;
+            try {
+                const [categories, brands] = await Promise.all([
+                    this.app().apiRequest('/admin/categories'),
+                    this.app().apiRequest('/admin/brands')
+                ]);
+                this._scopeOptions = {
+                    category: (categories || []).map((c) => ({ id: c.id, name: c.parent_id ? `— ${c.name}` : c.name })),
+                    brand: (brands || []).map((b) => ({ id: b.id, name: b.name }))
+                };
+                this._scopeOptionsLoaded = true;
+                this.syncScopeTarget();
+            } catch (err) {
+                this.toast(`Could not load categories and brands: ${err.message}`, 'error');
+            }
+        },
+
+        syncScopeTarget() {
+            const scope = document.getElementById('inventoryCountScope')?.value || 'store';
+            const group = document.getElementById('inventoryCountScopeTargetGroup');
+            const select = document.getElementById('inventoryCountScopeTarget');
+            if (!group || !select) return;
+            group.style.display = scope === 'store' ? 'none' : 'block';
+            if (scope === 'store') return;
+            const options = this._scopeOptions?.[scope] || [];
+            select.innerHTML = options.map((o) => `<option value="${Number(o.id)}">${this.escape(o.name)}</option>`).join('');
+        },
+
+        async startSession() {
+            const scopeType = document.getElementById('inventoryCountScope')?.value || 'store';
+            const payload = {
+                name: (document.getElementById('inventoryCountName')?.value || '').trim(),
+                scopeType,
+                scopeId: scopeType === 'store' ? null : document.getElementById('inventoryCountScopeTarget')?.value
+            };
+            try {
+                const data = await this.api('', { method: 'POST', body: JSON.stringify(payload) });
+                if (!data) return;
+                this.toast(`Count started — ${Number(data.totals?.lines) || 0} SKUs to count`, 'success');
+                const nameInput = document.getElementById('inventoryCountName');
+                if (nameInput) nameInput.value = '';
+                await this.loadSessions();
+                this.showSession(data);
+            } catch (err) {
+                this.toast(err.message || 'Could not start count', 'error');
+            }
+        },
+
+        async loadSessions() {
+            const container = document.getElementById('inventoryCountSessions');
+            if (!container) return;
+            container.innerHTML = '<div class="loading"><div class="spinner"></div>Loading counts...</div>';
+            try {
+                const status = document.getElementById('inventoryCountStatusFilter')?.value || '';
+                const data = await this.api(status ? `?status=${encodeURIComponent(status)}` : '');
+                if (!data) return;
+                this.sessions = data.sessions || [];
+                if (!this.sessions.length) {
+                    container.innerHTML = '<div style="text-align: center; padding: 2rem; color: var(--gray-500);"><p>No count sessions yet.</p></div>';
+                    return;
+                }
+                container.innerHTML = `
+                    <div class="table-container">
+                        <table class="table">
+                            <thead>
+                                <tr>
+                                    <th>Count</th>
+                                    <th>Scope</th>
+                                    <th>Progress</th>
+                                    <th>Status</th>
+                                    <th>Started</th>
+                                    <th>Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${this.sessions.map((s) => `
+                                <tr>
+                                    <td>#${Number(s.id)} ${this.escape(s.name)}</td>
+                                    <td>${this.escape(s.scopeLabel || '')}</td>
+                                    <td>${Number(s.countedCount) || 0} / ${Number(s.lineCount) || 0} counted</td>
+                                    <td>${this.statusBadge(s)}</td>
+                                    <td>${s.createdAt ? new Date(s.createdAt).toLocaleDateString() : '&mdash;'}${s.createdBy ? ` <small>by ${this.escape(s.createdBy)}</small>` : ''}</td>
+                                    <td>
+                                        <button type="button" class="btn btn-sm btn-secondary" onclick="window.AdminInventoryCounts.openSession(${Number(s.id)})">
+                                            <i class="fas fa-${s.status === 'counting' ? 'barcode' : 'eye'}"></i> ${s.status === 'counting' ? 'Count' : 'View'}
+                                        </button>
+                                    </td>
+                                </tr>`).join('')}
+                            </tbody>
+                        </table>
+                    </div>`;
+            } catch (err) {
+                container.innerHTML = `<div style="text-align: center; padding: 2rem; color: var(--error);"><p>Failed to load counts: ${this.escape(err.message)}</p></div>`;
+            }
+        },
+
+        statusBadge(session) {
+            if (session.status === 'posted') {
+                return `<span class="badge badge-success">Posted</span>${session.postedCostImpact != null ? ` <small>${this.money(session.postedCostImpact)}</small>` : ''}`;
+            }
+            if (session.status === 'cancelled') return '<span class="badge badge-secondary">Cancelled</span>';
+            return '<span class="badge badge-warning">Counting</span>';
+        },
+
+        async openSession(id) {
+            this.selected.clear();
+            const filter = document.getElementById('inventoryCountLineFilter');
+            if (filter) filter.value = 'all';
+            const search = document.getElementById('inventoryCountLineSearch');
+            if (search) search.value = '';
+            try {
+                const data = await this.api(`/${Number(id)}`);
+                if (data) this.showSession(data);
+            } catch (err) {
+                this.toast(err.message || 'Could not open count', 'error');
+            }
+        },
+
+        async reload() {
+            if (!this.current) return;
+            const params = new URLSearchParams();
+            const filter = document.getElementById('inventoryCountLineFilter')?.value || 'all';
+            const search = (document.getElementById('inventoryCountLineSearch')?.value || '').trim();
+            if (filter !== 'all') params.set('filter', filter);
+            if (search) params.set('search', search);
+            try {
+                const data = await this.api(`/${this.current.session.id}${params.toString() ? `?${params}` : ''}`);
+                if (data) this.showSession(data);
+            } catch (err) {
+                this.toast(err.message || 'Could not refresh count', 'error');
+            }
+        },
+
+        closeSession() {
+            this.stopCamera();
+            this.current = null;
+            this.selected.clear();
+            const card = document.getElementById('inventoryCountDetail');
+            if (card) card.style.display = 'none';
+        },
+
+        showSession(data) {
+            this.current = data;
+            const { session, totals } = data;
+            const open = session.status === 'counting';
+            const card = document.getElementById('inventoryCountDetail');
+            if (!card) return;
+            card.style.display = 'block';
+
+            document.getElementById('inventoryCountDetailTitle').textContent = `#${session.id} ${session.name}`;
+            document.getElementById('inventoryCountScanForm').style.display = open ? 'flex' : 'none';
+            document.getElementById('inventoryCountSummary').innerHTML = `
+                <span class="badge badge-info">${this.escape(session.scopeLabel || '')}</span>
+                ${this.statusBadge(session)}
+                <span class="badge badge-secondary">${Number(totals.counted)} / ${Number(totals.lines)} counted</span>
+                <span class="badge ${totals.withVariance ? 'badge-warning' : 'badge-success'}">${Number(totals.withVariance)} with variance</span>
+                <span class="badge badge-success">+${Number(totals.unitsOver)} over</span>
+                <span class="badge badge-danger">&minus;${Number(totals.unitsShort)} short</span>
+                <span class="badge ${totals.costImpact < 0 ? 'badge-danger' : 'badge-secondary'}">Cost impact ${this.money(totals.costImpact)}</span>
+                ${open ? `<span class="badge badge-info">${Number(totals.approved)} approved (${this.money(totals.approvedCostImpact)})</span>` : ''}`;
+
+            const canPost = this.app().currentUser?.role !== 'assistant_manager';
+            document.getElementById('inventoryCountActions').innerHTML = open && !canPost
+                ? '<p style="margin: 0; font-size: 0.875rem; color: var(--gray-600);">A manager approves and posts the variances.</p>'
+                : open
+                ? `
+                    <button type="button" class="btn btn-sm btn-secondary" onclick="window.AdminInventoryCounts.review('approved')">Approve selected</button>
+                    <button type="button" class="btn btn-sm btn-secondary" onclick="window.AdminInventoryCounts.review('rejected')">Reject selected</button>
+                    <button type="button" class="btn btn-sm btn-secondary" onclick="window.AdminInventoryCounts.review('approved', 'variances')">Approve all pending variances</button>
+                    <button type="button" class="btn btn-sm btn-primary" onclick="window.AdminInventoryCounts.post()"><i class="fas fa-check"></i> Post approved</button>
+                    <button type="button" class="btn btn-sm btn-danger" onclick="window.AdminInventoryCounts.cancel()">Cancel count</button>`
+                : session.status === 'posted'
+                    ? `<p style="margin: 0; font-size: 0.875rem; color: var(--gray-600);">Posted ${session.postedAt ? new Date(session.postedAt).toLocaleString() : ''}${session.postedBy ? ` by ${this.escape(session.postedBy)}` : ''} &mdash; ${Number(session.postedLines) || 0} lines, net ${Number(session.postedUnits) || 0} units, ${this.money(session.postedCostImpact)} at cost.</p>`
+                    : '';
+
+            this.renderLines();
+            if (open) document.getElementById('inventoryCountScanCode')?.focus();
+        },
+
+        renderLines() {
+            const container = document.getElementById('inventoryCountLines');
+            if (!container || !this.current) return;
+            const open = this.current.session.status === 'counting';
+            const lines = this.current.lines || [];
+            if (!lines.length) {
+                container.innerHTML = '<div style="text-align: center; padding: 2rem; color: var(--gray-500);"><p>No lines match.</p></div>';
+                return;
+            }
+            const reviewBadge = {
+                approved: 'badge-success',
+                rejected: 'badge-danger',
+                pending: 'badge-secondary'
+            };
+            container.innerHTML = `
+                ${this.current.truncated ? '<p style="font-size: 0.8rem; color: var(--gray-500);">Showing the first 1,000 lines &mdash; narrow with the filter or search.</p>' : ''}
+                <div class="table-container">
+                    <table class="table">
+                        <thead>
+                            <tr>
+                                ${open ? '<th style="width: 32px;"></th>' : ''}
+                                <th>SKU</th>
+                                <th>Product</th>
+                                <th>System</th>
+                                <th>Counted</th>
+                                <th>Variance</th>
+                                <th>Cost impact</th>
+                                <th>Review</th>
+                                ${open ? '<th>Actions</th>' : ''}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${lines.map((l) => `
+                            <tr>
+                                ${open ? `<td>${l.countedQuantity != null ? `<input type="checkbox" ${this.selected.has(l.id) ? 'checked' : ''} onchange="window.AdminInventoryCounts.toggleLine(${l.id}, this.checked)">` : ''}</td>` : ''}
+                                <td><code>${this.escape(l.sku)}</code></td>
+                                <td>${this.escape(l.name)}${l.outOfScope ? ' <span class="badge badge-info">out of scope</span>' : ''}</td>
+                                <td>${Number(l.systemQuantity)}</td>
+                                <td>${l.countedQuantity != null ? Number(l.countedQuantity) : '<span style="color: var(--gray-400);">&mdash;</span>'}</td>
+                                <td>${l.variance == null ? '' : l.variance === 0 ? '0' : `<span class="badge ${l.variance > 0 ? 'badge-success' : 'badge-danger'}">${l.variance > 0 ? '+' : ''}${l.variance}</span>`}</td>
+                                <td>${l.costImpact != null && l.variance ? this.money(l.costImpact) : l.variance && l.unitCost == null ? '<small>no cost</small>' : ''}</td>
+                                <td>${l.countedQuantity != null ? `<span class="badge ${reviewBadge[l.reviewStatus] || 'badge-secondary'}">${this.escape(l.reviewStatus)}</span>` : ''}${l.postedChange != null ? ` <small>posted ${l.postedChange > 0 ? '+' : ''}${l.postedChange}</small>` : ''}</td>
+                                ${open ? `<td><button type="button" class="btn btn-sm btn-secondary" onclick="window.AdminInventoryCounts.editLine(${l.id})"><i class="fas fa-edit"></i> Set</button></td>` : ''}
+                            </tr>`).join('')}
+                        </tbody>
+                    </table>
+                </div>`;
+        },
+
+        toggleLine(id, checked) {
+            if (checked) this.selected.add(id);
+            else this.selected.delete(id);
+        },
+
+        async submitScan(codeOverride) {
+            if (!this.current) return;
+            const codeInput = document.getElementById('inventoryCountScanCode');
+            const qtyInput = document.getElementById('inventoryCountScanQty');
+            const code = (codeOverride || codeInput?.value || '').trim();
+            if (!code) return;
+            const quantity = parseInt(qtyInput?.value, 10);
+            const mode = document.getElementById('inventoryCountScanMode')?.value || 'add';
+            const feedback = document.getElementById('inventoryCountScanFeedback');
+            try {
+                const data = await this.api(`/${this.current.session.id}/scan`, {
+                    method: 'POST',
+                    body: JSON.stringify({ code, quantity: Number.isFinite(quantity) ? quantity : 1, mode })
+                });
+                if (!data) return;
+                const line = data.line;
+                if (feedback) {
+                    feedback.style.color = 'var(--primary-green)';
+                    feedback.textContent = `${line.name}: counted ${line.countedQuantity} (system ${line.systemQuantity})`;
+                }
+                if (codeInput) codeInput.value = '';
+                if (qtyInput) qtyInput.value = '1';
+                await this.reload();
+            } catch (err) {
+                if (feedback) {
+                    feedback.style.color = 'var(--error)';
+                    feedback.textContent = err.message || 'Scan failed';
+                }
+            } finally {
+                codeInput?.focus();
+            }
+        },
+
+        async editLine(lineId) {
+            const line = (this.current?.lines || []).find((l) => l.id === lineId);
+            if (!line) return;
+            const result = await this.app().showAdminInputModal({
+                title: 'Set counted quantity',
+                message: `${line.name} (${line.sku}) — system quantity ${line.systemQuantity}.`,
+                inputs: [
+                    {
+                        key: 'counted',
+                        label: 'Counted quantity',
+                        inputType: 'number',
+                        value: line.countedQuantity != null ? String(line.countedQuantity) : '',
+                        required: true
+                    }
+                ],
+                submitLabel: 'Save count'
+            });
+            if (!result) return;
+            try {
+                await this.api(`/${this.current.session.id}/lines/${lineId}`, {
+                    method: 'PUT',
+                    body: JSON.stringify({ countedQuantity: parseInt(result.counted, 10) })
+                });
+                await this.reload();
+            } catch (err) {
+                this.toast(err.message || 'Could not save count', 'error');
+            }
+        },
+
+        async review(decision, scope) {
+            if (!this.current) return;
+            const lineIds = scope === 'variances' ? 'variances' : [...this.selected];
+            if (lineIds !== 'variances' && !lineIds.length) {
+                this.toast('Select counted lines first', 'error');
+                return;
+            }
+            try {
+                const data = await this.api(`/${this.current.session.id}/review`, {
+                    method: 'POST',
+                    body: JSON.stringify({ lineIds, decision })
+                });
+                if (!data) return;
+                this.selected.clear();
+                this.toast(`${Number(data.updated) || 0} line(s) ${decision}`, 'success');
+                await this.reload();
+            } catch (err) {
+                this.toast(err.message || 'Could not update review', 'error');
+            }
+        },
+
+        async post() {
+            if (!this.current) return;
+            const totals = this.current.totals;
+            const ok = await this.app().showAdminConfirm({
+                title: 'Post count',
+                message: `Post ${Number(totals.approved)} approved variance(s) (${this.money(totals.approvedCostImpact)} at cost) to inventory and close this count?\n\nPending and rejected lines are not posted.`,
+                confirmLabel: 'Post variances',
+                cancelLabel: 'Keep counting'
+            });
+            if (!ok) return;
+            try {
+                const data = await this.api(`/${this.current.session.id}/post`, { method: 'POST' });
+                if (!data) return;
+                this.toast('Count posted to inventory', 'success');
+                this.stopCamera();
+                this.showSession(data);
+                await this.loadSessions();
+            } catch (err) {
+                this.toast(err.message || 'Could not post count', 'error');
+            }
+        },
+
+        async cancel() {
+            if (!this.current) return;
+            const ok = await this.app().showAdminConfirm({
+                title: 'Cancel count',
+                message: 'Cancel this count? Nothing is posted to inventory.',
+                confirmLabel: 'Cancel count',
+                cancelLabel: 'Back'
+            });
+            if (!ok) return;
+            try {
+                const data = await this.api(`/${this.current.session.id}/cancel`, { method: 'POST' });
+                if (!data) return;
+                this.stopCamera();
+                this.showSession(data);
+                await this.loadSessions();
+            } catch (err) {
+                this.toast(err.message || 'Could not cancel count', 'error');
+            }
+        },
+
+        /** Phone camera scanning where the browser has the Barcode Detection API. */
+        async toggleCamera() {
+            if (this._camera) {
+                this.stopCamera();
+                return;
+            }
+            if (!('BarcodeDetector' in window) || !navigator.mediaDevices?.getUserMedia) {
+                this.toast('This browser cannot scan with the camera — use a barcode scanner or type the SKU', 'error');
+                return;
+            }
+            const video = document.getElementById('inventoryCountCamera');
+            try {
+                const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+                // eslint-disable-next-line no-undef -- Barcode Detection API (Chromium / Android)
+                const detector = new BarcodeDetector({ formats: ['code_128', 'code_39', 'ean_13', 'ean_8', 'upc_a', 'upc_e', 'qr_code'] });
+                video.srcObject = stream;
+                video.style.display = 'block';
+                await video.play();
+                const camera = { stream, lastCode: null, lastAt: 0, timer: null };
+                this._camera = camera;
+                const tick = async () => {
+                    if (this._camera !== camera) return;
+                    try {
+                        const codes = await detector.detect(video);
+                        const value = codes[0]?.rawValue;
+                        const now = Date.now();
+                        if (value && (value !== camera.lastCode || now - camera.lastAt > 2000)) {
+                            camera.lastCode = value;
+                            camera.lastAt = now;
+                            await this.submitScan(value);
+                        }
+                    } catch {
+                        // frame not ready yet
+                    }
+                    camera.timer = setTimeout(tick, 300);
+                };
+                void tick();
+            } catch (err) {
+                this.stopCamera();
+                this.toast(`Camera unavailable: ${err.message}`, 'error');
+            }
+        },
+
+        stopCamera() {
+            const camera = this._camera;
+            this._camera = null;
+            if (!camera) return;
+            clearTimeout(camera.timer);
+            camera.stream.getTracks().forEach((t) => t.stop());
+            const video = document.getElementById('inventoryCountCamera');
+            if (video) {
+                video.srcObject = null;
+                video.style.display = 'none';
+            }
+        }
+    };
+
+    window.AdminInventoryCounts = AdminInventoryCounts;
+})();
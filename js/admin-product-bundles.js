@@ -0,0 +1,242 @@
+/**
+ * Bundle / kit editor for admin product modal.
+ */
+(function () {
+    'use strict';
+
+    function escapeHtml(str) {
+        return String(str || '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    async function adminGet(path) {
+        const app = window.adminApp;
+        const response = await fetch(`${app.apiBaseUrl}${path}`, {
+            headers: { Authorization: `Bearer ${localStorage.getItem('adminToken')}` },
+        });
+        if (!response.ok) {
+            const body = await response.json().catch(() => ({}));
+            throw new Error(body.error || `Request failed (${response.status})`);
+        }
+        return response.json();
+    }
+
+    function mountBundleEditor(form, prefix) {
+        const section = document.createElement('div');
+        section.className = 'hm-bundle-editor-section';
+        section.style.marginBottom = '2.5rem';
+        section.style.paddingBottom = '2rem';
+        section.style.borderBottom = '1px solid var(--gray-200)';
+
+        section.innerHTML = `
+            <h3 style="font-size:1.1rem;font-weight:600;color:var(--primary-green);margin-bottom:0.35rem;">Bundle / kit</h3>
+            <p style="font-size:0.85rem;color:var(--gray-500);margin-bottom:1rem;line-height:1.45;">
+                Sell a set of existing products as one item (cleanse kits, immune support packs).
+                Stock is the number of complete kits the component stock can build, and each sale deducts the components.
+            </p>
+            <label style="display:flex;align-items:center;gap:0.5rem;font-weight:500;font-size:0.875rem;margin-bottom:1rem;">
+                <input type="checkbox" id="${prefix}-is-bundle">
+                This product is a bundle of other products
+            </label>
+            <div id="${prefix}-bundle-body" style="display:none;">
+                <div style="display:flex;gap:1rem;flex-wrap:wrap;margin-bottom:1rem;">
+                    <div class="form-group" style="margin:0;">
+                        <label for="${prefix}-bundle-pricing" style="display:block;font-weight:500;margin-bottom:0.35rem;font-size:0.875rem;">Price</label>
+                        <select id="${prefix}-bundle-pricing" class="form-input">
+                            <option value="fixed">Fixed &mdash; use the price above</option>
+                            <option value="computed">Computed from components</option>
+                        </select>
+                    </div>
+                    <div class="form-group" id="${prefix}-bundle-discount-group" style="margin:0;display:none;">
+                        <label for="${prefix}-bundle-discount" style="display:block;font-weight:500;margin-bottom:0.35rem;font-size:0.875rem;">Bundle discount (%)</label>
+                        <input type="number" id="${prefix}-bundle-discount" class="form-input" min="0" max="100" step="0.5" value="0" style="max-width:120px;">
+                    </div>
+                </div>
+                <div style="position:relative;margin-bottom:0.75rem;max-width:420px;">
+                    <input type="search" id="${prefix}-bundle-search" class="form-input" placeholder="Add a component — search name or SKU" autocomplete="off">
+                    <div id="${prefix}-bundle-results" style="display:none;position:absolute;z-index:20;left:0;right:0;background:#fff;border:1px solid var(--gray-200);border-radius:6px;box-shadow:0 4px 12px rgba(0,0,0,0.08);max-height:240px;overflow-y:auto;"></div>
+                </div>
+                <table style="width:100%;border-collapse:collapse;font-size:0.875rem;">
+                    <thead>
+                        <tr style="background:var(--gray-50);text-align:left;">
+                            <th style="padding:0.5rem;border-bottom:1px solid var(--gray-200);">Component</th>
+                            <th style="padding:0.5rem;border-bottom:1px solid var(--gray-200);">Option</th>
+                            <th style="padding:0.5rem;border-bottom:1px solid var(--gray-200);width:90px;">Qty per kit</th>
+                            <th style="padding:0.5rem;border-bottom:1px solid var(--gray-200);width:40px;"></th>
+                        </tr>
+                    </thead>
+                    <tbody id="${prefix}-bundle-rows"></tbody>
+                </table>
+                <p id="${prefix}-bundle-summary" style="font-size:0.8rem;color:var(--gray-500);margin-top:0.75rem;"></p>
+            </div>
+        `;
+
+        const variantSection = [...form.children].find((el) => el.classList?.contains('hm-variant-editor-section'));
+        if (variantSection && variantSection.nextSibling) {
+            form.insertBefore(section, variantSection.nextSibling);
+        } else {
+            form.appendChild(section);
+        }
+
+        const toggle = section.querySelector(`#${prefix}-is-bundle`);
+        const body = section.querySelector(`#${prefix}-bundle-body`);
+        const pricingEl = section.querySelector(`#${prefix}-bundle-pricing`);
+        const discountGroup = section.querySelector(`#${prefix}-bundle-discount-group`);
+        const discountEl = section.querySelector(`#${prefix}-bundle-discount`);
+        const searchEl = section.querySelector(`#${prefix}-bundle-search`);
+        const resultsEl = section.querySelector(`#${prefix}-bundle-results`);
+        const rowsEl = section.querySelector(`#${prefix}-bundle-rows`);
+        const summaryEl = section.querySelector(`#${prefix}-bundle-summary`);
+        let wasBundle = false;
+        let searchTimer = null;
+
+        function syncVisibility() {
+            body.style.display = toggle.checked ? 'block' : 'none';
+            discountGroup.style.display = pricingEl.value === 'computed' ? 'block' : 'none';
+        }
+
+        function addComponentRow({ productId, variantId = null, name, sku, quantity = 1, variants = [] }) {
+            const existing = rowsEl.querySelector(`tr[data-product-id="${productId}"][data-variant-id="${variantId || ''}"]`);
+            if (existing && !variants.length) {
+                const qtyInput = existing.querySelector('.hm-b-qty');
+                qtyInput.value = (parseInt(qtyInput.value, 10) || 0) + 1;
+                return;
+            }
+            const tr = document.createElement('tr');
+            tr.dataset.productId = String(productId);
+            tr.dataset.variantId = variantId ? String(variantId) : '';
+            const optionCell = variants.length
+                ? `<select class="form-input hm-b-variant" style="min-width:140px;">
+                        ${variants.map((v) => `<option value="${v.id}" ${Number(v.id) === Number(variantId) ? 'selected' : ''}>${escapeHtml(v.name)}</option>`).join('')}
+                   </select>`
+                : '<span style="color:var(--gray-400);">&mdash;</span>';
+            tr.innerHTML = `
+                <td style="padding:0.5rem;border-bottom:1px solid var(--gray-100);">${escapeHtml(name)} <code style="font-size:0.75rem;">${escapeHtml(sku || '')}</code></td>
+                <td style="padding:0.5rem;border-bottom:1px solid var(--gray-100);">${optionCell}</td>
+                <td style="padding:0.5rem;border-bottom:1px solid var(--gray-100);"><input type="number" class="form-input hm-b-qty" min="1" max="999" value="${Number(quantity) || 1}" style="width:70px;"></td>
+                <td style="padding:0.5rem;border-bottom:1px solid var(--gray-100);"><button type="button" class="btn btn-secondary btn-sm hm-b-remove" title="Remove">&times;</button></td>
+            `;
+            tr.querySelector('.hm-b-remove').addEventListener('click', () => tr.remove());
+            const variantSelect = tr.querySelector('.hm-b-variant');
+            if (variantSelect) {
+                tr.dataset.variantId = variantSelect.value;
+                variantSelect.addEventListener('change', () => {
+                    tr.dataset.variantId = variantSelect.value;
+                });
+            }
+            rowsEl.appendChild(tr);
+        }
+
+        async function pickProduct(product) {
+            resultsEl.style.display = 'none';
+            searchEl.value = '';
+            try {
+                let variants = [];
+                if (Number(product.variant_count) > 0) {
+                    const detail = await adminGet(`/admin/products/${product.id}`);
+                    variants = (detail.variants || []).filter((v) => v.is_active === undefined || Number(v.is_active));
+                }
+                addComponentRow({
+                    productId: product.id,
+                    variantId: variants[0]?.id || null,
+                    name: product.name,
+                    sku: product.sku,
+                    variants,
+                });
+            } catch (err) {
+                window.adminApp?.showNotification?.(`Could not add ${product.name}: ${err.message}`, 'error');
+            }
+        }
+
+        async function runSearch() {
+            const q = searchEl.value.trim();
+            if (q.length < 2) {
+                resultsEl.style.display = 'none';
+                return;
+            }
+            try {
+                const data = await adminGet(`/admin/products?search=${encodeURIComponent(q)}&limit=8`);
+                const products = (data.products || []).filter((p) => !Number(p.is_bundle));
+                resultsEl.innerHTML = products.length
+                    ? products.map((p, i) => `
+                        <button type="button" data-index="${i}" style="display:block;width:100%;text-align:left;padding:0.5rem 0.75rem;border:0;background:none;cursor:pointer;font-size:0.85rem;">
+                            ${escapeHtml(p.name)} <span style="color:var(--gray-500);">${escapeHtml(p.sku || '')}</span>
+                        </button>`).join('')
+                    : '<div style="padding:0.5rem 0.75rem;color:var(--gray-500);font-size:0.85rem;">No matching products</div>';
+                resultsEl.querySelectorAll('button[data-index]').forEach((btn) => {
+                    btn.addEventListener('click', () => pickProduct(products[Number(btn.dataset.index)]));
+                });
+                resultsEl.style.display = 'block';
+            } catch (err) {
+                resultsEl.innerHTML = `<div style="padding:0.5rem 0.75rem;color:var(--error);font-size:0.85rem;">${escapeHtml(err.message)}</div>`;
+                resultsEl.style.display = 'block';
+            }
+        }
+
+        toggle.addEventListener('change', syncVisibility);
+        pricingEl.addEventListener('change', syncVisibility);
+        searchEl.addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(runSearch, 250);
+        });
+        searchEl.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') e.preventDefault();
+        });
+
+        form._hmBundleEditor = {
+            load(product) {
+                rowsEl.innerHTML = '';
+                summaryEl.textContent = '';
+                const bundle = product.bundle;
+                wasBundle = Boolean(bundle);
+                toggle.checked = wasBundle;
+                pricingEl.value = bundle?.pricing || 'fixed';
+                discountEl.value = bundle ? String(bundle.discountPercent || 0) : '0';
+                (bundle?.components || []).forEach((c) => {
+                    addComponentRow({
+                        productId: c.productId,
+                        variantId: c.variantId,
+                        name: c.name,
+                        sku: c.sku,
+                        quantity: c.quantity,
+                    });
+                });
+                if (bundle) {
+                    const kits = bundle.availableQuantity == null ? 'not stock-tracked' : `${bundle.availableQuantity} kit(s) in stock`;
+                    summaryEl.textContent = `Components total $${Number(bundle.computedPrice || 0).toFixed(2)} after discount · ${kits}`;
+                }
+                syncVisibility();
+            },
+            getPayload() {
+                if (!toggle.checked) return wasBundle ? null : undefined;
+                return {
+                    pricing: pricingEl.value,
+                    discountPercent: parseFloat(discountEl.value) || 0,
+                    components: [...rowsEl.querySelectorAll('tr')].map((tr) => ({
+                        productId: parseInt(tr.dataset.productId, 10),
+                        variantId: tr.dataset.variantId ? parseInt(tr.dataset.variantId, 10) : null,
+                        quantity: parseInt(tr.querySelector('.hm-b-qty').value, 10) || 1,
+                    })),
+                };
+            },
+        };
+
+        syncVisibility();
+        return form._hmBundleEditor;
+    }
+
+    function attachBundlePayload(productData, formElement) {
+        if (formElement && formElement._hmBundleEditor) {
+            const bundle = formElement._hmBundleEditor.getPayload();
+            if (bundle !== undefined) productData.bundle = bundle;
+        }
+    }
+
+    window.HMProductBundleEditor = {
+        mountBundleEditor,
+        attachBundlePayload,
+    };
+})();
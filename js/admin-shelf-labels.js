@@ -0,0 +1,389 @@
+'use strict';
+
+/**
+ * Admin → Shelf labels: the price-change reprint queue, a batch of shelf tags / barcode stickers
+ * (print to a network label printer, or download a PDF sheet or ZPL file) and label settings.
+ */
+(function () {
+    const REASON_LABELS = { price_change: 'Price change', promotion: 'Promotion' };
+
+    const AdminShelfLabels = {
+        batch: [],
+        queue: [],
+        settings: null,
+        templates: [],
+        printers: [],
+        _bound: false,
+
+        init() {
+            if (!this._bound) {
+                this.bindEvents();
+                this.setDefaultSince();
+                this._bound = true;
+            }
+            void this.loadSettings();
+            void this.loadQueue();
+            this.renderBatch();
+        },
+
+        app() {
+            return window.adminApp;
+        },
+
+        toast(msg, type = 'info') {
+            this.app()?.showNotification?.(msg, type);
+        },
+
+        escape(value) {
+            return this.app().escapeHtml(value == null ? '' : String(value));
+        },
+
+        api(path, options = {}) {
+            return this.app().apiRequest('/admin/shelf-labels' + path, options);
+        },
+
+        money(value) {
+            return `$${(Number(value) || 0).toFixed(2)}`;
+        },
+
+        key(item) {
+            return `${item.productId}:${item.variantId || 0}`;
+        },
+
+        bindEvents() {
+            document.getElementById('shelfLabelQueueForm')?.addEventListener('submit', (e) => {
+                e.preventDefault();
+                void this.loadQueue();
+            });
+            document.getElementById('shelfLabelQueueAddBtn')?.addEventListener('click', () => this.addSelectedFromQueue());
+            document.getElementById('shelfLabelQueue')?.addEventListener('change', (e) => {
+                if (e.target.id === 'shelfLabelQueueAll') {
+                    document.querySelectorAll('#shelfLabelQueue [data-queue-index]').forEach((box) => {
+                        box.checked = e.target.checked;
+                    });
+                }
+            });
+            document.getElementById('shelfLabelSearchForm')?.addEventListener('submit', (e) => {
+                e.preventDefault();
+                void this.search();
+            });
+            document.getElementById('shelfLabelSearchResults')?.addEventListener('click', (e) => {
+                const btn = e.target.closest('[data-result-index]');
+                if (!btn) return;
+                this.addToBatch([this._results[Number(btn.dataset.resultIndex)]]);
+            });
+            document.getElementById('shelfLabelBatch')?.addEventListener('input', (e) => {
+                const idx = e.target.dataset.batchQty;
+                if (idx == null) return;
+                this.batch[Number(idx)].quantity = Math.min(100, Math.max(1, parseInt(e.target.value, 10) || 1));
+            });
+            document.getElementById('shelfLabelBatch')?.addEventListener('click', (e) => {
+                const btn = e.target.closest('[data-batch-remove]');
+                if (!btn) return;
+                this.batch.splice(Number(btn.dataset.batchRemove), 1);
+                this.renderBatch();
+            });
+            document.getElementById('shelfLabelClearBtn')?.addEventListener('click', () => {
+                this.batch = [];
+                this.renderBatch();
+            });
+            document.getElementById('shelfLabelPrintBtn')?.addEventListener('click', () => void this.print());
+            document.getElementById('shelfLabelPdfBtn')?.addEventListener('click', () => void this.download('pdf'));
+            document.getElementById('shelfLabelZplBtn')?.addEventListener('click', () => void this.download('zpl'));
+            document.getElementById('shelfLabelSettingsForm')?.addEventListener('submit', (e) => {
+                e.preventDefault();
+                void this.saveSettings(e.currentTarget);
+            });
+        },
+
+        setDefaultSince() {
+            const d = new Date();
+            d.setDate(d.getDate() - 7);
+            const input = document.getElementById('shelfLabelSince');
+            if (input && !input.value) {
+                input.value = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+            }
+        },
+
+        async loadSettings() {
+            try {
+                const data = await this.api('/settings');
+                if (!data) return;
+                this.settings = data.settings;
+                this.templates = data.templates || [];
+                this.printers = data.printers || [];
+                this.renderSettings();
+            } catch (err) {
+                this.toast(err.message || 'Could not load label settings', 'error');
+            }
+        },
+
+        printerOption(p) {
+            const where = p.posDeviceLabel ? ` — ${p.posDeviceLabel}` : '';
+            const suffix = p.network ? '' : ' (not on the network)';
+            return `<option value="${p.id}">${this.escape(p.label + where + suffix)}</option>`;
+        },
+
+        renderSettings() {
+            const s = this.settings;
+            const templateOptions = this.templates.map((t) => `<option value="${this.escape(t.id)}">${this.escape(t.label)}</option>`).join('');
+            const templateSelect = document.getElementById('shelfLabelTemplate');
+            if (templateSelect) {
+                templateSelect.innerHTML = templateOptions;
+                templateSelect.value = s.defaultTemplate;
+            }
+            const printerSelect = document.getElementById('shelfLabelPrinter');
+            if (printerSelect) {
+                printerSelect.innerHTML = this.printers.length
+                    ? this.printers.map((p) => this.printerOption(p)).join('')
+                    : '<option value="">No label printers set up</option>';
+                if (s.defaultPrinterId) printerSelect.value = String(s.defaultPrinterId);
+            }
+
+            const form = document.getElementById('shelfLabelSettingsForm');
+            if (!form) return;
+            form.elements.defaultTemplate.innerHTML = templateOptions;
+            form.elements.defaultTemplate.value = s.defaultTemplate;
+            form.elements.defaultPrinterId.innerHTML =
+                '<option value="">None</option>' + this.printers.map((p) => this.printerOption(p)).join('');
+            form.elements.defaultPrinterId.value = s.defaultPrinterId ? String(s.defaultPrinterId) : '';
+            form.elements.printerDpi.value = String(s.printerDpi);
+            form.elements.symbology.value = s.symbology;
+            form.elements.showBrand.checked = s.showBrand;
+            form.elements.showComparePrice.checked = s.showComparePrice;
+            form.elements.showPrintedDate.checked = s.showPrintedDate;
+        },
+
+        async saveSettings(form) {
+            try {
+                const data = await this.api('/settings', {
+                    method: 'PUT',
+                    body: JSON.stringify({
+                        defaultTemplate: form.elements.defaultTemplate.value,
+                        defaultPrinterId: form.elements.defaultPrinterId.value || null,
+                        printerDpi: Number(form.elements.printerDpi.value),
+                        symbology: form.elements.symbology.value,
+                        showBrand: form.elements.showBrand.checked,
+                        showComparePrice: form.elements.showComparePrice.checked,
+                        showPrintedDate: form.elements.showPrintedDate.checked
+                    })
+                });
+                if (!data) return;
+                this.settings = data.settings;
+                this.renderSettings();
+                this.toast('Label settings saved', 'success');
+            } catch (err) {
+                this.toast(err.message || 'Could not save label settings', 'error');
+            }
+        },
+
+        async loadQueue() {
+            const mount = document.getElementById('shelfLabelQueue');
+            if (!mount) return;
+            const params = new URLSearchParams({
+                since: document.getElementById('shelfLabelSince')?.value || '',
+                includePrinted: document.getElementById('shelfLabelIncludePrinted')?.checked ? '1' : '0'
+            });
+            mount.innerHTML = '<p class="form-help">Loading…</p>';
+            try {
+                const data = await this.api(`/queue?${params}`);
+                if (!data) return;
+                this.queue = data.entries || [];
+                this.renderQueue();
+            } catch (err) {
+                mount.innerHTML = `<p style="color: var(--error);">${this.escape(err.message)}</p>`;
+            }
+        },
+
+        renderQueue() {
+            const mount = document.getElementById('shelfLabelQueue');
+            if (!mount) return;
+            if (!this.queue.length) {
+                mount.innerHTML = '<p style="color: var(--gray-500);">Nothing to re-tag for this period.</p>';
+                return;
+            }
+            mount.innerHTML = `<div class="table-container"><table class="data-table">
+                <thead><tr>
+                    <th><input type="checkbox" id="shelfLabelQueueAll" checked aria-label="Select all"></th>
+                    <th>Product</th><th>SKU</th><th>Why</th><th>Old</th><th>Now</th><th>Changed</th><th>Last printed</th>
+                </tr></thead>
+                <tbody>${this.queue
+                    .map(
+                        (e, i) => `<tr>
+                        <td><input type="checkbox" data-queue-index="${i}" ${e.printed ? '' : 'checked'} aria-label="Select"></td>
+                        <td>${this.escape(e.name)}</td>
+                        <td>${this.escape(e.sku)}</td>
+                        <td>${this.escape(REASON_LABELS[e.reason] || e.reason)}${e.promotion ? `<br><span class="form-help">${this.escape(e.promotion.description)}</span>` : ''}</td>
+                        <td>${e.oldPrice == null ? '—' : this.money(e.oldPrice)}</td>
+                        <td>${this.money(e.price)}</td>
+                        <td>${e.changedAt ? this.escape(new Date(e.changedAt).toLocaleString()) : '—'}</td>
+                        <td>${e.lastPrintedAt ? this.escape(new Date(e.lastPrintedAt).toLocaleString()) : '—'}</td>
+                    </tr>`
+                    )
+                    .join('')}</tbody>
+            </table></div>`;
+        },
+
+        addSelectedFromQueue() {
+            const picked = [...document.querySelectorAll('#shelfLabelQueue [data-queue-index]:checked')].map(
+                (box) => this.queue[Number(box.dataset.queueIndex)]
+            );
+            if (!picked.length) {
+                this.toast('Select products from the list first', 'warning');
+                return;
+            }
+            this.addToBatch(picked);
+        },
+
+        addToBatch(items) {
+            let added = 0;
+            for (const item of items) {
+                if (!item) continue;
+                const existing = this.batch.find((b) => this.key(b) === this.key(item));
+                if (existing) continue;
+                this.batch.push({
+                    productId: item.productId,
+                    variantId: item.variantId || null,
+                    name: item.name,
+                    sku: item.sku,
+                    price: item.price,
+                    promotionId: item.promotion?.id || null,
+                    quantity: 1
+                });
+                added += 1;
+            }
+            this.renderBatch();
+            if (added) this.toast(`${added} product(s) added to the batch`, 'success');
+        },
+
+        async search() {
+            const q = document.getElementById('shelfLabelSearch')?.value.trim() || '';
+            const mount = document.getElementById('shelfLabelSearchResults');
+            if (!mount) return;
+            if (q.length < 2) {
+                mount.innerHTML = '';
+                return;
+            }
+            try {
+                const data = await this.api(`/products?q=${encodeURIComponent(q)}`);
+                if (!data) return;
+                this._results = data.products || [];
+                const exact = this._results.filter((p) => String(p.sku).toUpperCase() === q.toUpperCase());
+                if (exact.length === 1) {
+                    // A scanned SKU goes straight into the batch.
+                    this.addToBatch(exact);
+                    document.getElementById('shelfLabelSearch').value = '';
+                    mount.innerHTML = '';
+                    return;
+                }
+                mount.innerHTML = this._results.length
+                    ? this._results
+                          .map(
+                              (p, i) =>
+                                  `<button type="button" class="btn btn-secondary btn-sm" data-result-index="${i}" style="margin: 0 0.35rem 0.35rem 0;">
+                                    ${this.escape(p.name)} · ${this.escape(p.sku)} · ${this.money(p.price)}
+                                  </button>`
+                          )
+                          .join('')
+                    : '<p style="color: var(--gray-500);">No matching products.</p>';
+            } catch (err) {
+                mount.innerHTML = `<p style="color: var(--error);">${this.escape(err.message)}</p>`;
+            }
+        },
+
+        renderBatch() {
+            const mount = document.getElementById('shelfLabelBatch');
+            if (!mount) return;
+            if (!this.batch.length) {
+                mount.innerHTML = '<p style="color: var(--gray-500);">No labels in the batch yet — add products from the queue or search.</p>';
+                return;
+            }
+            mount.innerHTML = `<div class="table-container"><table class="data-table">
+                <thead><tr><th>Product</th><th>SKU</th><th>Price</th><th>Copies</th><th></th></tr></thead>
+                <tbody>${this.batch
+                    .map(
+                        (b, i) => `<tr>
+                        <td>${this.escape(b.name)}</td>
+                        <td>${this.escape(b.sku)}</td>
+                        <td>${this.money(b.price)}</td>
+                        <td><input type="number" class="form-input" min="1" max="100" value="${b.quantity}" data-batch-qty="${i}" style="width: 5rem;" aria-label="Copies"></td>
+                        <td><button type="button" class="btn btn-secondary btn-sm" data-batch-remove="${i}">Remove</button></td>
+                    </tr>`
+                    )
+                    .join('')}</tbody>
+            </table></div>`;
+        },
+
+        payload() {
+            return {
+                template: document.getElementById('shelfLabelTemplate')?.value || undefined,
+                items: this.batch.map((b) => ({
+                    productId: b.productId,
+                    variantId: b.variantId,
+                    promotionId: b.promotionId,
+                    quantity: b.quantity
+                }))
+            };
+        },
+
+        afterOutput(missing) {
+            if (missing && missing.length) this.toast(`Skipped products no longer in the catalog: ${missing.join(', ')}`, 'warning');
+            void this.loadQueue();
+        },
+
+        async print() {
+            if (!this.batch.length) {
+                this.toast('Add products to the batch first', 'warning');
+                return;
+            }
+            const printerId = document.getElementById('shelfLabelPrinter')?.value;
+            try {
+                const data = await this.api('/print', {
+                    method: 'POST',
+                    body: JSON.stringify({ ...this.payload(), printerId: printerId ? Number(printerId) : null })
+                });
+                if (!data) return;
+                this.toast(`${data.count} label(s) sent to ${data.printer.label}`, 'success');
+                this.afterOutput(data.missing);
+            } catch (err) {
+                this.toast(err.message || 'Labels not printed', 'error');
+            }
+        },
+
+        async download(format) {
+            if (!this.batch.length) {
+                this.toast('Add products to the batch first', 'warning');
+                return;
+            }
+            const app = this.app();
+            try {
+                const response = await fetch(`${app.apiBaseUrl}/admin/shelf-labels/export.${format}`, {
+                    method: 'POST',
+                    headers: { Authorization: `Bearer ${app.authToken}`, 'Content-Type': 'application/json' },
+                    body: JSON.stringify(this.payload())
+                });
+                if (!response.ok) {
+                    const data = await response.json().catch(() => ({}));
+                    throw new Error(data.error || `Export failed (${response.status})`);
+                }
+                const blob = await response.blob();
+                const disposition = response.headers.get('Content-Disposition') || '';
+                const match = disposition.match(/filename="([^"]+)"/);
+                const url = URL.createObjectURL(blob);
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = match ? match[1] : `labels.${format}`;
+                document.body.appendChild(link);
+                link.click();
+                link.remove();
+                URL.revokeObjectURL(url);
+                const missing = response.headers.get('X-Labels-Missing');
+                this.afterOutput(missing ? missing.split(',') : []);
+            } catch (err) {
+                this.toast(err.message || 'Label export failed', 'error');
+            }
+        }
+    };
+
+    window.AdminShelfLabels = AdminShelfLabels;
+})();
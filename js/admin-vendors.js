@@ -45,6 +45,7 @@
     const AdminVendors = {
         vendors: [],
         orders: [],
+        specialOrders: [],
         detailOrder: null,
         _editVendor: null,
         _bound: false,
@@ -132,7 +133,12 @@
                 this.addLineRow();
                 this._linesReady = true;
             }
-            await Promise.all([this.loadVendorDirectory(), this.loadReceivingVendors(), this.loadOrders()]);
+            await Promise.all([
+                this.loadVendorDirectory(),
+                this.loadReceivingVendors(),
+                this.loadOrders(),
+                this.loadSpecialOrders()
+            ]);
         },
 
         paymentTermsLabel(value) {
@@ -508,18 +514,92 @@
             });
         },
 
+        async loadSpecialOrders() {
+            const list = document.getElementById('vendors-special-orders-list');
+            if (!list) return;
+            try {
+                const data = await this.apiReceiving('/special-orders?unlinked=1&status=open');
+                this.specialOrders = data?.specialOrders || [];
+                this.renderSpecialOrders();
+            } catch (err) {
+                list.innerHTML = `<p style="color:var(--error);">${this.escape(err.message || 'Failed to load special orders')}</p>`;
+            }
+        },
+
+        renderSpecialOrders() {
+            const list = document.getElementById('vendors-special-orders-list');
+            const count = document.getElementById('vendors-special-orders-count');
+            if (count) count.textContent = String(this.specialOrders.length);
+            if (!list) return;
+            const queued = new Set(
+                [...document.querySelectorAll('#vendors-lines-body tr[data-special-order-id]')].map((tr) => Number(tr.dataset.specialOrderId))
+            );
+            if (!this.specialOrders.length) {
+                list.innerHTML = '<p style="color:var(--gray-500);">No special orders are waiting.</p>';
+                return;
+            }
+            list.innerHTML = `
+                <div class="table-container">
+                    <table class="table">
+                        <thead><tr><th>#</th><th>Customer</th><th>Item</th><th>Qty</th><th>Deposit</th><th>Taken</th><th></th></tr></thead>
+                        <tbody>
+                            ${this.specialOrders
+                                .map(
+                                    (so) => `<tr>
+                                <td>${so.id}</td>
+                                <td>${this.escape(so.customerName || so.customerEmail || '—')}</td>
+                                <td>${this.escape(so.description)}${so.sku ? ` <small>(${this.escape(so.sku)})</small>` : ''}${so.vendorName ? `<br><small>${this.escape(so.vendorName)}</small>` : ''}</td>
+                                <td>${so.quantity}</td>
+                                <td>$${Number(so.depositAmount || 0).toFixed(2)}</td>
+                                <td>${so.createdAt ? new Date(so.createdAt).toLocaleDateString() : '—'}</td>
+                                <td>${
+                                    queued.has(so.id)
+                                        ? '<span class="badge badge-success">On this PO</span>'
+                                        : `<button type="button" class="btn btn-sm btn-secondary vendors-add-special-btn" data-special-order-id="${so.id}">Add to PO</button>`
+                                }</td>
+                            </tr>`
+                                )
+                                .join('')}
+                        </tbody>
+                    </table>
+                </div>`;
+            list.querySelectorAll('.vendors-add-special-btn').forEach((btn) => {
+                btn.addEventListener('click', () => this.addSpecialOrderLine(Number(btn.dataset.specialOrderId)));
+            });
+        },
+
+        addSpecialOrderLine(specialOrderId) {
+            const so = this.specialOrders.find((row) => row.id === specialOrderId);
+            if (!so) return;
+            const vendorSelect = document.getElementById('vendors-po-vendor');
+            if (so.vendorId && vendorSelect && !vendorSelect.value) vendorSelect.value = String(so.vendorId);
+            const body = document.getElementById('vendors-lines-body');
+            const blank = [...(body?.querySelectorAll('tr') || [])].find(
+                (tr) => !tr.dataset.specialOrderId && [...tr.querySelectorAll('input')].every((input) => !input.value)
+            );
+            blank?.remove();
+            this.addLineRow({ sku: so.sku, description: so.description, qtyOrdered: so.quantity, specialOrderId: so.id });
+            this.renderSpecialOrders();
+        },
+
         addLineRow(line = {}) {
             const body = document.getElementById('vendors-lines-body');
             if (!body) return;
             const tr = document.createElement('tr');
+            if (line.specialOrderId) tr.dataset.specialOrderId = String(line.specialOrderId);
             tr.innerHTML = `
-                <td><input class="form-input" type="text" data-field="sku" value="${this.escape(line.sku || line.productSku || '')}" placeholder="Store SKU"></td>
+                <td><input class="form-input" type="text" data-field="sku" value="${this.escape(line.sku || line.productSku || '')}" placeholder="Store SKU">${
+                    line.specialOrderId ? `<small style="color:var(--gray-600);">Special order #${line.specialOrderId}</small>` : ''
+                }</td>
                 <td><input class="form-input" type="text" data-field="vendorSku" value="${this.escape(line.vendorSku || '')}" placeholder="Vendor code"></td>
                 <td><input class="form-input" type="text" data-field="description" value="${this.escape(line.description || '')}" placeholder="Product name"></td>
                 <td><input class="form-input" type="number" min="0" step="1" data-field="qtyOrdered" value="${this.escape(line.qtyOrdered ?? '')}" placeholder="0"></td>
                 <td><input class="form-input" type="number" min="0" step="0.01" data-field="unitCost" value="${this.escape(line.unitCost ?? '')}" placeholder="0.00"></td>
                 <td><button type="button" class="btn btn-sm btn-danger" data-remove-line>Remove</button></td>`;
-            tr.querySelector('[data-remove-line]')?.addEventListener('click', () => tr.remove());
+            tr.querySelector('[data-remove-line]')?.addEventListener('click', () => {
+                tr.remove();
+                if (line.specialOrderId) this.renderSpecialOrders();
+            });
             body.appendChild(tr);
         },
 
@@ -533,9 +613,10 @@
                 const qtyOrdered = Number(row.querySelector('[data-field="qtyOrdered"]')?.value);
                 const unitCostRaw = row.querySelector('[data-field="unitCost"]')?.value;
                 const unitCost = unitCostRaw === '' ? null : Number(unitCostRaw);
-                if (!sku && !vendorSku) return;
+                const specialOrderId = Number(row.dataset.specialOrderId) || null;
+                if (!sku && !vendorSku && !specialOrderId) return;
                 if (!Number.isFinite(qtyOrdered) || qtyOrdered <= 0) return;
-                lines.push({ sku, vendorSku, description, qtyOrdered, unitCost });
+                lines.push({ sku, vendorSku, description, qtyOrdered, unitCost, specialOrderId });
             });
             return lines;
         },
@@ -588,7 +669,7 @@
                 this._linesReady = false;
                 this.addLineRow();
                 this._linesReady = true;
-                await this.loadOrders();
+                await Promise.all([this.loadOrders(), this.loadSpecialOrders()]);
                 void this.viewOrder(data.order.id);
             } catch (err) {
                 this.setFormMessage(err.message || 'Could not save order', false);
@@ -639,9 +720,16 @@
             const linesHtml = (order.lines || [])
                 .map(
                     (l) => `<div class="vendors-po-detail-line">
-                        <span>${this.escape(l.description)}${l.productSku ? ` <small>(${this.escape(l.productSku)})</small>` : ''}</span>
+                        <span>${this.escape(l.description)}${l.productSku ? ` <small>(${this.escape(l.productSku)})</small>` : ''}${l.lotNumber ? ` <small>Lot ${this.escape(l.lotNumber)}${l.expirationDate ? ` · exp ${this.escape(l.expirationDate)}` : ''}</small>` : ''}</span>
                         <strong>${l.qtyReceived || 0} / ${l.qtyOrdered || 0}</strong>
+                    </div>${(l.specialOrders || [])
+                        .map(
+                            (so) => `<div class="vendors-po-detail-line" style="padding-left:1rem;color:var(--gray-600);font-size:0.88rem;">
+                        <span>Special order #${so.id} · ${this.escape(so.customerName || so.customerEmail || '')} · ${so.quantity}</span>
+                        <span>${this.escape(so.status)}${so.notifiedAt ? ' · emailed' : ''}</span>
                     </div>`
+                        )
+                        .join('')}`
                 )
                 .join('');
             const barcodeSvg = this.code39Svg(order.slipBarcode || '');
@@ -128,12 +128,15 @@ class CheckoutManager {
 
     init() {
         this.loadCart();
+        void this.restoreCartFromLink();
+        void this.confirmCartEmailFromLink();
         this.setupEventListeners();
         this.setupFormValidation();
         this.loadTaxExemptStatus();
         void this.loadStoreTaxRate();
         void this.initNmiIfConfigured();
         void this.loadSavedCards();
+        void this.loadAutoshipSettings();
         this.schedulePrefillLoggedInCustomer();
         this.bindCheckoutRewardsUi();
         void this.loadCheckoutRewards();
@@ -170,6 +173,71 @@ class CheckoutManager {
             window.addEventListener('hmherbs:customer-signed-in', this._boundCheckoutRewardsRefresh);
             window.addEventListener('hmherbs:customer-signed-out', this._boundCheckoutRewardsRefresh);
         }
+        if (!this._boundAutoshipRefresh) {
+            this._boundAutoshipRefresh = () => this.refreshAutoshipControls();
+            window.addEventListener('hmherbs:customer-signed-in', this._boundAutoshipRefresh);
+            window.addEventListener('hmherbs:customer-signed-out', this._boundAutoshipRefresh);
+        }
+    }
+
+    /** Subscribe-and-save options (discount + intervals); lines render without them until loaded. */
+    async loadAutoshipSettings() {
+        try {
+            const res = await fetch(`${this.getApiOrigin()}/api/autoship/settings`, {
+                headers: { Accept: 'application/json' }
+            });
+            if (!res.ok) return;
+            const data = await res.json();
+            const intervals = Array.isArray(data.intervalDays) ? data.intervalDays.filter((d) => Number(d) > 0) : [];
+            this.autoshipSettings = intervals.length
+                ? { discountPercent: Number(data.discountPercent) || 0, intervalDays: intervals }
+                : null;
+            this.refreshAutoshipControls();
+        } catch (_) {
+            this.autoshipSettings = null;
+        }
+    }
+
+    autoshipLineMarkup(item, index) {
+        const settings = this.autoshipSettings;
+        if (!settings || item.giftCard) return '';
+        const savings = settings.discountPercent > 0 ? ` &mdash; save ${settings.discountPercent}% on repeat deliveries` : '';
+        if (!this._getCustomerToken()) {
+            return `<div class="checkout-autoship-hint">Sign in to subscribe with autoship${savings}</div>`;
+        }
+        const current = Number(item.autoshipIntervalDays) || 0;
+        const options = settings.intervalDays
+            .map((days) => `<option value="${days}" ${current === Number(days) ? 'selected' : ''}>Autoship every ${days} days</option>`)
+            .join('');
+        return `
+            <label class="checkout-autoship">
+                <span class="sr-only">Delivery for ${this.escapeHtml(item.name)}</span>
+                <select class="checkout-autoship-select" data-index="${index}">
+                    <option value="">One-time purchase</option>
+                    ${options}
+                </select>
+            </label>
+            ${savings ? `<div class="checkout-autoship-hint">Subscribe${savings}</div>` : ''}
+        `;
+    }
+
+    refreshAutoshipControls() {
+        const signedIn = Boolean(this._getCustomerToken());
+        document.querySelectorAll('[data-autoship-line]').forEach((slot) => {
+            const idx = Number(slot.getAttribute('data-autoship-line'));
+            const item = this.cart[idx];
+            if (!item) return;
+            if (!signedIn) item.autoshipIntervalDays = null;
+            slot.innerHTML = this.autoshipLineMarkup(item, idx);
+        });
+    }
+
+    setLineAutoship(index, value) {
+        const item = this.cart[index];
+        if (!item) return;
+        const days = Number(value);
+        item.autoshipIntervalDays = Number.isInteger(days) && days > 0 ? days : null;
+        this.persistCartAndSyncApp();
     }
 
     _getCustomerToken() {
@@ -1143,12 +1211,28 @@ class CheckoutManager {
             try {
                 window.hmHerbsApp.loadCartFromStorage();
                 window.hmHerbsApp.updateCartDisplay();
+                window.hmHerbsApp.scheduleCartSync();
             } catch (e) {
                 console.warn('Could not sync main cart UI', e);
             }
         }
     }
 
+    /** Guest email typed at checkout lets the saved cart receive reminder emails. */
+    rememberCartContactEmail(raw) {
+        const email = String(raw || '').trim().toLowerCase();
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return;
+        try {
+            if (localStorage.getItem('hmherbs_cart_contact_email') === email) return;
+            localStorage.setItem('hmherbs_cart_contact_email', email);
+        } catch (_) {
+            return;
+        }
+        if (window.hmHerbsApp && typeof window.hmHerbsApp.scheduleCartSync === 'function') {
+            window.hmHerbsApp.scheduleCartSync();
+        }
+    }
+
     /** Recompute totals; re-run server pricing when cart has items (promo code, group discounts, employee discount). */
     async refreshCheckoutTotals() {
         const pcode = document.getElementById('checkout-promo-code')?.value?.trim() || '';
@@ -1309,6 +1393,76 @@ class CheckoutManager {
         }
     }
 
+    /**
+     * Reminder emails link to checkout.html?restoreCart=<signed token>; load that saved cart.
+     * EDSA practitioner recommendations use ?edsaCart=<signed token> the same way.
+     */
+    async restoreCartFromLink() {
+        const params = new URLSearchParams(window.location.search);
+        const edsaToken = params.get('edsaCart');
+        const token = edsaToken || params.get('restoreCart');
+        if (!token) return;
+        params.delete('restoreCart');
+        params.delete('edsaCart');
+        const query = params.toString();
+        window.history.replaceState({}, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+
+        try {
+            const endpoint = edsaToken ? 'edsa/recommendations' : 'cart/restore';
+            const response = await fetch(`${this.getApiOrigin()}/api/${endpoint}/${encodeURIComponent(token)}`);
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(data.error || 'We could not restore your saved cart.');
+            }
+            this.cart = Array.isArray(data.items) ? data.items : [];
+            this.persistCartAndSyncApp();
+            if (!this.cart.length) {
+                this.showEmptyCart();
+                return;
+            }
+            this.renderOrderSummary();
+            void this.fetchShippingOptions();
+            const promoInput = document.getElementById('checkout-promo-code');
+            if (data.promoCode && promoInput) {
+                promoInput.value = data.promoCode;
+                await this.fetchPromoPreview(data.promoCode);
+            } else {
+                this.calculateTotals();
+            }
+            this.showNotification(
+                edsaToken ? 'Your recommended products are in your cart.' : 'Your saved cart has been restored.',
+                'success'
+            );
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    /** Double opt-in link from the "Save your cart?" email: checkout.html?confirmCartEmail=<signed token>. */
+    async confirmCartEmailFromLink() {
+        const params = new URLSearchParams(window.location.search);
+        const token = params.get('confirmCartEmail');
+        if (!token) return;
+        params.delete('confirmCartEmail');
+        const query = params.toString();
+        window.history.replaceState({}, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+
+        try {
+            const response = await fetch(`${this.getApiOrigin()}/api/cart/contact/confirm`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ token })
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(data.error || 'We could not confirm your email.');
+            }
+            this.showNotification('Thanks! We will email you a link back to your cart if you need it.', 'success');
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
     loadCart() {
         try {
             const cartData = sessionStorage.getItem('checkout_cart');
@@ -1400,6 +1554,7 @@ class CheckoutManager {
                 <div class="order-item-details">
                     <div class="order-item-name">${safeName}</div>
                     ${giftMeta}
+                    <div class="order-item-autoship" data-autoship-line="${index}">${this.autoshipLineMarkup(item, index)}</div>
                     <div class="checkout-line-qty" role="group" aria-label="Quantity for ${safeName}">
                         <button type="button" class="checkout-qty-btn" data-checkout-qty="dec" data-index="${index}" aria-label="Decrease quantity" ${decDisabled}>−</button>
                         <input type="number" class="checkout-qty-input" min="1" ${maxAttr} value="${qty}" inputmode="numeric" data-index="${index}" aria-label="Quantity">
@@ -1789,6 +1944,7 @@ class CheckoutManager {
             emailEl.addEventListener('blur', () => {
                 const c = document.getElementById('checkout-promo-code')?.value?.trim();
                 if (c) this.fetchPromoPreview(c);
+                this.rememberCartContactEmail(emailEl.value);
             });
         }
 
@@ -1804,6 +1960,11 @@ class CheckoutManager {
                 else if (act === 'inc') void this.adjustLineQuantity(idx, 1);
             });
             orderWrap.addEventListener('change', (e) => {
+                const autoshipSelect = e.target.closest('.checkout-autoship-select');
+                if (autoshipSelect) {
+                    this.setLineAutoship(Number(autoshipSelect.getAttribute('data-index')), autoshipSelect.value);
+                    return;
+                }
                 const inp = e.target.closest('.checkout-qty-input');
                 if (!inp) return;
                 const idx = Number(inp.getAttribute('data-index'));
@@ -2625,7 +2786,8 @@ class CheckoutManager {
             name: item.name,
             price: item.price,
             quantity: item.quantity,
-            giftCard: item.giftCard || null
+            giftCard: item.giftCard || null,
+            autoshipIntervalDays: item.giftCard ? null : item.autoshipIntervalDays || null
         }));
 
         const paymentMethod = document.getElementById('payment-method')?.value || '';
@@ -0,0 +1,204 @@
+// Digital receipt page — opened from the QR code on a printed in-store receipt (receipt.html?t=<token>)
+
+function hmHerbsApiOrigin() {
+    if (typeof window.hmHerbsStorefrontApiBase === 'function') {
+        return window.hmHerbsStorefrontApiBase();
+    }
+    const explicit = String(window.HMHERBS_API_ORIGIN || '').trim().replace(/\/+$/, '');
+    if (explicit) return explicit;
+    if (window.location.protocol === 'file:') return 'http://127.0.0.1:3001';
+    const h = window.location.hostname;
+    if ((h === 'localhost' || h === '127.0.0.1') && window.location.port && window.location.port !== '3001') {
+        return 'http://127.0.0.1:3001';
+    }
+    if (window.location.protocol.startsWith('http')) {
+        return window.location.origin;
+    }
+    return '';
+}
+
+function receiptsApiBase() {
+    const origin = hmHerbsApiOrigin();
+    return origin ? `${origin}/api/receipts` : '/api/receipts';
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = String(text ?? '');
+    return div.innerHTML;
+}
+
+function formatMoney(amount) {
+    const n = Number(amount);
+    return Number.isFinite(n) ? `$${n.toFixed(2)}` : '—';
+}
+
+function formatDateTime(value) {
+    const d = new Date(value);
+    if (Number.isNaN(d.getTime())) return '—';
+    return d.toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+function customerToken() {
+    try {
+        return (window.customerAuth?.getToken?.() || localStorage.getItem('hmherbs_customer_token') || '').trim();
+    } catch (_) {
+        return '';
+    }
+}
+
+function authHeaders() {
+    const token = customerToken();
+    return token
+        ? { Accept: 'application/json', Authorization: `Bearer ${token}` }
+        : { Accept: 'application/json' };
+}
+
+function receiptToken() {
+    return new URLSearchParams(window.location.search).get('t') || '';
+}
+
+function renderClaim(claim) {
+    if (claim.claimedByYou) {
+        return `<div class="receipt-claim"><i class="fas fa-check-circle" aria-hidden="true"></i>
+            This purchase is in your account. <a href="account.html">View my account</a></div>`;
+    }
+    if (claim.claimed || !claim.claimable) return '';
+    const deadline = new Date(claim.claimBy).toLocaleDateString('en-US', { month: 'long', day: 'numeric' });
+    const signedIn = Boolean(customerToken());
+    return `<div class="receipt-claim" id="receipt-claim">
+        <strong>Earn rewards on this purchase</strong><br>
+        Add it to your online account by ${escapeHtml(deadline)} to collect loyalty rewards and keep the receipt with your orders.
+        <div>
+            <button type="button" class="btn btn-primary" id="receipt-claim-btn">
+                ${signedIn ? 'Add to my account' : 'Sign in to add to my account'}
+            </button>
+        </div>
+        <p class="receipt-claim-message" id="receipt-claim-message" hidden></p>
+    </div>`;
+}
+
+function renderReceipt(root, data) {
+    const { receipt, store, claim } = data;
+    const totals = receipt.totals || {};
+    const lines = Array.isArray(receipt.lines) ? receipt.lines : [];
+
+    const lineRows = lines
+        .map(
+            (line) => `<div class="receipt-row">
+                <span>${escapeHtml(line.name)} × ${Number(line.quantity) || 0}
+                    ${line.sku ? `<small>${escapeHtml(line.sku)}</small>` : ''}</span>
+                <span>${formatMoney((Number(line.price) || 0) * (Number(line.quantity) || 0))}</span>
+            </div>`
+        )
+        .join('');
+
+    const discountRow =
+        Number(totals.discountAmount) > 0
+            ? `<div class="receipt-row"><span>Discounts</span><span>−${formatMoney(totals.discountAmount)}</span></div>`
+            : '';
+    const tenderRows = (receipt.tenders || [])
+        .map(
+            (t) => `<div class="receipt-row">
+                <span>${escapeHtml(t.label)}${t.lastFour ? ` •••• ${escapeHtml(t.lastFour)}` : ''}</span>
+                <span>${formatMoney(t.amount)}</span>
+            </div>${
+                t.cashChange > 0
+                    ? `<div class="receipt-row"><span>Change</span><span>${formatMoney(t.cashChange)}</span></div>`
+                    : ''
+            }`
+        )
+        .join('');
+
+    root.innerHTML = `
+        <div class="receipt-store">
+            ${store.logoUrl ? `<img src="${escapeHtml(store.logoUrl)}" alt="">` : ''}
+            <h1>${escapeHtml(store.name)}</h1>
+            ${store.headerText ? `<div>${escapeHtml(store.headerText)}</div>` : ''}
+            ${store.address ? `<div style="white-space: pre-line;">${escapeHtml(store.address)}</div>` : ''}
+            ${store.phone ? `<div>${escapeHtml(store.phone)}</div>` : ''}
+        </div>
+        <dl class="receipt-meta">
+            <dt>Receipt</dt><dd>${escapeHtml(receipt.orderNumber)}</dd>
+            <dt>Date</dt><dd>${escapeHtml(formatDateTime(receipt.createdAt))}</dd>
+            ${receipt.cashierName ? `<dt>Cashier</dt><dd>${escapeHtml(receipt.cashierName)}</dd>` : ''}
+            ${receipt.paymentStatus === 'refunded' ? '<dt>Status</dt><dd>Refunded</dd>' : ''}
+        </dl>
+        <div class="receipt-lines">${lineRows}</div>
+        <div class="receipt-totals">
+            <div class="receipt-row"><span>Subtotal</span><span>${formatMoney(totals.preCartSubtotal ?? totals.subtotal)}</span></div>
+            ${discountRow}
+            <div class="receipt-row"><span>Tax${receipt.taxExempt ? ' (exempt)' : ''}</span><span>${formatMoney(totals.taxAmount)}</span></div>
+            <div class="receipt-row receipt-row-total"><span>Total</span><span>${formatMoney(totals.total)}</span></div>
+            ${tenderRows}
+        </div>
+        ${store.returnPolicy ? `<p class="receipt-footer">${escapeHtml(store.returnPolicy)}</p>` : ''}
+        ${store.footerText ? `<p class="receipt-footer">${escapeHtml(store.footerText)}</p>` : ''}
+        ${renderClaim(claim)}`;
+
+    document.getElementById('receipt-claim-btn')?.addEventListener('click', () => void claimReceipt(root));
+}
+
+function renderError(root, message) {
+    root.innerHTML = `<p class="receipt-error">${escapeHtml(message)}</p>
+        <p style="text-align:center;"><a href="index.html" class="btn btn-primary">Back to home</a></p>`;
+}
+
+async function loadReceipt(root) {
+    const token = receiptToken();
+    if (!token) {
+        renderError(root, 'This receipt link is incomplete. Scan the code on your receipt again.');
+        return;
+    }
+    try {
+        const res = await fetch(`${receiptsApiBase()}/${encodeURIComponent(token)}`, { headers: authHeaders() });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(data.error || 'We could not load this receipt.');
+        renderReceipt(root, data);
+    } catch (err) {
+        renderError(root, err.message || 'We could not load this receipt.');
+    }
+}
+
+async function claimReceipt(root) {
+    if (!customerToken()) {
+        if (window.customerAuth?.openLoginModal) {
+            window.customerAuth.openLoginModal();
+        } else {
+            window.location.href = 'account.html';
+        }
+        return;
+    }
+    const btn = document.getElementById('receipt-claim-btn');
+    const message = document.getElementById('receipt-claim-message');
+    if (btn) btn.disabled = true;
+    try {
+        const res = await fetch(`${receiptsApiBase()}/${encodeURIComponent(receiptToken())}/claim`, {
+            method: 'POST',
+            headers: authHeaders()
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(data.error || 'We could not add this purchase to your account.');
+        const rewards = [];
+        if (data.pointsEarned > 0) rewards.push(`${data.pointsEarned} points`);
+        if (data.cashEarned > 0) rewards.push(`${formatMoney(data.cashEarned)} store credit`);
+        await loadReceipt(root);
+        if (rewards.length && window.customerAuth?.showNotification) {
+            window.customerAuth.showNotification(`You earned ${rewards.join(' and ')}.`, 'success', 5000);
+        }
+    } catch (err) {
+        if (message) {
+            message.hidden = false;
+            message.textContent = err.message;
+        }
+        if (btn) btn.disabled = false;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const root = document.getElementById('receipt-root');
+    if (!root) return;
+    void loadReceipt(root);
+    // Signing in from the modal refreshes the claim box with the customer's state.
+    window.addEventListener('hmherbs:customer-profile-updated', () => void loadReceipt(root));
+});
@@ -7,7 +7,7 @@ const EDSA_NATIVE_FETCH = (() => {
 
 class EDSABookingSystem {
     static modalReady = false;
-    static MODAL_VERSION = 4;
+    static MODAL_VERSION = 6;
 
     constructor() {
         this.apiBaseUrl = this.getApiBaseUrl();
@@ -21,6 +21,9 @@ class EDSABookingSystem {
         this.storeTodayYmd = null;
         this.storeTimezone = 'America/New_York';
         this.servicePrice = 75;
+        this.services = [];
+        this.selectedServiceId = null;
+        this.selectedPractitionerId = '';
         this.paymentRequired = false;
         this.nmiEnabled = false;
         this.nmiScriptReady = false;
@@ -28,7 +31,10 @@ class EDSABookingSystem {
         this._step = 'schedule';
         this.savedCards = [];
         this.selectedSavedCardId = null;
+        this.packages = [];
+        this.selectedPackageId = null;
         this._paymentConfig = null;
+        this.waitlistClaim = null;
         this._scrollLocked = false;
         this._lockedScrollY = 0;
         this.businessHours = {
@@ -170,7 +176,22 @@ class EDSABookingSystem {
                             <span class="edsa-step-dot" data-step="payment" id="edsa-step-payment-dot">3</span>
                         </div>
                         <div class="edsa-booking-container">
+                            <div class="edsa-claim-banner" id="edsa-claim-banner" hidden>
+                                <span id="edsa-claim-text"></span>
+                                <button type="button" class="edsa-link-btn" id="edsa-claim-decline">Not this time</button>
+                            </div>
                             <div id="edsa-step-schedule" class="edsa-step-panel">
+                                <div class="edsa-service-picker" id="edsa-service-picker" hidden>
+                                    <div class="form-group">
+                                        <label for="edsa-service-select">Service</label>
+                                        <select id="edsa-service-select" class="form-select"></select>
+                                        <p class="edsa-service-meta" id="edsa-service-meta"></p>
+                                    </div>
+                                    <div class="form-group">
+                                        <label for="edsa-practitioner-select">Practitioner</label>
+                                        <select id="edsa-practitioner-select" class="form-select"></select>
+                                    </div>
+                                </div>
                                 <div class="edsa-calendar-section">
                                     <div class="edsa-calendar-header">
                                         <button type="button" class="edsa-calendar-nav" id="prev-month" aria-label="Previous month">${prevIcon}</button>
@@ -205,6 +226,11 @@ class EDSABookingSystem {
                                         <input type="tel" id="edsa-phone" name="phone" required autocomplete="tel"
                                             placeholder="(555) 555-0100" maxlength="14" inputmode="numeric">
                                     </div>
+                                    <div class="form-group" id="edsa-package-block" hidden>
+                                        <label for="edsa-package-select">Pay with</label>
+                                        <select id="edsa-package-select" aria-describedby="edsa-package-note"></select>
+                                        <p class="edsa-payment-note" id="edsa-package-note">Booking with a package uses one prepaid session — there is nothing to pay.</p>
+                                    </div>
                                     <div class="form-group">
                                         <label for="edsa-notes">Additional Notes</label>
                                         <textarea id="edsa-notes" name="notes" rows="2" autocomplete="off"></textarea>
@@ -219,10 +245,11 @@ class EDSABookingSystem {
                                 <p class="edsa-selected-summary" id="edsa-payment-summary"></p>
                                 <div class="edsa-payment-section" id="edsa-payment-section">
                                     <div class="edsa-payment-summary">
-                                        <span class="edsa-payment-label">Session fee</span>
+                                        <span class="edsa-payment-label" id="edsa-payment-label">Session fee</span>
                                         <span class="edsa-payment-amount" id="edsa-payment-amount">$75.00</span>
                                     </div>
                                     <p class="edsa-payment-note">You chose your appointment time on step 1. Your card is charged here — the calendar invite is sent only after payment succeeds.</p>
+                                    <p class="edsa-payment-note" id="edsa-cancellation-policy" hidden></p>
                                     <p id="edsa-payment-signin-hint" class="edsa-payment-signin-hint" hidden>
                                         Have an account with a saved card?
                                         <button type="button" class="edsa-link-btn" id="edsa-payment-signin-btn">Sign in</button>
@@ -256,6 +283,52 @@ class EDSABookingSystem {
                                     <button type="button" class="btn btn-primary" id="edsa-pay-btn">Pay &amp; Book Appointment</button>
                                 </div>
                             </div>
+                            <div id="edsa-step-waitlist" class="edsa-step-panel" hidden>
+                                <p class="edsa-payment-note">Tell us when you could come in. When a matching time opens up, we'll email you a link that holds it for you.</p>
+                                <form id="edsa-waitlist-form" novalidate>
+                                    <div class="form-row">
+                                        <div class="form-group">
+                                            <label for="edsa-waitlist-from">From *</label>
+                                            <input type="date" id="edsa-waitlist-from" name="dateFrom" required>
+                                        </div>
+                                        <div class="form-group">
+                                            <label for="edsa-waitlist-to">To *</label>
+                                            <input type="date" id="edsa-waitlist-to" name="dateTo" required>
+                                        </div>
+                                    </div>
+                                    <div class="form-group">
+                                        <label for="edsa-waitlist-time">Time of day</label>
+                                        <select id="edsa-waitlist-time" name="timeOfDay" class="form-select">
+                                            <option value="any">Any time</option>
+                                            <option value="morning">Mornings</option>
+                                            <option value="afternoon">Afternoons</option>
+                                        </select>
+                                    </div>
+                                    <div class="form-row">
+                                        <div class="form-group">
+                                            <label for="edsa-waitlist-first-name">First Name *</label>
+                                            <input type="text" id="edsa-waitlist-first-name" name="firstName" required autocomplete="given-name">
+                                        </div>
+                                        <div class="form-group">
+                                            <label for="edsa-waitlist-last-name">Last Name *</label>
+                                            <input type="text" id="edsa-waitlist-last-name" name="lastName" required autocomplete="family-name">
+                                        </div>
+                                    </div>
+                                    <div class="form-group">
+                                        <label for="edsa-waitlist-email">Email *</label>
+                                        <input type="email" id="edsa-waitlist-email" name="email" required autocomplete="email">
+                                    </div>
+                                    <div class="form-group">
+                                        <label for="edsa-waitlist-phone">Phone</label>
+                                        <input type="tel" id="edsa-waitlist-phone" name="phone" autocomplete="tel"
+                                            placeholder="(555) 555-0100" maxlength="14" inputmode="numeric">
+                                    </div>
+                                    <div class="edsa-step-actions">
+                                        <button type="button" class="btn btn-secondary" id="edsa-waitlist-back">Back</button>
+                                        <button type="submit" class="btn btn-primary" id="edsa-waitlist-submit">Join waitlist</button>
+                                    </div>
+                                </form>
+                            </div>
                         </div>
                     </div>
                 </div>
@@ -318,6 +391,13 @@ class EDSABookingSystem {
         const paymentBack = document.getElementById('edsa-payment-back');
         const payBtn = document.getElementById('edsa-pay-btn');
         const savedCardSelect = document.getElementById('edsa-saved-card-select');
+        const packageSelect = document.getElementById('edsa-package-select');
+        const serviceSelect = document.getElementById('edsa-service-select');
+        const practitionerSelect = document.getElementById('edsa-practitioner-select');
+        const waitlistForm = document.getElementById('edsa-waitlist-form');
+        const waitlistBack = document.getElementById('edsa-waitlist-back');
+        const claimDecline = document.getElementById('edsa-claim-decline');
+        const timeSlots = document.getElementById('time-slots');
 
         [closeBtn, overlay, cancelBtn].forEach((el) => {
             if (el) el.addEventListener('click', () => this.closeModal());
@@ -332,6 +412,41 @@ class EDSABookingSystem {
         if (detailsBack) detailsBack.addEventListener('click', () => this.showStep('schedule'));
         if (paymentBack) paymentBack.addEventListener('click', () => this.showStep('details'));
         if (payBtn) payBtn.addEventListener('click', () => this.handlePaymentSubmit());
+        if (waitlistBack) waitlistBack.addEventListener('click', () => this.showStep('schedule'));
+        if (waitlistForm) {
+            waitlistForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                void this.submitWaitlist(waitlistForm);
+            });
+        }
+        if (claimDecline) claimDecline.addEventListener('click', () => this.declineWaitlistClaim());
+        if (timeSlots) {
+            timeSlots.addEventListener('click', (e) => {
+                if (e.target.closest('[data-edsa-waitlist]')) this.openWaitlistStep();
+            });
+        }
+
+        if (serviceSelect) {
+            serviceSelect.addEventListener('change', () => {
+                this.selectedServiceId = serviceSelect.value ? Number(serviceSelect.value) : null;
+                this.selectedPractitionerId = '';
+                this.renderServicePicker();
+                void this.reloadSlotsForSelection();
+            });
+        }
+        if (practitionerSelect) {
+            practitionerSelect.addEventListener('change', () => {
+                this.selectedPractitionerId = practitionerSelect.value;
+                void this.reloadSlotsForSelection();
+            });
+        }
+
+        if (packageSelect) {
+            packageSelect.addEventListener('change', () => {
+                this.selectedPackageId = packageSelect.value ? Number(packageSelect.value) : null;
+                this.resetSubmitButton();
+            });
+        }
 
         if (savedCardSelect) {
             savedCardSelect.addEventListener('change', async () => {
@@ -478,13 +593,20 @@ class EDSABookingSystem {
             if (data.todayYmd) this.storeTodayYmd = data.todayYmd;
             if (data.storeTimezone) this.storeTimezone = data.storeTimezone;
             if (Number.isFinite(Number(data.price))) this.servicePrice = Number(data.price);
+            this.services = Array.isArray(data.services) ? data.services : [];
+            if (this.services.length && !this.getSelectedService()) {
+                this.selectedServiceId = this.services[0].id;
+                this.selectedPractitionerId = '';
+            }
             this.paymentRequired = Boolean(data.paymentRequired);
             this.blockedDates = new Set((data.blockedDates || []).map((d) => String(d).slice(0, 10)));
             this.savedCards = Array.isArray(data.savedCards) ? data.savedCards : [];
+            this.packages = Array.isArray(data.packages) ? data.packages : [];
             if (data.paymentConfig) this._paymentConfig = data.paymentConfig;
+            this.renderCancellationPolicy(data.cancellationPolicy);
 
-            const amountEl = document.getElementById('edsa-payment-amount');
-            if (amountEl) amountEl.textContent = `$${this.servicePrice.toFixed(2)}`;
+            this.renderServicePicker();
+            this.updatePaymentAmount();
 
             const payDot = document.getElementById('edsa-step-payment-dot');
             const payLine = document.getElementById('edsa-step-payment-line');
@@ -498,6 +620,104 @@ class EDSABookingSystem {
         }
     }
 
+    /** Late-cancel / no-show terms shown before paying; the card is kept on file to cover them. */
+    renderCancellationPolicy(policy) {
+        const el = document.getElementById('edsa-cancellation-policy');
+        if (!el) return;
+        const terms = [];
+        if (policy && Number(policy.lateCancelFee) > 0) {
+            terms.push(`cancelling within ${Number(policy.lateCancelHours)} hours of your appointment carries a $${Number(policy.lateCancelFee).toFixed(2)} fee`);
+        }
+        if (policy && Number(policy.noShowFee) > 0) {
+            terms.push(`missing your appointment without cancelling carries a $${Number(policy.noShowFee).toFixed(2)} fee`);
+        }
+        el.hidden = !terms.length;
+        el.textContent = terms.length
+            ? `Cancellation policy: ${terms.join('; ')}. The card you pay with is kept on file for these fees only.`
+            : '';
+    }
+
+    getSelectedService() {
+        return this.services.find((s) => s.id === this.selectedServiceId) || null;
+    }
+
+    /** What the card is charged now: the service deposit when it has one, else its price. */
+    getAmountDueNow() {
+        const service = this.getSelectedService();
+        return service ? Number(service.amountDueAtBooking) : Number(this.servicePrice);
+    }
+
+    formatDuration(minutes) {
+        const h = Math.floor(minutes / 60);
+        const m = minutes % 60;
+        if (!h) return `${m} min`;
+        return m ? `${h} hr ${m} min` : `${h} hr`;
+    }
+
+    renderServicePicker() {
+        const picker = document.getElementById('edsa-service-picker');
+        const serviceSelect = document.getElementById('edsa-service-select');
+        const practitionerSelect = document.getElementById('edsa-practitioner-select');
+        const meta = document.getElementById('edsa-service-meta');
+        if (!picker || !serviceSelect || !practitionerSelect) return;
+
+        picker.hidden = !this.services.length;
+        if (!this.services.length) return;
+
+        const esc = (v) =>
+            String(v ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+        serviceSelect.innerHTML = this.services
+            .map((s) => `<option value="${s.id}">${esc(s.name)} — ${this.formatDuration(s.durationMinutes)}, $${Number(s.price).toFixed(2)}</option>`)
+            .join('');
+        serviceSelect.value = String(this.selectedServiceId);
+
+        const service = this.getSelectedService();
+        const practitioners = service ? service.practitioners : [];
+        practitionerSelect.innerHTML =
+            (practitioners.length > 1 ? '<option value="">Any available</option>' : '') +
+            practitioners.map((p) => `<option value="${p.id}">${esc(p.name)}</option>`).join('');
+        if (practitioners.length === 1) this.selectedPractitionerId = String(practitioners[0].id);
+        if (!practitioners.some((p) => String(p.id) === String(this.selectedPractitionerId))) {
+            this.selectedPractitionerId = practitioners.length === 1 ? String(practitioners[0].id) : '';
+        }
+        practitionerSelect.value = this.selectedPractitionerId;
+
+        if (meta && service) {
+            const deposit = Number(service.amountDueAtBooking) < Number(service.price)
+                ? ` $${Number(service.amountDueAtBooking).toFixed(2)} deposit due when you book.`
+                : '';
+            meta.textContent = `${service.description ? `${service.description} ` : ''}${deposit}`.trim();
+            meta.hidden = !meta.textContent;
+        }
+    }
+
+    updatePaymentAmount() {
+        const service = this.getSelectedService();
+        const due = this.getAmountDueNow();
+        const amountEl = document.getElementById('edsa-payment-amount');
+        const labelEl = document.getElementById('edsa-payment-label');
+        if (amountEl) amountEl.textContent = `$${due.toFixed(2)}`;
+        if (labelEl) {
+            labelEl.textContent =
+                service && due < Number(service.price)
+                    ? `Deposit (balance $${(Number(service.price) - due).toFixed(2)} due at your visit)`
+                    : service
+                      ? service.name
+                      : 'Session fee';
+        }
+    }
+
+    async reloadSlotsForSelection() {
+        this.selectedTime = null;
+        this.clearFormMessage();
+        this.updatePaymentAmount();
+        if (this.selectedDate) {
+            await this.loadAvailableSlots(this.selectedDate);
+            this.renderTimeSlots();
+        }
+        this.updateScheduleContinueButton();
+    }
+
     updatePaymentSignInHint() {
         const hint = document.getElementById('edsa-payment-signin-hint');
         if (!hint) return;
@@ -533,6 +753,51 @@ class EDSABookingSystem {
         if (defaultCard) select.value = String(defaultCard.id);
     }
 
+    /** Prepaid packages that cover the selected service and appointment date. */
+    getUsablePackages() {
+        const dateYmd = this.selectedDate ? this.formatLocalDate(this.selectedDate) : null;
+        const serviceId = this.getSelectedService() ? Number(this.selectedServiceId) : null;
+        return this.packages.filter(
+            (p) =>
+                p.sessionsRemaining > 0 &&
+                (!p.serviceId || p.serviceId === serviceId) &&
+                (!p.expiresOn || !dateYmd || dateYmd <= p.expiresOn)
+        );
+    }
+
+    renderPackageSelect() {
+        const block = document.getElementById('edsa-package-block');
+        const select = document.getElementById('edsa-package-select');
+        if (!block || !select) return;
+
+        const usable = this.paymentRequired ? this.getUsablePackages() : [];
+        if (!usable.length) {
+            block.hidden = true;
+            this.selectedPackageId = null;
+            return;
+        }
+
+        block.hidden = false;
+        const esc = (v) =>
+            String(v ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+        select.innerHTML =
+            usable
+                .map((p) => {
+                    const left = `${p.sessionsRemaining} session${p.sessionsRemaining === 1 ? '' : 's'} left`;
+                    return `<option value="${p.id}">${esc(p.name)} (${left})</option>`;
+                })
+                .join('') + '<option value="">Pay by card</option>';
+
+        const keep = usable.some((p) => p.id === this.selectedPackageId);
+        this.selectedPackageId = keep ? this.selectedPackageId : usable[0].id;
+        select.value = String(this.selectedPackageId);
+    }
+
+    /** Card payment is skipped when the booking uses a prepaid package session. */
+    detailsButtonLabel() {
+        return this.paymentRequired && !this.selectedPackageId ? 'Continue to payment' : 'Book Appointment';
+    }
+
     formatSelectedAppointmentSummary() {
         if (!this.selectedDate || !this.selectedTime) return '';
         const dateStr = this.selectedDate.toLocaleDateString(undefined, {
@@ -541,7 +806,10 @@ class EDSABookingSystem {
             day: 'numeric',
             year: 'numeric'
         });
-        return `${dateStr} at ${this.formatTime(this.selectedTime)}`;
+        const service = this.getSelectedService();
+        if (!service) return `${dateStr} at ${this.formatTime(this.selectedTime)}`;
+        const practitioner = service.practitioners.find((p) => String(p.id) === String(this.selectedPractitionerId));
+        return `${service.name}${practitioner ? ` with ${practitioner.name}` : ''} — ${dateStr} at ${this.formatTime(this.selectedTime)}`;
     }
 
     updateSelectedSummary() {
@@ -557,9 +825,11 @@ class EDSABookingSystem {
         const schedule = document.getElementById('edsa-step-schedule');
         const details = document.getElementById('edsa-step-details');
         const payment = document.getElementById('edsa-step-payment');
+        const waitlist = document.getElementById('edsa-step-waitlist');
         if (schedule) schedule.hidden = step !== 'schedule';
         if (details) details.hidden = step !== 'details';
         if (payment) payment.hidden = step !== 'payment';
+        if (waitlist) waitlist.hidden = step !== 'waitlist';
 
         document.querySelectorAll('#edsa-step-indicator .edsa-step-dot').forEach((dot) => {
             const dotStep = dot.getAttribute('data-step');
@@ -572,6 +842,7 @@ class EDSABookingSystem {
         if (title) {
             if (step === 'schedule') title.textContent = 'Choose your EDSA date & time';
             else if (step === 'details') title.textContent = 'Your contact information';
+            else if (step === 'waitlist') title.textContent = 'Join the waitlist';
             else title.textContent = 'Payment';
         }
 
@@ -614,10 +885,11 @@ class EDSABookingSystem {
             return;
         }
         this.prefillFromLoggedInUser();
+        this.renderPackageSelect();
         this.showStep('details');
         const detailsBtn = document.getElementById('edsa-details-continue');
         if (detailsBtn) {
-            detailsBtn.textContent = this.paymentRequired ? 'Continue to payment' : 'Book Appointment';
+            detailsBtn.textContent = this.detailsButtonLabel();
         }
     }
 
@@ -664,12 +936,17 @@ class EDSABookingSystem {
             phone: formData.get('phone'),
             preferredDate: this.formatLocalDate(this.selectedDate),
             preferredTime: this.selectedTime,
-            notes: formData.get('notes') || ''
+            notes: formData.get('notes') || '',
+            ...(this.getSelectedService()
+                ? { serviceId: this.selectedServiceId, practitionerId: this.selectedPractitionerId || null }
+                : {}),
+            ...(this.waitlistClaim ? { waitlistClaim: this.waitlistClaim.token } : {}),
+            ...(this.selectedPackageId ? { packageId: this.selectedPackageId } : {})
         };
     }
 
     getNmiPaymentAmountString() {
-        const price = Number(this.servicePrice);
+        const price = this.getAmountDueNow();
         return Number.isFinite(price) && price >= 0 ? price.toFixed(2) : '75.00';
     }
 
@@ -786,7 +1063,7 @@ class EDSABookingSystem {
         const payBtn = document.getElementById('edsa-pay-btn');
         if (detailsBtn && !this._redirecting) {
             detailsBtn.disabled = false;
-            detailsBtn.textContent = this.paymentRequired ? 'Continue to payment' : 'Book Appointment';
+            detailsBtn.textContent = this.detailsButtonLabel();
         }
         if (payBtn && !this._redirecting) {
             payBtn.disabled = false;
@@ -819,7 +1096,13 @@ class EDSABookingSystem {
             return;
         }
 
-        const url = `${this.apiBaseUrl}/available-slots?date=${encodeURIComponent(dateStr)}&_=${Date.now()}`;
+        const params = new URLSearchParams({ date: dateStr, _: String(Date.now()) });
+        if (this.getSelectedService()) {
+            params.set('serviceId', String(this.selectedServiceId));
+            if (this.selectedPractitionerId) params.set('practitionerId', String(this.selectedPractitionerId));
+        }
+        if (this.waitlistClaim) params.set('claim', this.waitlistClaim.token);
+        const url = `${this.apiBaseUrl}/available-slots?${params.toString()}`;
 
         try {
             const nativeFetch = window.__nativeFetch || window.fetch;
@@ -956,10 +1239,18 @@ class EDSABookingSystem {
             return;
         }
 
+        const dateYmdForSlots = this.ymdFromDate(this.selectedDate);
+        const waitlistPrompt =
+            '<p class="no-slots">Nothing open that suits you? <button type="button" class="edsa-link-btn" data-edsa-waitlist>Join the waitlist</button></p>';
         if (this.availableSlots.length === 0) {
-            timeSlotsContainer.innerHTML = '<p class="no-slots">No time slots for this date</p>';
+            timeSlotsContainer.innerHTML = `<p class="no-slots">No time slots for this date</p>${
+                this.isPastStoreDate(dateYmdForSlots) ? '' : waitlistPrompt
+            }`;
             return;
         }
+        const anyBookable = this.availableSlots.some(
+            (slot) => slot.available && this.isSlotStillBookable(dateYmdForSlots, slot.time)
+        );
 
         timeSlotsContainer.innerHTML = '<h4>Available Times</h4><div class="time-slots-grid"></div>';
         const grid = timeSlotsContainer.querySelector('.time-slots-grid');
@@ -985,6 +1276,173 @@ class EDSABookingSystem {
 
             grid.appendChild(slotBtn);
         });
+        if (!anyBookable) timeSlotsContainer.insertAdjacentHTML('beforeend', waitlistPrompt);
+    }
+
+    openWaitlistStep() {
+        const today = this.storeTodayYmd || this.ymdFromDate(new Date());
+        const from = this.selectedDate ? this.ymdFromDate(this.selectedDate) : today;
+        const fromInput = document.getElementById('edsa-waitlist-from');
+        const toInput = document.getElementById('edsa-waitlist-to');
+        if (fromInput) {
+            fromInput.min = today;
+            fromInput.value = from < today ? today : from;
+        }
+        if (toInput) {
+            toInput.min = today;
+            toInput.value = fromInput ? fromInput.value : from;
+        }
+        const auth = window.customerAuth?.user || {};
+        const copy = (id, bookingId, fallback) => {
+            const el = document.getElementById(id);
+            const source = document.getElementById(bookingId);
+            if (el && !String(el.value || '').trim()) el.value = source?.value || fallback || '';
+        };
+        copy('edsa-waitlist-first-name', 'edsa-first-name', auth.firstName || auth.first_name);
+        copy('edsa-waitlist-last-name', 'edsa-last-name', auth.lastName || auth.last_name);
+        copy('edsa-waitlist-email', 'edsa-email', auth.email);
+        copy('edsa-waitlist-phone', 'edsa-phone', auth.phone);
+        this.showStep('waitlist');
+    }
+
+    async submitWaitlist(form) {
+        this.clearFormMessage();
+        const formData = new FormData(form);
+        const phone = String(formData.get('phone') || '').trim();
+        if (phone && window.HMHERBS_PHONE_US && !window.HMHERBS_PHONE_US.isValidDisplay(phone, false)) {
+            this.showFormMessage('Please enter a valid phone in the format (555) 555-0100.', 'warning');
+            return;
+        }
+        const payload = {
+            firstName: String(formData.get('firstName') || '').trim(),
+            lastName: String(formData.get('lastName') || '').trim(),
+            email: String(formData.get('email') || '').trim(),
+            phone,
+            dateFrom: formData.get('dateFrom'),
+            dateTo: formData.get('dateTo'),
+            timeOfDay: formData.get('timeOfDay') || 'any',
+            ...(this.getSelectedService()
+                ? { serviceId: this.selectedServiceId, practitionerId: this.selectedPractitionerId || null }
+                : {})
+        };
+        if (!payload.firstName || !payload.lastName || !payload.email || !payload.dateFrom) {
+            this.showFormMessage('Please fill in your name, email and dates.', 'warning');
+            return;
+        }
+
+        const btn = document.getElementById('edsa-waitlist-submit');
+        if (btn) btn.disabled = true;
+        try {
+            const response = await EDSA_NATIVE_FETCH(`${this.apiBaseUrl}/waitlist`, {
+                method: 'POST',
+                headers: this.getCustomerAuthHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify(payload)
+            });
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                this.showFormMessage(result.error || 'Could not join the waitlist. Please try again.', 'warning');
+                return;
+            }
+            this.showStep('schedule');
+            this.showFormMessage(result.message || "You're on the waitlist.", 'success');
+        } catch (error) {
+            console.error('EDSA waitlist error:', error);
+            this.showFormMessage('Could not join the waitlist. Please try again.', 'error');
+        } finally {
+            if (btn) btn.disabled = false;
+        }
+    }
+
+    renderClaimBanner() {
+        const banner = document.getElementById('edsa-claim-banner');
+        const text = document.getElementById('edsa-claim-text');
+        if (!banner || !text) return;
+        banner.hidden = !this.waitlistClaim;
+        if (!this.waitlistClaim) return;
+        const until = new Date(this.waitlistClaim.expiresAt).toLocaleString(undefined, {
+            weekday: 'short',
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+        text.textContent = `We're holding this time for you until ${until}. Keep the date and time shown to use your hold.`;
+    }
+
+    /** Opens the booking window on the slot a waitlist email offered (index.html?edsaClaim=…). */
+    async startWaitlistClaim(token) {
+        let offer = null;
+        try {
+            const response = await EDSA_NATIVE_FETCH(
+                `${this.apiBaseUrl}/waitlist/offers/${encodeURIComponent(token)}`,
+                { cache: 'no-store', headers: { Accept: 'application/json' } }
+            );
+            if (response.ok) offer = (await response.json()).offer || null;
+        } catch (error) {
+            console.warn('Could not load waitlist offer:', error);
+        }
+
+        await this.openModal();
+        if (!offer || offer.status !== 'pending') {
+            this.showFormMessage(
+                offer?.status === 'claimed'
+                    ? 'That time has already been booked.'
+                    : 'That waitlist offer has expired. You are still on the waitlist — please pick another time or wait for the next offer.',
+                'warning'
+            );
+            return;
+        }
+
+        this.waitlistClaim = { token, ...offer };
+        if (offer.serviceId && this.services.some((s) => s.id === offer.serviceId)) {
+            this.selectedServiceId = offer.serviceId;
+            this.selectedPractitionerId = offer.practitionerId ? String(offer.practitionerId) : '';
+            this.renderServicePicker();
+            this.updatePaymentAmount();
+        }
+        const [y, m, d] = offer.slotDate.split('-').map(Number);
+        this.selectedDate = new Date(y, m - 1, d);
+        await this.loadBookingContext(y, m - 1);
+        this.renderCalendar(y, m - 1);
+        await this.loadAvailableSlots(this.selectedDate);
+        this.selectedTime = offer.slotTime;
+        this.renderTimeSlots();
+        this.updateScheduleContinueButton();
+
+        const setVal = (id, val) => {
+            const el = document.getElementById(id);
+            if (el && val) el.value = val;
+        };
+        setVal('edsa-first-name', offer.firstName);
+        setVal('edsa-last-name', offer.lastName);
+        setVal('edsa-email', offer.email);
+        setVal('edsa-phone', offer.phone);
+        this.renderClaimBanner();
+    }
+
+    async declineWaitlistClaim() {
+        if (!this.waitlistClaim) return;
+        try {
+            const response = await EDSA_NATIVE_FETCH(
+                `${this.apiBaseUrl}/waitlist/offers/${encodeURIComponent(this.waitlistClaim.token)}/decline`,
+                {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+                    body: JSON.stringify({})
+                }
+            );
+            const result = await response.json().catch(() => ({}));
+            this.waitlistClaim = null;
+            this.renderClaimBanner();
+            this.selectedTime = null;
+            this.showStep('schedule');
+            if (this.selectedDate) {
+                await this.loadAvailableSlots(this.selectedDate);
+                this.renderTimeSlots();
+            }
+            this.showFormMessage(result.message || result.error || 'The time was released.', response.ok ? 'success' : 'warning');
+        } catch (error) {
+            console.error('EDSA waitlist decline error:', error);
+            this.showFormMessage('Could not release the time. Please try again.', 'error');
+        }
     }
 
     selectTime(time) {
@@ -1162,7 +1620,7 @@ class EDSABookingSystem {
                 return;
             }
 
-            if (this.paymentRequired) {
+            if (this.paymentRequired && !bookingData.packageId) {
                 await this.goToPaymentStep(bookingData);
                 return;
             }
@@ -1239,11 +1697,14 @@ class EDSABookingSystem {
         this.selectedDate = null;
         this.selectedTime = null;
         this.availableSlots = [];
+        this.selectedPractitionerId = '';
         this._pendingBookingData = null;
         this._step = 'schedule';
         this.selectedSavedCardId = null;
+        this.waitlistClaim = null;
+        this.renderClaimBanner();
         this.showStep('schedule');
-        void this.loadBookingContext(now.getFullYear(), now.getMonth()).then(() => {
+        const ready = this.loadBookingContext(now.getFullYear(), now.getMonth()).then(() => {
             this.renderCalendar(now.getFullYear(), now.getMonth());
         });
         this.renderCalendar(now.getFullYear(), now.getMonth());
@@ -1253,6 +1714,7 @@ class EDSABookingSystem {
             timeSlotsContainer.innerHTML = '<p class="no-date-selected">Please select a date first</p>';
         }
         this.updateScheduleContinueButton();
+        return ready;
     }
 
     closeModal() {
@@ -1304,6 +1766,14 @@ function initEdsBooking() {
     if (!edsaBookingSystem) {
         edsaBookingSystem = new EDSABookingSystem();
     }
+    const params = new URLSearchParams(window.location.search);
+    const claimToken = params.get('edsaClaim');
+    if (claimToken) {
+        params.delete('edsaClaim');
+        const query = params.toString();
+        window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+        void edsaBookingSystem.startWaitlistClaim(claimToken);
+    }
 }
 
 if (!window.__edsaBookingSubmitCaptureBound) {
@@ -0,0 +1,195 @@
+// Customer intake questionnaires for an EDSA appointment (linked from the confirmation email)
+(function () {
+    function apiBase() {
+        if (typeof window.hmHerbsStorefrontApiBase === 'function') {
+            return `${window.hmHerbsStorefrontApiBase()}/api/edsa`;
+        }
+        const explicit = String(window.HMHERBS_API_ORIGIN || '').trim().replace(/\/+$/, '');
+        if (explicit) return `${explicit}/api/edsa`;
+        if (window.location.protocol === 'file:') return 'http://127.0.0.1:3001/api/edsa';
+        const h = window.location.hostname;
+        if ((h === 'localhost' || h === '127.0.0.1') && window.location.port && window.location.port !== '3001') {
+            return 'http://127.0.0.1:3001/api/edsa';
+        }
+        return '/api/edsa';
+    }
+
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text ?? '');
+        return div.innerHTML;
+    }
+
+    function formatWhen(ymd, hm) {
+        const [y, m, d] = String(ymd || '').slice(0, 10).split('-').map(Number);
+        const [h, min] = String(hm || '').split(':').map(Number);
+        if (!y || !Number.isFinite(h)) return '';
+        return new Date(y, m - 1, d, h, min).toLocaleString('en-US', {
+            weekday: 'long',
+            month: 'long',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+    }
+
+    function notify(message, type) {
+        if (typeof window.showEdsToast === 'function') {
+            window.showEdsToast(message, type);
+        }
+    }
+
+    function questionHtml(form, q, value, disabled) {
+        const id = `intake-${form.id}-${q.key}`;
+        const label = `${escapeHtml(q.label)}${q.required ? ' *' : ''}`;
+        const dis = disabled ? ' disabled' : '';
+        if (q.type === 'yes_no' || q.type === 'choice' || q.type === 'multi_choice') {
+            const options = q.type === 'yes_no' ? [['yes', 'Yes'], ['no', 'No']] : q.options.map((o) => [o, o]);
+            const picked = Array.isArray(value) ? value : [value];
+            const inputType = q.type === 'multi_choice' ? 'checkbox' : 'radio';
+            return `<fieldset data-question="${escapeHtml(q.key)}">
+                <legend>${label}</legend>
+                ${options
+                    .map(
+                        ([val, text]) => `<label class="intake-choice">
+                    <input type="${inputType}" name="${escapeHtml(q.key)}" value="${escapeHtml(val)}"${picked.includes(val) ? ' checked' : ''}${dis}>
+                    ${escapeHtml(text)}
+                </label>`
+                    )
+                    .join('')}
+            </fieldset>`;
+        }
+        const input =
+            q.type === 'long_text'
+                ? `<textarea id="${id}" name="${escapeHtml(q.key)}" rows="4" maxlength="4000"${dis}>${escapeHtml(value || '')}</textarea>`
+                : `<input type="${q.type === 'date' ? 'date' : 'text'}" id="${id}" name="${escapeHtml(q.key)}" value="${escapeHtml(value || '')}" maxlength="4000"${dis}>`;
+        return `<div class="form-group" data-question="${escapeHtml(q.key)}"><label for="${id}">${label}</label>${input}</div>`;
+    }
+
+    function formHtml(form, open) {
+        const saved = form.submittedAt
+            ? `<p class="intake-saved"><i class="fas fa-check-circle" aria-hidden="true"></i> Received${open ? ' — to change anything, fill in the form again before your appointment and it will replace your earlier answers.' : '.'}</p>`
+            : '';
+        if (!open) {
+            return `<section class="intake-card">
+            <h2>${escapeHtml(form.title)}</h2>
+            ${saved || '<p class="intake-lead">Not submitted.</p>'}
+        </section>`;
+        }
+        return `<section class="intake-card">
+            <h2>${escapeHtml(form.title)}</h2>
+            ${form.intro ? `<p class="intake-lead">${escapeHtml(form.intro)}</p>` : ''}
+            ${saved}
+            <form class="intake-form" data-form-id="${form.id}" novalidate>
+                ${form.questions.map((q) => questionHtml(form, q, undefined, false)).join('')}
+                <div id="intake-message-${form.id}" class="edsa-form-message" hidden></div>
+                <div class="intake-actions"><button type="submit" class="btn btn-primary">${form.submittedAt ? 'Replace answers' : 'Submit'}</button></div>
+            </form>
+        </section>`;
+    }
+
+    function collectAnswers(formEl, form) {
+        const data = new FormData(formEl);
+        const answers = {};
+        form.questions.forEach((q) => {
+            answers[q.key] = q.type === 'multi_choice' ? data.getAll(q.key) : data.get(q.key) || '';
+        });
+        return answers;
+    }
+
+    function showFormMessage(formId, message, type) {
+        const box = document.getElementById(`intake-message-${formId}`);
+        if (!box) return;
+        box.hidden = !message;
+        box.className = `edsa-form-message edsa-form-message-${type}`;
+        box.textContent = message || '';
+    }
+
+    async function submitForm(formEl, form, bookingId, email) {
+        formEl.querySelectorAll('.intake-missing').forEach((el) => el.classList.remove('intake-missing'));
+        showFormMessage(form.id, '', 'success');
+        const btn = formEl.querySelector('button[type="submit"]');
+        if (btn) btn.disabled = true;
+        try {
+            const res = await fetch(`${apiBase()}/bookings/${encodeURIComponent(bookingId)}/intake`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+                body: JSON.stringify({ email, formId: form.id, answers: collectAnswers(formEl, form) })
+            });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok) {
+                (data.fields || []).forEach((key) => {
+                    formEl.querySelector(`[data-question="${CSS.escape(key)}"]`)?.classList.add('intake-missing');
+                });
+                showFormMessage(form.id, data.error || 'Could not save your answers. Please try again.', 'error');
+                return;
+            }
+            form.submittedAt = new Date().toISOString();
+            showFormMessage(form.id, data.message || 'Thank you — your answers were saved.', 'success');
+            notify('Intake form saved', 'success');
+            if (btn) btn.textContent = 'Replace answers';
+        } catch (err) {
+            console.error(err);
+            showFormMessage(form.id, 'Network error. Please try again.', 'error');
+        } finally {
+            if (btn) btn.disabled = false;
+        }
+    }
+
+    async function initIntake() {
+        const root = document.getElementById('intake-root');
+        const container = document.getElementById('intake-forms');
+        if (!root || !container) return;
+        const params = new URLSearchParams(window.location.search);
+        const bookingId = String(params.get('booking') || '').trim();
+        const email = String(params.get('email') || '').trim();
+        const notFound = `<h1>Intake form</h1>
+            <p class="intake-lead">We could not find that appointment. Please use the link in your confirmation email or call the store at (706) 861-9454.</p>`;
+        if (!bookingId || !email) {
+            root.innerHTML = notFound;
+            return;
+        }
+
+        let data;
+        try {
+            const res = await fetch(
+                `${apiBase()}/bookings/${encodeURIComponent(bookingId)}/intake?email=${encodeURIComponent(email)}`,
+                { headers: { Accept: 'application/json' }, cache: 'no-store' }
+            );
+            if (!res.ok) {
+                root.innerHTML = notFound;
+                return;
+            }
+            data = await res.json();
+        } catch (err) {
+            console.error(err);
+            root.innerHTML = `<h1>Intake form</h1><p class="intake-lead">Unable to load your intake form. Please try again.</p>`;
+            return;
+        }
+
+        const b = data.booking || {};
+        const when = formatWhen(b.preferredDate, b.preferredTime);
+        const what = b.serviceName ? `${b.serviceName}${b.practitionerName ? ` with ${b.practitionerName}` : ''}` : 'EDSA appointment';
+        let lead = 'Please answer these questions before your visit so your practitioner can review them ahead of time. Your answers are only shared with the staff caring for you.';
+        if (!data.forms.length) lead = 'There is nothing to fill in for this appointment. See you soon!';
+        else if (!data.open) lead = 'This appointment is no longer open for changes.';
+        root.innerHTML = `<h1>Before your visit</h1>
+            <p class="intake-lead">${escapeHtml(what)}${when ? ` · ${escapeHtml(when)}` : ''}<br>Confirmation #${escapeHtml(b.bookingId || bookingId)}</p>
+            <p class="intake-lead">${escapeHtml(lead)}</p>`;
+
+        container.innerHTML = data.forms.map((form) => formHtml(form, data.open)).join('');
+        container.querySelectorAll('form[data-form-id]').forEach((formEl) => {
+            const form = data.forms.find((f) => f.id === Number(formEl.dataset.formId));
+            formEl.addEventListener('submit', (e) => {
+                e.preventDefault();
+                void submitForm(formEl, form, bookingId, email);
+            });
+        });
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initIntake);
+    } else {
+        void initIntake();
+    }
+})();
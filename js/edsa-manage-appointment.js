@@ -64,6 +64,7 @@ function getQueryParams() {
     return {
         bookingId: p.get('booking') || p.get('bookingId') || '',
         email: p.get('email') || '',
+        action: p.get('action') || '',
     };
 }
 
@@ -214,13 +215,39 @@ function statusBanner(data) {
     if (data.status === 'completed') {
         return `<div class="status-banner status-banner-info">This appointment is marked completed.</div>`;
     }
+    if (data.customerConfirmedAt) {
+        return `<div class="status-banner status-banner-info">You're confirmed — see you soon!</div>`;
+    }
     return '';
 }
 
+function formatMoney(amount) {
+    return `$${Number(amount || 0).toFixed(2)}`;
+}
+
+/** Late-cancel warning, or '' when cancelling now is free. */
+function lateCancelNotice(data) {
+    if (!(Number(data.lateCancelFee) > 0)) return '';
+    const card = data.cardLast4 ? `the card ending ${data.cardLast4}` : 'the card you booked with';
+    const hours = data.cancellationPolicy?.lateCancelHours;
+    return `Cancelling ${hours ? `within ${hours} hours of your appointment` : 'this close to your appointment'} carries a ${formatMoney(data.lateCancelFee)} late-cancellation fee, charged to ${card}.`;
+}
+
+async function confirmAttendance(bookingId, email) {
+    const res = await fetch(`${edsaApiBase()}/bookings/${encodeURIComponent(bookingId)}/confirm-attendance`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+        body: JSON.stringify({ email }),
+    });
+    const body = await res.json().catch(() => ({}));
+    return { ok: res.ok, message: body.message || body.error || '' };
+}
+
 class ManageAppointmentUI {
-    constructor(root, data) {
+    constructor(root, data, options = {}) {
         this.root = root;
         this.data = data;
+        this.initialAction = options.initialAction || 'reschedule';
         this.availableSlots = [];
         this.selectedDate = null;
         this.selectedTime = null;
@@ -301,14 +328,14 @@ class ManageAppointmentUI {
                 <span id="action-type-heading" class="request-type-heading">What would you like to do?</span>
                 <div class="request-type-choices">
                     <label class="request-type-card">
-                        <input type="radio" name="actionType" value="reschedule" checked>
+                        <input type="radio" name="actionType" value="reschedule"${this.initialAction === 'cancel' ? '' : ' checked'}>
                         <span class="request-type-card-text">
                             <span class="request-type-card-title">Reschedule</span>
                             <span class="request-type-card-desc">Move to another open time</span>
                         </span>
                     </label>
                     <label class="request-type-card">
-                        <input type="radio" name="actionType" value="cancel">
+                        <input type="radio" name="actionType" value="cancel"${this.initialAction === 'cancel' ? ' checked' : ''}>
                         <span class="request-type-card-text">
                             <span class="request-type-card-title">Cancel appointment</span>
                             <span class="request-type-card-desc">Free up your time slot</span>
@@ -316,7 +343,7 @@ class ManageAppointmentUI {
                     </label>
                 </div>
             </div>
-            <div id="reschedule-panel">
+            <div id="reschedule-panel"${this.initialAction === 'cancel' ? ' hidden' : ''}>
                 <div class="form-group">
                     <label for="new-date">New date</label>
                     <input type="date" id="new-date" name="newDate">
@@ -332,10 +359,11 @@ class ManageAppointmentUI {
                     <button type="button" class="btn btn-primary" id="reschedule-btn">Confirm new time</button>
                 </div>
             </div>
-            <div id="cancel-panel" hidden>
+            <div id="cancel-panel"${this.initialAction === 'cancel' ? '' : ' hidden'}>
                 <p class="manage-lead" style="text-align:left;color:#991b1b;">
                     This will cancel your EDSA session and remove it from our calendar.
                 </p>
+                ${lateCancelNotice(this.data) ? `<p class="manage-lead" style="text-align:left;"><strong>${escapeHtml(lateCancelNotice(this.data))}</strong></p>` : ''}
                 <div class="manage-actions">
                     <button type="button" class="btn btn-danger" id="cancel-btn">Cancel my appointment</button>
                 </div>
@@ -452,8 +480,12 @@ class ManageAppointmentUI {
             typeof window.showEdsConfirm === 'function'
                 ? await window.showEdsConfirm({
                       title: 'Cancel appointment?',
-                      message:
+                      message: [
                           'This will cancel your EDSA session and remove it from our calendar. You can book a new time anytime.',
+                          lateCancelNotice(this.data),
+                      ]
+                          .filter(Boolean)
+                          .join(' '),
                       confirmLabel: 'Yes, cancel appointment',
                       cancelLabel: 'Keep appointment',
                       destructive: true,
@@ -520,8 +552,20 @@ async function initManageAppointment() {
             return;
         }
         const data = await res.json();
-        const ui = new ManageAppointmentUI(root, data);
+        let confirmMessage = null;
+        if (q.action === 'confirm' && data.status === 'confirmed' && !data.customerConfirmedAt) {
+            const result = await confirmAttendance(bookingId, email);
+            if (result.ok) data.customerConfirmedAt = new Date().toISOString();
+            confirmMessage = result;
+        }
+        const ui = new ManageAppointmentUI(root, data, { initialAction: q.action === 'cancel' ? 'cancel' : 'reschedule' });
         ui.render();
+        if (confirmMessage) {
+            showSiteMessage(
+                confirmMessage.message || (confirmMessage.ok ? 'You are confirmed.' : 'Could not confirm. Please call the store.'),
+                confirmMessage.ok ? 'success' : 'error'
+            );
+        }
     } catch (e) {
         console.error(e);
         root.innerHTML = `<h1>Manage appointment</h1>
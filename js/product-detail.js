@@ -34,6 +34,7 @@ class ProductDetailPage {
         this.backendOrigin = hmHerbsBackendOrigin();
         this.apiBaseUrl = `${this.backendOrigin}/api`;
         this.imageZoom = null;
+        this.reviewsPage = 1;
 
         this.init();
     }
@@ -64,6 +65,12 @@ class ProductDetailPage {
             // Setup event listeners
             this.setupEventListeners();
 
+            // Reviews load after the product so the page renders first
+            if (this.product) {
+                this.loadReviews();
+                this.handleStockAlertUnsubscribe();
+            }
+
             // Load cart count
             this.updateCartDisplay();
         } catch (error) {
@@ -221,6 +228,22 @@ class ProductDetailPage {
             }
         }
 
+        // Bundle / kit contents
+        const bundleEl = document.getElementById('product-bundle-contents');
+        const bundleComponents = Array.isArray(this.product.bundle_components) ? this.product.bundle_components : [];
+        if (bundleEl && bundleComponents.length) {
+            const items = bundleComponents.map((c) => {
+                const label = `${c.quantity > 1 ? `${c.quantity} &times; ` : ''}${this.escapeHtml(c.name)}`;
+                return c.slug
+                    ? `<li><a href="product.html?slug=${encodeURIComponent(c.slug)}">${label}</a></li>`
+                    : `<li>${label}</li>`;
+            }).join('');
+            bundleEl.innerHTML = `<h2>What's in the kit</h2><ul>${items}</ul>`;
+            bundleEl.style.display = 'block';
+        } else if (bundleEl) {
+            bundleEl.style.display = 'none';
+        }
+
         // Full Description — render HTML from source site (never show raw tags as text)
         const descEl = document.getElementById('product-description');
         if (descEl) {
@@ -258,9 +281,261 @@ class ProductDetailPage {
         }
 
         this.renderCoaSection();
+        this.renderRatingSummary();
 
         // Stock Status
         this.updateStockStatus();
+
+        this.addStructuredData();
+    }
+
+    renderStars(rating) {
+        const value = Math.max(0, Math.min(5, Number(rating) || 0));
+        let html = '';
+        for (let i = 1; i <= 5; i++) {
+            if (value >= i) {
+                html += '<i class="fas fa-star" aria-hidden="true"></i>';
+            } else if (value >= i - 0.5) {
+                html += '<i class="fas fa-star-half-alt" aria-hidden="true"></i>';
+            } else {
+                html += '<i class="far fa-star" aria-hidden="true"></i>';
+            }
+        }
+        return `<span class="rating-stars" role="img" aria-label="${value.toFixed(1)} out of 5 stars">${html}</span>`;
+    }
+
+    renderRatingSummary() {
+        const el = document.getElementById('product-rating');
+        if (!el) return;
+        const count = Number(this.product.review_count) || 0;
+        if (count <= 0) {
+            el.style.display = 'none';
+            return;
+        }
+        const average = Number(this.product.rating_average) || 0;
+        el.innerHTML = `${this.renderStars(average)} <span class="rating-text">${average.toFixed(1)} (${count} review${count === 1 ? '' : 's'})</span>`;
+        el.style.display = 'inline-flex';
+    }
+
+    addStructuredData() {
+        const product = this.product;
+        const primary = (product.images || []).find((img) => img.is_primary) || (product.images || [])[0];
+        const inventory = Number(product.inventory_quantity) || 0;
+        const tracked = product.track_inventory !== false && product.track_inventory !== 0;
+        const count = Number(product.review_count) || 0;
+        const data = {
+            name: product.name,
+            description: product.short_description || product.meta_description || '',
+            image: primary ? this.resolveProductImageUrl(primary.image_url) : undefined,
+            sku: product.sku,
+            brand: product.brand_name,
+            category: product.category_name,
+            price: product.price,
+            inStock: !tracked || inventory > 0,
+            rating: count > 0 ? { value: Number(product.rating_average) || 0, count } : null
+        };
+
+        const apply = () => {
+            if (window.hmStructuredData && typeof window.hmStructuredData.addProductSchema === 'function') {
+                window.hmStructuredData.addProductSchema(data);
+            }
+        };
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', apply, { once: true });
+        } else {
+            apply();
+        }
+    }
+
+    getCustomerToken() {
+        try {
+            const auth = window.customerAuth;
+            if (auth && typeof auth.getToken === 'function') {
+                const t = auth.getToken();
+                if (t && String(t).trim()) return String(t).trim();
+            }
+        } catch (_) {
+            /* ignore */
+        }
+        try {
+            return localStorage.getItem('hmherbs_customer_token');
+        } catch (_) {
+            return null;
+        }
+    }
+
+    async loadReviews(page = 1) {
+        const listEl = document.getElementById('product-reviews-list');
+        if (!listEl || !this.product) return;
+
+        const slug = encodeURIComponent(this.product.slug || this.product.id);
+        const headers = {};
+        const token = this.getCustomerToken();
+        if (token) headers.Authorization = `Bearer ${token}`;
+
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/products/${slug}/reviews?page=${page}&limit=10`, { headers });
+            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+            const data = await response.json();
+
+            this.reviewsPage = page;
+            this.renderReviewSummary(data.summary);
+            const html = (data.reviews || []).map((review) => this.renderReview(review)).join('');
+            if (page === 1) {
+                listEl.innerHTML = html || '<p class="product-reviews-empty">No reviews yet.</p>';
+            } else {
+                listEl.insertAdjacentHTML('beforeend', html);
+            }
+
+            const moreBtn = document.getElementById('product-reviews-more');
+            if (moreBtn) {
+                const totalPages = Number(data.pagination?.totalPages) || 1;
+                moreBtn.style.display = page < totalPages ? 'inline-flex' : 'none';
+                moreBtn.onclick = () => this.loadReviews(page + 1);
+            }
+
+            if (page === 1) {
+                this.renderReviewForm(data.viewer);
+            }
+        } catch (error) {
+            console.error('Error loading reviews:', error);
+            if (page === 1) {
+                listEl.innerHTML = '<p class="product-reviews-empty">Reviews are unavailable right now.</p>';
+            }
+        }
+    }
+
+    renderReviewSummary(summary) {
+        const el = document.getElementById('product-reviews-summary');
+        if (!el || !summary) return;
+        const count = Number(summary.count) || 0;
+        if (count <= 0) {
+            el.innerHTML = '';
+            return;
+        }
+        const average = Number(summary.average) || 0;
+        const bars = [5, 4, 3, 2, 1].map((star) => {
+            const n = Number(summary.distribution?.[star]) || 0;
+            const pct = Math.round((n / count) * 100);
+            return `
+                <div class="review-bar">
+                    <span>${star} <i class="fas fa-star" aria-hidden="true"></i></span>
+                    <span class="review-bar-track"><span class="review-bar-fill" style="width: ${pct}%;"></span></span>
+                    <span>${n}</span>
+                </div>`;
+        }).join('');
+        el.innerHTML = `
+            <div class="review-summary-score">
+                <strong>${average.toFixed(1)}</strong>
+                ${this.renderStars(average)}
+                <span>${count} review${count === 1 ? '' : 's'}</span>
+            </div>
+            <div class="review-summary-bars">${bars}</div>
+        `;
+    }
+
+    renderReview(review) {
+        const date = review.createdAt ? new Date(review.createdAt).toLocaleDateString() : '';
+        return `
+            <article class="product-review">
+                <header class="product-review-header">
+                    ${this.renderStars(review.rating)}
+                    ${review.title ? `<h3 class="product-review-title">${this.escapeHtml(review.title)}</h3>` : ''}
+                </header>
+                <p class="product-review-meta">
+                    ${this.escapeHtml(review.author || 'Customer')}
+                    ${review.verifiedPurchase ? '<span class="verified-badge"><i class="fas fa-check-circle" aria-hidden="true"></i> Verified purchase</span>' : ''}
+                    ${date ? `<span class="product-review-date">${this.escapeHtml(date)}</span>` : ''}
+                </p>
+                ${review.text ? `<p class="product-review-body">${this.escapeHtml(review.text)}</p>` : ''}
+                ${review.reply?.text ? `
+                <div class="product-review-reply">
+                    <strong>Response from H&amp;M Herbs</strong>
+                    <p>${this.escapeHtml(review.reply.text)}</p>
+                </div>` : ''}
+            </article>
+        `;
+    }
+
+    renderReviewForm(viewer) {
+        const form = document.getElementById('product-review-form');
+        const note = document.getElementById('product-review-note');
+        if (!form || !note) return;
+
+        const reason = viewer?.reason || 'SIGN_IN_REQUIRED';
+        form.style.display = viewer?.canReview ? 'flex' : 'none';
+        if (viewer?.canReview) {
+            note.textContent = '';
+        } else if (reason === 'ALREADY_REVIEWED') {
+            note.textContent = viewer.reviewStatus === 'pending'
+                ? 'Thanks for your review! It will appear once it has been approved.'
+                : 'You have already reviewed this product.';
+        } else if (reason === 'NOT_VERIFIED_PURCHASE') {
+            note.textContent = 'Only customers who have purchased this product can leave a review.';
+        } else {
+            note.innerHTML = '<a href="#" data-review-sign-in>Sign in</a> to review a product you have purchased.';
+            const link = note.querySelector('[data-review-sign-in]');
+            if (link) {
+                link.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    if (window.customerAuth && typeof window.customerAuth.openLoginModal === 'function') {
+                        window.customerAuth.openLoginModal();
+                    } else {
+                        window.location.href = 'account.html';
+                    }
+                });
+            }
+        }
+
+        if (!form.dataset.bound) {
+            form.dataset.bound = '1';
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.submitReview(form);
+            });
+        }
+    }
+
+    async submitReview(form) {
+        const rating = Number(form.querySelector('input[name="rating"]:checked')?.value);
+        if (!rating) {
+            this.showNotification('Please choose a star rating.', 'error');
+            return;
+        }
+        const token = this.getCustomerToken();
+        if (!token) {
+            this.showNotification('Please sign in to leave a review.', 'error');
+            return;
+        }
+
+        const submitBtn = document.getElementById('product-review-submit');
+        if (submitBtn) submitBtn.disabled = true;
+        try {
+            const slug = encodeURIComponent(this.product.slug || this.product.id);
+            const response = await fetch(`${this.apiBaseUrl}/products/${slug}/reviews`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    Authorization: `Bearer ${token}`
+                },
+                body: JSON.stringify({
+                    rating,
+                    title: form.querySelector('#review-title')?.value || '',
+                    text: form.querySelector('#review-text')?.value || ''
+                })
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to submit review');
+            }
+            form.reset();
+            this.showNotification(data.message || 'Thanks for your review!', 'success');
+            this.renderReviewForm({ canReview: false, hasReviewed: true, reviewStatus: 'pending', reason: 'ALREADY_REVIEWED' });
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to submit review', 'error');
+        } finally {
+            if (submitBtn) submitBtn.disabled = false;
+        }
     }
 
     resolveCoaUrl(url) {
@@ -703,6 +978,7 @@ class ProductDetailPage {
                 wlBtn.disabled = false;
                 wlBtn.classList.remove('disabled');
             }
+            this.renderStockAlert(null);
             return;
         }
 
@@ -721,6 +997,7 @@ class ProductDetailPage {
                 wlBtn.disabled = true;
                 wlBtn.classList.add('disabled');
             }
+            this.renderStockAlert('back_in_stock');
             return;
         }
 
@@ -748,6 +1025,98 @@ class ProductDetailPage {
             wlBtn.disabled = false;
             wlBtn.classList.remove('disabled');
         }
+        this.renderStockAlert(null);
+    }
+
+    /**
+     * Shows the "notify me" form: back-in-stock when the selection is sold out,
+     * otherwise an opt-in link for price-drop alerts.
+     * @param {'back_in_stock'|'price_drop'|null} alertType
+     */
+    renderStockAlert(alertType) {
+        const box = document.getElementById('product-stock-alert');
+        const heading = document.getElementById('stock-alert-heading');
+        const priceToggle = document.getElementById('price-drop-alert-toggle');
+        if (!box || !heading) return;
+
+        this.stockAlertType = alertType;
+        if (priceToggle) priceToggle.style.display = alertType ? 'none' : 'inline-flex';
+        if (!alertType) {
+            box.style.display = 'none';
+            return;
+        }
+
+        const label = this.selectedVariant?.name ? ` (${this.selectedVariant.name})` : '';
+        heading.textContent = alertType === 'price_drop'
+            ? `Get an email if the price of this item${label} drops.`
+            : `Sold out${label}. Get an email as soon as it's back in stock.`;
+
+        const emailInput = document.getElementById('stock-alert-email');
+        if (emailInput && !emailInput.value) {
+            const email = window.customerAuth?.getCurrentUser?.()?.email;
+            if (email) emailInput.value = email;
+        }
+        box.style.display = 'block';
+    }
+
+    async submitStockAlert() {
+        const emailInput = document.getElementById('stock-alert-email');
+        const submitBtn = document.getElementById('stock-alert-submit');
+        const email = (emailInput?.value || '').trim();
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            this.showNotification('Please enter a valid email address.', 'error');
+            return;
+        }
+
+        const headers = { 'Content-Type': 'application/json' };
+        const token = this.getCustomerToken();
+        if (token) headers.Authorization = `Bearer ${token}`;
+
+        if (submitBtn) submitBtn.disabled = true;
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/stock-alerts`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({
+                    productId: this.product.id,
+                    variantId: this.selectedVariant?.id || null,
+                    email,
+                    type: this.stockAlertType || 'back_in_stock'
+                })
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(data.error || 'Could not save your alert');
+            }
+            this.showNotification(data.message || "We'll let you know.", 'success');
+            const box = document.getElementById('product-stock-alert');
+            if (box) box.style.display = 'none';
+        } catch (error) {
+            this.showNotification(error.message || 'Could not save your alert', 'error');
+        } finally {
+            if (submitBtn) submitBtn.disabled = false;
+        }
+    }
+
+    /** One-click unsubscribe from the link in a stock alert email (?stockAlertUnsubscribe=token). */
+    async handleStockAlertUnsubscribe() {
+        const params = new URLSearchParams(window.location.search);
+        const token = params.get('stockAlertUnsubscribe');
+        if (!token) return;
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/stock-alerts/unsubscribe`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ token })
+            });
+            const data = await response.json().catch(() => ({}));
+            this.showNotification(data.message || 'You have been unsubscribed.', response.ok ? 'success' : 'error');
+        } catch (error) {
+            console.error('Stock alert unsubscribe failed:', error);
+        }
+        params.delete('stockAlertUnsubscribe');
+        const query = params.toString();
+        window.history.replaceState({}, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
     }
 
     setupEventListeners() {
@@ -800,6 +1169,23 @@ class ProductDetailPage {
                 this.addToWishlist();
             });
         }
+
+        const stockAlertForm = document.getElementById('stock-alert-form');
+        if (stockAlertForm) {
+            stockAlertForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.submitStockAlert();
+            });
+        }
+
+        const priceDropToggle = document.getElementById('price-drop-alert-toggle');
+        if (priceDropToggle) {
+            priceDropToggle.addEventListener('click', () => this.renderStockAlert('price_drop'));
+        }
+
+        // Review eligibility depends on who is signed in
+        window.addEventListener('hmherbs:customer-signed-in', () => this.loadReviews());
+        window.addEventListener('hmherbs:customer-signed-out', () => this.loadReviews());
     }
 
     updatePrice() {
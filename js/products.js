@@ -23,6 +23,33 @@ function appendCartDeleteButtonContents(button) {
     button.appendChild(document.createTextNode(' Delete'));
 }
 
+/**
+ * Facet groups in the order they appear in the filter panel. `key` is both the page URL param
+ * and the GET /api/products param (rating is sent as minRating); values are comma-separated.
+ */
+const FACET_GROUPS = [
+    { key: 'brand', title: 'Brand' },
+    { key: 'category', title: 'Product type' },
+    { key: 'healthCategory', title: 'Health concern' },
+    { key: 'price', title: 'Price' },
+    { key: 'rating', title: 'Customer rating', single: true },
+    { key: 'inStock', title: 'Availability' },
+    { key: 'coa', title: 'Lab results' },
+    { key: 'cbd', title: 'CBD & age-restricted' }
+];
+const FACET_VISIBLE_OPTIONS = 8;
+
+function emptyFacetSelection() {
+    return FACET_GROUPS.reduce((acc, group) => {
+        acc[group.key] = [];
+        return acc;
+    }, {});
+}
+
+function sameFacetValues(a, b) {
+    return a.length === b.length && a.every((v) => b.includes(v));
+}
+
 class ProductsPage {
     constructor() {
         this.products = [];
@@ -32,11 +59,15 @@ class ProductsPage {
         this.totalPages = 0;
         this.currentFilters = {
             search: '',
-            category: '',
-            brand: '',
+            facets: emptyFacetSelection(),
             sort: 'name'
         };
 
+        // Facet options + live counts from the last /api/products response
+        this.facets = null;
+        this.expandedFacets = new Set();
+        this.loadRequestId = 0;
+
         // Cart functionality (shared with main app)
         this.cart = [];
 
@@ -55,14 +86,14 @@ class ProductsPage {
             // Load cart from storage
             this.loadCartFromStorage();
 
-            // Load products
-            await this.loadProducts();
+            // Filters come from the URL so the first request is already filtered
+            this.applyUrlParameters();
 
             // Setup event listeners
             this.setupEventListeners();
 
-            // Apply URL parameters
-            this.applyUrlParameters();
+            // Load products
+            await this.loadProducts();
 
             // Initial render
             this.applyFilters();
@@ -73,13 +104,36 @@ class ProductsPage {
         }
     }
 
+    /** Query params for GET /api/products built from the current search + facet selection. */
+    buildFilterParams() {
+        const params = new URLSearchParams();
+        if (this.currentFilters.search) {
+            params.set('search', this.currentFilters.search);
+        }
+        FACET_GROUPS.forEach(({ key }) => {
+            const values = this.currentFilters.facets[key];
+            if (values.length) {
+                params.set(key === 'rating' ? 'minRating' : key, values.join(','));
+            }
+        });
+        return params;
+    }
+
+    hasFacetSelection() {
+        return FACET_GROUPS.some(({ key }) => this.currentFilters.facets[key].length > 0);
+    }
+
     async loadProducts() {
         const loadingState = document.getElementById('loading-state');
         const productsGrid = document.getElementById('products-grid');
+        const requestId = ++this.loadRequestId;
+        // Spinner only on the first load; later facet clicks keep the current grid until results arrive
+        const firstLoad = this.products.length === 0;
 
         try {
-            if (loadingState) loadingState.style.display = 'block';
-            if (productsGrid) productsGrid.style.display = 'none';
+            if (firstLoad && loadingState) loadingState.style.display = 'block';
+            if (firstLoad && productsGrid) productsGrid.style.display = 'none';
+            if (productsGrid) productsGrid.setAttribute('aria-busy', 'true');
 
             // Get API base URL — use shared loopback helper when static files are on another port
             const apiBaseUrl =
@@ -94,39 +148,9 @@ class ProductsPage {
                           return '';
                       })();
 
-            // Check URL parameters for brand/category to pass to API
-            const urlParams = new URLSearchParams(window.location.search);
-            const brandParam = urlParams.get('brand');
-            const categoryParam = urlParams.get('category');
-            const healthCategoryParam = urlParams.get('healthCategory');
-            const searchParam = urlParams.get('search');
-
-            // Clean brand (remove hyphens/spaces/specials) for consistent API queries
-            const cleanBrandParam = brandParam
-                ? brandParam.toLowerCase().replace(/[^a-z0-9]/g, '')
-                : null;
-
-            // Build API URL with filters
-            let apiUrl = `${apiBaseUrl}/api/products?limit=1000`;
-            if (brandParam) {
-                // Prefer cleaned brand when present to maximize server matches
-                apiUrl += `&brand=${encodeURIComponent(cleanBrandParam || brandParam)}`;
-            }
-            if (categoryParam) {
-                apiUrl += `&category=${encodeURIComponent(categoryParam)}`;
-                if (!healthCategoryParam) {
-                    apiUrl += `&healthCategory=${encodeURIComponent(categoryParam)}`;
-                }
-            }
-            if (healthCategoryParam) {
-                apiUrl += `&healthCategory=${encodeURIComponent(healthCategoryParam)}`;
-                if (!categoryParam) {
-                    apiUrl += `&category=${encodeURIComponent(healthCategoryParam)}`;
-                }
-            }
-            if (searchParam) {
-                apiUrl += `&search=${encodeURIComponent(searchParam)}`;
-            }
+            // Filtering, search ranking and facet counts all happen server-side
+            const filterParams = this.buildFilterParams();
+            const apiUrl = `${apiBaseUrl}/api/products?limit=1000&facets=1${filterParams.toString() ? `&${filterParams.toString()}` : ''}`;
 
             console.log('Fetching products from:', apiUrl);
 
@@ -136,44 +160,19 @@ class ProductsPage {
                 return null;
             });
 
+            // A newer filter change started while this request was in flight
+            if (requestId !== this.loadRequestId) return;
+
             if (response && response.ok) {
                 const data = await response.json();
+                if (requestId !== this.loadRequestId) return;
                 console.log('API Response:', data);
-                let productsFromApi = data.products || [];
-
-                // Retry with a "clean" brand if brand filter returned nothing (double safety)
-                if (brandParam && productsFromApi.length === 0 && cleanBrandParam && cleanBrandParam !== brandParam.toLowerCase()) {
-                    const retryUrl = `${apiBaseUrl}/api/products?limit=1000&brand=${encodeURIComponent(cleanBrandParam)}`;
-                    console.log('Retrying with cleaned brand:', retryUrl);
-                    const retryResp = await fetch(retryUrl).catch(err => {
-                        console.error('Retry fetch error:', err);
-                        return null;
-                    });
-                    if (retryResp && retryResp.ok) {
-                        const retryData = await retryResp.json();
-                        productsFromApi = retryData.products || [];
-                        console.log('Retry API Response:', retryData);
-                    }
-                }
-
-                // Retry with healthCategory if category was provided and no products returned
-                if (productsFromApi.length === 0 && categoryParam && !healthCategoryParam) {
-                    const retryUrl = `${apiBaseUrl}/api/products?limit=1000&healthCategory=${encodeURIComponent(categoryParam)}`;
-                    console.log('Retrying with healthCategory fallback:', retryUrl);
-                    const retryResp = await fetch(retryUrl).catch(err => {
-                        console.error('Retry fetch error (healthCategory):', err);
-                        return null;
-                    });
-                    if (retryResp && retryResp.ok) {
-                        const retryData = await retryResp.json();
-                        productsFromApi = retryData.products || [];
-                        console.log('Retry API Response (healthCategory):', retryData);
-                    }
-                }
+                const productsFromApi = data.products || [];
+                this.facets = data.facets || null;
 
                 if (productsFromApi.length > 0) {
-                    // Transform API products to match expected format
-                    this.products = productsFromApi.map(product => ({
+                    // Transform API products to match expected format (rank keeps the API's relevance order)
+                    this.products = productsFromApi.map((product, index) => ({
                         id: product.id,
                         name: product.name,
                         price: parseFloat(product.price) || 0,
@@ -186,16 +185,17 @@ class ProductsPage {
                         featured: product.is_featured || false,
                         inStock: (product.inventory_quantity || 0) > 0 || product.inventory_quantity === null,
                         lowStockThreshold: 5,
-                        slug: product.slug || ''
+                        slug: product.slug || '',
+                        rating: Number(product.rating_average) || 0,
+                        reviewCount: Number(product.review_count) || 0,
+                        rank: index
                     }));
                     console.log(`Successfully loaded ${this.products.length} products`);
                 } else {
                     console.warn('API returned no products');
                     if (
-                        !brandParam &&
-                        !categoryParam &&
-                        !healthCategoryParam &&
-                        !searchParam &&
+                        !this.currentFilters.search &&
+                        !this.hasFacetSelection() &&
                         data.pagination &&
                         Number(data.pagination.totalProducts) === 0
                     ) {
@@ -224,14 +224,21 @@ class ProductsPage {
                 }
                 console.error('API failed with status:', detail);
                 this.products = [];
+                this.facets = null;
             }
 
         } catch (error) {
             console.error('Error loading products:', error);
             this.products = [];
+            this.facets = null;
         } finally {
-            if (loadingState) loadingState.style.display = 'none';
-            if (productsGrid) productsGrid.style.display = 'grid';
+            if (requestId === this.loadRequestId) {
+                if (loadingState) loadingState.style.display = 'none';
+                if (productsGrid) {
+                    productsGrid.style.display = 'grid';
+                    productsGrid.removeAttribute('aria-busy');
+                }
+            }
         }
     }
 
@@ -264,12 +271,14 @@ class ProductsPage {
     }
 
     setupEventListeners() {
-        // Search input — same debounce + matching as homepage hero search
+        // Search input — same debounce as homepage hero search; matching and ranking are server-side
         const searchInput = document.getElementById('product-search');
         if (searchInput) {
-            const runSearch = (raw) => {
+            const runSearch = async (raw) => {
                 this.currentFilters.search = String(raw || '').trim().toLowerCase();
                 this.currentPage = 1;
+                this.syncRelevanceSort();
+                await this.loadProducts();
                 this.applyFilters();
             };
             if (typeof window.hmBindSearchInput === 'function') {
@@ -294,6 +303,33 @@ class ProductsPage {
             });
         }
 
+        // Facet panel — options are real links (shareable/crawlable); clicks are handled in place
+        const facetPanel = document.getElementById('facet-panel');
+        if (facetPanel) {
+            facetPanel.addEventListener('click', (e) => {
+                const option = e.target.closest('a[data-facet]');
+                if (option) {
+                    e.preventDefault();
+                    this.toggleFacetValue(option.dataset.facet, option.dataset.value);
+                    return;
+                }
+                const more = e.target.closest('button[data-facet-more]');
+                if (more) {
+                    const key = more.dataset.facetMore;
+                    if (this.expandedFacets.has(key)) this.expandedFacets.delete(key);
+                    else this.expandedFacets.add(key);
+                    this.renderFacets();
+                    return;
+                }
+                if (e.target.closest('[data-facet-clear]')) {
+                    e.preventDefault();
+                    this.currentFilters.facets = emptyFacetSelection();
+                    this.currentPage = 1;
+                    this.reloadForFilters();
+                }
+            });
+        }
+
         // Reset filters
         const resetButton = document.getElementById('reset-filters');
         if (resetButton) {
@@ -385,21 +421,19 @@ class ProductsPage {
 
     applyUrlParameters() {
         const urlParams = new URLSearchParams(window.location.search);
+        const facets = emptyFacetSelection();
 
-        // Apply brand from URL
-        const brand = urlParams.get('brand');
-        if (brand) {
-            this.currentFilters.brand = brand;
-        }
-
-        // Apply health category or product category from URL
-        const healthCategory = urlParams.get('healthCategory');
-        const category = urlParams.get('category');
-        if (healthCategory) {
-            this.currentFilters.category = healthCategory;
-        } else if (category) {
-            this.currentFilters.category = category;
+        FACET_GROUPS.forEach(({ key, single }) => {
+            const raw = urlParams.getAll(key).join(',');
+            const values = [...new Set(raw.split(',').map((v) => v.trim().toLowerCase()).filter(Boolean))];
+            facets[key] = single ? values.slice(0, 1) : values;
+        });
+        // Older links (nav menus, SEO redirects) use ?category=slug for either taxonomy;
+        // identical category + healthCategory lists mean "either" to the API.
+        if (facets.category.length && !urlParams.has('healthCategory')) {
+            facets.healthCategory = [...facets.category];
         }
+        this.currentFilters.facets = facets;
 
         // Apply search from URL
         const search = urlParams.get('search');
@@ -411,17 +445,71 @@ class ProductsPage {
             }
         }
 
-        // Apply page from URL
+        // Apply sort from URL
+        const sort = urlParams.get('sort');
+        const sortFilter = document.getElementById('sort-filter');
+        if (sort && sortFilter && Array.from(sortFilter.options).some((o) => o.value === sort)) {
+            this.currentFilters.sort = sort;
+            sortFilter.value = sort;
+        }
+        this.syncRelevanceSort();
+
+        // Apply page from URL (clamped once results are known)
         const page = urlParams.get('page');
         if (page) {
-            const pageNum = parseInt(page) || 1;
-            // Validate page is positive and not beyond reasonable bounds
-            this.currentPage = Math.max(1, Math.min(pageNum, this.totalPages || 1));
+            this.currentPage = Math.max(1, parseInt(page) || 1);
         }
     }
 
+    /** "Best match" is the default order while searching; plain browsing goes back to name order. */
+    syncRelevanceSort() {
+        const sortFilter = document.getElementById('sort-filter');
+        if (this.currentFilters.search && this.currentFilters.sort === 'name') {
+            this.currentFilters.sort = 'relevance';
+        } else if (!this.currentFilters.search && this.currentFilters.sort === 'relevance') {
+            this.currentFilters.sort = 'name';
+        }
+        if (sortFilter) sortFilter.value = this.currentFilters.sort;
+    }
+
+    /** Selection after ticking/unticking one facet option (rating is single-choice). */
+    nextFacetSelection(key, value) {
+        const group = FACET_GROUPS.find((g) => g.key === key);
+        const facets = { ...this.currentFilters.facets };
+        const current = facets[key] || [];
+        const selected = current.includes(value);
+
+        if (group && group.single) {
+            facets[key] = selected ? [] : [value];
+        } else if (selected) {
+            facets[key] = current.filter((v) => v !== value);
+            // Unticking a legacy "either taxonomy" slug clears it from both lists
+            if ((key === 'category' || key === 'healthCategory') &&
+                sameFacetValues(this.currentFilters.facets.category, this.currentFilters.facets.healthCategory)) {
+                facets.category = facets.category.filter((v) => v !== value);
+                facets.healthCategory = facets.healthCategory.filter((v) => v !== value);
+            }
+        } else {
+            facets[key] = [...current, value];
+        }
+        return facets;
+    }
+
+    toggleFacetValue(key, value) {
+        if (!key || value == null) return;
+        this.currentFilters.facets = this.nextFacetSelection(key, String(value).toLowerCase());
+        this.currentPage = 1;
+        this.reloadForFilters();
+    }
+
+    async reloadForFilters() {
+        this.updateUrl();
+        await this.loadProducts();
+        this.applyFilters();
+    }
+
     applyFilters() {
-        const hasActiveFilter = !!(this.currentFilters.brand || this.currentFilters.category || this.currentFilters.search);
+        const hasActiveFilter = !!(this.hasFacetSelection() || this.currentFilters.search);
         const browseBySection = document.querySelector('.browse-by-section');
 
         // Hide browse-by section if a filter is active
@@ -429,75 +517,9 @@ class ProductsPage {
             browseBySection.style.display = hasActiveFilter ? 'none' : 'block';
         }
 
-        // Start with all products
+        // The API already applied search and facets; only ordering and paging happen here
         this.filteredProducts = [...this.products];
 
-        // Only apply client-side filtering if we didn't filter via API
-        // or if we want to support combining search with brand/category
-
-        // Apply search filter with keyword matching
-        if (this.currentFilters.search) {
-            if (typeof window.hmProductSearchMatch === 'function') {
-                this.filteredProducts = window.hmProductSearchMatch(this.filteredProducts, this.currentFilters.search);
-            } else {
-                const searchKeywords = this.currentFilters.search.toLowerCase().trim().split(/\s+/).filter(word => word.length > 0);
-                if (searchKeywords.length > 0) {
-                    this.filteredProducts = this.filteredProducts.filter(product => {
-                        const name = (product.name || '').toLowerCase();
-                        const description = (product.description || '').toLowerCase();
-                        const category = (product.category || '').toLowerCase();
-                        const brandSlug = (product.brand || '').toLowerCase();
-                        const brandName = (product.brandName || '').toLowerCase();
-                        const brandNameClean = brandName.replace(/[^a-z0-9]/g, '');
-                        return searchKeywords.every(keyword => {
-                            const keywordClean = keyword.replace(/[^a-z0-9]/g, '');
-                            return name.includes(keyword) ||
-                                description.includes(keyword) ||
-                                category.includes(keyword) ||
-                                brandSlug.includes(keyword) ||
-                                brandName.includes(keyword) ||
-                                (keywordClean.length > 0 && brandNameClean.includes(keywordClean));
-                        });
-                    });
-                }
-            }
-        }
-
-        // Apply brand filter ONLY if we haven't already filtered by brand via API
-        // (If products list is large, we might have skipped API filtering)
-        const isAlreadyApiFilteredByBrand = new URLSearchParams(window.location.search).has('brand');
-
-        if (this.currentFilters.brand && !isAlreadyApiFilteredByBrand) {
-            const filterBrand = (this.currentFilters.brand || '').toLowerCase().trim();
-            const filterBrandClean = filterBrand.replace(/[^a-z0-9]/g, '');
-
-            this.filteredProducts = this.filteredProducts.filter(product => {
-                const productBrandSlug = (product.brand || '').toLowerCase().trim();
-                const productBrandName = (product.brandName || '').toLowerCase().trim();
-                const productBrandSlugClean = productBrandSlug.replace(/[^a-z0-9]/g, '');
-                const productBrandNameClean = productBrandName.replace(/[^a-z0-9]/g, '');
-
-                return productBrandSlug === filterBrand ||
-                    productBrandSlugClean === filterBrandClean ||
-                    productBrandNameClean === filterBrandClean ||
-                    productBrandSlug.includes(filterBrand) ||
-                    filterBrand.includes(productBrandSlug) ||
-                    productBrandName.includes(filterBrand) ||
-                    productBrandSlugClean.includes(filterBrandClean) ||
-                    filterBrandClean.includes(productBrandSlugClean);
-            });
-        }
-
-        // Apply category filter (if not already API filtered)
-        const urlParams = new URLSearchParams(window.location.search);
-        const isAlreadyApiFilteredByCategory = urlParams.has('category') || urlParams.has('healthCategory');
-        if (this.currentFilters.category && !isAlreadyApiFilteredByCategory) {
-            const filterCat = this.currentFilters.category.toLowerCase();
-            this.filteredProducts = this.filteredProducts.filter(product =>
-                product.category === filterCat || product.category.includes(filterCat)
-            );
-        }
-
         // Apply sorting
         this.sortProducts();
 
@@ -512,28 +534,111 @@ class ProductsPage {
         // Render results
         this.renderProducts();
         this.renderPagination();
+        this.renderFacets();
         this.updatePageTitle();
         this.updateUrl();
     }
 
+    /** Page URL for the listing as it would be after toggling one facet option. */
+    facetHref(key, value) {
+        const params = this.buildPageParams(this.nextFacetSelection(key, value), 1);
+        const query = params.toString().replace(/%2C/g, ',');
+        return query ? `products.html?${query}` : 'products.html';
+    }
+
+    renderFacets() {
+        const panel = document.getElementById('facet-panel');
+        if (!panel) return;
+
+        const layout = panel.closest('.products-layout');
+        if (!this.facets) {
+            panel.hidden = true;
+            if (layout) layout.classList.remove('has-facets');
+            return;
+        }
+        panel.hidden = false;
+        if (layout) layout.classList.add('has-facets');
+
+        const selection = this.currentFilters.facets;
+        const escape = (value) => String(value ?? '').replace(/[&<>"']/g, (c) => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        }[c]));
+        const selectedCount = FACET_GROUPS.reduce((n, { key }) => n + selection[key].length, 0);
+
+        const groupsHtml = FACET_GROUPS.map((group) => {
+            const options = (this.facets[group.key] || []).filter((o) => o.count > 0 || o.selected);
+            if (!options.length) return '';
+
+            const expanded = this.expandedFacets.has(group.key);
+            const visible = expanded ? options : options.slice(0, FACET_VISIBLE_OPTIONS);
+            const hiddenCount = options.length - visible.length;
+            const items = visible.map((option) => {
+                const value = String(option.value).toLowerCase();
+                const checked = selection[group.key].includes(value);
+                // Multi-facet combinations are not worth crawling; single-facet pages are
+                const nextSelection = this.nextFacetSelection(group.key, value);
+                const nofollow = FACET_GROUPS.reduce((n, { key }) => n + nextSelection[key].length, 0) > 1;
+                return `
+                    <li>
+                        <a href="${escape(this.facetHref(group.key, value))}" class="facet-option${checked ? ' is-selected' : ''}"
+                            data-facet="${escape(group.key)}" data-value="${escape(value)}"
+                            role="${group.single ? 'radio' : 'checkbox'}" aria-checked="${checked}"${nofollow ? ' rel="nofollow"' : ''}>
+                            <span class="facet-check" aria-hidden="true"></span>
+                            <span class="facet-label">${escape(option.label)}</span>
+                            <span class="facet-count">${Number(option.count) || 0}</span>
+                        </a>
+                    </li>`;
+            }).join('');
+            const moreButton = hiddenCount > 0 || expanded
+                ? `<button type="button" class="facet-more" data-facet-more="${escape(group.key)}">${expanded ? 'Show fewer' : `Show all (${options.length})`}</button>`
+                : '';
+
+            return `
+                <div class="facet-group" role="group" aria-labelledby="facet-title-${escape(group.key)}">
+                    <h3 class="facet-title" id="facet-title-${escape(group.key)}">${escape(group.title)}</h3>
+                    <ul class="facet-options">${items}</ul>
+                    ${moreButton}
+                </div>`;
+        }).join('');
+
+        panel.innerHTML = `
+            <details class="facet-panel-inner" ${window.matchMedia && window.matchMedia('(max-width: 1023px)').matches ? '' : 'open'}>
+                <summary class="facet-panel-heading">
+                    Filters${selectedCount ? ` <span class="facet-selected-count">(${selectedCount})</span>` : ''}
+                </summary>
+                ${selectedCount ? '<a href="products.html" class="facet-clear" data-facet-clear>Clear all filters</a>' : ''}
+                ${groupsHtml}
+            </details>`;
+    }
+
+    facetLabel(key, value) {
+        const option = (this.facets?.[key] || []).find((o) => String(o.value).toLowerCase() === value);
+        return option ? option.label : value.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+    }
+
     updatePageTitle() {
         const titleEl = document.querySelector('.page-title');
         const subtitleEl = document.querySelector('.page-subtitle');
         if (!titleEl) return;
 
-        if (this.currentFilters.brand) {
-            const brandName = this.filteredProducts.length > 0 && this.filteredProducts[0].brandName
-                ? this.filteredProducts[0].brandName
-                : this.currentFilters.brand.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+        const { brand, category, healthCategory } = this.currentFilters.facets;
+        const taxonomy = category.length ? category : healthCategory;
+        const taxonomyKey = category.length ? 'category' : 'healthCategory';
+
+        if (this.currentFilters.search) {
+            titleEl.textContent = `Search Results: ${this.currentFilters.search}`;
+            if (subtitleEl) subtitleEl.textContent = `Found ${this.filteredProducts.length} products matching your search`;
+        } else if (brand.length === 1 && !taxonomy.length) {
+            const brandName = this.facetLabel('brand', brand[0]);
             titleEl.textContent = `${brandName} Products`;
             if (subtitleEl) subtitleEl.textContent = `Browsing all products from ${brandName}`;
-        } else if (this.currentFilters.category) {
-            const catName = this.currentFilters.category.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+        } else if (taxonomy.length === 1 && !brand.length) {
+            const catName = this.facetLabel(taxonomyKey, taxonomy[0]);
             titleEl.textContent = `${catName} Products`;
             if (subtitleEl) subtitleEl.textContent = `Browsing all products in ${catName}`;
-        } else if (this.currentFilters.search) {
-            titleEl.textContent = `Search Results: ${this.currentFilters.search}`;
-            if (subtitleEl) subtitleEl.textContent = `Found ${this.filteredProducts.length} products matching your search`;
+        } else if (this.hasFacetSelection()) {
+            titleEl.textContent = 'Filtered Products';
+            if (subtitleEl) subtitleEl.textContent = `${this.filteredProducts.length} products match your filters`;
         } else {
             titleEl.textContent = 'Natural Health Products';
             if (subtitleEl) subtitleEl.textContent = 'Discover our complete collection of premium herbs, vitamins, and natural supplements';
@@ -542,6 +647,10 @@ class ProductsPage {
 
     sortProducts() {
         switch (this.currentFilters.sort) {
+            case 'relevance':
+                // API order is the search index ranking
+                this.filteredProducts.sort((a, b) => a.rank - b.rank);
+                break;
             case 'name':
                 this.filteredProducts.sort((a, b) => a.name.localeCompare(b.name));
                 break;
@@ -561,6 +670,13 @@ class ProductsPage {
                     return a.name.localeCompare(b.name);
                 });
                 break;
+            case 'rating':
+                this.filteredProducts.sort((a, b) =>
+                    b.rating - a.rating ||
+                    b.reviewCount - a.reviewCount ||
+                    a.name.localeCompare(b.name)
+                );
+                break;
         }
     }
 
@@ -654,6 +770,28 @@ class ProductsPage {
         description.className = 'product-description';
         description.textContent = product.description || '';
 
+        // Average rating (only once a product has approved reviews)
+        let rating = null;
+        if (product.reviewCount > 0) {
+            rating = document.createElement('div');
+            rating.className = 'product-card-rating';
+            rating.setAttribute('aria-label', `${product.rating.toFixed(1)} out of 5 stars, ${product.reviewCount} reviews`);
+            const stars = document.createElement('span');
+            stars.className = 'rating-stars';
+            stars.setAttribute('aria-hidden', 'true');
+            for (let i = 1; i <= 5; i++) {
+                const star = document.createElement('i');
+                if (product.rating >= i) star.className = 'fas fa-star';
+                else if (product.rating >= i - 0.5) star.className = 'fas fa-star-half-alt';
+                else star.className = 'far fa-star';
+                stars.appendChild(star);
+            }
+            const count = document.createElement('span');
+            count.textContent = `(${product.reviewCount})`;
+            rating.appendChild(stars);
+            rating.appendChild(count);
+        }
+
         // Inventory status
         const inventoryStatus = this.createInventoryStatusElement(product);
 
@@ -687,6 +825,9 @@ class ProductsPage {
         // Assemble card
         card.appendChild(productLink);
         card.appendChild(brand);
+        if (rating) {
+            card.appendChild(rating);
+        }
         card.appendChild(price);
         if (product.description) {
             card.appendChild(description);
@@ -857,8 +998,7 @@ class ProductsPage {
     resetFilters() {
         this.currentFilters = {
             search: '',
-            category: '',
-            brand: '',
+            facets: emptyFacetSelection(),
             sort: 'name'
         };
         this.currentPage = 1;
@@ -870,39 +1010,43 @@ class ProductsPage {
         if (searchInput) searchInput.value = '';
         if (sortFilter) sortFilter.value = 'name';
 
-        // Clear brand from URL
-        const urlParams = new URLSearchParams(window.location.search);
-        urlParams.delete('brand');
-        const newUrl = urlParams.toString()
-            ? `${window.location.pathname}?${urlParams.toString()}`
-            : window.location.pathname;
-        window.history.replaceState({}, '', newUrl);
-
-        // Reload products without brand filter
-        this.loadProducts().then(() => {
-            this.applyFilters();
-        });
+        this.reloadForFilters();
     }
 
-    updateUrl() {
+    /** Page URL params: search, each facet (values sorted so equal filters share one URL), sort, page. */
+    buildPageParams(facets = this.currentFilters.facets, page = this.currentPage) {
         const params = new URLSearchParams();
 
         if (this.currentFilters.search) {
             params.set('search', this.currentFilters.search);
         }
 
+        // Identical category/healthCategory lists are written back as the short legacy form
+        const eitherTaxonomy = facets.category.length && sameFacetValues(facets.category, facets.healthCategory);
+        FACET_GROUPS.forEach(({ key }) => {
+            if (key === 'healthCategory' && eitherTaxonomy) return;
+            const values = [...(facets[key] || [])].sort();
+            if (values.length) {
+                params.set(key, values.join(','));
+            }
+        });
 
-        if (this.currentFilters.brand) {
-            params.set('brand', this.currentFilters.brand);
+        if (this.currentFilters.sort && this.currentFilters.sort !== 'name' &&
+            !(this.currentFilters.sort === 'relevance' && this.currentFilters.search)) {
+            params.set('sort', this.currentFilters.sort);
         }
 
-        if (this.currentPage > 1) {
-            params.set('page', this.currentPage.toString());
+        if (page > 1) {
+            params.set('page', page.toString());
         }
 
-        const newUrl = params.toString()
-            ? `${window.location.pathname}?${params.toString()}`
-            : window.location.pathname;
+        return params;
+    }
+
+    updateUrl() {
+        // Commas stay readable in shared links (brand=now-foods,jarrow)
+        const query = this.buildPageParams().toString().replace(/%2C/g, ',');
+        const newUrl = query ? `${window.location.pathname}?${query}` : window.location.pathname;
 
         window.history.replaceState({}, '', newUrl);
     }
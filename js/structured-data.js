@@ -354,13 +354,19 @@ class StructuredDataManager {
                     "@type": "Organization",
                     "name": "H&M Herbs & Vitamins"
                 }
-            },
-            "aggregateRating": productData.rating ? {
+            }
+        };
+
+        // Only emit AggregateRating when there are published reviews
+        if (productData.rating && Number(productData.rating.count) > 0) {
+            productSchema.aggregateRating = {
                 "@type": "AggregateRating",
                 "ratingValue": productData.rating.value,
-                "reviewCount": productData.rating.count
-            } : null
-        };
+                "reviewCount": productData.rating.count,
+                "bestRating": "5",
+                "worstRating": "1"
+            };
+        }
 
         this.addSchema(productSchema);
     }
@@ -448,7 +454,7 @@ class StructuredDataManager {
 
 // Initialize structured data when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
-    new StructuredDataManager();
+    window.hmStructuredData = new StructuredDataManager();
 });
 
 // Export for use in other modules
@@ -183,6 +183,7 @@ class HMHerbsApp {
         // Clear any pending cart operation timeouts
         this.cartOperationTimeouts.forEach(timeoutId => clearTimeout(timeoutId));
         this.cartOperationTimeouts.clear();
+        clearTimeout(this._cartSyncTimer);
     }
 
     async loadProducts() {
@@ -317,6 +318,9 @@ class HMHerbsApp {
     }
 
     setupEventListeners() {
+        // Signing in attaches the current cart to the account (abandoned-cart reminders)
+        this.addEventListenerWithCleanup(window, 'hmherbs:customer-profile-updated', () => this.scheduleCartSync());
+
         // Mobile menu toggle - Skip if already handled by inline script
         // The inline script in head handles this to ensure it works immediately
         if (!window.toggleMobileMenu) {
@@ -1463,6 +1467,78 @@ class HMHerbsApp {
         } catch (error) {
             Logger.error('Error saving cart to localStorage:', error);
         }
+        this.scheduleCartSync();
+    }
+
+    /** Stable per-browser id sent as X-Session-Id so a guest cart maps to one server cart. */
+    getCartSessionId() {
+        try {
+            let id = localStorage.getItem('hmherbs_cart_session');
+            if (!id) {
+                id = window.crypto && typeof window.crypto.randomUUID === 'function'
+                    ? window.crypto.randomUUID()
+                    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+                localStorage.setItem('hmherbs_cart_session', id);
+            }
+            return id;
+        } catch (_) {
+            return null;
+        }
+    }
+
+    /**
+     * Mirror the cart to the server (debounced) so abandoned-cart reminders can reach
+     * signed-in shoppers and guests who entered an email at checkout.
+     */
+    scheduleCartSync() {
+        clearTimeout(this._cartSyncTimer);
+        this._cartSyncTimer = setTimeout(() => {
+            void this.syncCartToServer();
+        }, 1500);
+    }
+
+    async syncCartToServer() {
+        let token = null;
+        let email = '';
+        try {
+            token = (window.customerAuth && typeof window.customerAuth.getToken === 'function'
+                ? window.customerAuth.getToken()
+                : null) || localStorage.getItem('hmherbs_customer_token');
+            email = localStorage.getItem('hmherbs_cart_contact_email') || '';
+        } catch (_) {
+            /* storage unavailable */
+        }
+        if (!token && !email) return;
+        const sessionId = this.getCartSessionId();
+        if (!sessionId) return;
+
+        const apiBaseUrl =
+            typeof window.hmHerbsStorefrontApiBase === 'function'
+                ? window.hmHerbsStorefrontApiBase()
+                : (() => {
+                      const h = window.location.hostname;
+                      const isLoopback = h === 'localhost' || h === '127.0.0.1';
+                      if (isLoopback && window.location.port !== '3001') return 'http://localhost:3001';
+                      return window.location.origin;
+                  })();
+        const headers = { 'Content-Type': 'application/json', 'X-Session-Id': sessionId };
+        if (token) headers.Authorization = `Bearer ${token}`;
+        const items = this.cart.map((item) => ({
+            productId: item.id,
+            variantId: item.variant_id || null,
+            quantity: item.quantity
+        }));
+
+        try {
+            const nativeFetch = window.__nativeFetch || window.fetch;
+            await nativeFetch(`${apiBaseUrl}/api/cart/sync`, {
+                method: 'PUT',
+                headers,
+                body: JSON.stringify({ items, email: token ? undefined : email })
+            });
+        } catch (error) {
+            Logger.warn('Cart sync failed:', error);
+        }
     }
 
     loadCartFromStorage() {
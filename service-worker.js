@@ -169,7 +169,9 @@ self.addEventListener('fetch', event => {
     url.pathname === '/js/edsa-manage-appointment.js' ||
     url.pathname === '/edsa-confirmation.html' ||
     url.pathname === '/edsa-manage-appointment.html' ||
-    url.pathname === '/order-confirmation.html'
+    url.pathname === '/order-confirmation.html' ||
+    url.pathname === '/js/digital-receipt.js' ||
+    url.pathname === '/receipt.html'
   ) {
     return;
   }